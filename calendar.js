@@ -0,0 +1,191 @@
+// Calendars - Julian and Gregorian dates and the Julian Day Number (JDN) that links them
+// JavaScript Date is proleptic Gregorian, but records before a country's reform are in the Julian
+// calendar (Britain until 1752, Russia until 1918). Dates here are { year, month, day } with
+// astronomical year numbering (0 = 1 BC) and month 1-12; a JDN is the day count used by astronomers,
+// JDN 0 being 1 January 4713 BC (Julian).
+
+export const CALENDAR_MODES = {
+    gregorian: { label: 'Gregorian (proleptic)' },
+    julian: { label: 'Julian (proleptic)' },
+    auto: { label: 'Julian until reform' }
+};
+
+// Reform dates as the first Gregorian day - the day before was the last Julian one
+export const CALENDAR_REFORMS = {
+    location: { label: 'From location' },
+    rome: { label: 'Rome, Spain, Portugal 1582', firstGregorian: [1582, 10, 15] },
+    france: { label: 'France 1582', firstGregorian: [1582, 12, 20] },
+    protestant: { label: 'Protestant Germany, Denmark 1700', firstGregorian: [1700, 3, 1] },
+    britain: { label: 'Britain and colonies 1752', firstGregorian: [1752, 9, 14] },
+    sweden: { label: 'Sweden, Finland 1753', firstGregorian: [1753, 3, 1] },
+    bulgaria: { label: 'Bulgaria 1916', firstGregorian: [1916, 4, 14] },
+    russia: { label: 'Russia 1918', firstGregorian: [1918, 2, 14] },
+    romania: { label: 'Romania, Serbia 1919', firstGregorian: [1919, 4, 14] },
+    greece: { label: 'Greece 1923', firstGregorian: [1923, 3, 1] }
+};
+export const DEFAULT_CALENDAR_REFORM = 'location';
+
+// Reform followed where the app's time zones are, for the 'location' choice (others use Rome's)
+const ZONE_REFORMS = {
+    'Europe/London': 'britain', 'Europe/Dublin': 'britain', 'America/New_York': 'britain',
+    'America/Toronto': 'britain', 'America/Halifax': 'britain', 'America/St_Johns': 'britain',
+    'America/Detroit': 'britain', 'America/Jamaica': 'britain',
+    'Europe/Paris': 'france', 'Europe/Brussels': 'france', 'Europe/Luxembourg': 'france',
+    'Europe/Berlin': 'protestant', 'Europe/Copenhagen': 'protestant', 'Europe/Oslo': 'protestant',
+    'Europe/Stockholm': 'sweden', 'Europe/Helsinki': 'sweden',
+    'Europe/Sofia': 'bulgaria',
+    'Europe/Moscow': 'russia', 'Europe/Kyiv': 'russia', 'Europe/Minsk': 'russia', 'Europe/Samara': 'russia',
+    'Europe/Volgograd': 'russia', 'Asia/Yekaterinburg': 'russia', 'Asia/Omsk': 'russia',
+    'Asia/Novosibirsk': 'russia', 'Asia/Krasnoyarsk': 'russia', 'Asia/Irkutsk': 'russia',
+    'Asia/Vladivostok': 'russia',
+    'Europe/Bucharest': 'romania', 'Europe/Belgrade': 'romania',
+    'Europe/Athens': 'greece'
+};
+
+/**
+ * Julian Day Number of a Gregorian date
+ */
+export function gregorianToJdn(year, month, day) {
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+}
+
+/**
+ * Julian Day Number of a Julian calendar date
+ */
+export function julianToJdn(year, month, day) {
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - 32083;
+}
+
+/**
+ * Calendar date of a Julian Day Number
+ * @param {number} jdn - Julian Day Number
+ * @param {string} calendar - 'gregorian' or 'julian'
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function jdnToDate(jdn, calendar) {
+    let b = 0;
+    let c = jdn + 32082;
+    if (calendar === 'gregorian') {
+        const a = jdn + 32044;
+        b = Math.floor((4 * a + 3) / 146097);
+        c = a - Math.floor(146097 * b / 4);
+    }
+    const d = Math.floor((4 * c + 3) / 1461);
+    const e = c - Math.floor(1461 * d / 4);
+    const m = Math.floor((5 * e + 2) / 153);
+    return {
+        year: 100 * b + d - 4800 + Math.floor(m / 10),
+        month: m + 3 - 12 * Math.floor(m / 10),
+        day: e - Math.floor((153 * m + 2) / 5) + 1
+    };
+}
+
+/**
+ * Day of the week of a Julian Day Number, 0 = Sunday
+ */
+export function getWeekday(jdn) {
+    return ((jdn + 1) % 7 + 7) % 7;
+}
+
+/**
+ * Reform key followed in a time zone
+ * @param {string} reform - Key of CALENDAR_REFORMS ('location' looks the zone up)
+ * @param {string} zone - IANA zone name
+ */
+export function resolveCalendarReform(reform, zone) {
+    if (reform !== 'location' && CALENDAR_REFORMS[reform]) return reform;
+    return ZONE_REFORMS[zone] || 'rome';
+}
+
+/**
+ * First Gregorian JDN of a reform
+ */
+function getReformJdn(reform) {
+    const [year, month, day] = CALENDAR_REFORMS[reform].firstGregorian;
+    return gregorianToJdn(year, month, day);
+}
+
+/**
+ * Calendar in use on a day
+ * @param {number} jdn - Julian Day Number
+ * @param {string} mode - Key of CALENDAR_MODES
+ * @param {string} reform - Resolved reform key (not 'location') for the 'auto' mode
+ * @returns {string} 'gregorian' or 'julian'
+ */
+export function getCalendarForJdn(jdn, mode, reform) {
+    if (mode === 'auto') return jdn < getReformJdn(reform) ? 'julian' : 'gregorian';
+    return mode === 'julian' ? 'julian' : 'gregorian';
+}
+
+/**
+ * A day as written in the selected calendar
+ * @returns {{year: number, month: number, day: number, calendar: string}}
+ */
+export function jdnToCalendarDate(jdn, mode, reform) {
+    const calendar = getCalendarForJdn(jdn, mode, reform);
+    return { ...jdnToDate(jdn, calendar), calendar };
+}
+
+/**
+ * Julian Day Number of a date written in the selected calendar
+ * In the auto mode a date is read as Julian before the reform and Gregorian after; the days
+ * dropped at the reform resolve to its first Gregorian day, or with preferEarlier to the last Julian one.
+ * @param {boolean} [preferEarlier=false]
+ */
+export function calendarDateToJdn(year, month, day, mode, reform, preferEarlier = false) {
+    if (mode === 'julian') return julianToJdn(year, month, day);
+    if (mode !== 'auto') return gregorianToJdn(year, month, day);
+
+    const reformJdn = getReformJdn(reform);
+    const gregorian = gregorianToJdn(year, month, day);
+    if (gregorian >= reformJdn) return gregorian;
+    const julian = julianToJdn(year, month, day);
+    if (julian < reformJdn) return julian;
+    return preferEarlier ? reformJdn - 1 : reformJdn;
+}
+
+/**
+ * Days in a month of the Julian or Gregorian calendar
+ * @param {string} calendar - 'gregorian' or 'julian'
+ */
+export function getDaysInMonth(year, month, calendar) {
+    const toJdn = calendar === 'julian' ? julianToJdn : gregorianToJdn;
+    return toJdn(month === 12 ? year + 1 : year, month === 12 ? 1 : month + 1, 1) - toJdn(year, month, 1);
+}
+
+// Ways to write years before AD 1
+export const YEAR_NUMBERINGS = {
+    historical: { label: 'BC / AD (no year 0)' },
+    astronomical: { label: 'Astronomical (0 = 1 BC)' }
+};
+export const DEFAULT_YEAR_NUMBERING = 'historical';
+
+/**
+ * Year for display - astronomical year 0 is 1 BC, -1 is 2 BC
+ * @param {number} year - Astronomical year
+ * @param {string} numbering - Key of YEAR_NUMBERINGS
+ */
+export function formatYear(year, numbering) {
+    if (numbering === 'astronomical' || year > 0) return String(year);
+    return `${1 - year} BC`;
+}
+
+/**
+ * Astronomical year from typed text: "2024", "-43", "44 BC", "44 BCE", "AD 33" or "33 CE"
+ * @returns {number|null} null when the text is not a year
+ */
+export function parseYear(text) {
+    const match = /^\s*(?:AD|CE)?\s*([+-]?\d+)\s*(BCE?|AD|CE)?\s*$/i.exec(text);
+    if (!match) return null;
+    const year = parseInt(match[1], 10);
+    const era = (match[2] || '').toUpperCase();
+    if (era.startsWith('BC')) return year >= 1 ? 1 - year : null;
+    if ((era || /^\s*(AD|CE)/i.test(text)) && year < 1) return null;  // No AD 0
+    return year;
+}
@@ -0,0 +1,436 @@
+// Eclipse search - finds solar and lunar eclipses with Swiss Ephemeris for any year it covers
+// Events have the CELESTIAL_EVENTS shape plus gamma, magnitude and saros details.
+// Dates are proleptic Gregorian with astronomical year numbering (year 0 = 1 BC), written
+// 'YYYY-MM-DD' with a leading '-' for negative years.
+
+// Swiss Ephemeris (with its Moshier fallback) covers JD 625000.5 to 2818000.5
+export const EPHEMERIS_START_YEAR = -3000;
+export const EPHEMERIS_END_YEAR = 3000;
+const EPHEMERIS_START_JD = 625000.5;
+const EPHEMERIS_END_JD = 2818000.5;
+
+// Eclipse series periods in lunations
+export const SAROS_LUNATIONS = 223;
+export const INEX_LUNATIONS = 358;
+const INEX_INVERSE_MOD_SAROS = 38;  // 358 * 38 = 1 (mod 223)
+
+const SYNODIC_MONTH = 29.530588861;
+const NEW_MOON_EPOCH_JD = 2451550.09766;  // 2000 Jan 6 new moon
+
+// A known member of each kind, and the series-number trend (fitted to Swiss Ephemeris, 2600 BC - 3000 AD)
+const SAROS_TREND_PER_LUNATION = 1 / 395.8;
+const SAROS_REFERENCE = {
+    solar: { lunation: 300, saros: 139, trendAtZero: 135.15 },  // 2024 Apr 8
+    lunar: { lunation: 311, saros: 123, trendAtZero: 127.97 }   // 2025 Mar 14
+};
+
+const SEFLG_SWIEPH = 2;
+const SEFLG_EQUATORIAL = 2048;
+const SEFLG_XYZ = 4096;
+
+// Eclipse type bits returned by the *_when functions
+const SE_ECL_TOTAL = 4;
+const SE_ECL_ANNULAR = 8;
+const SE_ECL_PARTIAL = 16;
+const SE_ECL_ANNULAR_TOTAL = 32;
+
+const EARTH_EQUATORIAL_RADIUS_AU = 6378.137 / 149597870.7;
+const ECLIPSE_SEARCH_STEP_DAYS = 20;  // Skip past the eclipse just found - eclipses are >= ~29 days apart
+
+/**
+ * Format a calendar date as an event date string
+ * @param {number} year - Astronomical year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string} e.g. '2024-04-08' or '-0584-05-28'
+ */
+export function formatEventDate(year, month, day) {
+    const yearStr = (year < 0 ? '-' : '') + Math.abs(year).toString().padStart(4, '0');
+    return `${yearStr}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Parse an event date string
+ * @param {string} date - 'YYYY-MM-DD', optionally with a leading '-'
+ * @returns {{year: number, month: number, day: number}} Month is 1-12
+ */
+export function parseEventDate(date) {
+    const [, sign, year, month, day] = date.match(/^(-?)(\d+)-(\d+)-(\d+)$/);
+    return {
+        year: (sign ? -1 : 1) * Number(year),
+        month: Number(month),
+        day: Number(day)
+    };
+}
+
+/**
+ * Convert a UT Julian Day to an event date and minute of day (rounded to the minute)
+ * @returns {{date: string, timeUTC: number}}
+ */
+function julianDayToEventTime(jd) {
+    const time = new Date(Math.round((jd - 2440587.5) * 1440) * 60000);
+    return {
+        date: formatEventDate(time.getUTCFullYear(), time.getUTCMonth() + 1, time.getUTCDate()),
+        timeUTC: time.getUTCHours() * 60 + time.getUTCMinutes()
+    };
+}
+
+/**
+ * Geocentric equatorial position of a body in AU
+ * @returns {number[]} [x, y, z] with z toward the celestial north pole
+ */
+function getEquatorialVector(swe, jd, body) {
+    const result = swe.calc_ut(jd, body, SEFLG_SWIEPH | SEFLG_EQUATORIAL | SEFLG_XYZ);
+    return [result[0], result[1], result[2]];
+}
+
+/**
+ * Signed distance of a point from a line, in Earth radii
+ * Positive when the point lies north (celestial z) of the line
+ * @param {number[]} point - Point to measure
+ * @param {number[]} linePoint - Any point on the line
+ * @param {number[]} lineDir - Line direction (unit vector)
+ */
+function signedAxisDistance(point, linePoint, lineDir) {
+    const rel = point.map((v, i) => v - linePoint[i]);
+    const along = rel[0] * lineDir[0] + rel[1] * lineDir[1] + rel[2] * lineDir[2];
+    const perp = rel.map((v, i) => v - along * lineDir[i]);
+    const distance = Math.hypot(perp[0], perp[1], perp[2]) / EARTH_EQUATORIAL_RADIUS_AU;
+    return perp[2] >= 0 ? distance : -distance;
+}
+
+/**
+ * Solar eclipse gamma: distance of the Moon's shadow axis from Earth's center at greatest eclipse
+ */
+function getSolarGamma(swe, jd) {
+    const sun = getEquatorialVector(swe, jd, swe.SE_SUN);
+    const moon = getEquatorialVector(swe, jd, swe.SE_MOON);
+    const axis = moon.map((v, i) => v - sun[i]);
+    const length = Math.hypot(axis[0], axis[1], axis[2]);
+    // Measure Earth's center from the axis, then flip so north of Earth's center is positive
+    return -signedAxisDistance([0, 0, 0], moon, axis.map(v => v / length));
+}
+
+/**
+ * Lunar eclipse gamma: distance of the Moon's center from the axis of Earth's shadow
+ */
+function getLunarGamma(swe, jd) {
+    const sun = getEquatorialVector(swe, jd, swe.SE_SUN);
+    const moon = getEquatorialVector(swe, jd, swe.SE_MOON);
+    const length = Math.hypot(sun[0], sun[1], sun[2]);
+    return signedAxisDistance(moon, [0, 0, 0], sun.map(v => -v / length));
+}
+
+/**
+ * Lunation number of the syzygy nearest jd - new moons for solar eclipses, full moons for lunar
+ * Counted from the new moon of 2000 Jan 6 (Meeus lunation 0)
+ * @param {string} type - 'solar' or 'lunar'
+ * @param {number} jd - Julian Day (UT)
+ * @returns {number}
+ */
+export function getLunationNumber(type, jd) {
+    const offset = type === 'lunar' ? SYNODIC_MONTH / 2 : 0;
+    return Math.round((jd - NEW_MOON_EPOCH_JD - offset) / SYNODIC_MONTH);
+}
+
+/**
+ * Saros series number of an eclipse
+ * Eclipses sit on a lattice of lunations: one saros (223) later is the same series, one inex (358)
+ * later is the next series. So the series is fixed modulo 223 by the lunation number, and the
+ * series active at any epoch lie within ~26 of a linear trend - far inside that window.
+ * Swiss Ephemeris numbers series only after ~2600 BC; this matches it there and extends it.
+ * @param {string} type - 'solar' or 'lunar'
+ * @param {number} jd - Julian Day (UT) of the eclipse
+ * @returns {number}
+ */
+export function getSarosNumber(type, jd) {
+    const reference = SAROS_REFERENCE[type];
+    const lunation = getLunationNumber(type, jd);
+    const inexSteps = (((lunation - reference.lunation) * INEX_INVERSE_MOD_SAROS) % SAROS_LUNATIONS + SAROS_LUNATIONS) % SAROS_LUNATIONS;
+    const candidate = reference.saros + inexSteps;
+    const trend = reference.trendAtZero + lunation * SAROS_TREND_PER_LUNATION;
+    return candidate + SAROS_LUNATIONS * Math.round((trend - candidate) / SAROS_LUNATIONS);
+}
+
+/**
+ * Member number within the saros from a *_how / *_where attr array, when Swiss Ephemeris knows it
+ */
+function getSarosMember(attr) {
+    return attr[9] > 0 && attr[10] > 0 ? attr[10] : undefined;
+}
+
+/**
+ * Find the eclipse of a type at a given lunation, if there is one
+ * @param {object} swe - Initialized SwissEph instance
+ * @param {string} type - 'solar' or 'lunar'
+ * @param {number} lunation - Lunation number (see getLunationNumber)
+ * @returns {object|null} Event, or null when that syzygy has no eclipse or is outside the ephemeris
+ */
+export function findEclipseAtLunation(swe, type, lunation) {
+    const offset = type === 'lunar' ? 0.5 : 0;
+    const meanJd = NEW_MOON_EPOCH_JD + (lunation + offset) * SYNODIC_MONTH;
+    if (meanJd < EPHEMERIS_START_JD + 10 || meanJd > EPHEMERIS_END_JD - 10) return null;
+
+    // The true syzygy is within a day of the mean one; the next eclipse of this type is a month on
+    const result = findNextEclipse(swe, type, meanJd - 5);
+    if (!result || !result.tret[0] || Math.abs(result.tret[0] - meanJd) > 3) return null;
+    return type === 'solar' ? describeSolarEclipse(swe, result) : describeLunarEclipse(swe, result);
+}
+
+/**
+ * Walk an eclipse series - saros (every 223 lunations) or inex (every 358)
+ * @param {object} swe - Initialized SwissEph instance
+ * @param {string} type - 'solar' or 'lunar'
+ * @param {number} jd - Julian Day of one member
+ * @param {number} step - SAROS_LUNATIONS or INEX_LUNATIONS
+ * @param {number} [maxEachWay=Infinity] - Stop after this many members before and after
+ * @returns {object[]} Members in time order, each with seriesIndex (0-based)
+ */
+export function findSeriesMembers(swe, type, jd, step, maxEachWay = Infinity) {
+    const lunation = getLunationNumber(type, jd);
+    const members = [];
+    for (const direction of [-1, 1]) {
+        for (let n = direction > 0 ? 0 : 1; n <= maxEachWay; n++) {
+            const member = findEclipseAtLunation(swe, type, lunation + direction * n * step);
+            if (!member) break;
+            members.push(member);
+        }
+    }
+    members.sort((a, b) => a.jd - b.jd);
+    members.forEach((member, index) => { member.seriesIndex = index; });
+    return members;
+}
+
+/**
+ * Build an event in the CELESTIAL_EVENTS shape
+ */
+function makeEvent(type, subtype, jd, details) {
+    const subtypeCapitalized = subtype.charAt(0).toUpperCase() + subtype.slice(1);
+    const typeCapitalized = type === 'solar' ? 'Solar' : 'Lunar';
+    return {
+        ...julianDayToEventTime(jd),
+        type,
+        subtype,
+        name: `${subtypeCapitalized} ${typeCapitalized} Eclipse`,
+        jd,
+        computed: true,
+        ...details
+    };
+}
+
+/**
+ * Describe the solar eclipse found by sol_eclipse_when_glob
+ */
+function describeSolarEclipse(swe, result) {
+    const greatest = result.tret[0];
+    const subtype = result.retFlag & SE_ECL_ANNULAR_TOTAL ? 'hybrid'
+        : result.retFlag & SE_ECL_TOTAL ? 'total'
+        : result.retFlag & SE_ECL_ANNULAR ? 'annular'
+        : 'partial';
+
+    // At greatest eclipse: attr[8] magnitude, attr[9]/attr[10] saros series/member
+    const where = swe.sol_eclipse_where(greatest, SEFLG_SWIEPH);
+    return makeEvent('solar', subtype, greatest, {
+        gamma: getSolarGamma(swe, greatest),
+        magnitude: where ? where.attr[8] : NaN,
+        saros: getSarosNumber('solar', greatest),
+        sarosMember: where ? getSarosMember(where.attr) : undefined
+    });
+}
+
+/**
+ * Describe the lunar eclipse found by lun_eclipse_when
+ */
+function describeLunarEclipse(swe, result) {
+    const greatest = result.tret[0];
+    const subtype = result.retFlag & SE_ECL_TOTAL ? 'total'
+        : result.retFlag & SE_ECL_PARTIAL ? 'partial'
+        : 'penumbral';
+
+    // attr[0] umbral magnitude, attr[1] penumbral magnitude, attr[9]/attr[10] saros series/member
+    const how = swe.lun_eclipse_how(greatest, SEFLG_SWIEPH, [0, 0, 0]);
+    const umbralMagnitude = how ? how.attr[0] : NaN;
+    const penumbralMagnitude = how ? how.attr[1] : NaN;
+    return makeEvent('lunar', subtype, greatest, {
+        gamma: getLunarGamma(swe, greatest),
+        // Catalogs quote the penumbral magnitude for penumbral eclipses, the umbral one otherwise
+        magnitude: subtype === 'penumbral' ? penumbralMagnitude : umbralMagnitude,
+        umbralMagnitude,
+        penumbralMagnitude,
+        saros: getSarosNumber('lunar', greatest),
+        sarosMember: how ? getSarosMember(how.attr) : undefined
+    });
+}
+
+/**
+ * Find the next eclipse of a type after jd
+ * @returns {object|null} Raw sol_eclipse_when_glob / lun_eclipse_when result
+ */
+function findNextEclipse(swe, type, jd) {
+    return type === 'solar'
+        ? swe.sol_eclipse_when_glob(jd, SEFLG_SWIEPH, 0, 0)
+        : swe.lun_eclipse_when(jd, SEFLG_SWIEPH, 0, 0);
+}
+
+/**
+ * Find all eclipses of a type with greatest eclipse in [startJd, endJd)
+ */
+function searchEclipsesOfType(swe, type, startJd, endJd) {
+    const describe = type === 'solar' ? describeSolarEclipse : describeLunarEclipse;
+    const events = [];
+    let jd = startJd;
+    while (jd < endJd) {
+        const result = findNextEclipse(swe, type, jd);
+        if (!result || !result.tret[0] || result.tret[0] >= endJd) break;
+        events.push(describe(swe, result));
+        jd = result.tret[0] + ECLIPSE_SEARCH_STEP_DAYS;
+    }
+    return events;
+}
+
+/**
+ * Find all solar and lunar eclipses in a range of years
+ * @param {object} swe - Initialized SwissEph instance
+ * @param {number} startYear - First year (astronomical numbering), clamped to the ephemeris range
+ * @param {number} endYear - Last year, inclusive
+ * @returns {object[]} Events sorted by time
+ */
+export function searchEclipses(swe, startYear, endYear) {
+    const firstYear = Math.max(EPHEMERIS_START_YEAR, startYear);
+    const lastYear = Math.min(EPHEMERIS_END_YEAR, endYear);
+    if (firstYear > lastYear) return [];
+
+    const startJd = swe.julday(firstYear, 1, 1, 0, 1);  // 1 = Gregorian calendar
+    const endJd = swe.julday(lastYear + 1, 1, 1, 0, 1);
+    return [...searchEclipsesOfType(swe, 'solar', startJd, endJd), ...searchEclipsesOfType(swe, 'lunar', startJd, endJd)]
+        .sort((a, b) => a.jd - b.jd);
+}
+
+/**
+ * Find the next (or previous) eclipse of a type that can be seen from a place
+ * Swiss Ephemeris skips eclipses with no phase above the horizon there.
+ * @param {object} swe - Initialized SwissEph instance
+ * @param {string} type - 'solar' or 'lunar'
+ * @param {number} jd - Julian Day (UT) to search from
+ * @param {number[]} geopos - [longitude, latitude, elevation in m]
+ * @param {boolean} [backward=false] - Search back in time
+ * @returns {object|null} {date, timeUTC, type, jd, magnitude} with jd the local maximum and magnitude
+ *   as seen from there (lunar: umbral, or penumbral for penumbral eclipses); null outside the ephemeris
+ */
+export function findLocalEclipse(swe, type, jd, geopos, backward = false) {
+    if (jd < EPHEMERIS_START_JD || jd > EPHEMERIS_END_JD) return null;
+    const result = type === 'solar'
+        ? swe.sol_eclipse_when_loc(jd, SEFLG_SWIEPH, geopos, backward ? 1 : 0)
+        : swe.lun_eclipse_when_loc(jd, SEFLG_SWIEPH, geopos, backward ? 1 : 0);
+    if (!result || !result.tret[0]) return null;
+
+    // Solar attr[0] is the fraction of the Sun's diameter covered; lunar attr[0]/attr[1] umbral/penumbral magnitude
+    const umbral = result.retFlag & (SE_ECL_TOTAL | SE_ECL_PARTIAL);
+    const magnitude = type === 'solar' || umbral ? result.attr[0] : result.attr[1];
+    return { ...julianDayToEventTime(result.tret[0]), type, jd: result.tret[0], magnitude };
+}
+
+/**
+ * Find all eclipses of a type seen from a place with local maximum in [startJd, endJd)
+ * @param {object} swe - Initialized SwissEph instance
+ * @param {string} type - 'solar' or 'lunar'
+ * @param {number} startJd - Start of range (UT)
+ * @param {number} endJd - End of range (UT)
+ * @param {number[]} geopos - [longitude, latitude, elevation in m]
+ * @param {number} [minMagnitude=0] - Skip eclipses seen smaller than this
+ * @returns {object[]} Events from findLocalEclipse, in time order
+ */
+export function searchLocalEclipses(swe, type, startJd, endJd, geopos, minMagnitude = 0) {
+    const events = [];
+    let jd = startJd;
+    while (jd < endJd) {
+        const event = findLocalEclipse(swe, type, jd, geopos);
+        if (!event || event.jd >= endJd) break;
+        if (event.magnitude >= minMagnitude) events.push(event);
+        jd = event.jd + ECLIPSE_SEARCH_STEP_DAYS;
+    }
+    return events;
+}
+
+/**
+ * Find the nearest eclipse of a type seen from a place at or above a magnitude
+ * @param {object} swe - Initialized SwissEph instance
+ * @param {string} type - 'solar' or 'lunar'
+ * @param {number} jd - Julian Day (UT) to search from
+ * @param {number[]} geopos - [longitude, latitude, elevation in m]
+ * @param {number} minMagnitude - Smallest magnitude seen from there
+ * @param {number} direction - 1 for the next eclipse, -1 for the previous one
+ * @param {number} maxYears - Give up this far from jd
+ * @returns {object|null} Event from findLocalEclipse
+ */
+export function findVisibleEclipse(swe, type, jd, geopos, minMagnitude, direction, maxYears) {
+    const limitJd = jd + direction * maxYears * 365.25;
+    let searchJd = jd;
+    while (direction > 0 ? searchJd < limitJd : searchJd > limitJd) {
+        const event = findLocalEclipse(swe, type, searchJd, geopos, direction < 0);
+        if (!event || (direction > 0 ? event.jd > limitJd : event.jd < limitJd)) return null;
+        if (event.magnitude >= minMagnitude) return event;
+        searchJd = event.jd + direction * ECLIPSE_SEARCH_STEP_DAYS;
+    }
+    return null;
+}
+
+/**
+ * Merge computed events into a catalog, validating the ones it already lists
+ * A computed event matches a catalog event of the same type within a day; the match gains the
+ * computed details, and disagreements in subtype or time (over 10 minutes) are logged.
+ * Unmatched computed events are added.
+ * @param {object[]} catalog - Catalog events, modified in place
+ * @param {object[]} computed - Events from searchEclipses
+ * @returns {object[]} The catalog, re-sorted by time
+ */
+export function mergeEclipseEvents(catalog, computed) {
+    const eventMinutes = (event) => {
+        const { year, month, day } = parseEventDate(event.date);
+        const date = new Date(0);
+        date.setUTCFullYear(year, month - 1, day);
+        return date.getTime() / 60000 + event.timeUTC;
+    };
+
+    const byDate = new Map();
+    catalog.forEach(event => {
+        const key = `${event.type}|${event.date}`;
+        if (!byDate.has(key)) byDate.set(key, []);
+        byDate.get(key).push(event);
+    });
+
+    computed.forEach(event => {
+        const minutes = eventMinutes(event);
+        const match = [-1, 0, 1]
+            .flatMap(offset => {
+                const date = new Date(minutes * 60000 + offset * 86400000);
+                return byDate.get(`${event.type}|${formatEventDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate())}`) || [];
+            })
+            .find(candidate => Math.abs(eventMinutes(candidate) - minutes) < 1440);
+
+        if (!match) {
+            catalog.push(event);
+            return;
+        }
+        if (match.computed) return;  // Added by an earlier search
+
+        if (match.subtype !== event.subtype) {
+            console.warn(`Eclipse ${match.date}: catalog lists ${match.subtype} ${match.type}, ephemeris finds ${event.subtype}`);
+        }
+        const timeDiff = Math.abs(eventMinutes(match) - minutes);
+        if (timeDiff > 10) {
+            console.warn(`Eclipse ${match.date}: catalog time differs from ephemeris by ${Math.round(timeDiff)} min`);
+        }
+        Object.assign(match, {
+            jd: event.jd,
+            gamma: event.gamma,
+            magnitude: event.magnitude,
+            umbralMagnitude: event.umbralMagnitude,
+            penumbralMagnitude: event.penumbralMagnitude,
+            saros: event.saros,
+            sarosMember: event.sarosMember
+        });
+    });
+
+    return catalog.sort((a, b) => eventMinutes(a) - eventMinutes(b));
+}
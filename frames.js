@@ -0,0 +1,223 @@
+// Reference frames - conversions between the coordinate systems the app uses
+//   ecliptic of date     - Swiss Ephemeris default output: true ecliptic and equinox of date
+//   equatorial of date   - SEFLG_EQUATORIAL output: true equator and equinox of date (apparent places)
+//   equatorial J2000     - the star catalog's frame, carried to date by precession then nutation
+//   horizontal           - altitude above an observer's horizon, azimuth clockwise from north
+//   scene                - fixed to the Earth: Z to the north pole, X to longitude 0, Y to 90°E.
+//                          A body's direction is its sub-point: latitude = declination and
+//                          longitude = RA - apparent sidereal time.
+// Angles are in degrees and vectors are [x, y, z] arrays, unless a name says otherwise.
+
+const SE_ECL_NUT = -1;
+
+export const J2000 = 2451545.0;
+const DEG = Math.PI / 180;
+const ARCSEC = DEG / 3600;
+
+/**
+ * Wrap an angle to [-180, 180)
+ */
+function wrap180(degrees) {
+    return ((degrees % 360) + 540) % 360 - 180;
+}
+
+/**
+ * Cartesian vector from spherical coordinates
+ * @param {number} lon - Longitude or right ascension in degrees
+ * @param {number} lat - Latitude or declination in degrees
+ * @param {number} [distance=1]
+ * @returns {number[]} [x, y, z]
+ */
+export function sphericalToVector(lon, lat, distance = 1) {
+    const cosLat = Math.cos(lat * DEG);
+    return [
+        distance * cosLat * Math.cos(lon * DEG),
+        distance * cosLat * Math.sin(lon * DEG),
+        distance * Math.sin(lat * DEG)
+    ];
+}
+
+/**
+ * Spherical coordinates of a cartesian vector
+ * @param {number[]|{x: number, y: number, z: number}} v
+ * @returns {{lon: number, lat: number, distance: number}} lon in [0, 360)
+ */
+export function vectorToSpherical(v) {
+    const [x, y, z] = Array.isArray(v) ? v : [v.x, v.y, v.z];
+    const distance = Math.hypot(x, y, z);
+    return {
+        lon: (Math.atan2(y, x) / DEG + 360) % 360,
+        lat: Math.asin(Math.max(-1, Math.min(1, z / distance))) / DEG,
+        distance
+    };
+}
+
+// ---- Obliquity and nutation ----
+
+/**
+ * Mean obliquity of the ecliptic (Laskar 1986, Meeus 22.3) - good to 0.02" over 1000-3000 and
+ * a few arcseconds over ±10000 years
+ * @param {number} jd - Julian Day
+ */
+export function getMeanObliquity(jd) {
+    const U = (jd - J2000) / 3652500;
+    const terms = [84381.448, -4680.93, -1.55, 1999.25, -51.38, -249.67, -39.05, 7.12, 27.87, 5.79, 2.45];
+    return terms.reduceRight((sum, term) => sum * U + term, 0) / 3600;
+}
+
+/**
+ * Obliquity and nutation of a date from Swiss Ephemeris, or the mean obliquity without nutation
+ * until it is ready
+ * @param {object|null} swe - Initialized SwissEph instance
+ * @param {number} jd - Julian Day (UT)
+ * @returns {{mean: number, true: number, nutationLongitude: number, nutationObliquity: number}}
+ */
+export function getObliquity(swe, jd) {
+    if (!swe) {
+        const mean = getMeanObliquity(jd);
+        return { mean, true: mean, nutationLongitude: 0, nutationObliquity: 0 };
+    }
+    // SE_ECL_NUT gives [true obliquity, mean obliquity, nutation in longitude, nutation in obliquity]
+    const [trueObliquity, mean, nutationLongitude, nutationObliquity] = swe.calc_ut(jd, SE_ECL_NUT, 0);
+    return { mean, true: trueObliquity, nutationLongitude, nutationObliquity };
+}
+
+// ---- Ecliptic <-> equatorial ----
+
+/**
+ * Ecliptic to equatorial coordinates on the same equinox
+ * @param {number} lon - Ecliptic longitude
+ * @param {number} lat - Ecliptic latitude
+ * @param {number} obliquity - Obliquity of the ecliptic - true for places of date, mean for J2000
+ * @returns {{ra: number, dec: number}} ra in [0, 360)
+ */
+export function eclipticToEquatorial(lon, lat, obliquity) {
+    const [x, y, z] = sphericalToVector(lon, lat);
+    const c = Math.cos(obliquity * DEG);
+    const s = Math.sin(obliquity * DEG);
+    const { lon: ra, lat: dec } = vectorToSpherical([x, y * c - z * s, y * s + z * c]);
+    return { ra, dec };
+}
+
+/**
+ * Equatorial to ecliptic coordinates on the same equinox
+ * @param {number} ra - Right ascension in degrees
+ * @param {number} dec - Declination
+ * @param {number} obliquity - Obliquity of the ecliptic
+ * @returns {{lon: number, lat: number}} lon in [0, 360)
+ */
+export function equatorialToEcliptic(ra, dec, obliquity) {
+    const [x, y, z] = sphericalToVector(ra, dec);
+    const c = Math.cos(obliquity * DEG);
+    const s = Math.sin(obliquity * DEG);
+    const { lon, lat } = vectorToSpherical([x, y * c + z * s, -y * s + z * c]);
+    return { lon, lat };
+}
+
+// ---- Equatorial J2000 -> equatorial of date ----
+
+/**
+ * Rotation about the x axis, as a change of coordinate frame
+ */
+function rotationX(angle) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    return [[1, 0, 0], [0, c, s], [0, -s, c]];
+}
+
+/**
+ * Rotation about the y axis, as a change of coordinate frame
+ */
+function rotationY(angle) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    return [[c, 0, -s], [0, 1, 0], [s, 0, c]];
+}
+
+/**
+ * Rotation about the z axis, as a change of coordinate frame
+ */
+function rotationZ(angle) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    return [[c, s, 0], [-s, c, 0], [0, 0, 1]];
+}
+
+/**
+ * Product of 3×3 matrices, applied right to left
+ */
+export function multiplyMatrices(...matrices) {
+    return matrices.reduce((a, b) => a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j])));
+}
+
+/**
+ * Apply a 3×3 matrix to a vector
+ */
+export function applyMatrix(m, v) {
+    return m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+}
+
+/**
+ * Precession matrix from J2000 to the mean equator and equinox of date (IAU 1976, Meeus ch. 21)
+ * @param {number} jd - Julian Day of the date
+ */
+export function getPrecessionMatrix(jd) {
+    const T = (jd - J2000) / 36525;
+    const zeta = (2306.2181 * T + 0.30188 * T * T + 0.017998 * T * T * T) * ARCSEC;
+    const z = (2306.2181 * T + 1.09468 * T * T + 0.018203 * T * T * T) * ARCSEC;
+    const theta = (2004.3109 * T - 0.42665 * T * T - 0.041833 * T * T * T) * ARCSEC;
+    return multiplyMatrices(rotationZ(-z), rotationY(theta), rotationZ(-zeta));
+}
+
+/**
+ * Nutation matrix from the mean to the true equator and equinox of date
+ * @param {object|null} swe - Initialized SwissEph instance (identity until it is ready)
+ * @param {number} jd - Julian Day (UT)
+ */
+export function getNutationMatrix(swe, jd) {
+    const obliquity = getObliquity(swe, jd);
+    return multiplyMatrices(rotationX(-obliquity.true * DEG), rotationZ(-obliquity.nutationLongitude * DEG),
+        rotationX(obliquity.mean * DEG));
+}
+
+/**
+ * Matrix from equatorial J2000 to the true equator and equinox of date
+ * @param {object|null} swe - Initialized SwissEph instance
+ * @param {number} jd - Julian Day (UT)
+ */
+export function getJ2000ToDateMatrix(swe, jd) {
+    return multiplyMatrices(getNutationMatrix(swe, jd), getPrecessionMatrix(jd));
+}
+
+// ---- Equatorial of date -> scene and horizontal ----
+
+/**
+ * Sub-point of a body - the scene direction of an equatorial place of date
+ * @param {number} ra - Right ascension (of date) in degrees
+ * @param {number} dec - Declination (of date)
+ * @param {number} siderealTime - Greenwich apparent sidereal time in degrees
+ * @returns {{lat: number, lon: number}} lon in [-180, 180)
+ */
+export function equatorialToSubpoint(ra, dec, siderealTime) {
+    return { lat: dec, lon: wrap180(ra - siderealTime) };
+}
+
+/**
+ * Horizontal coordinates from hour angle and declination
+ * @param {number} hourAngle - Local hour angle in degrees (observer longitude - sub-point longitude)
+ * @param {number} dec - Declination
+ * @param {number} lat - Observer latitude
+ * @returns {{altitude: number, azimuth: number}} Geometric altitude; azimuth clockwise from north in [0, 360)
+ */
+export function equatorialToHorizontal(hourAngle, dec, lat) {
+    const ha = hourAngle * DEG;
+    const sinLat = Math.sin(lat * DEG), cosLat = Math.cos(lat * DEG);
+    const sinDec = Math.sin(dec * DEG), cosDec = Math.cos(dec * DEG);
+    const sinAlt = sinLat * sinDec + cosLat * cosDec * Math.cos(ha);
+    const y = -cosDec * Math.sin(ha);
+    const x = sinDec * cosLat - cosDec * sinLat * Math.cos(ha);
+    return {
+        altitude: Math.asin(Math.max(-1, Math.min(1, sinAlt))) / DEG,
+        azimuth: (Math.atan2(y, x) / DEG + 360) % 360
+    };
+}
@@ -1,16 +1,38 @@
 // Swiss Ephemeris for accurate astronomical calculations
 import SwissEph from 'https://cdn.jsdelivr.net/gh/prolaxu/swisseph-wasm@main/src/swisseph.js';
 import { CELESTIAL_EVENTS } from './eclipse-data.js';
+import {
+    searchEclipses, mergeEclipseEvents, parseEventDate, formatEventDate, EPHEMERIS_START_YEAR, EPHEMERIS_END_YEAR,
+    getLunationNumber, getSarosNumber, findEclipseAtLunation, findSeriesMembers, SAROS_LUNATIONS, INEX_LUNATIONS,
+    searchLocalEclipses, findVisibleEclipse
+} from './eclipse-search.js';
+import { searchPlanetEvents } from './planet-events.js';
+import { searchOccultations, calculateOccultationLocal, getMoonVector, getTargetDirection } from './occultations.js';
 import { STAR_CATALOG, STAR_NAMES, CONSTELLATION_DATA } from './star-data.js';
+import { getStarVectorsOfDate } from './star-positions.js';
+import {
+    getMeanObliquity, getObliquity, eclipticToEquatorial, sphericalToVector, vectorToSpherical,
+    equatorialToSubpoint, equatorialToHorizontal
+} from './frames.js';
+import { RISE_SET_TOLERANCE_MINS, brentRoot, solveRiseSetDay, findNextRiseSet } from './rise-set.js';
+import { DELTA_T_MODELS, DEFAULT_DELTA_T_MODEL, createTimeScaledEphemeris, getTimeScales } from './time-scales.js';
+import {
+    CALENDAR_MODES, CALENDAR_REFORMS, DEFAULT_CALENDAR_REFORM, resolveCalendarReform, gregorianToJdn, jdnToDate,
+    jdnToCalendarDate, calendarDateToJdn, getCalendarForJdn, getDaysInMonth, getWeekday,
+    YEAR_NUMBERINGS, DEFAULT_YEAR_NUMBERING, formatYear, parseYear
+} from './calendar.js';
 import { COASTLINE_10M, LAKES_10M, RIVERS_10M } from './coastline-data.js?v=3';
+import { loadSettings, saveSettings, clearSettings } from './settings-store.js';
 
 let swe = null;
 let sweInitialized = false;
+let deltaTModel = DEFAULT_DELTA_T_MODEL;  // Key of DELTA_T_MODELS used by every ephemeris call
 
 // Initialize Swiss Ephemeris (called before app starts)
 async function initSwissEph() {
     try {
-        swe = new SwissEph();
+        // UT calls go through the selected Delta-T model (see time-scales.js)
+        swe = createTimeScaledEphemeris(new SwissEph(), () => deltaTModel);
         await swe.initSwissEph();
         sweInitialized = true;
         console.log('Swiss Ephemeris initialized successfully');
@@ -29,7 +51,6 @@ const STAR_DISTANCE = EARTH_RADIUS * 100;  // Stars on celestial sphere
 const MOON_RADIUS_RATIO = 1737.4 / 6371;  // Moon radius / Earth radius = 0.2727
 const MOON_RADIUS = EARTH_RADIUS * MOON_RADIUS_RATIO;  // ~1636 scene units
 const AU_TO_EARTH_RADII = 149597870.7 / 6371;  // AU to Earth radii conversion
-const OBLIQUITY_RAD = 23.439 * Math.PI / 180;  // Earth's axial tilt
 
 // Sun constants (visual representation - not real distance)
 const SUN_VISUAL_DISTANCE = EARTH_RADIUS * 1000;  // Place sun at fixed distance (far beyond moon orbit)
@@ -41,11 +62,14 @@ const SUN_RADIUS_KM = 696000;
 const MOON_RADIUS_KM = 1737.4;
 const EARTH_RADIUS_KM = 6371;
 const AU_KM = 149597870.7;
+const EARTH_SHADOW_ENLARGEMENT = 1.02;  // Atmosphere widens Earth's shadow ~2% (Danjon)
 
 // Eclipse cone meshes
 let umbraCone = null;
 let penumbraCone = null;
 let antumbraCone = null;
+let earthUmbraCone = null;      // Earth's shadow behind the night side (lunar eclipse)
+let earthPenumbraCone = null;
 
 // Ghost celestial objects (see-through-earth indicators)
 let ghostSunSprite = null;
@@ -65,7 +89,11 @@ let earthMaterial;  // Reference to Earth material for updating sunDirection uni
 let earthFillMaterial;  // Solid fill sphere material (controlled by ocean color/opacity)
 let celestialSphereGroup;  // Group for all stars/constellations (rotated by GMST)
 let starLabelSprites = []; // Star name label sprites (toggled by horizon blend)
+let starPositionMap = new Map(); // HIP -> THREE.Vector3 in celestialSphereGroup space (for picking)
 let constellationLinesMesh; // THREE.LineSegments for constellation lines
+let catalogStarsMesh; // THREE.Points for the catalog stars
+let polarisGlow = null; // Glow sprite on Polaris
+let starEpochJd = null; // JD the star field was placed for (null = J2000 catalog places)
 let constellationLinesVisible = true;
 let starLabelsEnabled = true;
 let coastlineMesh;  // Coastline lines (10m)
@@ -74,15 +102,33 @@ let riversMesh;     // River lines (10m)
 let coastlinesVisible = true;
 let waterLinesVisible = true;
 
-// Planets (naked-eye visible)
+// Planets, then the telescopic bodies (outer planets, Pluto, main-belt asteroids) shown only when
+// bright enough for the sky zoom FOV, each with its own layer toggle. Asteroid ephemerides cover 1800-2400 only.
 const PLANETS = [
     { id: 2, name: 'Mercury', color: [0.73, 0.73, 0.73], size: 3.0 },
     { id: 3, name: 'Venus',   color: [1.0, 1.0, 0.8],    size: 4.5 },
     { id: 4, name: 'Mars',    color: [1.0, 0.4, 0.27],    size: 3.5 },
     { id: 5, name: 'Jupiter', color: [1.0, 0.87, 0.67],   size: 4.0 },
     { id: 6, name: 'Saturn',  color: [1.0, 0.93, 0.8],    size: 3.0 },
+    { id: 7,  name: 'Uranus',  color: [0.6, 0.9, 0.95],   size: 2.4, telescopic: true },
+    { id: 8,  name: 'Neptune', color: [0.45, 0.6, 1.0],   size: 2.2, telescopic: true },
+    { id: 9,  name: 'Pluto',   color: [0.85, 0.75, 0.65], size: 1.8, telescopic: true },
+    { id: 17, name: 'Ceres',   color: [0.8, 0.8, 0.75],   size: 1.8, telescopic: true, asteroid: true },
+    { id: 18, name: 'Pallas',  color: [0.75, 0.8, 0.85],  size: 1.6, telescopic: true, asteroid: true },
+    { id: 19, name: 'Juno',    color: [0.85, 0.8, 0.7],   size: 1.6, telescopic: true, asteroid: true },
+    { id: 20, name: 'Vesta',   color: [0.9, 0.88, 0.8],   size: 1.7, telescopic: true, asteroid: true },
 ];
-let planetSprites = []; // { dot, label, planetId }
+let planetSprites = []; // { dot, label, planetId, name, skyPosition, magnitude, phenomena }
+let hiddenPlanetIds = new Set();  // Telescopic bodies switched off in the sky layers
+
+/**
+ * Layer toggle key of a telescopic body (its pill data-toggle value)
+ * @param {object} planet - PLANETS entry
+ * @returns {string} e.g. 'planet-uranus'
+ */
+function getPlanetToggleKey(planet) {
+    return `planet-${planet.name.toLowerCase()}`;
+}
 let sunLight;  // Directional light from sun
 let focusMarker;  // Marker at camera focus point
 let referenceCube;  // Debug cube at Earth center
@@ -105,6 +151,9 @@ let citySpheresVisible = true;
 let ghostViewEnabled = true;
 let celestialTrailsEnabled = true;
 
+// Layer toggles keyed by pill data-toggle value -> { get, set } (filled in by setupLeftControls)
+let pillToggleActions = {};
+
 // Celestial trail constants
 const TRAIL_POINT_COUNT = 48;           // one every 30 min for 24h
 
@@ -199,6 +248,9 @@ function initScrollWheel(wheelId, config) {
             const offset = parseInt(item.dataset.offset);
             if (offset !== 0) {
                 changeWheelValue(wheel, offset);
+            } else if (config.parse && Math.abs(wheel.lastDragY - wheel.dragStartY) < 3) {
+                // A click on the current value, not the end of a drag
+                openWheelEntry(wheel);
             }
         });
     });
@@ -348,6 +400,47 @@ function animateWheelToZero(wheel) {
     wheel.animationId = requestAnimationFrame(animate);
 }
 
+/**
+ * Type a value into a wheel instead of scrolling to it (wheels with a parse function)
+ * Enter or leaving the box applies it, Escape cancels; range wheels clamp to their ends.
+ */
+function openWheelEntry(wheel) {
+    if (wheel.element.querySelector('.wheel-entry')) return;
+    const config = wheel.config;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'wheel-entry';
+    input.value = formatWheelValue(config, getWheelValue(wheel));
+    if (config.entryTitle) input.title = config.entryTitle;
+    wheel.element.appendChild(input);
+    input.focus();
+    input.select();
+
+    let closed = false;
+    const close = (commit) => {
+        if (closed) return;
+        closed = true;
+        const value = commit ? config.parse(input.value) : null;
+        input.remove();
+        if (value === null) return;
+
+        const index = config.values
+            ? config.values.indexOf(value)
+            : Math.max(0, Math.min(config.count - 1, value - config.start));
+        if (index === -1 || index === wheel.currentIndex) return;
+        const delta = index - wheel.currentIndex;
+        wheel.currentIndex = index;
+        applyDateTimeFromWheels(delta);
+    };
+
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation();  // Keep keyboard shortcuts out of the box
+        if (e.key === 'Enter') close(true);
+        else if (e.key === 'Escape') close(false);
+    });
+    input.addEventListener('blur', () => close(true));
+}
+
 function changeWheelValue(wheel, delta) {
     applyWheelChange(wheel, delta);
     // Display is updated via the applyDateTimeFromWheels -> updatePositionDisplay -> updateWheelsFromTime chain
@@ -360,25 +453,40 @@ function applyWheelChange(wheel, delta) {
     // Wrap around for cyclic values
     if (config.cyclic) {
         // Use dynamicMax if set, otherwise use full values length
-        const len = (config.dynamicMax !== undefined) ? config.dynamicMax + 1 : config.values.length;
+        const len = (config.dynamicMax !== undefined) ? config.dynamicMax + 1 : getWheelLength(config);
         newIndex = ((newIndex % len) + len) % len;
     } else {
         // Clamp for non-cyclic (year)
-        newIndex = Math.max(config.min || 0, Math.min(config.max || config.values.length - 1, newIndex));
+        newIndex = Math.max(0, Math.min(getWheelLength(config) - 1, newIndex));
     }
 
     wheel.currentIndex = newIndex;
 
     // Trigger time update
-    applyDateTimeFromWheels();
+    applyDateTimeFromWheels(delta);
+}
+
+/**
+ * Number of values on a wheel - a list, or a numeric range of count values from start
+ * Range wheels (the year) compute their values, so thousands of entries cost nothing.
+ */
+function getWheelLength(config) {
+    return config.values ? config.values.length : config.count;
+}
+
+function getWheelValueAt(config, index) {
+    return config.values ? config.values[index] : config.start + index;
+}
+
+function formatWheelValue(config, value) {
+    return config.format ? config.format(value) : value;
 }
 
 function updateWheelDisplay(wheel) {
     const config = wheel.config;
     const current = wheel.currentIndex;
-    const values = config.values;
     // Use dynamicMax for cyclic wheels if set, otherwise full length
-    const len = (config.cyclic && config.dynamicMax !== undefined) ? config.dynamicMax + 1 : values.length;
+    const len = (config.cyclic && config.dynamicMax !== undefined) ? config.dynamicMax + 1 : getWheelLength(config);
 
     wheel.items.forEach(item => {
         const offset = parseInt(item.dataset.offset);
@@ -391,7 +499,7 @@ function updateWheelDisplay(wheel) {
         }
 
         if (config.cyclic || (index >= 0 && index < len)) {
-            item.textContent = config.format ? config.format(values[index]) : values[index];
+            item.textContent = formatWheelValue(config, getWheelValueAt(config, index));
             item.style.visibility = 'visible';
         } else {
             item.textContent = '';
@@ -410,27 +518,23 @@ function updateWheelVisual(wheel) {
 
 function setWheelValue(wheel, value) {
     const config = wheel.config;
-    const index = config.values.indexOf(value);
-    if (index !== -1) {
+    const index = config.values ? config.values.indexOf(value) : value - config.start;
+    if (index >= 0 && index < getWheelLength(config)) {
         wheel.currentIndex = index;
         updateWheelDisplay(wheel);
-    } else if (config.findIndex) {
-        const idx = config.findIndex(value);
-        if (idx !== -1) {
-            wheel.currentIndex = idx;
-            updateWheelDisplay(wheel);
-        }
     }
 }
 
 function getWheelValue(wheel) {
-    return wheel.config.values[wheel.currentIndex];
+    return getWheelValueAt(wheel.config, wheel.currentIndex);
 }
 
 /**
  * Apply datetime changes from all wheels to the simulation
+ * @param {number} [delta=0] - Direction the last wheel moved, so stepping back over the days
+ *   dropped at a calendar reform lands before it
  */
-function applyDateTimeFromWheels() {
+function applyDateTimeFromWheels(delta = 0) {
     const hourWheel = scrollWheels['wheel-hour'];
     const minuteWheel = scrollWheels['wheel-minute'];
     const ampmWheel = scrollWheels['wheel-ampm'];
@@ -455,7 +559,7 @@ function applyDateTimeFromWheels() {
     }
 
     // Update day wheel dynamic max based on current month/year
-    const maxDay = new Date(year, month + 1, 0).getDate();
+    const maxDay = getDisplayDaysInMonth(year, month);
     dayWheel.config.dynamicMax = maxDay - 1;  // 0-indexed
 
     // Clamp day to max days in month
@@ -465,11 +569,13 @@ function applyDateTimeFromWheels() {
         updateWheelDisplay(dayWheel);
     }
 
-    // Create new date
-    const newCityTime = new Date(year, month, day, hours, mins);
+    // Create new date - the wheels show the selected calendar, Date is Gregorian
+    const gregorian = fromDisplayDate(year, month, day, delta < 0);
+    const newCityTime = makeCalendarDate(gregorian.year, gregorian.month, gregorian.day);
+    newCityTime.setHours(hours, mins);
 
     // Update global state
-    selectedDate = new Date(newCityTime.getFullYear(), newCityTime.getMonth(), newCityTime.getDate());
+    selectedDate = makeCalendarDate(newCityTime.getFullYear(), newCityTime.getMonth(), newCityTime.getDate());
     timeOffsetMinutes = newCityTime.getHours() * 60 + newCityTime.getMinutes();
 
     const slider = document.getElementById('time-slider');
@@ -495,8 +601,10 @@ function applyDateTimeFromWheels() {
 
 /**
  * Update all wheel displays from current time state (called externally)
+ * month, day and year are Gregorian (as from getZonedDateParts); the wheels show the selected calendar
  */
 function updateWheelsFromTime(hours, mins, month, day, year) {
+    ({ year, month, day } = toDisplayDate(year, month, day));
     const displayHours = hours % 12 || 12;
     const ampm = hours >= 12 ? 'PM' : 'AM';
 
@@ -509,8 +617,7 @@ function updateWheelsFromTime(hours, mins, month, day, year) {
 
     // Update day wheel dynamic max based on current month/year
     if (dayWheel) {
-        const maxDay = new Date(year, month + 1, 0).getDate();
-        dayWheel.config.dynamicMax = maxDay - 1;
+        dayWheel.config.dynamicMax = getDisplayDaysInMonth(year, month) - 1;
     }
 
     if (hourWheel) setWheelValue(hourWheel, displayHours);
@@ -559,533 +666,532 @@ function initDateTimeWheels() {
         dynamicMax: 30  // Will be updated dynamically based on month (0-indexed)
     });
 
-    // Years (1600-2400)
-    const yearStart = 1600;
-    const yearEnd = 2400;
+    // Years - the full ephemeris range (astronomical numbering, 0 = 1 BC), typed in by clicking the current year
     initScrollWheel('wheel-year', {
-        values: Array.from({length: yearEnd - yearStart + 1}, (_, i) => yearStart + i),
+        start: EPHEMERIS_START_YEAR,
+        count: EPHEMERIS_END_YEAR - EPHEMERIS_START_YEAR + 1,
         cyclic: false,
-        min: 0,
-        max: yearEnd - yearStart,
-        findIndex: (year) => year - yearStart
+        format: (year) => formatYear(year, yearNumbering),
+        parse: parseYear,
+        entryTitle: `Year, ${formatYear(EPHEMERIS_START_YEAR, 'historical')} to ${EPHEMERIS_END_YEAR} (e.g. 1066, 44 BC or -43)`
     });
 }
 
-// Major world cities for nearest city lookup (tz = UTC offset in hours)
+// Major world cities for nearest city lookup (zone = IANA time zone name)
 const CITIES = [
     // Mega cities
-    { name: 'Tokyo', lat: 35.68, lon: 139.69, tz: 9 },
-    { name: 'Delhi', lat: 28.61, lon: 77.21, tz: 5.5 },
-    { name: 'Shanghai', lat: 31.23, lon: 121.47, tz: 8 },
-    { name: 'São Paulo', lat: -23.55, lon: -46.63, tz: -3 },
-    { name: 'Mexico City', lat: 19.43, lon: -99.13, tz: -6 },
-    { name: 'Cairo', lat: 30.04, lon: 31.24, tz: 2 },
-    { name: 'Mumbai', lat: 19.08, lon: 72.88, tz: 5.5 },
-    { name: 'Beijing', lat: 39.90, lon: 116.41, tz: 8 },
-    { name: 'Dhaka', lat: 23.81, lon: 90.41, tz: 6 },
-    { name: 'Osaka', lat: 34.69, lon: 135.50, tz: 9 },
-    { name: 'New York', lat: 40.71, lon: -74.01, tz: -5 },
-    { name: 'Karachi', lat: 24.86, lon: 67.01, tz: 5 },
-    { name: 'Buenos Aires', lat: -34.60, lon: -58.38, tz: -3 },
-    { name: 'Istanbul', lat: 41.01, lon: 28.98, tz: 3 },
-    { name: 'Kolkata', lat: 22.57, lon: 88.36, tz: 5.5 },
-    { name: 'Lagos', lat: 6.52, lon: 3.38, tz: 1 },
-    { name: 'Manila', lat: 14.60, lon: 120.98, tz: 8 },
-    { name: 'Rio de Janeiro', lat: -22.91, lon: -43.17, tz: -3 },
-    { name: 'Guangzhou', lat: 23.13, lon: 113.26, tz: 8 },
-    { name: 'Los Angeles', lat: 34.05, lon: -118.24, tz: -8 },
-    { name: 'Moscow', lat: 55.76, lon: 37.62, tz: 3 },
-    { name: 'Shenzhen', lat: 22.54, lon: 114.06, tz: 8 },
-    { name: 'Paris', lat: 48.86, lon: 2.35, tz: 1 },
-    { name: 'London', lat: 51.51, lon: -0.13, tz: 0 },
-    { name: 'Lima', lat: -12.05, lon: -77.04, tz: -5 },
-    { name: 'Bangkok', lat: 13.76, lon: 100.50, tz: 7 },
-    { name: 'Chennai', lat: 13.08, lon: 80.27, tz: 5.5 },
-    { name: 'Bogotá', lat: 4.71, lon: -74.07, tz: -5 },
-    { name: 'Johannesburg', lat: -26.20, lon: 28.04, tz: 2 },
-    { name: 'Tehran', lat: 35.69, lon: 51.39, tz: 3.5 },
-    { name: 'Hong Kong', lat: 22.32, lon: 114.17, tz: 8 },
-    { name: 'Singapore', lat: 1.35, lon: 103.82, tz: 8 },
+    { name: 'Tokyo', lat: 35.68, lon: 139.69, zone: 'Asia/Tokyo' },
+    { name: 'Delhi', lat: 28.61, lon: 77.21, zone: 'Asia/Kolkata' },
+    { name: 'Shanghai', lat: 31.23, lon: 121.47, zone: 'Asia/Shanghai' },
+    { name: 'São Paulo', lat: -23.55, lon: -46.63, zone: 'America/Sao_Paulo' },
+    { name: 'Mexico City', lat: 19.43, lon: -99.13, zone: 'America/Mexico_City' },
+    { name: 'Cairo', lat: 30.04, lon: 31.24, zone: 'Africa/Cairo' },
+    { name: 'Mumbai', lat: 19.08, lon: 72.88, zone: 'Asia/Kolkata' },
+    { name: 'Beijing', lat: 39.90, lon: 116.41, zone: 'Asia/Shanghai' },
+    { name: 'Dhaka', lat: 23.81, lon: 90.41, zone: 'Asia/Dhaka' },
+    { name: 'Osaka', lat: 34.69, lon: 135.50, zone: 'Asia/Tokyo' },
+    { name: 'New York', lat: 40.71, lon: -74.01, zone: 'America/New_York' },
+    { name: 'Karachi', lat: 24.86, lon: 67.01, zone: 'Asia/Karachi' },
+    { name: 'Buenos Aires', lat: -34.60, lon: -58.38, zone: 'America/Argentina/Buenos_Aires' },
+    { name: 'Istanbul', lat: 41.01, lon: 28.98, zone: 'Europe/Istanbul' },
+    { name: 'Kolkata', lat: 22.57, lon: 88.36, zone: 'Asia/Kolkata' },
+    { name: 'Lagos', lat: 6.52, lon: 3.38, zone: 'Africa/Lagos' },
+    { name: 'Manila', lat: 14.60, lon: 120.98, zone: 'Asia/Manila' },
+    { name: 'Rio de Janeiro', lat: -22.91, lon: -43.17, zone: 'America/Sao_Paulo' },
+    { name: 'Guangzhou', lat: 23.13, lon: 113.26, zone: 'Asia/Shanghai' },
+    { name: 'Los Angeles', lat: 34.05, lon: -118.24, zone: 'America/Los_Angeles' },
+    { name: 'Moscow', lat: 55.76, lon: 37.62, zone: 'Europe/Moscow' },
+    { name: 'Shenzhen', lat: 22.54, lon: 114.06, zone: 'Asia/Shanghai' },
+    { name: 'Paris', lat: 48.86, lon: 2.35, zone: 'Europe/Paris' },
+    { name: 'London', lat: 51.51, lon: -0.13, zone: 'Europe/London' },
+    { name: 'Lima', lat: -12.05, lon: -77.04, zone: 'America/Lima' },
+    { name: 'Bangkok', lat: 13.76, lon: 100.50, zone: 'Asia/Bangkok' },
+    { name: 'Chennai', lat: 13.08, lon: 80.27, zone: 'Asia/Kolkata' },
+    { name: 'Bogotá', lat: 4.71, lon: -74.07, zone: 'America/Bogota' },
+    { name: 'Johannesburg', lat: -26.20, lon: 28.04, zone: 'Africa/Johannesburg' },
+    { name: 'Tehran', lat: 35.69, lon: 51.39, zone: 'Asia/Tehran' },
+    { name: 'Hong Kong', lat: 22.32, lon: 114.17, zone: 'Asia/Hong_Kong' },
+    { name: 'Singapore', lat: 1.35, lon: 103.82, zone: 'Asia/Singapore' },
     // North America - USA
-    { name: 'Chicago', lat: 41.88, lon: -87.63, tz: -6 },
-    { name: 'Houston', lat: 29.76, lon: -95.37, tz: -6 },
-    { name: 'Phoenix', lat: 33.45, lon: -112.07, tz: -7 },
-    { name: 'Philadelphia', lat: 39.95, lon: -75.17, tz: -5 },
-    { name: 'San Antonio', lat: 29.42, lon: -98.49, tz: -6 },
-    { name: 'San Diego', lat: 32.72, lon: -117.16, tz: -8 },
-    { name: 'Dallas', lat: 32.78, lon: -96.80, tz: -6 },
-    { name: 'San Jose', lat: 37.34, lon: -121.89, tz: -8 },
-    { name: 'Austin', lat: 30.27, lon: -97.74, tz: -6 },
-    { name: 'Jacksonville', lat: 30.33, lon: -81.66, tz: -5 },
-    { name: 'Fort Worth', lat: 32.75, lon: -97.33, tz: -6 },
-    { name: 'Columbus', lat: 39.96, lon: -83.00, tz: -5 },
-    { name: 'Charlotte', lat: 35.23, lon: -80.84, tz: -5 },
-    { name: 'San Francisco', lat: 37.77, lon: -122.42, tz: -8 },
-    { name: 'Indianapolis', lat: 39.77, lon: -86.16, tz: -5 },
-    { name: 'Seattle', lat: 47.61, lon: -122.33, tz: -8 },
-    { name: 'Denver', lat: 39.74, lon: -104.99, tz: -7 },
-    { name: 'Washington DC', lat: 38.91, lon: -77.04, tz: -5 },
-    { name: 'Boston', lat: 42.36, lon: -71.06, tz: -5 },
-    { name: 'Nashville', lat: 36.16, lon: -86.78, tz: -6 },
-    { name: 'Detroit', lat: 42.33, lon: -83.05, tz: -5 },
-    { name: 'Oklahoma City', lat: 35.47, lon: -97.52, tz: -6 },
-    { name: 'Portland', lat: 45.52, lon: -122.68, tz: -8 },
-    { name: 'Las Vegas', lat: 36.17, lon: -115.14, tz: -8 },
-    { name: 'Memphis', lat: 35.15, lon: -90.05, tz: -6 },
-    { name: 'Louisville', lat: 38.25, lon: -85.76, tz: -5 },
-    { name: 'Baltimore', lat: 39.29, lon: -76.61, tz: -5 },
-    { name: 'Milwaukee', lat: 43.04, lon: -87.91, tz: -6 },
-    { name: 'Albuquerque', lat: 35.08, lon: -106.65, tz: -7 },
-    { name: 'Tucson', lat: 32.22, lon: -110.93, tz: -7 },
-    { name: 'Fresno', lat: 36.74, lon: -119.79, tz: -8 },
-    { name: 'Sacramento', lat: 38.58, lon: -121.49, tz: -8 },
-    { name: 'Mesa', lat: 33.42, lon: -111.83, tz: -7 },
-    { name: 'Kansas City', lat: 39.10, lon: -94.58, tz: -6 },
-    { name: 'Atlanta', lat: 33.75, lon: -84.39, tz: -5 },
-    { name: 'Miami', lat: 25.76, lon: -80.19, tz: -5 },
-    { name: 'Omaha', lat: 41.26, lon: -95.94, tz: -6 },
-    { name: 'Raleigh', lat: 35.78, lon: -78.64, tz: -5 },
-    { name: 'Cleveland', lat: 41.50, lon: -81.69, tz: -5 },
-    { name: 'Tampa', lat: 27.95, lon: -82.46, tz: -5 },
-    { name: 'Minneapolis', lat: 44.98, lon: -93.27, tz: -6 },
-    { name: 'New Orleans', lat: 29.95, lon: -90.07, tz: -6 },
-    { name: 'Honolulu', lat: 21.31, lon: -157.86, tz: -10 },
-    { name: 'Anchorage', lat: 61.22, lon: -149.90, tz: -9 },
-    { name: 'St Louis', lat: 38.63, lon: -90.20, tz: -6 },
-    { name: 'Pittsburgh', lat: 40.44, lon: -80.00, tz: -5 },
-    { name: 'Cincinnati', lat: 39.10, lon: -84.51, tz: -5 },
-    { name: 'Orlando', lat: 28.54, lon: -81.38, tz: -5 },
-    { name: 'Salt Lake City', lat: 40.76, lon: -111.89, tz: -7 },
-    { name: 'Boise', lat: 43.62, lon: -116.20, tz: -7 },
-    { name: 'Richmond', lat: 37.54, lon: -77.44, tz: -5 },
-    { name: 'Buffalo', lat: 42.89, lon: -78.88, tz: -5 },
-    { name: 'Hartford', lat: 41.76, lon: -72.69, tz: -5 },
-    { name: 'Providence', lat: 41.82, lon: -71.41, tz: -5 },
-    { name: 'Birmingham', lat: 33.52, lon: -86.80, tz: -6 },
+    { name: 'Chicago', lat: 41.88, lon: -87.63, zone: 'America/Chicago' },
+    { name: 'Houston', lat: 29.76, lon: -95.37, zone: 'America/Chicago' },
+    { name: 'Phoenix', lat: 33.45, lon: -112.07, zone: 'America/Phoenix' },
+    { name: 'Philadelphia', lat: 39.95, lon: -75.17, zone: 'America/New_York' },
+    { name: 'San Antonio', lat: 29.42, lon: -98.49, zone: 'America/Chicago' },
+    { name: 'San Diego', lat: 32.72, lon: -117.16, zone: 'America/Los_Angeles' },
+    { name: 'Dallas', lat: 32.78, lon: -96.80, zone: 'America/Chicago' },
+    { name: 'San Jose', lat: 37.34, lon: -121.89, zone: 'America/Los_Angeles' },
+    { name: 'Austin', lat: 30.27, lon: -97.74, zone: 'America/Chicago' },
+    { name: 'Jacksonville', lat: 30.33, lon: -81.66, zone: 'America/New_York' },
+    { name: 'Fort Worth', lat: 32.75, lon: -97.33, zone: 'America/Chicago' },
+    { name: 'Columbus', lat: 39.96, lon: -83.00, zone: 'America/New_York' },
+    { name: 'Charlotte', lat: 35.23, lon: -80.84, zone: 'America/New_York' },
+    { name: 'San Francisco', lat: 37.77, lon: -122.42, zone: 'America/Los_Angeles' },
+    { name: 'Indianapolis', lat: 39.77, lon: -86.16, zone: 'America/Indiana/Indianapolis' },
+    { name: 'Seattle', lat: 47.61, lon: -122.33, zone: 'America/Los_Angeles' },
+    { name: 'Denver', lat: 39.74, lon: -104.99, zone: 'America/Denver' },
+    { name: 'Washington DC', lat: 38.91, lon: -77.04, zone: 'America/New_York' },
+    { name: 'Boston', lat: 42.36, lon: -71.06, zone: 'America/New_York' },
+    { name: 'Nashville', lat: 36.16, lon: -86.78, zone: 'America/Chicago' },
+    { name: 'Detroit', lat: 42.33, lon: -83.05, zone: 'America/Detroit' },
+    { name: 'Oklahoma City', lat: 35.47, lon: -97.52, zone: 'America/Chicago' },
+    { name: 'Portland', lat: 45.52, lon: -122.68, zone: 'America/Los_Angeles' },
+    { name: 'Las Vegas', lat: 36.17, lon: -115.14, zone: 'America/Los_Angeles' },
+    { name: 'Memphis', lat: 35.15, lon: -90.05, zone: 'America/Chicago' },
+    { name: 'Louisville', lat: 38.25, lon: -85.76, zone: 'America/Kentucky/Louisville' },
+    { name: 'Baltimore', lat: 39.29, lon: -76.61, zone: 'America/New_York' },
+    { name: 'Milwaukee', lat: 43.04, lon: -87.91, zone: 'America/Chicago' },
+    { name: 'Albuquerque', lat: 35.08, lon: -106.65, zone: 'America/Denver' },
+    { name: 'Tucson', lat: 32.22, lon: -110.93, zone: 'America/Phoenix' },
+    { name: 'Fresno', lat: 36.74, lon: -119.79, zone: 'America/Los_Angeles' },
+    { name: 'Sacramento', lat: 38.58, lon: -121.49, zone: 'America/Los_Angeles' },
+    { name: 'Mesa', lat: 33.42, lon: -111.83, zone: 'America/Phoenix' },
+    { name: 'Kansas City', lat: 39.10, lon: -94.58, zone: 'America/Chicago' },
+    { name: 'Atlanta', lat: 33.75, lon: -84.39, zone: 'America/New_York' },
+    { name: 'Miami', lat: 25.76, lon: -80.19, zone: 'America/New_York' },
+    { name: 'Omaha', lat: 41.26, lon: -95.94, zone: 'America/Chicago' },
+    { name: 'Raleigh', lat: 35.78, lon: -78.64, zone: 'America/New_York' },
+    { name: 'Cleveland', lat: 41.50, lon: -81.69, zone: 'America/New_York' },
+    { name: 'Tampa', lat: 27.95, lon: -82.46, zone: 'America/New_York' },
+    { name: 'Minneapolis', lat: 44.98, lon: -93.27, zone: 'America/Chicago' },
+    { name: 'New Orleans', lat: 29.95, lon: -90.07, zone: 'America/Chicago' },
+    { name: 'Honolulu', lat: 21.31, lon: -157.86, zone: 'Pacific/Honolulu' },
+    { name: 'Anchorage', lat: 61.22, lon: -149.90, zone: 'America/Anchorage' },
+    { name: 'St Louis', lat: 38.63, lon: -90.20, zone: 'America/Chicago' },
+    { name: 'Pittsburgh', lat: 40.44, lon: -80.00, zone: 'America/New_York' },
+    { name: 'Cincinnati', lat: 39.10, lon: -84.51, zone: 'America/New_York' },
+    { name: 'Orlando', lat: 28.54, lon: -81.38, zone: 'America/New_York' },
+    { name: 'Salt Lake City', lat: 40.76, lon: -111.89, zone: 'America/Denver' },
+    { name: 'Boise', lat: 43.62, lon: -116.20, zone: 'America/Boise' },
+    { name: 'Richmond', lat: 37.54, lon: -77.44, zone: 'America/New_York' },
+    { name: 'Buffalo', lat: 42.89, lon: -78.88, zone: 'America/New_York' },
+    { name: 'Hartford', lat: 41.76, lon: -72.69, zone: 'America/New_York' },
+    { name: 'Providence', lat: 41.82, lon: -71.41, zone: 'America/New_York' },
+    { name: 'Birmingham', lat: 33.52, lon: -86.80, zone: 'America/Chicago' },
     // North America - Canada
-    { name: 'Toronto', lat: 43.65, lon: -79.38, tz: -5 },
-    { name: 'Montreal', lat: 45.50, lon: -73.57, tz: -5 },
-    { name: 'Vancouver', lat: 49.28, lon: -123.12, tz: -8 },
-    { name: 'Calgary', lat: 51.04, lon: -114.07, tz: -7 },
-    { name: 'Edmonton', lat: 53.55, lon: -113.49, tz: -7 },
-    { name: 'Ottawa', lat: 45.42, lon: -75.70, tz: -5 },
-    { name: 'Winnipeg', lat: 49.90, lon: -97.14, tz: -6 },
-    { name: 'Quebec City', lat: 46.81, lon: -71.21, tz: -5 },
-    { name: 'Hamilton', lat: 43.26, lon: -79.87, tz: -5 },
-    { name: 'Victoria', lat: 48.43, lon: -123.37, tz: -8 },
-    { name: 'Halifax', lat: 44.65, lon: -63.58, tz: -4 },
-    { name: 'Saskatoon', lat: 52.13, lon: -106.67, tz: -6 },
-    { name: 'Regina', lat: 50.45, lon: -104.62, tz: -6 },
-    { name: 'St Johns', lat: 47.56, lon: -52.71, tz: -3.5 },
-    { name: 'Kelowna', lat: 49.89, lon: -119.50, tz: -8 },
-    { name: 'London ON', lat: 42.98, lon: -81.25, tz: -5 },
-    { name: 'Kitchener', lat: 43.45, lon: -80.49, tz: -5 },
+    { name: 'Toronto', lat: 43.65, lon: -79.38, zone: 'America/Toronto' },
+    { name: 'Montreal', lat: 45.50, lon: -73.57, zone: 'America/Toronto' },
+    { name: 'Vancouver', lat: 49.28, lon: -123.12, zone: 'America/Vancouver' },
+    { name: 'Calgary', lat: 51.04, lon: -114.07, zone: 'America/Edmonton' },
+    { name: 'Edmonton', lat: 53.55, lon: -113.49, zone: 'America/Edmonton' },
+    { name: 'Ottawa', lat: 45.42, lon: -75.70, zone: 'America/Toronto' },
+    { name: 'Winnipeg', lat: 49.90, lon: -97.14, zone: 'America/Winnipeg' },
+    { name: 'Quebec City', lat: 46.81, lon: -71.21, zone: 'America/Toronto' },
+    { name: 'Hamilton', lat: 43.26, lon: -79.87, zone: 'America/Toronto' },
+    { name: 'Victoria', lat: 48.43, lon: -123.37, zone: 'America/Vancouver' },
+    { name: 'Halifax', lat: 44.65, lon: -63.58, zone: 'America/Halifax' },
+    { name: 'Saskatoon', lat: 52.13, lon: -106.67, zone: 'America/Regina' },
+    { name: 'Regina', lat: 50.45, lon: -104.62, zone: 'America/Regina' },
+    { name: 'St Johns', lat: 47.56, lon: -52.71, zone: 'America/St_Johns' },
+    { name: 'Kelowna', lat: 49.89, lon: -119.50, zone: 'America/Vancouver' },
+    { name: 'London ON', lat: 42.98, lon: -81.25, zone: 'America/Toronto' },
+    { name: 'Kitchener', lat: 43.45, lon: -80.49, zone: 'America/Toronto' },
     // Mexico & Central America
-    { name: 'Guadalajara', lat: 20.66, lon: -103.35, tz: -6 },
-    { name: 'Monterrey', lat: 25.69, lon: -100.32, tz: -6 },
-    { name: 'Puebla', lat: 19.04, lon: -98.21, tz: -6 },
-    { name: 'Tijuana', lat: 32.53, lon: -117.02, tz: -8 },
-    { name: 'León', lat: 21.13, lon: -101.69, tz: -6 },
-    { name: 'Cancún', lat: 21.16, lon: -86.85, tz: -5 },
-    { name: 'Mérida', lat: 20.97, lon: -89.62, tz: -6 },
-    { name: 'Guatemala City', lat: 14.63, lon: -90.51, tz: -6 },
-    { name: 'San Salvador', lat: 13.69, lon: -89.22, tz: -6 },
-    { name: 'Tegucigalpa', lat: 14.07, lon: -87.21, tz: -6 },
-    { name: 'Managua', lat: 12.11, lon: -86.27, tz: -6 },
-    { name: 'San José CR', lat: 9.93, lon: -84.08, tz: -6 },
-    { name: 'Panama City', lat: 8.98, lon: -79.52, tz: -5 },
-    { name: 'Havana', lat: 23.11, lon: -82.37, tz: -5 },
-    { name: 'Santo Domingo', lat: 18.49, lon: -69.90, tz: -4 },
-    { name: 'San Juan', lat: 18.47, lon: -66.11, tz: -4 },
-    { name: 'Kingston', lat: 18.00, lon: -76.79, tz: -5 },
-    { name: 'Port-au-Prince', lat: 18.54, lon: -72.34, tz: -5 },
+    { name: 'Guadalajara', lat: 20.66, lon: -103.35, zone: 'America/Mexico_City' },
+    { name: 'Monterrey', lat: 25.69, lon: -100.32, zone: 'America/Monterrey' },
+    { name: 'Puebla', lat: 19.04, lon: -98.21, zone: 'America/Mexico_City' },
+    { name: 'Tijuana', lat: 32.53, lon: -117.02, zone: 'America/Tijuana' },
+    { name: 'León', lat: 21.13, lon: -101.69, zone: 'America/Mexico_City' },
+    { name: 'Cancún', lat: 21.16, lon: -86.85, zone: 'America/Cancun' },
+    { name: 'Mérida', lat: 20.97, lon: -89.62, zone: 'America/Merida' },
+    { name: 'Guatemala City', lat: 14.63, lon: -90.51, zone: 'America/Guatemala' },
+    { name: 'San Salvador', lat: 13.69, lon: -89.22, zone: 'America/El_Salvador' },
+    { name: 'Tegucigalpa', lat: 14.07, lon: -87.21, zone: 'America/Tegucigalpa' },
+    { name: 'Managua', lat: 12.11, lon: -86.27, zone: 'America/Managua' },
+    { name: 'San José CR', lat: 9.93, lon: -84.08, zone: 'America/Costa_Rica' },
+    { name: 'Panama City', lat: 8.98, lon: -79.52, zone: 'America/Panama' },
+    { name: 'Havana', lat: 23.11, lon: -82.37, zone: 'America/Havana' },
+    { name: 'Santo Domingo', lat: 18.49, lon: -69.90, zone: 'America/Santo_Domingo' },
+    { name: 'San Juan', lat: 18.47, lon: -66.11, zone: 'America/Puerto_Rico' },
+    { name: 'Kingston', lat: 18.00, lon: -76.79, zone: 'America/Jamaica' },
+    { name: 'Port-au-Prince', lat: 18.54, lon: -72.34, zone: 'America/Port-au-Prince' },
     // South America
-    { name: 'Medellín', lat: 6.25, lon: -75.56, tz: -5 },
-    { name: 'Cali', lat: 3.44, lon: -76.52, tz: -5 },
-    { name: 'Barranquilla', lat: 10.96, lon: -74.80, tz: -5 },
-    { name: 'Cartagena', lat: 10.39, lon: -75.51, tz: -5 },
-    { name: 'Caracas', lat: 10.49, lon: -66.88, tz: -4 },
-    { name: 'Maracaibo', lat: 10.63, lon: -71.64, tz: -4 },
-    { name: 'Valencia VE', lat: 10.18, lon: -67.99, tz: -4 },
-    { name: 'Quito', lat: -0.18, lon: -78.47, tz: -5 },
-    { name: 'Guayaquil', lat: -2.17, lon: -79.90, tz: -5 },
-    { name: 'Cuenca', lat: -2.90, lon: -79.00, tz: -5 },
-    { name: 'Belo Horizonte', lat: -19.92, lon: -43.94, tz: -3 },
-    { name: 'Brasília', lat: -15.79, lon: -47.88, tz: -3 },
-    { name: 'Salvador', lat: -12.97, lon: -38.51, tz: -3 },
-    { name: 'Fortaleza', lat: -3.72, lon: -38.54, tz: -3 },
-    { name: 'Recife', lat: -8.05, lon: -34.88, tz: -3 },
-    { name: 'Porto Alegre', lat: -30.03, lon: -51.23, tz: -3 },
-    { name: 'Curitiba', lat: -25.43, lon: -49.27, tz: -3 },
-    { name: 'Manaus', lat: -3.12, lon: -60.02, tz: -4 },
-    { name: 'Belém', lat: -1.46, lon: -48.50, tz: -3 },
-    { name: 'Córdoba AR', lat: -31.42, lon: -64.18, tz: -3 },
-    { name: 'Rosario', lat: -32.95, lon: -60.65, tz: -3 },
-    { name: 'Mendoza', lat: -32.89, lon: -68.83, tz: -3 },
-    { name: 'Santiago', lat: -33.45, lon: -70.67, tz: -4 },
-    { name: 'Valparaíso', lat: -33.05, lon: -71.62, tz: -4 },
-    { name: 'Concepción', lat: -36.83, lon: -73.05, tz: -4 },
-    { name: 'Montevideo', lat: -34.90, lon: -56.19, tz: -3 },
-    { name: 'Asunción', lat: -25.26, lon: -57.58, tz: -4 },
-    { name: 'La Paz', lat: -16.50, lon: -68.15, tz: -4 },
-    { name: 'Santa Cruz BO', lat: -17.79, lon: -63.18, tz: -4 },
-    { name: 'Sucre', lat: -19.04, lon: -65.26, tz: -4 },
-    { name: 'Ushuaia', lat: -54.80, lon: -68.30, tz: -3 },
+    { name: 'Medellín', lat: 6.25, lon: -75.56, zone: 'America/Bogota' },
+    { name: 'Cali', lat: 3.44, lon: -76.52, zone: 'America/Bogota' },
+    { name: 'Barranquilla', lat: 10.96, lon: -74.80, zone: 'America/Bogota' },
+    { name: 'Cartagena', lat: 10.39, lon: -75.51, zone: 'America/Bogota' },
+    { name: 'Caracas', lat: 10.49, lon: -66.88, zone: 'America/Caracas' },
+    { name: 'Maracaibo', lat: 10.63, lon: -71.64, zone: 'America/Caracas' },
+    { name: 'Valencia VE', lat: 10.18, lon: -67.99, zone: 'America/Caracas' },
+    { name: 'Quito', lat: -0.18, lon: -78.47, zone: 'America/Guayaquil' },
+    { name: 'Guayaquil', lat: -2.17, lon: -79.90, zone: 'America/Guayaquil' },
+    { name: 'Cuenca', lat: -2.90, lon: -79.00, zone: 'America/Guayaquil' },
+    { name: 'Belo Horizonte', lat: -19.92, lon: -43.94, zone: 'America/Sao_Paulo' },
+    { name: 'Brasília', lat: -15.79, lon: -47.88, zone: 'America/Sao_Paulo' },
+    { name: 'Salvador', lat: -12.97, lon: -38.51, zone: 'America/Bahia' },
+    { name: 'Fortaleza', lat: -3.72, lon: -38.54, zone: 'America/Fortaleza' },
+    { name: 'Recife', lat: -8.05, lon: -34.88, zone: 'America/Recife' },
+    { name: 'Porto Alegre', lat: -30.03, lon: -51.23, zone: 'America/Sao_Paulo' },
+    { name: 'Curitiba', lat: -25.43, lon: -49.27, zone: 'America/Sao_Paulo' },
+    { name: 'Manaus', lat: -3.12, lon: -60.02, zone: 'America/Manaus' },
+    { name: 'Belém', lat: -1.46, lon: -48.50, zone: 'America/Belem' },
+    { name: 'Córdoba AR', lat: -31.42, lon: -64.18, zone: 'America/Argentina/Cordoba' },
+    { name: 'Rosario', lat: -32.95, lon: -60.65, zone: 'America/Argentina/Cordoba' },
+    { name: 'Mendoza', lat: -32.89, lon: -68.83, zone: 'America/Argentina/Mendoza' },
+    { name: 'Santiago', lat: -33.45, lon: -70.67, zone: 'America/Santiago' },
+    { name: 'Valparaíso', lat: -33.05, lon: -71.62, zone: 'America/Santiago' },
+    { name: 'Concepción', lat: -36.83, lon: -73.05, zone: 'America/Santiago' },
+    { name: 'Montevideo', lat: -34.90, lon: -56.19, zone: 'America/Montevideo' },
+    { name: 'Asunción', lat: -25.26, lon: -57.58, zone: 'America/Asuncion' },
+    { name: 'La Paz', lat: -16.50, lon: -68.15, zone: 'America/La_Paz' },
+    { name: 'Santa Cruz BO', lat: -17.79, lon: -63.18, zone: 'America/La_Paz' },
+    { name: 'Sucre', lat: -19.04, lon: -65.26, zone: 'America/La_Paz' },
+    { name: 'Ushuaia', lat: -54.80, lon: -68.30, zone: 'America/Argentina/Ushuaia' },
     // Europe - UK & Ireland
-    { name: 'Manchester', lat: 53.48, lon: -2.24, tz: 0 },
-    { name: 'Birmingham UK', lat: 52.49, lon: -1.90, tz: 0 },
-    { name: 'Glasgow', lat: 55.86, lon: -4.25, tz: 0 },
-    { name: 'Liverpool', lat: 53.41, lon: -2.98, tz: 0 },
-    { name: 'Edinburgh', lat: 55.95, lon: -3.19, tz: 0 },
-    { name: 'Leeds', lat: 53.80, lon: -1.55, tz: 0 },
-    { name: 'Bristol', lat: 51.45, lon: -2.59, tz: 0 },
-    { name: 'Sheffield', lat: 53.38, lon: -1.47, tz: 0 },
-    { name: 'Cardiff', lat: 51.48, lon: -3.18, tz: 0 },
-    { name: 'Belfast', lat: 54.60, lon: -5.93, tz: 0 },
-    { name: 'Dublin', lat: 53.35, lon: -6.26, tz: 0 },
-    { name: 'Cork', lat: 51.90, lon: -8.47, tz: 0 },
-    { name: 'Galway', lat: 53.27, lon: -9.06, tz: 0 },
+    { name: 'Manchester', lat: 53.48, lon: -2.24, zone: 'Europe/London' },
+    { name: 'Birmingham UK', lat: 52.49, lon: -1.90, zone: 'Europe/London' },
+    { name: 'Glasgow', lat: 55.86, lon: -4.25, zone: 'Europe/London' },
+    { name: 'Liverpool', lat: 53.41, lon: -2.98, zone: 'Europe/London' },
+    { name: 'Edinburgh', lat: 55.95, lon: -3.19, zone: 'Europe/London' },
+    { name: 'Leeds', lat: 53.80, lon: -1.55, zone: 'Europe/London' },
+    { name: 'Bristol', lat: 51.45, lon: -2.59, zone: 'Europe/London' },
+    { name: 'Sheffield', lat: 53.38, lon: -1.47, zone: 'Europe/London' },
+    { name: 'Cardiff', lat: 51.48, lon: -3.18, zone: 'Europe/London' },
+    { name: 'Belfast', lat: 54.60, lon: -5.93, zone: 'Europe/London' },
+    { name: 'Dublin', lat: 53.35, lon: -6.26, zone: 'Europe/Dublin' },
+    { name: 'Cork', lat: 51.90, lon: -8.47, zone: 'Europe/Dublin' },
+    { name: 'Galway', lat: 53.27, lon: -9.06, zone: 'Europe/Dublin' },
     // Europe - France
-    { name: 'Lyon', lat: 45.76, lon: 4.84, tz: 1 },
-    { name: 'Marseille', lat: 43.30, lon: 5.37, tz: 1 },
-    { name: 'Toulouse', lat: 43.60, lon: 1.44, tz: 1 },
-    { name: 'Nice', lat: 43.71, lon: 7.26, tz: 1 },
-    { name: 'Nantes', lat: 47.22, lon: -1.55, tz: 1 },
-    { name: 'Strasbourg', lat: 48.57, lon: 7.75, tz: 1 },
-    { name: 'Bordeaux', lat: 44.84, lon: -0.58, tz: 1 },
-    { name: 'Lille', lat: 50.63, lon: 3.06, tz: 1 },
-    { name: 'Montpellier', lat: 43.61, lon: 3.87, tz: 1 },
+    { name: 'Lyon', lat: 45.76, lon: 4.84, zone: 'Europe/Paris' },
+    { name: 'Marseille', lat: 43.30, lon: 5.37, zone: 'Europe/Paris' },
+    { name: 'Toulouse', lat: 43.60, lon: 1.44, zone: 'Europe/Paris' },
+    { name: 'Nice', lat: 43.71, lon: 7.26, zone: 'Europe/Paris' },
+    { name: 'Nantes', lat: 47.22, lon: -1.55, zone: 'Europe/Paris' },
+    { name: 'Strasbourg', lat: 48.57, lon: 7.75, zone: 'Europe/Paris' },
+    { name: 'Bordeaux', lat: 44.84, lon: -0.58, zone: 'Europe/Paris' },
+    { name: 'Lille', lat: 50.63, lon: 3.06, zone: 'Europe/Paris' },
+    { name: 'Montpellier', lat: 43.61, lon: 3.87, zone: 'Europe/Paris' },
     // Europe - Germany
-    { name: 'Berlin', lat: 52.52, lon: 13.41, tz: 1 },
-    { name: 'Hamburg', lat: 53.55, lon: 9.99, tz: 1 },
-    { name: 'Munich', lat: 48.14, lon: 11.58, tz: 1 },
-    { name: 'Cologne', lat: 50.94, lon: 6.96, tz: 1 },
-    { name: 'Frankfurt', lat: 50.11, lon: 8.68, tz: 1 },
-    { name: 'Stuttgart', lat: 48.78, lon: 9.18, tz: 1 },
-    { name: 'Düsseldorf', lat: 51.23, lon: 6.78, tz: 1 },
-    { name: 'Leipzig', lat: 51.34, lon: 12.37, tz: 1 },
-    { name: 'Dortmund', lat: 51.51, lon: 7.47, tz: 1 },
-    { name: 'Dresden', lat: 51.05, lon: 13.74, tz: 1 },
-    { name: 'Hannover', lat: 52.37, lon: 9.74, tz: 1 },
-    { name: 'Nuremberg', lat: 49.45, lon: 11.08, tz: 1 },
+    { name: 'Berlin', lat: 52.52, lon: 13.41, zone: 'Europe/Berlin' },
+    { name: 'Hamburg', lat: 53.55, lon: 9.99, zone: 'Europe/Berlin' },
+    { name: 'Munich', lat: 48.14, lon: 11.58, zone: 'Europe/Berlin' },
+    { name: 'Cologne', lat: 50.94, lon: 6.96, zone: 'Europe/Berlin' },
+    { name: 'Frankfurt', lat: 50.11, lon: 8.68, zone: 'Europe/Berlin' },
+    { name: 'Stuttgart', lat: 48.78, lon: 9.18, zone: 'Europe/Berlin' },
+    { name: 'Düsseldorf', lat: 51.23, lon: 6.78, zone: 'Europe/Berlin' },
+    { name: 'Leipzig', lat: 51.34, lon: 12.37, zone: 'Europe/Berlin' },
+    { name: 'Dortmund', lat: 51.51, lon: 7.47, zone: 'Europe/Berlin' },
+    { name: 'Dresden', lat: 51.05, lon: 13.74, zone: 'Europe/Berlin' },
+    { name: 'Hannover', lat: 52.37, lon: 9.74, zone: 'Europe/Berlin' },
+    { name: 'Nuremberg', lat: 49.45, lon: 11.08, zone: 'Europe/Berlin' },
     // Europe - Italy
-    { name: 'Rome', lat: 41.90, lon: 12.50, tz: 1 },
-    { name: 'Milan', lat: 45.46, lon: 9.19, tz: 1 },
-    { name: 'Naples', lat: 40.85, lon: 14.27, tz: 1 },
-    { name: 'Turin', lat: 45.07, lon: 7.69, tz: 1 },
-    { name: 'Palermo', lat: 38.12, lon: 13.36, tz: 1 },
-    { name: 'Genoa', lat: 44.41, lon: 8.93, tz: 1 },
-    { name: 'Bologna', lat: 44.49, lon: 11.34, tz: 1 },
-    { name: 'Florence', lat: 43.77, lon: 11.25, tz: 1 },
-    { name: 'Venice', lat: 45.44, lon: 12.32, tz: 1 },
-    { name: 'Verona', lat: 45.44, lon: 10.99, tz: 1 },
+    { name: 'Rome', lat: 41.90, lon: 12.50, zone: 'Europe/Rome' },
+    { name: 'Milan', lat: 45.46, lon: 9.19, zone: 'Europe/Rome' },
+    { name: 'Naples', lat: 40.85, lon: 14.27, zone: 'Europe/Rome' },
+    { name: 'Turin', lat: 45.07, lon: 7.69, zone: 'Europe/Rome' },
+    { name: 'Palermo', lat: 38.12, lon: 13.36, zone: 'Europe/Rome' },
+    { name: 'Genoa', lat: 44.41, lon: 8.93, zone: 'Europe/Rome' },
+    { name: 'Bologna', lat: 44.49, lon: 11.34, zone: 'Europe/Rome' },
+    { name: 'Florence', lat: 43.77, lon: 11.25, zone: 'Europe/Rome' },
+    { name: 'Venice', lat: 45.44, lon: 12.32, zone: 'Europe/Rome' },
+    { name: 'Verona', lat: 45.44, lon: 10.99, zone: 'Europe/Rome' },
     // Europe - Spain & Portugal
-    { name: 'Madrid', lat: 40.42, lon: -3.70, tz: 1 },
-    { name: 'Barcelona', lat: 41.39, lon: 2.17, tz: 1 },
-    { name: 'Valencia', lat: 39.47, lon: -0.38, tz: 1 },
-    { name: 'Seville', lat: 37.39, lon: -5.99, tz: 1 },
-    { name: 'Zaragoza', lat: 41.65, lon: -0.88, tz: 1 },
-    { name: 'Málaga', lat: 36.72, lon: -4.42, tz: 1 },
-    { name: 'Bilbao', lat: 43.26, lon: -2.93, tz: 1 },
-    { name: 'Lisbon', lat: 38.72, lon: -9.14, tz: 0 },
-    { name: 'Porto', lat: 41.16, lon: -8.63, tz: 0 },
+    { name: 'Madrid', lat: 40.42, lon: -3.70, zone: 'Europe/Madrid' },
+    { name: 'Barcelona', lat: 41.39, lon: 2.17, zone: 'Europe/Madrid' },
+    { name: 'Valencia', lat: 39.47, lon: -0.38, zone: 'Europe/Madrid' },
+    { name: 'Seville', lat: 37.39, lon: -5.99, zone: 'Europe/Madrid' },
+    { name: 'Zaragoza', lat: 41.65, lon: -0.88, zone: 'Europe/Madrid' },
+    { name: 'Málaga', lat: 36.72, lon: -4.42, zone: 'Europe/Madrid' },
+    { name: 'Bilbao', lat: 43.26, lon: -2.93, zone: 'Europe/Madrid' },
+    { name: 'Lisbon', lat: 38.72, lon: -9.14, zone: 'Europe/Lisbon' },
+    { name: 'Porto', lat: 41.16, lon: -8.63, zone: 'Europe/Lisbon' },
     // Europe - Netherlands, Belgium, Switzerland
-    { name: 'Amsterdam', lat: 52.37, lon: 4.90, tz: 1 },
-    { name: 'Rotterdam', lat: 51.92, lon: 4.48, tz: 1 },
-    { name: 'The Hague', lat: 52.08, lon: 4.30, tz: 1 },
-    { name: 'Utrecht', lat: 52.09, lon: 5.12, tz: 1 },
-    { name: 'Brussels', lat: 50.85, lon: 4.35, tz: 1 },
-    { name: 'Antwerp', lat: 51.22, lon: 4.40, tz: 1 },
-    { name: 'Zurich', lat: 47.38, lon: 8.54, tz: 1 },
-    { name: 'Geneva', lat: 46.20, lon: 6.14, tz: 1 },
-    { name: 'Basel', lat: 47.56, lon: 7.59, tz: 1 },
-    { name: 'Bern', lat: 46.95, lon: 7.45, tz: 1 },
-    { name: 'Luxembourg', lat: 49.61, lon: 6.13, tz: 1 },
+    { name: 'Amsterdam', lat: 52.37, lon: 4.90, zone: 'Europe/Amsterdam' },
+    { name: 'Rotterdam', lat: 51.92, lon: 4.48, zone: 'Europe/Amsterdam' },
+    { name: 'The Hague', lat: 52.08, lon: 4.30, zone: 'Europe/Amsterdam' },
+    { name: 'Utrecht', lat: 52.09, lon: 5.12, zone: 'Europe/Amsterdam' },
+    { name: 'Brussels', lat: 50.85, lon: 4.35, zone: 'Europe/Brussels' },
+    { name: 'Antwerp', lat: 51.22, lon: 4.40, zone: 'Europe/Brussels' },
+    { name: 'Zurich', lat: 47.38, lon: 8.54, zone: 'Europe/Zurich' },
+    { name: 'Geneva', lat: 46.20, lon: 6.14, zone: 'Europe/Zurich' },
+    { name: 'Basel', lat: 47.56, lon: 7.59, zone: 'Europe/Zurich' },
+    { name: 'Bern', lat: 46.95, lon: 7.45, zone: 'Europe/Zurich' },
+    { name: 'Luxembourg', lat: 49.61, lon: 6.13, zone: 'Europe/Luxembourg' },
     // Europe - Nordic
-    { name: 'Stockholm', lat: 59.33, lon: 18.07, tz: 1 },
-    { name: 'Gothenburg', lat: 57.71, lon: 11.97, tz: 1 },
-    { name: 'Malmö', lat: 55.60, lon: 13.00, tz: 1 },
-    { name: 'Oslo', lat: 59.91, lon: 10.75, tz: 1 },
-    { name: 'Bergen', lat: 60.39, lon: 5.32, tz: 1 },
-    { name: 'Trondheim', lat: 63.43, lon: 10.40, tz: 1 },
-    { name: 'Copenhagen', lat: 55.68, lon: 12.57, tz: 1 },
-    { name: 'Aarhus', lat: 56.16, lon: 10.20, tz: 1 },
-    { name: 'Helsinki', lat: 60.17, lon: 24.94, tz: 2 },
-    { name: 'Tampere', lat: 61.50, lon: 23.79, tz: 2 },
-    { name: 'Turku', lat: 60.45, lon: 22.27, tz: 2 },
-    { name: 'Reykjavik', lat: 64.15, lon: -21.94, tz: 0 },
+    { name: 'Stockholm', lat: 59.33, lon: 18.07, zone: 'Europe/Stockholm' },
+    { name: 'Gothenburg', lat: 57.71, lon: 11.97, zone: 'Europe/Stockholm' },
+    { name: 'Malmö', lat: 55.60, lon: 13.00, zone: 'Europe/Stockholm' },
+    { name: 'Oslo', lat: 59.91, lon: 10.75, zone: 'Europe/Oslo' },
+    { name: 'Bergen', lat: 60.39, lon: 5.32, zone: 'Europe/Oslo' },
+    { name: 'Trondheim', lat: 63.43, lon: 10.40, zone: 'Europe/Oslo' },
+    { name: 'Copenhagen', lat: 55.68, lon: 12.57, zone: 'Europe/Copenhagen' },
+    { name: 'Aarhus', lat: 56.16, lon: 10.20, zone: 'Europe/Copenhagen' },
+    { name: 'Helsinki', lat: 60.17, lon: 24.94, zone: 'Europe/Helsinki' },
+    { name: 'Tampere', lat: 61.50, lon: 23.79, zone: 'Europe/Helsinki' },
+    { name: 'Turku', lat: 60.45, lon: 22.27, zone: 'Europe/Helsinki' },
+    { name: 'Reykjavik', lat: 64.15, lon: -21.94, zone: 'Atlantic/Reykjavik' },
     // Europe - Central & Eastern
-    { name: 'Vienna', lat: 48.21, lon: 16.37, tz: 1 },
-    { name: 'Graz', lat: 47.07, lon: 15.44, tz: 1 },
-    { name: 'Warsaw', lat: 52.23, lon: 21.01, tz: 1 },
-    { name: 'Kraków', lat: 50.06, lon: 19.94, tz: 1 },
-    { name: 'Wrocław', lat: 51.11, lon: 17.04, tz: 1 },
-    { name: 'Gdańsk', lat: 54.35, lon: 18.65, tz: 1 },
-    { name: 'Prague', lat: 50.08, lon: 14.44, tz: 1 },
-    { name: 'Brno', lat: 49.20, lon: 16.61, tz: 1 },
-    { name: 'Budapest', lat: 47.50, lon: 19.04, tz: 1 },
-    { name: 'Bucharest', lat: 44.43, lon: 26.10, tz: 2 },
-    { name: 'Cluj-Napoca', lat: 46.77, lon: 23.60, tz: 2 },
-    { name: 'Sofia', lat: 42.70, lon: 23.32, tz: 2 },
-    { name: 'Belgrade', lat: 44.79, lon: 20.45, tz: 1 },
-    { name: 'Zagreb', lat: 45.81, lon: 15.98, tz: 1 },
-    { name: 'Ljubljana', lat: 46.05, lon: 14.51, tz: 1 },
-    { name: 'Bratislava', lat: 48.15, lon: 17.11, tz: 1 },
+    { name: 'Vienna', lat: 48.21, lon: 16.37, zone: 'Europe/Vienna' },
+    { name: 'Graz', lat: 47.07, lon: 15.44, zone: 'Europe/Vienna' },
+    { name: 'Warsaw', lat: 52.23, lon: 21.01, zone: 'Europe/Warsaw' },
+    { name: 'Kraków', lat: 50.06, lon: 19.94, zone: 'Europe/Warsaw' },
+    { name: 'Wrocław', lat: 51.11, lon: 17.04, zone: 'Europe/Warsaw' },
+    { name: 'Gdańsk', lat: 54.35, lon: 18.65, zone: 'Europe/Warsaw' },
+    { name: 'Prague', lat: 50.08, lon: 14.44, zone: 'Europe/Prague' },
+    { name: 'Brno', lat: 49.20, lon: 16.61, zone: 'Europe/Prague' },
+    { name: 'Budapest', lat: 47.50, lon: 19.04, zone: 'Europe/Budapest' },
+    { name: 'Bucharest', lat: 44.43, lon: 26.10, zone: 'Europe/Bucharest' },
+    { name: 'Cluj-Napoca', lat: 46.77, lon: 23.60, zone: 'Europe/Bucharest' },
+    { name: 'Sofia', lat: 42.70, lon: 23.32, zone: 'Europe/Sofia' },
+    { name: 'Belgrade', lat: 44.79, lon: 20.45, zone: 'Europe/Belgrade' },
+    { name: 'Zagreb', lat: 45.81, lon: 15.98, zone: 'Europe/Zagreb' },
+    { name: 'Ljubljana', lat: 46.05, lon: 14.51, zone: 'Europe/Ljubljana' },
+    { name: 'Bratislava', lat: 48.15, lon: 17.11, zone: 'Europe/Bratislava' },
     // Europe - Greece & Turkey
-    { name: 'Athens', lat: 37.98, lon: 23.73, tz: 2 },
-    { name: 'Thessaloniki', lat: 40.64, lon: 22.94, tz: 2 },
-    { name: 'Ankara', lat: 39.93, lon: 32.85, tz: 3 },
-    { name: 'Izmir', lat: 38.42, lon: 27.13, tz: 3 },
-    { name: 'Antalya', lat: 36.90, lon: 30.69, tz: 3 },
-    { name: 'Bursa', lat: 40.19, lon: 29.06, tz: 3 },
+    { name: 'Athens', lat: 37.98, lon: 23.73, zone: 'Europe/Athens' },
+    { name: 'Thessaloniki', lat: 40.64, lon: 22.94, zone: 'Europe/Athens' },
+    { name: 'Ankara', lat: 39.93, lon: 32.85, zone: 'Europe/Istanbul' },
+    { name: 'Izmir', lat: 38.42, lon: 27.13, zone: 'Europe/Istanbul' },
+    { name: 'Antalya', lat: 36.90, lon: 30.69, zone: 'Europe/Istanbul' },
+    { name: 'Bursa', lat: 40.19, lon: 29.06, zone: 'Europe/Istanbul' },
     // Europe - Ukraine & Belarus
-    { name: 'Kyiv', lat: 50.45, lon: 30.52, tz: 2 },
-    { name: 'Kharkiv', lat: 49.99, lon: 36.23, tz: 2 },
-    { name: 'Odesa', lat: 46.47, lon: 30.73, tz: 2 },
-    { name: 'Dnipro', lat: 48.46, lon: 35.04, tz: 2 },
-    { name: 'Lviv', lat: 49.84, lon: 24.03, tz: 2 },
-    { name: 'Minsk', lat: 53.90, lon: 27.57, tz: 3 },
+    { name: 'Kyiv', lat: 50.45, lon: 30.52, zone: 'Europe/Kyiv' },
+    { name: 'Kharkiv', lat: 49.99, lon: 36.23, zone: 'Europe/Kyiv' },
+    { name: 'Odesa', lat: 46.47, lon: 30.73, zone: 'Europe/Kyiv' },
+    { name: 'Dnipro', lat: 48.46, lon: 35.04, zone: 'Europe/Kyiv' },
+    { name: 'Lviv', lat: 49.84, lon: 24.03, zone: 'Europe/Kyiv' },
+    { name: 'Minsk', lat: 53.90, lon: 27.57, zone: 'Europe/Minsk' },
     // Russia
-    { name: 'St Petersburg', lat: 59.93, lon: 30.34, tz: 3 },
-    { name: 'Novosibirsk', lat: 55.01, lon: 82.93, tz: 7 },
-    { name: 'Yekaterinburg', lat: 56.84, lon: 60.60, tz: 5 },
-    { name: 'Kazan', lat: 55.80, lon: 49.11, tz: 3 },
-    { name: 'Nizhny Novgorod', lat: 56.33, lon: 44.00, tz: 3 },
-    { name: 'Samara', lat: 53.20, lon: 50.15, tz: 4 },
-    { name: 'Chelyabinsk', lat: 55.16, lon: 61.40, tz: 5 },
-    { name: 'Omsk', lat: 54.99, lon: 73.37, tz: 6 },
-    { name: 'Rostov-on-Don', lat: 47.24, lon: 39.71, tz: 3 },
-    { name: 'Ufa', lat: 54.74, lon: 55.97, tz: 5 },
-    { name: 'Krasnoyarsk', lat: 56.01, lon: 92.87, tz: 7 },
-    { name: 'Perm', lat: 58.01, lon: 56.25, tz: 5 },
-    { name: 'Voronezh', lat: 51.67, lon: 39.18, tz: 3 },
-    { name: 'Volgograd', lat: 48.71, lon: 44.50, tz: 3 },
-    { name: 'Vladivostok', lat: 43.12, lon: 131.87, tz: 10 },
-    { name: 'Irkutsk', lat: 52.29, lon: 104.28, tz: 8 },
-    { name: 'Khabarovsk', lat: 48.48, lon: 135.08, tz: 10 },
-    { name: 'Sochi', lat: 43.59, lon: 39.73, tz: 3 },
+    { name: 'St Petersburg', lat: 59.93, lon: 30.34, zone: 'Europe/Moscow' },
+    { name: 'Novosibirsk', lat: 55.01, lon: 82.93, zone: 'Asia/Novosibirsk' },
+    { name: 'Yekaterinburg', lat: 56.84, lon: 60.60, zone: 'Asia/Yekaterinburg' },
+    { name: 'Kazan', lat: 55.80, lon: 49.11, zone: 'Europe/Moscow' },
+    { name: 'Nizhny Novgorod', lat: 56.33, lon: 44.00, zone: 'Europe/Moscow' },
+    { name: 'Samara', lat: 53.20, lon: 50.15, zone: 'Europe/Samara' },
+    { name: 'Chelyabinsk', lat: 55.16, lon: 61.40, zone: 'Asia/Yekaterinburg' },
+    { name: 'Omsk', lat: 54.99, lon: 73.37, zone: 'Asia/Omsk' },
+    { name: 'Rostov-on-Don', lat: 47.24, lon: 39.71, zone: 'Europe/Moscow' },
+    { name: 'Ufa', lat: 54.74, lon: 55.97, zone: 'Asia/Yekaterinburg' },
+    { name: 'Krasnoyarsk', lat: 56.01, lon: 92.87, zone: 'Asia/Krasnoyarsk' },
+    { name: 'Perm', lat: 58.01, lon: 56.25, zone: 'Asia/Yekaterinburg' },
+    { name: 'Voronezh', lat: 51.67, lon: 39.18, zone: 'Europe/Moscow' },
+    { name: 'Volgograd', lat: 48.71, lon: 44.50, zone: 'Europe/Volgograd' },
+    { name: 'Vladivostok', lat: 43.12, lon: 131.87, zone: 'Asia/Vladivostok' },
+    { name: 'Irkutsk', lat: 52.29, lon: 104.28, zone: 'Asia/Irkutsk' },
+    { name: 'Khabarovsk', lat: 48.48, lon: 135.08, zone: 'Asia/Vladivostok' },
+    { name: 'Sochi', lat: 43.59, lon: 39.73, zone: 'Europe/Moscow' },
     // Middle East
-    { name: 'Riyadh', lat: 24.69, lon: 46.72, tz: 3 },
-    { name: 'Jeddah', lat: 21.49, lon: 39.19, tz: 3 },
-    { name: 'Mecca', lat: 21.39, lon: 39.86, tz: 3 },
-    { name: 'Medina', lat: 24.52, lon: 39.57, tz: 3 },
-    { name: 'Dubai', lat: 25.20, lon: 55.27, tz: 4 },
-    { name: 'Abu Dhabi', lat: 24.45, lon: 54.38, tz: 4 },
-    { name: 'Sharjah', lat: 25.36, lon: 55.39, tz: 4 },
-    { name: 'Kuwait City', lat: 29.38, lon: 47.99, tz: 3 },
-    { name: 'Doha', lat: 25.29, lon: 51.53, tz: 3 },
-    { name: 'Manama', lat: 26.23, lon: 50.59, tz: 3 },
-    { name: 'Muscat', lat: 23.59, lon: 58.38, tz: 4 },
-    { name: 'Amman', lat: 31.96, lon: 35.95, tz: 2 },
-    { name: 'Beirut', lat: 33.89, lon: 35.50, tz: 2 },
-    { name: 'Damascus', lat: 33.51, lon: 36.29, tz: 2 },
-    { name: 'Aleppo', lat: 36.20, lon: 37.16, tz: 2 },
-    { name: 'Baghdad', lat: 33.31, lon: 44.37, tz: 3 },
-    { name: 'Basra', lat: 30.51, lon: 47.82, tz: 3 },
-    { name: 'Jerusalem', lat: 31.77, lon: 35.23, tz: 2 },
-    { name: 'Tel Aviv', lat: 32.09, lon: 34.78, tz: 2 },
-    { name: 'Haifa', lat: 32.79, lon: 34.99, tz: 2 },
-    { name: 'Tabriz', lat: 38.08, lon: 46.29, tz: 3.5 },
-    { name: 'Isfahan', lat: 32.65, lon: 51.68, tz: 3.5 },
-    { name: 'Mashhad', lat: 36.30, lon: 59.60, tz: 3.5 },
-    { name: 'Shiraz', lat: 29.59, lon: 52.58, tz: 3.5 },
-    { name: 'Kabul', lat: 34.53, lon: 69.17, tz: 4.5 },
-    { name: 'Sanaa', lat: 15.37, lon: 44.21, tz: 3 },
+    { name: 'Riyadh', lat: 24.69, lon: 46.72, zone: 'Asia/Riyadh' },
+    { name: 'Jeddah', lat: 21.49, lon: 39.19, zone: 'Asia/Riyadh' },
+    { name: 'Mecca', lat: 21.39, lon: 39.86, zone: 'Asia/Riyadh' },
+    { name: 'Medina', lat: 24.52, lon: 39.57, zone: 'Asia/Riyadh' },
+    { name: 'Dubai', lat: 25.20, lon: 55.27, zone: 'Asia/Dubai' },
+    { name: 'Abu Dhabi', lat: 24.45, lon: 54.38, zone: 'Asia/Dubai' },
+    { name: 'Sharjah', lat: 25.36, lon: 55.39, zone: 'Asia/Dubai' },
+    { name: 'Kuwait City', lat: 29.38, lon: 47.99, zone: 'Asia/Kuwait' },
+    { name: 'Doha', lat: 25.29, lon: 51.53, zone: 'Asia/Qatar' },
+    { name: 'Manama', lat: 26.23, lon: 50.59, zone: 'Asia/Bahrain' },
+    { name: 'Muscat', lat: 23.59, lon: 58.38, zone: 'Asia/Muscat' },
+    { name: 'Amman', lat: 31.96, lon: 35.95, zone: 'Asia/Amman' },
+    { name: 'Beirut', lat: 33.89, lon: 35.50, zone: 'Asia/Beirut' },
+    { name: 'Damascus', lat: 33.51, lon: 36.29, zone: 'Asia/Damascus' },
+    { name: 'Aleppo', lat: 36.20, lon: 37.16, zone: 'Asia/Damascus' },
+    { name: 'Baghdad', lat: 33.31, lon: 44.37, zone: 'Asia/Baghdad' },
+    { name: 'Basra', lat: 30.51, lon: 47.82, zone: 'Asia/Baghdad' },
+    { name: 'Jerusalem', lat: 31.77, lon: 35.23, zone: 'Asia/Jerusalem' },
+    { name: 'Tel Aviv', lat: 32.09, lon: 34.78, zone: 'Asia/Jerusalem' },
+    { name: 'Haifa', lat: 32.79, lon: 34.99, zone: 'Asia/Jerusalem' },
+    { name: 'Tabriz', lat: 38.08, lon: 46.29, zone: 'Asia/Tehran' },
+    { name: 'Isfahan', lat: 32.65, lon: 51.68, zone: 'Asia/Tehran' },
+    { name: 'Mashhad', lat: 36.30, lon: 59.60, zone: 'Asia/Tehran' },
+    { name: 'Shiraz', lat: 29.59, lon: 52.58, zone: 'Asia/Tehran' },
+    { name: 'Kabul', lat: 34.53, lon: 69.17, zone: 'Asia/Kabul' },
+    { name: 'Sanaa', lat: 15.37, lon: 44.21, zone: 'Asia/Aden' },
     // South Asia
-    { name: 'Bangalore', lat: 12.97, lon: 77.59, tz: 5.5 },
-    { name: 'Hyderabad', lat: 17.39, lon: 78.49, tz: 5.5 },
-    { name: 'Ahmedabad', lat: 23.02, lon: 72.57, tz: 5.5 },
-    { name: 'Pune', lat: 18.52, lon: 73.86, tz: 5.5 },
-    { name: 'Surat', lat: 21.17, lon: 72.83, tz: 5.5 },
-    { name: 'Jaipur', lat: 26.92, lon: 75.79, tz: 5.5 },
-    { name: 'Lucknow', lat: 26.85, lon: 80.95, tz: 5.5 },
-    { name: 'Kanpur', lat: 26.45, lon: 80.35, tz: 5.5 },
-    { name: 'Nagpur', lat: 21.15, lon: 79.09, tz: 5.5 },
-    { name: 'Indore', lat: 22.72, lon: 75.86, tz: 5.5 },
-    { name: 'Thane', lat: 19.20, lon: 72.96, tz: 5.5 },
-    { name: 'Bhopal', lat: 23.26, lon: 77.41, tz: 5.5 },
-    { name: 'Visakhapatnam', lat: 17.69, lon: 83.22, tz: 5.5 },
-    { name: 'Patna', lat: 25.61, lon: 85.14, tz: 5.5 },
-    { name: 'Vadodara', lat: 22.31, lon: 73.18, tz: 5.5 },
-    { name: 'Ghaziabad', lat: 28.67, lon: 77.42, tz: 5.5 },
-    { name: 'Coimbatore', lat: 11.02, lon: 76.96, tz: 5.5 },
-    { name: 'Kochi', lat: 9.93, lon: 76.27, tz: 5.5 },
-    { name: 'Lahore', lat: 31.55, lon: 74.34, tz: 5 },
-    { name: 'Faisalabad', lat: 31.42, lon: 73.09, tz: 5 },
-    { name: 'Rawalpindi', lat: 33.60, lon: 73.04, tz: 5 },
-    { name: 'Islamabad', lat: 33.68, lon: 73.05, tz: 5 },
-    { name: 'Multan', lat: 30.20, lon: 71.46, tz: 5 },
-    { name: 'Peshawar', lat: 34.01, lon: 71.58, tz: 5 },
-    { name: 'Chittagong', lat: 22.36, lon: 91.78, tz: 6 },
-    { name: 'Khulna', lat: 22.82, lon: 89.55, tz: 6 },
-    { name: 'Kathmandu', lat: 27.72, lon: 85.32, tz: 5.75 },
-    { name: 'Colombo', lat: 6.93, lon: 79.85, tz: 5.5 },
-    { name: 'Kandy', lat: 7.29, lon: 80.64, tz: 5.5 },
+    { name: 'Bangalore', lat: 12.97, lon: 77.59, zone: 'Asia/Kolkata' },
+    { name: 'Hyderabad', lat: 17.39, lon: 78.49, zone: 'Asia/Kolkata' },
+    { name: 'Ahmedabad', lat: 23.02, lon: 72.57, zone: 'Asia/Kolkata' },
+    { name: 'Pune', lat: 18.52, lon: 73.86, zone: 'Asia/Kolkata' },
+    { name: 'Surat', lat: 21.17, lon: 72.83, zone: 'Asia/Kolkata' },
+    { name: 'Jaipur', lat: 26.92, lon: 75.79, zone: 'Asia/Kolkata' },
+    { name: 'Lucknow', lat: 26.85, lon: 80.95, zone: 'Asia/Kolkata' },
+    { name: 'Kanpur', lat: 26.45, lon: 80.35, zone: 'Asia/Kolkata' },
+    { name: 'Nagpur', lat: 21.15, lon: 79.09, zone: 'Asia/Kolkata' },
+    { name: 'Indore', lat: 22.72, lon: 75.86, zone: 'Asia/Kolkata' },
+    { name: 'Thane', lat: 19.20, lon: 72.96, zone: 'Asia/Kolkata' },
+    { name: 'Bhopal', lat: 23.26, lon: 77.41, zone: 'Asia/Kolkata' },
+    { name: 'Visakhapatnam', lat: 17.69, lon: 83.22, zone: 'Asia/Kolkata' },
+    { name: 'Patna', lat: 25.61, lon: 85.14, zone: 'Asia/Kolkata' },
+    { name: 'Vadodara', lat: 22.31, lon: 73.18, zone: 'Asia/Kolkata' },
+    { name: 'Ghaziabad', lat: 28.67, lon: 77.42, zone: 'Asia/Kolkata' },
+    { name: 'Coimbatore', lat: 11.02, lon: 76.96, zone: 'Asia/Kolkata' },
+    { name: 'Kochi', lat: 9.93, lon: 76.27, zone: 'Asia/Kolkata' },
+    { name: 'Lahore', lat: 31.55, lon: 74.34, zone: 'Asia/Karachi' },
+    { name: 'Faisalabad', lat: 31.42, lon: 73.09, zone: 'Asia/Karachi' },
+    { name: 'Rawalpindi', lat: 33.60, lon: 73.04, zone: 'Asia/Karachi' },
+    { name: 'Islamabad', lat: 33.68, lon: 73.05, zone: 'Asia/Karachi' },
+    { name: 'Multan', lat: 30.20, lon: 71.46, zone: 'Asia/Karachi' },
+    { name: 'Peshawar', lat: 34.01, lon: 71.58, zone: 'Asia/Karachi' },
+    { name: 'Chittagong', lat: 22.36, lon: 91.78, zone: 'Asia/Dhaka' },
+    { name: 'Khulna', lat: 22.82, lon: 89.55, zone: 'Asia/Dhaka' },
+    { name: 'Kathmandu', lat: 27.72, lon: 85.32, zone: 'Asia/Kathmandu' },
+    { name: 'Colombo', lat: 6.93, lon: 79.85, zone: 'Asia/Colombo' },
+    { name: 'Kandy', lat: 7.29, lon: 80.64, zone: 'Asia/Colombo' },
     // East Asia
-    { name: 'Yokohama', lat: 35.44, lon: 139.64, tz: 9 },
-    { name: 'Nagoya', lat: 35.18, lon: 136.91, tz: 9 },
-    { name: 'Sapporo', lat: 43.06, lon: 141.35, tz: 9 },
-    { name: 'Kobe', lat: 34.69, lon: 135.20, tz: 9 },
-    { name: 'Kyoto', lat: 35.01, lon: 135.77, tz: 9 },
-    { name: 'Fukuoka', lat: 33.59, lon: 130.40, tz: 9 },
-    { name: 'Hiroshima', lat: 34.39, lon: 132.46, tz: 9 },
-    { name: 'Sendai', lat: 38.27, lon: 140.87, tz: 9 },
-    { name: 'Busan', lat: 35.18, lon: 129.08, tz: 9 },
-    { name: 'Incheon', lat: 37.46, lon: 126.71, tz: 9 },
-    { name: 'Daegu', lat: 35.87, lon: 128.60, tz: 9 },
-    { name: 'Daejeon', lat: 36.35, lon: 127.38, tz: 9 },
-    { name: 'Gwangju', lat: 35.16, lon: 126.85, tz: 9 },
-    { name: 'Chengdu', lat: 30.57, lon: 104.07, tz: 8 },
-    { name: 'Wuhan', lat: 30.59, lon: 114.31, tz: 8 },
-    { name: 'Nanjing', lat: 32.06, lon: 118.78, tz: 8 },
-    { name: 'Tianjin', lat: 39.13, lon: 117.20, tz: 8 },
-    { name: 'Xian', lat: 34.27, lon: 108.95, tz: 8 },
-    { name: 'Hangzhou', lat: 30.27, lon: 120.15, tz: 8 },
-    { name: 'Suzhou', lat: 31.30, lon: 120.59, tz: 8 },
-    { name: 'Chongqing', lat: 29.56, lon: 106.55, tz: 8 },
-    { name: 'Shenyang', lat: 41.80, lon: 123.43, tz: 8 },
-    { name: 'Qingdao', lat: 36.07, lon: 120.38, tz: 8 },
-    { name: 'Dalian', lat: 38.91, lon: 121.60, tz: 8 },
-    { name: 'Harbin', lat: 45.80, lon: 126.53, tz: 8 },
-    { name: 'Changsha', lat: 28.23, lon: 112.94, tz: 8 },
-    { name: 'Zhengzhou', lat: 34.75, lon: 113.63, tz: 8 },
-    { name: 'Kunming', lat: 25.04, lon: 102.71, tz: 8 },
-    { name: 'Xiamen', lat: 24.48, lon: 118.09, tz: 8 },
-    { name: 'Fuzhou', lat: 26.07, lon: 119.30, tz: 8 },
-    { name: 'Taipei', lat: 25.03, lon: 121.57, tz: 8 },
-    { name: 'Kaohsiung', lat: 22.62, lon: 120.31, tz: 8 },
-    { name: 'Taichung', lat: 24.15, lon: 120.67, tz: 8 },
-    { name: 'Macau', lat: 22.20, lon: 113.55, tz: 8 },
-    { name: 'Ulaanbaatar', lat: 47.92, lon: 106.92, tz: 8 },
+    { name: 'Yokohama', lat: 35.44, lon: 139.64, zone: 'Asia/Tokyo' },
+    { name: 'Nagoya', lat: 35.18, lon: 136.91, zone: 'Asia/Tokyo' },
+    { name: 'Sapporo', lat: 43.06, lon: 141.35, zone: 'Asia/Tokyo' },
+    { name: 'Kobe', lat: 34.69, lon: 135.20, zone: 'Asia/Tokyo' },
+    { name: 'Kyoto', lat: 35.01, lon: 135.77, zone: 'Asia/Tokyo' },
+    { name: 'Fukuoka', lat: 33.59, lon: 130.40, zone: 'Asia/Tokyo' },
+    { name: 'Hiroshima', lat: 34.39, lon: 132.46, zone: 'Asia/Tokyo' },
+    { name: 'Sendai', lat: 38.27, lon: 140.87, zone: 'Asia/Tokyo' },
+    { name: 'Busan', lat: 35.18, lon: 129.08, zone: 'Asia/Seoul' },
+    { name: 'Incheon', lat: 37.46, lon: 126.71, zone: 'Asia/Seoul' },
+    { name: 'Daegu', lat: 35.87, lon: 128.60, zone: 'Asia/Seoul' },
+    { name: 'Daejeon', lat: 36.35, lon: 127.38, zone: 'Asia/Seoul' },
+    { name: 'Gwangju', lat: 35.16, lon: 126.85, zone: 'Asia/Seoul' },
+    { name: 'Chengdu', lat: 30.57, lon: 104.07, zone: 'Asia/Shanghai' },
+    { name: 'Wuhan', lat: 30.59, lon: 114.31, zone: 'Asia/Shanghai' },
+    { name: 'Nanjing', lat: 32.06, lon: 118.78, zone: 'Asia/Shanghai' },
+    { name: 'Tianjin', lat: 39.13, lon: 117.20, zone: 'Asia/Shanghai' },
+    { name: 'Xian', lat: 34.27, lon: 108.95, zone: 'Asia/Shanghai' },
+    { name: 'Hangzhou', lat: 30.27, lon: 120.15, zone: 'Asia/Shanghai' },
+    { name: 'Suzhou', lat: 31.30, lon: 120.59, zone: 'Asia/Shanghai' },
+    { name: 'Chongqing', lat: 29.56, lon: 106.55, zone: 'Asia/Shanghai' },
+    { name: 'Shenyang', lat: 41.80, lon: 123.43, zone: 'Asia/Shanghai' },
+    { name: 'Qingdao', lat: 36.07, lon: 120.38, zone: 'Asia/Shanghai' },
+    { name: 'Dalian', lat: 38.91, lon: 121.60, zone: 'Asia/Shanghai' },
+    { name: 'Harbin', lat: 45.80, lon: 126.53, zone: 'Asia/Shanghai' },
+    { name: 'Changsha', lat: 28.23, lon: 112.94, zone: 'Asia/Shanghai' },
+    { name: 'Zhengzhou', lat: 34.75, lon: 113.63, zone: 'Asia/Shanghai' },
+    { name: 'Kunming', lat: 25.04, lon: 102.71, zone: 'Asia/Shanghai' },
+    { name: 'Xiamen', lat: 24.48, lon: 118.09, zone: 'Asia/Shanghai' },
+    { name: 'Fuzhou', lat: 26.07, lon: 119.30, zone: 'Asia/Shanghai' },
+    { name: 'Taipei', lat: 25.03, lon: 121.57, zone: 'Asia/Taipei' },
+    { name: 'Kaohsiung', lat: 22.62, lon: 120.31, zone: 'Asia/Taipei' },
+    { name: 'Taichung', lat: 24.15, lon: 120.67, zone: 'Asia/Taipei' },
+    { name: 'Macau', lat: 22.20, lon: 113.55, zone: 'Asia/Macau' },
+    { name: 'Ulaanbaatar', lat: 47.92, lon: 106.92, zone: 'Asia/Ulaanbaatar' },
     // Southeast Asia
-    { name: 'Hanoi', lat: 21.03, lon: 105.85, tz: 7 },
-    { name: 'Ho Chi Minh', lat: 10.82, lon: 106.63, tz: 7 },
-    { name: 'Da Nang', lat: 16.07, lon: 108.22, tz: 7 },
-    { name: 'Hai Phong', lat: 20.86, lon: 106.68, tz: 7 },
-    { name: 'Kuala Lumpur', lat: 3.14, lon: 101.69, tz: 8 },
-    { name: 'Johor Bahru', lat: 1.49, lon: 103.74, tz: 8 },
-    { name: 'Penang', lat: 5.42, lon: 100.31, tz: 8 },
-    { name: 'Surabaya', lat: -7.25, lon: 112.75, tz: 7 },
-    { name: 'Bandung', lat: -6.91, lon: 107.61, tz: 7 },
-    { name: 'Medan', lat: 3.59, lon: 98.67, tz: 7 },
-    { name: 'Semarang', lat: -6.97, lon: 110.42, tz: 7 },
-    { name: 'Makassar', lat: -5.14, lon: 119.42, tz: 8 },
-    { name: 'Bali', lat: -8.34, lon: 115.09, tz: 8 },
-    { name: 'Cebu', lat: 10.31, lon: 123.89, tz: 8 },
-    { name: 'Davao', lat: 7.07, lon: 125.61, tz: 8 },
-    { name: 'Quezon City', lat: 14.68, lon: 121.04, tz: 8 },
-    { name: 'Yangon', lat: 16.87, lon: 96.20, tz: 6.5 },
-    { name: 'Mandalay', lat: 21.97, lon: 96.08, tz: 6.5 },
-    { name: 'Phnom Penh', lat: 11.56, lon: 104.92, tz: 7 },
-    { name: 'Vientiane', lat: 17.98, lon: 102.63, tz: 7 },
-    { name: 'Phuket', lat: 7.88, lon: 98.39, tz: 7 },
-    { name: 'Chiang Mai', lat: 18.79, lon: 98.98, tz: 7 },
-    { name: 'Pattaya', lat: 12.93, lon: 100.88, tz: 7 },
+    { name: 'Hanoi', lat: 21.03, lon: 105.85, zone: 'Asia/Bangkok' },
+    { name: 'Ho Chi Minh', lat: 10.82, lon: 106.63, zone: 'Asia/Ho_Chi_Minh' },
+    { name: 'Da Nang', lat: 16.07, lon: 108.22, zone: 'Asia/Ho_Chi_Minh' },
+    { name: 'Hai Phong', lat: 20.86, lon: 106.68, zone: 'Asia/Bangkok' },
+    { name: 'Kuala Lumpur', lat: 3.14, lon: 101.69, zone: 'Asia/Kuala_Lumpur' },
+    { name: 'Johor Bahru', lat: 1.49, lon: 103.74, zone: 'Asia/Kuala_Lumpur' },
+    { name: 'Penang', lat: 5.42, lon: 100.31, zone: 'Asia/Kuala_Lumpur' },
+    { name: 'Surabaya', lat: -7.25, lon: 112.75, zone: 'Asia/Jakarta' },
+    { name: 'Bandung', lat: -6.91, lon: 107.61, zone: 'Asia/Jakarta' },
+    { name: 'Medan', lat: 3.59, lon: 98.67, zone: 'Asia/Jakarta' },
+    { name: 'Semarang', lat: -6.97, lon: 110.42, zone: 'Asia/Jakarta' },
+    { name: 'Makassar', lat: -5.14, lon: 119.42, zone: 'Asia/Makassar' },
+    { name: 'Bali', lat: -8.34, lon: 115.09, zone: 'Asia/Makassar' },
+    { name: 'Cebu', lat: 10.31, lon: 123.89, zone: 'Asia/Manila' },
+    { name: 'Davao', lat: 7.07, lon: 125.61, zone: 'Asia/Manila' },
+    { name: 'Quezon City', lat: 14.68, lon: 121.04, zone: 'Asia/Manila' },
+    { name: 'Yangon', lat: 16.87, lon: 96.20, zone: 'Asia/Yangon' },
+    { name: 'Mandalay', lat: 21.97, lon: 96.08, zone: 'Asia/Yangon' },
+    { name: 'Phnom Penh', lat: 11.56, lon: 104.92, zone: 'Asia/Phnom_Penh' },
+    { name: 'Vientiane', lat: 17.98, lon: 102.63, zone: 'Asia/Vientiane' },
+    { name: 'Phuket', lat: 7.88, lon: 98.39, zone: 'Asia/Bangkok' },
+    { name: 'Chiang Mai', lat: 18.79, lon: 98.98, zone: 'Asia/Bangkok' },
+    { name: 'Pattaya', lat: 12.93, lon: 100.88, zone: 'Asia/Bangkok' },
     // Africa - North
-    { name: 'Alexandria', lat: 31.20, lon: 29.92, tz: 2 },
-    { name: 'Giza', lat: 30.01, lon: 31.21, tz: 2 },
-    { name: 'Port Said', lat: 31.27, lon: 32.30, tz: 2 },
-    { name: 'Luxor', lat: 25.69, lon: 32.64, tz: 2 },
-    { name: 'Casablanca', lat: 33.57, lon: -7.59, tz: 1 },
-    { name: 'Rabat', lat: 34.01, lon: -6.83, tz: 1 },
-    { name: 'Fes', lat: 34.03, lon: -5.00, tz: 1 },
-    { name: 'Marrakech', lat: 31.63, lon: -7.98, tz: 1 },
-    { name: 'Tangier', lat: 35.78, lon: -5.81, tz: 1 },
-    { name: 'Algiers', lat: 36.74, lon: 3.09, tz: 1 },
-    { name: 'Oran', lat: 35.70, lon: -0.64, tz: 1 },
-    { name: 'Constantine', lat: 36.37, lon: 6.61, tz: 1 },
-    { name: 'Tunis', lat: 36.81, lon: 10.18, tz: 1 },
-    { name: 'Tripoli', lat: 32.89, lon: 13.19, tz: 2 },
-    { name: 'Benghazi', lat: 32.12, lon: 20.07, tz: 2 },
-    { name: 'Khartoum', lat: 15.50, lon: 32.56, tz: 2 },
+    { name: 'Alexandria', lat: 31.20, lon: 29.92, zone: 'Africa/Cairo' },
+    { name: 'Giza', lat: 30.01, lon: 31.21, zone: 'Africa/Cairo' },
+    { name: 'Port Said', lat: 31.27, lon: 32.30, zone: 'Africa/Cairo' },
+    { name: 'Luxor', lat: 25.69, lon: 32.64, zone: 'Africa/Cairo' },
+    { name: 'Casablanca', lat: 33.57, lon: -7.59, zone: 'Africa/Casablanca' },
+    { name: 'Rabat', lat: 34.01, lon: -6.83, zone: 'Africa/Casablanca' },
+    { name: 'Fes', lat: 34.03, lon: -5.00, zone: 'Africa/Casablanca' },
+    { name: 'Marrakech', lat: 31.63, lon: -7.98, zone: 'Africa/Casablanca' },
+    { name: 'Tangier', lat: 35.78, lon: -5.81, zone: 'Africa/Casablanca' },
+    { name: 'Algiers', lat: 36.74, lon: 3.09, zone: 'Africa/Algiers' },
+    { name: 'Oran', lat: 35.70, lon: -0.64, zone: 'Africa/Algiers' },
+    { name: 'Constantine', lat: 36.37, lon: 6.61, zone: 'Africa/Algiers' },
+    { name: 'Tunis', lat: 36.81, lon: 10.18, zone: 'Africa/Tunis' },
+    { name: 'Tripoli', lat: 32.89, lon: 13.19, zone: 'Africa/Tripoli' },
+    { name: 'Benghazi', lat: 32.12, lon: 20.07, zone: 'Africa/Tripoli' },
+    { name: 'Khartoum', lat: 15.50, lon: 32.56, zone: 'Africa/Khartoum' },
     // Africa - West
-    { name: 'Abuja', lat: 9.06, lon: 7.50, tz: 1 },
-    { name: 'Kano', lat: 12.00, lon: 8.52, tz: 1 },
-    { name: 'Ibadan', lat: 7.38, lon: 3.90, tz: 1 },
-    { name: 'Port Harcourt', lat: 4.78, lon: 7.01, tz: 1 },
-    { name: 'Accra', lat: 5.56, lon: -0.19, tz: 0 },
-    { name: 'Kumasi', lat: 6.69, lon: -1.62, tz: 0 },
-    { name: 'Dakar', lat: 14.69, lon: -17.44, tz: 0 },
-    { name: 'Abidjan', lat: 5.35, lon: -4.01, tz: 0 },
-    { name: 'Bamako', lat: 12.64, lon: -8.00, tz: 0 },
-    { name: 'Ouagadougou', lat: 12.37, lon: -1.52, tz: 0 },
-    { name: 'Conakry', lat: 9.64, lon: -13.58, tz: 0 },
-    { name: 'Freetown', lat: 8.48, lon: -13.23, tz: 0 },
-    { name: 'Monrovia', lat: 6.29, lon: -10.76, tz: 0 },
-    { name: 'Lomé', lat: 6.17, lon: 1.23, tz: 0 },
-    { name: 'Cotonou', lat: 6.37, lon: 2.39, tz: 1 },
-    { name: 'Niamey', lat: 13.51, lon: 2.13, tz: 1 },
-    { name: 'Nouakchott', lat: 18.09, lon: -15.98, tz: 0 },
+    { name: 'Abuja', lat: 9.06, lon: 7.50, zone: 'Africa/Lagos' },
+    { name: 'Kano', lat: 12.00, lon: 8.52, zone: 'Africa/Lagos' },
+    { name: 'Ibadan', lat: 7.38, lon: 3.90, zone: 'Africa/Lagos' },
+    { name: 'Port Harcourt', lat: 4.78, lon: 7.01, zone: 'Africa/Lagos' },
+    { name: 'Accra', lat: 5.56, lon: -0.19, zone: 'Africa/Accra' },
+    { name: 'Kumasi', lat: 6.69, lon: -1.62, zone: 'Africa/Accra' },
+    { name: 'Dakar', lat: 14.69, lon: -17.44, zone: 'Africa/Dakar' },
+    { name: 'Abidjan', lat: 5.35, lon: -4.01, zone: 'Africa/Abidjan' },
+    { name: 'Bamako', lat: 12.64, lon: -8.00, zone: 'Africa/Bamako' },
+    { name: 'Ouagadougou', lat: 12.37, lon: -1.52, zone: 'Africa/Ouagadougou' },
+    { name: 'Conakry', lat: 9.64, lon: -13.58, zone: 'Africa/Conakry' },
+    { name: 'Freetown', lat: 8.48, lon: -13.23, zone: 'Africa/Freetown' },
+    { name: 'Monrovia', lat: 6.29, lon: -10.76, zone: 'Africa/Monrovia' },
+    { name: 'Lomé', lat: 6.17, lon: 1.23, zone: 'Africa/Lome' },
+    { name: 'Cotonou', lat: 6.37, lon: 2.39, zone: 'Africa/Porto-Novo' },
+    { name: 'Niamey', lat: 13.51, lon: 2.13, zone: 'Africa/Niamey' },
+    { name: 'Nouakchott', lat: 18.09, lon: -15.98, zone: 'Africa/Nouakchott' },
     // Africa - East
-    { name: 'Nairobi', lat: -1.29, lon: 36.82, tz: 3 },
-    { name: 'Mombasa', lat: -4.04, lon: 39.67, tz: 3 },
-    { name: 'Addis Ababa', lat: 9.03, lon: 38.70, tz: 3 },
-    { name: 'Dar es Salaam', lat: -6.79, lon: 39.21, tz: 3 },
-    { name: 'Zanzibar', lat: -6.16, lon: 39.19, tz: 3 },
-    { name: 'Kampala', lat: 0.32, lon: 32.58, tz: 3 },
-    { name: 'Kigali', lat: -1.94, lon: 30.06, tz: 2 },
-    { name: 'Bujumbura', lat: -3.38, lon: 29.36, tz: 2 },
-    { name: 'Mogadishu', lat: 2.04, lon: 45.34, tz: 3 },
-    { name: 'Djibouti', lat: 11.59, lon: 43.15, tz: 3 },
-    { name: 'Asmara', lat: 15.34, lon: 38.93, tz: 3 },
+    { name: 'Nairobi', lat: -1.29, lon: 36.82, zone: 'Africa/Nairobi' },
+    { name: 'Mombasa', lat: -4.04, lon: 39.67, zone: 'Africa/Nairobi' },
+    { name: 'Addis Ababa', lat: 9.03, lon: 38.70, zone: 'Africa/Addis_Ababa' },
+    { name: 'Dar es Salaam', lat: -6.79, lon: 39.21, zone: 'Africa/Dar_es_Salaam' },
+    { name: 'Zanzibar', lat: -6.16, lon: 39.19, zone: 'Africa/Dar_es_Salaam' },
+    { name: 'Kampala', lat: 0.32, lon: 32.58, zone: 'Africa/Kampala' },
+    { name: 'Kigali', lat: -1.94, lon: 30.06, zone: 'Africa/Kigali' },
+    { name: 'Bujumbura', lat: -3.38, lon: 29.36, zone: 'Africa/Bujumbura' },
+    { name: 'Mogadishu', lat: 2.04, lon: 45.34, zone: 'Africa/Mogadishu' },
+    { name: 'Djibouti', lat: 11.59, lon: 43.15, zone: 'Africa/Djibouti' },
+    { name: 'Asmara', lat: 15.34, lon: 38.93, zone: 'Africa/Asmara' },
     // Africa - Central
-    { name: 'Kinshasa', lat: -4.44, lon: 15.27, tz: 1 },
-    { name: 'Lubumbashi', lat: -11.66, lon: 27.48, tz: 2 },
-    { name: 'Brazzaville', lat: -4.27, lon: 15.28, tz: 1 },
-    { name: 'Douala', lat: 4.05, lon: 9.70, tz: 1 },
-    { name: 'Yaoundé', lat: 3.87, lon: 11.52, tz: 1 },
-    { name: 'Libreville', lat: 0.39, lon: 9.45, tz: 1 },
-    { name: 'Luanda', lat: -8.84, lon: 13.23, tz: 1 },
-    { name: 'Bangui', lat: 4.36, lon: 18.56, tz: 1 },
-    { name: 'NDjamena', lat: 12.11, lon: 15.04, tz: 1 },
+    { name: 'Kinshasa', lat: -4.44, lon: 15.27, zone: 'Africa/Kinshasa' },
+    { name: 'Lubumbashi', lat: -11.66, lon: 27.48, zone: 'Africa/Lubumbashi' },
+    { name: 'Brazzaville', lat: -4.27, lon: 15.28, zone: 'Africa/Brazzaville' },
+    { name: 'Douala', lat: 4.05, lon: 9.70, zone: 'Africa/Douala' },
+    { name: 'Yaoundé', lat: 3.87, lon: 11.52, zone: 'Africa/Douala' },
+    { name: 'Libreville', lat: 0.39, lon: 9.45, zone: 'Africa/Libreville' },
+    { name: 'Luanda', lat: -8.84, lon: 13.23, zone: 'Africa/Luanda' },
+    { name: 'Bangui', lat: 4.36, lon: 18.56, zone: 'Africa/Bangui' },
+    { name: 'NDjamena', lat: 12.11, lon: 15.04, zone: 'Africa/Ndjamena' },
     // Africa - Southern
-    { name: 'Cape Town', lat: -33.93, lon: 18.42, tz: 2 },
-    { name: 'Durban', lat: -29.86, lon: 31.02, tz: 2 },
-    { name: 'Pretoria', lat: -25.75, lon: 28.19, tz: 2 },
-    { name: 'Port Elizabeth', lat: -33.96, lon: 25.60, tz: 2 },
-    { name: 'Bloemfontein', lat: -29.12, lon: 26.21, tz: 2 },
-    { name: 'Lusaka', lat: -15.39, lon: 28.32, tz: 2 },
-    { name: 'Harare', lat: -17.83, lon: 31.05, tz: 2 },
-    { name: 'Bulawayo', lat: -20.15, lon: 28.58, tz: 2 },
-    { name: 'Maputo', lat: -25.97, lon: 32.57, tz: 2 },
-    { name: 'Lilongwe', lat: -13.97, lon: 33.79, tz: 2 },
-    { name: 'Gaborone', lat: -24.65, lon: 25.91, tz: 2 },
-    { name: 'Windhoek', lat: -22.56, lon: 17.08, tz: 2 },
-    { name: 'Antananarivo', lat: -18.91, lon: 47.54, tz: 3 },
-    { name: 'Port Louis', lat: -20.16, lon: 57.50, tz: 4 },
+    { name: 'Cape Town', lat: -33.93, lon: 18.42, zone: 'Africa/Johannesburg' },
+    { name: 'Durban', lat: -29.86, lon: 31.02, zone: 'Africa/Johannesburg' },
+    { name: 'Pretoria', lat: -25.75, lon: 28.19, zone: 'Africa/Johannesburg' },
+    { name: 'Port Elizabeth', lat: -33.96, lon: 25.60, zone: 'Africa/Johannesburg' },
+    { name: 'Bloemfontein', lat: -29.12, lon: 26.21, zone: 'Africa/Johannesburg' },
+    { name: 'Lusaka', lat: -15.39, lon: 28.32, zone: 'Africa/Lusaka' },
+    { name: 'Harare', lat: -17.83, lon: 31.05, zone: 'Africa/Harare' },
+    { name: 'Bulawayo', lat: -20.15, lon: 28.58, zone: 'Africa/Harare' },
+    { name: 'Maputo', lat: -25.97, lon: 32.57, zone: 'Africa/Maputo' },
+    { name: 'Lilongwe', lat: -13.97, lon: 33.79, zone: 'Africa/Blantyre' },
+    { name: 'Gaborone', lat: -24.65, lon: 25.91, zone: 'Africa/Gaborone' },
+    { name: 'Windhoek', lat: -22.56, lon: 17.08, zone: 'Africa/Windhoek' },
+    { name: 'Antananarivo', lat: -18.91, lon: 47.54, zone: 'Indian/Antananarivo' },
+    { name: 'Port Louis', lat: -20.16, lon: 57.50, zone: 'Indian/Mauritius' },
     // Oceania
-    { name: 'Sydney', lat: -33.87, lon: 151.21, tz: 10 },
-    { name: 'Melbourne', lat: -37.81, lon: 144.96, tz: 10 },
-    { name: 'Brisbane', lat: -27.47, lon: 153.03, tz: 10 },
-    { name: 'Perth', lat: -31.95, lon: 115.86, tz: 8 },
-    { name: 'Adelaide', lat: -34.93, lon: 138.60, tz: 9.5 },
-    { name: 'Gold Coast', lat: -28.00, lon: 153.43, tz: 10 },
-    { name: 'Newcastle', lat: -32.93, lon: 151.78, tz: 10 },
-    { name: 'Canberra', lat: -35.28, lon: 149.13, tz: 10 },
-    { name: 'Hobart', lat: -42.88, lon: 147.33, tz: 10 },
-    { name: 'Darwin', lat: -12.46, lon: 130.84, tz: 9.5 },
-    { name: 'Cairns', lat: -16.92, lon: 145.77, tz: 10 },
-    { name: 'Townsville', lat: -19.26, lon: 146.82, tz: 10 },
-    { name: 'Auckland', lat: -36.85, lon: 174.76, tz: 12 },
-    { name: 'Wellington', lat: -41.29, lon: 174.78, tz: 12 },
-    { name: 'Christchurch', lat: -43.53, lon: 172.64, tz: 12 },
-    { name: 'Hamilton NZ', lat: -37.79, lon: 175.28, tz: 12 },
-    { name: 'Dunedin', lat: -45.87, lon: 170.50, tz: 12 },
-    { name: 'Suva', lat: -18.14, lon: 178.44, tz: 12 },
-    { name: 'Port Moresby', lat: -9.44, lon: 147.18, tz: 10 },
-    { name: 'Noumea', lat: -22.28, lon: 166.46, tz: 11 },
-    { name: 'Papeete', lat: -17.54, lon: -149.57, tz: -10 },
-    { name: 'Apia', lat: -13.83, lon: -171.76, tz: 13 },
-    { name: 'Nuku\'alofa', lat: -21.21, lon: -175.20, tz: 13 },
+    { name: 'Sydney', lat: -33.87, lon: 151.21, zone: 'Australia/Sydney' },
+    { name: 'Melbourne', lat: -37.81, lon: 144.96, zone: 'Australia/Melbourne' },
+    { name: 'Brisbane', lat: -27.47, lon: 153.03, zone: 'Australia/Brisbane' },
+    { name: 'Perth', lat: -31.95, lon: 115.86, zone: 'Australia/Perth' },
+    { name: 'Adelaide', lat: -34.93, lon: 138.60, zone: 'Australia/Adelaide' },
+    { name: 'Gold Coast', lat: -28.00, lon: 153.43, zone: 'Australia/Brisbane' },
+    { name: 'Newcastle', lat: -32.93, lon: 151.78, zone: 'Australia/Sydney' },
+    { name: 'Canberra', lat: -35.28, lon: 149.13, zone: 'Australia/Sydney' },
+    { name: 'Hobart', lat: -42.88, lon: 147.33, zone: 'Australia/Hobart' },
+    { name: 'Darwin', lat: -12.46, lon: 130.84, zone: 'Australia/Darwin' },
+    { name: 'Cairns', lat: -16.92, lon: 145.77, zone: 'Australia/Brisbane' },
+    { name: 'Townsville', lat: -19.26, lon: 146.82, zone: 'Australia/Brisbane' },
+    { name: 'Auckland', lat: -36.85, lon: 174.76, zone: 'Pacific/Auckland' },
+    { name: 'Wellington', lat: -41.29, lon: 174.78, zone: 'Pacific/Auckland' },
+    { name: 'Christchurch', lat: -43.53, lon: 172.64, zone: 'Pacific/Auckland' },
+    { name: 'Hamilton NZ', lat: -37.79, lon: 175.28, zone: 'Pacific/Auckland' },
+    { name: 'Dunedin', lat: -45.87, lon: 170.50, zone: 'Pacific/Auckland' },
+    { name: 'Suva', lat: -18.14, lon: 178.44, zone: 'Pacific/Fiji' },
+    { name: 'Port Moresby', lat: -9.44, lon: 147.18, zone: 'Pacific/Port_Moresby' },
+    { name: 'Noumea', lat: -22.28, lon: 166.46, zone: 'Pacific/Noumea' },
+    { name: 'Papeete', lat: -17.54, lon: -149.57, zone: 'Pacific/Tahiti' },
+    { name: 'Apia', lat: -13.83, lon: -171.76, zone: 'Pacific/Apia' },
+    { name: 'Nuku\'alofa', lat: -21.21, lon: -175.20, zone: 'Pacific/Tongatapu' },
     // Arctic & Remote
-    { name: 'Longyearbyen', lat: 78.22, lon: 15.64, tz: 1 },
-    { name: 'Nuuk', lat: 64.18, lon: -51.72, tz: -3 },
-    { name: 'Fairbanks', lat: 64.84, lon: -147.72, tz: -9 },
-    { name: 'Tromsø', lat: 69.65, lon: 18.96, tz: 1 },
-    { name: 'Murmansk', lat: 68.97, lon: 33.09, tz: 3 },
-    { name: 'Yellowknife', lat: 62.45, lon: -114.37, tz: -7 },
-    { name: 'Whitehorse', lat: 60.72, lon: -135.05, tz: -8 },
-    { name: 'McMurdo', lat: -77.85, lon: 166.67, tz: 12 },
+    { name: 'Longyearbyen', lat: 78.22, lon: 15.64, zone: 'Arctic/Longyearbyen' },
+    { name: 'Nuuk', lat: 64.18, lon: -51.72, zone: 'America/Nuuk' },
+    { name: 'Fairbanks', lat: 64.84, lon: -147.72, zone: 'America/Anchorage' },
+    { name: 'Tromsø', lat: 69.65, lon: 18.96, zone: 'Europe/Oslo' },
+    { name: 'Murmansk', lat: 68.97, lon: 33.09, zone: 'Europe/Moscow' },
+    { name: 'Yellowknife', lat: 62.45, lon: -114.37, zone: 'America/Edmonton' },
+    { name: 'Whitehorse', lat: 60.72, lon: -135.05, zone: 'America/Whitehorse' },
+    { name: 'McMurdo', lat: -77.85, lon: 166.67, zone: 'Antarctica/McMurdo' },
 ];
 
 /**
@@ -1269,6 +1375,270 @@ function animateCameraToCity(targetLat, targetLon, duration = 500) {
     cityNavAnimationId = requestAnimationFrame(step);
 }
 
+// ==================== TIME ZONES ====================
+
+// Cached Intl formatters - constructing one per call is far too slow for the 250ms update loop
+const zoneFormatters = new Map();       // IANA zone -> wall-clock field formatter
+const zoneAbbrFormatters = new Map();   // 'locale|zone' -> short zone name formatter
+
+// Locales tried in order for a zone abbreviation - each only knows its own region's
+// names (en-US: EST/PDT, en-GB: BST/CEST, en-AU: AEST/ACST, en-IN: IST, ...)
+const ZONE_ABBR_LOCALES = ['en-US', 'en-CA', 'en-GB', 'en-AU', 'en-IN', 'en-NZ', 'en-ZA'];
+
+/**
+ * Get (cached) formatter that splits an instant into wall-clock fields for a zone
+ */
+function getZoneFormatter(zone) {
+    let formatter = zoneFormatters.get(zone);
+    if (!formatter) {
+        const options = {
+            hourCycle: 'h23',
+            era: 'short',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        };
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', { ...options, timeZone: zone });
+        } catch (e) {
+            // Zone missing from this browser's tz database - fall back to UTC
+            console.warn(`Unknown time zone ${zone}, using UTC`);
+            formatter = new Intl.DateTimeFormat('en-US', { ...options, timeZone: 'UTC' });
+        }
+        zoneFormatters.set(zone, formatter);
+    }
+    return formatter;
+}
+
+/**
+ * Get UTC milliseconds at midnight of a calendar date
+ * Date.UTC maps years 0-99 onto 1900-1999, so set the full year explicitly
+ */
+function getUtcMidnightMs(year, month, day) {
+    const date = new Date(0);
+    date.setUTCFullYear(year, month, day);
+    return date.getTime();
+}
+
+/**
+ * Get a local-midnight Date for a calendar date (the form selectedDate uses)
+ * new Date(y, m, d) has the same 0-99 year quirk as Date.UTC
+ */
+function makeCalendarDate(year, month, day) {
+    const date = new Date(2000, 0, 1);
+    date.setFullYear(year, month, day);
+    return date;
+}
+
+/**
+ * Get wall-clock fields for an instant in an IANA time zone
+ * Uses the browser's tz database, so historical rules apply (LMT before standard time)
+ * @param {Date} date - Absolute instant
+ * @param {string} zone - IANA zone name (e.g. 'America/New_York')
+ * @returns {{year: number, month: number, day: number, hours: number, minutes: number, seconds: number}}
+ */
+function getZonedDateParts(date, zone) {
+    const parts = {};
+    for (const part of getZoneFormatter(zone).formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+    let year = parseInt(parts.year);
+    if (parts.era === 'BC') year = 1 - year;  // Astronomical year numbering
+    return {
+        year,
+        month: parseInt(parts.month) - 1,
+        day: parseInt(parts.day),
+        hours: parseInt(parts.hour) % 24,
+        minutes: parseInt(parts.minute),
+        seconds: parseInt(parts.second)
+    };
+}
+
+/**
+ * Get the UTC offset in effect for a zone at an instant
+ * @returns {number} Offset in minutes (east positive, fractional for LMT)
+ */
+function getZoneOffsetMinutes(zone, date) {
+    const p = getZonedDateParts(date, zone);
+    const wallMs = getUtcMidnightMs(p.year, p.month, p.day) +
+                   ((p.hours * 60 + p.minutes) * 60 + p.seconds) * 1000;
+    // Formatter drops milliseconds, so compare against the whole second
+    const instantMs = Math.floor(date.getTime() / 1000) * 1000;
+    return (wallMs - instantMs) / 60000;
+}
+
+/**
+ * Convert a wall-clock time in a zone to an absolute instant
+ * Times inside a spring-forward gap map onto the hour before it so the slider stays
+ * continuous; ambiguous fall-back times resolve to the first (daylight) occurrence
+ * @param {string} zone - IANA zone name
+ * @param {number} minutesFromMidnight - Local wall time (0-1440, may be fractional)
+ * @returns {Date}
+ */
+function zonedTimeToUtc(zone, year, month, day, minutesFromMidnight) {
+    const wallMs = getUtcMidnightMs(year, month, day) + minutesFromMidnight * 60 * 1000;
+    const firstOffset = getZoneOffsetMinutes(zone, new Date(wallMs));
+    let utcMs = wallMs - firstOffset * 60 * 1000;
+    const secondOffset = getZoneOffsetMinutes(zone, new Date(utcMs));
+    if (secondOffset !== firstOffset) {
+        utcMs = wallMs - secondOffset * 60 * 1000;
+    }
+    return new Date(utcMs);
+}
+
+// ==================== CALENDAR MODE ====================
+// Dates are kept proleptic Gregorian (JavaScript Date) and converted where they are shown or entered:
+// the date wheels, calendar grid and event lists follow the selected calendar (see calendar.js)
+
+let calendarMode = 'gregorian';                  // Key of CALENDAR_MODES
+let calendarReform = DEFAULT_CALENDAR_REFORM;   // Key of CALENDAR_REFORMS for the 'auto' mode
+let yearNumbering = DEFAULT_YEAR_NUMBERING;     // Key of YEAR_NUMBERINGS
+
+/**
+ * Reform in effect at the pointer (resolves 'From location' through its time zone)
+ */
+function getActiveCalendarReform() {
+    return resolveCalendarReform(calendarReform, getPointerZone());
+}
+
+/**
+ * A Gregorian date (Date fields, month 0-11) as written in the selected calendar
+ * @returns {{year: number, month: number, day: number, calendar: string, jdn: number}} month 0-11
+ */
+function toDisplayDate(year, month, day) {
+    const jdn = gregorianToJdn(year, month + 1, day);
+    const date = jdnToCalendarDate(jdn, calendarMode, getActiveCalendarReform());
+    return { year: date.year, month: date.month - 1, day: date.day, calendar: date.calendar, jdn };
+}
+
+/**
+ * The Gregorian date (Date fields, month 0-11) of a date written in the selected calendar
+ * @param {boolean} [preferEarlier=false] - Days dropped at the reform become the last Julian day
+ *   rather than the first Gregorian one
+ */
+function fromDisplayDate(year, month, day, preferEarlier = false) {
+    const jdn = calendarDateToJdn(year, month + 1, day, calendarMode, getActiveCalendarReform(), preferEarlier);
+    const date = jdnToDate(jdn, 'gregorian');
+    return { year: date.year, month: date.month - 1, day: date.day };
+}
+
+/**
+ * Days in a month (0-11) of the selected calendar - the reform month counts as its later calendar
+ */
+function getDisplayDaysInMonth(year, month) {
+    const reform = getActiveCalendarReform();
+    const lateJdn = calendarDateToJdn(year, month + 1, 28, calendarMode, reform);
+    return getDaysInMonth(year, month + 1, getCalendarForJdn(lateJdn, calendarMode, reform));
+}
+
+/**
+ * "Mar 05, 1066" for a Gregorian date, written in the selected calendar
+ * Julian dates are marked when the calendar switches at a reform
+ * @returns {{text: string, year: number}} year as displayed
+ */
+function formatDisplayDate(year, month, day) {
+    const date = toDisplayDate(year, month, day);
+    const marker = calendarMode === 'auto' && date.calendar === 'julian' ? ' (Jul.)' : '';
+    const text = `${MONTH_NAMES[date.month]} ${date.day.toString().padStart(2, '0')}, ${formatYear(date.year, yearNumbering)}${marker}`;
+    return { text, year: date.year };
+}
+
+/**
+ * Show the Julian Day Number of the local date beside the wheels, and which calendar they are in
+ * @param {{year: number, month: number, day: number}} cityTime - Gregorian local date (getZonedDateParts)
+ */
+function updateCalendarReadout(cityTime) {
+    const jdnEl = document.getElementById('jdn-value');
+    const tagEl = document.getElementById('calendar-tag');
+    if (!jdnEl) return;
+    const date = toDisplayDate(cityTime.year, cityTime.month, cityTime.day);
+    jdnEl.textContent = date.jdn.toString();
+    if (tagEl) tagEl.textContent = date.calendar === 'julian' ? 'JUL' : 'JDN';
+    jdnEl.parentElement.title = `Julian Day Number of the local date - wheels show the ${date.calendar === 'julian' ? 'Julian' : 'Gregorian'} calendar`;
+}
+
+/**
+ * Redraw everything that shows dates after the calendar mode or reform changes
+ */
+function refreshCalendarDisplays() {
+    updatePositionDisplay();
+    renderCalendar();
+    refreshEclipseList();
+    if (activeEventsTab === 'planets') refreshPlanetEventList();
+}
+
+/**
+ * Split an instant into the zone's calendar date and minutes since local midnight
+ * The date follows the selectedDate convention: browser-local midnight carrying the zone's y/m/d
+ * @returns {{date: Date, minutes: number}}
+ */
+function getZonedDateAndMinutes(date, zone) {
+    const p = getZonedDateParts(date, zone);
+    return {
+        date: makeCalendarDate(p.year, p.month, p.day),
+        minutes: p.hours * 60 + p.minutes + p.seconds / 60
+    };
+}
+
+/**
+ * Get the abbreviation in effect for a zone at an instant (EST/EDT, GMT/BST, ...)
+ * @returns {string} Abbreviation, 'LMT' before standard time, or '' if the zone has none
+ */
+function getZoneAbbreviation(zone, date) {
+    // Local Mean Time offsets are not whole minutes (e.g. New York LMT is -4:56:02)
+    if (getZoneOffsetMinutes(zone, date) % 1 !== 0) return 'LMT';
+
+    for (const locale of ZONE_ABBR_LOCALES) {
+        const key = `${locale}|${zone}`;
+        let formatter = zoneAbbrFormatters.get(key);
+        if (!formatter) {
+            try {
+                formatter = new Intl.DateTimeFormat(locale, { timeZone: zone, timeZoneName: 'short' });
+            } catch (e) {
+                return '';
+            }
+            zoneAbbrFormatters.set(key, formatter);
+        }
+        const name = formatter.formatToParts(date).find(p => p.type === 'timeZoneName')?.value;
+        // Locales without a name for this zone fall back to "GMT+2" style - try the next one
+        if (name && !/^(GMT|UTC)[+\-−]/.test(name)) return name;
+    }
+    return '';
+}
+
+/**
+ * Format a UTC offset as "UTC+1", "UTC-3:30"
+ * @param {number} offsetMinutes - Offset in minutes (east positive)
+ */
+function formatUtcOffset(offsetMinutes) {
+    const sign = offsetMinutes >= 0 ? '+' : '-';
+    const absMinutes = Math.round(Math.abs(offsetMinutes));
+    const hours = Math.floor(absMinutes / 60);
+    const mins = absMinutes % 60;
+    if (mins === 0) return `UTC${sign}${hours}`;
+    return `UTC${sign}${hours}:${mins.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Format the offset and abbreviation for a zone at an instant, e.g. "UTC-4 EDT"
+ */
+function formatZoneLabel(zone, date) {
+    const offset = formatUtcOffset(getZoneOffsetMinutes(zone, date));
+    const abbr = getZoneAbbreviation(zone, date);
+    return abbr ? `${offset} ${abbr}` : offset;
+}
+
+/**
+ * Get the IANA zone at the pointer position (from the nearest city)
+ */
+function getPointerZone() {
+    const closestCity = findClosestCity(focusPointLat, focusPointLon);
+    return closestCity ? closestCity.zone : 'UTC';
+}
+
 /**
  * Get absolute simulated time - returns Date object for celestial calculations
  * timeOffsetMinutes represents LOCAL time at pointer position (0-1440 minutes from midnight)
@@ -1280,9 +1650,9 @@ function getAbsoluteSimulatedTime() {
         return now;
     }
 
-    // Use lastPointerTz for consistency - this value is always updated atomically
+    // Use lastPointerZone for consistency - this value is always updated atomically
     // with timeOffsetMinutes to prevent sun/moon jumping when pointer moves
-    const cityTzHours = lastPointerTz !== null ? lastPointerTz : 0;
+    const zone = lastPointerZone !== null ? lastPointerZone : 'UTC';
 
     // Get the date we're viewing
     let baseDate;
@@ -1292,19 +1662,9 @@ function getAbsoluteSimulatedTime() {
         baseDate = new Date(now);
     }
 
-    // timeOffsetMinutes is local time (0-1440 minutes from midnight)
-    // Convert to UTC: UTC = localTime - tzOffset
-    const year = baseDate.getFullYear();
-    const month = baseDate.getMonth();
-    const day = baseDate.getDate();
-
-    // Create date at midnight UTC for this day
-    const midnightUtc = Date.UTC(year, month, day, 0, 0, 0, 0);
-
-    // Subtract timezone offset to convert local time to UTC
-    const utcMs = midnightUtc + (timeOffsetMinutes - cityTzHours * 60) * 60 * 1000;
-
-    return new Date(utcMs);
+    // timeOffsetMinutes is local wall time (0-1440 minutes from midnight) -
+    // resolve it through the zone's rules for this date (DST, historical changes)
+    return zonedTimeToUtc(zone, baseDate.getFullYear(), baseDate.getMonth(), baseDate.getDate(), timeOffsetMinutes);
 }
 
 /**
@@ -1327,7 +1687,7 @@ function getHorizonEntryTarget() {
 
     const simTime = getAbsoluteSimulatedTime();
     const sunPos = getSunPosition(simTime);
-    const moonPos = getMoonPosition(simTime);
+    const moonPos = getTopocentricMoonPosition(simTime, focusPointLat, focusPointLon);
 
     const focusLatRad = focusPointLat * Math.PI / 180;
     const focusLonRad = focusPointLon * Math.PI / 180;
@@ -1380,43 +1740,24 @@ function getHorizonEntryTarget() {
  * Get current local time at pointer position as minutes since midnight (0-1440)
  */
 function getLocalTimeMinutes() {
-    const closestCity = findClosestCity(focusPointLat, focusPointLon);
-    const cityTzHours = closestCity ? closestCity.tz : 0;
-
-    const simTime = getAbsoluteSimulatedTime();
-    const utcHours = simTime.getUTCHours();
-    const utcMinutes = simTime.getUTCMinutes();
-    const utcTotalMinutes = utcHours * 60 + utcMinutes;
-
-    // Local time = UTC + timezone offset
-    let localMinutes = utcTotalMinutes + cityTzHours * 60;
-
-    // Wrap around for day boundaries
-    while (localMinutes < 0) localMinutes += 1440;
-    while (localMinutes >= 1440) localMinutes -= 1440;
-
-    return localMinutes;
+    const local = getZonedDateAndMinutes(getAbsoluteSimulatedTime(), getPointerZone());
+    return Math.floor(local.minutes);
 }
 
 /**
  * Update slider position when pointer moves to different timezone
  * Keeps the same moment in time, but shifts the slider to show new local time
- * In live mode, only updates lastPointerTz (slider is handled by periodic update)
+ * In live mode, only updates lastPointerZone (slider is handled by periodic update)
  */
-let lastPointerTz = null;
+let lastPointerZone = null;  // IANA zone that timeOffsetMinutes/selectedDate are expressed in
 function updateSliderForTimezone() {
-    const closestCity = findClosestCity(focusPointLat, focusPointLon);
-    const cityTzHours = closestCity ? closestCity.tz : 0;
+    const zone = getPointerZone();
 
     // Only update if timezone actually changed
-    if (lastPointerTz !== null && lastPointerTz !== cityTzHours) {
+    if (lastPointerZone !== null && lastPointerZone !== zone) {
         if (isLiveMode) {
             // In live mode, check if day changed at new timezone
-            const now = new Date();
-            const utcMs = now.getTime() + now.getTimezoneOffset() * 60 * 1000;
-            const cityMs = utcMs + cityTzHours * 60 * 60 * 1000;
-            const cityTime = new Date(cityMs);
-            const todayAtPointer = new Date(cityTime.getFullYear(), cityTime.getMonth(), cityTime.getDate());
+            const todayAtPointer = getZonedDateAndMinutes(new Date(), zone).date;
             if (selectedDate && selectedDate.toDateString() !== todayAtPointer.toDateString()) {
                 selectedDate = todayAtPointer;
                 calendarViewDate = new Date(todayAtPointer);
@@ -1425,30 +1766,19 @@ function updateSliderForTimezone() {
                 updateDayNavButtons();
             }
         } else {
-            // In non-live mode, shift the slider to maintain the same moment in time
-            const tzDiffMinutes = (cityTzHours - lastPointerTz) * 60;
-            timeOffsetMinutes = timeOffsetMinutes + tzDiffMinutes;
-
-            // Handle day boundary crossing - update selectedDate accordingly
-            if (timeOffsetMinutes >= 1440) {
-                if (selectedDate) {
-                    selectedDate = new Date(selectedDate.getTime() + 24 * 60 * 60 * 1000);
-                }
-                timeOffsetMinutes -= 1440;
-            } else if (timeOffsetMinutes < 0) {
-                if (selectedDate) {
-                    selectedDate = new Date(selectedDate.getTime() - 24 * 60 * 60 * 1000);
-                }
-                timeOffsetMinutes += 1440;
-            }
+            // In non-live mode, re-express the same moment as wall time in the new zone
+            // (offsets differ by date, so this also handles day boundary crossings)
+            const local = getZonedDateAndMinutes(getAbsoluteSimulatedTime(), zone);
+            selectedDate = local.date;
+            timeOffsetMinutes = local.minutes;
 
             const slider = document.getElementById('time-slider');
             if (slider) slider.value = timeOffsetMinutes;
         }
     }
 
-    // Always update lastPointerTz to keep getAbsoluteSimulatedTime() consistent
-    lastPointerTz = cityTzHours;
+    // Always update lastPointerZone to keep getAbsoluteSimulatedTime() consistent
+    lastPointerZone = zone;
 }
 
 /**
@@ -1476,140 +1806,285 @@ function formatTimeDisplay(date, includeSeconds = false) {
 }
 
 /**
- * Calculate rise/set time for a celestial body
+ * Get the instant that rise/set offsets are measured from: local noon of the selected day
+ * @param {string} zone - City IANA time zone
+ * @returns {Date}
+ */
+function getLocalNoonAnchor(zone) {
+    if (selectedDate) {
+        return zonedTimeToUtc(zone, selectedDate.getFullYear(), selectedDate.getMonth(), selectedDate.getDate(), 720);
+    }
+    return new Date();
+}
+
+/**
+ * Solve every rise, set and transit of a celestial body during the selected local day
+ * (see solveRiseSetDay in rise-set.js), labelling each event with its local time
  * @param {number} lat - Observer latitude
  * @param {number} lon - Observer longitude
  * @param {function} getPosition - Function that returns {lat, lon} for the body at a given Date
- * @returns {{rise: object|null, set: object|null}}
+ * @param {string} zone - City IANA time zone
+ * @param {number|function(object): number} horizonThreshold - Altitude of the horizon crossing in degrees,
+ *   or a function of the body position (e.g. the Moon's distance-dependent semi-diameter)
+ * @returns {{rise: object|null, set: object|null, transit: object|null, lowerTransit: object|null,
+ *   events: Array<object>, state: string, upAtStart: boolean}} Events are {type, offset, label, time}
+ *   sorted by time with type 'rise' | 'set' | 'transit' | 'lower-transit' and offset in minutes from
+ *   local noon (-720 to 720); transits also carry the body's geometric altitude (the day's maximum
+ *   or minimum). rise/set/transit/lowerTransit are the first of each type.
+ *   state is 'normal', or 'always-up' / 'never-rises' when the body doesn't cross the horizon all day
  */
-function calculateRiseSetTimes(lat, lon, getPosition, cityTzHours = 0, horizonThreshold) {
+function calculateRiseSetTimes(lat, lon, getPosition, zone = 'UTC', horizonThreshold = 0) {
     // Use base date (noon in city's timezone) without slider offset for consistent marker positions
-    let now;
-    if (selectedDate) {
-        now = new Date(selectedDate);
-        now.setHours(12, 0, 0, 0);
-    } else {
-        now = new Date();
-    }
+    const times = solveRiseSetDay(lat, lon, getPosition, getLocalNoonAnchor(zone), horizonThreshold);
+    times.events.forEach(e => {
+        e.label = formatShortTime(e.time);
+    });
+    return times;
+}
 
-    // Adjust base time to represent noon in the city's timezone
-    const userTzMinutes = -now.getTimezoneOffset();
-    const cityTzMinutes = cityTzHours * 60;
-    const tzDiffMinutes = cityTzMinutes - userTzMinutes;
-    now = new Date(now.getTime() - tzDiffMinutes * 60 * 1000);
+/**
+ * Intervals of the selected local day during which a body is above the horizon
+ * @param {{events: Array<object>, upAtStart: boolean}} times - Result of calculateRiseSetTimes
+ * @returns {Array<{start: number, end: number}>} Slider minutes (0-1440 from midnight)
+ */
+function getUpSegments(times) {
+    const segments = [];
+    let start = times.upAtStart ? 0 : null;
+    times.events.forEach(e => {
+        if (e.type === 'rise' && start === null) {
+            start = e.offset + 720;
+        } else if (e.type === 'set' && start !== null) {
+            segments.push({ start, end: e.offset + 720 });
+            start = null;
+        }
+    });
+    if (start !== null) segments.push({ start, end: 1440 });
+    return segments;
+}
 
-    const latRad = lat * Math.PI / 180;
+// Twilight levels by geometric Sun altitude (no refraction - these are definitions, not observations)
+const TWILIGHT_LEVELS = [
+    { key: 'civil', name: 'Civil', altitude: -6 },
+    { key: 'nautical', name: 'Naut', altitude: -12 },
+    { key: 'astronomical', name: 'Astro', altitude: -18 }
+];
+
+let twilightCache = { key: null, levels: null };
 
-    // Search for rise/set times by checking altitude every 10 minutes over 24 hours
-    const checkPoints = [];
-    for (let i = -720; i <= 720; i += 10) {
-        const checkTime = new Date(now.getTime() + i * 60 * 1000);
-        const bodyPos = getPosition(checkTime);
+/**
+ * Calculate civil, nautical and astronomical dawn/dusk for the selected day
+ * A level with no crossing is either 'never-dark' (the Sun stays above it all night -
+ * white nights) or 'always-dark' (the Sun never climbs above it)
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @param {string} zone - City IANA time zone
+ * @returns {Array<{key: string, name: string, altitude: number, dawn: object|null, dusk: object|null,
+ *   events: Array<object>, state: string}>} dawn/dusk are the first of each; events has every crossing
+ */
+function calculateTwilightTimes(lat, lon, zone = 'UTC') {
+    const noon = getLocalNoonAnchor(zone);
+    const cacheKey = `${lat},${lon},${zone},${noon.getTime()}`;
+    if (twilightCache.key === cacheKey) return twilightCache.levels;
+
+    const levels = TWILIGHT_LEVELS.map(level => {
+        const times = calculateRiseSetTimes(lat, lon, getSunPosition, zone, level.altitude);
+        let state = 'normal';
+        if (times.state === 'always-up') state = 'never-dark';
+        else if (times.state === 'never-rises') state = 'always-dark';
+        return { ...level, dawn: times.rise, dusk: times.set, events: times.events, state };
+    });
 
-        // Calculate hour angle
-        const bodyLonRad = bodyPos.lon * Math.PI / 180;
-        const bodyLatRad = bodyPos.lat * Math.PI / 180;
-        const lonRad = lon * Math.PI / 180;
+    twilightCache = { key: cacheKey, levels };
+    return levels;
+}
 
-        // Local hour angle
-        const ha = lonRad - bodyLonRad;
+/**
+ * Altitude of a body above an observer's horizon
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @param {{lat: number, lon: number}} bodyPos - Sub-body point (declination, RA - GMST)
+ * @returns {number} Geometric altitude in degrees
+ */
+function getBodyAltitude(lat, lon, bodyPos) {
+    return equatorialToHorizontal(lon - bodyPos.lon, bodyPos.lat, lat).altitude;
+}
 
-        // Altitude calculation
-        const sinAlt = Math.sin(latRad) * Math.sin(bodyLatRad) +
-                       Math.cos(latRad) * Math.cos(bodyLatRad) * Math.cos(ha);
-        const altitude = Math.asin(sinAlt) * 180 / Math.PI;
+/**
+ * Azimuth of a celestial body from an observer, degrees clockwise from north
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @param {{lat: number, lon: number}} bodyPos - Sub-body point (declination, RA - GMST)
+ */
+function getBodyAzimuth(lat, lon, bodyPos) {
+    return equatorialToHorizontal(lon - bodyPos.lon, bodyPos.lat, lat).azimuth;
+}
 
-        checkPoints.push({ offset: i, altitude });
+/**
+ * Split the selected local day at the given events and label each piece by Sun altitude
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @param {string} zone - City IANA time zone
+ * @param {Array<object>} events - Events from calculateRiseSetTimes (transits are ignored)
+ * @param {function(number): string|null} classify - Maps the geometric Sun altitude at a piece's midpoint to a label
+ * @returns {Array<{start: number, end: number, phase: string|null}>} Slider minutes (0-1440),
+ *   with neighbouring pieces of the same label merged
+ */
+function splitDayBySunAltitude(lat, lon, zone, events, classify) {
+    const noon = getLocalNoonAnchor(zone);
+
+    // Every crossing splits the day; the label of each piece is decided by its midpoint
+    const bounds = [0, 1440];
+    events.forEach(e => {
+        if (e.type !== 'rise' && e.type !== 'set') return;
+        if (e.offset + 720 > 0 && e.offset + 720 < 1440) bounds.push(e.offset + 720);
+    });
+    bounds.sort((a, b) => a - b);
+
+    const segments = [];
+    for (let i = 1; i < bounds.length; i++) {
+        const start = bounds[i - 1];
+        const end = bounds[i];
+        if (end - start < 0.5) continue;
+        const midTime = new Date(noon.getTime() + ((start + end) / 2 - 720) * 60 * 1000);
+        const phase = classify(getBodyAltitude(lat, lon, getSunPosition(midTime)));
+
+        const last = segments[segments.length - 1];
+        if (last && last.phase === phase) {
+            last.end = end;
+        } else {
+            segments.push({ start, end, phase });
+        }
     }
+    return segments;
+}
 
-    // Atmospheric refraction + upper limb correction
-    // Sun: -0.833° (34' refraction + 16' radius)
-    // Moon: ~+0.125° (refraction minus parallax, varies)
-    const HORIZON_THRESHOLD = horizonThreshold;
+/**
+ * Split the selected local day into daylight / twilight / night segments
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @param {string} zone - City IANA time zone
+ * @param {{events: Array<object>}} sunTimes - Sunrise/sunset from calculateRiseSetTimes
+ * @param {Array} twilight - Levels from calculateTwilightTimes
+ * @returns {Array<{start: number, end: number, phase: string}>} Slider minutes (0-1440) and
+ *   phase 'day' | 'civil' | 'nautical' | 'astronomical' | 'night'
+ */
+function getSunlightSegments(lat, lon, zone, sunTimes, twilight) {
+    const sunThreshold = getSunHorizonThreshold();
+    const events = [...sunTimes.events];
+    twilight.forEach(level => events.push(...level.events));
+
+    return splitDayBySunAltitude(lat, lon, zone, events, (alt) => {
+        if (alt > sunThreshold) return 'day';
+        if (alt > -6) return 'civil';
+        if (alt > -12) return 'nautical';
+        if (alt > -18) return 'astronomical';
+        return 'night';
+    });
+}
 
-    // Find crossings of corrected horizon
-    let rise = null, set = null;
-    for (let i = 1; i < checkPoints.length; i++) {
-        const prev = checkPoints[i - 1];
-        const curr = checkPoints[i];
+// Photographers' light windows by geometric Sun altitude
+const GOLDEN_HOUR_MIN_ALT = -4;
+const GOLDEN_HOUR_MAX_ALT = 6;
+const BLUE_HOUR_MIN_ALT = -6;
 
-        if (prev.altitude < HORIZON_THRESHOLD && curr.altitude >= HORIZON_THRESHOLD && !rise) {
-            // Rising - interpolate
-            const t = (HORIZON_THRESHOLD - prev.altitude) / (curr.altitude - prev.altitude);
-            const offset = prev.offset + t * 10;
-            const riseTime = new Date(now.getTime() + offset * 60 * 1000);
-            rise = { offset, label: formatShortTime(riseTime), time: riseTime };
-        }
-        if (prev.altitude >= HORIZON_THRESHOLD && curr.altitude < HORIZON_THRESHOLD && !set) {
-            // Setting - interpolate
-            const t = (prev.altitude - HORIZON_THRESHOLD) / (prev.altitude - curr.altitude);
-            const offset = prev.offset + t * 10;
-            const setTime = new Date(now.getTime() + offset * 60 * 1000);
-            set = { offset, label: formatShortTime(setTime), time: setTime };
-        }
-    }
+/**
+ * Which photo window a Sun altitude falls in
+ * @param {number} alt - Geometric Sun altitude in degrees
+ * @returns {string|null} 'golden' (-4° to +6°), 'blue' (-6° to -4°) or null
+ */
+function getPhotoWindowKind(alt) {
+    if (alt >= GOLDEN_HOUR_MIN_ALT && alt <= GOLDEN_HOUR_MAX_ALT) return 'golden';
+    if (alt >= BLUE_HOUR_MIN_ALT && alt < GOLDEN_HOUR_MIN_ALT) return 'blue';
+    return null;
+}
+
+let photoWindowCache = { key: null, segments: null };
+
+/**
+ * Golden hour and blue hour intervals on the selected local day
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @param {string} zone - City IANA time zone
+ * @returns {Array<{start: number, end: number, phase: string}>} Slider minutes (0-1440), phase 'golden' | 'blue'
+ */
+function getPhotoWindowSegments(lat, lon, zone = 'UTC') {
+    const cacheKey = `${lat},${lon},${zone},${getLocalNoonAnchor(zone).getTime()}`;
+    if (photoWindowCache.key === cacheKey) return photoWindowCache.segments;
+
+    const events = [];
+    [GOLDEN_HOUR_MAX_ALT, GOLDEN_HOUR_MIN_ALT, BLUE_HOUR_MIN_ALT].forEach(alt => {
+        events.push(...calculateRiseSetTimes(lat, lon, getSunPosition, zone, alt).events);
+    });
+    const segments = splitDayBySunAltitude(lat, lon, zone, events, getPhotoWindowKind)
+        .filter(seg => seg.phase !== null);
 
-    return { rise, set };
+    photoWindowCache = { key: cacheKey, segments };
+    return segments;
 }
 
+let planetTransitCache = { key: null, planets: null };
+
 /**
- * Find the next rise or set event from a given time, searching up to maxDays
- * @param {number} lat - Latitude
- * @param {number} lon - Longitude
- * @param {Function} getPosition - Position function (getSunPosition or getMoonPosition)
- * @param {Date} fromTime - Start time to search from
- * @param {number} horizonThreshold - Altitude threshold for horizon
- * @param {number} maxDays - Maximum days to search (default 60)
- * @returns {{type: string, time: Date, msUntil: number}|null}
+ * Rise, set and upper/lower transits of every planet in PLANETS during the selected local day
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @param {string} zone - City IANA time zone
+ * @returns {Array<{id: number, name: string, times: object}>} times as returned by
+ *   calculateRiseSetTimes (empty until Swiss Ephemeris is ready; asteroids outside their ephemeris are left out)
  */
-function findNextRiseSet(lat, lon, getPosition, fromTime, horizonThreshold, maxDays = 60) {
-    const latRad = lat * Math.PI / 180;
-    const lonRad = lon * Math.PI / 180;
+function calculatePlanetTransits(lat, lon, zone = 'UTC') {
+    if (!sweInitialized || !swe) return [];
+    const cacheKey = `${lat},${lon},${zone},${getLocalNoonAnchor(zone).getTime()},${getRefractionFromApparent(0)}`;
+    if (planetTransitCache.key === cacheKey) return planetTransitCache.planets;
+
+    // Planets are point sources: the horizon crossing only needs refraction
+    const threshold = -getRefractionFromApparent(0);
+    const anchor = getLocalNoonAnchor(zone);
+    const planets = PLANETS.filter(planet => getPlanetRADec(anchor, planet.id)).map(planet => ({
+        id: planet.id,
+        name: planet.name,
+        times: calculateRiseSetTimes(lat, lon, (date) => getPlanetPosition(date, planet.id), zone, threshold)
+    }));
 
-    // Get current altitude to know if we're above or below horizon
-    const currentPos = getPosition(fromTime);
-    const currentLonRad = currentPos.lon * Math.PI / 180;
-    const currentLatRad = currentPos.lat * Math.PI / 180;
-    const currentHa = lonRad - currentLonRad;
-    const currentSinAlt = Math.sin(latRad) * Math.sin(currentLatRad) +
-                          Math.cos(latRad) * Math.cos(currentLatRad) * Math.cos(currentHa);
-    const currentAlt = Math.asin(currentSinAlt) * 180 / Math.PI;
-    const currentlyAbove = currentAlt >= horizonThreshold;
-
-    // Search with 15-minute resolution for up to maxDays
-    const maxMinutes = maxDays * 24 * 60;
-    let prevAlt = currentAlt;
-
-    for (let mins = 15; mins <= maxMinutes; mins += 15) {
-        const checkTime = new Date(fromTime.getTime() + mins * 60 * 1000);
-        const pos = getPosition(checkTime);
-        const bodyLonRad = pos.lon * Math.PI / 180;
-        const bodyLatRad = pos.lat * Math.PI / 180;
-        const ha = lonRad - bodyLonRad;
-        const sinAlt = Math.sin(latRad) * Math.sin(bodyLatRad) +
-                       Math.cos(latRad) * Math.cos(bodyLatRad) * Math.cos(ha);
-        const alt = Math.asin(sinAlt) * 180 / Math.PI;
-
-        // Check for crossing
-        if (prevAlt < horizonThreshold && alt >= horizonThreshold) {
-            // Rising - interpolate for more accuracy
-            const t = (horizonThreshold - prevAlt) / (alt - prevAlt);
-            const exactMins = (mins - 15) + t * 15;
-            const exactTime = new Date(fromTime.getTime() + exactMins * 60 * 1000);
-            return { type: 'rise', time: exactTime, msUntil: exactMins * 60 * 1000 };
-        }
-        if (prevAlt >= horizonThreshold && alt < horizonThreshold) {
-            // Setting - interpolate
-            const t = (prevAlt - horizonThreshold) / (prevAlt - alt);
-            const exactMins = (mins - 15) + t * 15;
-            const exactTime = new Date(fromTime.getTime() + exactMins * 60 * 1000);
-            return { type: 'set', time: exactTime, msUntil: exactMins * 60 * 1000 };
-        }
+    planetTransitCache = { key: cacheKey, planets };
+    return planets;
+}
 
+/**
+ * Find the next golden/blue hour change from a given time
+ * If a window is already open, reports when it ends instead. Changes are bracketed on a 5-minute
+ * grid, then the crossed window boundary is refined with Brent's method
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @param {Date} fromTime - Start time to search from
+ * @param {number} maxHours - Maximum hours to search (default 48)
+ * @returns {{kind: string, active: boolean, msUntil: number}|null}
+ */
+function findNextPhotoWindow(lat, lon, fromTime, maxHours = 48) {
+    const STEP_MINS = 5;
+    const altAt = (mins) => getBodyAltitude(lat, lon, getSunPosition(new Date(fromTime.getTime() + mins * 60 * 1000)));
+    const current = getPhotoWindowKind(altAt(0));
+
+    let prevAlt = altAt(0);
+    for (let mins = STEP_MINS; mins <= maxHours * 60; mins += STEP_MINS) {
+        const alt = altAt(mins);
+        const kind = getPhotoWindowKind(alt);
+        if (kind !== current) {
+            // Solve for the first window boundary crossed in this step (the one nearest prevAlt)
+            const edge = [GOLDEN_HOUR_MAX_ALT, GOLDEN_HOUR_MIN_ALT, BLUE_HOUR_MIN_ALT]
+                .filter(b => (prevAlt - b) * (alt - b) <= 0)
+                .sort((x, y) => Math.abs(x - prevAlt) - Math.abs(y - prevAlt))[0];
+            const exactMins = edge === undefined
+                ? mins
+                : brentRoot((m) => altAt(m) - edge, mins - STEP_MINS, mins, prevAlt - edge, alt - edge,
+                    RISE_SET_TOLERANCE_MINS);
+            return current
+                ? { kind: current, active: true, msUntil: exactMins * 60 * 1000 }
+                : { kind, active: false, msUntil: exactMins * 60 * 1000 };
+        }
         prevAlt = alt;
     }
-
-    return null; // No event found within maxDays
+    return null;
 }
 
 /**
@@ -1652,53 +2127,50 @@ function getSunDistance(date) {
 }
 
 /**
- * Calculate Moon's horizon threshold based on distance
- * Accounts for: atmospheric refraction, Moon's angular radius, and parallax
- * @param {number} distanceKm - Moon's distance in km
+ * Calculate the Sun's horizon threshold for geometric altitudes
+ * Sunrise/set is when the upper limb appears on the horizon: h0 = -refraction - semi_diameter
+ * (about -0.84° at 1010 hPa / 10°C, -0.267° with refraction off)
+ * @returns {number} Horizon threshold in degrees
+ */
+function getSunHorizonThreshold() {
+    return -getRefractionFromApparent(0) - SUN_SEMIDIAMETER_DEG;
+}
+
+/**
+ * Calculate Moon's horizon threshold for topocentric altitudes
+ * Accounts for: atmospheric refraction and Moon's angular radius
+ * (parallax is already applied by getTopocentricMoonPosition)
+ * @param {number} distanceKm - Moon's topocentric distance in km
  * @returns {number} Horizon threshold in degrees
  */
 function getMoonHorizonThreshold(distanceKm) {
     const MOON_RADIUS_KM = 1737.4;
-    const EARTH_RADIUS_KM = 6378.137;
-    const REFRACTION_DEG = -0.566;  // 34 arcminutes atmospheric refraction
 
-    // Moon's angular semi-diameter (in degrees)
+    // Moon's angular semi-diameter as seen from the observer (in degrees)
     const semiDiameter = Math.atan(MOON_RADIUS_KM / distanceKm) * 180 / Math.PI;
 
-    // Horizontal parallax (in degrees)
-    const parallax = Math.atan(EARTH_RADIUS_KM / distanceKm) * 180 / Math.PI;
-
     // Moonrise/set occurs when upper limb touches horizon
-    // h0 = refraction - semi_diameter + parallax
-    return REFRACTION_DEG - semiDiameter + parallax;
+    // h0 = -refraction - semi_diameter
+    return -getRefractionFromApparent(0) - semiDiameter;
 }
 
 /**
- * Convert ecliptic coordinates to scene position
- * SwissEph returns ecliptic coordinates which need rotation by obliquity
- * to align with Earth's equatorial frame (Earth's pole is Z-up in scene)
+ * Convert ecliptic coordinates of date to scene position
+ * SwissEph returns ecliptic coordinates on the true equinox of date: rotating by the date's true
+ * obliquity gives the equator of date, then sidereal time turns that into the Earth-fixed scene
  * @param {number} lonDeg - Ecliptic longitude in degrees
  * @param {number} latDeg - Ecliptic latitude in degrees
  * @param {number} distanceEarthRadii - Distance in Earth radii
+ * @param {Date} date - Date the coordinates are for
  * @returns {{x: number, y: number, z: number}} Scene position
  */
-function eclipticToScenePosition(lonDeg, latDeg, distanceEarthRadii) {
-    const lon = lonDeg * Math.PI / 180;
-    const lat = latDeg * Math.PI / 180;
-
-    // Convert to ecliptic cartesian
-    const xEcl = distanceEarthRadii * Math.cos(lat) * Math.cos(lon);
-    const yEcl = distanceEarthRadii * Math.cos(lat) * Math.sin(lon);
-    const zEcl = distanceEarthRadii * Math.sin(lat);
-
-    // Rotate by obliquity around X-axis to convert to equatorial
-    const xEq = xEcl;
-    const yEq = yEcl * Math.cos(OBLIQUITY_RAD) - zEcl * Math.sin(OBLIQUITY_RAD);
-    const zEq = yEcl * Math.sin(OBLIQUITY_RAD) + zEcl * Math.cos(OBLIQUITY_RAD);
-
-    // Map to scene coordinates (Z-up, Y is toward viewer at lon=0)
-    // Scene convention: X = toward lon=0, Y = toward lon=90, Z = north pole
-    return { x: xEq, y: yEq, z: zEq };
+function eclipticToScenePosition(lonDeg, latDeg, distanceEarthRadii, date) {
+    const jd = dateToJulianDay(date);
+    const obliquity = getObliquity(sweInitialized ? swe : null, jd).true;
+    const { ra, dec } = eclipticToEquatorial(lonDeg, latDeg, obliquity);
+    const subpoint = equatorialToSubpoint(ra, dec, getGMST(jd));
+    const [x, y, z] = sphericalToVector(subpoint.lon, subpoint.lat, distanceEarthRadii);
+    return { x, y, z };
 }
 
 /**
@@ -1774,8 +2246,8 @@ function updateMoonPosition() {
     const simTime = getSimulatedTime();
     const moonPos = getMoonScenePosition(simTime);
 
-    // Update moon mesh position
-    moonMesh.position.set(moonPos.x, moonPos.y, moonPos.z);
+    // Update moon mesh position (drawn at apparent altitude in horizon view)
+    applyHorizonRefraction(moonMesh.position.set(moonPos.x, moonPos.y, moonPos.z));
 
     // Update debug line from moon to Earth center
     if (false && moonDebugLine) {
@@ -1803,9 +2275,71 @@ function createMoon() {
         roughness: 0.9,
         metalness: 0.0
     });
+
+    // Earth's shadow uniforms - moonCenter is the unrefracted position, so the shadow
+    // stays where it really falls when the horizon view lifts the mesh
+    moonMaterial.userData.moonCenter = { value: new THREE.Vector3(0, 0, 0) };
+    moonMaterial.userData.shadowAxis = { value: new THREE.Vector3(-1, 0, 0) };
+    moonMaterial.userData.earthShadowRadius = { value: EARTH_RADIUS * EARTH_SHADOW_ENLARGEMENT };
+    moonMaterial.userData.umbraTan = { value: 0 };
+    moonMaterial.userData.penumbraTan = { value: 0 };
+
+    // Inject Earth's umbra/penumbra (lunar eclipse) - computed analytically instead of
+    // from the shadow map, whose texels are far coarser than the Moon at 60 Earth radii
+    moonMaterial.onBeforeCompile = (shader) => {
+        shader.uniforms.moonCenter = moonMaterial.userData.moonCenter;
+        shader.uniforms.shadowAxis = moonMaterial.userData.shadowAxis;
+        shader.uniforms.earthShadowRadius = moonMaterial.userData.earthShadowRadius;
+        shader.uniforms.umbraTan = moonMaterial.userData.umbraTan;
+        shader.uniforms.penumbraTan = moonMaterial.userData.penumbraTan;
+
+        shader.vertexShader = shader.vertexShader.replace(
+            '#include <common>',
+            `#include <common>
+            varying vec3 vMoonOffset;
+            `
+        );
+        shader.vertexShader = shader.vertexShader.replace(
+            '#include <worldpos_vertex>',
+            `#include <worldpos_vertex>
+            vMoonOffset = (modelMatrix * vec4(position, 0.0)).xyz;
+            `
+        );
+
+        shader.fragmentShader = shader.fragmentShader.replace(
+            '#include <common>',
+            `#include <common>
+            uniform vec3 moonCenter;
+            uniform vec3 shadowAxis;
+            uniform float earthShadowRadius;
+            uniform float umbraTan;
+            uniform float penumbraTan;
+            varying vec3 vMoonOffset;
+            `
+        );
+
+        shader.fragmentShader = shader.fragmentShader.replace(
+            '#include <map_fragment>',
+            `#include <map_fragment>
+            // Distance behind Earth along the shadow axis and from the axis
+            vec3 shadowPoint = moonCenter + vMoonOffset;
+            float alongAxis = dot(shadowPoint, shadowAxis);
+            if (alongAxis > 0.0) {
+                float fromAxis = length(shadowPoint - alongAxis * shadowAxis);
+                float umbraRadius = earthShadowRadius - alongAxis * umbraTan;
+                float penumbraRadius = earthShadowRadius + alongAxis * penumbraTan;
+                // 0 inside the umbra, 1 outside the penumbra - roughly the visible fraction of the Sun
+                float sunlight = clamp((fromAxis - umbraRadius) / (penumbraRadius - umbraRadius), 0.0, 1.0);
+                // Inside the umbra only sunlight refracted through Earth's atmosphere remains - dim and red
+                diffuseColor.rgb *= mix(vec3(0.35, 0.12, 0.06), vec3(1.0), sunlight);
+            }
+            `
+        );
+    };
+
     moonMesh = new THREE.Mesh(moonGeometry, moonMaterial);
     moonMesh.castShadow = false;    // Casts shadow onto Earth (solar eclipse)
-    moonMesh.receiveShadow = true; // Receives shadow from Earth (lunar eclipse)
+    moonMesh.receiveShadow = false; // Earth's shadow is drawn by the material (lunar eclipse)
     scene.add(moonMesh);
 
     // Moon glow sprite (purely visual, additive blending — no lighting/shadow effect)
@@ -1883,8 +2417,8 @@ function updateSunPosition() {
     const simTime = getSimulatedTime();
     const sunPos = getSunScenePosition(simTime);
 
-    // Update sun mesh position
-    sunMesh.position.set(sunPos.x, sunPos.y, sunPos.z);
+    // Update sun mesh position (drawn at apparent altitude in horizon view)
+    applyHorizonRefraction(sunMesh.position.set(sunPos.x, sunPos.y, sunPos.z));
 
     // Update debug line from sun to Earth center
     if (false && sunDebugLine) {
@@ -2026,12 +2560,39 @@ function calculateEclipseConeGeometry(moonDistanceKm, sunDistanceKm) {
 }
 
 /**
- * Create ghost celestial sprites, arc lines, and horizon glow indicators
+ * Calculate Earth's shadow cone geometry (lunar eclipse) from real astronomical values
+ * Radii include EARTH_SHADOW_ENLARGEMENT, as in eclipse predictions
+ * @param {number} moonDistanceKm - Moon's distance from Earth in km
+ * @param {number} sunDistanceKm - Sun's distance from Earth in km
+ * @returns {Object} Cone geometry parameters, measured from Earth's center along the shadow axis
  */
-function createGhostCelestials() {
-    // --- Ghost Sun Sprite ---
-    const sunGlowCanvas = document.createElement('canvas');
-    sunGlowCanvas.width = 64;
+function calculateEarthShadowConeGeometry(moonDistanceKm, sunDistanceKm) {
+    // Umbra converges (internal tangents), penumbra diverges (external tangents)
+    const umbraTan = (SUN_RADIUS_KM - EARTH_RADIUS_KM) / sunDistanceKm;
+    const penumbraTan = (SUN_RADIUS_KM + EARTH_RADIUS_KM) / sunDistanceKm;
+
+    // Draw the cones a little past the Moon's orbit - the umbra apex is ~217 Earth radii away
+    const lengthKm = moonDistanceKm * 1.5;
+    const kmToScene = EARTH_RADIUS / EARTH_RADIUS_KM;
+
+    return {
+        umbraTan: umbraTan,
+        penumbraTan: penumbraTan,
+        umbraLengthScene: EARTH_RADIUS_KM / umbraTan * kmToScene,
+        lengthScene: lengthKm * kmToScene,
+        baseRadiusScene: EARTH_RADIUS_KM * EARTH_SHADOW_ENLARGEMENT * kmToScene,
+        umbraEndRadiusScene: Math.max(0, EARTH_RADIUS_KM - lengthKm * umbraTan) * EARTH_SHADOW_ENLARGEMENT * kmToScene,
+        penumbraEndRadiusScene: (EARTH_RADIUS_KM + lengthKm * penumbraTan) * EARTH_SHADOW_ENLARGEMENT * kmToScene
+    };
+}
+
+/**
+ * Create ghost celestial sprites, arc lines, and horizon glow indicators
+ */
+function createGhostCelestials() {
+    // --- Ghost Sun Sprite ---
+    const sunGlowCanvas = document.createElement('canvas');
+    sunGlowCanvas.width = 64;
     sunGlowCanvas.height = 64;
     const sunCtx = sunGlowCanvas.getContext('2d');
     const sunGrad = sunCtx.createRadialGradient(32, 32, 0, 32, 32, 32);
@@ -2250,7 +2811,7 @@ function updateEclipseCones() {
 
     // Update moon mesh position in sync with uniforms (bypass throttling)
     if (moonMesh) {
-        moonMesh.position.copy(moonPos);
+        applyHorizonRefraction(moonMesh.position.copy(moonPos));
     }
 
     // Update Earth material moonPosition uniform for eclipse darkening shader
@@ -2264,7 +2825,7 @@ function updateEclipseCones() {
 
     // Update sun mesh position in sync with uniforms (bypass throttling)
     if (sunMesh) {
-        sunMesh.position.set(sunScenePos.x, sunScenePos.y, sunScenePos.z);
+        applyHorizonRefraction(sunMesh.position.set(sunScenePos.x, sunScenePos.y, sunScenePos.z));
     }
 
     // Update Earth material sunDirection uniform for eclipse darkening shader (non-throttled)
@@ -2272,6 +2833,9 @@ function updateEclipseCones() {
         earthMaterial.userData.sunDirection.value.copy(sunDir);
     }
 
+    // Earth's shadow on the Moon and its cones (lunar eclipse)
+    updateEarthShadow(simTime, moonPos, sunDir);
+
     // Check angular separation between moon and sun - only show cones near eclipse
     const moonDir = moonPos.clone().normalize();
     const angularSepRad = Math.acos(Math.max(-1, Math.min(1, moonDir.dot(sunDir))));
@@ -2377,84 +2941,108 @@ function updateEclipseCones() {
 }
 
 /**
- * Calculate accurate moonrise/moonset times using Swiss Ephemeris
- * Uses Moon's actual distance to compute parallax and angular radius corrections
- * @param {number} lat - Observer latitude
- * @param {number} lon - Observer longitude
- * @param {number} cityTzHours - City timezone offset in hours
- * @returns {{rise: object|null, set: object|null}}
+ * Create Earth's shadow cones (umbra and penumbra behind the night side)
  */
-function calculateMoonRiseSetTimes(lat, lon, cityTzHours = 0) {
-    // Use base date (noon in city's timezone)
-    let now;
-    if (selectedDate) {
-        now = new Date(selectedDate);
-        now.setHours(12, 0, 0, 0);
-    } else {
-        now = new Date();
-    }
+function createEarthShadowCones() {
+    // Truncated cones - geometry is rebuilt as the Sun and Moon distances change
+    earthUmbraCone = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial({
+        color: 0x330800,
+        transparent: true,
+        opacity: 0.25,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    }));
+    earthUmbraCone.visible = false;
+    scene.add(earthUmbraCone);
 
-    // Adjust base time to represent noon in the city's timezone
-    const userTzMinutes = -now.getTimezoneOffset();
-    const cityTzMinutes = cityTzHours * 60;
-    const tzDiffMinutes = cityTzMinutes - userTzMinutes;
-    now = new Date(now.getTime() - tzDiffMinutes * 60 * 1000);
+    earthPenumbraCone = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial({
+        color: 0x444444,
+        transparent: true,
+        opacity: 0.15,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    }));
+    earthPenumbraCone.visible = false;
+    scene.add(earthPenumbraCone);
+}
 
-    const latRad = lat * Math.PI / 180;
+/**
+ * Rebuild a shadow cone's truncated-cone geometry when its size has changed noticeably
+ * @param {THREE.Mesh} cone - earthUmbraCone or earthPenumbraCone
+ * @param {number} baseRadius - Radius at Earth's center (scene units)
+ * @param {number} endRadius - Radius at the far end (scene units)
+ * @param {number} length - Length along the shadow axis (scene units)
+ */
+function setShadowConeShape(cone, baseRadius, endRadius, length) {
+    // ~1% of an Earth radius steps
+    const step = EARTH_RADIUS * 0.01;
+    const key = `${Math.round(baseRadius / step)}|${Math.round(endRadius / step)}|${Math.round(length / step)}`;
+    if (cone.userData.shapeKey === key) return;
+    cone.userData.shapeKey = key;
 
-    // Search for rise/set times with 5-minute resolution for better accuracy
-    const checkPoints = [];
-    for (let i = -720; i <= 720; i += 5) {
-        const checkTime = new Date(now.getTime() + i * 60 * 1000);
-        const moonPos = getMoonPosition(checkTime);
-        const moonDistance = getMoonDistance(checkTime);
-        const horizonThreshold = getMoonHorizonThreshold(moonDistance);
-
-        // Calculate hour angle
-        const bodyLonRad = moonPos.lon * Math.PI / 180;
-        const bodyLatRad = moonPos.lat * Math.PI / 180;
-        const lonRad = lon * Math.PI / 180;
-
-        // Local hour angle
-        const ha = lonRad - bodyLonRad;
-
-        // Altitude calculation (geocentric)
-        const sinAlt = Math.sin(latRad) * Math.sin(bodyLatRad) +
-                       Math.cos(latRad) * Math.cos(bodyLatRad) * Math.cos(ha);
-        const altitude = Math.asin(sinAlt) * 180 / Math.PI;
-
-        // Store altitude relative to the dynamic horizon threshold
-        checkPoints.push({
-            offset: i,
-            altitude: altitude,
-            threshold: horizonThreshold,
-            correctedAlt: altitude - horizonThreshold  // Positive = above horizon
-        });
-    }
+    // CylinderGeometry runs along Y with the top (first radius) at +Y
+    const geometry = new THREE.CylinderGeometry(endRadius, baseRadius, length, 48, 1, true);
+    geometry.translate(0, length / 2, 0);
+    cone.geometry.dispose();
+    cone.geometry = geometry;
+}
 
-    // Find crossings of corrected horizon (where correctedAlt crosses 0)
-    let rise = null, set = null;
-    for (let i = 1; i < checkPoints.length; i++) {
-        const prev = checkPoints[i - 1];
-        const curr = checkPoints[i];
+/**
+ * Update Earth's shadow on the Moon and the shadow cones behind Earth
+ * @param {Date} simTime - Simulated time
+ * @param {THREE.Vector3} moonPos - Moon's geometric scene position
+ * @param {THREE.Vector3} sunDir - Unit vector toward the Sun
+ */
+function updateEarthShadow(simTime, moonPos, sunDir) {
+    const shadowParams = calculateEarthShadowConeGeometry(getMoonDistance(simTime), getSunDistance(simTime) * 1e6);
+    const shadowDir = sunDir.clone().negate();
 
-        if (prev.correctedAlt < 0 && curr.correctedAlt >= 0 && !rise) {
-            // Rising - interpolate
-            const t = -prev.correctedAlt / (curr.correctedAlt - prev.correctedAlt);
-            const offset = prev.offset + t * 5;
-            const riseTime = new Date(now.getTime() + offset * 60 * 1000);
-            rise = { offset, label: formatShortTime(riseTime), time: riseTime };
-        }
-        if (prev.correctedAlt >= 0 && curr.correctedAlt < 0 && !set) {
-            // Setting - interpolate
-            const t = prev.correctedAlt / (prev.correctedAlt - curr.correctedAlt);
-            const offset = prev.offset + t * 5;
-            const setTime = new Date(now.getTime() + offset * 60 * 1000);
-            set = { offset, label: formatShortTime(setTime), time: setTime };
-        }
+    if (moonMesh) {
+        const uniforms = moonMesh.material.userData;
+        uniforms.moonCenter.value.copy(moonPos);
+        uniforms.shadowAxis.value.copy(shadowDir);
+        uniforms.umbraTan.value = shadowParams.umbraTan;
+        uniforms.penumbraTan.value = shadowParams.penumbraTan;
     }
 
-    return { rise, set };
+    if (!earthUmbraCone || !earthPenumbraCone) return;
+
+    // Only near a lunar eclipse, and not from the ground, where the camera would sit inside the cones
+    const moonDir = moonPos.clone().normalize();
+    const antiSunSepDeg = Math.acos(Math.max(-1, Math.min(1, moonDir.dot(shadowDir)))) * 180 / Math.PI;
+    const show = antiSunSepDeg <= 5 && !isHorizonMode;
+    earthUmbraCone.visible = show;
+    earthPenumbraCone.visible = show;
+    if (!show) return;
+
+    setShadowConeShape(earthUmbraCone, shadowParams.baseRadiusScene, shadowParams.umbraEndRadiusScene,
+        Math.min(shadowParams.lengthScene, shadowParams.umbraLengthScene));
+    setShadowConeShape(earthPenumbraCone, shadowParams.baseRadiusScene, shadowParams.penumbraEndRadiusScene,
+        shadowParams.lengthScene);
+
+    // Both start at Earth's center and point away from the Sun
+    const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), shadowDir);
+    earthUmbraCone.position.set(0, 0, 0);
+    earthUmbraCone.quaternion.copy(quaternion);
+    earthPenumbraCone.position.set(0, 0, 0);
+    earthPenumbraCone.quaternion.copy(quaternion);
+}
+
+/**
+ * Calculate accurate moonrise/moonset times using Swiss Ephemeris
+ * Uses topocentric Moon positions (parallax) and the Moon's angular radius at its actual distance
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @param {string} zone - City IANA time zone
+ * @returns {object} Same shape as calculateRiseSetTimes
+ */
+function calculateMoonRiseSetTimes(lat, lon, zone = 'UTC') {
+    return calculateRiseSetTimes(
+        lat, lon,
+        (date) => getTopocentricMoonPosition(date, lat, lon),
+        zone,
+        (moonPos) => getMoonHorizonThreshold(moonPos.distanceKm)
+    );
 }
 
 /**
@@ -2545,15 +3133,12 @@ function updatePositionDisplay() {
     // Find closest city for timezone and display
     const closestCity = findClosestCity(lat, lon);
     const simTime = getAbsoluteSimulatedTime();  // Use absolute time, not timezone-adjusted
-    const cityTz = closestCity ? closestCity.tz : 0;
+    const cityZone = closestCity ? closestCity.zone : 'UTC';
 
     // Helper to convert UTC time to city local time string (short format)
     const formatCityTimeShort = (date) => {
         if (!date) return '--:--';
-        const utcTime = date.getTime() + date.getTimezoneOffset() * 60 * 1000;
-        const cityTime = new Date(utcTime + cityTz * 60 * 60 * 1000);
-        const hours = cityTime.getHours();
-        const mins = cityTime.getMinutes();
+        const { hours, minutes: mins } = getZonedDateParts(date, cityZone);
         const displayHours = hours % 12 || 12;
         const ampm = hours >= 12 ? 'p' : 'a';
         return `${displayHours}:${mins.toString().padStart(2, '0')}${ampm}`;
@@ -2564,17 +3149,9 @@ function updatePositionDisplay() {
         window.updateCarouselHighlight();
     }
 
-    // Display city's UTC offset
+    // Display city's UTC offset (in effect at the simulated instant)
     if (utcEl && closestCity) {
-        const tz = closestCity.tz;
-        const sign = tz >= 0 ? '+' : '';
-        const hours = Math.floor(Math.abs(tz));
-        const mins = Math.round((Math.abs(tz) - hours) * 60);
-        if (mins === 0) {
-            utcEl.textContent = `${sign}${tz}`;
-        } else {
-            utcEl.textContent = `${sign}${hours}:${mins.toString().padStart(2, '0')}`;
-        }
+        utcEl.textContent = formatUtcOffset(getZoneOffsetMinutes(cityZone, simTime)).replace('UTC', '');
     }
 
     // Display local datetime for the city with live/simulated state
@@ -2587,31 +3164,20 @@ function updatePositionDisplay() {
     const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
     if (datetimeOdometer && closestCity) {
-        const utcTime = simTime.getTime() + simTime.getTimezoneOffset() * 60 * 1000;
-        const cityTime = new Date(utcTime + closestCity.tz * 60 * 60 * 1000);
-        const hours = cityTime.getHours();
-        const mins = cityTime.getMinutes();
+        const cityTime = getZonedDateParts(simTime, cityZone);
 
         // Update scroll wheel displays
-        updateWheelsFromTime(hours, mins, cityTime.getMonth(), cityTime.getDate(), cityTime.getFullYear());
+        updateWheelsFromTime(cityTime.hours, cityTime.minutes, cityTime.month, cityTime.day, cityTime.year);
+        updateCalendarReadout(cityTime);
 
         // Apply live/simulated/paused classes
         datetimeOdometer.classList.toggle('live', isFullyLive && !isPaused);
         datetimeOdometer.classList.toggle('simulated', !isFullyLive && !isPaused);
         datetimeOdometer.classList.toggle('paused', isPaused);
 
-        // Update city UTC offset
+        // Update city UTC offset and abbreviation (e.g. "UTC-4 EDT")
         if (cityUtcOffsetEl) {
-            const tz = closestCity.tz;
-            const sign = tz >= 0 ? '+' : '';
-            const tzHours = Math.floor(Math.abs(tz));
-            const tzMins = Math.round((Math.abs(tz) - tzHours) * 60);
-
-            if (tzMins === 0) {
-                cityUtcOffsetEl.textContent = `UTC${sign}${Math.floor(tz)}`;
-            } else {
-                cityUtcOffsetEl.textContent = `UTC${sign}${tzHours}:${tzMins.toString().padStart(2, '0')}`;
-            }
+            cityUtcOffsetEl.textContent = formatZoneLabel(cityZone, simTime);
         }
     }
 
@@ -2627,7 +3193,7 @@ function updatePositionDisplay() {
     const lonRad = lon * Math.PI / 180;
 
     // Get sun rise/set times and calculate visibility duration
-    const sunTimes = calculateRiseSetTimes(lat, lon, getSunPosition, cityTz, -0.833);
+    const sunTimes = calculateRiseSetTimes(lat, lon, getSunPosition, cityZone, getSunHorizonThreshold());
 
     // Helper to format duration as hours:minutes
     const formatDuration = (minutes) => {
@@ -2653,7 +3219,8 @@ function updatePositionDisplay() {
     const sunHa = lonRad - sunLonRad;
     const sunSinAlt = Math.sin(latRad) * Math.sin(sunLatRad) +
                       Math.cos(latRad) * Math.cos(sunLatRad) * Math.cos(sunHa);
-    const sunAltitude = Math.asin(sunSinAlt) * 180 / Math.PI;
+    // Shown as apparent (refracted) altitude unless geometric mode is selected
+    const sunAltitude = getApparentAltitude(Math.asin(sunSinAlt) * 180 / Math.PI);
     currentSunAltDeg = sunAltitude;
 
     // Azimuth calculation
@@ -2683,36 +3250,72 @@ function updatePositionDisplay() {
 
     // Update daylight info
     if (sunDaylightEl) {
-        if (sunTimes.rise && sunTimes.set) {
-            const visMins = sunTimes.set.offset - sunTimes.rise.offset;
-            const daylight = visMins > 0 ? visMins : 1440 + visMins;
+        if (sunTimes.state === 'always-up') {
+            sunDaylightEl.textContent = 'Polar day';
+        } else if (sunTimes.state === 'never-rises') {
+            sunDaylightEl.textContent = 'Polar night';
+        } else {
+            const daylight = getUpSegments(sunTimes).reduce((sum, seg) => sum + seg.end - seg.start, 0);
             sunDaylightEl.textContent = `${formatDuration(daylight)} daylight`;
-        } else if (!sunTimes.rise && !sunTimes.set) {
-            sunDaylightEl.textContent = sunSinAlt > 0 ? 'Polar day' : 'Polar night';
+        }
+    }
+
+    // Update twilight lines: dawn–dusk per level, or how the level behaves on white nights/polar days
+    const twilight = calculateTwilightTimes(lat, lon, cityZone);
+    const sunNeverSets = sunTimes.state === 'always-up';
+    const sunNeverRises = sunTimes.state === 'never-rises';
+    twilight.forEach(level => {
+        const el = document.getElementById(`sun-twilight-${level.key}`);
+        if (!el) return;
+        let span;
+        if (level.state === 'never-dark') {
+            span = sunNeverSets ? 'none' : sunNeverRises ? 'all day' : 'all night';
+        } else if (level.state === 'always-dark') {
+            span = 'none';
         } else {
-            sunDaylightEl.textContent = '--';
+            span = `${level.dawn ? formatCityTimeShort(level.dawn.time) : '--:--'}–${level.dusk ? formatCityTimeShort(level.dusk.time) : '--:--'}`;
         }
+        el.textContent = `${level.name} ${span}`;
+        el.classList.toggle('white-night', level.state === 'never-dark' && !sunNeverSets);
+    });
+
+    // Culmination helper: "12:07p +52°" (apparent altitude, like the ALT readouts)
+    const formatTransit = (event) => {
+        if (!event) return '--';
+        const alt = getApparentAltitude(event.altitude);
+        return `${formatCityTimeShort(event.time)} ${alt >= 0 ? '+' : ''}${alt.toFixed(0)}°`;
+    };
+
+    // Update solar noon (upper transit) and solar midnight (lower transit)
+    const sunTransitEl = document.getElementById('sun-transit-info');
+    if (sunTransitEl) {
+        sunTransitEl.textContent = `noon ${formatTransit(sunTimes.transit)} / ${formatTransit(sunTimes.lowerTransit)}`;
     }
 
-    // Update next sunrise/sunset countdown
+    // Update next sunrise/sunset countdown, with the next golden/blue hour change on a second line
     if (sunNextEventEl) {
-        const nextSunEvent = findNextRiseSet(lat, lon, getSunPosition, simTime, -0.833);
-        if (nextSunEvent) {
-            const totalMins = Math.floor(nextSunEvent.msUntil / (60 * 1000));
+        const formatCountdown = (msUntil) => {
+            const totalMins = Math.floor(msUntil / (60 * 1000));
             const days = Math.floor(totalMins / (24 * 60));
             const hours = Math.floor((totalMins % (24 * 60)) / 60);
             const mins = totalMins % 60;
 
-            if (days > 0) {
-                sunNextEventEl.textContent = `${nextSunEvent.type} in ${days}d ${hours}h`;
-            } else if (hours > 0) {
-                sunNextEventEl.textContent = `${nextSunEvent.type} in ${hours}h ${mins}m`;
-            } else {
-                sunNextEventEl.textContent = `${nextSunEvent.type} in ${mins}m`;
-            }
-        } else {
-            sunNextEventEl.textContent = '';
+            if (days > 0) return `${days}d ${hours}h`;
+            if (hours > 0) return `${hours}h ${mins}m`;
+            return `${mins}m`;
+        };
+
+        const lines = [];
+        const nextSunEvent = findNextRiseSet(lat, lon, getSunPosition, simTime, getSunHorizonThreshold());
+        if (nextSunEvent) {
+            lines.push(`${nextSunEvent.type} in ${formatCountdown(nextSunEvent.msUntil)}`);
+        }
+        const nextWindow = findNextPhotoWindow(lat, lon, simTime);
+        if (nextWindow) {
+            const verb = nextWindow.active ? 'ends in' : 'in';
+            lines.push(`${nextWindow.kind} ${verb} ${formatCountdown(nextWindow.msUntil)}`);
         }
+        sunNextEventEl.textContent = lines.join('\n');
     }
 
     // Update sun distance
@@ -2721,14 +3324,15 @@ function updatePositionDisplay() {
         sunDistEl.textContent = `${sunDist.toFixed(1)}M km`;
     }
 
-    // Calculate moon altitude and azimuth
+    // Calculate moon altitude and azimuth (topocentric - lunar parallax is up to ~1°)
     const moonPos = getMoonPosition(simTime);
-    const moonLatRad = moonPos.lat * Math.PI / 180;
-    const moonLonRad = moonPos.lon * Math.PI / 180;
+    const moonTopo = getTopocentricMoonPosition(simTime, lat, lon);
+    const moonLatRad = moonTopo.lat * Math.PI / 180;
+    const moonLonRad = moonTopo.lon * Math.PI / 180;
     const moonHa = lonRad - moonLonRad;
     const moonSinAlt = Math.sin(latRad) * Math.sin(moonLatRad) +
                        Math.cos(latRad) * Math.cos(moonLatRad) * Math.cos(moonHa);
-    const moonAltitude = Math.asin(moonSinAlt) * 180 / Math.PI;
+    const moonAltitude = getApparentAltitude(Math.asin(moonSinAlt) * 180 / Math.PI);
     currentMoonAltDeg = moonAltitude;
 
     // Moon azimuth calculation
@@ -2804,11 +3408,47 @@ function updatePositionDisplay() {
         moonDistEl.textContent = `${distK.toLocaleString()}k km`;
     }
 
+    // Update lunar upper/lower transit
+    const moonTransitEl = document.getElementById('moon-transit-info');
+    if (moonTransitEl) {
+        const moonTimes = calculateMoonRiseSetTimes(lat, lon, cityZone);
+        moonTransitEl.textContent = `transit ${formatTransit(moonTimes.transit)} / ${formatTransit(moonTimes.lowerTransit)}`;
+    }
+
+    // Update planet transits (rows are built on first use, one per entry in PLANETS with a position today)
+    const planetTransitsEl = document.getElementById('planet-transits');
+    if (planetTransitsEl) {
+        const planets = calculatePlanetTransits(lat, lon, cityZone);
+        planetTransitsEl.querySelectorAll('.planet-transit-row').forEach(row => {
+            if (!planets.some(planet => String(planet.id) === row.dataset.planet)) row.remove();
+        });
+        planets.forEach(planet => {
+            let row = planetTransitsEl.querySelector(`[data-planet="${planet.id}"]`);
+            if (!row) {
+                row = document.createElement('div');
+                row.className = 'planet-transit-row';
+                row.dataset.planet = planet.id;
+                row.innerHTML = '<span class="planet-name"></span><span class="planet-transit"></span>';
+                row.querySelector('.planet-name').textContent = planet.name;
+                planetTransitsEl.appendChild(row);
+            }
+            row.querySelector('.planet-transit').textContent = formatTransit(planet.times.transit);
+            const { rise, set } = planet.times;
+            row.title = `${planet.name}: rise ${rise ? formatCityTimeShort(rise.time) : '--'}, ` +
+                `transit ${formatTransit(planet.times.transit)}, set ${set ? formatCityTimeShort(set.time) : '--'}, ` +
+                `lower transit ${formatTransit(planet.times.lowerTransit)}`;
+            row.classList.toggle('below', !planet.times.transit || planet.times.transit.altitude < 0);
+            row.classList.toggle('hidden', hiddenPlanetIds.has(planet.id));
+        });
+    }
+
     // Update next moonrise/moonset countdown
     if (moonNextEventEl) {
         try {
-            // Moon horizon threshold ~+0.125° (refraction minus parallax, approximate)
-            const nextMoonEvent = findNextRiseSet(lat, lon, getMoonPosition, simTime, 0.125);
+            // Topocentric positions, upper limb threshold at the Moon's current distance
+            const getTopoMoon = (date) => getTopocentricMoonPosition(date, lat, lon);
+            const moonThreshold = (moonPos) => getMoonHorizonThreshold(moonPos.distanceKm);
+            const nextMoonEvent = findNextRiseSet(lat, lon, getTopoMoon, simTime, moonThreshold);
             if (nextMoonEvent) {
                 const totalMins = Math.floor(nextMoonEvent.msUntil / (60 * 1000));
                 const days = Math.floor(totalMins / (24 * 60));
@@ -2845,25 +3485,22 @@ function updateEventMarkers() {
 
     // Get closest city for timezone
     const closestCity = findClosestCity(groundPos.lat, groundPos.lon);
-    const cityTz = closestCity ? closestCity.tz : 0;
+    const cityZone = closestCity ? closestCity.zone : 'UTC';
 
     // Helper to format time in city local timezone
     const formatCityTimeShort = (date) => {
         if (!date) return '';
-        const utcTime = date.getTime() + date.getTimezoneOffset() * 60 * 1000;
-        const cityTime = new Date(utcTime + cityTz * 60 * 60 * 1000);
-        const hours = cityTime.getHours();
-        const mins = cityTime.getMinutes();
+        const { hours, minutes: mins } = getZonedDateParts(date, cityZone);
         const displayHours = hours % 12 || 12;
         const ampm = hours >= 12 ? 'p' : 'a';
         return `${displayHours}:${mins.toString().padStart(2, '0')}${ampm}`;
     };
 
     // Calculate sun times (pass city timezone)
-    const sunTimes = calculateRiseSetTimes(groundPos.lat, groundPos.lon, getSunPosition, cityTz, -0.833);
+    const sunTimes = calculateRiseSetTimes(groundPos.lat, groundPos.lon, getSunPosition, cityZone, getSunHorizonThreshold());
 
     // Calculate moon times with accurate parallax/angular radius correction
-    const moonTimes = calculateMoonRiseSetTimes(groundPos.lat, groundPos.lon, cityTz);
+    const moonTimes = calculateMoonRiseSetTimes(groundPos.lat, groundPos.lon, cityZone);
 
     // Helper to position marker using percentage for proper alignment
     // Note: data.offset from calculateRiseSetTimes is relative to noon (-720 to 720)
@@ -2889,10 +3526,64 @@ function updateEventMarkers() {
         }
     };
 
-    positionMarker('sunrise-marker', sunTimes.rise);
-    positionMarker('sunset-marker', sunTimes.set);
-    positionMarker('moonrise-marker', moonTimes.rise);
-    positionMarker('moonset-marker', moonTimes.set);
+    // One marker per event - the markup holds the first, extras (e.g. a second moonrise)
+    // are cloned from it as "<id>-2", "<id>-3"... and hidden again when not needed
+    const positionMarkers = (id, events) => {
+        const base = document.getElementById(id);
+        if (!base) return;
+        positionMarker(id, events[0]);
+        for (let i = 1; ; i++) {
+            let extra = document.getElementById(`${id}-${i + 1}`);
+            if (!extra && i < events.length) {
+                extra = base.cloneNode(false);
+                extra.id = `${id}-${i + 1}`;
+                base.after(extra);
+            }
+            if (!extra) break;
+            positionMarker(extra.id, events[i]);
+        }
+    };
+    const eventsOfType = (times, type) => times.events.filter(e => e.type === type);
+
+    positionMarkers('sunrise-marker', eventsOfType(sunTimes, 'rise'));
+    positionMarkers('sunset-marker', eventsOfType(sunTimes, 'set'));
+    positionMarkers('moonrise-marker', eventsOfType(moonTimes, 'rise'));
+    positionMarkers('moonset-marker', eventsOfType(moonTimes, 'set'));
+    positionMarkers('moon-transit-marker', eventsOfType(moonTimes, 'transit'));
+
+    // Noon marker sits at true solar transit (local apparent noon), not at 12:00 clock time
+    positionMarker('noon-marker', sunTimes.transit);
+
+    // Twilight dawn/dusk markers (unlabelled ticks - times are listed in the sun panel)
+    const twilight = calculateTwilightTimes(groundPos.lat, groundPos.lon, cityZone);
+    twilight.forEach(level => {
+        positionMarker(`${level.key}-dawn-marker`, level.dawn);
+        positionMarker(`${level.key}-dusk-marker`, level.dusk);
+    });
+
+    // Graded daylight/twilight/night band behind the slider (colors come from CSS variables)
+    const twilightBand = document.getElementById('twilight-band');
+    if (twilightBand) {
+        const segments = getSunlightSegments(groundPos.lat, groundPos.lon, cityZone, sunTimes, twilight);
+        const stops = segments.map(seg =>
+            `var(--twilight-${seg.phase}) ${(seg.start / 14.4).toFixed(2)}% ${(seg.end / 14.4).toFixed(2)}%`
+        );
+        twilightBand.style.background = `linear-gradient(90deg, ${stops.join(', ')})`;
+    }
+
+    // Golden/blue hour segments (gaps between windows stay transparent)
+    const photoBand = document.getElementById('photo-window-band');
+    if (photoBand) {
+        const stops = [];
+        let cursor = 0;
+        getPhotoWindowSegments(groundPos.lat, groundPos.lon, cityZone).forEach(seg => {
+            stops.push(`transparent ${(cursor / 14.4).toFixed(2)}% ${(seg.start / 14.4).toFixed(2)}%`);
+            stops.push(`var(--photo-${seg.phase}) ${(seg.start / 14.4).toFixed(2)}% ${(seg.end / 14.4).toFixed(2)}%`);
+            cursor = seg.end;
+        });
+        stops.push(`transparent ${(cursor / 14.4).toFixed(2)}% 100%`);
+        photoBand.style.background = `linear-gradient(90deg, ${stops.join(', ')})`;
+    }
 
     // NOW marker always at center (current time = offset 0)
     const nowMarker = document.getElementById('now-marker');
@@ -2900,144 +3591,57 @@ function updateEventMarkers() {
         nowMarker.style.left = '50%';
     }
 
-    // Update sun visibility bars
-    const sunBar = document.getElementById('sun-visibility-bar');
-    const sunBar2 = document.getElementById('sun-visibility-bar-2');
-    if (sunBar && sunBar2) {
-        const sunRiseOffset = sunTimes.rise ? sunTimes.rise.offset + 720 : null;
-        const sunSetOffset = sunTimes.set ? sunTimes.set.offset + 720 : null;
-
-        // Check if sun is currently above horizon (for polar day/night)
-        const simTime = getAbsoluteSimulatedTime();
-        const sunPos = getSunPosition(simTime);
-        const latRad = groundPos.lat * Math.PI / 180;
-        const lonRad = groundPos.lon * Math.PI / 180;
-        const sunLatRad = sunPos.lat * Math.PI / 180;
-        const sunLonRad = sunPos.lon * Math.PI / 180;
-        const sunHa = lonRad - sunLonRad;
-        const sunSinAlt = Math.sin(latRad) * Math.sin(sunLatRad) +
-                          Math.cos(latRad) * Math.cos(sunLatRad) * Math.cos(sunHa);
-        const sunIsUp = sunSinAlt > 0;
-
-        // Helper to set bar position with edge extension for border-radius compensation
-        const setBarPosition = (bar, startOffset, endOffset) => {
-            const startPct = (startOffset / 1440) * 100;
-            const endPct = (endOffset / 1440) * 100;
-            const atStart = startOffset === 0;
-            const atEnd = endOffset === 1440;
-
-            // Extend by 6px at edges to align with tick marks
-            if (atStart && atEnd) {
-                bar.style.left = 'calc(0% - 6px)';
-                bar.style.width = 'calc(100% + 12px)';
-            } else if (atStart) {
-                bar.style.left = 'calc(0% - 6px)';
-                bar.style.width = `calc(${endPct}% + 6px)`;
-            } else if (atEnd) {
-                bar.style.left = `${startPct}%`;
-                bar.style.width = `calc(${endPct - startPct}% + 6px)`;
-            } else {
-                bar.style.left = `${startPct}%`;
-                bar.style.width = `${endPct - startPct}%`;
-            }
-            bar.classList.add('visible');
-        };
-
-        // Reset both bars
-        sunBar.classList.remove('visible');
-        sunBar2.classList.remove('visible');
-
-        if (sunRiseOffset !== null && sunSetOffset !== null) {
-            if (sunSetOffset < sunRiseOffset) {
-                // Sun sets before it rises - two bars with gap in middle
-                setBarPosition(sunBar, 0, sunSetOffset);
-                setBarPosition(sunBar2, sunRiseOffset, 1440);
-            } else {
-                // Normal day: sunrise to sunset - single bar
-                setBarPosition(sunBar, sunRiseOffset, sunSetOffset);
-            }
-        } else if (sunRiseOffset === null && sunSetOffset === null) {
-            // Polar day or polar night
-            if (sunIsUp) {
-                setBarPosition(sunBar, 0, 1440);
-            }
-        } else if (sunRiseOffset !== null && sunSetOffset === null) {
-            // Sun rises but doesn't set
-            setBarPosition(sunBar, sunRiseOffset, 1440);
-        } else if (sunRiseOffset === null && sunSetOffset !== null) {
-            // Sun sets but doesn't rise
-            setBarPosition(sunBar, 0, sunSetOffset);
-        }
-    }
-
-    // Update moon visibility bars
-    const moonBar = document.getElementById('moon-visibility-bar');
-    const moonBar2 = document.getElementById('moon-visibility-bar-2');
-    if (moonBar && moonBar2) {
-        const moonRiseOffset = moonTimes.rise ? moonTimes.rise.offset + 720 : null;
-        const moonSetOffset = moonTimes.set ? moonTimes.set.offset + 720 : null;
-
-        // Check if moon is currently above horizon
-        const simTime = getAbsoluteSimulatedTime();
-        const moonPos = getMoonPosition(simTime);
-        const latRad = groundPos.lat * Math.PI / 180;
-        const lonRad = groundPos.lon * Math.PI / 180;
-        const moonLatRad = moonPos.lat * Math.PI / 180;
-        const moonLonRad = moonPos.lon * Math.PI / 180;
-        const moonHa = lonRad - moonLonRad;
-        const moonSinAlt = Math.sin(latRad) * Math.sin(moonLatRad) +
-                           Math.cos(latRad) * Math.cos(moonLatRad) * Math.cos(moonHa);
-        const moonIsUp = moonSinAlt > 0;
-
-        // Helper to set bar position with edge extension for border-radius compensation
-        const setMoonBarPosition = (bar, startOffset, endOffset) => {
-            const startPct = (startOffset / 1440) * 100;
-            const endPct = (endOffset / 1440) * 100;
-            const atStart = startOffset === 0;
-            const atEnd = endOffset === 1440;
-
-            // Extend by 6px at edges to align with tick marks
-            if (atStart && atEnd) {
-                bar.style.left = 'calc(0% - 6px)';
-                bar.style.width = 'calc(100% + 12px)';
-            } else if (atStart) {
-                bar.style.left = 'calc(0% - 6px)';
-                bar.style.width = `calc(${endPct}% + 6px)`;
-            } else if (atEnd) {
-                bar.style.left = `${startPct}%`;
-                bar.style.width = `calc(${endPct - startPct}% + 6px)`;
-            } else {
-                bar.style.left = `${startPct}%`;
-                bar.style.width = `${endPct - startPct}%`;
-            }
-            bar.classList.add('visible');
-        };
-
-        // Reset both bars
-        moonBar.classList.remove('visible');
-        moonBar2.classList.remove('visible');
+    // Update sun and moon visibility bars (one bar per above-horizon interval)
+    updateVisibilityBars('sun-visibility-bar', getUpSegments(sunTimes));
+    updateVisibilityBars('moon-visibility-bar', getUpSegments(moonTimes));
+}
 
-        if (moonRiseOffset !== null && moonSetOffset !== null) {
-            if (moonSetOffset < moonRiseOffset) {
-                // Moon sets before it rises - two bars with gap in middle
-                setMoonBarPosition(moonBar, 0, moonSetOffset);
-                setMoonBarPosition(moonBar2, moonRiseOffset, 1440);
-            } else {
-                // Normal: moonrise to moonset - single bar
-                setMoonBarPosition(moonBar, moonRiseOffset, moonSetOffset);
-            }
-        } else if (moonRiseOffset === null && moonSetOffset === null) {
-            // Moon always up or always down
-            if (moonIsUp) {
-                setMoonBarPosition(moonBar, 0, 1440);
-            }
-        } else if (moonRiseOffset !== null && moonSetOffset === null) {
-            // Moon rises but doesn't set
-            setMoonBarPosition(moonBar, moonRiseOffset, 1440);
-        } else if (moonRiseOffset === null && moonSetOffset !== null) {
-            // Moon sets but doesn't rise
-            setMoonBarPosition(moonBar, 0, moonSetOffset);
+/**
+ * Show above-horizon intervals as bars on the slider track
+ * The markup holds two bars per body ("<id>" and "<id>-2"); more are cloned if a day needs them
+ * @param {string} id - Id of the body's first bar
+ * @param {Array<{start: number, end: number}>} segments - Slider minutes (0-1440)
+ */
+function updateVisibilityBars(id, segments) {
+    const base = document.getElementById(id);
+    if (!base) return;
+
+    for (let i = 0; ; i++) {
+        const barId = i === 0 ? id : `${id}-${i + 1}`;
+        let bar = document.getElementById(barId);
+        if (!bar && i < segments.length) {
+            bar = base.cloneNode(false);
+            bar.id = barId;
+            document.getElementById(i === 1 ? id : `${id}-${i}`).after(bar);
+        }
+        if (!bar) break;
+
+        const seg = segments[i];
+        if (!seg) {
+            bar.classList.remove('visible');
+            continue;
+        }
+
+        const startPct = (seg.start / 1440) * 100;
+        const endPct = (seg.end / 1440) * 100;
+        const atStart = seg.start === 0;
+        const atEnd = seg.end === 1440;
+
+        // Extend by 6px at edges to align with tick marks
+        if (atStart && atEnd) {
+            bar.style.left = 'calc(0% - 6px)';
+            bar.style.width = 'calc(100% + 12px)';
+        } else if (atStart) {
+            bar.style.left = 'calc(0% - 6px)';
+            bar.style.width = `calc(${endPct}% + 6px)`;
+        } else if (atEnd) {
+            bar.style.left = `${startPct}%`;
+            bar.style.width = `calc(${endPct - startPct}% + 6px)`;
+        } else {
+            bar.style.left = `${startPct}%`;
+            bar.style.width = `${endPct - startPct}%`;
         }
+        bar.classList.add('visible');
     }
 }
 
@@ -3107,9 +3711,89 @@ let eclipseFilters = {
     annular: true,
     partial: true,
     hybrid: true,
-    penumbral: true
+    penumbral: true,
+    // Saros series number, or null for all
+    saros: null,
+    // Only eclipses seen from the focus point, at least this magnitude there
+    visibleOnly: false,
+    minMagnitude: 0
 };
 
+// ==================== ECLIPSE CATALOG ====================
+
+// Bundled NASA table, merged with eclipses computed a century at a time as they are needed
+const eclipseCatalog = CELESTIAL_EVENTS.map(event => ({ ...event }));
+const loadedEclipseCenturies = new Set();  // First year of each computed century
+const eclipseCenturyLoads = new Map();     // First year of a century being searched -> {callbacks, timer}
+const ECLIPSE_SEARCH_BLOCK_YEARS = 10;     // Years searched per tick - a century takes 1-2 s in all
+const BUNDLED_ECLIPSE_START_YEAR = parseEventDate(CELESTIAL_EVENTS[0].date).year;
+const BUNDLED_ECLIPSE_END_YEAR = parseEventDate(CELESTIAL_EVENTS[CELESTIAL_EVENTS.length - 1].date).year;
+
+/**
+ * Compute the eclipses of the century containing a year and merge them into the catalog
+ * The search runs a block of years per tick so the page stays responsive. Within the bundled
+ * range it fills the table's gaps and adds gamma, magnitude and saros.
+ * @param {number} year - Astronomical year
+ * @param {function(boolean)} [onDone] - Called with true once the century is merged, or with false
+ *   straight away when it is already loaded or cannot be computed
+ */
+function loadEclipseCentury(year, onDone = () => {}) {
+    if (!sweInitialized || !swe || year < EPHEMERIS_START_YEAR || year > EPHEMERIS_END_YEAR) {
+        onDone(false);
+        return;
+    }
+
+    const centuryStart = Math.floor((year - 1) / 100) * 100 + 1;  // Centuries run 2001-2100
+    if (loadedEclipseCenturies.has(centuryStart)) {
+        onDone(false);
+        return;
+    }
+    const pending = eclipseCenturyLoads.get(centuryStart);
+    if (pending) {
+        pending.callbacks.push(onDone);
+        return;
+    }
+
+    const load = { callbacks: [onDone], timer: null };
+    eclipseCenturyLoads.set(centuryStart, load);
+    const found = [];
+    let blockStart = centuryStart;
+    const step = () => {
+        const blockEnd = Math.min(blockStart + ECLIPSE_SEARCH_BLOCK_YEARS, centuryStart + 100) - 1;
+        found.push(...searchEclipses(swe, blockStart, blockEnd));
+        blockStart = blockEnd + 1;
+        if (blockStart < centuryStart + 100) {
+            load.timer = setTimeout(step, 0);
+            return;
+        }
+        eclipseCenturyLoads.delete(centuryStart);
+        loadedEclipseCenturies.add(centuryStart);
+        mergeEclipseEvents(eclipseCatalog, found);
+        load.callbacks.forEach(callback => callback(true));
+    };
+    load.timer = setTimeout(step, 20);
+}
+
+/**
+ * Stop century searches in progress (their callbacks are dropped)
+ */
+function cancelEclipseCenturyLoads() {
+    eclipseCenturyLoads.forEach(load => clearTimeout(load.timer));
+    eclipseCenturyLoads.clear();
+}
+
+/**
+ * Saros series number of a catalog event (bundled events get it on first use)
+ * @param {object} event - eclipseCatalog entry
+ * @returns {number}
+ */
+function getEventSaros(event) {
+    if (event.saros === undefined) {
+        event.saros = getSarosNumber(event.type, dateToJulianDay(getEclipseGreatestTime(event)));
+    }
+    return event.saros;
+}
+
 /**
  * Get eclipse icon HTML based on type and subtype
  */
@@ -3151,12 +3835,31 @@ function populateEclipseList(eventsList) {
     let visibleIndex = 0;
     let lastYear = null;
 
-    CELESTIAL_EVENTS.forEach((event, i) => {
+    // Blocks of years still to be checked for the visible-only filter
+    const unscannedBlocks = new Set();
+    if (eclipseFilters.visibleOnly) syncEclipseVisibility();
+
+    // Buttons at either end compute the neighbouring century
+    const catalogFirstYear = parseEventDate(eclipseCatalog[0].date).year;
+    const catalogLastYear = parseEventDate(eclipseCatalog[eclipseCatalog.length - 1].date).year;
+    if (catalogFirstYear > EPHEMERIS_START_YEAR) {
+        eventsList.appendChild(createEclipseLoadMoreButton(catalogFirstYear - 1, `Find eclipses before ${catalogFirstYear}`));
+    }
+
+    eclipseCatalog.forEach((event, i) => {
         // Apply hierarchical filters: check primary type AND subtype
         if (!eclipseFilters[event.type]) return;  // Primary filter (solar/lunar)
         if (!eclipseFilters[event.subtype]) return;  // Subtype filter
+        if (eclipseFilters.saros !== null && getEventSaros(event) !== eclipseFilters.saros) return;
+        if (eclipseFilters.visibleOnly) {
+            const visible = isEclipseVisibleHere(event);
+            if (visible === undefined) unscannedBlocks.add(getVisibilityBlock(event));
+            if (!visible) return;
+        }
 
-        const eventYear = event.date.substring(0, 4);
+        const { year, month, day } = parseEventDate(event.date);
+        const displayDate = formatDisplayDate(year, month - 1, day);
+        const eventYear = String(displayDate.year);
 
         // Add year divider when year changes
         if (eventYear !== lastYear) {
@@ -3169,11 +3872,13 @@ function populateEclipseList(eventsList) {
 
         const eventEl = document.createElement('div');
         eventEl.className = `event-item ${event.type} ${event.subtype}`;
+        if (event === selectedEclipse) eventEl.classList.add('selected');
+        eventEl.dataset.index = i;
         eventEl.dataset.date = event.date;
+        eventEl.dataset.year = eventYear;
         eventEl.dataset.timeutc = event.timeUTC;
-        const date = new Date(event.date + 'T12:00:00');
-        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const dateStr = `${monthNames[date.getMonth()]} ${date.getDate().toString().padStart(2, '0')}, ${date.getFullYear()}`;
+        const date = getEclipseGreatestTime(event);
+        const dateStr = displayDate.text;
         // Format UTC time for display
         const utcHours = Math.floor(event.timeUTC / 60);
         const utcMins = event.timeUTC % 60;
@@ -3183,11 +3888,17 @@ function populateEclipseList(eventsList) {
         const subtypeName = event.subtype.charAt(0).toUpperCase() + event.subtype.slice(1);
         const typeName = event.type.charAt(0).toUpperCase() + event.type.slice(1);
 
+        // Computed (or merged) events also carry gamma and magnitude
+        const details = event.gamma !== undefined
+            ? `<span class="event-details">γ ${event.gamma.toFixed(3)} · mag ${event.magnitude.toFixed(3)} · Saros ${getEventSaros(event)}</span>`
+            : `<span class="event-details">Saros ${getEventSaros(event)}</span>`;
+
         eventEl.innerHTML = `
             ${getEclipseIcon(event.type, event.subtype)}
             <div class="event-info">
                 <span class="event-name">${subtypeName} ${typeName}</span>
                 <span class="event-datetime"><span class="event-time">${timeStr}</span><span class="event-date">${dateStr}</span></span>
+                ${details}
             </div>
         `;
         eventsList.appendChild(eventEl);
@@ -3201,9 +3912,34 @@ function populateEclipseList(eventsList) {
         visibleIndex++;
     });
 
+    if (catalogLastYear < EPHEMERIS_END_YEAR) {
+        eventsList.appendChild(createEclipseLoadMoreButton(catalogLastYear + 1, `Find eclipses after ${catalogLastYear}`));
+    }
+
+    if (unscannedBlocks.size > 0) {
+        const note = document.createElement('div');
+        note.className = 'eclipse-visibility-note';
+        note.textContent = sweInitialized ? 'Checking which eclipses are seen from here…' : 'Ephemeris not loaded';
+        eventsList.prepend(note);
+        if (sweInitialized) scheduleEclipseVisibilityScan([...unscannedBlocks]);
+    }
+
     return closestIndex;
 }
 
+/**
+ * Create the list button that computes another century of eclipses
+ * @param {number} year - A year in the century to load
+ * @param {string} label - Button text
+ */
+function createEclipseLoadMoreButton(year, label) {
+    const button = document.createElement('button');
+    button.className = 'eclipse-load-more';
+    button.dataset.loadYear = year;
+    button.textContent = label;
+    return button;
+}
+
 /**
  * Setup eclipse list scrolling with custom year scrollbar
  */
@@ -3224,16 +3960,14 @@ function setupEclipseListScrolling(popup) {
         for (const item of eventsList.children) {
             const itemRect = item.getBoundingClientRect();
             if (itemRect.top <= centerY && itemRect.bottom >= centerY) {
-                const dateStr = item.dataset.date;
-                if (dateStr) return dateStr.substring(0, 4);
+                if (item.dataset.year) return item.dataset.year;
             }
         }
         // Fallback: first visible item
         for (const item of eventsList.children) {
             const itemRect = item.getBoundingClientRect();
             if (itemRect.bottom > listRect.top) {
-                const dateStr = item.dataset.date;
-                if (dateStr) return dateStr.substring(0, 4);
+                if (item.dataset.year) return item.dataset.year;
             }
         }
         return '----';
@@ -3254,7 +3988,7 @@ function setupEclipseListScrolling(popup) {
 
         thumb.style.top = (scrollRatio * maxTop) + 'px';
         const visibleYear = getVisibleYear();
-        yearIndicator.textContent = visibleYear;
+        yearIndicator.textContent = visibleYear === '----' ? visibleYear : formatYear(Number(visibleYear), yearNumbering);
 
         // Highlight the year divider matching the scroller year
         eventsList.querySelectorAll('.year-divider').forEach(divider => {
@@ -3374,6 +4108,23 @@ function createCalendarPopup() {
     popup.id = 'calendar-popup';
 
     popup.innerHTML = `
+        <div class="events-tabs">
+            <button class="events-tab active" data-events-tab="eclipses">Eclipses</button>
+            <button class="events-tab" data-events-tab="planets">Sky events</button>
+        </div>
+        <div class="planet-events-content">
+            <div class="planet-event-filters">
+                <button class="planet-filter" data-planet-filter="conjunction" title="Conjunctions">☌</button>
+                <button class="planet-filter" data-planet-filter="opposition" title="Oppositions">☍</button>
+                <button class="planet-filter" data-planet-filter="elongation" title="Greatest elongations of Mercury and Venus">Elong</button>
+                <button class="planet-filter" data-planet-filter="station" title="Stationary points and retrograde loops">Stat</button>
+                <button class="planet-filter" data-planet-filter="moon" title="Conjunctions with the Moon">☾</button>
+                <button class="planet-filter" data-planet-filter="occultation" title="Lunar occultations of stars and planets">Occ</button>
+                <input type="number" class="occultation-magnitude-input" id="occultation-magnitude-input" min="-2" max="7" step="0.5" title="Faintest occulted star listed (magnitude)">
+            </div>
+            <div class="events-list planet-events-list" id="planet-events-list"></div>
+        </div>
+        <div class="eclipse-local-card hidden" id="occultation-local-card"></div>
         <div class="eclipse-panel-content">
             <div class="eclipse-filters">
                 <div class="filter-toggle-group">
@@ -3384,6 +4135,13 @@ function createCalendarPopup() {
                         <span class="icon">🌙</span><span class="suffix">LUNAR ECLIPSES</span>
                     </button>
                 </div>
+                <input type="number" class="saros-filter-input" id="saros-filter-input" placeholder="Saros" step="1" title="Show only this saros series">
+            </div>
+            <div class="eclipse-visibility-filters">
+                <button class="visible-only-toggle" id="visible-only-toggle" title="List only eclipses seen from the focus point">Visible here</button>
+                <input type="number" class="min-magnitude-input" id="min-magnitude-input" min="0" max="2" step="0.1" title="Smallest magnitude seen from the focus point">
+                <button class="visible-step" data-visible-step="-1" data-title="Previous eclipse seen from the focus point" title="Previous eclipse seen from the focus point">‹ Prev</button>
+                <button class="visible-step" data-visible-step="1" data-title="Next eclipse seen from the focus point" title="Next eclipse seen from the focus point">Next ›</button>
             </div>
             <div class="events-list-container">
                 <div class="events-list" id="celestial-events-list"></div>
@@ -3395,6 +4153,8 @@ function createCalendarPopup() {
                 </div>
             </div>
         </div>
+        <div class="eclipse-local-card hidden" id="eclipse-local-card"></div>
+        <div class="eclipse-series-panel hidden" id="eclipse-series-panel"></div>
     `;
 
     const eventsList = popup.querySelector('#celestial-events-list');
@@ -3431,12 +4191,83 @@ function createCalendarPopup() {
             otherBtn.classList.remove('active');
 
             updateScrollbarTheme();
+            showEclipseLocalCard(null);
             populateEclipseList(eventsList);
             attachEclipseClickHandlers(eventsList);
             setupEclipseListScrolling(popup);
         });
     });
 
+    // Eclipses / planet events tabs
+    popup.classList.toggle('planets-tab', activeEventsTab === 'planets');
+    popup.querySelectorAll('.events-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.eventsTab === activeEventsTab);
+        tab.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            activeEventsTab = tab.dataset.eventsTab;
+            popup.querySelectorAll('.events-tab').forEach(t => t.classList.toggle('active', t === tab));
+            popup.classList.toggle('planets-tab', activeEventsTab === 'planets');
+            if (activeEventsTab === 'planets') refreshPlanetEventList();
+        });
+    });
+    popup.querySelectorAll('.planet-filter').forEach(btn => {
+        btn.classList.toggle('active', planetEventFilters[btn.dataset.planetFilter]);
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const filter = btn.dataset.planetFilter;
+            planetEventFilters[filter] = !planetEventFilters[filter];
+            btn.classList.toggle('active', planetEventFilters[filter]);
+            refreshPlanetEventList();
+        });
+    });
+    const occultationMagnitudeInput = popup.querySelector('#occultation-magnitude-input');
+    occultationMagnitudeInput.value = planetEventFilters.occultationMagnitude;
+    occultationMagnitudeInput.addEventListener('input', () => {
+        const magnitude = parseFloat(occultationMagnitudeInput.value);
+        if (isNaN(magnitude)) return;
+        planetEventFilters.occultationMagnitude = magnitude;
+        if (planetEventFilters.occultation) refreshPlanetEventList();
+    });
+
+    // Visible-here filter and next/previous visible eclipse
+    const visibleToggle = popup.querySelector('#visible-only-toggle');
+    const minMagnitudeInput = popup.querySelector('#min-magnitude-input');
+    visibleToggle.classList.toggle('active', eclipseFilters.visibleOnly);
+    minMagnitudeInput.value = eclipseFilters.minMagnitude;
+    visibleToggle.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        eclipseFilters.visibleOnly = !eclipseFilters.visibleOnly;
+        visibleToggle.classList.toggle('active', eclipseFilters.visibleOnly);
+        refreshEclipseList();
+    });
+    minMagnitudeInput.addEventListener('input', () => {
+        const magnitude = parseFloat(minMagnitudeInput.value);
+        eclipseFilters.minMagnitude = isNaN(magnitude) ? 0 : Math.max(0, magnitude);
+        if (eclipseFilters.visibleOnly) refreshEclipseList();
+    });
+    popup.querySelectorAll('.visible-step').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            stepVisibleEclipse(parseInt(btn.dataset.visibleStep), btn);
+        });
+    });
+
+    // Saros filter - blank shows every series
+    const sarosInput = popup.querySelector('#saros-filter-input');
+    if (eclipseFilters.saros !== null) sarosInput.value = eclipseFilters.saros;
+    sarosInput.addEventListener('input', () => {
+        const saros = parseInt(sarosInput.value);
+        setSarosFilter(isNaN(saros) ? null : saros);
+    });
+
+    // Series navigation in the local card and series panel (their contents are re-rendered)
+    popup.querySelector('#eclipse-local-card').addEventListener('click', handleEclipseSeriesClick);
+    popup.querySelector('#eclipse-series-panel').addEventListener('click', handleEclipseSeriesClick);
+
     // Populate initial list
     const closestIndex = populateEclipseList(eventsList);
 
@@ -3455,6 +4286,43 @@ function createCalendarPopup() {
     return popup;
 }
 
+/**
+ * Select an eclipse: highlight it in the list, show its local circumstances and jump to greatest eclipse
+ * @param {object} event - eclipseCatalog entry
+ * @param {Date} [eclipseTime] - Instant to jump to instead, e.g. the local maximum
+ */
+function selectEclipse(event, eclipseTime = getEclipseGreatestTime(event)) {
+    const eventsList = document.getElementById('celestial-events-list');
+    if (eventsList) {
+        eventsList.querySelectorAll('.event-item.selected').forEach(el => el.classList.remove('selected'));
+        const item = eventsList.querySelector(`.event-item[data-index="${eclipseCatalog.indexOf(event)}"]`);
+        if (item) item.classList.add('selected');
+    }
+    showEclipseLocalCard(event);
+    jumpToTime(eclipseTime);
+}
+
+/**
+ * Jump the simulation to an instant, as local date and time at the pointer's zone
+ * @param {Date} time - Instant to show
+ */
+function jumpToTime(time) {
+    const zone = getPointerZone();
+    const local = getZonedDateAndMinutes(time, zone);
+
+    selectedDate = local.date;
+    isLiveMode = false;
+    timeOffsetMinutes = local.minutes;
+    lastPointerZone = zone;
+    document.getElementById('time-slider').value = timeOffsetMinutes;
+    calendarViewDate = new Date(selectedDate);
+    renderCalendar();
+    updateTimeDisplay();
+    updateCelestialPositions();
+    updateEventMarkers();
+    updateDayNavButtons();
+}
+
 /**
  * Attach click handlers to eclipse items
  */
@@ -3468,39 +4336,1365 @@ function attachEclipseClickHandlers(eventsList) {
             const rect = item.getBoundingClientRect();
             if (e.clientX > rect.right - 30) return;
 
-            const dateStr = item.dataset.date;
-            const timeUTC = parseInt(item.dataset.timeutc);
-            const [y, m, d] = dateStr.split('-').map(Number);
-
-            // Convert UTC time to local time at pointer position
-            const closestCity = findClosestCity(focusPointLat, focusPointLon);
-            const cityTzHours = closestCity ? closestCity.tz : 0;
-            let localTime = timeUTC + cityTzHours * 60;
-
-            // Handle day overflow/underflow
-            let dayOffset = 0;
-            if (localTime >= 1440) {
-                localTime -= 1440;
-                dayOffset = 1;
-            } else if (localTime < 0) {
-                localTime += 1440;
-                dayOffset = -1;
-            }
+            selectEclipse(eclipseCatalog[parseInt(item.dataset.index)]);
+        };
+    });
 
-            selectedDate = new Date(y, m - 1, d + dayOffset);
-            isLiveMode = false;
-            timeOffsetMinutes = localTime;
-            document.getElementById('time-slider').value = timeOffsetMinutes;
-            calendarViewDate = new Date(selectedDate);
-            renderCalendar();
-            updateTimeDisplay();
-            updateCelestialPositions();
-            updateEventMarkers();
-            updateDayNavButtons();
+    eventsList.querySelectorAll('.eclipse-load-more').forEach(button => {
+        button.onclick = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const loadYear = parseInt(button.dataset.loadYear);
+            button.textContent = 'Searching…';
+
+            loadEclipseCentury(loadYear, (changed) => {
+                if (!changed) {
+                    button.textContent = 'Ephemeris not loaded';
+                    return;
+                }
+                populateEclipseList(eventsList);
+                attachEclipseClickHandlers(eventsList);
+
+                // Keep the list where the new century joins the old one
+                let nearest = null;
+                eventsList.querySelectorAll('.year-divider').forEach(divider => {
+                    if (!nearest || Math.abs(divider.dataset.year - loadYear) < Math.abs(nearest.dataset.year - loadYear)) {
+                        nearest = divider;
+                    }
+                });
+                if (nearest) nearest.scrollIntoView({ block: 'center' });
+            });
         };
     });
 }
 
+/**
+ * Redraw the eclipse list after a filter change, keeping the selected (or nearest) eclipse in view
+ */
+function refreshEclipseList() {
+    const eventsList = document.getElementById('celestial-events-list');
+    if (!eventsList) return;
+    const closestIndex = populateEclipseList(eventsList);
+    attachEclipseClickHandlers(eventsList);
+    const item = eventsList.querySelector('.event-item.selected') || eventsList.querySelectorAll('.event-item')[closestIndex];
+    if (item) item.scrollIntoView({ block: 'center' });
+}
+
+// ==================== PLANET EVENTS ====================
+
+// Conjunctions, oppositions, elongations, stations and lunar occultations, computed a year at a time as the list needs them
+const planetEventCatalog = [];
+const loadedPlanetEventYears = new Set();
+let activeEventsTab = 'eclipses';  // Tab shown in the calendar popup: 'eclipses' or 'planets'
+let selectedPlanetEvent = null;
+
+// Planet event filter state - event types, plus conjunctions involving the Moon (many a month)
+// and the faintest star whose occultation is listed (planets always are)
+let planetEventFilters = {
+    conjunction: true,
+    opposition: true,
+    elongation: true,
+    station: true,
+    moon: false,
+    occultation: true,
+    occultationMagnitude: 3
+};
+
+const PLANET_EVENT_ICONS = {
+    conjunction: '☌',
+    opposition: '☍',
+    elongation: '∡',
+    station: '⟲',
+    occultation: '◐'
+};
+
+/**
+ * Compute the planet events of a year and add them to the catalog
+ * @param {number} year - Astronomical year
+ * @returns {boolean} True if the catalog changed
+ */
+function loadPlanetEventYear(year) {
+    if (!sweInitialized || !swe) return false;
+    if (year < EPHEMERIS_START_YEAR || year > EPHEMERIS_END_YEAR) return false;
+    if (loadedPlanetEventYears.has(year)) return false;
+    loadedPlanetEventYears.add(year);
+
+    const startJd = swe.julday(year, 1, 1, 0, 1);  // 1 = Gregorian calendar
+    const endJd = swe.julday(year + 1, 1, 1, 0, 1);
+    const planets = PLANETS.filter(planet => !planet.asteroid);  // Asteroids have no ephemeris outside 1800-2400
+    planetEventCatalog.push(...searchPlanetEvents(swe, planets, startJd, endJd));
+    planetEventCatalog.push(...searchOccultations(swe, getOccultationTargets(), startJd, endJd));
+    planetEventCatalog.sort((a, b) => a.jd - b.jd);
+    return true;
+}
+
+/**
+ * Detail line of a planet event: separation, distance, elongation or retrograde loop
+ */
+function getPlanetEventDetails(event) {
+    switch (event.type) {
+        case 'conjunction':
+            return `${event.subtype} · ${event.separation.toFixed(2)}° · ${event.north} north`;
+        case 'opposition':
+            return `${event.distance.toFixed(3)} AU from Earth`;
+        case 'elongation':
+            return `${event.elongation.toFixed(1)}° · ${event.subtype === 'east' ? 'evening' : 'morning'} sky`;
+        case 'station': {
+            if (!event.retrogradeEndJd) return `at ${event.lon.toFixed(1)}° ecliptic longitude`;
+            const end = julianDayToDate(event.retrogradeEndJd);
+            const days = Math.round(event.retrogradeEndJd - event.jd);
+            return `retrograde until ${formatDisplayDate(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate()).text} (${days} d)`;
+        }
+        case 'occultation': {
+            const hours = (event.endJd - event.startJd) * 24;
+            const magnitude = event.target.kind === 'star' ? `mag ${event.target.magnitude.toFixed(1)} · ` : '';
+            return `${magnitude}${event.axisDistance.toFixed(2)} R⊕ from centre · ${hours.toFixed(1)} h on Earth`;
+        }
+    }
+    return '';
+}
+
+/**
+ * Populate planet event list with current filters
+ * @returns {number} Index of the item closest to the selected date, or -1
+ */
+function populatePlanetEventList(eventsList) {
+    eventsList.innerHTML = '';
+
+    const targetDate = selectedDate || new Date();
+    let closestIndex = -1;
+    let closestDiff = Infinity;
+    let visibleIndex = 0;
+    let lastYear = null;
+
+    if (loadedPlanetEventYears.size === 0) {
+        eventsList.innerHTML = `<div class="eclipse-visibility-note">${sweInitialized ? 'No events computed' : 'Ephemeris not loaded'}</div>`;
+        return -1;
+    }
+
+    // Years are loaded where the selected date was, so they can form separate blocks. Buttons at
+    // the ends of each block compute the neighbouring year, with a gap marker between blocks.
+    const blocks = getPlanetEventBlocks();
+    let blockIndex = 0;
+    const firstYear = blocks[0].start;
+    const lastLoadedYear = blocks[blocks.length - 1].end;
+    if (firstYear > EPHEMERIS_START_YEAR) {
+        eventsList.appendChild(createPlanetEventLoadMoreButton(firstYear - 1));
+    }
+    const closeBlocksBefore = (year) => {
+        while (blockIndex < blocks.length - 1 && year > blocks[blockIndex].end) {
+            appendPlanetEventGap(eventsList, blocks[blockIndex].end, blocks[blockIndex + 1].start);
+            blockIndex++;
+            lastYear = null;
+        }
+    };
+
+    planetEventCatalog.forEach((event, i) => {
+        if (!planetEventFilters[event.type]) return;
+        if (!planetEventFilters.moon && event.subtype === 'lunar') return;
+        if (event.type === 'occultation' && event.target.kind === 'star' &&
+            event.target.magnitude > planetEventFilters.occultationMagnitude) return;
+
+        const date = julianDayToDate(event.jd);
+        closeBlocksBefore(date.getUTCFullYear());
+        const displayDate = formatDisplayDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+        const eventYear = String(displayDate.year);
+        if (eventYear !== lastYear) {
+            const divider = document.createElement('div');
+            divider.className = 'year-divider';
+            divider.dataset.year = eventYear;
+            eventsList.appendChild(divider);
+            lastYear = eventYear;
+        }
+
+        const dateStr = displayDate.text;
+        const timeStr = `${date.getUTCHours().toString().padStart(2, '0')}:${date.getUTCMinutes().toString().padStart(2, '0')} UTC`;
+
+        const eventEl = document.createElement('div');
+        eventEl.className = `event-item planet-event ${event.type}`;
+        if (event === selectedPlanetEvent) eventEl.classList.add('selected');
+        eventEl.dataset.index = i;
+        eventEl.innerHTML = `
+            <div class="planet-event-icon">${PLANET_EVENT_ICONS[event.type]}</div>
+            <div class="event-info">
+                <span class="event-name">${event.name}</span>
+                <span class="event-datetime"><span class="event-time">${timeStr}</span><span class="event-date">${dateStr}</span></span>
+                <span class="event-details">${getPlanetEventDetails(event)}</span>
+            </div>
+        `;
+        eventsList.appendChild(eventEl);
+
+        const diff = Math.abs(date - targetDate);
+        if (diff < closestDiff) {
+            closestDiff = diff;
+            closestIndex = visibleIndex;
+        }
+        visibleIndex++;
+    });
+
+    closeBlocksBefore(Infinity);
+    if (lastLoadedYear < EPHEMERIS_END_YEAR) {
+        eventsList.appendChild(createPlanetEventLoadMoreButton(lastLoadedYear + 1));
+    }
+
+    return closestIndex;
+}
+
+/**
+ * Runs of consecutive loaded planet event years
+ * @returns {{start: number, end: number}[]} In order
+ */
+function getPlanetEventBlocks() {
+    const blocks = [];
+    [...loadedPlanetEventYears].sort((a, b) => a - b).forEach(year => {
+        const last = blocks[blocks.length - 1];
+        if (last && year === last.end + 1) {
+            last.end = year;
+        } else {
+            blocks.push({ start: year, end: year });
+        }
+    });
+    return blocks;
+}
+
+/**
+ * Mark the years missing between two loaded blocks, with buttons to extend each block towards the other
+ * @param {number} afterYear - Last year of the earlier block
+ * @param {number} beforeYear - First year of the later block
+ */
+function appendPlanetEventGap(eventsList, afterYear, beforeYear) {
+    eventsList.appendChild(createPlanetEventLoadMoreButton(afterYear + 1));
+    const missing = beforeYear - afterYear - 1;
+    const gap = document.createElement('div');
+    gap.className = 'eclipse-visibility-note';
+    gap.textContent = `${missing} ${missing === 1 ? 'year' : 'years'} not computed`;
+    eventsList.appendChild(gap);
+    if (missing > 1) eventsList.appendChild(createPlanetEventLoadMoreButton(beforeYear - 1));
+}
+
+/**
+ * Create the list button that computes another year of planet events
+ * @param {number} year - Year to load
+ */
+function createPlanetEventLoadMoreButton(year) {
+    const button = document.createElement('button');
+    button.className = 'eclipse-load-more';
+    button.dataset.loadYear = year;
+    button.textContent = `Find events in ${formatYear(year, yearNumbering)}`;
+    return button;
+}
+
+/**
+ * Attach click handlers to planet event items and load-more buttons
+ */
+function attachPlanetEventClickHandlers(eventsList) {
+    eventsList.querySelectorAll('.event-item').forEach(item => {
+        item.onclick = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const event = planetEventCatalog[parseInt(item.dataset.index)];
+            selectedPlanetEvent = event;
+            eventsList.querySelectorAll('.event-item.selected').forEach(el => el.classList.remove('selected'));
+            item.classList.add('selected');
+            if (event.type === 'occultation') {
+                selectOccultation(event);
+            } else {
+                showOccultationLocalCard(null);
+                jumpToTime(julianDayToDate(event.jd));
+            }
+        };
+    });
+
+    eventsList.querySelectorAll('.eclipse-load-more').forEach(button => {
+        button.onclick = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const loadYear = parseInt(button.dataset.loadYear);
+            button.disabled = true;
+            button.textContent = 'Computing…';
+            // Let the button repaint before the search blocks (~1.5 s a year with occultations)
+            setTimeout(() => {
+                loadPlanetEventYear(loadYear);
+                populatePlanetEventList(eventsList);
+                attachPlanetEventClickHandlers(eventsList);
+                const divider = eventsList.querySelector(`.year-divider[data-year="${loadYear}"]`);
+                if (divider) divider.scrollIntoView({ block: 'center' });
+            }, 20);
+        };
+    });
+}
+
+/**
+ * Compute the selected year if needed, redraw the planet event list and scroll to the selected date
+ */
+function refreshPlanetEventList() {
+    const eventsList = document.getElementById('planet-events-list');
+    if (!eventsList) return;
+    loadPlanetEventYear((selectedDate || new Date()).getFullYear());
+    const closestIndex = populatePlanetEventList(eventsList);
+    attachPlanetEventClickHandlers(eventsList);
+    const item = eventsList.querySelector('.event-item.selected') || eventsList.querySelectorAll('.event-item')[closestIndex];
+    if (item) item.scrollIntoView({ block: 'center' });
+}
+
+// ==================== LUNAR OCCULTATIONS ====================
+// Stars and planets hidden by the Moon. The shadow of an occultation is a cylinder of the Moon's radius
+// along the direction of the occulted body, so the eclipse path code traces its limits on the ground too.
+
+const OCCULTATION_PATH_SEARCH_DAYS = 1;  // Show the path of the selected occultation this close to the simulated time
+const OCCULTATION_PATH_STYLES = {
+    central: { color: 0x66ccff, opacity: 0.8 },
+    limits: { color: 0x66ccff, opacity: 0.45 }
+};
+
+let occultationTargets = null;        // Stars of the catalog and the planets, built on first search
+let selectedOccultation = null;       // planetEventCatalog entry shown in the local card
+let occultationLocalCache = { key: null };
+let occultationPathGroup = null;      // THREE.Group of LineSegments for the selected occultation
+let occultationPathEvent = null;      // Occultation the group was built for
+
+/**
+ * Bodies the Moon can occult: every catalog star and the planets (asteroids are too faint to matter)
+ * @returns {object[]} Targets for searchOccultations
+ */
+function getOccultationTargets() {
+    if (!occultationTargets) {
+        occultationTargets = [
+            ...STAR_CATALOG.map(([hip, ra, dec, mag, , pmRa, pmDec]) => ({
+                kind: 'star', id: hip, name: STAR_NAMES[hip] || `HIP ${hip}`, magnitude: mag, ra, dec, pmRa, pmDec
+            })),
+            ...PLANETS.filter(planet => !planet.asteroid)
+                .map(planet => ({ kind: 'planet', id: planet.id, name: planet.name }))
+        ];
+    }
+    return occultationTargets;
+}
+
+/**
+ * Jump to an occultation - to the disappearance at the focus point when it is occulted there
+ * @param {object} event - Occultation from planetEventCatalog
+ */
+function selectOccultation(event) {
+    showOccultationLocalCard(event);
+    const local = occultationLocalCache.circumstances;
+    const jd = local && local.occulted ? local.disappearance.jd : event.jd;
+    jumpToTime(julianDayToDate(jd));
+}
+
+/**
+ * Show (or hide with null) the local circumstances card of an occultation
+ */
+function showOccultationLocalCard(event) {
+    selectedOccultation = event;
+    occultationLocalCache.key = null;
+    updateOccultationLocalCard();
+    updateOccultationPath();
+}
+
+/**
+ * Refresh the occultation card for the current focus point (cached per ~0.1°)
+ */
+function updateOccultationLocalCard() {
+    const card = document.getElementById('occultation-local-card');
+    if (!card) return;
+
+    if (!selectedOccultation || !sweInitialized || !swe) {
+        card.classList.add('hidden');
+        return;
+    }
+
+    const lat = focusPointLat;
+    const lon = focusPointLon;
+    const cacheKey = `${selectedOccultation.jd}|${selectedOccultation.target.name}|${lat.toFixed(1)},${lon.toFixed(1)}`;
+    if (occultationLocalCache.key === cacheKey) return;
+    const local = calculateOccultationLocal(swe, selectedOccultation, lat, lon);
+    occultationLocalCache = { key: cacheKey, circumstances: local };
+
+    const zone = getPointerZone();
+    const place = findClosestCity(lat, lon);
+    const placeName = place ? place.name
+        : `${Math.abs(lat).toFixed(1)}°${lat >= 0 ? 'N' : 'S'} ${Math.abs(lon).toFixed(1)}°${lon >= 0 ? 'E' : 'W'}`;
+    const title = `<div class="eclipse-local-title">${selectedOccultation.name}<span>from ${placeName}</span></div>`;
+    const formatTime = (jd) => {
+        const { hours, minutes, seconds } = getZonedDateParts(julianDayToDate(jd), zone);
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${Math.floor(seconds).toString().padStart(2, '0')}`;
+    };
+
+    card.classList.remove('hidden');
+    if (!local.occulted) {
+        card.innerHTML = `${title}<div class="eclipse-local-note">Not occulted here - closest at ${formatTime(local.closestJd)}</div>`;
+        return;
+    }
+
+    const contactTime = julianDayToDate(local.disappearance.jd);
+    const zoneLabel = getZoneAbbreviation(zone, contactTime) || formatUtcOffset(getZoneOffsetMinutes(zone, contactTime));
+    const row = (key, name, contact) => `
+        <div class="eclipse-contact${contact.altitude > 0 ? '' : ' below'}" title="${name}${contact.altitude > 0 ? '' : ` (${selectedOccultation.target.name} below horizon)`}">
+            <span class="contact-key">${key}</span>
+            <span class="contact-time">${formatTime(contact.jd)}</span>
+            <span class="contact-alt">${contact.altitude.toFixed(0)}°</span>
+            <span class="contact-altaz">${contact.sunAltitude.toFixed(0)}°</span>
+        </div>`;
+    const seconds = Math.round((local.reappearance.jd - local.disappearance.jd) * 86400);
+
+    card.innerHTML = `
+        ${title}
+        <div class="eclipse-local-summary">
+            <span>Hidden ${Math.floor(seconds / 60)}m ${(seconds % 60).toString().padStart(2, '0')}s</span>
+            ${local.disappearance.altitude > 0 || local.reappearance.altitude > 0 ? '' : '<span class="eclipse-local-note">Below horizon here</span>'}
+        </div>
+        <div class="eclipse-contact header"><span class="contact-key"></span><span class="contact-time">${zoneLabel}</span><span class="contact-alt">alt</span><span class="contact-altaz">Sun alt</span></div>
+        ${row('D', 'Disappearance', local.disappearance)}
+        ${row('R', 'Reappearance', local.reappearance)}
+    `;
+}
+
+/**
+ * Moon and occulted body in the fundamental plane at an instant, shaped like getShadowGeometry
+ * @param {number} jd - Julian Day (UT)
+ * @param {object} target - Occultation target
+ * @returns {object} {x, y, xiAxis, etaAxis, zetaAxis, gmst}
+ */
+function getOccultationGeometry(jd, target) {
+    const moon = new THREE.Vector3(...getMoonVector(swe, jd));
+    const zetaAxis = new THREE.Vector3(...getTargetDirection(swe, target, jd));
+    const xiAxis = new THREE.Vector3(-zetaAxis.y, zetaAxis.x, 0).normalize();
+    const etaAxis = new THREE.Vector3().crossVectors(zetaAxis, xiAxis);
+    return {
+        x: moon.dot(xiAxis),
+        y: moon.dot(etaAxis),
+        xiAxis, etaAxis, zetaAxis,
+        gmst: getGMST(jd)
+    };
+}
+
+/**
+ * Ground track of an occultation: the central line and the northern and southern limits
+ * @param {object} event - Occultation from planetEventCatalog
+ * @returns {object|null} Polylines of [lon, lat]: {central, limits}; null until Swiss Ephemeris is ready
+ */
+function calculateOccultationPath(event) {
+    if (!sweInitialized || !swe) return null;
+    const stepDays = ECLIPSE_PATH_STEP_MINS / 1440;
+    const geoms = [];
+    for (let jd = event.startJd; jd <= event.endJd + stepDays; jd += stepDays) {
+        geoms.push(getOccultationGeometry(jd, event.target));
+    }
+
+    const moonRadius = MOON_RADIUS_KM / EARTH_RADIUS_KM;
+    return {
+        central: traceShadowLines(geoms, (geom) => {
+            const v = fundamentalToVector(geom, geom.x, geom.y);
+            return v ? vectorToLonLat(geom, v) : null;
+        }),
+        limits: [
+            ...traceShadowLines(geoms, (geom, next) => getShadowLimitPoint(geom, next, () => moonRadius, 1)),
+            ...traceShadowLines(geoms, (geom, next) => getShadowLimitPoint(geom, next, () => moonRadius, -1))
+        ]
+    };
+}
+
+/**
+ * Rebuild the occultation path overlay when the selected occultation comes into or leaves range
+ */
+function updateOccultationPath() {
+    if (!scene) return;
+    const nearby = selectedOccultation && eclipsePathVisible &&
+        Math.abs(dateToJulianDay(getAbsoluteSimulatedTime()) - selectedOccultation.jd) < OCCULTATION_PATH_SEARCH_DAYS;
+    const event = nearby ? selectedOccultation : null;
+    if (event === occultationPathEvent) return;
+
+    if (occultationPathGroup) {
+        scene.remove(occultationPathGroup);
+        occultationPathGroup.children.forEach(line => {
+            line.geometry.dispose();
+            line.material.dispose();
+        });
+        occultationPathGroup = null;
+    }
+    occultationPathEvent = event;
+
+    const path = event ? calculateOccultationPath(event) : null;
+    if (!path) return;
+
+    occultationPathGroup = new THREE.Group();
+    Object.entries(OCCULTATION_PATH_STYLES).forEach(([key, style]) => {
+        if (path[key].length) {
+            occultationPathGroup.add(buildCoastlineMesh(path[key], EARTH_RADIUS, style.color, style.opacity));
+        }
+    });
+    scene.add(occultationPathGroup);
+}
+
+// ==================== LOCAL ECLIPSE CIRCUMSTANCES ====================
+
+const SE_ECL_TOTAL = 4;
+const SE_ECL_ANNULAR = 8;
+const SE_ECL_PARTIAL = 16;
+const SE_ECL_PENUMBRAL = 64;
+const SOLAR_CONTACTS = [
+    { key: 'C1', index: 1, name: 'Partial begins' },
+    { key: 'C2', index: 2, name: 'Central begins' },
+    { key: 'MAX', index: 0, name: 'Maximum' },
+    { key: 'C3', index: 3, name: 'Central ends' },
+    { key: 'C4', index: 4, name: 'Partial ends' }
+];
+// lun_eclipse_when tret slots, in time order
+const LUNAR_CONTACTS = [
+    { key: 'P1', index: 6, name: 'Penumbral begins' },
+    { key: 'U1', index: 2, name: 'Partial begins' },
+    { key: 'U2', index: 4, name: 'Total begins' },
+    { key: 'MAX', index: 0, name: 'Greatest' },
+    { key: 'U3', index: 5, name: 'Total ends' },
+    { key: 'U4', index: 3, name: 'Partial ends' },
+    { key: 'P4', index: 7, name: 'Penumbral ends' }
+];
+
+let selectedEclipse = null;  // eclipseCatalog entry shown in the local circumstances card
+let eclipseLocalCache = { key: null, circumstances: null };
+
+/**
+ * Get the greatest-eclipse instant of a catalog event
+ * @param {object} event - eclipseCatalog entry
+ * @returns {Date}
+ */
+function getEclipseGreatestTime(event) {
+    // Computed events keep the exact instant, bundled ones are to the minute
+    if (event.jd !== undefined) return julianDayToDate(event.jd);
+    const { year, month, day } = parseEventDate(event.date);
+    return new Date(getUtcMidnightMs(year, month - 1, day) + event.timeUTC * 60 * 1000);
+}
+
+/**
+ * Local circumstances of a solar eclipse for an observer
+ * @param {object} event - eclipseCatalog solar entry
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @returns {object|null} {visible: false} when the eclipse cannot be seen from here, otherwise
+ *   {visible, kind ('total'|'annular'|'partial'), magnitude, obscuration (0-1), centralDuration (seconds|null),
+ *   contacts: [{key, name, time, altitude, azimuth, aboveHorizon}]}; null until Swiss Ephemeris is ready
+ */
+function calculateSolarEclipseLocal(event, lat, lon) {
+    if (!sweInitialized || !swe) return null;
+
+    const greatestJd = dateToJulianDay(getEclipseGreatestTime(event));
+    const geopos = [lon, lat, observerElevation];
+    const result = swe.sol_eclipse_when_loc(greatestJd - 1, swe.SEFLG_SWIEPH, geopos, 0);
+
+    // sol_eclipse_when_loc skips eclipses that are not seen here - finding a later one means this one isn't
+    if (!result || Math.abs(result.tret[0] - greatestJd) > 0.5) {
+        return { visible: false };
+    }
+
+    const kind = result.retFlag & SE_ECL_TOTAL ? 'total'
+        : result.retFlag & SE_ECL_ANNULAR ? 'annular'
+        : 'partial';
+
+    const contacts = [];
+    SOLAR_CONTACTS.forEach(contact => {
+        const jd = result.tret[contact.index];
+        if (!jd) return;  // No C2/C3 outside the central path
+        const how = swe.sol_eclipse_how(jd, swe.SEFLG_SWIEPH, geopos);
+        // attr[4] is azimuth from south through west, attr[5] the true altitude
+        const altitude = how ? getApparentAltitude(how.attr[5]) : NaN;
+        contacts.push({
+            key: contact.key,
+            name: contact.name,
+            time: julianDayToDate(jd),
+            altitude,
+            azimuth: how ? (how.attr[4] + 180) % 360 : NaN,
+            aboveHorizon: altitude > getSunHorizonThreshold()
+        });
+    });
+
+    return {
+        visible: true,
+        kind,
+        magnitude: result.attr[8],
+        obscuration: result.attr[2],
+        centralDuration: result.tret[2] && result.tret[3] ? (result.tret[3] - result.tret[2]) * 86400 : null,
+        contacts
+    };
+}
+
+/**
+ * Contacts and magnitudes of a lunar eclipse, with where on Earth the Moon is up at each contact
+ * The Moon is above the horizon for everyone within ~90° of the sublunar point
+ * @param {object} event - eclipseCatalog lunar entry
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @returns {object|null} {visible, kind ('total'|'partial'|'penumbral'), umbralMagnitude, penumbralMagnitude,
+ *   totalDuration (seconds|null), contacts: [{key, name, time, altitude, aboveHorizon, sublunar: {lat, lon}}]};
+ *   null until Swiss Ephemeris is ready or when no eclipse is found at the catalog time
+ */
+function calculateLunarEclipseLocal(event, lat, lon) {
+    if (!sweInitialized || !swe) return null;
+
+    const greatestJd = dateToJulianDay(getEclipseGreatestTime(event));
+    const result = swe.lun_eclipse_when(greatestJd - 1, swe.SEFLG_SWIEPH, 0, 0);
+    if (!result || Math.abs(result.tret[0] - greatestJd) > 0.5) return null;
+
+    const kind = result.retFlag & SE_ECL_TOTAL ? 'total'
+        : result.retFlag & SE_ECL_PARTIAL ? 'partial'
+        : 'penumbral';
+
+    const geopos = [lon, lat, observerElevation];
+    const contacts = [];
+    LUNAR_CONTACTS.forEach(contact => {
+        const jd = result.tret[contact.index];
+        if (!jd) return;  // Umbral contacts are zero for penumbral-only eclipses
+        const time = julianDayToDate(jd);
+        const how = swe.lun_eclipse_how(jd, swe.SEFLG_SWIEPH, geopos);
+        // attr[5] is the Moon's true altitude at geopos
+        const altitude = how ? getApparentAltitude(how.attr[5]) : NaN;
+        const moonPos = getMoonPosition(time);
+        contacts.push({
+            key: contact.key,
+            name: contact.name,
+            time,
+            altitude,
+            aboveHorizon: altitude > getMoonHorizonThreshold(getMoonDistance(time)),
+            sublunar: { lat: moonPos.lat, lon: moonPos.lon }
+        });
+    });
+
+    // attr[0] umbral magnitude, attr[1] penumbral magnitude at greatest eclipse
+    const greatest = swe.lun_eclipse_how(result.tret[0], swe.SEFLG_SWIEPH, geopos);
+    return {
+        visible: contacts.some(c => c.aboveHorizon),
+        kind,
+        umbralMagnitude: greatest ? greatest.attr[0] : NaN,
+        penumbralMagnitude: greatest ? greatest.attr[1] : NaN,
+        totalDuration: result.tret[4] && result.tret[5] ? (result.tret[5] - result.tret[4]) * 86400 : null,
+        contacts
+    };
+}
+
+/**
+ * Show the local circumstances of an eclipse in the card under the eclipse list
+ * @param {object|null} event - eclipseCatalog entry, or null to hide the card
+ */
+function showEclipseLocalCard(event) {
+    selectedEclipse = event;
+    eclipseLocalCache.key = null;
+    updateEclipseLocalCard();
+
+    // Keep an open series panel on the selected eclipse's series
+    if (!event) {
+        hideEclipseSeries();
+    } else if (eclipseSeriesView) {
+        showEclipseSeries(eclipseSeriesView.mode);
+    }
+}
+
+/**
+ * Refresh the local circumstances card for the current focus point (cached per ~0.1°)
+ */
+function updateEclipseLocalCard() {
+    const card = document.getElementById('eclipse-local-card');
+    if (!card) return;
+
+    if (!selectedEclipse) {
+        card.classList.add('hidden');
+        return;
+    }
+
+    const lat = focusPointLat;
+    const lon = focusPointLon;
+    const cacheKey = `${selectedEclipse.date}|${lat.toFixed(1)},${lon.toFixed(1)}|${refractionEnabled}`;
+    if (eclipseLocalCache.key === cacheKey) return;
+    const isLunar = selectedEclipse.type === 'lunar';
+    const local = isLunar
+        ? calculateLunarEclipseLocal(selectedEclipse, lat, lon)
+        : calculateSolarEclipseLocal(selectedEclipse, lat, lon);
+    eclipseLocalCache = { key: cacheKey, circumstances: local };
+
+    const zone = getPointerZone();
+    const place = findClosestCity(lat, lon);
+    const formatLatLon = (pLat, pLon) => `${Math.abs(pLat).toFixed(1)}°${pLat >= 0 ? 'N' : 'S'} ${Math.abs(pLon).toFixed(1)}°${pLon >= 0 ? 'E' : 'W'}`;
+    const placeName = place ? place.name : formatLatLon(lat, lon);
+    const title = `<div class="eclipse-local-title">${selectedEclipse.name}<span>from ${placeName}</span></div>${getSeriesNavHtml(selectedEclipse)}`;
+
+    card.classList.remove('hidden');
+    if (!local) {
+        card.innerHTML = `${title}<div class="eclipse-local-note">Ephemeris not loaded</div>`;
+        return;
+    }
+    // The lunar table is still useful when the Moon is down here - it shows where it is up instead
+    if (!local.visible && !isLunar) {
+        card.innerHTML = `${title}<div class="eclipse-local-note">Not visible from here</div>`;
+        return;
+    }
+
+    const formatTime = (date) => {
+        const { hours, minutes, seconds } = getZonedDateParts(date, zone);
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${Math.floor(seconds).toString().padStart(2, '0')}`;
+    };
+    const formatDuration = (label, seconds) => seconds !== null
+        ? `<span>${label} ${Math.floor(seconds / 60)}m ${Math.round(seconds % 60).toString().padStart(2, '0')}s</span>`
+        : '';
+    const kindName = local.kind.charAt(0).toUpperCase() + local.kind.slice(1);
+    const zoneLabel = getZoneAbbreviation(zone, local.contacts[0].time) || formatUtcOffset(getZoneOffsetMinutes(zone, local.contacts[0].time));
+
+    if (isLunar) {
+        const rows = local.contacts.map(c => `
+        <div class="eclipse-contact${c.aboveHorizon ? '' : ' below'}" title="${c.name}${c.aboveHorizon ? '' : ' (Moon below horizon here)'} - Moon is up within 90° of ${formatLatLon(c.sublunar.lat, c.sublunar.lon)}">
+            <span class="contact-key">${c.key}</span>
+            <span class="contact-time">${formatTime(c.time)}</span>
+            <span class="contact-alt">${c.altitude.toFixed(0)}°</span>
+            <span class="contact-altaz">${formatLatLon(c.sublunar.lat, c.sublunar.lon)}</span>
+        </div>`).join('');
+
+        card.innerHTML = `
+        ${title}
+        <div class="eclipse-local-summary">
+            <span>${kindName}</span>
+            <span>Umbral ${local.umbralMagnitude.toFixed(3)}</span>
+            <span>Penumbral ${local.penumbralMagnitude.toFixed(3)}</span>
+            ${formatDuration('Totality', local.totalDuration)}
+            ${local.visible ? '' : '<span class="eclipse-local-note">Moon below horizon here</span>'}
+        </div>
+        <div class="eclipse-contact header"><span class="contact-key"></span><span class="contact-time">${zoneLabel}</span><span class="contact-alt">alt</span><span class="contact-altaz">Moon overhead</span></div>
+        ${rows}
+    `;
+        return;
+    }
+
+    const rows = local.contacts.map(c => `
+        <div class="eclipse-contact${c.aboveHorizon ? '' : ' below'}" title="${c.name}${c.aboveHorizon ? '' : ' (Sun below horizon)'}">
+            <span class="contact-key">${c.key}</span>
+            <span class="contact-time">${formatTime(c.time)}</span>
+            <span class="contact-altaz">${c.altitude.toFixed(0)}° / ${c.azimuth.toFixed(0)}°</span>
+        </div>`).join('');
+
+    card.innerHTML = `
+        ${title}
+        <div class="eclipse-local-summary">
+            <span>${kindName} here</span>
+            <span>Mag ${local.magnitude.toFixed(3)}</span>
+            <span>Obsc ${(local.obscuration * 100).toFixed(0)}%</span>
+            ${formatDuration(local.kind === 'annular' ? 'Annularity' : 'Totality', local.centralDuration)}
+        </div>
+        <div class="eclipse-contact header"><span class="contact-key"></span><span class="contact-time">${zoneLabel}</span><span class="contact-altaz">alt / az</span></div>
+        ${rows}
+    `;
+}
+
+// ==================== ECLIPSE SERIES ====================
+
+const INEX_MEMBERS_EACH_WAY = 20;  // Inex series run for many millennia - show ~580 years either side
+
+let eclipseSeriesView = null;         // {key, mode, type, members} shown in the series panel
+const eclipseSeriesCache = new Map();  // key -> members
+
+/**
+ * Show only one saros series in the eclipse list
+ * @param {number|null} saros - Series number, or null for all
+ */
+function setSarosFilter(saros) {
+    eclipseFilters.saros = saros;
+    const input = document.getElementById('saros-filter-input');
+    if (input && parseInt(input.value) !== saros) input.value = saros === null ? '' : saros;
+    refreshEclipseList();
+}
+
+/**
+ * Series line for the local circumstances card: saros number and previous/next member
+ * @param {object} event - eclipseCatalog entry
+ * @returns {string} HTML
+ */
+function getSeriesNavHtml(event) {
+    const saros = getEventSaros(event);
+    const member = event.sarosMember !== undefined ? ` #${event.sarosMember}` : '';
+    return `
+        <div class="eclipse-series-nav">
+            <button data-series-step="-1" title="Previous member of this saros (18y 11d earlier)">‹</button>
+            <span>Saros ${saros}${member}</span>
+            <button data-series-step="1" title="Next member of this saros (18y 11d later)">›</button>
+            <button data-series-open="saros" title="List the whole series">Series</button>
+        </div>`;
+}
+
+/**
+ * Find the catalog entry for an eclipse found by a series search
+ * @param {object} member - Event from findSeriesMembers / findEclipseAtLunation
+ * @returns {object|null} eclipseCatalog entry
+ */
+function findCatalogEclipse(member) {
+    const time = getEclipseGreatestTime(member).getTime();
+    return eclipseCatalog.find(event => event.type === member.type &&
+        Math.abs(getEclipseGreatestTime(event).getTime() - time) < 86400000) || null;
+}
+
+/**
+ * Jump to an eclipse found by a search, computing its century first so it shows in the list
+ * @param {object} member - Event from a series or visibility search
+ * @param {Date} [time] - Instant to jump to, greatest eclipse by default
+ */
+function goToEclipse(member, time) {
+    loadEclipseCentury(parseEventDate(member.date).year, (changed) => {
+        const event = findCatalogEclipse(member) || member;
+
+        const eventsList = document.getElementById('celestial-events-list');
+        if (eventsList && changed) {
+            populateEclipseList(eventsList);
+            attachEclipseClickHandlers(eventsList);
+        }
+        selectEclipse(event, time);
+        const item = eventsList && eventsList.querySelector('.event-item.selected');
+        if (item) item.scrollIntoView({ block: 'center' });
+    });
+}
+
+/**
+ * Move to the previous or next member of the selected eclipse's saros
+ * @param {number} direction - -1 or 1
+ * @param {HTMLElement} button - The arrow clicked, disabled when the series ends
+ */
+function stepSarosMember(direction, button) {
+    if (!selectedEclipse || !sweInitialized || !swe) return;
+    const jd = dateToJulianDay(getEclipseGreatestTime(selectedEclipse));
+    const lunation = getLunationNumber(selectedEclipse.type, jd) + direction * SAROS_LUNATIONS;
+    const member = findEclipseAtLunation(swe, selectedEclipse.type, lunation);
+    if (!member) {
+        button.disabled = true;
+        button.title = direction < 0 ? 'First member of this saros' : 'Last member of this saros';
+        return;
+    }
+    goToEclipse(member);
+}
+
+/**
+ * List the saros or inex series of the selected eclipse in the series panel
+ * @param {string} mode - 'saros' or 'inex'
+ */
+function showEclipseSeries(mode) {
+    const panel = document.getElementById('eclipse-series-panel');
+    if (!panel || !selectedEclipse) return;
+    if (!sweInitialized || !swe) {
+        panel.classList.remove('hidden');
+        panel.innerHTML = '<div class="eclipse-local-note">Ephemeris not loaded</div>';
+        return;
+    }
+
+    const event = selectedEclipse;
+    const jd = dateToJulianDay(getEclipseGreatestTime(event));
+    // Saros members share a series number; inex members are keyed by the lunation they pass through
+    const key = mode === 'saros'
+        ? `${event.type}|saros|${getEventSaros(event)}`
+        : `${event.type}|inex|${getLunationNumber(event.type, jd)}`;
+
+    const render = () => {
+        eclipseSeriesView = { key, mode, type: event.type, members: eclipseSeriesCache.get(key) };
+        renderEclipseSeries();
+    };
+    if (eclipseSeriesCache.has(key)) {
+        render();
+        return;
+    }
+
+    panel.classList.remove('hidden');
+    panel.innerHTML = '<div class="eclipse-local-note">Searching series…</div>';
+    // Let the note paint - a full saros takes ~0.5 s
+    setTimeout(() => {
+        const members = mode === 'saros'
+            ? findSeriesMembers(swe, event.type, jd, SAROS_LUNATIONS)
+            : findSeriesMembers(swe, event.type, jd, INEX_LUNATIONS, INEX_MEMBERS_EACH_WAY);
+        eclipseSeriesCache.set(key, members);
+        if (selectedEclipse === event) render();
+    }, 20);
+}
+
+/**
+ * Hide the series panel
+ */
+function hideEclipseSeries() {
+    eclipseSeriesView = null;
+    const panel = document.getElementById('eclipse-series-panel');
+    if (panel) panel.classList.add('hidden');
+}
+
+/**
+ * Render eclipseSeriesView: type progression strip and member table, current member highlighted
+ */
+function renderEclipseSeries() {
+    const panel = document.getElementById('eclipse-series-panel');
+    if (!panel || !eclipseSeriesView || !selectedEclipse) return;
+    const { mode, type, members } = eclipseSeriesView;
+
+    const currentLunation = getLunationNumber(type, dateToJulianDay(getEclipseGreatestTime(selectedEclipse)));
+    const isCurrent = (member) => getLunationNumber(type, member.jd) === currentLunation;
+    const formatDate = (member) => {
+        const { year, month, day } = parseEventDate(member.date);
+        const date = toDisplayDate(year, month - 1, day);
+        return `${formatYear(date.year, yearNumbering)} ${MONTH_NAMES[date.month]} ${date.day.toString().padStart(2, '0')}`;
+    };
+
+    const first = members[0];
+    const last = members[members.length - 1];
+    const title = mode === 'saros'
+        ? `Saros ${first.saros} · ${type}`
+        : `Inex series · ${type}`;
+    const span = `${members.length} members · ${parseEventDate(first.date).year} to ${parseEventDate(last.date).year}`;
+
+    // One bar per member, colored by type - shows how the series evolves
+    const progression = members.map(m =>
+        `<span class="${m.subtype}${isCurrent(m) ? ' current' : ''}" title="${formatDate(m)} ${m.subtype}"></span>`).join('');
+
+    const rows = members.map((m, i) => `
+        <div class="series-member ${m.subtype}${isCurrent(m) ? ' current' : ''}" data-series-member="${i}">
+            <span class="member-num">${mode === 'saros' ? i + 1 : 'S' + m.saros}</span>
+            <span class="member-date">${formatDate(m)}</span>
+            <span class="member-type">${m.subtype}</span>
+            <span class="member-gamma">${m.gamma.toFixed(3)}</span>
+        </div>`).join('');
+
+    panel.classList.remove('hidden');
+    panel.innerHTML = `
+        <div class="eclipse-series-header">
+            <div class="series-mode-toggle">
+                <button data-series-open="saros" class="${mode === 'saros' ? 'active' : ''}" title="Members every 223 lunations (18y 11d)">Saros</button>
+                <button data-series-open="inex" class="${mode === 'inex' ? 'active' : ''}" title="Members every 358 lunations (29y less 20d), one saros series apart">Inex</button>
+            </div>
+            <button class="series-close" data-series-close title="Close">×</button>
+        </div>
+        <div class="eclipse-local-title">${title}<span>${span}</span></div>
+        <div class="series-progression">${progression}</div>
+        <div class="series-members">${rows}</div>
+        ${mode === 'saros' ? `<button class="series-filter-button" data-series-filter="${first.saros}">Show only Saros ${first.saros} in list</button>` : ''}
+    `;
+
+    const current = panel.querySelector('.series-member.current');
+    if (current) {
+        const list = current.parentElement;
+        list.scrollTop = current.offsetTop - list.clientHeight / 2;
+    }
+}
+
+/**
+ * Click handler for series controls in the local card and series panel
+ */
+function handleEclipseSeriesClick(e) {
+    const target = e.target.closest('[data-series-step], [data-series-open], [data-series-member], [data-series-filter], [data-series-close]');
+    if (!target) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (target.dataset.seriesStep) {
+        stepSarosMember(parseInt(target.dataset.seriesStep), target);
+    } else if (target.dataset.seriesOpen) {
+        showEclipseSeries(target.dataset.seriesOpen);
+    } else if (target.dataset.seriesMember) {
+        goToEclipse(eclipseSeriesView.members[parseInt(target.dataset.seriesMember)]);
+    } else if (target.dataset.seriesFilter) {
+        setSarosFilter(parseInt(target.dataset.seriesFilter));
+    } else if (target.hasAttribute('data-series-close')) {
+        hideEclipseSeries();
+    }
+}
+
+// ==================== VISIBLE ECLIPSES ====================
+
+const VISIBILITY_SCAN_YEARS = 25;       // Years checked per step of the visible-only filter and next/previous search (~0.1 s)
+const VISIBLE_SEARCH_MAX_YEARS = 1000;  // Give up on the next/previous visible eclipse this far out
+
+// Eclipses seen from the focus point, filled a block of years at a time for the visible-only filter
+let eclipseVisibility = { key: null, scanned: new Set(), visible: new Set() };
+let eclipseVisibilityTimer = null;
+let visibleEclipseSearch = null;        // {button, timer} of the next/previous visible eclipse search in progress
+
+/**
+ * Start over when the focus point (to ~0.1°), elevation or the magnitude threshold has changed
+ */
+function syncEclipseVisibility() {
+    const key = `${focusPointLat.toFixed(1)},${focusPointLon.toFixed(1)},${observerElevation}|${eclipseFilters.minMagnitude}`;
+    if (eclipseVisibility.key !== key) {
+        eclipseVisibility = { key, scanned: new Set(), visible: new Set() };
+    }
+}
+
+/**
+ * Block of years an event is scanned in, as 'type|firstYear'
+ * @param {object} event - eclipseCatalog entry
+ * @returns {string}
+ */
+function getVisibilityBlock(event) {
+    const year = parseEventDate(event.date).year;
+    return `${event.type}|${Math.floor((year - 1) / VISIBILITY_SCAN_YEARS) * VISIBILITY_SCAN_YEARS + 1}`;
+}
+
+/**
+ * Whether an eclipse is seen from the focus point at the minimum magnitude
+ * @param {object} event - eclipseCatalog entry
+ * @returns {boolean|undefined} undefined until its block of years has been scanned
+ */
+function isEclipseVisibleHere(event) {
+    if (!eclipseVisibility.scanned.has(getVisibilityBlock(event))) return undefined;
+    const lunation = getLunationNumber(event.type, dateToJulianDay(getEclipseGreatestTime(event)));
+    return eclipseVisibility.visible.has(`${event.type}|${lunation}`);
+}
+
+/**
+ * Record the eclipses of one block of years seen from the focus point
+ * @param {string} block - From getVisibilityBlock
+ */
+function scanEclipseVisibility(block) {
+    const [type, firstYear] = block.split('|');
+    const geopos = [focusPointLon, focusPointLat, observerElevation];
+    // A day either side catches local maxima that cross the block edge from greatest eclipse
+    const startJd = swe.julday(Number(firstYear), 1, 1, 0, 1) - 1;
+    const endJd = swe.julday(Number(firstYear) + VISIBILITY_SCAN_YEARS, 1, 1, 0, 1) + 1;
+    searchLocalEclipses(swe, type, startJd, endJd, geopos, eclipseFilters.minMagnitude).forEach(event => {
+        eclipseVisibility.visible.add(`${type}|${getLunationNumber(type, event.jd)}`);
+    });
+    eclipseVisibility.scanned.add(block);
+}
+
+/**
+ * Scan blocks of years one per tick so the page stays responsive, then redraw the list
+ * @param {string[]} blocks - From getVisibilityBlock
+ */
+function scheduleEclipseVisibilityScan(blocks) {
+    clearTimeout(eclipseVisibilityTimer);
+    const key = eclipseVisibility.key;
+    const step = () => {
+        // Focus point or threshold changed - the redraw that noticed it has rescheduled
+        if (eclipseVisibility.key !== key) return;
+        scanEclipseVisibility(blocks.shift());
+        if (blocks.length > 0) {
+            eclipseVisibilityTimer = setTimeout(step, 0);
+        } else {
+            refreshEclipseList();
+        }
+    };
+    eclipseVisibilityTimer = setTimeout(step, 20);
+}
+
+/**
+ * Redraw a visible-only eclipse list once the focus point has moved
+ */
+function updateEclipseVisibilityFilter() {
+    if (!eclipseFilters.visibleOnly) return;
+    const popup = document.getElementById('calendar-popup');
+    if (!popup || !popup.classList.contains('visible')) return;
+    const key = eclipseVisibility.key;
+    syncEclipseVisibility();
+    if (eclipseVisibility.key !== key) refreshEclipseList();
+}
+
+/**
+ * Jump to local maximum of the next or previous eclipse of the listed type seen from the focus point
+ * The search runs a block of years per tick so the page stays responsive; clicking the button again
+ * (or the other one) stops it.
+ * @param {number} direction - 1 for next, -1 for previous
+ * @param {HTMLElement} button - Shows the search in progress, and when nothing is found
+ */
+function stepVisibleEclipse(direction, button) {
+    if (!sweInitialized || !swe) return;
+    const restarting = visibleEclipseSearch && visibleEclipseSearch.button !== button;
+    if (visibleEclipseSearch) {
+        cancelVisibleEclipseSearch();
+        if (!restarting) return;
+    }
+
+    const type = eclipseFilters.solar ? 'solar' : 'lunar';
+    const minMagnitude = eclipseFilters.minMagnitude;
+    // Start an hour off so the eclipse being shown isn't found again
+    const startJd = dateToJulianDay(getSimulatedTime()) + direction / 24;
+    const limitJd = startJd + direction * VISIBLE_SEARCH_MAX_YEARS * 365.25;
+    const ephemerisStartJd = swe.julday(EPHEMERIS_START_YEAR, 1, 1, 0, 1);
+    const ephemerisEndJd = swe.julday(EPHEMERIS_END_YEAR + 1, 1, 1, 0, 1);
+    const geopos = [focusPointLon, focusPointLat, observerElevation];
+
+    button.classList.add('searching');
+    button.classList.remove('not-found');
+    button.title = 'Searching... click to stop';
+
+    const search = { button, timer: null };
+    visibleEclipseSearch = search;
+    let blockJd = startJd;
+    const step = () => {
+        const blockYears = Math.min(VISIBILITY_SCAN_YEARS, Math.abs(limitJd - blockJd) / 365.25);
+        const found = findVisibleEclipse(swe, type, blockJd, geopos, minMagnitude, direction, blockYears);
+        blockJd += direction * blockYears * 365.25;
+        const exhausted = direction > 0
+            ? blockJd >= limitJd || blockJd > ephemerisEndJd
+            : blockJd <= limitJd || blockJd < ephemerisStartJd;
+        if (!found && !exhausted) {
+            search.timer = setTimeout(step, 0);
+            return;
+        }
+
+        visibleEclipseSearch = null;
+        button.classList.remove('searching');
+        button.title = button.dataset.title;
+        if (!found) {
+            button.classList.add('not-found');
+            button.title = `No ${type} eclipse of magnitude ${minMagnitude} or more seen from here within ${VISIBLE_SEARCH_MAX_YEARS} years`;
+            return;
+        }
+        goToEclipse(found, julianDayToDate(found.jd));
+    };
+    // Let the button repaint before the first block
+    search.timer = setTimeout(step, 20);
+}
+
+/**
+ * Stop a next/previous visible eclipse search in progress
+ */
+function cancelVisibleEclipseSearch() {
+    if (!visibleEclipseSearch) return;
+    clearTimeout(visibleEclipseSearch.timer);
+    const { button } = visibleEclipseSearch;
+    button.classList.remove('searching');
+    button.title = button.dataset.title;
+    visibleEclipseSearch = null;
+}
+
+// ==================== ECLIPSE PATH ====================
+// Ground track of a solar eclipse, computed in the fundamental plane (through Earth's centre,
+// perpendicular to the Sun-Moon axis) from Swiss Ephemeris Sun/Moon positions. Earth radius = 1,
+// spherical Earth as in the rest of the scene.
+
+const ECLIPSE_PATH_STEP_MINS = 1;                       // Time sampling over the whole eclipse
+const ECLIPSE_PATH_ISO_MAGNITUDES = [0.2, 0.4, 0.6, 0.8];
+const ECLIPSE_PATH_SEARCH_DAYS = 2;                     // Show the path of a solar eclipse this close to the simulated time
+const ECLIPSE_PATH_STYLES = {
+    central: { color: 0xff3355, opacity: 0.9 },
+    umbra: { color: 0xff8844, opacity: 0.8 },
+    penumbra: { color: 0xffdd66, opacity: 0.5 },
+    iso: { color: 0xffdd66, opacity: 0.25 }
+};
+
+let eclipsePathVisible = true;
+let eclipsePathGroup = null;     // THREE.Group of LineSegments for the current eclipse
+let eclipsePathEvent = null;     // eclipseCatalog entry the group was built for
+
+/**
+ * Shadow axis and cone radii in the fundamental plane at an instant
+ * @param {number} jd - Julian Day (UT)
+ * @returns {object|null} {x, y, l1, l2, tanF1, tanF2, xiAxis, etaAxis, zetaAxis, gmst}; null until Swiss Ephemeris is ready
+ */
+function getShadowGeometry(jd) {
+    if (!sweInitialized || !swe) return null;
+    const flags = swe.SEFLG_SWIEPH | 2048;  // SEFLG_EQUATORIAL
+    const toVector = (body) => {
+        const [ra, dec, distAU] = swe.calc_ut(jd, body, flags);
+        const r = distAU * AU_KM / EARTH_RADIUS_KM;
+        const raRad = ra * Math.PI / 180;
+        const decRad = dec * Math.PI / 180;
+        return new THREE.Vector3(r * Math.cos(decRad) * Math.cos(raRad), r * Math.cos(decRad) * Math.sin(raRad), r * Math.sin(decRad));
+    };
+    const sun = toVector(swe.SE_SUN);
+    const moon = toVector(swe.SE_MOON);
+
+    // Axis from Moon towards Sun; xi points east, eta north (in the plane), zeta towards the Sun
+    const axis = sun.clone().sub(moon);
+    const sunMoonDist = axis.length();
+    const zetaAxis = axis.divideScalar(sunMoonDist);
+    const xiAxis = new THREE.Vector3(-zetaAxis.y, zetaAxis.x, 0).normalize();
+    const etaAxis = new THREE.Vector3().crossVectors(zetaAxis, xiAxis);
+
+    const sunRadius = SUN_RADIUS_KM / EARTH_RADIUS_KM;
+    const moonRadius = MOON_RADIUS_KM / EARTH_RADIUS_KM;
+    const sinF1 = (sunRadius + moonRadius) / sunMoonDist;  // Penumbral cone
+    const sinF2 = (sunRadius - moonRadius) / sunMoonDist;  // Umbral cone
+    const cosF1 = Math.sqrt(1 - sinF1 * sinF1);
+    const cosF2 = Math.sqrt(1 - sinF2 * sinF2);
+    const z = moon.dot(zetaAxis);
+
+    return {
+        x: moon.dot(xiAxis),
+        y: moon.dot(etaAxis),
+        l1: z * sinF1 / cosF1 + moonRadius / cosF1,  // Penumbra radius on the plane
+        l2: z * sinF2 / cosF2 - moonRadius / cosF2,  // Umbra radius (negative = total)
+        tanF1: sinF1 / cosF1,
+        tanF2: sinF2 / cosF2,
+        xiAxis, etaAxis, zetaAxis,
+        gmst: getGMST(jd)
+    };
+}
+
+/**
+ * Convert a fundamental-plane point on the sunward hemisphere to an equatorial unit vector
+ * @returns {THREE.Vector3|null} null when the point is off the Earth's disk
+ */
+function fundamentalToVector(geom, xi, eta) {
+    const rho2 = xi * xi + eta * eta;
+    if (rho2 > 1) return null;
+    const zeta = Math.sqrt(1 - rho2);
+    return geom.xiAxis.clone().multiplyScalar(xi)
+        .addScaledVector(geom.etaAxis, eta)
+        .addScaledVector(geom.zetaAxis, zeta);
+}
+
+/**
+ * Geographic [lon, lat] of an equatorial unit vector at the geometry's sidereal time
+ */
+function vectorToLonLat(geom, v) {
+    const { lon: ra, lat: dec } = vectorToSpherical(v);
+    const subpoint = equatorialToSubpoint(ra, dec, geom.gmst);
+    return [subpoint.lon, subpoint.lat];
+}
+
+/**
+ * Point on the northern or southern limit of a shadow contour at one instant
+ * The contour is a circle around the shadow axis; its envelope over time touches the circle where
+ * the offset from the axis is perpendicular to the ground's motion relative to the shadow.
+ * @param {object} geom - Geometry at the instant
+ * @param {object} next - Geometry ECLIPSE_PATH_STEP_MINS later (for velocities)
+ * @param {function(number): number} radiusAt - Contour radius for an observer at height zeta
+ * @param {number} side - 1 for the northern limit, -1 for the southern
+ * @returns {Array<number>|null} [lon, lat], or null when the limit is off the Earth
+ */
+function getShadowLimitPoint(geom, next, radiusAt, side) {
+    const rotation = (next.gmst - geom.gmst) * Math.PI / 180;
+    const cosRot = Math.cos(rotation);
+    const sinRot = Math.sin(rotation);
+    let dirX = -(next.y - geom.y);
+    let dirY = next.x - geom.x;
+    let zeta = 0;
+    let point = null;
+
+    // Radius depends on the observer's height and direction on the observer's own motion - refine both
+    for (let i = 0; i < 4; i++) {
+        const dirLen = Math.hypot(dirX, dirY) || 1;
+        const sign = dirY * side >= 0 ? 1 : -1;
+        const r = radiusAt(zeta);
+        if (r <= 0) return null;
+        const xi = geom.x + sign * dirX / dirLen * r;
+        const eta = geom.y + sign * dirY / dirLen * r;
+        const v = fundamentalToVector(geom, xi, eta);
+        if (!v) return null;
+        zeta = v.dot(geom.zetaAxis);
+        point = v;
+
+        // Same ground point one step later (Earth rotated), relative to the moving shadow axis
+        const moved = new THREE.Vector3(v.x * cosRot - v.y * sinRot, v.x * sinRot + v.y * cosRot, v.z);
+        const relX = (moved.dot(next.xiAxis) - xi) - (next.x - geom.x);
+        const relY = (moved.dot(next.etaAxis) - eta) - (next.y - geom.y);
+        dirX = -relY;
+        dirY = relX;
+    }
+    return vectorToLonLat(geom, point);
+}
+
+/**
+ * Trace a line over a sequence of shadow geometries, split into polylines wherever it leaves the Earth
+ * @param {object[]} geoms - Geometries one time step apart
+ * @param {function(object, object): Array<number>|null} pointAt - [lon, lat] from a geometry and the next one
+ * @returns {Array<Array<number>>[]} Polylines of two or more points
+ */
+function traceShadowLines(geoms, pointAt) {
+    const polylines = [];
+    let current = [];
+    for (let i = 0; i < geoms.length - 1; i++) {
+        const point = pointAt(geoms[i], geoms[i + 1]);
+        if (point) {
+            current.push(point);
+        } else if (current.length) {
+            polylines.push(current);
+            current = [];
+        }
+    }
+    if (current.length) polylines.push(current);
+    return polylines.filter(line => line.length > 1);
+}
+
+/**
+ * Compute the ground track of a solar eclipse
+ * @param {object} event - eclipseCatalog solar entry
+ * @returns {object|null} Polylines of [lon, lat]: {central, umbra, penumbra, iso}; null until Swiss Ephemeris is ready
+ */
+function calculateEclipsePath(event) {
+    if (!sweInitialized || !swe) return null;
+
+    // Penumbral first/last contact with the Earth bound the sampling
+    const greatestJd = dateToJulianDay(getEclipseGreatestTime(event));
+    const glob = swe.sol_eclipse_when_glob(greatestJd - 1, swe.SEFLG_SWIEPH, 0, 0);
+    if (!glob || Math.abs(glob.tret[0] - greatestJd) > 0.5) return null;
+    const startJd = glob.tret[2];
+    const endJd = glob.tret[3];
+    const stepDays = ECLIPSE_PATH_STEP_MINS / 1440;
+
+    const geoms = [];
+    for (let jd = startJd; jd <= endJd + stepDays; jd += stepDays) {
+        geoms.push(getShadowGeometry(jd));
+    }
+
+    const trace = (pointAt) => traceShadowLines(geoms, pointAt);
+    const limits = (radiusAt) => [
+        ...trace((geom, next) => getShadowLimitPoint(geom, next, (zeta) => radiusAt(geom, zeta), 1)),
+        ...trace((geom, next) => getShadowLimitPoint(geom, next, (zeta) => radiusAt(geom, zeta), -1))
+    ];
+
+    // Magnitude m is reached where the distance from the axis is L1 - m (L1 + L2)
+    const magnitudeRadius = (m) => (geom, zeta) => {
+        const L1 = geom.l1 - zeta * geom.tanF1;
+        const L2 = geom.l2 - zeta * geom.tanF2;
+        return L1 - m * (L1 + L2);
+    };
+
+    return {
+        central: trace((geom) => {
+            const v = fundamentalToVector(geom, geom.x, geom.y);
+            return v ? vectorToLonLat(geom, v) : null;
+        }),
+        umbra: limits((geom, zeta) => Math.abs(geom.l2 - zeta * geom.tanF2)),
+        penumbra: limits(magnitudeRadius(0)),
+        iso: ECLIPSE_PATH_ISO_MAGNITUDES.flatMap(m => limits(magnitudeRadius(m)))
+    };
+}
+
+/**
+ * Find the solar eclipse nearest the simulated time, if one is close enough to show
+ * @returns {object|null} eclipseCatalog entry
+ */
+function findNearbySolarEclipse(date) {
+    // Runs every few frames - only centuries already loaded (by the list or a search) are looked at
+    let nearest = null;
+    let nearestDiff = ECLIPSE_PATH_SEARCH_DAYS * 86400000;
+    eclipseCatalog.forEach(event => {
+        if (event.type !== 'solar') return;
+        const diff = Math.abs(getEclipseGreatestTime(event) - date);
+        if (diff < nearestDiff) {
+            nearestDiff = diff;
+            nearest = event;
+        }
+    });
+    return nearest;
+}
+
+/**
+ * Rebuild the eclipse path overlay when the nearby solar eclipse changes
+ */
+function updateEclipsePath() {
+    if (!scene) return;
+    const event = eclipsePathVisible ? findNearbySolarEclipse(getAbsoluteSimulatedTime()) : null;
+    if (event === eclipsePathEvent) return;
+
+    if (eclipsePathGroup) {
+        scene.remove(eclipsePathGroup);
+        eclipsePathGroup.children.forEach(line => {
+            line.geometry.dispose();
+            line.material.dispose();
+        });
+        eclipsePathGroup = null;
+    }
+    eclipsePathEvent = event;
+
+    const path = event ? calculateEclipsePath(event) : null;
+    if (!path) return;
+
+    eclipsePathGroup = new THREE.Group();
+    Object.entries(ECLIPSE_PATH_STYLES).forEach(([key, style]) => {
+        if (path[key].length) {
+            eclipsePathGroup.add(buildCoastlineMesh(path[key], EARTH_RADIUS, style.color, style.opacity));
+        }
+    });
+    scene.add(eclipsePathGroup);
+}
+
 const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
 /**
@@ -3510,44 +5704,54 @@ function renderCalendar() {
     const daysContainer = document.getElementById('cal-days');
     if (!daysContainer) return;
 
-    const year = calendarViewDate.getFullYear();
-    const month = calendarViewDate.getMonth();
+    // The viewed month in the selected calendar, laid out by Julian Day Number
+    const { year, month } = toDisplayDate(calendarViewDate.getFullYear(), calendarViewDate.getMonth(), calendarViewDate.getDate());
+    const reform = getActiveCalendarReform();
+    const firstJdn = calendarDateToJdn(year, month + 1, 1, calendarMode, reform);
+    const endJdn = month === 11
+        ? calendarDateToJdn(year + 1, 1, 1, calendarMode, reform)
+        : calendarDateToJdn(year, month + 2, 1, calendarMode, reform);
 
     // Update header with month/year
     const header = document.getElementById('cal-header');
     if (header) {
-        header.textContent = `${MONTH_NAMES[month]} ${year}`;
+        header.textContent = `${MONTH_NAMES[month]} ${formatYear(year, yearNumbering)}`;
     }
 
-    // Get first day of month and total days
-    const firstDay = new Date(year, month, 1).getDay();
-    const daysInMonth = new Date(year, month + 1, 0).getDate();
-    const daysInPrevMonth = new Date(year, month, 0).getDate();
+    const firstDay = getWeekday(firstJdn);
 
+    // Cells carry their Gregorian date (the form selectedDate uses) as year/month/day
+    // - '-' would clash with negative years and month -1
+    const gregorianKey = (jdn) => {
+        const date = jdnToDate(jdn, 'gregorian');
+        return `${date.year}/${date.month - 1}/${date.day}`;
+    };
+    const displayDay = (jdn) => jdnToCalendarDate(jdn, calendarMode, reform).day;
     const today = new Date();
-    const todayStr = `${today.getFullYear()}-${today.getMonth()}-${today.getDate()}`;
-    const selectedStr = selectedDate ? `${selectedDate.getFullYear()}-${selectedDate.getMonth()}-${selectedDate.getDate()}` : null;
+    const todayStr = `${today.getFullYear()}/${today.getMonth()}/${today.getDate()}`;
+    const selectedStr = selectedDate ? `${selectedDate.getFullYear()}/${selectedDate.getMonth()}/${selectedDate.getDate()}` : null;
 
     let html = '';
 
     // Previous month days
-    for (let i = firstDay - 1; i >= 0; i--) {
-        const day = daysInPrevMonth - i;
-        html += `<button class="calendar-day other-month" data-date="${year}-${month - 1}-${day}">${day}</button>`;
+    for (let jdn = firstJdn - firstDay; jdn < firstJdn; jdn++) {
+        html += `<button class="calendar-day other-month" data-date="${gregorianKey(jdn)}">${displayDay(jdn)}</button>`;
     }
 
     // Current month days
-    for (let day = 1; day <= daysInMonth; day++) {
-        const dateStr = `${year}-${month}-${day}`;
+    for (let jdn = firstJdn; jdn < endJdn; jdn++) {
+        const dateStr = gregorianKey(jdn);
+        const day = displayDay(jdn);
         const isToday = dateStr === todayStr;
         const isSelected = dateStr === selectedStr;
         let classes = 'calendar-day';
         if (isToday) classes += ' today';
         if (isSelected) classes += ' selected';
 
-        // Check for eclipse or new moon on this date
-        const isoDate = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-        const eclipse = CELESTIAL_EVENTS.find(e => e.date === isoDate);
+        // Check for eclipse or new moon on this date (both listed by Gregorian date)
+        const gregorian = jdnToDate(jdn, 'gregorian');
+        const isoDate = formatEventDate(gregorian.year, gregorian.month, gregorian.day);
+        const eclipse = eclipseCatalog.find(e => e.date === isoDate);
         const isNewMoon = NEW_MOONS.includes(isoDate);
         let content = `<span class="day-num">${day}</span>`;
         if (eclipse) {
@@ -3563,9 +5767,9 @@ function renderCalendar() {
 
     // Next month days to fill grid (always 6 rows = 42 cells for consistent height)
     const totalCells = 42;
-    const nextDays = totalCells - firstDay - daysInMonth;
-    for (let day = 1; day <= nextDays; day++) {
-        html += `<button class="calendar-day other-month" data-date="${year}-${month + 1}-${day}">${day}</button>`;
+    const lastJdn = firstJdn - firstDay + totalCells;
+    for (let jdn = endJdn; jdn < lastJdn; jdn++) {
+        html += `<button class="calendar-day other-month" data-date="${gregorianKey(jdn)}">${displayDay(jdn)}</button>`;
     }
 
     daysContainer.innerHTML = html;
@@ -3575,8 +5779,8 @@ function renderCalendar() {
         const selectDay = (e) => {
             e.preventDefault();
             e.stopPropagation();
-            const [y, m, d] = btn.dataset.date.split('-').map(Number);
-            selectedDate = new Date(y, m, d);
+            const [y, m, d] = btn.dataset.date.split('/').map(Number);
+            selectedDate = makeCalendarDate(y, m, d);
             isLiveMode = false;
             // Keep current timeOffsetMinutes - don't change the time
             document.getElementById('time-slider').classList.remove('live');
@@ -3628,22 +5832,14 @@ function startSimulation() {
     if (!isSimulating) {
         // Sync date and time to pointer's timezone when starting simulation
         if (isLiveMode) {
-            const now = new Date();
-            const closestCity = findClosestCity(focusPointLat, focusPointLon);
-            const cityTzHours = closestCity ? closestCity.tz : 0;
-            // Use same approach as periodic update - shifted Date object
-            const pointerLocalTime = new Date(now.getTime() + cityTzHours * 3600000);
-            selectedDate = pointerLocalTime;
-            lastPointerTz = cityTzHours;
+            const zone = getPointerZone();
+            // Same conversion as periodic update - date and time at pointer's zone
+            const local = getZonedDateAndMinutes(new Date(), zone);
+            selectedDate = local.date;
+            lastPointerZone = zone;
 
             // Also sync timeOffsetMinutes to current local time
-            const utcHours = now.getUTCHours();
-            const utcMinutes = now.getUTCMinutes();
-            const utcSeconds = now.getUTCSeconds();
-            let localMinutes = utcHours * 60 + utcMinutes + utcSeconds / 60 + cityTzHours * 60;
-            while (localMinutes < 0) localMinutes += 1440;
-            while (localMinutes >= 1440) localMinutes -= 1440;
-            timeOffsetMinutes = localMinutes;
+            timeOffsetMinutes = local.minutes;
         }
 
         // Clamp timeOffsetMinutes to valid range
@@ -3880,28 +6076,15 @@ function setupTimeControl() {
             directionBtn.classList.remove('reverse');
         }
 
-        // Reset to current real time
-        const now = new Date();
-
-        // Get local time at pointer position
-        const closestCity = findClosestCity(focusPointLat, focusPointLon);
-        const cityTzHours = closestCity ? closestCity.tz : 0;
-
-        // Calculate current date and time at pointer's timezone
-        const utcMs = now.getTime() + now.getTimezoneOffset() * 60 * 1000;
-        const cityMs = utcMs + cityTzHours * 60 * 60 * 1000;
-        const cityTime = new Date(cityMs);
-
-        // Set selectedDate to the date at the pointer's timezone (midnight local)
-        const pointerDate = new Date(cityTime.getFullYear(), cityTime.getMonth(), cityTime.getDate());
-
-        // Calculate local minutes from midnight at pointer's timezone
-        const localMinutes = cityTime.getHours() * 60 + cityTime.getMinutes();
+        // Reset to current real time - date and time at pointer's timezone
+        const zone = getPointerZone();
+        const local = getZonedDateAndMinutes(new Date(), zone);
+        const pointerDate = local.date;
 
         selectedDate = pointerDate;
-        timeOffsetMinutes = Math.max(0, Math.min(1440, localMinutes));
+        timeOffsetMinutes = Math.max(0, Math.min(1440, Math.floor(local.minutes)));
         isLiveMode = true;
-        lastPointerTz = cityTzHours;  // Initialize timezone tracking
+        lastPointerZone = zone;  // Initialize timezone tracking
         slider.value = timeOffsetMinutes;
 
         // Reset calendar to current month at pointer's timezone
@@ -3946,20 +6129,10 @@ function setupTimeControl() {
 
     // Helper to sync selectedDate when leaving live mode
     function syncDateForLiveModeExit() {
-        const now = new Date();
-        const closestCity = findClosestCity(focusPointLat, focusPointLon);
-        const cityTzHours = closestCity ? closestCity.tz : 0;
-
-        // Calculate current date and time at pointer's timezone (same as live button handler)
-        const utcMs = now.getTime() + now.getTimezoneOffset() * 60 * 1000;
-        const cityMs = utcMs + cityTzHours * 60 * 60 * 1000;
-        const cityTime = new Date(cityMs);
-
-        // Set selectedDate to the date at the pointer's timezone (midnight local)
-        const pointerDate = new Date(cityTime.getFullYear(), cityTime.getMonth(), cityTime.getDate());
-
-        selectedDate = pointerDate;
-        lastPointerTz = cityTzHours;
+        // Set selectedDate to the date at the pointer's timezone (same as live button handler)
+        const zone = getPointerZone();
+        selectedDate = getZonedDateAndMinutes(new Date(), zone).date;
+        lastPointerZone = zone;
     }
 
     // Calendar button
@@ -3986,9 +6159,19 @@ function setupTimeControl() {
             if (isVisible) {
                 calendarPopup.classList.remove('visible');
                 calendarBtn.classList.remove('active');
+                cancelVisibleEclipseSearch();
             } else {
-                // Sync calendar view to current selected date
+                // Sync calendar view to current selected date; outside the bundled table, that
+                // century's eclipses are computed in the background and listed when ready
                 calendarViewDate = selectedDate ? new Date(selectedDate) : new Date();
+                const viewYear = calendarViewDate.getFullYear();
+                if (viewYear < BUNDLED_ECLIPSE_START_YEAR || viewYear > BUNDLED_ECLIPSE_END_YEAR) {
+                    loadEclipseCentury(viewYear, (changed) => {
+                        if (!changed) return;
+                        renderCalendar();
+                        refreshEclipseList();
+                    });
+                }
                 renderCalendar();
 
                 // Refresh eclipse list and scroll to current date
@@ -4001,6 +6184,7 @@ function setupTimeControl() {
                         eventItems[closestIndex].scrollIntoView({ block: 'center' });
                     }
                 }, 50);
+                if (activeEventsTab === 'planets') setTimeout(refreshPlanetEventList, 50);
 
                 calendarPopup.classList.add('visible');
                 calendarBtn.classList.add('active');
@@ -4010,27 +6194,14 @@ function setupTimeControl() {
         calendarBtn.addEventListener('click', toggleCalendar);
     }
 
-    // Initial state - set to current local time at pointer position
-    const now = new Date();
-
-    // Get timezone at pointer position
-    const closestCity = findClosestCity(focusPointLat, focusPointLon);
-    const cityTzHours = closestCity ? closestCity.tz : 0;
-
-    // Calculate current date and time at pointer's timezone
-    const utcMs = now.getTime() + now.getTimezoneOffset() * 60 * 1000;
-    const cityMs = utcMs + cityTzHours * 60 * 60 * 1000;
-    const cityTime = new Date(cityMs);
-
-    // Set selectedDate to the date at the pointer's timezone
-    const pointerDate = new Date(cityTime.getFullYear(), cityTime.getMonth(), cityTime.getDate());
-
-    // Calculate local minutes from midnight at pointer's timezone
-    const initialLocalMinutes = cityTime.getHours() * 60 + cityTime.getMinutes();
+    // Initial state - set to current local date and time at pointer's timezone
+    const initialZone = getPointerZone();
+    const initialLocal = getZonedDateAndMinutes(new Date(), initialZone);
+    const pointerDate = initialLocal.date;
 
     selectedDate = pointerDate;
-    timeOffsetMinutes = Math.max(0, Math.min(1440, initialLocalMinutes));
-    lastPointerTz = cityTzHours;  // Initialize timezone tracking
+    timeOffsetMinutes = Math.max(0, Math.min(1440, Math.floor(initialLocal.minutes)));
+    lastPointerZone = initialZone;  // Initialize timezone tracking
     slider.value = timeOffsetMinutes;
     calendarViewDate = new Date(pointerDate);
 
@@ -4044,35 +6215,20 @@ function setupTimeControl() {
     setInterval(() => {
         // In live mode, update slider to track real time (unless paused)
         if (isLiveMode && !isSimulating && !isPaused) {
-            const now = new Date();
-
-            // Get timezone at pointer position
-            const closestCity = findClosestCity(focusPointLat, focusPointLon);
-            const cityTzHours = closestCity ? closestCity.tz : 0;
-
-            // Calculate current local time at pointer position (minutes from midnight)
-            const utcHours = now.getUTCHours();
-            const utcMinutes = now.getUTCMinutes();
-            const utcTotalMinutes = utcHours * 60 + utcMinutes;
-            let localMinutes = utcTotalMinutes + cityTzHours * 60;
-
-            // Wrap around midnight
-            while (localMinutes < 0) localMinutes += 1440;
-            while (localMinutes >= 1440) localMinutes -= 1440;
+            // Get current local date and time at pointer position
+            const zone = getPointerZone();
+            const local = getZonedDateAndMinutes(new Date(), zone);
 
             // Update if day changed (crossed midnight)
-            const utcMs = now.getTime() + now.getTimezoneOffset() * 60 * 1000;
-            const cityMs = utcMs + cityTzHours * 60 * 60 * 1000;
-            const cityTime = new Date(cityMs);
-            const todayAtPointer = new Date(cityTime.getFullYear(), cityTime.getMonth(), cityTime.getDate());
+            const todayAtPointer = local.date;
             if (selectedDate && selectedDate.toDateString() !== todayAtPointer.toDateString()) {
                 selectedDate = todayAtPointer;
                 updateEventMarkers();
                 updateDayNavButtons();
             }
 
-            timeOffsetMinutes = localMinutes;
-            lastPointerTz = cityTzHours;  // Keep in sync for getAbsoluteSimulatedTime()
+            timeOffsetMinutes = Math.floor(local.minutes);
+            lastPointerZone = zone;  // Keep in sync for getAbsoluteSimulatedTime()
             slider.value = timeOffsetMinutes;
         }
         // Don't update position display while user is actively dragging
@@ -4080,10 +6236,45 @@ function setupTimeControl() {
         if (!isDragging && !isTouching) {
             updatePositionDisplay();
             updateEventMarkers();
+            updateEclipseLocalCard();
+            updateOccultationLocalCard();
+            updateEclipseVisibilityFilter();
         }
+        updateEclipsePath();
+        updateOccultationPath();
     }, 250);
 }
 
+/**
+ * Update category button active state based on child toggles
+ */
+function updateCategoryButtonStates() {
+    const earthBtn = document.getElementById('category-earth');
+    const skyBtn = document.getElementById('category-sky');
+    if (earthBtn) {
+        const anyEarthOn = coastlinesVisible || waterLinesVisible || cityLabelsVisible || citySpheresVisible || eclipsePathVisible;
+        earthBtn.classList.toggle('active', anyEarthOn);
+    }
+    if (skyBtn) {
+        const anySkyOn = constellationLinesVisible || starLabelsEnabled || ghostViewEnabled || celestialTrailsEnabled ||
+            PLANETS.some(planet => planet.telescopic && !hiddenPlanetIds.has(planet.id));
+        skyBtn.classList.toggle('active', anySkyOn);
+    }
+}
+
+/**
+ * Set a layer toggle by its data-toggle key and sync its pill
+ * @param {string} key - data-toggle value (e.g. 'coastlines')
+ * @param {boolean} value - New state
+ */
+function setPillToggle(key, value) {
+    const action = pillToggleActions[key];
+    if (!action || action.get() === value) return;
+    action.set(value);
+    document.querySelector(`.pill-toggle[data-toggle="${key}"]`)?.classList.toggle('active', value);
+    updateCategoryButtonStates();
+}
+
 /**
  * Update view zoom button display based on current state
  */
@@ -4242,7 +6433,7 @@ function setupLeftControls() {
 
     // ==================== PILL TOGGLE HANDLERS ====================
     // Map data-toggle values to their actions
-    const pillToggleActions = {
+    pillToggleActions = {
         'coastlines': {
             get: () => coastlinesVisible,
             set: (v) => {
@@ -4269,6 +6460,14 @@ function setupLeftControls() {
                 cityMarkers.forEach(marker => { if (!v) marker.visible = false; });
             }
         },
+        'eclipse-path': {
+            get: () => eclipsePathVisible,
+            set: (v) => {
+                eclipsePathVisible = v;
+                updateEclipsePath();
+                updateOccultationPath();
+            }
+        },
         'constellations': {
             get: () => constellationLinesVisible,
             set: (v) => {
@@ -4290,6 +6489,21 @@ function setupLeftControls() {
         'celestial-trails': {
             get: () => celestialTrailsEnabled,
             set: (v) => { celestialTrailsEnabled = v; }
+        },
+        ...Object.fromEntries(PLANETS.filter(planet => planet.telescopic).map(planet => [getPlanetToggleKey(planet), {
+            get: () => !hiddenPlanetIds.has(planet.id),
+            set: (v) => {
+                if (v) hiddenPlanetIds.delete(planet.id); else hiddenPlanetIds.add(planet.id);
+                updatePositionDisplay();
+            }
+        }])),
+        'refraction': {
+            get: () => refractionEnabled,
+            set: (v) => {
+                refractionEnabled = v;
+                updateEventMarkers();
+                updatePositionDisplay();
+            }
         }
     };
 
@@ -4306,20 +6520,6 @@ function setupLeftControls() {
         });
     });
 
-    // Update category button active state based on child toggles
-    function updateCategoryButtonStates() {
-        const earthBtn = document.getElementById('category-earth');
-        const skyBtn = document.getElementById('category-sky');
-        if (earthBtn) {
-            const anyEarthOn = coastlinesVisible || waterLinesVisible || cityLabelsVisible || citySpheresVisible;
-            earthBtn.classList.toggle('active', anyEarthOn);
-        }
-        if (skyBtn) {
-            const anySkyOn = constellationLinesVisible || starLabelsEnabled || ghostViewEnabled || celestialTrailsEnabled;
-            skyBtn.classList.toggle('active', anySkyOn);
-        }
-    }
-
     // ==================== APPEARANCE PANEL HANDLERS ====================
     // Land color (also updates back color to match)
     document.getElementById('land-color')?.addEventListener('input', (e) => {
@@ -4380,6 +6580,54 @@ function setupLeftControls() {
         });
     });
 
+    // Refraction conditions - ignore out-of-range input rather than extrapolating the formulas
+    const bindRefractionInput = (id, min, max, apply) => {
+        document.getElementById(id)?.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (!Number.isFinite(value) || value < min || value > max) return;
+            apply(value);
+            updateEventMarkers();
+            updatePositionDisplay();
+        });
+    };
+    bindRefractionInput('refraction-pressure', 500, 1100, (v) => { atmPressureHPa = v; });
+    bindRefractionInput('refraction-temperature', -60, 60, (v) => { atmTemperatureC = v; });
+
+    // Observer elevation - topocentric Moon, eclipse and occultation circumstances
+    document.getElementById('observer-elevation')?.addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (Number.isFinite(value)) setObserverElevation(value);
+    });
+
+    // Calendar mode, reform and year numbering
+    const bindCalendarSelect = (id, options, get, set) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.innerHTML = Object.entries(options)
+            .map(([key, option]) => `<option value="${key}">${option.label}</option>`).join('');
+        select.value = get();
+        select.addEventListener('change', (e) => {
+            if (!options[e.target.value] || e.target.value === get()) return;
+            set(e.target.value);
+            refreshCalendarDisplays();
+        });
+    };
+    bindCalendarSelect('calendar-mode', CALENDAR_MODES, () => calendarMode, (v) => { calendarMode = v; });
+    bindCalendarSelect('calendar-reform', CALENDAR_REFORMS, () => calendarReform, (v) => { calendarReform = v; });
+    bindCalendarSelect('year-numbering', YEAR_NUMBERINGS, () => yearNumbering, (v) => { yearNumbering = v; });
+
+    // Delta-T model
+    const deltaTSelect = document.getElementById('delta-t-model');
+    if (deltaTSelect) {
+        deltaTSelect.innerHTML = Object.entries(DELTA_T_MODELS)
+            .map(([key, model]) => `<option value="${key}">${model.label}</option>`).join('');
+        deltaTSelect.value = deltaTModel;
+        deltaTSelect.addEventListener('change', (e) => {
+            if (!DELTA_T_MODELS[e.target.value] || e.target.value === deltaTModel) return;
+            setDeltaTModel(e.target.value);
+        });
+    }
+
     // ==================== CITY CAROUSEL ====================
     const cityCarousel = document.getElementById('city-carousel');
     const carouselScroll = cityCarousel?.querySelector('.carousel-scroll');
@@ -4832,6 +7080,13 @@ let sliderBridgeElement = null;
 
 const DEFAULT_FOV = 75;
 const MIN_FOV = 15;  // Zoomed in
+const PLANET_LIMITING_MAGNITUDE_WIDE = 6.5;     // Faintest planet at DEFAULT_FOV (naked eye)
+const PLANET_LIMITING_MAGNITUDE_ZOOMED = 15.5;  // At MIN_FOV - deep enough for Pluto
+const PLANET_MIN_OPACITY = 0.35;                // Faintest planet sprite
+const PLANET_PICK_RADIUS_PX = 12;               // Hover/click distance from a planet sprite
+const STAR_PICK_RADIUS_PX = 8;                  // Click distance from a star
+const CONSTELLATION_PICK_RADIUS_PX = 5;         // Click distance from a constellation figure line
+const CONSTELLATION_NEAR_DEG = 15;              // A planet is "near" a figure star this close
 
 function setThumbY(y) {
     if (!sliderThumbElement) return;
@@ -5178,6 +7433,123 @@ function updateZoomSliderMode() {
     }
 }
 
+// ==================== ATMOSPHERIC REFRACTION ====================
+
+let refractionEnabled = true;   // Apparent (refracted) altitudes; false = geometric
+let atmPressureHPa = 1010;      // Surface air pressure (hPa) for refraction scaling
+let atmTemperatureC = 10;       // Surface air temperature (°C) for refraction scaling
+
+const SUN_SEMIDIAMETER_DEG = 0.2667;  // Mean solar semi-diameter (16')
+
+/**
+ * Pressure/temperature correction for the standard refraction formulas (Meeus ch. 16)
+ * @returns {number} Multiplier, 1.0 at 1010 hPa and 10°C
+ */
+function getRefractionScale() {
+    return (atmPressureHPa / 1010) * (283 / (273 + atmTemperatureC));
+}
+
+/**
+ * Refraction for a true (geometric) altitude - Saemundsson's formula
+ * Below -1° the correction tapers to zero at -3° so apparent altitude stays monotonic
+ * @param {number} trueAltDeg - Geometric altitude in degrees
+ * @returns {number} Refraction in degrees (0 when showing geometric altitudes)
+ */
+function getRefractionFromTrue(trueAltDeg) {
+    if (!refractionEnabled) return 0;
+    const h = Math.max(trueAltDeg, -1);
+    const arcmin = Math.max(0, 1.02 / Math.tan((h + 10.3 / (h + 5.11)) * Math.PI / 180));
+    const taper = Math.min(1, Math.max(0, 1 + (trueAltDeg + 1) / 2));
+    return arcmin / 60 * taper * getRefractionScale();
+}
+
+/**
+ * Refraction for an apparent (observed) altitude - Bennett's formula
+ * @param {number} apparentAltDeg - Apparent altitude in degrees
+ * @returns {number} Refraction in degrees (0 when showing geometric altitudes)
+ */
+function getRefractionFromApparent(apparentAltDeg) {
+    if (!refractionEnabled) return 0;
+    const h = Math.max(apparentAltDeg, -1);
+    const arcmin = Math.max(0, 1 / Math.tan((h + 7.31 / (h + 4.4)) * Math.PI / 180));
+    return arcmin / 60 * getRefractionScale();
+}
+
+/**
+ * Convert a geometric altitude to the altitude shown in readouts
+ * @param {number} trueAltDeg - Geometric altitude in degrees
+ * @returns {number} Apparent altitude in degrees (unchanged in geometric mode)
+ */
+function getApparentAltitude(trueAltDeg) {
+    return trueAltDeg + getRefractionFromTrue(trueAltDeg);
+}
+
+// Shared by every sky material so one per-frame update moves all of them
+const refractionUniforms = {
+    observerPosition: { value: new THREE.Vector3() },
+    refractionStrength: { value: 0 },  // 0 = off (orbital view / geometric), 1 = full horizon view
+    refractionScale: { value: 1 }
+};
+
+// GLSL twin of getRefractionFromTrue + applyHorizonRefraction for star and line shaders
+const REFRACTION_GLSL = `
+    uniform vec3 observerPosition;
+    uniform float refractionStrength;
+    uniform float refractionScale;
+    vec3 refractWorldPosition(vec3 worldPos) {
+        if (refractionStrength <= 0.0) return worldPos;
+        vec3 up = normalize(observerPosition);
+        vec3 rel = worldPos - observerPosition;
+        float dist = length(rel);
+        vec3 dir = rel / dist;
+        float sinAlt = clamp(dot(dir, up), -1.0, 1.0);
+        vec3 horiz = dir - up * sinAlt;
+        float horizLen = length(horiz);
+        if (horizLen < 1e-4) return worldPos;
+        float alt = degrees(asin(sinAlt));
+        float h = max(alt, -1.0);
+        float r = max(0.0, 1.02 / tan(radians(h + 10.3 / (h + 5.11)))) / 60.0;
+        r *= clamp(1.0 + (alt + 1.0) / 2.0, 0.0, 1.0) * refractionScale * refractionStrength;
+        float newAlt = radians(alt + r);
+        return observerPosition + (horiz / horizLen * cos(newAlt) + up * sin(newAlt)) * dist;
+    }
+`;
+
+/**
+ * Refresh refraction uniforms from the camera - horizon view only, faded in with the blend
+ */
+function updateRefractionUniforms() {
+    refractionUniforms.observerPosition.value.copy(camera.position);
+    refractionUniforms.refractionStrength.value = refractionEnabled ? horizonBlendValue : 0;
+    refractionUniforms.refractionScale.value = getRefractionScale();
+}
+
+/**
+ * Lift a world-space position to its apparent altitude as seen from the camera
+ * Modifies the vector in place (no-op outside horizon view or in geometric mode)
+ * @param {THREE.Vector3} position - World position of a sky object
+ * @returns {THREE.Vector3} The same vector
+ */
+function applyHorizonRefraction(position) {
+    const strength = refractionUniforms.refractionStrength.value;
+    if (strength <= 0) return position;
+
+    const observer = refractionUniforms.observerPosition.value;
+    const up = observer.clone().normalize();
+    const rel = position.clone().sub(observer);
+    const dist = rel.length();
+    const dir = rel.divideScalar(dist);
+    const sinAlt = Math.max(-1, Math.min(1, dir.dot(up)));
+    const horiz = dir.clone().addScaledVector(up, -sinAlt);
+    const horizLen = horiz.length();
+    if (horizLen < 1e-4) return position;
+
+    const altDeg = Math.asin(sinAlt) * 180 / Math.PI;
+    const newAlt = (altDeg + getRefractionFromTrue(altDeg) * strength) * Math.PI / 180;
+    horiz.multiplyScalar(Math.cos(newAlt) / horizLen).addScaledVector(up, Math.sin(newAlt));
+    return position.copy(observer).addScaledVector(horiz, dist);
+}
+
 // ==================== ASTRONOMICAL CALCULATIONS (Swiss Ephemeris) ====================
 
 /**
@@ -5198,7 +7570,16 @@ function dateToJulianDay(date) {
 }
 
 /**
- * Calculate Greenwich Mean Sidereal Time in degrees
+ * Convert a (UT) Julian Day back to a JavaScript Date
+ */
+function julianDayToDate(jd) {
+    return new Date((jd - 2440587.5) * 86400000);
+}
+
+/**
+ * Calculate Greenwich sidereal time in degrees
+ * Apparent (true equinox of date, matching Swiss Ephemeris' apparent RA) once Swiss Ephemeris is
+ * ready, mean sidereal time in the fallback. See frames.js for how it places bodies in the scene.
  */
 function getGMST(jd) {
     if (sweInitialized && swe) {
@@ -5221,11 +7602,58 @@ function getPlanetRADec(date, planetId) {
     if (!sweInitialized || !swe) return null;
     const jd = dateToJulianDay(date);
     const flags = swe.SEFLG_SWIEPH | 2048; // SEFLG_EQUATORIAL
-    const result = swe.calc_ut(jd, planetId, flags);
+    let result;
+    try {
+        result = swe.calc_ut(jd, planetId, flags);
+    } catch (error) {
+        return null;  // Asteroid outside its ephemeris file's range
+    }
     // result[0] = RA in degrees, result[1] = Dec in degrees
     return { ra: result[0], dec: result[1] };
 }
 
+/**
+ * Get a planet's magnitude, phase, apparent size and distance from Earth
+ * @param {Date} date - Date/time to calculate for
+ * @param {number} planetId - Swiss Ephemeris body id
+ * @returns {{magnitude: number, phaseAngle: number, illuminated: number, elongation: number,
+ *   diameter: number, distance: number}|null} Angles in degrees, diameter in arcseconds, distance in AU;
+ *   null until Swiss Ephemeris is ready or outside the body's ephemeris
+ */
+function getPlanetPhenomena(date, planetId) {
+    if (!sweInitialized || !swe) return null;
+    const jd = dateToJulianDay(date);
+    // pheno_ut returns [phase angle, illuminated fraction, elongation, diameter, magnitude, ...]
+    const pheno = swe.pheno_ut(jd, planetId, swe.SEFLG_SWIEPH);
+    if (!pheno) return null;
+    let distance;
+    try {
+        distance = swe.calc_ut(jd, planetId, swe.SEFLG_SWIEPH)[2];
+    } catch (error) {
+        return null;
+    }
+    return {
+        magnitude: pheno[4],
+        phaseAngle: pheno[0],
+        illuminated: pheno[1],
+        elongation: pheno[2],
+        diameter: pheno[3] * 3600,
+        distance
+    };
+}
+
+/**
+ * Get a planet's sub-planet point (same form as getSunPosition: declination, RA - GMST)
+ * @param {Date} date - Date/time to calculate for
+ * @param {number} planetId - Swiss Ephemeris body id
+ * @returns {{lat: number, lon: number}|null} null until Swiss Ephemeris is ready
+ */
+function getPlanetPosition(date, planetId) {
+    const raDec = getPlanetRADec(date, planetId);
+    if (!raDec) return null;
+    return equatorialToSubpoint(raDec.ra, raDec.dec, getGMST(dateToJulianDay(date)));
+}
+
 function getSunPosition(date) {
     const jd = dateToJulianDay(date);
 
@@ -5235,24 +7663,15 @@ function getSunPosition(date) {
         const flags = swe.SEFLG_SWIEPH | 2048;  // SEFLG_EQUATORIAL
         const result = swe.calc_ut(jd, swe.SE_SUN, flags);
 
-        // result[0] = Right Ascension in degrees
-        // result[1] = Declination in degrees
-        const ra = result[0];
-        const dec = result[1];
-
-        // Calculate subsolar longitude from RA and GMST
-        const gmst = getGMST(jd);
-        let lon = ra - gmst;
-        lon = ((lon + 180) % 360) - 180;  // Normalize to -180 to 180
-
-        return { lat: dec, lon: lon };
+        // result[0] = Right Ascension in degrees, result[1] = Declination in degrees
+        return equatorialToSubpoint(result[0], result[1], getGMST(jd));
     }
 
     // Fallback to simplified calculation if Swiss Ephemeris not ready
     const start = new Date(date.getFullYear(), 0, 0);
     const diff = date - start;
     const dayOfYear = Math.floor(diff / (1000 * 60 * 60 * 24));
-    const declination = 23.44 * Math.sin((2 * Math.PI / 365) * (dayOfYear - 81));
+    const declination = getMeanObliquity(jd) * Math.sin((2 * Math.PI / 365) * (dayOfYear - 81));
     const hours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
     const sunLon = -((hours - 12) * 15);
     return {
@@ -5274,15 +7693,8 @@ function getMoonPosition(date) {
         const flags = swe.SEFLG_SWIEPH | 2048;  // SEFLG_EQUATORIAL
         const moonResult = swe.calc_ut(jd, swe.SE_MOON, flags);
 
-        // moonResult[0] = Right Ascension in degrees
-        // moonResult[1] = Declination in degrees
-        const ra = moonResult[0];
-        const dec = moonResult[1];
-
-        // Calculate sublunar longitude from RA and GMST
-        const gmst = getGMST(jd);
-        let lon = ra - gmst;
-        lon = ((lon + 180) % 360) - 180;  // Normalize to -180 to 180
+        // moonResult[0] = Right Ascension in degrees, moonResult[1] = Declination in degrees
+        const sublunar = equatorialToSubpoint(moonResult[0], moonResult[1], getGMST(jd));
 
         // Calculate moon phase using ecliptic longitudes
         const sunEcl = swe.calc_ut(jd, swe.SE_SUN, swe.SEFLG_SWIEPH);
@@ -5291,7 +7703,7 @@ function getMoonPosition(date) {
         elongation = ((elongation % 360) + 360) % 360;
         const phase = elongation / 360;
 
-        return { lat: dec, lon: lon, phase: phase };
+        return { lat: sublunar.lat, lon: sublunar.lon, phase: phase };
     }
 
     // Fallback to simplified calculation if Swiss Ephemeris not ready
@@ -5301,56 +7713,97 @@ function getMoonPosition(date) {
     const F = (93.272 + 13.229350 * D) % 360;
     const lonEcl = L + 6.289 * Math.sin(M * Math.PI / 180);
     const latEcl = 5.128 * Math.sin(F * Math.PI / 180);
-    const obliquity = 23.44;
-    const oblRad = obliquity * Math.PI / 180;
-    const lonRad = lonEcl * Math.PI / 180;
-    const latRad = latEcl * Math.PI / 180;
-    const sinDec = Math.sin(latRad) * Math.cos(oblRad) +
-                   Math.cos(latRad) * Math.sin(oblRad) * Math.sin(lonRad);
-    const declination = Math.asin(sinDec) * 180 / Math.PI;
-    const y = Math.sin(lonRad) * Math.cos(oblRad) - Math.tan(latRad) * Math.sin(oblRad);
-    const x = Math.cos(lonRad);
-    const rightAscension = Math.atan2(y, x) * 180 / Math.PI;
-    const T = D / 36525;
-    const GST = (280.46061837 + 360.98564736629 * D + 0.000387933 * T * T) % 360;
-    const moonLon = ((rightAscension - GST) % 360 + 540) % 360 - 180;
+    const { ra, dec } = eclipticToEquatorial(lonEcl, latEcl, getMeanObliquity(jd));
+    const sublunar = equatorialToSubpoint(ra, dec, getGMST(jd));
     const sunPos = getSunPosition(date);
     let elongation = lonEcl - (sunPos.lon + ((date.getUTCHours() - 12) * 15));
     elongation = ((elongation % 360) + 360) % 360;
     const phase = elongation / 360;
-    return { lat: declination, lon: moonLon, phase: phase };
+    return { lat: sublunar.lat, lon: sublunar.lon, phase: phase };
+}
+
+/**
+ * Calculate the Moon's topocentric position for an observer on Earth's surface
+ * Uses Swiss Ephemeris topocentric mode, which applies lunar parallax (up to ~1°)
+ * @param {Date} date - Current date/time
+ * @param {number} lat - Observer latitude in degrees
+ * @param {number} lon - Observer longitude in degrees
+ * @param {number} elevation - Observer height above sea level in meters
+ * @returns {{lat: number, lon: number, distanceKm: number}} Topocentric declination and
+ *   RA - GMST (same form as the sublunar point, so the usual hour angle formulas apply)
+ */
+function getTopocentricMoonPosition(date, lat, lon, elevation = observerElevation) {
+    if (sweInitialized && swe) {
+        const jd = dateToJulianDay(date);
+        swe.set_topo(lon, lat, elevation);
+        const flags = swe.SEFLG_SWIEPH | 2048 | 32768;  // SEFLG_EQUATORIAL | SEFLG_TOPOCTR
+        const result = swe.calc_ut(jd, swe.SE_MOON, flags);
+
+        // result[0] = topocentric RA, result[1] = topocentric Dec, result[2] = distance in AU
+        const subpoint = equatorialToSubpoint(result[0], result[1], getGMST(jd));
+        return { lat: subpoint.lat, lon: subpoint.lon, distanceKm: result[2] * AU_KM };
+    }
+
+    // Fallback: apply parallax to the geocentric position (Meeus ch. 40, spherical Earth)
+    const moonPos = getMoonPosition(date);
+    const distanceKm = getMoonDistance(date);
+    const sinParallax = (EARTH_RADIUS_KM + elevation / 1000) / distanceKm;
+    const latRad = lat * Math.PI / 180;
+    const decRad = moonPos.lat * Math.PI / 180;
+    const ha = (lon - moonPos.lon) * Math.PI / 180;
+    const denom = Math.cos(decRad) - Math.cos(latRad) * sinParallax * Math.cos(ha);
+    const dRa = Math.atan2(-Math.cos(latRad) * sinParallax * Math.sin(ha), denom);
+    const topoDec = Math.atan2((Math.sin(decRad) - Math.sin(latRad) * sinParallax) * Math.cos(dRa), denom);
+    return {
+        lat: topoDec * 180 / Math.PI,
+        lon: moonPos.lon + dRa * 180 / Math.PI,
+        distanceKm: distanceKm
+    };
 }
 
 /**
  * Convert lat/lon to 3D direction vector (unit sphere)
  */
 function latLonToDirection(lat, lon) {
-    const latRad = lat * Math.PI / 180;
-    const lonRad = lon * Math.PI / 180;
-    return new THREE.Vector3(
-        Math.cos(latRad) * Math.cos(lonRad),
-        Math.cos(latRad) * Math.sin(lonRad),
-        Math.sin(latRad)
-    );
+    return new THREE.Vector3().fromArray(sphericalToVector(lon, lat));
 }
 
 /**
  * Convert Right Ascension (hours) and Declination (degrees) to 3D position
  */
 function raDecToPosition(raHours, decDeg, distance) {
-    const ra = raHours * 15 * Math.PI / 180;  // Convert hours to degrees to radians
-    const dec = decDeg * Math.PI / 180;
-    return new THREE.Vector3(
-        distance * Math.cos(dec) * Math.cos(ra),
-        distance * Math.cos(dec) * Math.sin(ra),
-        distance * Math.sin(dec)
-    );
+    return new THREE.Vector3().fromArray(sphericalToVector(raHours * 15, decDeg, distance));
 }
 
 
 // Default fallback location: 45°N, 0°E (near Bordeaux, France)
 let userLat = 45;
 let userLon = 0;
+let observerElevation = 0;  // Observer height above sea level (meters) for topocentric corrections
+const OBSERVER_ELEVATION_MIN = -500;   // Dead Sea shore is -430 m
+const OBSERVER_ELEVATION_MAX = 9000;
+
+/**
+ * Set the observer's height above sea level and drop results computed for the old one
+ * @param {number} meters - Clamped to OBSERVER_ELEVATION_MIN..MAX
+ */
+function setObserverElevation(meters) {
+    const elevation = Math.max(OBSERVER_ELEVATION_MIN, Math.min(OBSERVER_ELEVATION_MAX, meters));
+    const input = document.getElementById('observer-elevation');
+    if (input && parseFloat(input.value) !== elevation) input.value = elevation;
+    if (elevation === observerElevation) return;
+    observerElevation = elevation;
+
+    twilightCache = { key: null, levels: null };
+    planetTransitCache = { key: null, planets: null };
+    eclipseLocalCache = { key: null, circumstances: null };
+    occultationLocalCache = { key: null };
+    skyInfoRiseSetCache = { key: null, times: null };
+    lastMoonUpdateTime = 0;
+
+    updateEventMarkers();
+    updatePositionDisplay();
+}
 
 // === ZOOM CONFIGURATION (tweak these to adjust transition behavior) ===
 const KM_TO_SCENE = EARTH_RADIUS / EARTH_RADIUS_KM;
@@ -5416,20 +7869,383 @@ let animationStartYaw = 0, animationStartPitch = 0;
 let animationProgress = 0;
 const CELESTIAL_ANIMATION_SPEED = 4;  // Speed of animation (per second)
 
-// Snap-back state
-let isSnappingBack = false;
-let snapFromLat = 0, snapFromLon = 0;
-let snapProgress = 0;
-const SNAP_SPEED = 5; // Snap-back speed (per second)
+// Snap-back state
+let isSnappingBack = false;
+let snapFromLat = 0, snapFromLon = 0;
+let snapProgress = 0;
+const SNAP_SPEED = 5; // Snap-back speed (per second)
+
+// Zoom-to-pointer state (tracks active zooming in)
+let isZoomingIn = false;
+let zoomingInTimeout = null;
+let zoomAlignRampUp = 0;  // Ramps from 0 to 1 for smooth start
+
+const SPOT_POS_RAISE = 8;
+
+// City data now unified with CITIES array at top of file
+
+// ==================== SAVED SETTINGS ====================
+// Appearance inputs, layer toggles and the last session, persisted through settings-store.js
+
+// Appearance inputs saved by id (inputs missing from the page are skipped)
+const SETTINGS_INPUT_IDS = [
+    'sun-light-color', 'sun-beam-color', 'moon-beam-color', 'map-lines-color',
+    'land-color', 'land-opacity', 'ocean-color', 'ocean-opacity',
+    'refraction-pressure', 'refraction-temperature', 'observer-elevation', 'delta-t-model', 'calendar-mode', 'calendar-reform',
+    'year-numbering'
+];
+const SETTINGS_SAVE_DELAY_MS = 500;
+
+let storedSettings = null;       // Loaded at startup, before the scene exists
+let defaultSettings = null;      // Settings as shipped in the page, captured before restoring
+let resumeSessionEnabled = false;
+let settingsSaveTimer = null;
+let isApplyingSettings = false;  // Inputs fired by applySettings are not user changes
+let settingsCleared = false;     // Reset - nothing is saved again until the user changes a setting
+
+/**
+ * Snapshot the current appearance, layer and session state
+ * @returns {object} Settings in the current store schema
+ */
+function collectSettings() {
+    const appearance = {};
+    SETTINGS_INPUT_IDS.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) appearance[id] = input.value;
+    });
+
+    const layers = {};
+    Object.entries(pillToggleActions).forEach(([key, action]) => { layers[key] = action.get(); });
+
+    const city = findClosestCity(focusPointLat, focusPointLon);
+    return {
+        appearance,
+        layers,
+        resumeSession: resumeSessionEnabled,
+        session: {
+            city: city ? city.name : null,
+            lat: city ? city.lat : focusPointLat,
+            lon: city ? city.lon : focusPointLon,
+            hash: encodeUrlState()
+        }
+    };
+}
+
+/**
+ * Apply appearance and layer settings (missing fields keep their current value)
+ * Inputs are updated through their own handlers so the scene follows
+ * @param {object} settings - From collectSettings or loadSettings
+ */
+function applySettings(settings) {
+    isApplyingSettings = true;
+    try {
+        Object.entries(settings.appearance || {}).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (!input || !SETTINGS_INPUT_IDS.includes(id) || typeof value !== 'string') return;
+            input.value = value;
+            input.dispatchEvent(new Event('input'));
+            input.dispatchEvent(new Event('change'));
+        });
+
+        Object.entries(settings.layers || {}).forEach(([key, value]) => {
+            if (typeof value === 'boolean') setPillToggle(key, value);
+        });
+    } finally {
+        isApplyingSettings = false;
+    }
+
+    if (typeof settings.resumeSession === 'boolean') {
+        resumeSessionEnabled = settings.resumeSession;
+        document.getElementById('resume-session-toggle')?.classList.toggle('active', resumeSessionEnabled);
+    }
+}
+
+/**
+ * Save settings once changes settle
+ */
+function scheduleSettingsSave() {
+    if (isApplyingSettings) return;
+    settingsCleared = false;
+    clearTimeout(settingsSaveTimer);
+    settingsSaveTimer = setTimeout(() => saveSettings(collectSettings()), SETTINGS_SAVE_DELAY_MS);
+}
+
+/**
+ * Restore saved settings and save again whenever the user changes them
+ * Must run after setupLeftControls (pill toggle actions and input handlers)
+ */
+function setupSettingsPersistence() {
+    defaultSettings = collectSettings();
+    if (storedSettings) applySettings(storedSettings);
+
+    ['earth-settings-panel', 'earth-layers-panel', 'sky-layers-panel'].forEach(id => {
+        const panel = document.getElementById(id);
+        if (!panel) return;
+        panel.addEventListener('input', scheduleSettingsSave);
+        panel.addEventListener('change', scheduleSettingsSave);
+        // Pill handlers run on the pill itself, so the new state is in place by the time this bubbles up
+        panel.addEventListener('click', (e) => {
+            if (e.target.closest('.pill-toggle')) scheduleSettingsSave();
+        });
+    });
+
+    document.getElementById('resume-session-toggle')?.addEventListener('click', (e) => {
+        resumeSessionEnabled = !resumeSessionEnabled;
+        e.currentTarget.classList.toggle('active', resumeSessionEnabled);
+    });
+
+    document.getElementById('reset-settings-btn')?.addEventListener('click', () => {
+        clearTimeout(settingsSaveTimer);
+        applySettings({ ...defaultSettings, session: null });
+        clearSettings();
+        settingsCleared = true;
+    });
+
+    // Last session (city, time and view) is written on the way out, unless settings were just reset
+    window.addEventListener('pagehide', () => {
+        if (!settingsCleared) saveSettings(collectSettings());
+    });
+}
+
+// ==================== URL STATE ====================
+// The location hash mirrors what is on screen so a view can be shared or bookmarked, e.g.
+// #lat=48.8566&lon=2.3522&t=2026-08-12T17:45Z&view=horizon&yaw=270&pitch=5&fov=60&target=free&speed=30&off=star-labels
+
+const URL_STATE_DEBOUNCE_MS = 750;   // Quiet time before an interaction is written to the hash
+const URL_STATE_PLAYBACK_MS = 1000;  // Interval between hash updates while a simulation plays
+const URL_TARGET_MODES = ['sun', 'moon', 'free'];  // zoomTargetMode index -> hash value
+
+let urlStatePending = null;      // Hash waiting for the debounce to expire
+let urlStatePendingSince = 0;    // performance.now() when urlStatePending last changed
+let urlStateWritten = '';        // Hash last pushed/replaced (or restored) - avoids echo writes
+let urlStateReplacedAt = 0;      // performance.now() of the last playback update
+
+/**
+ * Encode the current location, time, view and layers as a location hash
+ * @returns {string} Hash including the leading '#'
+ */
+function encodeUrlState() {
+    const params = new URLSearchParams();
+    params.set('lat', focusPointLat.toFixed(4));
+    params.set('lon', focusPointLon.toFixed(4));
+    if (observerElevation !== 0) params.set('elev', String(Math.round(observerElevation)));
+
+    if (isLiveMode) {
+        params.set('t', 'live');
+    } else {
+        // Minute precision - 2026-08-12T17:45Z
+        // Trim seconds - years outside 0-9999 make the ISO string longer, so cut from the end
+        params.set('t', getAbsoluteSimulatedTime().toISOString().replace(/:\d\d\.\d{3}Z$/, 'Z'));
+    }
+
+    if (isHorizonMode) {
+        const yawDeg = ((horizonYaw * 180 / Math.PI) % 360 + 360) % 360;
+        params.set('view', 'horizon');
+        params.set('yaw', yawDeg.toFixed(1));
+        params.set('pitch', (horizonPitch * 180 / Math.PI).toFixed(1));
+        params.set('fov', camera.fov.toFixed(1));
+    } else {
+        params.set('view', 'orbital');
+        params.set('alt', Math.round((cameraRadius - EARTH_RADIUS) / KM_TO_SCENE).toString());
+    }
+    params.set('target', URL_TARGET_MODES[zoomTargetMode]);
+
+    // Signed speed in sim-minutes per real second; play marks a running simulation
+    params.set('speed', String(+(SIMULATION_SPEEDS[simulationSpeedIndex] * simulationDirection).toPrecision(6)));
+    if (isSimulating && !isPaused) params.set('play', '1');
+
+    // Layers default to on - only list the ones switched off
+    const off = Object.keys(pillToggleActions).filter(key => !pillToggleActions[key].get());
+    if (off.length) params.set('off', off.join(','));
+
+    // Keep separators readable
+    return '#' + params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+/**
+ * Parse a location hash written by encodeUrlState
+ * Unknown or malformed fields are dropped, so a hand-edited link restores what it can
+ * @param {string} hash - location.hash
+ * @returns {object|null} Decoded fields, or null when the hash holds no state
+ */
+function decodeUrlState(hash) {
+    if (!hash || hash.length < 2) return null;
+    const params = new URLSearchParams(hash.slice(1));
+    const num = (key, min, max) => {
+        if (!params.has(key)) return undefined;
+        const value = parseFloat(params.get(key));
+        return Number.isFinite(value) && value >= min && value <= max ? value : undefined;
+    };
+    const state = {};
+
+    const lat = num('lat', -90, 90);
+    const lon = num('lon', -180, 180);
+    if (lat !== undefined && lon !== undefined) {
+        state.lat = lat;
+        state.lon = lon;
+    }
+    state.elev = num('elev', OBSERVER_ELEVATION_MIN, OBSERVER_ELEVATION_MAX);
+
+    const t = params.get('t');
+    if (t === 'live') {
+        state.live = true;
+    } else if (t) {
+        const time = new Date(t);
+        if (!isNaN(time.getTime())) state.time = time;
+    }
+
+    const view = params.get('view');
+    if (view === 'horizon' || view === 'orbital') state.horizon = view === 'horizon';
+    state.yaw = num('yaw', -360, 360);
+    state.pitch = num('pitch', -90, 90);
+    state.fov = num('fov', MIN_FOV, DEFAULT_FOV);
+    state.alt = num('alt', 0, Infinity);
+
+    const target = URL_TARGET_MODES.indexOf(params.get('target'));
+    if (target >= 0) state.target = target;
+
+    state.speed = num('speed', -Infinity, Infinity);
+    state.play = params.get('play') === '1';
+
+    if (params.has('off')) {
+        // Older links switched every telescopic body off with one key
+        state.off = params.get('off').split(',').filter(Boolean).flatMap(key => key === 'telescopic-planets'
+            ? PLANETS.filter(planet => planet.telescopic).map(getPlanetToggleKey)
+            : [key]);
+    }
+
+    return Object.values(state).some(value => value !== undefined && value !== false) ? state : null;
+}
+
+/**
+ * Apply decoded URL state on top of the current view (fields that are missing are left alone)
+ * Called once from init after the scene and controls exist, and again on back/forward navigation
+ * @param {object} state - From decodeUrlState
+ */
+function applyUrlState(state) {
+    if (state.lat !== undefined) {
+        focusPointLat = state.lat;
+        focusPointLon = state.lon;
+        cameraRefLat = state.lat;
+        cameraRefLon = state.lon;
+        dragOffsetLat = 0;
+        dragOffsetLon = 0;
+        focusVelocityLat = 0;
+        focusVelocityLon = 0;
+    }
+    if (state.elev !== undefined) setObserverElevation(state.elev);
+
+    // Time: live, or a fixed instant expressed in the pointer's zone like an eclipse jump
+    if (state.live) {
+        if (!isLiveMode) document.getElementById('live-btn')?.click();
+    } else if (state.time) {
+        const zone = getPointerZone();
+        const local = getZonedDateAndMinutes(state.time, zone);
+        stopSimulation();
+        selectedDate = local.date;
+        isLiveMode = false;
+        timeOffsetMinutes = local.minutes;
+        lastPointerZone = zone;
+        document.getElementById('time-slider').value = timeOffsetMinutes;
+        calendarViewDate = new Date(selectedDate);
+        if (state.play) startSimulation();
+    }
+
+    // Simulation speed snaps to the nearest step (after live, which resets it)
+    if (state.speed !== undefined && state.speed !== 0) {
+        const magnitude = Math.abs(state.speed);
+        let best = 0;
+        SIMULATION_SPEEDS.forEach((speed, i) => {
+            if (Math.abs(speed - magnitude) < Math.abs(SIMULATION_SPEEDS[best] - magnitude)) best = i;
+        });
+        simulationSpeedIndex = best;
+        simulationDirection = state.speed < 0 ? -1 : 1;
+        document.getElementById('direction-toggle-btn')?.classList.toggle('reverse', simulationDirection === -1);
+        updateSimulationSpeedDisplay();
+    }
+
+    // View
+    if (state.horizon === true && !isHorizonMode) instantEnterHorizon();
+    if (state.horizon === false && isHorizonMode) instantExitHorizon();
+    if (state.target !== undefined) {
+        zoomTargetMode = state.target;
+        updateCompassTargetState();
+    }
+    if (isHorizonMode) {
+        isAnimatingToTarget = false;
+        if (state.yaw !== undefined) horizonYaw = state.yaw * Math.PI / 180;
+        if (state.pitch !== undefined) horizonPitch = state.pitch * Math.PI / 180;
+        if (state.fov !== undefined) {
+            camera.fov = state.fov;
+            camera.updateProjectionMatrix();
+        }
+    } else if (state.alt !== undefined) {
+        cameraRadius = Math.max(TRANSITION_RADIUS, Math.min(ORBITAL_MAX_RADIUS, EARTH_RADIUS + state.alt * KM_TO_SCENE));
+    }
+    updateZoomSlider();
+
+    // Layers - everything not listed as off is on
+    if (state.off) {
+        Object.keys(pillToggleActions).forEach(key => setPillToggle(key, !state.off.includes(key)));
+    }
+
+    updateTimeDisplay();
+    updateCelestialPositions();
+    updatePositionDisplay();
+    updateEventMarkers();
+    updateDayNavButtons();
+}
+
+/**
+ * Write the hash once the view has been stable for URL_STATE_DEBOUNCE_MS
+ * Interactions push a history entry; a running simulation only replaces the current one
+ */
+function updateUrlState() {
+    if (isViewTransitioning || isDragging || isTouching || isSliderDragging) return;
 
-// Zoom-to-pointer state (tracks active zooming in)
-let isZoomingIn = false;
-let zoomingInTimeout = null;
-let zoomAlignRampUp = 0;  // Ramps from 0 to 1 for smooth start
+    const hash = encodeUrlState();
+    const now = performance.now();
+    const isPlaying = isSimulating && !isPaused;
 
-const SPOT_POS_RAISE = 8;
+    // While playing, the time changes on every poll - only the rest of the state has to settle
+    const settled = isPlaying ? hash.replace(/([#&])t=[^&]*&?/, '$1') : hash;
+    if (settled !== urlStatePending) {
+        urlStatePending = settled;
+        urlStatePendingSince = now;
+        return;
+    }
+    if (hash === urlStateWritten || now - urlStatePendingSince < URL_STATE_DEBOUNCE_MS) return;
 
-// City data now unified with CITIES array at top of file
+    if (isPlaying) {
+        if (now - urlStateReplacedAt < URL_STATE_PLAYBACK_MS) return;
+        history.replaceState(null, '', hash);
+        urlStateReplacedAt = now;
+    } else {
+        history.pushState(null, '', hash);
+    }
+    urlStateWritten = hash;
+}
+
+/**
+ * Start mirroring state into the hash and restore it on back/forward navigation
+ */
+function setupUrlStateSync() {
+    urlStateWritten = location.hash;
+    if (!urlStateWritten) {
+        // First visit without a hash - record the starting view without adding a history entry
+        urlStateWritten = encodeUrlState();
+        history.replaceState(null, '', urlStateWritten);
+    }
+
+    window.addEventListener('popstate', () => {
+        const state = decodeUrlState(location.hash);
+        urlStateWritten = location.hash;
+        urlStatePending = location.hash;
+        if (state) applyUrlState(state);
+    });
+
+    setInterval(updateUrlState, 250);
+}
 
 /**
  * Timezone to approximate coordinates mapping
@@ -5498,10 +8314,26 @@ async function init() {
     // Initialize Swiss Ephemeris for accurate astronomical calculations
     await initSwissEph();
 
+    // Restore a shared link if present - its location replaces the timezone guess.
+    // Without one, resume the last session if asked to, else start at the last focused city
+    storedSettings = loadSettings();
+    const lastSession = storedSettings && storedSettings.session;
+    let urlState = decodeUrlState(location.hash);
+    if (!urlState && lastSession && storedSettings.resumeSession) {
+        urlState = decodeUrlState(lastSession.hash);
+    }
+
     // Get user location
-    const location = await getUserLocation();
-    userLat = location.lat;
-    userLon = location.lon;
+    let userLocation;
+    if (urlState && urlState.lat !== undefined) {
+        userLocation = { lat: urlState.lat, lon: urlState.lon };
+    } else if (lastSession && Number.isFinite(lastSession.lat) && Number.isFinite(lastSession.lon)) {
+        userLocation = { lat: lastSession.lat, lon: lastSession.lon };
+    } else {
+        userLocation = await getUserLocation();
+    }
+    userLat = userLocation.lat;
+    userLon = userLocation.lon;
     console.log(`User location: ${userLat.toFixed(2)}°, ${userLon.toFixed(2)}°`);
 
     // Set camera reference to user location
@@ -5544,6 +8376,9 @@ async function init() {
     // Create eclipse shadow cones (umbra, penumbra, antumbra)
     createEclipseCones();
 
+    // Create Earth's shadow cones (lunar eclipse)
+    createEarthShadowCones();
+
     // Create ghost celestial sprites, arcs, and horizon glow
     createGhostCelestials();
 
@@ -5593,6 +8428,12 @@ async function init() {
     setupZoomSlider();
     updateZoomSliderMode();
 
+    // Restore saved appearance and layers, then the rest of a shared link (time, view, layers)
+    // now the controls exist, then keep the hash in sync
+    setupSettingsPersistence();
+    if (urlState) applyUrlState(urlState);
+    setupUrlStateSync();
+
     // Handle window resize
     window.addEventListener('resize', onWindowResize, false);
 
@@ -5768,18 +8609,6 @@ function createEarth() {
 
     texturesReadyPromise = Promise.all([earthTexturePromise, elevTexturePromise]);
 
-    // Create shadow-casting sphere for Earth (for solar/lunar eclipses)
-    // Uses a fully transparent material but still casts shadows
-    const shadowGeometry = new THREE.SphereGeometry(EARTH_RADIUS, 64, 64);
-    const shadowMaterial = new THREE.MeshBasicMaterial({
-        transparent: true,
-        opacity: 0,
-        depthWrite: false
-    });
-    const earthShadowCaster = new THREE.Mesh(shadowGeometry, shadowMaterial);
-    earthShadowCaster.castShadow = true;    // Casts shadow onto Moon (lunar eclipse)
-    scene.add(earthShadowCaster);
-
     // Plot major cities
     plotCities();
 
@@ -5789,6 +8618,9 @@ function createEarth() {
     // Create sun and moon
     createCelestialBodies();
 
+    // Planet, star and constellation cards on hover and click
+    setupSkyObjectInteraction();
+
     // Create reference cube at center (for debugging)
     createReferenceCube();
 
@@ -6553,15 +9385,44 @@ function createStarLabel(name, position) {
         blending: THREE.AdditiveBlending
     });
     const sprite = new THREE.Sprite(material);
-    // Offset label from star position — push outward and sideways
-    const outward = position.clone().normalize().multiplyScalar(STAR_DISTANCE * 0.015);
-    const sideways = new THREE.Vector3(-position.y, position.x, 0).normalize().multiplyScalar(STAR_DISTANCE * 0.025);
-    sprite.position.copy(position).add(outward).add(sideways);
+    placeStarLabel(sprite, position);
     sprite.scale.set(STAR_DISTANCE * 0.12, STAR_DISTANCE * 0.03, 1);
     sprite.visible = false; // Hidden until horizon mode
     return sprite;
 }
 
+/**
+ * Offset a star label from its star - pushed outward and sideways
+ */
+function placeStarLabel(sprite, position) {
+    const outward = position.clone().normalize().multiplyScalar(STAR_DISTANCE * 0.015);
+    const sideways = new THREE.Vector3(-position.y, position.x, 0).normalize().multiplyScalar(STAR_DISTANCE * 0.025);
+    sprite.position.copy(position).add(outward).add(sideways);
+}
+
+/**
+ * Constellation line vertices from the current star positions
+ * @returns {number[]} Flat [x, y, z] pairs for LineSegments
+ */
+function getConstellationLinePositions() {
+    const positions = [];
+    Object.values(CONSTELLATION_DATA).forEach(({ lines }) => {
+        for (const [hip1, hip2] of lines) {
+            const p1 = starPositionMap.get(hip1);
+            const p2 = starPositionMap.get(hip2);
+            if (p1 && p2) {
+                // Slightly smaller radius so lines appear behind stars
+                const scale = 0.998;
+                positions.push(
+                    p1.x * scale, p1.y * scale, p1.z * scale,
+                    p2.x * scale, p2.y * scale, p2.z * scale
+                );
+            }
+        }
+    });
+    return positions;
+}
+
 /**
  * Create celestial bodies (stars, constellations) from real catalog data
  * All celestial objects are added to celestialSphereGroup which rotates by GMST
@@ -6571,7 +9432,7 @@ function createCelestialBodies() {
     scene.add(celestialSphereGroup);
 
     // ===== BUILD STAR POSITION MAP =====
-    const starPositionMap = new Map(); // hipId -> Vector3
+    starPositionMap = new Map();
     const starPositions = [];
     const starColors = [];
     const starSizes = [];
@@ -6599,14 +9460,16 @@ function createCelestialBodies() {
     catalogGeometry.setAttribute('size', new THREE.Float32BufferAttribute(starSizes, 1));
 
     const catalogMaterial = new THREE.ShaderMaterial({
-        uniforms: {},
-        vertexShader: `
+        uniforms: { ...refractionUniforms },
+        vertexShader: REFRACTION_GLSL + `
             attribute float size;
             attribute vec3 color;
             varying vec3 vColor;
             void main() {
                 vColor = color;
-                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                // Lift stars near the horizon to their apparent altitude (horizon view only)
+                vec3 worldPos = refractWorldPosition((modelMatrix * vec4(position, 1.0)).xyz);
+                vec4 mvPosition = viewMatrix * vec4(worldPos, 1.0);
                 // Fixed pixel size — stars are at infinity, no distance scaling
                 // Scale by projection Y to grow when FOV narrows (sky zoom)
                 gl_PointSize = size * projectionMatrix[1][1] * 0.6;
@@ -6627,8 +9490,8 @@ function createCelestialBodies() {
         blending: THREE.AdditiveBlending
     });
 
-    const catalogStars = new THREE.Points(catalogGeometry, catalogMaterial);
-    celestialSphereGroup.add(catalogStars);
+    catalogStarsMesh = new THREE.Points(catalogGeometry, catalogMaterial);
+    celestialSphereGroup.add(catalogStarsMesh);
 
     // ===== POLARIS GLOW =====
     const polarisPos = starPositionMap.get(11767); // HIP 11767 = Polaris
@@ -6649,36 +9512,29 @@ function createCelestialBodies() {
             transparent: true,
             blending: THREE.AdditiveBlending
         });
-        const polarisGlow = new THREE.Sprite(polarisGlowMaterial);
+        polarisGlow = new THREE.Sprite(polarisGlowMaterial);
         polarisGlow.scale.set(800, 800, 1);
         polarisGlow.position.copy(polarisPos);
         celestialSphereGroup.add(polarisGlow);
     }
 
     // ===== CONSTELLATION LINES (single draw call) =====
-    const conLinePositions = [];
-    Object.values(CONSTELLATION_DATA).forEach(({ lines }) => {
-        for (const [hip1, hip2] of lines) {
-            const p1 = starPositionMap.get(hip1);
-            const p2 = starPositionMap.get(hip2);
-            if (p1 && p2) {
-                // Slightly smaller radius so lines appear behind stars
-                const scale = 0.998;
-                conLinePositions.push(
-                    p1.x * scale, p1.y * scale, p1.z * scale,
-                    p2.x * scale, p2.y * scale, p2.z * scale
-                );
-            }
-        }
-    });
-
     const conLineGeometry = new THREE.BufferGeometry();
-    conLineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(conLinePositions, 3));
+    conLineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(getConstellationLinePositions(), 3));
     const conLineMaterial = new THREE.LineBasicMaterial({
         color: 0x334466,
         transparent: true,
         opacity: 0.4
     });
+    // Refract line vertices the same way as the stars they connect
+    conLineMaterial.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, refractionUniforms);
+        shader.vertexShader = REFRACTION_GLSL + shader.vertexShader.replace(
+            '#include <project_vertex>',
+            `vec4 mvPosition = viewMatrix * vec4(refractWorldPosition((modelMatrix * vec4(transformed, 1.0)).xyz), 1.0);
+            gl_Position = projectionMatrix * mvPosition;`
+        );
+    };
     constellationLinesMesh = new THREE.LineSegments(conLineGeometry, conLineMaterial);
     celestialSphereGroup.add(constellationLinesMesh);
 
@@ -6689,6 +9545,7 @@ function createCelestialBodies() {
         const pos = starPositionMap.get(hip);
         if (pos) {
             const label = createStarLabel(name, pos);
+            label.userData.hip = hip;
             celestialSphereGroup.add(label);
             starLabelSprites.push(label);
         }
@@ -6732,7 +9589,13 @@ function createCelestialBodies() {
         const label = createPlanetLabel(planet.name, pos, planet.color);
         celestialSphereGroup.add(label);
 
-        planetSprites.push({ dot, label, planetId: planet.id });
+        const phenomena = raDec ? getPlanetPhenomena(simTime, planet.id) : null;
+        if (phenomena) dotMaterial.opacity = getPlanetSpriteOpacity(phenomena.magnitude);
+        planetSprites.push({
+            dot, label, planetId: planet.id, name: planet.name, skyPosition: pos,
+            magnitude: phenomena ? phenomena.magnitude : null,
+            phenomena
+        });
     }
 
     // Initial position update
@@ -6773,6 +9636,7 @@ function createReferenceCube() {
 // Direction vectors for sun and moon (calculated from orbital functions for compass UI)
 let currentSunDir = new THREE.Vector3(1, 0, 0);
 let currentMoonDir = new THREE.Vector3(-1, 0, 0);
+let currentMoonTopoDir = new THREE.Vector3(-1, 0, 0);  // Moon as seen from the focus point (with parallax)
 
 /**
  * Update sun/moon directions for compass UI
@@ -6782,8 +9646,31 @@ function updateCelestialPositions() {
     const simTime = getAbsoluteSimulatedTime();
     const sunPos = getSunPosition(simTime);
     const moonPos = getMoonPosition(simTime);
+    const moonTopo = getTopocentricMoonPosition(simTime, focusPointLat, focusPointLon);
     currentSunDir = latLonToDirection(sunPos.lat, sunPos.lon);
     currentMoonDir = latLonToDirection(moonPos.lat, moonPos.lon);
+    currentMoonTopoDir = latLonToDirection(moonTopo.lat, moonTopo.lon);
+}
+
+// Horizon-view sky tint while a photo window is active (black sky otherwise)
+const SKY_TINT_COLORS = {
+    golden: new THREE.Color(0x3a2008),
+    blue: new THREE.Color(0x0a1a48)
+};
+const SKY_COLOR_NIGHT = new THREE.Color(0x000000);
+const skyTintTarget = new THREE.Color();
+
+/**
+ * Tint the sky for golden/blue hour at the focus point, faded in with the horizon blend
+ */
+function updateHorizonSkyTint() {
+    if (!(scene.background instanceof THREE.Color)) return;
+    const focusDir = latLonToDirection(focusPointLat, focusPointLon);
+    const sunAlt = Math.asin(Math.max(-1, Math.min(1, currentSunDir.dot(focusDir)))) * 180 / Math.PI;
+    const tint = SKY_TINT_COLORS[getPhotoWindowKind(sunAlt)] || SKY_COLOR_NIGHT;
+    skyTintTarget.copy(SKY_COLOR_NIGHT).lerp(tint, horizonBlendValue);
+    // Ease toward the target so window changes fade rather than snap
+    scene.background.lerp(skyTintTarget, 0.05);
 }
 
 let lastPlanetUpdateTime = 0;
@@ -6799,8 +9686,88 @@ function updatePlanetPositions() {
     const simTime = getAbsoluteSimulatedTime();
     for (const entry of planetSprites) {
         const raDec = getPlanetRADec(simTime, entry.planetId);
+        entry.phenomena = raDec ? getPlanetPhenomena(simTime, entry.planetId) : null;
+        entry.magnitude = entry.phenomena ? entry.phenomena.magnitude : null;
         if (!raDec) continue;
-        const pos = raDecToPosition(raDec.ra / 15, raDec.dec, STAR_DISTANCE);
+        entry.skyPosition = raDecToPosition(raDec.ra / 15, raDec.dec, STAR_DISTANCE);
+        if (entry.magnitude !== null) entry.dot.material.opacity = getPlanetSpriteOpacity(entry.magnitude);
+    }
+    updateSkyInfoPopup();
+}
+
+// Precession alone moves stars ~4" a month, so the field is re-placed only after a month of simulated time
+const STAR_EPOCH_STEP_DAYS = 30;
+
+/**
+ * Move the catalog stars, constellation lines and star labels to their places of date
+ * (proper motion, precession and nutation), so they line up with the apparent planet places
+ */
+function updateStarEpoch() {
+    if (!sweInitialized || !catalogStarsMesh) return;
+    const jd = dateToJulianDay(getAbsoluteSimulatedTime());
+    if (starEpochJd !== null && Math.abs(jd - starEpochJd) < STAR_EPOCH_STEP_DAYS) return;
+    starEpochJd = jd;
+
+    const vectors = getStarVectorsOfDate(swe, STAR_CATALOG, jd);
+    const positionAttribute = catalogStarsMesh.geometry.attributes.position;
+    STAR_CATALOG.forEach(([hip], i) => {
+        const pos = starPositionMap.get(hip).fromArray(vectors[i]).multiplyScalar(STAR_DISTANCE);
+        positionAttribute.setXYZ(i, pos.x, pos.y, pos.z);
+    });
+    positionAttribute.needsUpdate = true;
+    catalogStarsMesh.geometry.computeBoundingSphere();
+
+    const linePositions = constellationLinesMesh.geometry.attributes.position;
+    linePositions.array.set(getConstellationLinePositions());
+    linePositions.needsUpdate = true;
+    constellationLinesMesh.geometry.computeBoundingSphere();
+
+    starLabelSprites.forEach(label => placeStarLabel(label, starPositionMap.get(label.userData.hip)));
+    if (polarisGlow) polarisGlow.position.copy(starPositionMap.get(11767));
+    updateSkyInfoPopup();
+}
+
+/**
+ * Sprite opacity for a magnitude - Venus and Jupiter full, fading by ~20% a magnitude to a floor
+ * that keeps faint bodies visible once the zoom reveals them
+ */
+function getPlanetSpriteOpacity(magnitude) {
+    return Math.max(PLANET_MIN_OPACITY, Math.min(1, Math.pow(10, -0.1 * (magnitude + 2))));
+}
+
+/**
+ * Faintest planet magnitude shown at the current FOV - naked-eye at the default view,
+ * telescopic at full sky zoom, interpolated in log FOV like a magnification
+ */
+function getPlanetLimitingMagnitude() {
+    const fov = camera ? Math.min(DEFAULT_FOV, Math.max(MIN_FOV, camera.fov)) : DEFAULT_FOV;
+    const t = Math.log(DEFAULT_FOV / fov) / Math.log(DEFAULT_FOV / MIN_FOV);
+    return PLANET_LIMITING_MAGNITUDE_WIDE + t * (PLANET_LIMITING_MAGNITUDE_ZOOMED - PLANET_LIMITING_MAGNITUDE_WIDE);
+}
+
+/**
+ * Whether a planet sprite is drawn: telescopic bodies need their toggle on, and every body needs
+ * a position and a magnitude within the limit
+ */
+function isPlanetSpriteShown(entry, limitingMagnitude) {
+    if (hiddenPlanetIds.has(entry.planetId)) return false;
+    return entry.magnitude !== null && entry.magnitude <= limitingMagnitude;
+}
+
+/**
+ * Place planet sprites at their apparent positions (every frame, after the GMST rotation,
+ * since refraction depends on where each planet sits relative to the horizon right now)
+ */
+function placePlanetSprites() {
+    const refract = refractionUniforms.refractionStrength.value > 0;
+    if (refract) celestialSphereGroup.updateMatrixWorld();
+    for (const entry of planetSprites) {
+        const pos = entry.skyPosition.clone();
+        if (refract) {
+            celestialSphereGroup.localToWorld(pos);
+            applyHorizonRefraction(pos);
+            celestialSphereGroup.worldToLocal(pos);
+        }
         entry.dot.position.copy(pos);
         // Update label position with same offset as createStarLabel
         const outward = pos.clone().normalize().multiplyScalar(STAR_DISTANCE * 0.015);
@@ -6809,6 +9776,362 @@ function updatePlanetPositions() {
     }
 }
 
+// ==================== SKY OBJECT INFO ====================
+// Hovering a planet shows its card; clicking a planet, star or constellation figure pins one.
+// Cards give position, magnitude, altitude/azimuth and rise/transit/set for the focus point.
+
+let hoveredSkyObject = null;   // {kind: 'planet', entry} under the cursor
+let pinnedSkyObject = null;    // {kind: 'planet', entry} | {kind: 'star', row} | {kind: 'constellation', key}
+let skyInfoRiseSetCache = { key: null, times: null };
+
+/**
+ * Screen position of a world point, or null when behind the camera or hidden by the Earth
+ * @returns {{x: number, y: number}|null} Pixels
+ */
+function projectSkyPoint(world, earthSphere) {
+    const screen = world.clone().project(camera);
+    if (screen.z > 1) return null;
+    const ray = new THREE.Ray(camera.position, world.clone().sub(camera.position).normalize());
+    const hit = ray.intersectSphere(earthSphere, new THREE.Vector3());
+    if (hit && hit.distanceTo(camera.position) < world.distanceTo(camera.position)) return null;
+    return {
+        x: (screen.x + 1) / 2 * window.innerWidth,
+        y: (1 - screen.y) / 2 * window.innerHeight
+    };
+}
+
+/**
+ * Planet sprite nearest a screen point, within PLANET_PICK_RADIUS_PX and not hidden behind the Earth
+ * @param {number} clientX - Pointer x in pixels
+ * @param {number} clientY - Pointer y in pixels
+ * @returns {object|null} planetSprites entry
+ */
+function pickPlanetSprite(clientX, clientY) {
+    if (!camera || !celestialSphereGroup) return null;
+    celestialSphereGroup.updateMatrixWorld();
+    const earthSphere = new THREE.Sphere(new THREE.Vector3(0, 0, 0), EARTH_RADIUS);
+    let nearest = null;
+    let nearestDist = PLANET_PICK_RADIUS_PX;
+    for (const entry of planetSprites) {
+        if (!entry.dot.visible || !entry.phenomena) continue;
+        const point = projectSkyPoint(entry.dot.getWorldPosition(new THREE.Vector3()), earthSphere);
+        if (!point) continue;
+        const dist = Math.hypot(point.x - clientX, point.y - clientY);
+        if (dist < nearestDist) {
+            nearest = entry;
+            nearestDist = dist;
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Planet, star or constellation figure under a screen point, in that order of preference
+ * Stars are placed as the star shader draws them: sphere position, then horizon refraction.
+ * @returns {object|null} Sky object for the info card
+ */
+function pickSkyObject(clientX, clientY) {
+    const entry = pickPlanetSprite(clientX, clientY);
+    if (entry) return { kind: 'planet', entry };
+    if (!camera || !celestialSphereGroup) return null;
+
+    const earthSphere = new THREE.Sphere(new THREE.Vector3(0, 0, 0), EARTH_RADIUS);
+    const screenPoints = new Map();  // HIP -> screen point (null when hidden)
+    const screenPointOf = (hip) => {
+        if (!screenPoints.has(hip)) {
+            const local = starPositionMap.get(hip);
+            const world = local ? applyHorizonRefraction(celestialSphereGroup.localToWorld(local.clone())) : null;
+            screenPoints.set(hip, world ? projectSkyPoint(world, earthSphere) : null);
+        }
+        return screenPoints.get(hip);
+    };
+
+    let nearestRow = null;
+    let nearestDist = STAR_PICK_RADIUS_PX;
+    for (const row of STAR_CATALOG) {
+        const point = screenPointOf(row[0]);
+        if (!point) continue;
+        const dist = Math.hypot(point.x - clientX, point.y - clientY);
+        if (dist < nearestDist) {
+            nearestRow = row;
+            nearestDist = dist;
+        }
+    }
+    if (nearestRow) return { kind: 'star', row: nearestRow };
+
+    if (!constellationLinesVisible) return null;
+    for (const [key, { lines }] of Object.entries(CONSTELLATION_DATA)) {
+        for (const [hip1, hip2] of lines) {
+            const a = screenPointOf(hip1);
+            const b = screenPointOf(hip2);
+            if (!a || !b) continue;
+            // Distance from the pointer to the segment a-b
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const t = Math.max(0, Math.min(1, ((clientX - a.x) * dx + (clientY - a.y) * dy) / (dx * dx + dy * dy || 1)));
+            if (Math.hypot(a.x + t * dx - clientX, a.y + t * dy - clientY) < CONSTELLATION_PICK_RADIUS_PX) {
+                return { kind: 'constellation', key };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Keys of the constellations whose figures use a star
+ */
+function getStarConstellations(hip) {
+    return Object.keys(CONSTELLATION_DATA).filter(key =>
+        CONSTELLATION_DATA[key].lines.some(([hip1, hip2]) => hip1 === hip || hip2 === hip));
+}
+
+/**
+ * Constellation whose figure has a star nearest a sky position (within CONSTELLATION_NEAR_DEG)
+ * @param {THREE.Vector3} position - Position in celestialSphereGroup space
+ * @returns {string|null} Constellation key
+ */
+function findNearbyConstellation(position) {
+    const direction = position.clone().normalize();
+    let nearest = null;
+    let nearestCos = Math.cos(CONSTELLATION_NEAR_DEG * Math.PI / 180);
+    for (const [key, { lines }] of Object.entries(CONSTELLATION_DATA)) {
+        for (const hip of lines.flat()) {
+            const star = starPositionMap.get(hip);
+            if (!star) continue;
+            const cos = star.clone().normalize().dot(direction);
+            if (cos > nearestCos) {
+                nearestCos = cos;
+                nearest = key;
+            }
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Right ascension as 06h 45m 09s
+ */
+function formatRightAscension(hours) {
+    const totalSeconds = Math.round(((hours % 24) + 24) % 24 * 3600) % 86400;
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor(totalSeconds / 60) % 60;
+    const sec = totalSeconds % 60;
+    return `${h.toString().padStart(2, '0')}h ${m.toString().padStart(2, '0')}m ${sec.toString().padStart(2, '0')}s`;
+}
+
+/**
+ * Declination as −16° 42′ 58″
+ */
+function formatDeclination(degrees) {
+    const totalSeconds = Math.round(Math.abs(degrees) * 3600);
+    const d = Math.floor(totalSeconds / 3600);
+    const m = Math.floor(totalSeconds / 60) % 60;
+    const sec = totalSeconds % 60;
+    return `${degrees < 0 ? '−' : '+'}${d}° ${m.toString().padStart(2, '0')}′ ${sec.toString().padStart(2, '0')}″`;
+}
+
+/**
+ * Equatorial position of a sky object now, and a sub-point function for rise/set searches
+ * @returns {{ra: number, dec: number, epoch: string, getPosition: function(Date): object}|null} RA in hours
+ */
+function getSkyObjectPosition(object) {
+    if (object.kind === 'star') {
+        // Place of date once the star field has been moved to the simulated epoch
+        const { lon, lat: dec } = vectorToSpherical(starPositionMap.get(object.row[0]));
+        return {
+            ra: lon / 15, dec, epoch: starEpochJd === null ? 'J2000' : 'of date',
+            getPosition: (date) => equatorialToSubpoint(lon, dec, getGMST(dateToJulianDay(date)))
+        };
+    }
+    const id = object.entry.planetId;
+    const raDec = getPlanetRADec(getAbsoluteSimulatedTime(), id);
+    if (!raDec) return null;
+    return { ra: raDec.ra / 15, dec: raDec.dec, epoch: 'of date', getPosition: (date) => getPlanetPosition(date, id) };
+}
+
+/**
+ * Card HTML for a star or planet: position, brightness, altitude/azimuth and the day's rise/transit/set
+ */
+function getSkyBodyCardHtml(object) {
+    const position = getSkyObjectPosition(object);
+    if (!position) return '';
+
+    const lat = focusPointLat;
+    const lon = focusPointLon;
+    const zone = getPointerZone();
+    const now = position.getPosition(getAbsoluteSimulatedTime());
+    const altitude = getApparentAltitude(getBodyAltitude(lat, lon, now));
+    const azimuth = getBodyAzimuth(lat, lon, now);
+
+    // Rise/transit/set for the pointer's local day (horizon crossing needs only refraction)
+    const name = object.kind === 'star' ? `HIP ${object.row[0]}` : object.entry.name;
+    const cacheKey = `${name}|${lat.toFixed(2)},${lon.toFixed(2)}|${zone}|${getLocalNoonAnchor(zone).getTime()}|${getRefractionFromApparent(0)}`;
+    if (skyInfoRiseSetCache.key !== cacheKey) {
+        skyInfoRiseSetCache = {
+            key: cacheKey,
+            times: calculateRiseSetTimes(lat, lon, position.getPosition, zone, -getRefractionFromApparent(0))
+        };
+    }
+    const times = skyInfoRiseSetCache.times;
+    const formatTime = (event) => {
+        if (!event) return '--:--';
+        const { hours, minutes } = getZonedDateParts(event.time, zone);
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+    };
+    const riseSet = times.state === 'normal'
+        ? `${formatTime(times.rise)} / ${formatTime(times.transit)} / ${formatTime(times.set)}`
+        : `${times.state === 'always-up' ? 'Circumpolar' : 'Never rises'} · transit ${formatTime(times.transit)}`;
+
+    const row = (label, value) => `<div class="sky-info-row"><span>${label}</span><span>${value}</span></div>`;
+    let html = `
+        ${row(`RA (${position.epoch})`, formatRightAscension(position.ra))}
+        ${row(`Dec (${position.epoch})`, formatDeclination(position.dec))}`;
+
+    if (object.kind === 'star') {
+        const [, , , magnitude, bv] = object.row;
+        html += `
+        ${row('Magnitude', `${magnitude >= 0 ? '+' : ''}${magnitude.toFixed(2)}`)}
+        ${row('B−V color', bv.toFixed(2))}`;
+    } else {
+        const p = object.entry.phenomena;
+        html += `
+        ${row('Magnitude', `${p.magnitude >= 0 ? '+' : ''}${p.magnitude.toFixed(2)}`)}
+        ${row('Illuminated', `${(p.illuminated * 100).toFixed(1)}%`)}
+        ${row('Phase angle', `${p.phaseAngle.toFixed(1)}°`)}
+        ${row('Diameter', p.diameter >= 60 ? `${(p.diameter / 60).toFixed(2)}′` : `${p.diameter.toFixed(p.diameter < 1 ? 3 : 1)}″`)}
+        ${row('Distance', `${p.distance.toFixed(p.distance < 10 ? 3 : 2)} AU`)}
+        ${row('Light time', `${(p.distance * AU_KM / 299792.458 / 60).toFixed(1)} min`)}
+        ${row('Elongation', `${p.elongation.toFixed(1)}°`)}`;
+    }
+
+    html += `
+        ${row('Alt / Az', `${altitude >= 0 ? '+' : ''}${altitude.toFixed(1)}° / ${azimuth.toFixed(0).padStart(3, '0')}°`)}
+        ${row('Rise / Transit / Set', riseSet)}`;
+    return html;
+}
+
+/**
+ * Card HTML for a constellation figure: its stars, brightest first
+ */
+function getConstellationCardHtml(key) {
+    const { lines } = CONSTELLATION_DATA[key];
+    const hips = [...new Set(lines.flat())];
+    const stars = STAR_CATALOG.filter(row => hips.includes(row[0])).sort((a, b) => a[3] - b[3]);
+    const row = (label, value) => `<div class="sky-info-row"><span>${label}</span><span>${value}</span></div>`;
+    const named = stars.filter(star => STAR_NAMES[star[0]]).map(star => STAR_NAMES[star[0]]);
+    return `
+        ${row('Abbreviation', key)}
+        ${row('Figure stars', hips.length)}
+        ${stars.length ? row('Brightest', `${STAR_NAMES[stars[0][0]] || `HIP ${stars[0][0]}`} (${stars[0][3].toFixed(2)})`) : ''}
+        ${named.length ? `<div class="sky-info-note">${named.join(', ')}</div>` : ''}
+    `;
+}
+
+/**
+ * Fill and place the sky info card for an object (hides it for null)
+ * @param {object|null} object - From pickSkyObject
+ * @param {number} [clientX] - Pointer x to place the card beside (keeps its place when omitted)
+ * @param {number} [clientY] - Pointer y
+ */
+function showSkyInfoPopup(object, clientX, clientY) {
+    const popup = document.getElementById('sky-info-popup');
+    if (!popup) return;
+    if (!object || (object.kind === 'planet' && !object.entry.phenomena)) {
+        popup.classList.add('hidden');
+        return;
+    }
+
+    let title;
+    let subtitle;
+    let body;
+    if (object.kind === 'constellation') {
+        title = CONSTELLATION_DATA[object.key].name;
+        subtitle = 'Constellation';
+        body = getConstellationCardHtml(object.key);
+    } else {
+        const constellations = object.kind === 'star'
+            ? getStarConstellations(object.row[0]).map(key => CONSTELLATION_DATA[key].name).join(', ')
+            : (() => {
+                const key = findNearbyConstellation(object.entry.skyPosition);
+                return key ? `near ${CONSTELLATION_DATA[key].name}` : '';
+            })();
+        title = object.kind === 'star' ? (STAR_NAMES[object.row[0]] || `HIP ${object.row[0]}`) : object.entry.name;
+        subtitle = [object.kind === 'star' ? `HIP ${object.row[0]}` : 'Planet', constellations].filter(Boolean).join(' · ');
+        body = getSkyBodyCardHtml(object);
+    }
+
+    popup.innerHTML = `
+        <div class="sky-info-title">${title}${object === pinnedSkyObject ? '<span>pinned</span>' : ''}</div>
+        <div class="sky-info-subtitle">${subtitle}</div>
+        ${body}
+    `;
+    popup.classList.remove('hidden');
+    if (clientX !== undefined) {
+        popup.style.left = `${Math.min(clientX + 14, window.innerWidth - popup.offsetWidth - 4)}px`;
+        popup.style.top = `${Math.min(clientY + 14, window.innerHeight - popup.offsetHeight - 4)}px`;
+    }
+}
+
+/**
+ * Keep an open sky info card current as time runs
+ */
+function updateSkyInfoPopup() {
+    const object = pinnedSkyObject || hoveredSkyObject;
+    if (object) showSkyInfoPopup(object);
+}
+
+/**
+ * Set up the planet hover card and click-to-pin for planets, stars and constellations
+ */
+function setupSkyObjectInteraction() {
+    const canvas = renderer.domElement;
+    const popup = document.createElement('div');
+    popup.id = 'sky-info-popup';
+    popup.className = 'sky-info-popup hidden';
+    document.body.appendChild(popup);
+
+    let downX = 0, downY = 0;
+    const CLICK_THRESHOLD = 5;  // Max pixels moved to count as click
+
+    canvas.addEventListener('mousedown', (e) => {
+        downX = e.clientX;
+        downY = e.clientY;
+    });
+
+    canvas.addEventListener('mousemove', (e) => {
+        if (isDragging || (focusMarker && focusMarker.userData.isDragging)) return;
+        const entry = pickPlanetSprite(e.clientX, e.clientY);
+        if (!entry && !hoveredSkyObject) return;
+        if (!entry || !hoveredSkyObject || hoveredSkyObject.entry !== entry) {
+            hoveredSkyObject = entry ? { kind: 'planet', entry } : null;
+        }
+        if (entry) canvas.style.cursor = 'pointer';
+        else if (!hoveredCity && !(focusMarker && focusMarker.userData.isHovered)) canvas.style.cursor = '';
+        if (!pinnedSkyObject) showSkyInfoPopup(hoveredSkyObject, e.clientX, e.clientY);
+    });
+
+    canvas.addEventListener('mouseleave', () => {
+        hoveredSkyObject = null;
+        if (!pinnedSkyObject) showSkyInfoPopup(null);
+    });
+
+    // Capture phase: a click on a sky object must not also move the pointer to the Earth behind it
+    canvas.addEventListener('click', (e) => {
+        if (Math.hypot(e.clientX - downX, e.clientY - downY) > CLICK_THRESHOLD) return;
+        const object = pickSkyObject(e.clientX, e.clientY);
+        if (object) {
+            e.stopImmediatePropagation();
+            const samePinned = pinnedSkyObject && pinnedSkyObject.kind === object.kind &&
+                (pinnedSkyObject.entry || pinnedSkyObject.row || pinnedSkyObject.key) === (object.entry || object.row || object.key);
+            pinnedSkyObject = samePinned ? null : object;
+            showSkyInfoPopup(pinnedSkyObject || object, e.clientX, e.clientY);
+        } else if (pinnedSkyObject) {
+            pinnedSkyObject = null;
+            showSkyInfoPopup(null);
+        }
+    }, true);
+}
+
 // ==================== GHOST CELESTIALS SYSTEM ====================
 
 /**
@@ -7510,8 +10833,11 @@ function createLabel(text, x, y, z, color) {
     scene.add(sprite);
 }
 
+// User's own IANA zone (from the browser) for the system time row
+const USER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
 /**
- * Update the system time display with simulated time in UTC
+ * Update the system time display with simulated time in the user's own time zone
  */
 function updateSystemTime() {
     const systemTimeEl = document.getElementById('system-time-display');
@@ -7520,30 +10846,29 @@ function updateSystemTime() {
     const liveOffsetEl = document.getElementById('live-offset');
     if (!systemTimeEl) return;
 
-    // Get simulated time (use absolute for UTC display)
+    // Get simulated time (absolute instant)
     const simTime = getAbsoluteSimulatedTime();
     const now = new Date();
 
-    // Convert to UTC
-    const utcHours = simTime.getUTCHours();
-    const utcMins = simTime.getUTCMinutes();
-    const utcSecs = simTime.getUTCSeconds();
+    // Convert to the user's zone using the rules in effect on the simulated date
+    const userTime = getZonedDateParts(simTime, USER_TIME_ZONE);
 
-    systemTimeEl.textContent = `${utcHours.toString().padStart(2, '0')}:${utcMins.toString().padStart(2, '0')}:${utcSecs.toString().padStart(2, '0')}`;
+    systemTimeEl.textContent = `${userTime.hours.toString().padStart(2, '0')}:${userTime.minutes.toString().padStart(2, '0')}:${userTime.seconds.toString().padStart(2, '0')}`;
 
-    // Update UTC date (YYYY-MM-DD)
+    // Update date (YYYY-MM-DD)
     if (systemDateEl) {
-        const utcYear = simTime.getUTCFullYear();
-        const utcMonth = (simTime.getUTCMonth() + 1).toString().padStart(2, '0');
-        const utcDay = simTime.getUTCDate().toString().padStart(2, '0');
-        systemDateEl.textContent = `${utcYear}-${utcMonth}-${utcDay}`;
+        const userMonth = (userTime.month + 1).toString().padStart(2, '0');
+        const userDay = userTime.day.toString().padStart(2, '0');
+        systemDateEl.textContent = `${userTime.year}-${userMonth}-${userDay}`;
     }
 
-    // Update label to just say UTC
+    // Show offset and abbreviation in effect (e.g. "UTC+1 CET")
     if (userUtcOffsetEl) {
-        userUtcOffsetEl.textContent = 'UTC';
+        userUtcOffsetEl.textContent = formatZoneLabel(USER_TIME_ZONE, simTime);
     }
 
+    updateTimeScaleDisplay(simTime);
+
     // Show offset from live time when not in live mode
     if (liveOffsetEl) {
         if (isLiveMode) {
@@ -7581,6 +10906,82 @@ function updateSystemTime() {
     }
 }
 
+/**
+ * Delta-T for the readout: seconds while small, then minutes and hours
+ */
+function formatDeltaT(seconds) {
+    const sign = seconds < 0 ? '−' : '+';
+    const abs = Math.abs(seconds);
+    if (abs < 100) return `${sign}${abs.toFixed(1)}s`;
+    const minutes = Math.round(abs / 60);
+    if (minutes < 60) return `${sign}${minutes}m ${Math.round(abs % 60)}s`;
+    return `${sign}${Math.floor(minutes / 60)}h ${(minutes % 60).toString().padStart(2, '0')}m`;
+}
+
+/**
+ * Show Delta-T and Terrestrial Time next to the system time (TDB in the tooltip)
+ */
+function updateTimeScaleDisplay(simTime) {
+    const el = document.getElementById('time-scale-display');
+    if (!el) return;
+    if (!sweInitialized || !swe) {
+        el.textContent = '';
+        return;
+    }
+    const scales = getTimeScales(swe, dateToJulianDay(simTime), deltaTModel);
+    const tt = julianDayToDate(scales.tt);
+    const pad = (n) => n.toString().padStart(2, '0');
+    el.textContent = `ΔT ${formatDeltaT(scales.deltaT)} · TT ${pad(tt.getUTCHours())}:${pad(tt.getUTCMinutes())}:${pad(tt.getUTCSeconds())}`;
+    el.title = `Delta-T (${DELTA_T_MODELS[deltaTModel].label}) ${scales.deltaT.toFixed(1)} s\n` +
+        `UT1 taken as UTC (within 0.9 s)\n` +
+        `TT = UT1 + Delta-T, JD ${scales.tt.toFixed(6)}\n` +
+        `TDB = TT ${(scales.tdb - scales.tt) * 86400 >= 0 ? '+' : '−'} ${Math.abs((scales.tdb - scales.tt) * 86400000).toFixed(2)} ms`;
+}
+
+/**
+ * Switch the Delta-T model and drop everything computed with the old one
+ * Eclipse and planet event lists are recomputed as they are next needed; open lists are redrawn now.
+ * @param {string} model - Key of DELTA_T_MODELS
+ */
+function setDeltaTModel(model) {
+    deltaTModel = model;
+
+    eclipseCatalog.splice(0, eclipseCatalog.length, ...CELESTIAL_EVENTS.map(event => ({ ...event })));
+    loadedEclipseCenturies.clear();
+    cancelEclipseCenturyLoads();
+    eclipseSeriesCache.clear();
+    clearTimeout(eclipseVisibilityTimer);
+    eclipseVisibility = { key: null, scanned: new Set(), visible: new Set() };
+    cancelVisibleEclipseSearch();
+    planetEventCatalog.length = 0;
+    loadedPlanetEventYears.clear();
+
+    // Selections point into the discarded catalogs - keep an eclipse the bundled table still has
+    selectedPlanetEvent = null;
+    if (selectedOccultation) showOccultationLocalCard(null);
+    if (selectedEclipse) showEclipseLocalCard(findCatalogEclipse(selectedEclipse));
+
+    twilightCache = { key: null, levels: null };
+    photoWindowCache = { key: null, segments: null };
+    planetTransitCache = { key: null, planets: null };
+    occultationLocalCache = { key: null };
+    eclipseLocalCache = { key: null, circumstances: null };
+    skyInfoRiseSetCache = { key: null, times: null };
+    lastPlanetUpdateTime = 0;
+    lastMoonUpdateTime = 0;
+    lastSunUpdateTime = 0;
+    starEpochJd = null;
+
+    updateEventMarkers();
+    updatePositionDisplay();
+
+    const popup = document.getElementById('calendar-popup');
+    if (popup && popup.classList.contains('visible')) {
+        refreshEclipseList();
+        if (activeEventsTab === 'planets') refreshPlanetEventList();
+    }
+}
+
 /**
  * Convert latitude/longitude to Cartesian coordinates
  * Coordinate system: +Z = North pole, +X = 0° lon, +Y = 90°E lon
@@ -7714,10 +11115,10 @@ function updateFocusHighlight() {
                 }
             }
 
-            // Calculate moon azimuth (moon direction is essentially constant from any point on Earth)
+            // Calculate moon azimuth (topocentric - parallax shifts the Moon by up to ~1°)
             let moonAzimuth = 0;
             {
-                const toMoon = currentMoonDir.clone();
+                const toMoon = currentMoonTopoDir.clone();
                 const moonHoriz = toMoon.clone().sub(radialUp.clone().multiplyScalar(toMoon.dot(radialUp)));
                 if (moonHoriz.length() > 0.001) {
                     moonHoriz.normalize();
@@ -7901,10 +11302,10 @@ function updateCompass() {
         }
     }
 
-    // Position moon emoji
+    // Position moon emoji (topocentric direction from the focus point)
     const moonEl = document.getElementById('compass-moon');
     if (moonEl) {
-        const toMoon = currentMoonDir.clone();
+        const toMoon = currentMoonTopoDir.clone();
         const moonVertical = toMoon.dot(radialUp);
         const moonHoriz = toMoon.clone().sub(radialUp.clone().multiplyScalar(moonVertical));
         const moonHorizLen = moonHoriz.length();
@@ -8197,8 +11598,8 @@ function calculateCelestialYawPitch(bodyPosition) {
  * Start animation to look at the next celestial body (sun or moon)
  */
 function startCelestialTargetAnimation() {
-    // Get the target body direction (sun/moon are effectively at infinity)
-    const bodyDir = celestialTargetIndex === 0 ? currentSunDir : currentMoonDir;
+    // Get the target body direction (sun is effectively at infinity, moon seen with parallax)
+    const bodyDir = celestialTargetIndex === 0 ? currentSunDir : currentMoonTopoDir;
     // Create a position far in that direction for the calculation
     const bodyPos = bodyDir.clone().multiplyScalar(STAR_DISTANCE);
 
@@ -8980,6 +12381,9 @@ function animate() {
     // Update simulation
     updateSimulation(now);
 
+    // Refresh the refraction observer before sky objects are placed at apparent altitude
+    updateRefractionUniforms();
+
     // Update moon position based on sim time
     updateMoonPosition();
 
@@ -9130,21 +12534,34 @@ function animate() {
     // Update sun and moon positions (real-time)
     updateCelestialPositions();
 
+    // Golden/blue hour sky color in horizon view
+    updateHorizonSkyTint();
+
     // Update planet positions on celestial sphere
     updatePlanetPositions();
 
+    // Carry the stars to the simulated epoch
+    updateStarEpoch();
+
     // Rotate celestial sphere by GMST (Earth's sidereal rotation)
     if (celestialSphereGroup) {
         const gmstDeg = getGMST(dateToJulianDay(getAbsoluteSimulatedTime()));
         celestialSphereGroup.rotation.z = -THREE.MathUtils.degToRad(gmstDeg);
+        // Centre the sky on the observer in horizon view: stars have no parallax, so the Moon
+        // (at its true distance, nearer than the sphere) hides the stars and planets behind it
+        celestialSphereGroup.position.copy(camera.position).multiplyScalar(horizonBlendValue);
+        placePlanetSprites();
 
         // Toggle star + planet labels based on horizon blend + user toggle
         const showLabels = starLabelsEnabled && horizonBlendValue > 0.5;
         for (let i = 0; i < starLabelSprites.length; i++) {
             starLabelSprites[i].visible = showLabels;
         }
+        const limitingMagnitude = getPlanetLimitingMagnitude();
         for (let i = 0; i < planetSprites.length; i++) {
-            planetSprites[i].label.visible = showLabels;
+            const shown = isPlanetSpriteShown(planetSprites[i], limitingMagnitude);
+            planetSprites[i].dot.visible = shown;
+            planetSprites[i].label.visible = showLabels && shown;
         }
     }
 
@@ -0,0 +1,251 @@
+// Lunar occultations - the Moon passing in front of a star or planet
+// Worked like a solar eclipse with the Sun moved to infinity: the Moon's shadow is a cylinder of
+// the Moon's radius along the direction of the star, and the occultation is seen wherever that
+// cylinder crosses the Earth. Lengths are in Earth radii; vectors are equatorial, mean equator and
+// equinox of date, with aberration left out of both the Moon and the star so that it cancels.
+
+import { getMeanStarVector } from './star-positions.js';
+import { J2000, getMeanObliquity, equatorialToEcliptic } from './frames.js';
+
+const SEFLG_SWIEPH = 2;
+const SEFLG_NONUT = 64;
+const SEFLG_NOABERR = 1024;
+const SEFLG_EQUATORIAL = 2048;
+const MEAN_OF_DATE_FLAGS = SEFLG_SWIEPH | SEFLG_EQUATORIAL | SEFLG_NONUT | SEFLG_NOABERR;
+
+const SE_MOON = 1;
+
+const AU_EARTH_RADII = 149597870.7 / 6378.137;
+const MOON_RADIUS = 0.2725076;                 // Earth radii
+const COARSE_STEP_DAYS = 1 / 24;               // The Moon moves ~0.5° an hour
+const COARSE_MARGIN = 0.6;                     // Earth radii of shadow travel allowed between samples
+const PLANET_SAMPLE_DAYS = 1;                  // Planet directions are interpolated between daily samples
+const MAX_ECLIPTIC_LATITUDE = 6.8;             // Moon's orbit (5.3°) plus its parallax and radius
+const CONTACT_BRACKET_DAYS = 0.25;             // Longer than the shadow takes to cross the Earth
+const REFINE_ITERATIONS = 16;                  // Brackets of hours narrowed to under a second
+
+/**
+ * Geocentric equatorial vector of a Swiss Ephemeris body
+ * @returns {number[]} [x, y, z] in Earth radii
+ */
+function getBodyVector(swe, jd, id) {
+    const [ra, dec, distAU] = swe.calc_ut(jd, id, MEAN_OF_DATE_FLAGS);
+    const r = distAU * AU_EARTH_RADII;
+    const raRad = ra * Math.PI / 180;
+    const decRad = dec * Math.PI / 180;
+    return [r * Math.cos(decRad) * Math.cos(raRad), r * Math.cos(decRad) * Math.sin(raRad), r * Math.sin(decRad)];
+}
+
+/**
+ * Geocentric Moon vector
+ * @param {object} swe - Initialized SwissEph instance
+ * @param {number} jd - Julian Day (UT)
+ * @returns {number[]} [x, y, z] in Earth radii
+ */
+export function getMoonVector(swe, jd) {
+    return getBodyVector(swe, jd, SE_MOON);
+}
+
+/**
+ * Direction of an occultation target
+ * Stars use their J2000 catalog place moved by proper motion and precession; planets their geocentric direction.
+ * @param {object} swe - Initialized SwissEph instance
+ * @param {object} target - {kind: 'star', ra (hours), dec, pmRa, pmDec} or {kind: 'planet', id}
+ * @param {number} jd - Julian Day (UT)
+ * @returns {number[]} Unit vector
+ */
+export function getTargetDirection(swe, target, jd) {
+    if (target.kind === 'star') return getMeanStarVector(target.ra, target.dec, target.pmRa, target.pmDec, jd);
+    const v = getBodyVector(swe, jd, target.id);
+    const length = Math.hypot(v[0], v[1], v[2]);
+    return v.map(c => c / length);
+}
+
+/**
+ * Directions of a target at each sample time
+ * Stars barely move over a search - one precessed direction does. Planets are computed once a day
+ * and interpolated; the Moon's distance from the axis is refined exactly afterwards.
+ */
+function sampleTargetDirections(swe, target, jds) {
+    if (target.kind === 'star') {
+        const direction = getTargetDirection(swe, target, (jds[0] + jds[jds.length - 1]) / 2);
+        return jds.map(() => direction);
+    }
+    const firstJd = jds[0];
+    const dailyCount = Math.ceil((jds[jds.length - 1] - firstJd) / PLANET_SAMPLE_DAYS) + 1;
+    const daily = [];
+    for (let k = 0; k < dailyCount; k++) daily.push(getTargetDirection(swe, target, firstJd + k * PLANET_SAMPLE_DAYS));
+    return jds.map(jd => {
+        const position = (jd - firstJd) / PLANET_SAMPLE_DAYS;
+        const k = Math.min(Math.floor(position), dailyCount - 2);
+        const t = position - k;
+        const v = daily[k].map((c, i) => c + (daily[k + 1][i] - c) * t);
+        const length = Math.hypot(v[0], v[1], v[2]);
+        return v.map(c => c / length);
+    });
+}
+
+/**
+ * Whether a star lies far enough from the ecliptic that the Moon can never reach it
+ */
+function isOutOfMoonsReach(target) {
+    if (target.kind !== 'star') return false;
+    const { lat } = equatorialToEcliptic(target.ra * 15, target.dec, getMeanObliquity(J2000));
+    return Math.abs(lat) > MAX_ECLIPTIC_LATITUDE;
+}
+
+/**
+ * Distance of a point from the shadow axis, the line through it along the target direction
+ * @param {number[]} point - Point relative to the observer (or Earth's centre)
+ * @param {number[]} direction - Unit vector towards the target
+ */
+function distanceFromAxis(point, direction) {
+    const along = point[0] * direction[0] + point[1] * direction[1] + point[2] * direction[2];
+    return Math.hypot(point[0] - along * direction[0], point[1] - along * direction[1], point[2] - along * direction[2]);
+}
+
+/**
+ * Find where f changes sign between two times by bisection
+ */
+function bisect(f, startJd, endJd) {
+    let lo = startJd;
+    let hi = endJd;
+    const loSign = Math.sign(f(lo));
+    for (let i = 0; i < REFINE_ITERATIONS; i++) {
+        const mid = (lo + hi) / 2;
+        if (Math.sign(f(mid)) === loSign) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * Find the minimum of f within a bracket by golden-section search
+ * @returns {{jd: number, value: number}}
+ */
+function minimize(f, startJd, endJd) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let lo = startJd;
+    let hi = endJd;
+    let a = hi - ratio * (hi - lo);
+    let b = lo + ratio * (hi - lo);
+    let fa = f(a);
+    let fb = f(b);
+    for (let i = 0; i < REFINE_ITERATIONS; i++) {
+        if (fa < fb) {
+            hi = b;
+            b = a;
+            fb = fa;
+            a = hi - ratio * (hi - lo);
+            fa = f(a);
+        } else {
+            lo = a;
+            a = b;
+            fa = fb;
+            b = lo + ratio * (hi - lo);
+            fb = f(b);
+        }
+    }
+    const jd = (lo + hi) / 2;
+    return { jd, value: f(jd) };
+}
+
+/**
+ * Find occultations of a list of targets, seen from anywhere on Earth
+ * @param {object} swe - Initialized SwissEph instance
+ * @param {object[]} targets - {kind: 'star', id (HIP), name, magnitude, ra (hours), dec} or
+ *   {kind: 'planet', id (Swiss Ephemeris), name}
+ * @param {number} startJd - Start of range (UT)
+ * @param {number} endJd - End of range (UT)
+ * @returns {object[]} Sorted by time: {type: 'occultation', target, name, jd (closest to Earth's centre),
+ *   startJd, endJd (first and last contact anywhere), axisDistance (Earth radii, 0 = central)}
+ */
+export function searchOccultations(swe, targets, startJd, endJd) {
+    // Sample the Moon once an hour
+    const jds = [];
+    for (let jd = startJd - COARSE_STEP_DAYS; jd <= endJd + COARSE_STEP_DAYS; jd += COARSE_STEP_DAYS) jds.push(jd);
+    const moons = jds.map(jd => getMoonVector(swe, jd));
+
+    const events = [];
+    targets.forEach(target => {
+        if (isOutOfMoonsReach(target)) return;
+        const directions = sampleTargetDirections(swe, target, jds);
+        const distances = jds.map((jd, i) => distanceFromAxis(moons[i], directions[i]));
+
+        for (let i = 1; i + 1 < jds.length; i++) {
+            // A local minimum of the Moon's distance from the axis through Earth's centre
+            if (!(distances[i] <= distances[i - 1] && distances[i] < distances[i + 1])) continue;
+            if (distances[i] > 1 + MOON_RADIUS + COARSE_MARGIN) continue;
+
+            // Only the Moon's side of the Earth counts - the star must be beyond it
+            const moon = moons[i];
+            const direction = directions[i];
+            if (moon[0] * direction[0] + moon[1] * direction[1] + moon[2] * direction[2] <= 0) continue;
+
+            const axisDistance = (jd) => distanceFromAxis(getMoonVector(swe, jd), getTargetDirection(swe, target, jd));
+            const closest = minimize(axisDistance, jds[i - 1], jds[i + 1]);
+            if (closest.value >= 1 + MOON_RADIUS) continue;
+            if (closest.jd < startJd || closest.jd >= endJd) continue;
+
+            const outside = (jd) => axisDistance(jd) - (1 + MOON_RADIUS);
+            events.push({
+                type: 'occultation',
+                target,
+                name: `Moon occults ${target.name}`,
+                jd: closest.jd,
+                startJd: bisect(outside, closest.jd - CONTACT_BRACKET_DAYS, closest.jd),
+                endJd: bisect(outside, closest.jd, closest.jd + CONTACT_BRACKET_DAYS),
+                axisDistance: closest.value
+            });
+        }
+    });
+    return events.sort((a, b) => a.jd - b.jd);
+}
+
+/**
+ * Disappearance and reappearance of an occulted body for an observer (spherical Earth, no refraction)
+ * @param {object} swe - Initialized SwissEph instance
+ * @param {object} occultation - Event from searchOccultations
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @returns {object} {occulted: false, closestJd, closestSeparation} when the Moon misses the body here, otherwise
+ *   {occulted: true, disappearance: {jd, altitude, sunAltitude}, reappearance: {...}}; altitudes in degrees
+ */
+export function calculateOccultationLocal(swe, occultation, lat, lon) {
+    const latRad = lat * Math.PI / 180;
+    const observerAt = (jd) => {
+        const theta = (swe.sidtime(jd) * 15 + lon) * Math.PI / 180;
+        return [Math.cos(latRad) * Math.cos(theta), Math.cos(latRad) * Math.sin(theta), Math.sin(latRad)];
+    };
+    const fromObserver = (jd) => {
+        const moon = getMoonVector(swe, jd);
+        const observer = observerAt(jd);
+        return distanceFromAxis(moon.map((c, i) => c - observer[i]), getTargetDirection(swe, occultation.target, jd));
+    };
+    const altitudeAt = (jd, direction) => {
+        const observer = observerAt(jd);
+        const sinAlt = observer[0] * direction[0] + observer[1] * direction[1] + observer[2] * direction[2];
+        return Math.asin(Math.max(-1, Math.min(1, sinAlt))) * 180 / Math.PI;
+    };
+    const contact = (jd) => {
+        const sun = getBodyVector(swe, jd, 0);
+        const sunLength = Math.hypot(sun[0], sun[1], sun[2]);
+        return {
+            jd,
+            altitude: altitudeAt(jd, getTargetDirection(swe, occultation.target, jd)),
+            sunAltitude: altitudeAt(jd, sun.map(c => c / sunLength))
+        };
+    };
+
+    const closest = minimize(fromObserver, occultation.startJd, occultation.endJd);
+    if (closest.value >= MOON_RADIUS) {
+        return { occulted: false, closestJd: closest.jd, closestSeparation: closest.value - MOON_RADIUS };
+    }
+
+    const inside = (jd) => fromObserver(jd) - MOON_RADIUS;
+    return {
+        occulted: true,
+        disappearance: contact(bisect(inside, occultation.startJd, closest.jd)),
+        reappearance: contact(bisect(inside, closest.jd, occultation.endJd))
+    };
+}
@@ -0,0 +1,258 @@
+// Planet events - conjunctions, oppositions, greatest elongations and stations found with Swiss Ephemeris
+// Positions are geocentric apparent ecliptic coordinates: conjunctions and oppositions are equal (or
+// opposite) ecliptic longitude, stations are where a planet's longitude stops moving.
+// Events: { type, subtype, bodies: [id...], name, jd, ...details } with jd the UT Julian Day.
+
+const SEFLG_SWIEPH = 2;
+const SEFLG_SPEED = 256;
+
+const SE_SUN = 0;
+const SE_MOON = 1;
+const SE_MERCURY = 2;
+const SE_VENUS = 3;
+
+const SAMPLE_STEP_DAYS = 1;          // The Moon moves ~13°/day, so no crossing is missed
+const STATION_LOOKAHEAD_DAYS = 200;  // Longer than any retrograde loop, to find where one ends
+const REFINE_ITERATIONS = 20;        // Bisections of a one-day bracket - better than a tenth of a second
+
+/**
+ * Wrap an angle to (-180, 180]
+ */
+function wrap180(degrees) {
+    const wrapped = ((degrees % 360) + 360) % 360;
+    return wrapped > 180 ? wrapped - 360 : wrapped;
+}
+
+/**
+ * Angle between two ecliptic positions in degrees
+ */
+function angularSeparation(a, b) {
+    const toRad = Math.PI / 180;
+    const cos = Math.sin(a.lat * toRad) * Math.sin(b.lat * toRad) +
+        Math.cos(a.lat * toRad) * Math.cos(b.lat * toRad) * Math.cos((a.lon - b.lon) * toRad);
+    return Math.acos(Math.max(-1, Math.min(1, cos))) / toRad;
+}
+
+/**
+ * Geocentric ecliptic position and longitude speed of a body
+ * @returns {{lon: number, lat: number, distance: number, speed: number}} Degrees, AU, degrees/day
+ */
+function getEclipticPosition(swe, jd, id) {
+    const result = swe.calc_ut(jd, id, SEFLG_SWIEPH | SEFLG_SPEED);
+    return { lon: result[0], lat: result[1], distance: result[2], speed: result[3] };
+}
+
+/**
+ * Find where f changes sign between two times by bisection
+ * @param {function(number): number} f - Function of JD
+ * @returns {number} JD of the root
+ */
+function bisect(f, startJd, endJd) {
+    let lo = startJd;
+    let hi = endJd;
+    const loSign = Math.sign(f(lo));
+    for (let i = 0; i < REFINE_ITERATIONS; i++) {
+        const mid = (lo + hi) / 2;
+        if (Math.sign(f(mid)) === loSign) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * Find the maximum of f within a bracket by golden-section search
+ * @param {function(number): number} f - Function of JD
+ * @returns {number} JD of the maximum
+ */
+function maximize(f, startJd, endJd) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let lo = startJd;
+    let hi = endJd;
+    for (let i = 0; i < REFINE_ITERATIONS * 2; i++) {
+        const a = hi - ratio * (hi - lo);
+        const b = lo + ratio * (hi - lo);
+        if (f(a) < f(b)) lo = a;
+        else hi = b;
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * Sample every body once per SAMPLE_STEP_DAYS
+ * @returns {{jds: number[], positions: Map<number, object[]>}}
+ */
+function sampleBodies(swe, bodies, startJd, endJd) {
+    const jds = [];
+    for (let jd = startJd; jd <= endJd; jd += SAMPLE_STEP_DAYS) jds.push(jd);
+    const positions = new Map();
+    bodies.forEach(body => {
+        positions.set(body.id, jds.map(jd => getEclipticPosition(swe, jd, body.id)));
+    });
+    return { jds, positions };
+}
+
+/**
+ * Times in [startJd, endJd) where a wrapped angle difference crosses zero
+ * A jump of more than 180° between samples is the wrap at ±180°, not a crossing.
+ * @param {function(number): number} difference - Wrapped difference at a JD
+ * @param {number[]} samples - difference at each of jds
+ */
+function findCrossings(difference, jds, samples, startJd, endJd) {
+    const times = [];
+    for (let i = 0; i + 1 < jds.length; i++) {
+        const a = samples[i];
+        const b = samples[i + 1];
+        if (a === 0 || Math.sign(a) === Math.sign(b) || Math.abs(a - b) > 180) continue;
+        const jd = bisect(difference, jds[i], jds[i + 1]);
+        if (jd >= startJd && jd < endJd) times.push(jd);
+    }
+    return times;
+}
+
+/**
+ * Conjunctions in ecliptic longitude of every pair of bodies
+ */
+function findConjunctions(swe, bodies, sampled, startJd, endJd) {
+    const events = [];
+    bodies.forEach((a, i) => {
+        bodies.slice(i + 1).forEach(b => {
+            const lonA = sampled.positions.get(a.id);
+            const lonB = sampled.positions.get(b.id);
+            const samples = lonA.map((pos, k) => wrap180(pos.lon - lonB[k].lon));
+            const difference = (jd) => wrap180(getEclipticPosition(swe, jd, a.id).lon - getEclipticPosition(swe, jd, b.id).lon);
+
+            findCrossings(difference, sampled.jds, samples, startJd, endJd).forEach(jd => {
+                const posA = getEclipticPosition(swe, jd, a.id);
+                const posB = getEclipticPosition(swe, jd, b.id);
+                // Mercury and Venus pass the Sun on the near side (inferior) or far side (superior)
+                const inner = [a.id, b.id].find(id => id === SE_MERCURY || id === SE_VENUS);
+                const withSun = a.id === SE_SUN || b.id === SE_SUN;
+                let subtype = 'planetary';
+                if (a.id === SE_MOON || b.id === SE_MOON) subtype = 'lunar';
+                else if (withSun && inner !== undefined) {
+                    const planet = inner === a.id ? posA : posB;
+                    const sun = inner === a.id ? posB : posA;
+                    subtype = planet.distance < sun.distance ? 'inferior' : 'superior';
+                } else if (withSun) subtype = 'solar';
+
+                events.push({
+                    type: 'conjunction',
+                    subtype,
+                    bodies: [a.id, b.id],
+                    name: `${a.name} – ${b.name} conjunction`,
+                    jd,
+                    separation: angularSeparation(posA, posB),
+                    // Which body passes north of the other, in ecliptic latitude
+                    north: posA.lat > posB.lat ? a.name : b.name
+                });
+            });
+        });
+    });
+    return events;
+}
+
+/**
+ * Oppositions of the planets outside Earth's orbit
+ */
+function findOppositions(swe, planets, sampled, startJd, endJd) {
+    const sun = sampled.positions.get(SE_SUN);
+    const events = [];
+    planets.filter(body => body.id !== SE_MERCURY && body.id !== SE_VENUS).forEach(body => {
+        const samples = sampled.positions.get(body.id).map((pos, k) => wrap180(pos.lon - sun[k].lon - 180));
+        const difference = (jd) => wrap180(getEclipticPosition(swe, jd, body.id).lon - getEclipticPosition(swe, jd, SE_SUN).lon - 180);
+        findCrossings(difference, sampled.jds, samples, startJd, endJd).forEach(jd => {
+            const pos = getEclipticPosition(swe, jd, body.id);
+            events.push({
+                type: 'opposition',
+                subtype: 'opposition',
+                bodies: [body.id],
+                name: `${body.name} at opposition`,
+                jd,
+                distance: pos.distance
+            });
+        });
+    });
+    return events;
+}
+
+/**
+ * Greatest elongations of Mercury and Venus from the Sun
+ */
+function findGreatestElongations(swe, planets, sampled, startJd, endJd) {
+    const sun = sampled.positions.get(SE_SUN);
+    const events = [];
+    planets.filter(body => body.id === SE_MERCURY || body.id === SE_VENUS).forEach(body => {
+        const samples = sampled.positions.get(body.id).map((pos, k) => angularSeparation(pos, sun[k]));
+        const elongation = (jd) => angularSeparation(getEclipticPosition(swe, jd, body.id), getEclipticPosition(swe, jd, SE_SUN));
+        for (let i = 1; i + 1 < samples.length; i++) {
+            if (!(samples[i] > samples[i - 1] && samples[i] >= samples[i + 1])) continue;
+            const jd = maximize(elongation, sampled.jds[i - 1], sampled.jds[i + 1]);
+            if (jd < startJd || jd >= endJd) continue;
+            // East of the Sun the planet is an evening star, west a morning star
+            const east = wrap180(getEclipticPosition(swe, jd, body.id).lon - getEclipticPosition(swe, jd, SE_SUN).lon) > 0;
+            events.push({
+                type: 'elongation',
+                subtype: east ? 'east' : 'west',
+                bodies: [body.id],
+                name: `${body.name} greatest elongation ${east ? 'east' : 'west'}`,
+                jd,
+                elongation: elongation(jd)
+            });
+        }
+    });
+    return events;
+}
+
+/**
+ * Stationary points, each retrograde one carrying the end of its retrograde loop
+ */
+function findStations(swe, planets, sampled, startJd, endJd) {
+    const events = [];
+    planets.forEach(body => {
+        const samples = sampled.positions.get(body.id).map(pos => pos.speed);
+        const speed = (jd) => getEclipticPosition(swe, jd, body.id).speed;
+        const stations = [];
+        for (let i = 0; i + 1 < samples.length; i++) {
+            if (Math.sign(samples[i]) === Math.sign(samples[i + 1])) continue;
+            stations.push({
+                jd: bisect(speed, sampled.jds[i], sampled.jds[i + 1]),
+                retrograde: samples[i] > 0
+            });
+        }
+
+        stations.forEach((station, i) => {
+            if (station.jd < startJd || station.jd >= endJd) return;
+            const event = {
+                type: 'station',
+                subtype: station.retrograde ? 'retrograde' : 'direct',
+                bodies: [body.id],
+                name: `${body.name} stationary, turns ${station.retrograde ? 'retrograde' : 'direct'}`,
+                jd: station.jd,
+                lon: getEclipticPosition(swe, station.jd, body.id).lon
+            };
+            // The lookahead always reaches the next station, which ends the loop
+            if (station.retrograde && stations[i + 1]) event.retrogradeEndJd = stations[i + 1].jd;
+            events.push(event);
+        });
+    });
+    return events;
+}
+
+/**
+ * Find conjunctions, oppositions, greatest elongations and stations in a range
+ * @param {object} swe - Initialized SwissEph instance
+ * @param {object[]} planets - Planets as {id, name} with Swiss Ephemeris ids (Sun and Moon are added)
+ * @param {number} startJd - Start of range (UT)
+ * @param {number} endJd - End of range (UT)
+ * @returns {object[]} Events sorted by time
+ */
+export function searchPlanetEvents(swe, planets, startJd, endJd) {
+    const bodies = [{ id: SE_SUN, name: 'Sun' }, { id: SE_MOON, name: 'Moon' }, ...planets];
+    const sampled = sampleBodies(swe, bodies, startJd - SAMPLE_STEP_DAYS, endJd + STATION_LOOKAHEAD_DAYS);
+    return [
+        ...findConjunctions(swe, bodies, sampled, startJd, endJd),
+        ...findOppositions(swe, planets, sampled, startJd, endJd),
+        ...findGreatestElongations(swe, planets, sampled, startJd, endJd),
+        ...findStations(swe, planets, sampled, startJd, endJd)
+    ].sort((a, b) => a.jd - b.jd);
+}
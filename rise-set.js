@@ -0,0 +1,214 @@
+// Rise, set and transit solver - horizon and meridian crossings of a body for an observer
+// Bodies are given as position functions of a Date returning the sub-body point {lat, lon}
+// (declination and RA - apparent sidereal time, see frames.js). Times are solved to about a second:
+// crossings are bracketed on a coarse grid and refined with Brent's method.
+
+import { equatorialToHorizontal } from './frames.js';
+
+export const RISE_SET_TOLERANCE_MINS = 1 / 60;  // Solver stops within one second
+const TRANSIT_SCAN_STEP_MINS = 20;              // Hour angle grid used to bracket transits
+const RISE_SET_SCAN_STEP_MINS = 15;             // Altitude grid of findNextRiseSet
+
+/**
+ * Wrap an angle to -180..180 degrees
+ */
+function wrapAngle180(deg) {
+    return ((deg % 360) + 540) % 360 - 180;
+}
+
+/**
+ * Geometric altitude of a body from its sub-point
+ */
+function altitudeOf(lat, lon, bodyPos) {
+    return equatorialToHorizontal(lon - bodyPos.lon, bodyPos.lat, lat).altitude;
+}
+
+/**
+ * Threshold as a function of the body position
+ */
+function toThresholdFunction(horizonThreshold) {
+    return typeof horizonThreshold === 'function' ? horizonThreshold : () => horizonThreshold;
+}
+
+/**
+ * Find a root of f between a and b with Brent's method (f(a) and f(b) must differ in sign)
+ * @param {function(number): number} f - Function to solve
+ * @param {number} a - Bracket start
+ * @param {number} b - Bracket end
+ * @param {number} fa - f(a)
+ * @param {number} fb - f(b)
+ * @param {number} tol - Absolute tolerance on the root
+ * @returns {number} Root
+ */
+export function brentRoot(f, a, b, fa, fb, tol) {
+    if (fa === 0) return a;
+    if (fb === 0) return b;
+    let c = a, fc = fa;
+    let d = b - a, e = d;
+    for (let iter = 0; iter < 60; iter++) {
+        if ((fb > 0) === (fc > 0)) {
+            c = a; fc = fa;
+            d = e = b - a;
+        }
+        if (Math.abs(fc) < Math.abs(fb)) {
+            a = b; b = c; c = a;
+            fa = fb; fb = fc; fc = fa;
+        }
+        const tol1 = 2 * Number.EPSILON * Math.abs(b) + 0.5 * tol;
+        const xm = 0.5 * (c - b);
+        if (Math.abs(xm) <= tol1 || fb === 0) return b;
+
+        if (Math.abs(e) >= tol1 && Math.abs(fa) > Math.abs(fb)) {
+            // Inverse quadratic interpolation (secant step when only two points are distinct)
+            const sRatio = fb / fa;
+            let p, q;
+            if (a === c) {
+                p = 2 * xm * sRatio;
+                q = 1 - sRatio;
+            } else {
+                const qRatio = fa / fc;
+                const rRatio = fb / fc;
+                p = sRatio * (2 * xm * qRatio * (qRatio - rRatio) - (b - a) * (rRatio - 1));
+                q = (qRatio - 1) * (rRatio - 1) * (sRatio - 1);
+            }
+            if (p > 0) q = -q; else p = -p;
+            if (2 * p < Math.min(3 * xm * q - Math.abs(tol1 * q), Math.abs(e * q))) {
+                e = d;
+                d = p / q;
+            } else {
+                d = xm;  // Interpolation would leave the bracket - bisect
+                e = d;
+            }
+        } else {
+            d = xm;
+            e = d;
+        }
+        a = b;
+        fa = fb;
+        b += Math.abs(d) > tol1 ? d : (xm > 0 ? tol1 : -tol1);
+        fb = f(b);
+    }
+    return b;
+}
+
+/**
+ * Solve every rise, set and transit of a body during the day around a local noon
+ * Transits (hour angle 0° and 180°) are found first: between consecutive transits the altitude
+ * is monotonic, so each piece holds at most one horizon crossing, which Brent's method then
+ * pins down to about a second. A day with two moonrises therefore reports both.
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @param {function(Date): {lat: number, lon: number}} getPosition - Sub-body point at an instant
+ * @param {Date} noon - Local noon of the day; the day runs 12 hours either side
+ * @param {number|function(object): number} horizonThreshold - Altitude of the horizon crossing in degrees,
+ *   or a function of the body position (e.g. the Moon's distance-dependent semi-diameter)
+ * @returns {{rise: object|null, set: object|null, transit: object|null, lowerTransit: object|null,
+ *   events: Array<object>, state: string, upAtStart: boolean}} Events are {type, offset, time}
+ *   sorted by time with type 'rise' | 'set' | 'transit' | 'lower-transit' and offset in minutes from
+ *   noon (-720 to 720); transits also carry the body's geometric altitude (the day's maximum
+ *   or minimum). rise/set/transit/lowerTransit are the first of each type.
+ *   state is 'normal', or 'always-up' / 'never-rises' when the body doesn't cross the horizon all day
+ */
+export function solveRiseSetDay(lat, lon, getPosition, noon, horizonThreshold = 0) {
+    const timeAt = (offset) => new Date(noon.getTime() + offset * 60 * 1000);
+    const thresholdFor = toThresholdFunction(horizonThreshold);
+
+    // Height above the threshold (positive = up) and hour angle, both as functions of the offset
+    const heightAt = (offset) => {
+        const pos = getPosition(timeAt(offset));
+        return altitudeOf(lat, lon, pos) - thresholdFor(pos);
+    };
+    const hourAngleAt = (offset) => wrapAngle180(lon - getPosition(timeAt(offset)).lon);
+    const lowerHourAngleAt = (offset) => wrapAngle180(hourAngleAt(offset) - 180);
+
+    const makeEvent = (type, offset) => ({ type, offset, time: timeAt(offset) });
+
+    // Transits: the hour angle increases steadily, so bracket its zero crossings on a coarse grid
+    // (a jump of more than 180° between samples is the ±180° wrap, not a crossing)
+    const transits = [];
+    let prevOffset = -720;
+    let prevHa = hourAngleAt(prevOffset);
+    for (let offset = -720 + TRANSIT_SCAN_STEP_MINS; offset <= 720; offset += TRANSIT_SCAN_STEP_MINS) {
+        const ha = hourAngleAt(offset);
+        if (prevHa < 0 && ha >= 0 && ha - prevHa < 180) {
+            const t = brentRoot(hourAngleAt, prevOffset, offset, prevHa, ha, RISE_SET_TOLERANCE_MINS);
+            transits.push(makeEvent('transit', t));
+        }
+        const prevLow = wrapAngle180(prevHa - 180);
+        const low = wrapAngle180(ha - 180);
+        if (prevLow < 0 && low >= 0 && low - prevLow < 180) {
+            const t = brentRoot(lowerHourAngleAt, prevOffset, offset, prevLow, low, RISE_SET_TOLERANCE_MINS);
+            transits.push(makeEvent('lower-transit', t));
+        }
+        prevOffset = offset;
+        prevHa = ha;
+    }
+    transits.forEach(t => {
+        t.altitude = altitudeOf(lat, lon, getPosition(t.time));
+    });
+
+    // Horizon crossings: at most one per piece between transits
+    const breaks = [-720, ...transits.map(t => t.offset), 720];
+    const crossings = [];
+    let prevHeight = heightAt(-720);
+    const upAtStart = prevHeight >= 0;
+    for (let i = 1; i < breaks.length; i++) {
+        const height = heightAt(breaks[i]);
+        if ((prevHeight >= 0) !== (height >= 0)) {
+            const t = brentRoot(heightAt, breaks[i - 1], breaks[i], prevHeight, height, RISE_SET_TOLERANCE_MINS);
+            crossings.push(makeEvent(prevHeight < 0 ? 'rise' : 'set', t));
+        }
+        prevHeight = height;
+    }
+
+    const events = [...crossings, ...transits].sort((x, y) => x.offset - y.offset);
+    let state = 'normal';
+    if (crossings.length === 0) {
+        state = upAtStart ? 'always-up' : 'never-rises';
+    }
+
+    return {
+        rise: crossings.find(e => e.type === 'rise') || null,
+        set: crossings.find(e => e.type === 'set') || null,
+        transit: transits.find(e => e.type === 'transit') || null,
+        lowerTransit: transits.find(e => e.type === 'lower-transit') || null,
+        events,
+        state,
+        upAtStart
+    };
+}
+
+/**
+ * Find the next rise or set from a given time, searching up to maxDays
+ * Brackets horizon crossings on a 15-minute grid, then refines them with Brent's method
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @param {function(Date): {lat: number, lon: number}} getPosition - Sub-body point at an instant
+ * @param {Date} fromTime - Start time to search from
+ * @param {number|function(object): number} horizonThreshold - Altitude threshold for horizon
+ *   (or a function of the body position, as in solveRiseSetDay)
+ * @param {number} [maxDays=60] - Maximum days to search
+ * @returns {{type: string, time: Date, msUntil: number}|null}
+ */
+export function findNextRiseSet(lat, lon, getPosition, fromTime, horizonThreshold, maxDays = 60) {
+    const thresholdFor = toThresholdFunction(horizonThreshold);
+    const heightAt = (mins) => {
+        const pos = getPosition(new Date(fromTime.getTime() + mins * 60 * 1000));
+        return altitudeOf(lat, lon, pos) - thresholdFor(pos);
+    };
+
+    const maxMinutes = maxDays * 24 * 60;
+    let prevHeight = heightAt(0);
+
+    for (let mins = RISE_SET_SCAN_STEP_MINS; mins <= maxMinutes; mins += RISE_SET_SCAN_STEP_MINS) {
+        const height = heightAt(mins);
+        if ((prevHeight >= 0) !== (height >= 0)) {
+            const exactMins = brentRoot(heightAt, mins - RISE_SET_SCAN_STEP_MINS, mins, prevHeight, height, RISE_SET_TOLERANCE_MINS);
+            const exactTime = new Date(fromTime.getTime() + exactMins * 60 * 1000);
+            return { type: prevHeight < 0 ? 'rise' : 'set', time: exactTime, msUntil: exactMins * 60 * 1000 };
+        }
+        prevHeight = height;
+    }
+
+    return null; // No event found within maxDays
+}
@@ -0,0 +1,84 @@
+// Settings store - keeps user settings across reloads in localStorage
+// Saved as { version, settings }. When the shape of settings changes, bump SETTINGS_VERSION
+// and add a migration from the previous version so data saved by older builds keeps loading.
+
+const STORAGE_KEY = 'sky-calc-settings';
+
+export const SETTINGS_VERSION = 2;
+
+// Layer keys that replaced version 1's single 'telescopic-planets' toggle
+const TELESCOPIC_LAYER_KEYS = [
+    'planet-uranus', 'planet-neptune', 'planet-pluto', 'planet-ceres', 'planet-pallas', 'planet-juno', 'planet-vesta'
+];
+
+/**
+ * Migrations keyed by the version they upgrade from - each returns settings in the next version's shape
+ */
+const MIGRATIONS = {
+    // 1 -> 2: the telescopic bodies got one layer toggle each
+    1: (settings) => {
+        const { 'telescopic-planets': telescopic, ...layers } = settings?.layers || {};
+        if (typeof telescopic === 'boolean') {
+            TELESCOPIC_LAYER_KEYS.forEach(key => { layers[key] = telescopic; });
+        }
+        return { ...settings, layers };
+    }
+};
+
+/**
+ * Load saved settings, upgrading them to SETTINGS_VERSION
+ * @returns {object|null} Saved settings, or null when nothing usable is stored
+ */
+export function loadSettings() {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+        console.warn('Saved settings unreadable, using defaults');
+        return null;
+    }
+    // Anything without the { version, settings } envelope was not written by saveSettings
+    if (!stored || typeof stored !== 'object' || !Number.isInteger(stored.version)) return null;
+
+    let version = stored.version;
+    let settings = stored.settings;
+
+    // Written by a newer build - its shape is unknown here
+    if (version > SETTINGS_VERSION) {
+        console.warn(`Saved settings are version ${version}, newer than ${SETTINGS_VERSION} - using defaults`);
+        return null;
+    }
+
+    while (version < SETTINGS_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) return null;
+        settings = migrate(settings);
+        version++;
+    }
+
+    return settings && typeof settings === 'object' ? settings : null;
+}
+
+/**
+ * Save settings under the current schema version
+ * @param {object} settings - Settings to store
+ */
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SETTINGS_VERSION, settings }));
+    } catch (error) {
+        // Storage full or disabled (private browsing) - settings just won't persist
+        console.warn('Could not save settings');
+    }
+}
+
+/**
+ * Remove saved settings
+ */
+export function clearSettings() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.warn('Could not clear settings');
+    }
+}
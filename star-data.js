@@ -1,2859 +1,2863 @@
 // Star catalog from HYG Database v41 (public domain, astronexus/HYG-Database)
-// Format: [hipId, raHours, decDeg, magnitude, bvColorIndex]
+// Format: [hipId, raHours, decDeg, magnitude, bvColorIndex, pmRa, pmDec]
+// Positions are J2000 (epoch and equinox). Proper motions in mas/yr (pmRa includes cos dec) are
+// taken from the Swiss Ephemeris star list (sefstars.txt) for the 1023 stars found there, α Cen B
+// from Hipparcos. The other 1828 rows (all magnitude 3.2 or fainter) have no proper motion yet and
+// hold 0, 0, so those stars stay at their J2000 places: to be filled from HYG v41's pmra/pmdec columns.
 // 2852 stars (+ 4 constellation endpoints), visual magnitude <= 5.5
 export const STAR_CATALOG = [
-[32349,6.75248,-16.7161,-1.44,0.01],
-[30438,6.3992,-52.6957,-0.62,0.16],
-[69673,14.26103,19.1824,-0.05,1.24],
-[71683,14.66076,-60.834,-0.01,0.71],
-[91262,18.61564,38.7837,0.03,0],
-[24608,5.27815,45.998,0.08,0.8],
-[24436,5.2423,-8.2016,0.18,-0.03],
-[37279,7.65503,5.225,0.4,0.43],
-[7588,1.62856,-57.2368,0.45,-0.16],
-[27989,5.91953,7.4071,0.45,1.5],
-[68702,14.06373,-60.373,0.61,-0.23],
-[97649,19.84639,8.8683,0.76,0.22],
-[60718,12.44331,-63.0991,0.77,-0.24],
-[21421,4.59868,16.5093,0.87,1.54],
-[65474,13.41988,-11.1613,0.98,-0.24],
-[80763,16.49013,-26.432,1.06,1.86],
-[37826,7.75528,28.0262,1.16,0.99],
-[113368,22.96084,-29.6222,1.17,0.14],
-[62434,12.79536,-59.6888,1.25,-0.24],
-[102098,20.69053,45.2803,1.25,0.09],
-[71681,14.66035,-60.8383,1.35,0.9],
-[49669,10.13953,11.9672,1.36,-0.09],
-[33579,6.9771,-28.9721,1.5,-0.21],
-[36850,7.57663,31.8883,1.58,0.03],
-[61084,12.51943,-57.1132,1.59,1.6],
-[85927,17.56014,-37.1038,1.62,-0.23],
-[25336,5.41885,6.3497,1.64,-0.22],
-[25428,5.4382,28.6074,1.65,-0.13],
-[45238,9.22004,-69.7172,1.67,0.07],
-[26311,5.60356,-1.2019,1.69,-0.18],
-[109268,22.13721,-46.961,1.73,-0.07],
-[26727,5.67931,-1.9426,1.74,-0.2],
-[39953,8.15888,-47.3366,1.75,-0.14],
-[62956,12.90047,55.9598,1.76,-0.02],
-[90185,18.40287,-34.3846,1.79,-0.03],
-[15863,3.40538,49.8612,1.79,0.48],
-[54061,11.06216,61.751,1.81,1.06],
-[34444,7.13986,-26.3932,1.83,0.67],
-[67301,13.79235,49.3133,1.85,-0.1],
-[86228,17.62198,-42.9978,1.86,0.41],
-[41037,8.37524,-59.5095,1.86,1.2],
-[28360,5.99215,44.9474,1.9,0.08],
-[82273,16.81108,-69.0277,1.91,1.45],
-[31681,6.62853,16.3993,1.93,0],
-[42913,8.74506,-54.7088,1.93,0.04],
-[100751,20.42746,-56.7351,1.94,-0.12],
-[11767,2.52975,89.2641,1.97,0.64],
-[30324,6.37833,-17.9559,1.98,-0.24],
-[46390,9.45979,-8.6586,1.99,1.44],
-[50583,10.33287,19.8415,2.01,1.13],
-[9884,2.11956,23.4624,2.01,1.15],
-[3419,0.72649,-17.9866,2.04,1.02],
-[92855,18.92109,-26.2967,2.05,-0.13],
-[68933,14.1114,-36.37,2.06,1.01],
-[5447,1.16219,35.6206,2.07,1.58],
-[677,0.13979,29.0904,2.07,-0.04],
-[112122,22.71112,-46.8846,2.07,1.61],
-[27366,5.79594,-9.6696,2.07,-0.17],
-[72607,14.8451,74.1555,2.07,1.46],
-[86032,17.58224,12.56,2.08,0.16],
-[14576,3.13615,40.9556,2.09,0],
-[9640,2.06498,42.3297,2.1,1.37],
-[57632,11.81766,14.5721,2.14,0.09],
-[4427,0.94514,60.7167,2.15,-0.05],
-[61932,12.69197,-48.9599,2.2,-0.02],
-[45556,9.28484,-59.2752,2.21,0.19],
-[39429,8.05974,-40.0031,2.21,-0.27],
-[76267,15.57813,26.7147,2.22,0.03],
-[65378,13.39875,54.9254,2.23,0.06],
-[100453,20.37047,40.2567,2.23,0.67],
-[44816,9.13327,-43.4326,2.23,1.66],
-[3179,0.67512,56.5373,2.24,1.17],
-[87833,17.94344,51.4889,2.24,1.52],
-[25930,5.53344,-0.2991,2.25,-0.18],
-[746,0.15289,59.1498,2.28,0.38],
-[82396,16.83608,-34.2932,2.29,1.14],
-[78401,16.00556,-22.6217,2.29,-0.12],
-[66657,13.6648,-53.4664,2.29,-0.17],
-[71860,14.69882,-47.3882,2.3,-0.15],
-[71352,14.59179,-42.1578,2.33,-0.16],
-[53910,11.03068,56.3824,2.34,0.03],
-[72105,14.74978,27.0742,2.35,0.97],
-[107315,21.73643,9.875,2.38,1.52],
-[86670,17.70813,-39.03,2.39,-0.17],
-[2081,0.43806,-42.306,2.4,1.08],
-[58001,11.89717,53.6948,2.41,0.04],
-[84012,17.17297,-15.7249,2.43,0.06],
-[113881,23.0629,28.0828,2.44,1.66],
-[105199,21.30963,62.5856,2.45,0.26],
-[35904,7.40158,-29.3031,2.45,-0.08],
-[45941,9.36856,-55.0107,2.47,-0.14],
-[102488,20.77018,33.9703,2.48,1.02],
-[113963,23.07935,15.2053,2.49,0],
-[14135,3.03799,4.0897,2.54,1.63],
-[81377,16.61932,-10.5671,2.54,0.04],
-[68002,13.92567,-47.2884,2.55,-0.18],
-[78820,16.09062,-19.8055,2.56,-0.06],
-[54872,11.23514,20.5237,2.56,0.13],
-[59196,12.13931,-50.7224,2.58,-0.13],
-[25985,5.5455,-17.8223,2.58,0.21],
-[59803,12.26344,-17.5419,2.58,-0.11],
-[93506,19.04353,-29.8801,2.6,0.06],
-[74785,15.28345,-9.3829,2.61,-0.07],
-[77070,15.7378,6.4256,2.63,1.17],
-[8903,1.91067,20.808,2.64,0.16],
-[28380,5.99535,37.2126,2.65,-0.08],
-[61359,12.57312,-23.3968,2.65,0.89],
-[26634,5.66082,-34.0741,2.65,-0.12],
-[6686,1.43022,60.2353,2.66,0.16],
-[67927,13.91141,18.3977,2.68,0.58],
-[73273,14.97554,-43.134,2.68,-0.18],
-[23015,4.94989,33.1661,2.69,1.49],
-[61585,12.61974,-69.1356,2.69,-0.18],
-[52727,10.77949,-49.4203,2.69,0.9],
-[85696,17.51273,-37.2958,2.7,-0.18],
-[35264,7.28571,-37.0975,2.71,1.62],
-[97278,19.77099,10.6133,2.72,1.51],
-[89931,18.3499,-29.8281,2.72,1.38],
-[80331,16.39986,61.5142,2.73,0.91],
-[79593,16.23909,-3.6943,2.73,1.58],
-[61941,12.69434,-1.4494,2.74,0.37],
-[52419,10.71595,-64.3945,2.74,-0.22],
-[26241,5.59055,-5.9099,2.75,-0.21],
-[65109,13.3433,-36.7123,2.75,0.07],
-[72622,14.84798,-16.0418,2.75,0.15],
-[86742,17.72454,4.5673,2.76,1.17],
-[23875,5.13083,-5.0864,2.78,0.16],
-[84345,17.24413,14.3903,2.78,1.16],
-[80816,16.50367,21.4896,2.78,0.95],
-[59747,12.25243,-58.7489,2.79,-0.19],
-[85670,17.50721,52.3014,2.79,0.95],
-[76297,15.58568,-41.1668,2.8,-0.22],
-[25606,5.47076,-20.7594,2.81,0.81],
-[81693,16.68811,31.6027,2.81,0.65],
-[2021,0.42792,-77.2542,2.82,0.62],
-[90496,18.46618,-25.4217,2.82,1.02],
-[81266,16.59804,-28.216,2.82,-0.21],
-[77952,15.91908,-63.4307,2.83,0.32],
-[1067,0.2206,15.1836,2.83,-0.19],
-[39757,8.12574,-24.3043,2.83,0.46],
-[85792,17.5307,-49.8761,2.84,-0.14],
-[18246,3.9022,31.8836,2.84,0.27],
-[85258,17.42166,-55.5299,2.84,1.48],
-[17702,3.79141,24.1051,2.85,-0.09],
-[107556,21.78401,-16.1273,2.85,0.18],
-[63608,13.03628,10.9592,2.85,0.93],
-[97165,19.74957,45.1308,2.86,0],
-[9236,1.97945,-61.5699,2.86,0.29],
-[110130,22.30837,-60.2596,2.87,1.39],
-[74946,15.31518,-68.6795,2.87,0.01],
-[30343,6.38267,22.5136,2.87,1.62],
-[94141,19.16273,-21.0236,2.88,0.38],
-[13847,2.97102,-40.3047,2.88,0.13],
-[78265,15.98086,-26.1141,2.89,-0.18],
-[36188,7.45251,8.2893,2.89,-0.1],
-[63125,12.93381,38.3184,2.89,-0.12],
-[18532,3.96423,40.0102,2.9,-0.2],
-[80112,16.35314,-25.5928,2.9,0.3],
-[106278,21.52598,-5.5712,2.9,0.83],
-[14328,3.07994,53.5064,2.91,0.72],
-[48002,9.78504,-65.072,2.92,0.27],
-[112158,22.7167,30.2212,2.93,0.85],
-[60965,12.49774,-16.5154,2.94,-0.01],
-[32768,6.83227,-50.6146,2.94,1.21],
-[109074,22.0964,-0.3199,2.95,0.97],
-[26451,5.62741,21.1425,2.97,-0.15],
-[18543,3.96716,-13.5085,2.97,1.59],
-[47908,9.76419,23.7743,2.97,0.81],
-[88635,18.0968,-30.4241,2.98,0.98],
-[64962,13.31536,-23.1715,2.99,0.92],
-[87073,17.79308,-40.127,2.99,0.51],
-[93747,19.09017,13.8635,2.99,0.01],
-[75097,15.34548,71.834,3,0.06],
-[108085,21.89881,-37.3649,3,-0.08],
-[10064,2.15906,34.9873,3,0.14],
-[82514,16.86451,-38.0474,3,-0.2],
-[54539,11.16106,44.4985,3,1.14],
-[17358,3.71542,47.7876,3.01,-0.12],
-[30122,6.33855,-30.0634,3.02,-0.16],
-[59316,12.16875,-22.6198,3.02,1.33],
-[33977,7.05041,-23.8333,3.02,-0.08],
-[23416,5.03282,43.8233,3.03,0.54],
-[62322,12.77135,-68.1081,3.04,-0.18],
-[71075,14.53464,38.3083,3.04,0.19],
-[95947,19.51202,27.9597,3.05,1.09],
-[100345,20.35019,-14.7814,3.05,0.79],
-[50801,10.37215,41.4995,3.06,1.6],
-[32246,6.7322,25.1311,3.06,1.38],
-[94376,19.20922,67.6615,3.07,0.99],
-[89642,18.29379,-36.7617,3.1,1.58],
-[56561,11.59636,-63.0198,3.11,-0.04],
-[52943,10.82708,-16.1936,3.11,1.23],
-[101772,20.62612,-47.2915,3.11,1],
-[43813,8.92323,5.9456,3.11,0.98],
-[84379,17.25053,24.8392,3.12,0.08],
-[83081,16.97701,-55.9901,3.12,1.55],
-[27628,5.84933,-35.7683,3.12,1.15],
-[44127,8.98683,48.0418,3.12,0.22],
-[73334,14.98602,-42.1042,3.13,-0.21],
-[45860,9.35092,34.3926,3.14,1.55],
-[46701,9.52037,-57.0344,3.16,1.54],
-[84380,17.25079,36.8092,3.16,1.44],
-[31685,6.62935,-43.1959,3.17,-0.1],
-[92041,18.76094,-26.9908,3.17,-0.11],
-[46853,9.54772,51.6773,3.17,0.48],
-[83895,17.14645,65.7147,3.17,-0.12],
-[71908,14.70849,-64.9751,3.18,0.26],
-[23767,5.10858,41.2345,3.18,-0.15],
-[83000,16.96114,9.375,3.19,1.16],
-[23685,5.09102,-22.371,3.19,1.46],
-[22449,4.83067,6.9613,3.19,0.48],
-[87261,17.83096,-37.0433,3.19,1.19],
-[116727,23.65582,77.6323,3.21,1.03],
-[104732,21.21561,30.2269,3.21,0.99],
-[75141,15.3562,-40.6475,3.22,-0.23],
-[79882,16.30536,-4.6925,3.23,0.97],
-[89962,18.35517,-2.8988,3.23,0.94],
-[106032,21.47766,70.5607,3.23,-0.2],
-[99473,20.18841,-0.8215,3.24,-0.07],
-[32607,6.80319,-61.9414,3.24,0.22],
-[36377,7.48718,-43.3014,3.25,1.51],
-[93194,18.9824,32.6896,3.25,-0.05],
-[68895,14.10619,-26.6824,3.25,1.09],
-[73714,15.06784,-25.282,3.25,1.67],
-[17678,3.7873,-74.239,3.26,1.59],
-[113136,22.91084,-15.8208,3.27,0.07],
-[84970,17.36683,-24.9995,3.27,-0.19],
-[3092,0.65546,30.861,3.27,1.27],
-[75458,15.41549,58.9661,3.29,1.17],
-[24305,5.21553,-16.2055,3.29,-0.11],
-[50099,10.22896,-70.0379,3.29,-0.07],
-[51576,10.53374,-61.6853,3.3,-0.09],
-[21281,4.5666,-55.045,3.3,-0.08],
-[29655,6.24796,22.5068,3.31,1.6],
-[85267,17.42324,-56.3777,3.31,-0.15],
-[84143,17.20255,-43.2392,3.32,0.44],
-[93864,19.11567,-27.6704,3.32,1.17],
-[59774,12.25709,57.0326,3.32,0.08],
-[14354,3.08627,38.8403,3.32,1.53],
-[5165,1.10141,-46.7184,3.32,0.88],
-[88048,17.98378,-9.7736,3.32,0.99],
-[54879,11.23734,15.4296,3.33,0],
-[19780,4.2404,-62.4739,3.33,0.92],
-[38170,7.82157,-24.8598,3.34,1.22],
-[25281,5.40795,-2.3971,3.35,-0.24],
-[41704,8.50443,60.7182,3.35,0.86],
-[32362,6.75482,12.8956,3.35,0.44],
-[8886,1.90658,63.6701,3.35,-0.15],
-[95501,19.42497,3.1148,3.36,0.32],
-[75264,15.37802,-44.6896,3.37,-0.19],
-[43109,8.77959,6.4188,3.38,0.68],
-[66249,13.57822,-0.5958,3.38,0.11],
-[109492,22.18091,58.2013,3.39,1.56],
-[50371,10.28472,-61.3323,3.39,1.54],
-[26207,5.58563,9.9342,3.39,-0.16],
-[63090,12.92672,3.3975,3.39,1.57],
-[20894,4.4777,15.8709,3.4,0.18],
-[18724,4.01134,12.4903,3.41,-0.1],
-[102422,20.75481,61.8388,3.41,0.91],
-[112029,22.69103,10.8314,3.41,-0.09],
-[67464,13.82508,-41.6877,3.41,-0.22],
-[6867,1.47276,-43.3182,3.41,1.54],
-[74395,15.20476,-52.0992,3.41,0.92],
-[102395,20.74931,-66.2032,3.42,0.16],
-[86974,17.77432,27.7207,3.42,0.75],
-[8796,1.8847,29.5788,3.42,0.49],
-[78384,16.00204,-38.3967,3.42,-0.21],
-[50335,10.27817,23.4173,3.43,0.31],
-[45080,9.1828,-58.9669,3.43,-0.19],
-[93805,19.10415,-4.8826,3.43,-0.1],
-[50372,10.28495,42.9144,3.45,0.03],
-[74666,15.25838,33.3148,3.46,0.96],
-[5364,1.14316,-10.1823,3.46,1.16],
-[3821,0.81826,57.8152,3.46,0.59],
-[38827,7.94631,-52.9824,3.46,-0.18],
-[12706,2.72168,3.2358,3.47,0.09],
-[67472,13.82694,-42.4737,3.47,-0.17],
-[81833,16.71493,38.9223,3.48,0.92],
-[49583,10.12221,16.7627,3.48,-0.03],
-[90422,18.44956,-45.9685,3.49,-0.18],
-[33856,7.02865,-27.9348,3.49,1.73],
-[55219,11.30798,33.0943,3.49,1.4],
-[73555,15.03244,40.3906,3.49,0.96],
-[8102,1.73448,-15.9375,3.49,0.73],
-[112623,22.80924,-51.3169,3.49,0.08],
-[35550,7.33538,21.9823,3.5,0.37],
-[32759,6.83068,-32.5085,3.5,-0.12],
-[112724,22.82802,66.2004,3.5,1.05],
-[112748,22.83338,24.6016,3.51,0.93],
-[98337,19.97928,19.4921,3.51,1.57],
-[47508,9.68584,9.8923,3.52,0.52],
-[109427,22.17,6.1979,3.52,0.09],
-[48774,9.94771,-54.5678,3.52,-0.07],
-[17378,3.72081,-9.7634,3.52,0.92],
-[93085,18.96217,-21.1067,3.52,1.15],
-[92420,18.83466,33.3627,3.52,0],
-[20889,4.47694,19.1804,3.53,1.01],
-[40526,8.27526,9.1855,3.53,1.48],
-[86263,17.62644,-15.3986,3.54,0.26],
-[77516,15.827,-3.4302,3.54,-0.04],
-[56343,11.55004,-31.8576,3.54,0.95],
-[20042,4.29824,-33.7983,3.55,-0.11],
-[27288,5.7826,-14.822,3.55,0.1],
-[89937,18.35074,72.7328,3.55,0.49],
-[99240,20.14516,-66.1821,3.55,0.75],
-[69996,14.3234,-46.0581,3.55,-0.18],
-[55282,11.32235,-14.7785,3.56,1.11],
-[10602,2.27515,-51.5122,3.56,-0.12],
-[1562,0.3238,-8.8239,3.56,1.21],
-[82545,16.87226,-38.0175,3.56,-0.21],
-[37740,7.74079,24.398,3.57,0.93],
-[75177,15.36344,-36.2614,3.57,1.53],
-[71053,14.5305,30.3714,3.57,1.3],
-[44471,9.06043,47.1565,3.57,0.01],
-[35350,7.30155,16.5404,3.58,0.11],
-[100064,20.3009,-12.5449,3.58,0.88],
-[57757,11.84492,1.7647,3.59,0.52],
-[27072,5.74106,-22.4484,3.59,0.48],
-[60260,12.35603,-60.4011,3.59,1.39],
-[24674,5.29344,-6.8444,3.59,-0.12],
-[7607,1.6332,48.6282,3.59,1.27],
-[46651,9.51167,-40.4668,3.6,0.37],
-[76470,15.61707,-28.1351,3.6,1.36],
-[33018,6.87982,33.9613,3.6,0.1],
-[42536,8.67155,-52.9219,3.6,-0.17],
-[85727,17.51832,-60.6838,3.6,-0.1],
-[6537,1.40039,-8.1833,3.6,1.06],
-[86929,17.76222,-64.7239,3.61,1.16],
-[63613,13.03776,-71.5489,3.61,1.19],
-[49841,10.17647,-12.3541,3.61,1.01],
-[13209,2.83306,27.2605,3.61,-0.1],
-[15900,3.41355,9.0289,3.61,0.89],
-[82729,16.90973,-42.3613,3.62,1.39],
-[113726,23.03202,42.326,3.62,-0.1],
-[7097,1.52472,15.3458,3.62,0.97],
-[17847,3.81937,24.0534,3.62,-0.07],
-[37819,7.75425,-37.9686,3.62,1.71],
-[57363,11.76014,-66.7288,3.63,0.16],
-[101769,20.62582,14.5951,3.64,0.42],
-[88714,18.11052,-50.0915,3.65,-0.1],
-[110960,22.48053,-0.02,3.65,0.41],
-[20205,4.32989,15.6276,3.65,0.98],
-[77233,15.76979,15.4218,3.65,0.07],
-[46733,9.52545,63.0619,3.65,0.36],
-[76600,15.64427,-29.7778,3.66,-0.18],
-[75695,15.46382,29.1057,3.66,0.32],
-[68756,14.07316,64.3758,3.67,-0.05],
-[103227,20.9135,-58.4542,3.67,1.25],
-[42828,8.72654,-33.1864,3.68,-0.18],
-[114341,23.15744,-21.1724,3.68,1.2],
-[22549,4.85343,5.6051,3.68,-0.16],
-[97365,19.7898,18.5343,3.68,1.31],
-[57399,11.76752,47.7794,3.69,1.18],
-[9007,1.93256,-51.6089,3.69,0.84],
-[106985,21.66818,-16.6623,3.69,0.32],
-[2920,0.61619,53.8969,3.69,-0.2],
-[23453,5.0413,41.0758,3.69,1.15],
-[47854,9.75412,-62.5079,3.69,1.01],
-[15474,3.32528,-21.7579,3.7,1.61],
-[114971,23.28609,3.2823,3.7,0.92],
-[87933,17.96274,29.2479,3.7,0.94],
-[88771,18.1225,9.5638,3.71,0.16],
-[98036,19.92189,6.4068,3.71,0.86],
-[77622,15.84694,4.4777,3.71,0.15],
-[28103,5.94008,-14.1677,3.71,0.34],
-[22797,4.90419,2.4407,3.71,-0.18],
-[38414,7.87029,-40.5758,3.71,1.01],
-[17499,3.74793,24.1133,3.72,-0.1],
-[28358,5.99211,54.2847,3.72,1.01],
-[104060,21.08218,43.9279,3.72,1.61],
-[16537,3.54885,-9.4583,3.72,0.88],
-[16083,3.45282,9.7327,3.73,-0.08],
-[107089,21.69125,-77.39,3.73,1.01],
-[72220,14.77081,1.8929,3.73,0],
-[112961,22.87691,-7.5796,3.73,1.63],
-[87585,17.89213,56.8726,3.73,1.18],
-[80170,16.36534,19.1531,3.74,0.3],
-[8645,1.85768,-10.335,3.74,1.14],
-[104887,21.24652,38.0453,3.74,0.39],
-[87108,17.79821,2.7073,3.75,0.04],
-[44511,9.06925,-47.0977,3.75,1.17],
-[93683,19.07805,-21.7415,3.76,1.01],
-[95853,19.4951,51.7298,3.76,0.15],
-[111169,22.52152,50.2825,3.76,0.03],
-[30867,6.4803,-7.0331,3.76,-0.11],
-[27654,5.85536,-20.8791,3.76,0.98],
-[26069,5.56042,-62.4898,3.76,0.64],
-[41312,8.42895,-66.1369,3.77,1.13],
-[13268,2.84494,55.8955,3.77,1.69],
-[42570,8.6771,-46.6487,3.77,0.67],
-[82363,16.82976,-59.0414,3.77,1.56],
-[26549,5.64577,-2.6001,3.77,-0.19],
-[101958,20.66064,15.9121,3.77,-0.06],
-[17529,3.75323,42.5785,3.77,0.42],
-[20455,4.38225,17.5425,3.77,0.98],
-[105881,21.44445,-22.4113,3.77,1],
-[109176,22.11685,25.3451,3.77,0.44],
-[71795,14.68582,13.7283,3.78,0.04],
-[36046,7.42878,27.7981,3.78,1.02],
-[53253,10.89156,-58.8532,3.78,0.94],
-[34481,7.14579,-70.4989,3.78,1.01],
-[48319,9.84987,59.0387,3.78,0.29],
-[102618,20.7946,-9.4958,3.78,0],
-[53229,10.88853,34.2149,3.79,1.04],
-[14668,3.15826,44.8575,3.79,0.98],
-[99675,20.2272,46.7413,3.8,1.27],
-[14879,3.20125,-28.9876,3.8,0.54],
-[37229,7.64719,-26.8038,3.8,-0.16],
-[76276,15.58004,10.5389,3.8,0.27],
-[94779,19.28504,53.3685,3.8,0.95],
-[21393,4.59251,-30.5623,3.81,0.96],
-[116584,23.62606,46.4582,3.81,0.98],
-[76952,15.71238,26.2956,3.81,0.02],
-[51232,10.46465,-58.7394,3.81,0.32],
-[80883,16.51523,1.9839,3.82,0.02],
-[86414,17.65775,46.0063,3.82,-0.18],
-[56211,11.52341,69.3311,3.82,1.61],
-[9487,2.03412,2.7638,3.82,0.02],
-[45688,9.31407,36.8026,3.82,0.07],
-[68245,13.97119,-42.1008,3.83,-0.22],
-[51069,10.43484,-16.8363,3.83,1.46],
-[72370,14.7977,-79.0448,3.83,1.43],
-[89341,18.22939,-21.0588,3.84,0.2],
-[51624,10.54685,9.3066,3.84,-0.15],
-[88794,18.12571,28.7625,3.84,-0.02],
-[61199,12.54113,-72.133,3.84,-0.16],
-[20885,4.47625,15.9622,3.84,0.95],
-[97433,19.80285,70.2679,3.84,0.89],
-[43783,8.91746,-60.6446,3.84,-0.1],
-[51986,10.62172,-48.2256,3.84,0.3],
-[17440,3.73659,-64.8069,3.84,1.13],
-[17448,3.73865,32.2882,3.84,0.02],
-[61622,12.62839,-48.5413,3.85,0.05],
-[50191,10.24561,-42.1219,3.85,0.05],
-[91117,18.58678,-8.2441,3.85,1.32],
-[90139,18.39497,21.7698,3.85,1.17],
-[27321,5.78808,-51.0665,3.85,0.17],
-[19747,4.23336,-42.2944,3.85,1.08],
-[78072,15.94088,15.6616,3.85,0.48],
-[61281,12.55806,69.7882,3.85,-0.12],
-[30277,6.36856,-33.4364,3.85,0.86],
-[110395,22.36094,-1.3873,3.86,-0.06],
-[87808,17.93755,37.2505,3.86,1.35],
-[25859,5.52021,-35.4705,3.86,1.13],
-[21594,4.63634,-14.304,3.86,1.08],
-[81065,16.55761,-78.8971,3.86,0.92],
-[79664,16.2573,-63.6857,3.86,1.1],
-[4436,0.94588,38.4993,3.86,0.13],
-[97804,19.87455,1.0057,3.87,0.63],
-[78104,15.94808,-29.2141,3.87,-0.2],
-[43023,8.76712,-46.0415,3.87,0.02],
-[71957,14.71767,-5.6582,3.87,0.38],
-[68282,13.97799,-44.8036,3.87,-0.21],
-[17573,3.76378,24.3677,3.87,-0.06],
-[74376,15.19892,-48.7378,3.88,-0.03],
-[8832,1.89217,19.2939,3.88,-0.05],
-[114421,23.17264,-45.2467,3.88,1],
-[765,0.15684,-45.7474,3.88,1.01],
-[48455,9.8794,26.007,3.88,1.22],
-[13701,2.94046,-8.8981,3.89,1.09],
-[60129,12.33177,-0.6668,3.89,0.03],
-[33152,6.90221,-24.1842,3.89,1.74],
-[98110,19.93844,35.0834,3.89,1.02],
-[45336,9.2394,2.3143,3.89,-0.06],
-[47431,9.66427,-1.1428,3.9,1.31],
-[65936,13.5174,-39.4073,3.9,1.19],
-[55425,11.35012,-54.491,3.9,-0.16],
-[60823,12.46733,-50.2306,3.91,-0.19],
-[76333,15.5921,-14.7895,3.91,1.01],
-[18907,4.05261,5.9893,3.91,0.03],
-[73807,15.0853,-47.0512,3.91,-0.14],
-[41307,8.42768,-3.9064,3.91,-0.01],
-[79992,16.32901,46.3134,3.91,-0.15],
-[104987,21.26373,5.2478,3.92,0.55],
-[83207,17.00483,30.9264,3.92,-0.02],
-[95168,19.36121,-17.8472,3.92,0.23],
-[7083,1.52085,-49.0727,3.93,0.97],
-[21444,4.60532,-3.3525,3.93,-0.21],
-[54463,11.14316,-58.975,3.93,1.23],
-[78933,16.11345,-20.6692,3.93,-0.05],
-[37504,7.697,-72.6061,3.93,1.03],
-[13531,2.9043,52.7625,3.93,0.76],
-[88192,18.01075,2.9316,3.93,0.03],
-[2072,0.43672,-43.6798,3.93,0.18],
-[37677,7.73013,-28.9548,3.94,0.16],
-[5348,1.13974,-55.2458,3.94,-0.12],
-[103413,20.95289,41.1671,3.94,0.03],
-[42911,8.74475,18.1543,3.94,1.08],
-[37447,7.68745,-9.5511,3.94,1.02],
-[31592,6.6114,-19.2559,3.95,1.04],
-[9598,2.05727,72.4213,3.95,0],
-[45101,9.18798,-62.317,3.96,-0.18],
-[99848,20.25787,47.7142,3.96,1.45],
-[44248,9.01068,41.7829,3.96,0.46],
-[95241,19.3773,-44.459,3.96,-0.08],
-[28328,5.98578,-42.8151,3.96,1.15],
-[115438,23.38284,-20.1006,3.96,1.08],
-[95347,19.3981,-40.6159,3.96,-0.1],
-[19343,4.14436,47.7125,3.96,-0.02],
-[20535,4.40061,-34.0168,3.97,1.47],
-[112440,22.77552,23.5657,3.97,1.07],
-[110997,22.48782,-43.4956,3.97,1.02],
-[98495,20.00984,-72.9105,3.97,-0.03],
-[59449,12.1942,-52.3685,3.97,-0.16],
-[77634,15.84932,-33.6272,3.97,-0.04],
-[27673,5.85817,39.1485,3.97,1.13],
-[42515,8.66837,-35.3084,3.97,0.94],
-[35228,7.28051,-67.9572,3.97,0.76],
-[106481,21.56635,45.5918,3.98,0.88],
-[18614,3.98275,35.791,3.98,0.02],
-[65477,13.42041,54.988,3.99,0.17],
-[9347,2.00008,-21.0778,3.99,1.55],
-[50954,10.40659,-74.0316,3.99,0.37],
-[114996,23.2905,-58.2357,3.99,0.41],
-[29651,6.24759,-6.2748,3.99,1.32],
-[79374,16.19993,-19.4607,4,0.08],
-[44382,9.04078,-66.3961,4,0.14],
-[55642,11.39874,10.5295,4,0.42],
-[91792,18.71726,-71.4281,4.01,1.13],
-[35037,7.24685,-26.7727,4.01,-0.15],
-[101076,20.48993,30.3686,4.01,0.4],
-[78527,16.03153,58.5653,4.01,0.53],
-[80000,16.33069,-50.1555,4.01,1.08],
-[34088,7.06848,20.5703,4.01,0.9],
-[71865,14.69933,-37.7935,4.01,-0.16],
-[8068,1.72768,50.6887,4.01,-0.1],
-[22109,4.75838,-3.2547,4.01,-0.15],
-[59199,12.14022,-24.7289,4.02,0.33],
-[43409,8.8422,-27.7098,4.02,1.27],
-[93244,18.99371,15.0683,4.02,1.08],
-[93429,19.02801,-5.7391,4.02,1.08],
-[23522,5.05697,60.4422,4.03,0.92],
-[10670,2.28857,33.8472,4.03,0.02],
-[101421,20.55355,11.3033,4.03,-0.12],
-[88601,18.09091,2.5001,4.03,0.86],
-[118268,23.98852,6.8633,4.03,0.42],
-[43103,8.77828,28.7599,4.03,1.01],
-[63003,12.9099,-57.1779,4.03,-0.18],
-[70497,14.41997,51.8507,4.04,0.5],
-[111497,22.58927,-0.1175,4.04,-0.08],
-[19587,4.19776,-6.8376,4.04,0.33],
-[57380,11.76432,6.5294,4.04,1.5],
-[70090,14.34262,-37.8853,4.05,-0.03],
-[40702,8.3087,-76.9197,4.05,0.41],
-[112716,22.82653,-13.5926,4.05,1.57],
-[42884,8.73999,-42.6493,4.05,0.87],
-[55434,11.35228,6.0293,4.05,-0.06],
-[67459,13.82462,15.7979,4.05,1.52],
-[71536,14.63145,-49.4258,4.05,-0.15],
-[14632,3.151,49.6133,4.05,0.6],
-[55705,11.4147,-17.684,4.06,0.22],
-[36962,7.59871,26.8957,4.06,1.54],
-[22957,4.93952,13.5145,4.06,1.16],
-[83153,16.99307,-53.1604,4.06,1.45],
-[72010,14.72762,-35.1737,4.06,1.36],
-[60009,12.3073,-64.0031,4.06,-0.17],
-[59929,12.29292,-67.9607,4.06,1.6],
-[69701,14.26691,-6.0005,4.07,0.51],
-[74117,15.14739,-45.2799,4.07,-0.16],
-[74824,15.29192,-58.8012,4.07,0.09],
-[110991,22.48618,58.4152,4.07,0.78],
-[3693,0.78898,24.2672,4.08,1.1],
-[53740,10.99624,-18.2988,4.08,1.08],
-[105502,21.36811,19.8045,4.08,1.11],
-[12387,2.65804,0.3285,4.08,-0.21],
-[11001,2.3625,-68.6594,4.08,0.03],
-[104139,21.09912,-17.2329,4.08,-0.01],
-[46974,9.57407,-59.2298,4.08,-0.01],
-[14146,3.03986,-23.6245,4.08,0.16],
-[33160,6.90317,-12.0386,4.08,1.42],
-[92862,18.92225,43.9461,4.08,1.4],
-[26366,5.61511,9.2907,4.09,0.95],
-[77450,15.81233,18.1416,4.09,1.62],
-[7513,1.6133,41.4055,4.1,0.54],
-[12777,2.73663,49.2284,4.1,0.51],
-[94160,19.16715,-39.3408,4.1,1.16],
-[90568,18.4805,-49.0706,4.1,1],
-[38164,7.82064,-46.3732,4.1,-0.16],
-[51839,10.59117,-78.6078,4.11,1.58],
-[42312,8.6274,-42.9891,4.11,0.11],
-[113638,23.01468,-52.7541,4.11,0.96],
-[48356,9.85797,-14.8466,4.11,0.92],
-[12486,2.67778,-39.8554,4.11,1.01],
-[94114,19.15787,-37.9045,4.11,0.04],
-[57439,11.77523,-61.1784,4.11,0.9],
-[34045,7.06264,-15.6333,4.11,-0.11],
-[76440,15.612,-66.317,4.11,1.16],
-[12394,2.6598,-68.2669,4.12,-0.06],
-[58948,12.08682,8.733,4.12,0.97],
-[28614,6.03972,9.6473,4.12,0.17],
-[19812,4.2483,48.4093,4.12,0.94],
-[102978,20.86369,-26.9191,4.12,1.63],
-[98032,19.92103,-41.8683,4.12,1.06],
-[111043,22.49596,-43.7492,4.12,1.57],
-[116771,23.66584,5.6263,4.13,0.51],
-[30883,6.48272,20.2121,4.13,-0.12],
-[102485,20.76826,-25.2709,4.13,0.43],
-[77853,15.89709,-16.7293,4.13,1],
-[112405,22.76769,-81.3816,4.13,0.21],
-[25247,5.39912,-7.8081,4.13,0.94],
-[76127,15.54883,31.3591,4.14,-0.13],
-[17608,3.7721,23.9484,4.14,-0.05],
-[59072,12.11469,-64.6137,4.14,0.35],
-[109937,22.26616,37.7487,4.14,1.45],
-[78159,15.95979,26.8779,4.14,1.23],
-[42313,8.6276,5.7038,4.14,0],
-[107354,21.74409,25.645,4.14,0.42],
-[16369,3.51455,12.9367,4.14,1.11],
-[116805,23.67347,44.3339,4.15,-0.07],
-[85112,17.39471,37.1459,4.15,-0.01],
-[34769,7.19774,-0.4928,4.15,0],
-[85340,17.4395,-24.1753,4.16,0.28],
-[36366,7.4852,31.7846,4.16,0.32],
-[28734,6.06867,23.2633,4.16,0.84],
-[2599,0.55,62.9318,4.17,0.13],
-[110003,22.28056,-7.7833,4.17,0.98],
-[17874,3.82424,-36.2002,4.17,0.93],
-[81304,16.60624,-35.2553,4.18,1.54],
-[69732,14.27307,46.0883,4.18,0.09],
-[69427,14.21493,-10.2737,4.18,1.32],
-[109857,22.25054,57.0436,4.18,0.28],
-[111954,22.67759,-27.0436,4.18,-0.1],
-[67457,13.82409,-34.4508,4.19,1.52],
-[92043,18.76104,20.5463,4.19,0.48],
-[51233,10.46473,36.7072,4.2,0.91],
-[113246,22.93247,-32.5396,4.2,0.95],
-[81126,16.56838,42.437,4.2,-0.01],
-[112447,22.77822,12.1729,4.2,0.5],
-[25813,5.51307,5.9481,4.2,-0.14],
-[38835,7.94765,-22.8801,4.2,0.72],
-[16228,3.48448,59.9403,4.21,0.42],
-[20635,4.42282,22.2939,4.21,0.14],
-[82080,16.76616,82.0373,4.21,0.9],
-[101093,20.49302,62.9941,4.21,0.2],
-[105858,21.4407,-65.3662,4.21,0.49],
-[38518,7.88838,-48.1029,4.22,-0.13],
-[80569,16.4504,-18.4563,4.22,0.22],
-[105102,21.29026,39.3947,4.22,0.1],
-[13254,2.84306,38.3186,4.22,0.34],
-[92175,18.78624,-4.7479,4.22,1.09],
-[78918,16.10987,-36.8023,4.22,-0.18],
-[92609,18.87029,-62.1876,4.22,-0.15],
-[102453,20.76104,30.7197,4.22,1.05],
-[92791,18.90841,36.8986,4.22,1.58],
-[89908,18.34596,71.3378,4.22,-0.09],
-[17651,3.7808,-23.2497,4.22,0.43],
-[114724,23.23871,-6.049,4.22,1.54],
-[107533,21.77989,49.3096,4.23,-0.12],
-[1599,0.33414,-64.8748,4.23,0.58],
-[64394,13.1979,27.8782,4.23,0.57],
-[107259,21.72513,58.78,4.23,2.24],
-[68520,14.02744,1.5445,4.23,0.12],
-[81852,16.71813,-77.5174,4.23,1.06],
-[79101,16.14616,44.9349,4.23,-0.04],
-[37629,7.72187,28.8835,4.23,1.12],
-[67153,13.76147,-33.0437,4.23,0.39],
-[93825,19.10697,-37.0634,4.23,0.52],
-[86565,17.69024,-12.8753,4.24,0.09],
-[80911,16.52304,-34.7044,4.24,-0.17],
-[114855,23.26486,-9.0877,4.24,1.11],
-[11407,2.44976,-47.7038,4.24,-0.14],
-[60000,12.30581,-79.3122,4.24,-0.12],
-[5372,1.14561,86.2571,4.24,1.21],
-[61317,12.56241,41.3575,4.24,0.59],
-[12770,2.73538,-13.8587,4.24,-0.12],
-[70692,14.45876,75.696,4.25,1.43],
-[21402,4.59424,10.1608,4.25,0.18],
-[5896,1.2627,-68.8759,4.25,0.48],
-[23972,5.15244,-8.7541,4.25,-0.19],
-[21476,4.61151,41.2648,4.25,1.17],
-[19167,4.10973,50.3513,4.25,-0.01],
-[62896,12.89061,-40.1789,4.25,0.22],
-[41075,8.38059,43.1881,4.25,1.55],
-[107418,21.75748,61.1208,4.25,0.47],
-[15510,3.33194,-43.0698,4.26,0.71],
-[86170,17.60912,-38.6353,4.26,1.08],
-[44066,8.97478,11.8577,4.26,0.14],
-[88267,18.02511,21.5958,4.26,0.41],
-[8198,1.75656,9.1577,4.26,0.94],
-[22783,4.90084,66.3427,4.26,-0.01],
-[19893,4.2671,-51.4866,4.26,0.31],
-[108917,22.06314,64.628,4.26,0.38],
-[16611,3.56313,-21.6329,4.26,-0.11],
-[5434,1.15837,47.2418,4.26,0.01],
-[19860,4.25891,8.8924,4.27,-0.05],
-[74911,15.3089,-47.8753,4.27,-0.09],
-[21589,4.63596,12.5108,4.27,0.12],
-[102532,20.77764,16.1243,4.27,1.04],
-[12828,2.74904,10.1141,4.27,0.31],
-[4906,1.04906,7.8901,4.27,0.95],
-[95294,19.38698,-44.7998,4.27,0.35],
-[64004,13.11518,-49.9062,4.27,-0.18],
-[21881,4.70408,22.9569,4.27,-0.11],
-[115830,23.46614,6.379,4.27,1.06],
-[20711,4.43846,22.8136,4.28,0.26],
-[109410,22.16646,33.1782,4.28,0.47],
-[105515,21.37078,-16.8345,4.28,0.89],
-[47193,9.61815,81.3264,4.28,1.49],
-[51172,10.45253,-31.0678,4.28,1.43],
-[114131,23.11465,-43.5204,4.28,0.42],
-[85423,17.45591,-29.867,4.28,0.4],
-[99655,20.22329,56.5677,4.28,0.11],
-[52154,10.65511,-55.6033,4.29,1.02],
-[77055,15.7343,77.7945,4.29,0.04],
-[16852,3.61455,0.4017,4.29,0.57],
-[111188,22.52509,-32.3461,4.29,0.01],
-[24845,5.32626,-13.1768,4.29,-0.24],
-[116631,23.63561,43.2681,4.29,-0.08],
-[109139,22.10729,-13.8697,4.29,-0.08],
-[57936,11.88181,-33.9081,4.29,-0.1],
-[80894,16.51899,-16.6127,4.29,0.92],
-[28404,5.99892,45.9367,4.3,1.7],
-[61174,12.53451,-16.196,4.3,0.39],
-[17531,3.75347,24.4673,4.3,-0.11],
-[70069,14.33876,-56.3865,4.3,0.08],
-[57669,11.82808,-63.7885,4.3,-0.15],
-[20648,4.42483,17.9279,4.3,0.05],
-[53417,10.92689,24.7497,4.3,0.02],
-[4577,0.97677,-29.3574,4.3,-0.15],
-[100027,20.29413,-12.5082,4.3,0.93],
-[11484,2.46932,8.4601,4.3,-0.05],
-[56647,11.61581,-0.8237,4.3,0.98],
-[42799,8.72041,3.3987,4.3,-0.19],
-[17797,3.80996,-37.6202,4.3,-0.04],
-[75411,15.40818,37.3772,4.31,0.31],
-[70638,14.4488,-83.6679,4.31,1.3],
-[42568,8.67695,-59.761,4.31,-0.12],
-[78990,16.12342,-20.8688,4.31,0.83],
-[101847,20.63897,-1.1051,4.31,0.95],
-[58758,12.05045,-63.3129,4.32,0.28],
-[84880,17.34713,-12.8469,4.32,0.04],
-[21763,4.67403,-19.6715,4.32,1.6],
-[64241,13.16647,17.5294,4.32,0.46],
-[25945,5.53688,18.5942,4.32,2.06],
-[72683,14.86064,-43.5754,4.32,-0.15],
-[67669,13.86378,-32.9941,4.32,-0.15],
-[46750,9.52868,22.968,4.32,1.54],
-[16826,3.60816,48.1926,4.32,-0.06],
-[43067,8.77293,-13.5477,4.32,0.9],
-[29696,6.2563,29.4981,4.32,1.02],
-[70576,14.43634,-45.3793,4.33,0.43],
-[62867,12.88526,-48.9433,4.33,1.34],
-[89826,18.33103,36.0645,4.33,1.16],
-[36284,7.46939,8.9255,4.33,1.42],
-[84405,17.25584,-26.6028,4.33,0.86],
-[88866,18.143,-63.6686,4.33,0.23],
-[92161,18.78369,18.1815,4.34,0.15],
-[5542,1.18502,55.1499,4.34,0.17],
-[107348,21.74186,17.35,4.34,1.16],
-[31125,6.53094,-23.4184,4.34,-0.24],
-[47175,9.61377,-49.355,4.34,0.17],
-[3031,0.6426,29.3118,4.34,0.87],
-[2912,0.61468,33.7193,4.34,-0.12],
-[111022,22.49217,47.7069,4.34,1.68],
-[76552,15.63423,-42.5673,4.34,1.41],
-[68523,14.02875,-45.6034,4.34,0.6],
-[27100,5.74622,-65.7355,4.34,0.22],
-[45496,9.27002,-57.5415,4.34,1.6],
-[85355,17.44191,4.1404,4.34,1.48],
-[91971,18.74621,37.6051,4.34,0.19],
-[40888,8.34412,-77.4845,4.34,1.16],
-[85822,17.53692,86.5865,4.35,0.02],
-[22509,4.84353,8.9002,4.35,0.01],
-[31407,6.58294,-52.9756,4.35,-0.02],
-[90098,18.38712,-61.4939,4.35,1.46],
-[39794,8.13217,-68.6171,4.35,-0.11],
-[43234,8.80721,5.8378,4.35,-0.04],
-[60742,12.44897,28.2684,4.35,1.13],
-[33449,6.95461,58.4228,4.35,0.85],
-[107380,21.74911,-33.0258,4.35,-0.05],
-[94713,19.2728,38.1337,4.35,1.26],
-[74857,15.29718,-30.1487,4.35,1.1],
-[14838,3.19382,19.7267,4.35,1.03],
-[2484,0.52572,-62.9582,4.36,-0.06],
-[3405,0.72257,-57.4631,4.36,0.02],
-[39863,8.14324,-2.9838,4.36,0.97],
-[33347,6.93562,-17.0542,4.36,-0.06],
-[16335,3.50958,47.9952,4.36,1.37],
-[28199,5.95895,-35.2833,4.36,-0.16],
-[10324,2.21666,8.8467,4.36,0.88],
-[22701,4.88158,-5.4527,4.36,0.26],
-[19038,4.07825,22.0819,4.36,1.06],
-[24327,5.22052,-12.9413,4.36,-0.09],
-[68862,14.10077,-41.1796,4.36,-0.2],
-[96468,19.61202,-1.2866,4.36,-0.08],
-[35415,7.3118,-24.9544,4.37,-0.13],
-[98412,19.99561,-35.2763,4.37,-0.15],
-[154,0.03267,-6.0141,4.37,1.63],
-[88886,18.14597,20.8146,4.37,-0.16],
-[53773,11.00257,-42.2259,4.37,0.12],
-[29807,6.27587,-35.1405,4.37,0.98],
-[115669,23.43411,-20.642,4.38,1.46],
-[64238,13.16583,-5.539,4.38,-0.01],
-[99255,20.14814,77.7114,4.38,-0.05],
-[116231,23.54951,-37.8183,4.38,-0.1],
-[39311,8.03776,2.3346,4.39,1.25],
-[17884,3.82536,65.526,4.39,1.87],
-[73620,15.04834,2.0913,4.39,1.03],
-[26176,5.58034,9.4896,4.39,-0.16],
-[27913,5.90639,20.2762,4.39,0.59],
-[8837,1.8941,-46.3027,4.39,1.6],
-[49637,10.13174,9.9975,4.39,1.45],
-[105319,21.3311,-53.4494,4.39,0.19],
-[96757,19.66828,18.0139,4.39,0.78],
-[96837,19.68415,17.476,4.39,1.04],
-[30419,6.39614,4.5929,4.39,0.22],
-[82673,16.90013,10.1654,4.39,-0.09],
-[84893,17.3501,-21.1129,4.39,0.39],
-[38070,7.80144,-25.9372,4.4,-0.07],
-[108431,21.96529,-54.9926,4.4,0.3],
-[4463,0.95344,23.4176,4.4,0.94],
-[39906,8.15045,-19.245,4.4,-0.16],
-[93015,18.94918,-67.2335,4.4,0.53],
-[87998,17.97504,30.1893,4.41,0.38],
-[34693,7.18566,30.2452,4.41,1.26],
-[114222,23.13162,75.3875,4.41,0.8],
-[115033,23.29839,-9.1825,4.41,-0.14],
-[70300,14.38396,-39.5118,4.41,-0.18],
-[85693,17.51231,26.1106,4.41,1.43],
-[32761,6.83092,-53.6224,4.41,0.9],
-[105138,21.29863,34.8969,4.41,-0.1],
-[115102,23.31373,-32.532,4.41,1.11],
-[77257,15.77406,7.3531,4.42,0.6],
-[72571,14.83815,-27.9604,4.42,1.37],
-[34981,7.23756,-26.3525,4.42,-0.17],
-[34922,7.22564,-44.6397,4.42,1.33],
-[31700,6.63151,-18.2375,4.42,1.14],
-[115623,23.42299,23.4041,4.42,0.62],
-[88290,18.02922,1.3051,4.42,0.05],
-[29038,6.1262,14.7685,4.42,-0.16],
-[53954,11.03883,20.1798,4.42,0.05],
-[40326,8.23414,-40.3479,4.42,1.17],
-[110538,22.39268,52.229,4.42,1.01],
-[17593,3.76904,-12.1016,4.43,1.6],
-[94481,19.2293,39.146,4.43,-0.15],
-[19849,4.25454,-7.6529,4.43,0.82],
-[98688,20.0443,-27.7098,4.43,1.64],
-[102281,20.72432,15.0746,4.43,0.3],
-[100587,20.39767,32.1902,4.43,1.33],
-[102624,20.79562,-5.0277,4.43,1.64],
-[23040,4.95478,53.7521,4.43,-0.02],
-[30060,6.32705,59.011,4.44,0.03],
-[21770,4.67604,-41.8638,4.44,0.34],
-[19921,4.27474,-59.3022,4.44,1.08],
-[40091,8.1893,-39.6185,4.44,1.59],
-[40706,8.30926,-36.6593,4.44,0.22],
-[71121,14.54363,-50.4572,4.44,-0.18],
-[95771,19.47843,24.6649,4.44,1.5],
-[1170,0.244,-18.9329,4.44,1.64],
-[3786,0.81137,7.5851,4.44,1.5],
-[36795,7.56755,-22.2961,4.44,0.52],
-[44191,9.0015,-41.2536,4.45,0.65],
-[52633,10.76309,-80.5402,4.45,-0.19],
-[29426,6.199,14.2088,4.45,-0.18],
-[55084,11.2777,-3.6516,4.45,0.21],
-[94648,19.25923,73.3555,4.45,1.26],
-[96229,19.56815,7.3789,4.45,1.18],
-[13147,2.81817,-32.4059,4.45,0.98],
-[80975,16.53561,-21.4664,4.45,0.13],
-[51849,10.59314,-57.5576,4.45,1.6],
-[24244,5.20497,-11.8692,4.45,-0.1],
-[7884,1.69053,5.4876,4.45,1.35],
-[42402,8.64596,3.3414,4.45,1.22],
-[44901,9.14786,51.6046,4.46,0.29],
-[18255,3.90486,-2.9547,4.46,0.67],
-[112948,22.87543,-32.8755,4.46,-0.04],
-[59173,12.13479,-50.6613,4.46,-0.16],
-[80582,16.45307,-47.5548,4.46,-0.07],
-[24331,5.22152,2.8613,4.46,1.17],
-[11569,2.48444,67.4025,4.46,0.15],
-[54682,11.1943,-22.8258,4.46,0.02],
-[57803,11.85242,-45.1735,4.47,1.28],
-[44599,9.08578,-72.6027,4.47,0.61],
-[38957,7.97068,-49.2449,4.47,-0.18],
-[46146,9.41091,26.1823,4.47,1.22],
-[47006,9.58041,52.0515,4.47,0.03],
-[12843,2.75172,-18.5726,4.47,0.48],
-[104858,21.24134,10.007,4.47,0.53],
-[23123,4.97581,1.714,4.47,1.37],
-[30788,6.4695,-32.5801,4.47,-0.17],
-[15549,3.33899,29.0485,4.47,1.56],
-[71284,14.578,29.7451,4.47,0.36],
-[73165,14.95306,-4.3465,4.47,0.32],
-[31216,6.5484,7.333,4.47,0.02],
-[109111,22.10191,-39.5434,4.47,1.35],
-[113889,23.06462,3.82,4.48,-0.12],
-[75323,15.38962,-59.3208,4.48,0.17],
-[20713,4.43909,15.6183,4.48,0.26],
-[80343,16.40172,-20.0373,4.48,1],
-[32578,6.79768,2.4122,4.48,1.1],
-[114119,23.11134,-23.7431,4.48,0.89],
-[18744,4.01495,-62.1593,4.48,1.5],
-[49641,10.1323,-0.3716,4.48,-0.03],
-[3504,0.74542,48.2844,4.48,-0.07],
-[38455,7.8774,-38.8628,4.49,-0.19],
-[118322,23.99859,-65.5771,4.49,-0.08],
-[32249,6.73314,13.228,4.49,1.17],
-[49593,10.12382,35.2447,4.49,0.19],
-[96441,19.60737,50.2211,4.49,0.4],
-[21248,4.55849,-29.7665,4.49,0.97],
-[104234,21.1188,-25.0059,4.49,1.6],
-[116971,23.71204,-14.5449,4.49,-0.03],
-[116928,23.70078,1.78,4.49,0.2],
-[9480,2.03264,70.907,4.49,0.16],
-[71762,14.67877,16.4183,4.49,0],
-[107310,21.73571,28.7426,4.49,0.51],
-[34834,7.20935,-46.7593,4.49,0.32],
-[50676,10.34856,-56.0432,4.5,-0.1],
-[43105,8.77849,-56.7698,4.5,-0.17],
-[26594,5.6531,4.1215,4.5,-0.1],
-[109754,22.23131,39.7149,4.5,1.38],
-[57565,11.79976,20.2189,4.5,0.55],
-[67275,13.78771,17.4569,4.5,0.51],
-[106039,21.47872,-21.8072,4.5,0.89],
-[27530,5.83045,-56.1667,4.5,1.08],
-[111944,22.67523,44.2763,4.5,1.32],
-[104459,21.1599,-11.3717,4.5,0.93],
-[109285,22.13972,-32.9885,4.5,0.05],
-[99874,20.26282,27.8142,4.5,1.26],
-[1473,0.30546,36.7852,4.51,0.05],
-[76852,15.69252,19.6704,4.51,0.06],
-[110838,22.45553,-64.9664,4.51,-0.03],
-[27483,5.81957,39.1811,4.51,0.95],
-[46515,9.48742,-35.9513,4.51,1.41],
-[5586,1.19434,30.0896,4.51,1.09],
-[106723,21.61801,-19.466,4.51,-0.18],
-[98702,20.04696,67.8736,4.51,1.31],
-[102333,20.73397,-51.921,4.51,0.28],
-[47391,9.65584,-61.3281,4.51,-0.07],
-[117863,23.9064,57.4994,4.51,1.19],
-[65271,13.37721,-60.9884,4.52,-0.14],
-[95176,19.36212,-15.955,4.52,0.08],
-[69974,14.3185,-13.3711,4.52,0.13],
-[73745,15.0741,26.9476,4.52,1.24],
-[13061,2.79848,29.2471,4.52,1.11],
-[102431,20.75588,57.5797,4.52,0.54],
-[65387,13.40013,-64.5357,4.52,0.82],
-[111104,22.50813,43.1234,4.52,-0.09],
-[106140,21.49914,23.6388,4.52,1.62],
-[89112,18.18716,-45.9544,4.52,1.01],
-[114570,23.20916,49.4062,4.53,0.3],
-[85365,17.44386,-5.0866,4.53,0.38],
-[28413,6.00093,-3.0743,4.53,1.2],
-[3881,0.83023,41.0789,4.53,-0.14],
-[102589,20.79015,36.4907,4.53,-0.08],
-[37096,7.62281,-34.9685,4.53,-0.08],
-[2487,0.52595,-62.9656,4.53,0.15],
-[69483,14.22472,51.79,4.53,0.23],
-[87072,17.79267,-27.8308,4.53,0.6],
-[46776,9.53304,-1.1847,4.54,0.11],
-[24727,5.30294,33.3716,4.54,1.25],
-[98162,19.94912,-27.1699,4.54,1.46],
-[72659,14.85649,19.1005,4.54,0.72],
-[31416,6.58427,-22.9648,4.54,-0.04],
-[46952,9.57038,36.3976,4.54,0.91],
-[46977,9.5747,69.8303,4.54,0.78],
-[114144,23.11674,9.4095,4.54,1.56],
-[75304,15.38593,-36.8585,4.54,-0.16],
-[74392,15.20369,-19.7917,4.54,-0.07],
-[115919,23.48592,12.7606,4.54,0.94],
-[110351,22.35043,46.5366,4.55,-0.1],
-[88839,18.13472,-28.4571,4.55,0.94],
-[33694,7.00108,76.9774,4.55,1.36],
-[110609,22.40861,49.4764,4.55,0.09],
-[107119,21.69865,71.3114,4.55,1.11],
-[301,0.06233,-17.336,4.55,-0.05],
-[76371,15.59813,-44.9584,4.55,-0.18],
-[23595,5.07344,-35.483,4.55,1.18],
-[36425,7.49661,12.0066,4.55,1.28],
-[80079,16.34394,-24.1693,4.55,0.76],
-[16281,3.49854,58.8788,4.55,0.49],
-[48402,9.86843,54.0643,4.55,0.04],
-[70574,14.43562,-45.2214,4.56,-0.15],
-[27830,5.88879,27.6123,4.56,-0.01],
-[86092,17.59433,-46.5057,4.56,-0.02],
-[44700,9.10882,38.4522,4.56,1.04],
-[13328,2.85857,35.0597,4.56,1.55],
-[54951,11.2534,23.0955,4.56,1.66],
-[103004,20.8688,27.097,4.56,0.84],
-[18597,3.9791,-61.4002,4.56,1.59],
-[104194,21.11003,47.6484,4.56,1.57],
-[16870,3.61824,-40.2745,4.57,1.02],
-[86614,17.69898,72.1488,4.57,0.43],
-[80463,16.4236,14.0333,4.57,0],
-[92818,18.91247,22.6451,4.57,0.78],
-[80473,16.42642,-23.4472,4.57,0.23],
-[94005,19.13916,-40.4967,4.57,1.07],
-[97886,19.89103,24.0796,4.57,-0.05],
-[115250,23.34396,23.7403,4.58,0.18],
-[79404,16.20506,-27.9264,4.58,-0.17],
-[67627,13.8572,64.7233,4.58,1.57],
-[64425,13.20489,-59.9206,4.58,-0.07],
-[86284,17.63075,-8.1188,4.58,0.13],
-[52468,10.72564,-60.5666,4.58,1.7],
-[48374,9.8613,-46.5476,4.58,1.17],
-[26237,5.58977,-4.8384,4.58,-0.18],
-[25473,5.44729,3.0957,4.59,-0.2],
-[54751,11.21,-60.3176,4.59,0.54],
-[77840,15.89353,-25.3271,4.59,-0.07],
-[96465,19.61179,-24.8836,4.59,-0.08],
-[50555,10.32688,-55.0293,4.59,1.6],
-[91926,18.73966,39.6127,4.59,0.18],
-[17959,3.8393,71.3323,4.59,0.06],
-[46509,9.4858,-2.769,4.59,0.41],
-[77512,15.82657,26.0684,4.59,0.79],
-[42527,8.67024,64.3279,4.59,1.18],
-[117452,23.81543,-28.1303,4.59,0],
-[17351,3.71391,-37.3135,4.59,1.19],
-[3245,0.68877,-46.085,4.59,0.95],
-[75501,15.42228,-38.7336,4.6,0],
-[20070,4.30406,50.2955,4.6,0.04],
-[49402,10.08541,-13.0646,4.6,-0.09],
-[95081,19.34447,65.7145,4.6,0.03],
-[77760,15.8779,42.4515,4.6,0.56],
-[53502,10.94529,-37.1378,4.6,1.01],
-[72125,14.75402,16.9643,4.6,0.97],
-[14817,3.18816,39.6116,4.61,1.12],
-[76219,15.56964,-10.0645,4.61,1],
-[36145,7.44524,49.2115,4.61,0],
-[1366,0.28486,38.6816,4.61,0.06],
-[8833,1.8926,3.1875,4.61,0.93],
-[39095,7.99779,-18.3992,4.61,0.09],
-[443,0.08893,-5.7076,4.61,1.03],
-[101474,20.56505,35.2509,4.61,1.59],
-[25923,5.53218,-7.3015,4.62,-0.26],
-[88175,18.00806,-3.6903,4.62,0.39],
-[18673,3.99874,-24.0162,4.62,-0.12],
-[62327,12.77298,-56.4888,4.62,-0.15],
-[54301,11.10902,-62.4241,4.62,0.99],
-[54182,11.08362,7.336,4.62,0.33],
-[4422,0.94443,59.1811,4.62,0.96],
-[56480,11.57936,-54.2641,4.62,-0.08],
-[90982,18.55838,-42.3125,4.62,0.99],
-[23497,5.0516,21.59,4.62,0.16],
-[44824,9.13413,-25.8585,4.62,1.59],
-[92946,18.937,4.2036,4.62,0.16],
-[63007,12.91089,-59.1467,4.62,-0.15],
-[80628,16.46338,-8.3717,4.62,0.18],
-[42835,8.72788,-7.2337,4.63,0.84],
-[61789,12.66459,-39.9873,4.63,-0.08],
-[118131,23.96265,25.1414,4.63,1.58],
-[90797,18.5229,-62.2783,4.63,-0.12],
-[13914,2.98687,21.3404,4.63,0.05],
-[73199,14.95974,65.9325,4.63,1.59],
-[45448,9.26252,-37.4131,4.63,0.47],
-[77635,15.84965,-25.7513,4.63,-0.07],
-[66738,13.67897,54.6816,4.63,1.63],
-[92512,18.85335,59.3884,4.63,1.18],
-[37648,7.72566,-28.4109,4.63,1.63],
-[38500,7.88434,-49.613,4.63,-0.23],
-[78662,16.05893,-57.7751,4.63,0.25],
-[88765,18.12177,8.7339,4.64,0.95],
-[76829,15.6865,-44.6612,4.64,0.41],
-[22845,4.91492,10.1508,4.64,0.08],
-[101589,20.58848,14.6742,4.64,0.12],
-[76669,15.6563,36.6358,4.64,-0.1],
-[18216,3.8952,-24.6122,4.64,-0.14],
-[67234,13.7776,-51.4328,4.64,0.96],
-[82369,16.83056,-10.783,4.64,0.48],
-[111674,22.6229,51.5451,4.64,0.25],
-[28716,6.06533,20.1385,4.64,0.24],
-[95585,19.44197,0.3386,4.64,0.58],
-[84606,17.29452,37.2915,4.64,0.04],
-[113919,23.0697,50.0521,4.64,1.06],
-[36917,7.58969,-28.3693,4.65,-0.11],
-[23607,5.07615,15.4041,4.65,-0.06],
-[78639,16.05358,-49.2297,4.65,0.9],
-[58590,12.01455,6.6143,4.65,0.12],
-[35363,7.30511,-36.734,4.65,-0.1],
-[36514,7.51183,-30.9623,4.65,0.9],
-[27890,5.90166,-63.0896,4.65,1.02],
-[12719,2.7242,27.7071,4.65,-0.12],
-[51192,10.4568,-57.6388,4.65,0.47],
-[21273,4.56414,14.8444,4.65,0.26],
-[98543,20.01835,27.7536,4.66,0.18],
-[88567,18.08367,-29.5801,4.66,0.77],
-[42806,8.72143,21.4685,4.66,0.01],
-[33302,6.92706,-20.1365,4.66,0.37],
-[89678,18.30089,-27.0426,4.66,1.63],
-[5571,1.19089,21.0346,4.66,1.02],
-[90135,18.39433,-8.9344,4.66,0.93],
-[35205,7.27639,-27.8812,4.66,1.59],
-[61740,12.6541,-7.9956,4.66,1.24],
-[62012,12.70986,-48.8131,4.66,1.08],
-[76705,15.66277,-34.4119,4.66,0.96],
-[31978,6.68296,9.8958,4.66,-0.23],
-[53295,10.89965,43.19,4.66,-0.04],
-[8497,1.82642,-10.6864,4.66,0.33],
-[44626,9.09399,-70.5385,4.66,-0.15],
-[19811,4.24814,40.4837,4.67,1.01],
-[88128,18.00095,16.7509,4.67,1.25],
-[90595,18.48663,-14.5658,4.67,0.08],
-[45075,9.18194,63.5136,4.67,0.38],
-[16244,3.48946,49.5089,4.67,-0.1],
-[28910,6.10259,-14.9353,4.67,0.05],
-[5742,1.22915,24.5837,4.67,1.05],
-[21683,4.65458,15.918,4.67,0.15],
-[40167,8.20354,17.6478,4.67,0.53],
-[91919,18.73898,39.6701,4.67,0.17],
-[96100,19.53915,69.6612,4.67,0.79],
-[103738,21.02152,-32.2578,4.67,0.89],
-[7294,1.56553,59.232,4.68,0.99],
-[52098,10.64534,31.9762,4.68,0.82],
-[43878,8.93869,-52.7235,4.68,-0.12],
-[96683,19.65628,30.1533,4.68,0.97],
-[49029,10.00356,8.0442,4.68,1.59],
-[13879,2.97935,39.6627,4.68,0.06],
-[66006,13.53275,-6.2558,4.68,1.61],
-[66234,13.57425,49.016,4.68,0.13],
-[106786,21.6292,-7.8542,4.68,0.18],
-[47310,9.64091,4.6493,4.68,1.31],
-[112211,22.72645,-18.8304,4.68,1.36],
-[9677,2.07484,-29.2968,4.68,-0.16],
-[80047,16.33912,-78.6957,4.68,1.68],
-[8928,1.91557,-67.6473,4.68,0.93],
-[116389,23.5846,-42.6151,4.69,0.08],
-[20732,4.44344,14.7138,4.69,0.98],
-[24813,5.319,40.0991,4.69,0.63],
-[39211,8.02037,-1.3926,4.69,1.48],
-[52102,10.64583,-59.183,4.69,1.56],
-[108870,22.05549,-56.786,4.69,1.06],
-[62268,12.76055,-60.9813,4.69,1.05],
-[107136,21.70157,51.1896,4.69,-0.12],
-[37173,7.63835,-25.3648,4.69,-0.1],
-[38089,7.80561,-47.0777,4.69,1.04],
-[82671,16.89992,-42.362,4.7,0.44],
-[56922,11.67022,-34.7447,4.7,-0.07],
-[24927,5.34081,-21.2398,4.7,-0.05],
-[104521,21.17236,10.1316,4.7,0.26],
-[91726,18.70456,-9.0525,4.7,0.36],
-[56633,11.61136,-9.8022,4.7,-0.07],
-[113116,22.90679,84.3462,4.7,1.42],
-[116247,23.55462,-20.9145,4.7,0.02],
-[98066,19.93065,-26.2995,4.7,0.75],
-[45902,9.35822,-25.9654,4.71,1.63],
-[25737,5.49555,-1.0922,4.71,1.59],
-[63945,13.10464,-48.4633,4.71,-0.15],
-[97938,19.90413,8.4615,4.71,1.02],
-[105140,21.29897,-32.1725,4.71,0.07],
-[16245,3.48956,-62.9375,4.71,0.41],
-[114375,23.16525,-22.4576,4.71,0.67],
-[13954,2.99525,8.9074,4.71,-0.11],
-[57283,11.74605,-18.3507,4.71,0.96],
-[68191,13.96081,-63.6867,4.71,1.08],
-[25984,5.54546,32.192,4.71,0.28],
-[22667,4.87554,14.2506,4.71,1.77],
-[23693,5.09185,-57.4727,4.71,0.53],
-[46026,9.38674,-28.8339,4.71,0.89],
-[40084,8.18786,-12.927,4.72,0.94],
-[25044,5.36271,-0.3825,4.72,-0.17],
-[46371,9.45511,-22.3438,4.72,1.15],
-[6692,1.43221,68.13,4.72,1.05],
-[107188,21.71097,-18.8663,4.72,0.87],
-[78592,16.04663,46.0367,4.72,-0.09],
-[84514,17.27686,-0.4453,4.72,1.12],
-[29276,6.17164,-54.9686,4.72,-0.23],
-[27639,5.85068,37.3056,4.72,1.62],
-[51056,10.4319,33.7961,4.72,0.26],
-[51438,10.50558,-71.9928,4.72,0.04],
-[64844,13.29238,40.5726,4.72,0.31],
-[58867,12.07201,-63.1657,4.72,-0.08],
-[51658,10.55386,40.4256,4.72,0.22],
-[60202,12.34529,17.7929,4.72,1.01],
-[33202,6.91073,13.1778,4.73,0.32],
-[79119,16.14953,36.4909,4.73,1.01],
-[53907,11.03046,-2.4846,4.73,1.59],
-[40096,8.19053,-42.9873,4.73,0.16],
-[103045,20.87756,-8.9833,4.73,0.32],
-[11313,2.42706,50.2786,4.73,1.53],
-[78914,16.10818,-45.1732,4.73,0.23],
-[69191,14.16524,-53.4389,4.74,0.94],
-[16341,3.51029,-5.0751,4.74,-0.09],
-[103632,20.9971,47.521,4.74,-0.08],
-[11783,2.53479,-15.2447,4.74,0.45],
-[93542,19.05191,-42.0951,4.74,-0.03],
-[39903,8.15021,-61.3024,4.74,0.44],
-[96052,19.52953,34.453,4.74,-0.15],
-[6193,1.32444,27.2641,4.74,0.03],
-[77661,15.85442,20.9779,4.74,1.53],
-[64924,13.30676,-18.3112,4.74,0.71],
-[44390,9.04242,67.6296,4.74,1.54],
-[2505,0.52954,54.5223,4.74,-0.1],
-[88116,17.99654,-23.8161,4.74,-0.03],
-[15520,3.33313,65.6523,4.74,-0.11],
-[108874,22.05523,-2.1554,4.74,-0.1],
-[12413,2.66333,-42.8917,4.74,0.06],
-[116602,23.63083,-45.4924,4.74,0.08],
-[42624,8.68698,-47.3171,4.74,0.14],
-[57581,11.80403,-66.8149,4.75,1.52],
-[115088,23.3104,68.1114,4.75,0.84],
-[76880,15.69911,-19.6788,4.75,1.57],
-[69713,14.26944,51.3672,4.75,0.24],
-[101612,20.593,-60.5817,4.75,0.29],
-[35020,7.24393,-48.2719,4.75,-0.09],
-[67786,13.88682,-31.9276,4.75,-0.11],
-[76945,15.7114,-34.7104,4.75,-0.15],
-[60485,12.40041,51.5623,4.76,0.88],
-[38901,7.96114,-30.3346,4.76,0.15],
-[63355,12.98207,17.4094,4.76,1.57],
-[27750,5.87401,1.8551,4.76,1.38],
-[70264,14.37697,-58.4591,4.76,0.8],
-[13288,2.85064,-21.004,4.76,0.91],
-[29997,6.3141,69.3198,4.76,0.02],
-[114155,23.11854,25.4683,4.76,1.28],
-[47522,9.68806,-23.5915,4.76,-0.12],
-[94703,19.27029,21.3904,4.76,-0.06],
-[2472,0.52359,-48.8035,4.76,0.02],
-[52370,10.70393,-64.4664,4.76,-0.14],
-[86486,17.67328,-49.4156,4.76,0.42],
-[106801,21.63201,62.0819,4.76,0.25],
-[67665,13.86319,34.4442,4.76,1.61],
-[55266,11.31886,38.1856,4.76,0.11],
-[13244,2.84126,-75.0669,4.76,1.34],
-[84969,17.36653,-67.7707,4.76,1.19],
-[65639,13.45755,-15.9736,4.76,1.1],
-[32533,6.78884,8.0373,4.77,1.4],
-[112519,22.79138,83.1538,4.77,1.26],
-[62985,12.90588,-9.539,4.77,1.59],
-[86201,17.61586,68.758,4.77,0.43],
-[88404,18.05137,-8.1803,4.77,0.41],
-[14382,3.09234,56.7057,4.77,1.02],
-[101027,20.481,-17.8137,4.77,0.39],
-[100044,20.29644,38.0329,4.77,0.38],
-[100310,20.34439,-12.7591,4.77,-0.05],
-[90905,18.54292,57.0456,4.77,0.61],
-[26563,5.64808,-7.2128,4.77,0.14],
-[56127,11.50525,-3.0035,4.77,1.53],
-[3455,0.7365,-10.6096,4.77,1],
-[45751,9.32955,-11.9749,4.77,0.93],
-[98761,20.05929,-37.9407,4.77,1.42],
-[110882,22.46431,4.6957,4.78,1.04],
-[85755,17.5236,-23.9626,4.78,0.02],
-[110371,22.35537,28.3305,4.78,-0.01],
-[87294,17.83642,-40.0904,4.78,0.26],
-[70104,14.34516,-45.1871,4.78,0.31],
-[92024,18.75746,-64.8713,4.78,0.2],
-[60351,12.37509,25.8462,4.78,0.52],
-[122,0.02662,-77.0657,4.78,1.25],
-[64852,13.29341,5.4699,4.78,1.64],
-[70306,14.38494,-27.754,4.78,1.3],
-[50564,10.32894,19.4709,4.78,0.45],
-[21029,4.50934,16.194,4.78,0.17],
-[17587,3.76731,63.345,4.78,0.75],
-[40274,8.22487,-35.8995,4.78,-0.11],
-[23231,4.99882,-12.5374,4.78,0.27],
-[47758,9.73669,-27.7695,4.78,0.52],
-[4147,0.88347,-1.1443,4.78,1.55],
-[39847,8.14096,51.5067,4.78,0.05],
-[9977,2.14145,37.8591,4.78,0.12],
-[26199,5.58408,-6.002,4.78,-0.25],
-[109908,22.26025,-41.3467,4.79,0.79],
-[80815,16.50347,-25.1152,4.79,-0.12],
-[1168,0.24338,20.2067,4.79,1.57],
-[87220,17.81958,-31.7032,4.79,-0.03],
-[41039,8.37547,-48.4904,4.79,-0.15],
-[64661,13.25416,-67.8946,4.79,-0.08],
-[99824,20.25442,25.592,4.79,-0.18],
-[9153,1.96548,23.5961,4.79,0.29],
-[88149,18.00439,4.3686,4.79,-0.1],
-[109400,22.16344,72.3412,4.79,0.92],
-[77655,15.85387,35.6574,4.79,1],
-[45856,9.34912,-62.4046,4.79,0.93],
-[22678,4.87722,36.7032,4.79,1.41],
-[69112,14.1475,77.5475,4.8,1.37],
-[45811,9.34139,-9.5557,4.8,0.91],
-[52502,10.73526,-63.9611,4.8,-0.13],
-[61394,12.58086,22.6293,4.8,0.01],
-[20354,4.35921,46.4989,4.8,-0.02],
-[112051,22.69595,29.3076,4.8,-0.01],
-[3300,0.70108,50.5125,4.8,-0.1],
-[105382,21.34601,-40.8095,4.8,0.03],
-[69879,14.29995,35.5095,4.8,1.06],
-[84573,17.28877,33.1001,4.8,-0.17],
-[45493,9.26981,54.0219,4.8,0.2],
-[4151,0.88451,61.124,4.8,0.54],
-[103089,20.88743,44.3873,4.8,-0.13],
-[110672,22.42128,1.3774,4.8,-0.17],
-[99639,20.22168,46.8157,4.8,0.1],
-[73568,15.03514,25.0081,4.8,1.51],
-[20542,4.4016,17.4441,4.8,0.15],
-[71995,14.72371,26.5278,4.8,1.67],
-[64022,13.11965,27.6247,4.8,1.48],
-[15197,3.2639,-8.8197,4.8,0.23],
-[45038,9.1732,67.134,4.8,0.49],
-[79881,16.30497,-28.614,4.8,0.01],
-[31832,6.65551,42.4889,4.8,1.24],
-[23364,5.02398,-7.174,4.8,-0.16],
-[24372,5.22929,-67.1853,4.81,1.27],
-[24659,5.29141,-34.8952,4.81,0.99],
-[90289,18.42251,-20.5417,4.81,1.31],
-[101867,20.64204,21.2012,4.81,-0.03],
-[55687,11.41016,-10.8593,4.81,1.56],
-[70755,14.47004,-2.228,4.81,0.69],
-[28237,5.96657,25.9539,4.81,-0.09],
-[47029,9.5844,39.6215,4.81,0.99],
-[102724,20.81564,46.1141,4.81,0.57],
-[39138,8.00555,-63.5675,4.81,-0.17],
-[24010,5.16165,15.5972,4.81,0.31],
-[90344,18.43307,65.5635,4.82,1.18],
-[111123,22.51078,-10.6779,4.82,-0.05],
-[60710,12.44216,-51.4506,4.82,-0.14],
-[9095,1.95279,-47.3853,4.82,0.86],
-[110386,22.35863,12.2052,4.82,-0.13],
-[24340,5.22381,38.4845,4.82,0.19],
-[66458,13.62434,36.2949,4.82,0.24],
-[92782,18.90661,71.2972,4.82,1.15],
-[69226,14.17332,25.0917,4.82,0.54],
-[80179,16.36788,1.029,4.82,0.34],
-[83262,17.01767,-4.2226,4.82,1.48],
-[78554,16.03825,22.8045,4.82,0.07],
-[116901,23.69606,-17.8165,4.82,0.82],
-[50799,10.37211,-41.65,4.82,1.1],
-[82321,16.82062,45.9833,4.82,0.09],
-[115022,23.29573,49.0153,4.82,1.67],
-[36773,7.56332,-14.5239,4.82,1.36],
-[31827,6.65464,-14.1458,4.82,1.46],
-[104019,21.07342,-19.855,4.82,0.17],
-[51459,10.51046,55.9805,4.82,0.54],
-[33092,6.89247,-20.2243,4.82,-0.21],
-[74449,15.21378,-44.5004,4.83,-0.18],
-[42726,8.70705,-53.114,4.83,-0.17],
-[80704,16.47737,41.8817,4.83,1.29],
-[12390,2.6594,-11.8722,4.83,0.45],
-[35210,7.2769,-23.3156,4.83,1.6],
-[92088,18.76791,26.6621,4.83,1.2],
-[73695,15.06317,47.6541,4.83,0.65],
-[12876,2.75905,-67.6166,4.83,0.06],
-[6813,1.46092,45.4067,4.83,0.42],
-[63724,13.05926,-49.5273,4.83,0.03],
-[34495,7.14752,-39.6557,4.83,-0.18],
-[40945,8.3564,-33.0544,4.83,1.42],
-[93174,18.97872,-37.1074,4.83,0.4],
-[4292,0.91672,58.9727,4.83,1.22],
-[93026,18.95102,-5.8463,4.83,1.06],
-[83574,17.08038,-34.1229,4.83,0.26],
-[112203,22.72499,-41.4143,4.84,1.03],
-[114104,23.11023,59.4198,4.84,-0.06],
-[112374,22.76052,-53.5001,4.84,1.18],
-[37297,7.6576,-38.308,4.84,-0.19],
-[10340,2.22037,44.2317,4.84,1.48],
-[19740,4.23233,9.2638,4.84,0.8],
-[10644,2.28419,34.2242,4.84,0.61],
-[53807,11.00935,3.6175,4.84,1.14],
-[15457,3.32269,3.3702,4.84,0.68],
-[42134,8.5888,-58.0092,4.84,0.98],
-[98353,19.98256,-26.1958,4.84,0.88],
-[81008,16.54342,11.488,4.84,1.5],
-[70027,14.32923,16.3069,4.84,1.23],
-[81660,16.68198,64.589,4.84,1.21],
-[7007,1.50309,6.1438,4.84,1.37],
-[57328,11.75473,8.2581,4.84,0.17],
-[82020,16.75495,56.7819,4.84,0.38],
-[26777,5.68826,16.5341,4.84,-0.12],
-[14862,3.19896,74.3937,4.85,0.04],
-[15416,3.31217,34.2227,4.85,1.49],
-[64408,13.2009,-37.803,4.85,0.69],
-[49712,10.14896,-51.8113,4.85,-0.12],
-[93148,18.97438,-52.9386,4.85,-0.05],
-[87846,17.94651,-44.3422,4.85,1.18],
-[36431,7.49762,-23.0243,4.85,0.24],
-[89918,18.3478,3.3772,4.85,0.91],
-[74837,15.29414,-63.6105,4.85,1.26],
-[101773,20.62646,-61.5299,4.86,0.45],
-[81122,16.56806,-44.0453,4.86,0.04],
-[15382,3.30614,-22.5111,4.86,0.9],
-[86736,17.72383,-21.6832,4.86,0.47],
-[32438,6.7706,59.4417,4.86,0.08],
-[94643,19.25901,-25.2567,4.86,0.57],
-[51808,10.58488,75.7129,4.86,0.96],
-[85829,17.53777,55.173,4.86,0.28],
-[81497,16.64579,48.9283,4.86,1.56],
-[2210,0.46547,-33.0072,4.86,1.63],
-[70327,14.38964,8.4466,4.86,0.01],
-[42483,8.6618,-29.5611,4.86,0.9],
-[91918,18.73871,-35.642,4.86,-0.17],
-[80181,16.36829,30.892,4.86,0.97],
-[64820,13.28695,-66.7834,4.86,1.48],
-[109068,22.09465,5.0585,4.86,1.44],
-[92761,18.90283,-22.7448,4.86,1.41],
-[71832,14.6941,8.1618,4.86,0.99],
-[12093,2.59791,5.5932,4.87,0.88],
-[43825,8.92543,-27.6819,4.87,0.14],
-[34899,7.22038,-45.1827,4.87,0],
-[97290,19.77271,-19.7611,4.87,1.06],
-[51979,10.62048,-27.4126,4.87,1.63],
-[6411,1.37234,45.5288,4.87,1.08],
-[19777,4.23991,-10.2563,4.87,1.16],
-[52736,10.7809,-64.3835,4.87,-0.15],
-[42662,8.69537,-15.9434,4.87,1.06],
-[15110,3.24836,21.0444,4.87,-0.01],
-[106551,21.5796,38.5341,4.87,1.08],
-[48559,9.90342,-25.9323,4.87,1.2],
-[87936,17.96328,-41.7163,4.88,1.62],
-[35412,7.31122,-24.5587,4.88,-0.16],
-[27810,5.88524,-33.8014,4.88,-0.15],
-[63462,13.00458,30.785,4.88,1.16],
-[91845,18.72535,-8.2752,4.88,1.11],
-[94820,19.29391,-18.9529,4.88,1.01],
-[61960,12.69807,10.2356,4.88,0.08],
-[11345,2.4325,-12.2905,4.88,-0.03],
-[96341,19.58694,-48.0992,4.88,1.1],
-[25539,5.46058,21.937,4.88,-0.14],
-[82860,16.93375,65.1348,4.88,0.48],
-[118209,23.97788,-3.556,4.88,0.93],
-[117301,23.78428,58.652,4.88,1.12],
-[58484,11.9938,-78.2218,4.88,-0.05],
-[118243,23.98348,55.7549,4.88,-0.07],
-[27468,5.81694,24.5675,4.88,1.02],
-[62886,12.88826,21.2449,4.89,0.9],
-[85819,17.53625,55.1842,4.89,0.25],
-[37265,7.65276,34.5843,4.89,0.41],
-[83613,17.08964,12.7408,4.89,0.12],
-[22453,4.83185,37.4883,4.89,1.45],
-[37908,7.76874,18.51,4.89,1.42],
-[25302,5.41245,1.8464,4.89,-0.2],
-[57851,11.86424,-65.2059,4.89,-0.12],
-[57443,11.77538,-40.5004,4.89,0.66],
-[27511,5.82581,12.6513,4.89,-0.07],
-[69896,14.30388,-81.0078,4.89,0.24],
-[97118,19.73794,37.3544,4.89,0.95],
-[52009,10.62591,-13.3845,4.89,2.8],
-[51523,10.52278,-53.7155,4.89,0.5],
-[910,0.18774,-15.468,4.89,0.49],
-[115990,23.50054,58.5489,4.89,-0.12],
-[111841,22.65436,39.0503,4.89,-0.21],
-[102831,20.8328,-33.7797,4.89,1],
-[64583,13.23758,-59.1032,4.9,0.49],
-[26885,5.70795,1.4746,4.9,1.14],
-[6670,1.42701,-14.5988,4.9,1.23],
-[3801,0.81389,50.9682,4.9,-0.09],
-[102790,20.82471,-46.2268,4.9,1.49],
-[78655,16.05672,-38.6025,4.9,-0.15],
-[97679,19.85114,22.61,4.9,-0.15],
-[33485,6.96031,45.0941,4.9,0.03],
-[78821,16.09071,-19.8019,4.9,-0.02],
-[80686,16.47442,-70.0844,4.9,0.56],
-[62683,12.84477,-33.9993,4.9,-0.03],
-[98055,19.92717,52.4389,4.91,0.12],
-[61966,12.69905,-59.6858,4.91,-0.04],
-[21139,4.5313,-0.044,4.91,1.32],
-[23362,5.02377,-20.0519,4.91,-0.05],
-[111310,22.55001,-61.9821,4.91,1.61],
-[34622,7.17047,-4.2371,4.91,1.02],
-[34752,7.19426,39.3205,4.91,1.45],
-[30093,6.33322,-2.9445,4.91,1.61],
-[74604,15.2437,-31.5191,4.91,0.37],
-[73473,15.01621,-8.5189,4.91,0],
-[81724,16.69288,-17.7422,4.91,1.1],
-[52085,10.64304,-16.8766,4.91,0.92],
-[23835,5.12416,18.6451,4.91,0.66],
-[66257,13.57994,37.1824,4.91,0.4],
-[83608,17.08893,54.47,4.91,0.47],
-[113186,22.92046,8.8162,4.91,0],
-[101101,20.49417,-2.8855,4.91,1.16],
-[101692,20.61212,-2.55,4.91,1.61],
-[12623,2.70414,40.1939,4.91,0.58],
-[28574,6.03067,-10.5979,4.92,-0.13],
-[34059,7.0649,-49.5839,4.92,0.14],
-[28816,6.08309,-16.4844,4.92,0.2],
-[88726,18.11386,-43.4252,4.92,0.26],
-[72104,14.74978,-35.1918,4.92,0.01],
-[66200,13.56887,3.659,4.92,0.03],
-[36547,7.51791,82.4115,4.92,1.63],
-[60697,12.44002,27.2682,4.92,0.28],
-[45439,9.2602,-38.5699,4.92,1.08],
-[67480,13.82856,21.2641,4.92,1.43],
-[102388,20.74792,25.2706,4.92,1.18],
-[30520,6.41497,49.2879,4.92,1.9],
-[90830,18.52929,-45.9148,4.92,-0.1],
-[89861,18.33831,21.9613,4.92,1.59],
-[75379,15.4033,-10.3223,4.92,0.45],
-[9061,1.9445,-22.5268,4.92,1.43],
-[92689,18.8871,50.7082,4.92,0.9],
-[54204,11.08887,-27.2936,4.92,0.37],
-[39079,7.9956,-3.6796,4.93,1.2],
-[19990,4.28768,20.5786,4.93,0.26],
-[73996,15.12168,24.8692,4.93,0.43],
-[114939,23.28082,-7.7265,4.93,1.61],
-[56280,11.53789,-29.261,4.93,0.54],
-[43937,8.94956,-59.2293,4.93,-0.18],
-[62763,12.86164,27.5407,4.93,0.68],
-[99770,20.24223,36.8063,4.93,0.15],
-[36942,7.59436,-52.5338,4.93,1.37],
-[37609,7.71679,58.7104,4.93,0.1],
-[69269,14.18069,-16.302,4.93,1.68],
-[102571,20.78632,34.3741,4.93,1.29],
-[19515,4.18071,-41.9936,4.93,0.33],
-[79375,16.2,-10.0643,4.93,0.09],
-[47592,9.70401,-23.9156,4.93,0.53],
-[20252,4.34018,34.5667,4.93,0.95],
-[117073,23.73319,29.3615,4.93,0.94],
-[72631,14.8503,-2.2992,4.93,0.99],
-[23179,4.98761,37.8902,4.93,0.04],
-[63503,13.01212,56.3663,4.93,0.37],
-[56986,11.68157,-62.0901,4.93,1.11],
-[96483,19.61485,-7.0275,4.93,-0.05],
-[59847,12.27237,23.9454,4.93,0.96],
-[99120,20.1231,-52.8808,4.93,1.59],
-[99303,20.15712,36.8396,4.93,-0.14],
-[64540,13.2286,40.1529,4.94,1.06],
-[64166,13.15091,-23.1181,4.94,1.05],
-[109422,22.16909,-32.5484,4.94,0.49],
-[99742,20.23795,15.1976,4.94,0.07],
-[93279,19.00023,32.1455,4.94,1.46],
-[50933,10.40218,65.5664,4.94,-0.05],
-[101138,20.50098,48.9516,4.94,-0.09],
-[33357,6.93778,-48.7211,4.94,1.67],
-[13905,2.98436,35.1831,4.94,1.24],
-[80650,16.4664,68.7681,4.94,-0.05],
-[35727,7.37042,-19.0166,4.94,-0.04],
-[48615,9.9145,-19.0094,4.94,1.56],
-[39424,8.05863,27.7943,4.94,1.13],
-[10280,2.20619,30.3031,4.94,0.77],
-[43347,8.8299,-45.3079,4.94,0.04],
-[51495,10.51724,-73.2215,4.94,1.68],
-[61384,12.5789,70.0218,4.95,1.31],
-[78207,15.96982,-14.2794,4.95,-0.08],
-[29434,6.20091,16.1304,4.95,-0.15],
-[98068,19.93104,38.4867,4.95,-0.09],
-[98608,20.02909,-59.3759,4.95,1.36],
-[55945,11.46562,2.8563,4.95,1],
-[117245,23.7732,3.4868,4.95,2.51],
-[26736,5.68075,-1.1288,4.95,-0.2],
-[115738,23.44888,1.2556,4.95,0.04],
-[6242,1.3347,58.2316,4.95,0.68],
-[112917,22.86722,43.3124,4.95,1.56],
-[3414,0.72447,47.0245,4.95,0.17],
-[18505,3.95707,63.0723,4.95,-0.07],
-[79822,16.29179,75.7553,4.95,0.39],
-[79509,16.22465,-54.6305,4.95,1.02],
-[78650,16.05573,-25.8652,4.96,1.23],
-[24822,5.32128,22.0965,4.96,0.94],
-[27949,5.91411,55.7069,4.96,0.05],
-[67494,13.83119,-18.1342,4.96,1.06],
-[88657,18.10053,22.2189,4.96,1.66],
-[7818,1.67634,40.577,4.96,-0.07],
-[78180,15.9632,54.7498,4.96,0.27],
-[7918,1.69638,42.6134,4.96,0.62],
-[115590,23.41396,62.2828,4.96,1.68],
-[89172,18.19838,31.4054,4.96,1.64],
-[89153,18.19537,-23.7012,4.96,1.06],
-[15648,3.35738,43.3297,4.96,0.05],
-[11918,2.56408,-28.2323,4.96,-0.05],
-[20877,4.47399,16.3597,4.96,1.14],
-[9009,1.93334,68.6852,4.97,-0.08],
-[5862,1.25304,-45.5317,4.97,0.57],
-[70753,14.46956,-29.4916,4.97,-0.07],
-[117221,23.76723,46.4203,4.97,1.09],
-[116758,23.66307,-14.2222,4.97,0.26],
-[38538,7.89162,26.7658,4.97,0.1],
-[17313,3.70629,33.965,4.97,-0.05],
-[79790,16.28359,-50.0681,4.97,0.79],
-[76742,15.67136,-23.8181,4.97,1.3],
-[20250,4.33923,27.3508,4.97,1.15],
-[83430,17.05219,14.0919,4.97,1.6],
-[65721,13.47384,13.7788,4.97,0.71],
-[18772,4.0217,-61.0788,4.97,1.39],
-[60172,12.33916,3.3126,4.97,1.17],
-[28010,5.92498,-37.1207,4.97,1.1],
-[50847,10.38282,-66.9015,4.97,-0.13],
-[116310,23.56588,31.3253,4.97,1.38],
-[92951,18.9374,4.2021,4.98,0.2],
-[78493,16.02405,29.8511,4.98,-0.05],
-[95066,19.34247,-5.4158,4.98,0.94],
-[37379,7.67311,-15.2639,4.98,1.54],
-[26235,5.5897,-5.4161,4.98,-0.1],
-[60746,12.4498,26.8257,4.98,0.09],
-[23783,5.11129,51.5977,4.98,0.34],
-[26220,5.58773,-5.3873,4.98,0.62],
-[13884,2.97994,-64.0713,4.98,0.13],
-[10053,2.15704,25.9399,4.98,0.34],
-[90156,18.39851,58.8007,4.98,0.08],
-[7999,1.71209,-3.6902,4.98,1.38],
-[57696,11.8324,-70.2258,4.98,1.36],
-[76041,15.52972,40.8993,4.98,0.09],
-[42509,8.66708,-12.4754,4.98,1.42],
-[53824,11.01244,6.1014,4.98,0.17],
-[98073,19.93205,58.846,4.98,1.58],
-[9505,2.03836,54.4875,4.99,-0.07],
-[16147,3.46752,49.0629,4.99,-0.09],
-[55560,11.38044,43.4827,4.99,1],
-[75312,15.38675,30.2878,4.99,0.58],
-[45085,9.18456,-44.8679,4.99,0.22],
-[75206,15.36898,-47.9278,4.99,0.52],
-[21644,4.64821,-12.1231,4.99,0.07],
-[355,0.07503,-10.5095,4.99,1.62],
-[98842,20.07211,-32.0563,4.99,1.21],
-[59856,12.27504,33.0615,4.99,1.14],
-[18488,3.9523,61.1089,4.99,1.44],
-[69389,14.20439,2.4094,4.99,-0.12],
-[46771,9.53243,11.2998,4.99,1.05],
-[115115,23.31602,-9.6108,4.99,-0.02],
-[95372,19.4021,29.6213,4.99,-0.12],
-[78323,15.99174,-41.7444,4.99,0.99],
-[25142,5.38056,3.5445,4.99,-0.1],
-[89348,18.23154,64.3973,4.99,0.44],
-[109289,22.14054,-34.0438,4.99,1.5],
-[33971,7.04855,-4.2392,4.99,-0.2],
-[17304,3.70414,-31.9384,4.99,-0.16],
-[113288,22.94056,49.7335,4.99,1.78],
-[32855,6.84788,-34.3673,4.99,1.38],
-[32844,6.8461,41.7812,4.99,1.26],
-[40259,8.22221,-15.7882,4.99,1.07],
-[44659,9.09955,5.0923,4.99,1.19],
-[66821,13.69578,-54.5594,4.99,-0.06],
-[36041,7.42747,9.2761,4.99,0.99],
-[25278,5.40707,17.3835,5,0.54],
-[19018,4.07421,59.1555,5,0.5],
-[76008,15.52362,77.3494,5,1.54],
-[96275,19.57636,19.7734,5,-0.09],
-[94490,19.23199,57.7051,5,1.16],
-[57175,11.72533,-62.4894,5,0.78],
-[35384,7.30888,49.4648,5,0.09],
-[55588,11.38686,-36.1648,5,1.46],
-[29034,6.12545,-37.2529,5,-0.1],
-[88060,17.9848,-30.253,5,1.65],
-[33345,6.93518,-14.0434,5,1.18],
-[88788,18.12465,43.4619,5,0.91],
-[92845,18.91865,-22.6713,5,1.35],
-[29735,6.26247,-13.7184,5,-0.08],
-[79043,16.13459,17.047,5,0.93],
-[47205,9.62018,6.8358,5,1.05],
-[118121,23.95973,-64.2982,5,0.06],
-[93408,19.02399,46.9348,5,0.19],
-[97295,19.77378,33.7276,5,0.48],
-[36429,7.49688,27.9161,5.01,1.12],
-[97496,19.81629,19.142,5.01,0.1],
-[52425,10.71779,69.0762,5.01,1.41],
-[2219,0.46748,17.8931,5.01,1.58],
-[42088,8.57878,-49.9442,5.01,1.3],
-[84833,17.33857,18.0571,5.01,1.65],
-[29919,6.29856,61.5153,5.01,1.84],
-[46950,9.56911,-51.2553,5.01,-0.18],
-[29353,6.1875,-65.5894,5.01,1.6],
-[38423,7.87102,-34.7054,5.01,0.47],
-[98258,19.96584,-15.4915,5.01,0.06],
-[60059,12.31661,-55.143,5.01,1.6],
-[24504,5.25678,32.6876,5.01,0.22],
-[841,0.17201,46.0723,5.01,0.4],
-[23430,5.03606,-26.275,5.01,1.06],
-[60646,12.43082,39.0186,5.01,0.96],
-[56862,11.65823,-65.3978,5.01,0.8],
-[7719,1.65584,44.3862,5.01,0.88],
-[60998,12.50187,69.2011,5.01,1.62],
-[91975,18.7472,2.06,5.02,-0.06],
-[74793,15.28497,71.8239,5.02,1.37],
-[72800,14.88086,-37.8032,5.02,-0.16],
-[46880,9.55346,-21.1157,5.02,1.02],
-[68103,13.94283,27.4921,5.02,1.44],
-[95477,19.42125,-24.5086,5.02,0.24],
-[93057,18.95569,-20.6563,5.02,0.14],
-[89981,18.35908,49.1216,5.02,1.62],
-[53426,10.929,33.5069,5.02,1.1],
-[87212,17.81786,50.7811,5.02,0.04],
-[87234,17.82416,76.9629,5.02,0.52],
-[107608,21.7956,-30.8983,5.02,0.04],
-[25292,5.41087,37.3853,5.02,1.44],
-[51635,10.54913,-47.0034,5.02,1.04],
-[20901,4.4806,13.0476,5.02,0.22],
-[35226,7.28039,-36.5926,5.03,-0.16],
-[37891,7.7658,-14.5638,5.03,0.34],
-[9836,2.10942,22.6483,5.03,0.12],
-[82504,16.86257,24.6564,5.03,1.25],
-[69618,14.24921,-57.0861,5.03,-0.07],
-[95937,19.51107,-2.7889,5.03,1.77],
-[61418,12.58549,18.3771,5.03,1.15],
-[22479,4.83656,-16.2172,5.03,0.99],
-[103200,20.90934,28.0576,5.03,1.48],
-[53721,10.99112,40.4303,5.03,0.62],
-[41639,8.49097,-44.7248,5.03,-0.17],
-[28675,6.05433,-26.2845,5.03,1.34],
-[97635,19.84381,52.988,5.03,1.29],
-[91755,18.71054,55.5395,5.03,-0.07],
-[95261,19.38089,-54.4239,5.03,0.02],
-[84671,17.31028,10.8645,5.03,1.54],
-[83336,17.03129,-32.1435,5.03,-0.1],
-[66803,13.69355,-8.703,5.03,1.62],
-[21861,4.70096,-37.1443,5.04,0.39],
-[5317,1.13356,43.9421,5.04,0.11],
-[35846,7.39125,25.0505,5.04,0.9],
-[29800,6.27406,12.2722,5.04,0.43],
-[77811,15.8889,-20.167,5.04,-0.01],
-[32173,6.71805,44.5244,5.04,1.48],
-[39690,8.11121,-45.266,5.04,1.49],
-[108535,21.98752,73.1799,5.04,0.44],
-[65468,13.41869,-74.8878,5.04,1.11],
-[28325,5.98453,-9.5582,5.04,0.19],
-[37300,7.65794,17.6745,5.04,1.62],
-[111710,22.62927,-4.2281,5.04,1.14],
-[75973,15.51549,40.833,5.04,1.59],
-[15219,3.27006,50.9377,5.04,1.11],
-[64407,13.20098,-16.1986,5.04,0.46],
-[74975,15.32189,1.7654,5.04,0.54],
-[74778,15.28247,-60.9573,5.04,-0.08],
-[8241,1.76839,-53.522,5.04,0.03],
-[37606,7.71586,-45.1731,5.04,0.76],
-[58905,12.07962,-76.5191,5.04,1.49],
-[28991,6.1176,-62.1546,5.04,1.26],
-[65810,13.49035,-51.1651,5.04,0.06],
-[106711,21.61583,40.4135,5.04,0.2],
-[183,0.03887,-29.7204,5.04,-0.15],
-[105186,21.30755,43.9459,5.04,-0.06],
-[31765,6.64379,-48.2202,5.05,1],
-[23649,5.08278,-49.5778,5.05,1.48],
-[117371,23.79854,67.8068,5.05,0.01],
-[37391,7.6753,87.0201,5.05,1.6],
-[109556,22.19183,59.4145,5.05,0.19],
-[88745,18.1171,30.5621,5.05,0.53],
-[115227,23.33905,5.3813,5.05,1.2],
-[15444,3.31879,50.095,5.05,-0.07],
-[42430,8.6522,-22.6619,5.05,0.72],
-[24879,5.33359,33.9581,5.05,0.29],
-[114347,23.15874,8.6772,5.05,1.48],
-[17851,3.81978,24.1367,5.05,-0.08],
-[96825,19.6806,45.5249,5.06,0.43],
-[36817,7.57184,-23.4737,5.06,0.47],
-[53838,11.01401,39.2121,5.06,0.26],
-[25045,5.36285,-24.773,5.06,0.66],
-[17296,3.70259,63.2168,5.06,1.65],
-[24505,5.25677,-26.9435,5.06,-0.07],
-[40680,8.30522,-65.6132,5.06,1.13],
-[84033,17.17842,-44.5577,5.06,0.87],
-[29134,6.14564,-68.8434,5.06,-0.07],
-[102843,20.8347,44.0593,5.06,0.2],
-[29417,6.19773,-6.5503,5.06,-0.2],
-[49485,10.10312,-47.37,5.06,0.88],
-[98571,20.02266,50.1047,5.06,1.12],
-[104755,21.22235,-70.1263,5.06,1.58],
-[96950,19.70865,-16.124,5.06,0.32],
-[30772,6.46599,-4.7622,5.06,-0.18],
-[70248,14.37311,-80.1089,5.06,-0.11],
-[101868,20.6422,24.116,5.06,-0.13],
-[102950,20.85835,-51.6082,5.06,1.12],
-[117718,23.8748,19.1203,5.06,1.59],
-[14954,3.2129,-1.1961,5.07,0.57],
-[3810,0.81631,16.9406,5.07,0.5],
-[51775,10.58,6.9537,5.07,0.92],
-[21060,4.51392,-44.9537,5.07,-0.19],
-[48437,9.87512,-8.105,5.07,0.04],
-[109017,22.08578,62.2798,5.07,0.24],
-[21727,4.66519,53.0795,5.07,1.08],
-[33558,6.97364,-34.1117,5.07,-0.15],
-[90853,18.53387,-45.7574,5.07,-0.13],
-[46774,9.53266,9.7158,5.07,1.36],
-[34909,7.22285,16.159,5.07,1.65],
-[81292,16.60381,52.9244,5.07,-0.03],
-[85805,17.53274,68.135,5.07,1.08],
-[2578,0.54551,-63.0315,5.07,0.04],
-[101916,20.65216,10.0862,5.07,0.7],
-[38010,7.79028,-38.5111,5.07,-0.11],
-[47452,9.67177,-14.3323,5.07,-0.15],
-[36393,7.48901,28.1183,5.07,0.12],
-[46928,9.56486,-80.9413,5.07,-0.14],
-[69415,14.21278,-27.2612,5.07,1.13],
-[56243,11.52946,-59.4421,5.07,1.03],
-[83947,17.15924,40.777,5.07,1.27],
-[25282,5.40803,-0.8913,5.07,0.96],
-[93867,19.11628,11.0712,5.07,-0.06],
-[107763,21.83075,30.1742,5.07,0.01],
-[25541,5.4608,34.4759,5.08,1.4],
-[17771,3.80452,11.1433,5.08,-0.12],
-[25110,5.37604,79.2311,5.08,0.51],
-[21673,4.65256,15.7998,5.08,0.14],
-[111532,22.59608,73.6432,5.08,0.4],
-[41483,8.46017,-53.0885,5.08,0.26],
-[51718,10.56691,-23.7452,5.08,1.6],
-[51912,10.60571,-59.5644,5.08,1.17],
-[32558,6.79367,-8.9985,5.08,1.8],
-[51437,10.50486,-0.637,5.08,-0.14],
-[2854,0.60231,54.1684,5.08,-0.1],
-[48113,9.80981,46.021,5.08,0.62],
-[29271,6.17063,-74.753,5.08,0.71],
-[100881,20.45534,-18.2117,5.08,-0.05],
-[73129,14.94555,-62.781,5.08,-0.02],
-[55598,11.38942,-18.78,5.08,0.44],
-[99080,20.11484,23.6144,5.08,-0.16],
-[92814,18.91198,-15.603,5.08,0.14],
-[108036,21.88827,-13.5518,5.08,0.38],
-[38872,7.95512,-44.1099,5.08,-0.17],
-[22565,4.85624,18.8399,5.08,0.21],
-[52457,10.7236,23.1884,5.08,0.04],
-[63005,12.91025,-57.1687,5.08,-0.09],
-[79302,16.18391,-29.4162,5.09,1.13],
-[23265,5.00576,81.1941,5.09,1.3],
-[108022,21.88438,25.9251,5.09,-0.16],
-[3781,0.80978,-74.9234,5.09,1.34],
-[110256,22.33375,-80.4397,5.09,1.28],
-[9110,1.95585,17.8175,5.09,0.92],
-[113788,23.04344,42.7578,5.09,0.09],
-[77660,15.85433,-3.0905,5.09,0.14],
-[90037,18.37183,-38.6569,5.09,1.5],
-[48224,9.83254,-45.7327,5.09,-0.1],
-[31278,6.56053,-1.2202,5.09,-0.13],
-[16292,3.50006,55.4518,5.09,0.02],
-[87194,17.81365,25.6229,5.09,1.14],
-[106999,21.66975,43.2738,5.09,1.6],
-[117020,23.72288,10.3315,5.09,1.69],
-[98920,20.08597,19.9911,5.09,1.06],
-[109102,22.10054,45.0143,5.09,1.57],
-[115444,23.3846,12.3139,5.09,1.32],
-[43413,8.84263,-46.5292,5.09,-0.2],
-[59819,12.26672,14.8991,5.09,0.07],
-[55597,11.38928,-64.9547,5.09,-0.06],
-[46283,9.43832,-53.3789,5.09,-0.1],
-[40321,8.23286,-36.3223,5.09,-0.18],
-[36114,7.4394,-51.0185,5.09,1.04],
-[39023,7.98492,-23.3104,5.09,1.11],
-[47965,9.77546,57.1281,5.09,1.59],
-[35699,7.3658,20.4437,5.09,1.53],
-[20522,4.39773,9.461,5.1,0.07],
-[19461,4.16744,80.6987,5.1,0.59],
-[78481,16.02064,17.8184,5.1,0.99],
-[15737,3.37923,20.7421,5.1,1.23],
-[57613,11.81252,-26.7498,5.1,1.59],
-[64803,13.28142,-31.5062,5.1,0.96],
-[107382,21.75007,-9.0824,5.1,1.11],
-[85162,17.40364,-44.1626,5.1,-0.05],
-[27534,5.83154,-66.9012,5.1,-0.13],
-[117689,23.86852,-82.0188,5.1,0.93],
-[13775,2.9548,31.9342,5.1,-0.01],
-[106944,21.65924,2.2436,5.1,1.03],
-[70400,14.40315,5.8201,5.1,0.12],
-[82129,16.77778,-67.1097,5.1,-0.08],
-[94885,19.30903,1.0851,5.1,1.14],
-[88899,18.14802,20.0452,5.1,0.18],
-[113561,23.00142,56.9454,5.1,1.01],
-[23941,5.14547,-4.4562,5.11,0.46],
-[54461,11.14278,-61.9472,5.11,0.2],
-[90191,18.40383,39.5072,5.11,0.05],
-[102693,20.80808,-43.9885,5.11,0.36],
-[91875,18.72971,-38.3234,5.11,0.08],
-[101983,20.66735,-60.5489,5.11,0.54],
-[65535,13.43548,-39.7551,5.11,1.18],
-[33104,6.89507,68.8883,5.11,-0.11],
-[111795,22.64386,56.7956,5.11,1.54],
-[94083,19.15272,76.5605,5.11,0.31],
-[112242,22.73486,41.8192,5.11,0.96],
-[35406,7.31061,-36.7427,5.11,-0.17],
-[48833,9.96141,41.0556,5.11,0.48],
-[18213,3.89415,-34.7323,5.11,-0.13],
-[77982,15.92489,-68.603,5.11,1.11],
-[108317,21.94421,63.6256,5.11,1.55],
-[6960,1.49337,-21.6293,5.11,0.03],
-[109973,22.27404,-41.6272,5.11,0.93],
-[96327,19.58535,-10.5604,5.12,1.12],
-[61468,12.59599,-41.0219,5.12,0.22],
-[91105,18.584,-10.9772,5.12,0.93],
-[62356,12.77743,16.5777,5.12,1.35],
-[101477,20.5653,-44.516,5.12,1],
-[14240,3.06024,-59.7378,5.12,0.35],
-[95951,19.51261,27.9653,5.12,-0.1],
-[45505,9.27307,-44.2657,5.12,1.64],
-[52353,10.69908,65.7163,5.12,1.21],
-[53261,10.89291,54.5851,5.12,1.36],
-[110391,22.35988,-21.5982,5.12,1.06],
-[35710,7.3674,36.7606,5.12,1.08],
-[34670,7.17986,-48.9321,5.12,1.25],
-[113860,23.05828,-34.7494,5.12,0.3],
-[46914,9.56237,-49.0051,5.12,-0.11],
-[37664,7.72831,-40.9337,5.12,1.1],
-[38373,7.86166,1.7669,5.12,-0.12],
-[23794,5.11268,-4.6552,5.12,-0.06],
-[89935,18.35028,28.87,5.12,0.21],
-[90806,18.52397,-18.4027,5.12,0.02],
-[56250,11.53022,-59.5156,5.12,0.43],
-[86796,17.73575,-51.8341,5.12,0.69],
-[97675,19.85046,10.4157,5.12,0.56],
-[8882,1.90612,-42.497,5.12,-0.06],
-[84887,17.34839,24.4994,5.13,0],
-[94302,19.1946,56.8592,5.13,1.01],
-[40843,8.33441,27.2177,5.13,0.49],
-[26221,5.58791,-5.3897,5.13,0.02],
-[69038,14.13215,43.8545,5.13,1.49],
-[73826,15.08866,-41.0672,5.13,1.01],
-[56332,11.54837,-31.0872,5.13,1.58],
-[79653,16.25426,-47.372,5.13,-0.11],
-[76259,15.57703,-28.047,5.13,1.31],
-[11477,2.46714,-33.811,5.13,0.09],
-[6061,1.29665,3.6145,5.13,0.07],
-[1158,0.24101,-7.7805,5.13,1.6],
-[145,0.0304,-3.0275,5.13,-0.13],
-[15890,3.41127,64.586,5.13,2.04],
-[41325,8.43188,7.5645,5.13,0.93],
-[104043,21.07862,-77.0238,5.13,0.49],
-[118234,23.98216,-52.7458,5.13,1.12],
-[64906,13.30403,49.6821,5.14,-0.05],
-[34033,7.06058,10.9518,5.14,1.39],
-[76307,15.58748,39.0101,5.14,1.65],
-[38917,7.96437,-45.5777,5.14,1.26],
-[38016,7.79176,33.4157,5.14,1.64],
-[37088,7.6213,-4.111,5.14,0.44],
-[2900,0.6129,44.4886,5.14,1.59],
-[5799,1.24001,-7.9228,5.14,0.45],
-[70012,14.32569,-2.2655,5.14,1.02],
-[28691,6.0576,19.6906,5.14,-0.1],
-[32765,6.83184,-46.6146,5.14,0.46],
-[52742,10.78263,-56.7572,5.14,-0.08],
-[25429,5.43869,-58.9125,5.14,0.99],
-[34105,7.07176,-56.7497,5.14,-0.03],
-[84626,17.30019,-24.2869,5.14,1.05],
-[32864,6.84919,67.5719,5.14,-0.15],
-[16322,3.5068,11.3364,5.14,-0.04],
-[94477,19.22853,2.2937,5.14,-0.07],
-[93163,18.97681,-60.2006,5.14,1.36],
-[100122,20.31085,34.9828,5.14,0.66],
-[40285,8.22671,-46.9916,5.14,-0.14],
-[97870,19.88816,57.5235,5.14,-0.12],
-[59504,12.20331,77.6162,5.14,0.36],
-[17886,3.82575,33.0914,5.14,0.06],
-[95498,19.42461,19.7984,5.14,1],
-[33779,7.0143,-51.4026,5.14,1.65],
-[60221,12.34881,-13.5657,5.14,1.05],
-[56656,11.61685,-61.2834,5.14,1.1],
-[102157,20.69919,-66.7607,5.14,-0.06],
-[78105,15.94819,-33.9661,5.14,0.13],
-[39567,8.08458,13.1182,5.14,0.02],
-[56000,11.47641,-42.6742,5.14,-0.03],
-[50083,10.22518,-66.3728,5.15,0.22],
-[60320,12.36871,-67.5221,5.15,0.2],
-[11784,2.53505,36.1473,5.15,1.47],
-[82073,16.76386,8.5826,5.15,1.54],
-[56754,11.63537,-61.8266,5.15,-0.04],
-[102531,20.77746,16.1241,5.15,0.5],
-[64078,13.13161,-10.7404,5.15,1.14],
-[43531,8.86579,43.7266,5.15,0.97],
-[47654,9.7159,72.2526,5.15,1.03],
-[37946,7.77758,37.5174,5.15,1.59],
-[44857,9.13987,66.8732,5.15,1.51],
-[67244,13.78232,-36.2519,5.15,-0.01],
-[54360,11.12131,-42.6387,5.15,0.03],
-[42834,8.72785,-49.8228,5.15,-0.2],
-[9459,2.02844,-44.7135,5.15,1.47],
-[98425,19.99866,37.0429,5.15,-0.13],
-[5544,1.18521,31.4247,5.15,0.26],
-[114520,23.19561,8.7201,5.15,0.14],
-[58803,12.06097,-42.4341,5.15,0.42],
-[101936,20.65691,0.4864,5.15,1.06],
-[101984,20.66748,-18.1387,5.15,1.65],
-[75761,15.47729,1.8421,5.15,0.24],
-[72603,14.84477,-15.9972,5.15,0.4],
-[29895,6.29492,-16.8159,5.15,1.29],
-[72197,14.76669,-25.4432,5.15,0.32],
-[74605,15.24393,67.3467,5.15,0.55],
-[74707,15.26778,-41.4912,5.15,0.56],
-[15404,3.31048,50.2222,5.16,-0.07],
-[90887,18.53926,-39.704,5.16,0.08],
-[112935,22.87335,9.8357,5.16,0.49],
-[51814,10.58602,57.0826,5.16,0.35],
-[75530,15.42983,15.428,5.16,1.65],
-[27621,5.84812,-52.1089,5.16,0.96],
-[40429,8.25443,-62.9156,5.16,0.09],
-[76243,15.57403,-9.1834,5.16,-0.09],
-[107095,21.69246,-14.0476,5.16,0.67],
-[105570,21.38156,6.8111,5.16,0.06],
-[13717,2.94373,-3.7123,5.16,0.08],
-[73776,15.08003,-64.0314,5.16,0.94],
-[44946,9.15598,22.0454,5.16,0.97],
-[31084,6.52307,-12.392,5.16,1.26],
-[1686,0.35202,37.9686,5.16,0.44],
-[67929,13.91171,-1.5031,5.16,1.09],
-[11060,2.37262,55.8457,5.16,0.37],
-[38382,7.86286,-13.898,5.16,0.6],
-[95556,19.43587,36.3179,5.17,-0.12],
-[12832,2.74933,12.4458,5.17,0.23],
-[96459,19.61056,44.6949,5.17,0.93],
-[44143,8.99008,-59.0837,5.17,0.42],
-[87563,17.88834,40.008,5.17,1.17],
-[12273,2.63391,72.8183,5.17,0.9],
-[93815,19.10554,-52.3409,5.17,0.53],
-[104963,21.26053,-20.6517,5.17,1.16],
-[104085,21.08729,-54.727,5.17,1.2],
-[44093,8.98122,-47.2347,5.17,0.27],
-[20507,4.39468,-3.7455,5.17,0.07],
-[117629,23.85593,-18.9092,5.17,-0.12],
-[63210,12.95121,-51.1988,5.17,-0.07],
-[60514,12.40515,26.0986,5.17,0.08],
-[3909,0.83544,-10.6443,5.17,0.51],
-[38211,7.82811,-17.2284,5.17,1.28],
-[2381,0.50629,-23.7877,5.17,0.13],
-[58188,11.9336,-17.1508,5.17,-0.02],
-[59151,12.13056,-75.367,5.17,1.28],
-[5336,1.13748,54.9203,5.17,0.7],
-[61910,12.68776,-13.0139,5.17,0.43],
-[95447,19.41616,11.9444,5.17,0.76],
-[40943,8.35585,-36.4842,5.18,-0.19],
-[35951,7.41116,-16.2015,5.18,-0.04],
-[22833,4.91303,11.426,5.18,0.12],
-[27204,5.76664,-32.3064,5.18,-0.27],
-[101260,20.52511,74.9546,5.18,0.1],
-[73036,14.92629,-60.1142,5.18,1.16],
-[19171,4.11011,27.5999,5.18,-0.12],
-[55779,11.42872,-63.9725,5.18,0.5],
-[33682,6.99738,-67.9164,5.18,1.4],
-[69373,14.20112,69.4325,5.18,1.6],
-[25918,5.53132,-76.341,5.18,1.13],
-[99853,20.2584,23.5089,5.18,1.02],
-[26640,5.66228,25.8971,5.18,-0.15],
-[41296,8.42537,-51.7274,5.18,-0.16],
-[42504,8.666,-53.0547,5.18,-0.15],
-[96665,19.65323,5.3978,5.18,0],
-[92646,18.87768,-52.1074,5.18,0.96],
-[8016,1.71549,70.6225,5.18,-0.02],
-[55137,11.28817,2.0106,5.18,1.51],
-[24197,5.19488,16.0457,5.18,1.52],
-[45333,9.23904,61.4233,5.18,0.6],
-[107230,21.71781,72.3201,5.18,1.06],
-[2225,0.47045,44.3945,5.18,0.04],
-[97630,19.84278,38.7224,5.18,1.66],
-[1708,0.35866,-28.9815,5.18,1.01],
-[117315,23.78778,-50.2265,5.18,-0.16],
-[52469,10.72582,46.2039,5.18,0.32],
-[11072,2.3757,-23.8163,5.19,0.61],
-[51362,10.49131,-2.7391,5.19,-0.05],
-[56583,11.60074,69.323,5.19,0.97],
-[23840,5.12612,-63.3997,5.19,1.65],
-[39070,7.99376,-60.5871,5.19,1.76],
-[28744,6.07042,-6.7089,5.19,-0.07],
-[30717,6.45382,0.2992,5.19,1.19],
-[115404,23.37755,-15.0393,5.19,0.2],
-[77277,15.77777,62.5996,5.19,0.06],
-[99738,20.23737,28.6948,5.19,0.19],
-[111797,22.64418,63.5845,5.19,0.08],
-[42425,8.65143,-70.3867,5.19,0.01],
-[64792,13.27959,9.4242,5.19,0.58],
-[80874,16.51371,-61.6335,5.19,1.24],
-[103294,20.92686,13.7215,5.19,1.12],
-[105268,21.32284,64.8719,5.19,-0.04],
-[85312,17.43334,-50.6335,5.19,1.06],
-[11220,2.40692,50.0065,5.19,0.98],
-[43352,8.83097,-32.7805,5.19,0.88],
-[73945,15.11044,-16.2568,5.19,1.59],
-[90441,18.45348,0.1961,5.2,0.49],
-[35146,7.26527,59.6375,5.2,1.08],
-[2762,0.58747,-3.5928,5.2,0.57],
-[30932,6.49126,-56.8528,5.2,1.09],
-[2355,0.50204,29.7516,5.2,0.27],
-[104214,21.11479,38.7494,5.2,1.07],
-[33927,7.04022,24.2154,5.2,0.95],
-[60189,12.34268,-22.2159,5.2,-0.09],
-[93017,18.95044,32.9013,5.2,0.59],
-[115126,23.31852,-13.4586,5.2,0.79],
-[104174,21.10686,-32.3416,5.2,1.1],
-[32104,6.70676,17.6453,5.2,0.06],
-[68269,13.97532,-24.9722,5.2,-0.09],
-[27971,5.91606,59.8884,5.2,0.01],
-[39961,8.15998,-44.1228,5.2,-0.17],
-[42679,8.69914,-45.4107,5.2,0.17],
-[57047,11.69554,-32.4994,5.2,1.48],
-[93917,19.12377,32.5017,5.2,0.37],
-[34081,7.06744,-42.3373,5.2,0.2],
-[29650,6.24747,19.1564,5.2,0.43],
-[42540,8.672,-40.2639,5.2,-0.03],
-[63901,13.09568,35.7989,5.2,-0.06],
-[19949,4.27864,53.6118,5.2,0.05],
-[80197,16.37262,33.7991,5.2,1.63],
-[92226,18.79573,-40.4062,5.2,0.78],
-[36238,7.46232,21.4452,5.2,0.46],
-[21296,4.5699,-8.2314,5.2,1.71],
-[19205,4.1168,29.0013,5.21,0.36],
-[85079,17.3878,-47.4682,5.21,-0.1],
-[30457,6.40287,-11.5301,5.21,1.23],
-[12484,2.67767,-54.5499,5.21,0.41],
-[55756,11.42485,-36.0631,5.21,0.98],
-[66098,13.54946,-10.165,5.21,0.96],
-[5300,1.12996,-41.4869,5.21,0.16],
-[111449,22.57823,-20.7082,5.21,0.45],
-[5737,1.22886,7.5754,5.21,0.32],
-[28296,5.98044,0.553,5.21,0.01],
-[32064,6.699,-9.1675,5.21,1.52],
-[30679,6.44691,58.4174,5.21,1.54],
-[64725,13.26632,-19.9431,5.21,1.01],
-[77578,15.83821,2.1965,5.21,1.02],
-[25048,5.36345,41.8046,5.22,-0.13],
-[62267,12.76029,7.6733,5.22,0.32],
-[92390,18.82781,-20.3247,5.22,1.4],
-[92405,18.83137,32.5511,5.22,0.1],
-[33878,7.03233,-5.7221,5.22,1.69],
-[116076,23.52149,39.2362,5.22,1.03],
-[3505,0.74567,-22.0061,5.22,0.35],
-[21547,4.6267,-2.4735,5.22,0.28],
-[55831,11.44317,-61.1152,5.22,-0.08],
-[32562,6.79433,48.7895,5.22,1.13],
-[39061,7.99122,-39.2969,5.22,0.4],
-[72290,14.78369,-52.3835,5.22,0.98],
-[31119,6.53008,11.5444,5.22,0.18],
-[13874,2.97836,-2.7829,5.22,0.01],
-[19799,4.2434,10.0114,5.22,-0.08],
-[36265,7.46724,6.942,5.22,0.22],
-[95260,19.3808,26.2624,5.22,-0.12],
-[58684,12.03524,43.0456,5.22,0.28],
-[98583,20.02459,64.821,5.22,1.6],
-[82216,16.79623,5.2467,5.22,0],
-[70035,14.331,-61.273,5.22,0.28],
-[54767,11.21257,-64.1698,5.22,-0.08],
-[9763,2.0921,76.1151,5.22,0.95],
-[43970,8.95415,15.3228,5.22,0.15],
-[23734,5.10235,58.9724,5.22,-0.08],
-[106093,21.49082,46.5406,5.22,0.96],
-[38020,7.79208,-46.6085,5.22,-0.15],
-[72357,14.79578,-26.0875,5.23,0.94],
-[44337,9.02905,-52.1887,5.23,-0.12],
-[44798,9.12912,10.6682,5.23,-0.09],
-[10306,2.21336,21.211,5.23,0.46],
-[44154,8.9924,32.4186,5.23,0.91],
-[6315,1.35205,28.7382,5.23,1.4],
-[48926,9.98119,-35.891,5.23,0.3],
-[53252,10.89154,-20.1387,5.23,0.48],
-[52701,10.77489,-64.2632,5.23,-0.08],
-[43834,8.92769,27.9275,5.23,1],
-[94068,19.14998,6.0732,5.23,0.35],
-[79607,16.24469,33.8586,5.23,0.6],
-[63076,12.9246,65.4385,5.23,0.3],
-[39970,8.16199,-47.9372,5.23,-0.2],
-[14456,3.1093,-6.0886,5.23,1.58],
-[32292,6.74124,-31.0705,5.23,-0.13],
-[98636,20.03373,24.938,5.23,0.37],
-[76939,15.71064,-37.4249,5.23,0.99],
-[86036,17.58317,61.8746,5.23,0.6],
-[82730,16.90992,-6.154,5.23,1.1],
-[35907,7.40235,40.6724,5.23,1.25],
-[82493,16.85937,-41.2305,5.23,0.05],
-[73909,15.10464,54.5563,5.24,0.96],
-[117089,23.73669,-18.2769,5.24,-0.08],
-[3949,0.84477,-50.9868,5.24,0.36],
-[64348,13.18979,-43.3686,5.24,1.05],
-[80620,16.46207,-7.5979,5.24,1.72],
-[35393,7.30931,-39.2103,5.24,0.03],
-[80843,16.50932,20.4792,5.24,1.27],
-[42334,8.63115,-26.255,5.24,-0.03],
-[109572,22.19685,56.8394,5.24,0.53],
-[98174,19.95175,-58.9014,5.24,0.01],
-[16803,3.60484,-17.4671,5.24,-0.12],
-[79540,16.23081,-11.8377,5.24,1.39],
-[103571,20.98475,4.2946,5.24,0.46],
-[112529,22.79254,-19.6134,5.24,0.94],
-[950,0.19555,-35.1331,5.24,0.46],
-[21297,4.56994,-8.9703,5.24,1.46],
-[45527,9.27826,-6.3531,5.24,1.17],
-[26268,5.5943,-4.8561,5.24,0.27],
-[101923,20.65453,-14.9548,5.24,-0.13],
-[14043,3.0145,52.3517,5.24,-0.05],
-[90200,18.40507,-44.1103,5.24,-0.16],
-[15371,3.30331,-62.5064,5.24,0.6],
-[20384,4.3648,-63.3864,5.24,0.96],
-[32480,6.77898,43.5774,5.24,0.57],
-[25197,5.39106,57.5444,5.24,-0.01],
-[7981,1.70827,20.2685,5.24,0.84],
-[56779,11.641,8.1343,5.24,1.5],
-[17457,3.74181,-1.1631,5.24,-0.09],
-[36641,7.53499,1.9145,5.24,0.23],
-[107128,21.70019,-23.2629,5.24,0.99],
-[17717,3.79435,-23.8747,5.24,0.08],
-[45344,9.24014,-43.2275,5.24,-0.14],
-[17954,3.83859,25.5794,5.24,0.23],
-[90067,18.38029,17.8266,5.25,1.25],
-[13141,2.81706,-62.8065,5.25,0.1],
-[31688,6.62989,-32.3397,5.25,1.18],
-[25202,5.39171,-13.9274,5.25,-0.22],
-[104738,21.21751,-39.4249,5.25,0.46],
-[92056,18.76299,74.0856,5.25,0.95],
-[50414,10.29383,-8.0689,5.25,0.34],
-[76534,15.63044,40.3534,5.25,0.89],
-[31165,6.53927,-37.6967,5.25,0.98],
-[37921,7.77117,10.7683,5.25,0.02],
-[112031,22.69129,40.2254,5.25,-0.14],
-[7955,1.70239,-32.327,5.25,1.04],
-[51502,10.51805,82.5586,5.25,0.4],
-[93903,19.1217,36.1002,5.25,-0.11],
-[86305,17.63487,-54.5004,5.25,0.2],
-[88331,18.03974,20.8336,5.25,-0.1],
-[10559,2.26564,33.3589,5.25,0],
-[113864,23.05913,67.2092,5.25,1.25],
-[39487,8.07116,-32.6748,5.25,1.88],
-[20261,4.34342,15.0955,5.26,0.22],
-[67703,13.86802,-52.8115,5.26,-0.08],
-[76425,15.60822,10.0102,5.26,0.92],
-[80161,16.36354,69.1094,5.26,1.12],
-[48883,9.97038,12.4448,5.26,-0.04],
-[56975,11.67974,21.3527,5.26,0.98],
-[45328,9.23833,-55.5696,5.26,0.98],
-[49698,10.14522,-65.8154,5.26,0.97],
-[108924,22.06471,63.1199,5.26,1.56],
-[69068,14.13814,49.4582,5.26,1.64],
-[20266,4.34454,65.1404,5.26,0.82],
-[45631,9.30163,-51.0509,5.26,-0.06],
-[56573,11.59877,-47.6416,5.26,0.26],
-[53154,10.87524,-57.2404,5.26,0.13],
-[93256,18.99597,26.2304,5.26,1.23],
-[58082,11.91182,-25.7139,5.26,0.88],
-[13165,2.82154,17.4643,5.26,-0.07],
-[31434,6.58668,28.0223,5.26,-0.01],
-[27386,5.80006,6.4542,5.26,0.23],
-[75828,15.49008,-46.7327,5.26,1.73],
-[14293,3.07125,-7.6009,5.26,0.19],
-[62027,12.71396,-63.0586,5.27,0.2],
-[72929,14.90559,-24.6422,5.27,1.34],
-[20641,4.42361,22.2,5.27,0.25],
-[36760,7.56013,15.8267,5.27,0.06],
-[50070,10.22302,-51.233,5.27,0.26],
-[9727,2.08532,77.2813,5.27,0.34],
-[109005,22.08347,62.7857,5.27,1.41],
-[15627,3.35378,21.1471,5.27,-0.07],
-[48682,9.92861,49.8198,5.27,0.09],
-[83431,17.05242,-53.237,5.27,0.5],
-[57477,11.78212,55.6282,5.27,1.28],
-[6999,1.5017,47.0073,5.27,1],
-[80057,16.3408,-78.6675,5.27,1.41],
-[83313,17.02677,33.5683,5.27,0.03],
-[10320,2.21513,-30.7238,5.27,-0.01],
-[11738,2.52503,2.2672,5.27,1.27],
-[93203,18.98493,13.6222,5.27,0.57],
-[30073,6.32856,-7.8229,5.27,-0.18],
-[65581,13.44532,-12.7077,5.27,1.48],
-[51313,10.48127,-64.1723,5.27,1.86],
-[32537,6.78928,-37.9297,5.27,-0.08],
-[99968,20.28202,40.3651,5.27,1.65],
-[42129,8.58766,-58.2247,5.27,-0.13],
-[107843,21.84841,-82.7189,5.27,0.76],
-[109693,22.2195,86.108,5.27,-0.03],
-[116957,23.70773,-15.448,5.27,1.34],
-[11757,2.52783,-79.1094,5.27,0.98],
-[43142,8.7875,-1.897,5.28,0.06],
-[30953,6.49697,-50.2391,5.28,0.37],
-[32492,6.78086,-14.426,5.28,-0.02],
-[58587,12.01421,-19.659,5.28,-0.19],
-[98103,19.93729,11.4237,5.28,0.01],
-[60122,12.3302,48.9841,5.28,1.62],
-[45581,9.29033,-74.8943,5.28,0.02],
-[18788,4.02557,-1.5497,5.28,-0.13],
-[85389,17.44777,-45.843,5.28,-0.06],
-[100195,20.32322,-19.1185,5.28,1.39],
-[7650,1.64193,73.04,5.28,0.97],
-[57371,11.76222,-45.6901,5.28,-0.12],
-[94834,19.29694,11.5954,5.28,0.2],
-[96957,19.70945,11.8266,5.28,0.57],
-[74596,15.24144,29.1643,5.28,0.06],
-[41003,8.36792,-73.4,5.28,0.01],
-[80645,16.46592,-64.0579,5.28,0.38],
-[32921,6.85918,21.7611,5.28,-0.02],
-[91014,18.56605,-33.0166,5.28,-0.12],
-[81437,16.63346,56.0155,5.28,1.06],
-[23871,5.13011,20.4184,5.28,0.12],
-[45455,9.26383,56.7414,5.28,1.57],
-[22040,4.7392,-59.7327,5.28,0.21],
-[117218,23.76692,-18.6783,5.28,0.3],
-[110618,22.40976,-72.2554,5.28,0.66],
-[26460,5.62906,-28.6897,5.28,0.49],
-[18453,3.94347,50.6954,5.28,0.42],
-[27364,5.79525,13.8996,5.28,-0.16],
-[47300,9.63938,40.2398,5.28,0.22],
-[29048,6.12823,-19.1659,5.28,1.66],
-[69612,14.24746,10.1006,5.29,1.01],
-[814,0.16729,-82.224,5.29,1.05],
-[33316,6.9297,-22.9414,5.29,-0.16],
-[92824,18.91323,-87.6058,5.29,1.3],
-[11021,2.36573,0.3957,5.29,1.65],
-[60904,12.48186,25.9129,5.29,-0.06],
-[10793,2.31583,28.6427,5.29,0.04],
-[19719,4.22586,7.716,5.29,0.37],
-[105898,21.44767,48.8352,5.29,0.11],
-[106327,21.53496,-41.1793,5.29,1.11],
-[11486,2.46944,29.6693,5.29,0.31],
-[108991,22.07984,-0.9063,5.29,0.23],
-[89439,18.25358,-20.7283,5.29,0.01],
-[35427,7.31424,-26.5859,5.29,0.96],
-[22287,4.80007,56.7572,5.29,0.25],
-[27947,5.91392,-52.6355,5.29,0.3],
-[24873,5.33306,-12.3156,5.29,-0.1],
-[20704,4.43508,31.4389,5.29,0.99],
-[26868,5.70422,-34.6678,5.29,-0.03],
-[983,0.20277,-17.9383,5.29,1.48],
-[9312,1.99389,64.6216,5.29,0],
-[48390,9.86473,24.3954,5.29,0.23],
-[8209,1.76076,-25.0526,5.29,0.4],
-[107472,21.76788,22.9489,5.29,1.38],
-[117730,23.87697,10.9473,5.3,0.19],
-[103511,20.97121,22.3259,5.3,1.42],
-[96808,19.67872,-16.2933,5.3,1.11],
-[39780,8.1294,21.5818,5.3,0.64],
-[12489,2.67808,27.0609,5.3,0.08],
-[45290,9.23006,43.2178,5.3,-0.13],
-[23467,5.04528,-71.3143,5.3,1],
-[34802,7.20439,-40.4988,5.3,0.07],
-[98421,19.9976,-34.6978,5.3,0.17],
-[3231,0.68533,39.4587,5.3,0.89],
-[32411,6.7665,-14.7961,5.3,0.08],
-[16499,3.54063,46.0569,5.3,0.4],
-[37704,7.73525,25.7842,5.3,1.54],
-[85084,17.38933,-28.1428,5.3,1.55],
-[105942,21.45594,37.1168,5.3,-0.14],
-[49809,10.1683,-12.8159,5.3,0.37],
-[114200,23.12758,46.3872,5.3,1.41],
-[21914,4.7129,-50.4813,5.3,0.98],
-[12225,2.62342,-52.5431,5.3,0.29],
-[116820,23.67727,-32.0731,5.3,0.96],
-[103569,20.98458,4.2935,5.3,0.46],
-[38962,7.9724,2.2248,5.3,0.93],
-[99951,20.27975,24.6711,5.3,0.95],
-[21928,4.71509,43.3651,5.3,0.03],
-[47479,9.67849,-57.9836,5.3,0.2],
-[56034,11.48448,39.337,5.3,0.02],
-[43305,8.8227,-3.443,5.3,-0.08],
-[104365,21.14267,-21.1937,5.3,0],
-[89773,18.31963,24.4461,5.3,1.51],
-[100541,20.3863,5.343,5.3,0.98],
-[107151,21.70429,5.6801,5.3,1.65],
-[94150,19.16464,-68.4244,5.31,0.9],
-[45544,9.28252,-39.4015,5.31,1.17],
-[110649,22.41564,-57.7974,5.31,0.66],
-[80945,16.52827,-41.8171,5.31,0.3],
-[55016,11.26442,13.3076,5.31,1.19],
-[64577,13.23636,-19.9309,5.31,0.86],
-[10366,2.22673,51.0658,5.31,0.93],
-[59654,12.23408,-45.7239,5.31,1.4],
-[104974,21.26246,-15.1715,5.31,1.64],
-[85667,17.50661,-1.0629,5.31,0.72],
-[56997,11.68417,34.2016,5.31,0.72],
-[57562,11.79858,8.2459,5.31,0.04],
-[43671,8.89739,-47.5208,5.31,0.28],
-[37701,7.7345,50.4338,5.31,0],
-[27243,5.77427,-46.5972,5.31,1.04],
-[10819,2.32134,47.38,5.31,0.01],
-[14168,3.04508,-7.6855,5.32,0.94],
-[103882,21.04943,-38.6314,5.32,0.42],
-[18957,4.06239,5.4356,5.32,-0.08],
-[65479,13.42057,-64.4851,5.32,0.41],
-[84177,17.20772,10.5852,5.32,1.59],
-[99461,20.18663,-36.1012,5.32,0.87],
-[52911,10.82095,10.5452,5.32,0.04],
-[72489,14.82196,-14.149,5.32,0.07],
-[5518,1.17758,68.7786,5.32,-0.01],
-[41260,8.41771,-24.0462,5.32,1.48],
-[57111,11.70789,66.7449,5.32,1.27],
-[112781,22.83966,-80.1238,5.32,-0.13],
-[21515,4.62046,0.9983,5.32,-0.11],
-[38146,7.81713,-24.9122,5.32,0.75],
-[60449,12.39317,-35.4127,5.32,-0.07],
-[26126,5.57133,3.7669,5.32,0.05],
-[73049,14.92908,-33.8558,5.32,0.05],
-[74649,15.25315,4.9394,5.32,1.09],
-[97749,19.86406,-39.8744,5.32,-0.04],
-[80208,16.37444,-49.5724,5.32,-0.05],
-[98624,20.03123,-66.944,5.32,1.22],
-[15770,3.387,49.2133,5.32,-0.08],
-[5131,1.09471,21.4732,5.33,0],
-[41909,8.54514,20.4412,5.33,1.25],
-[97421,19.80032,-56.3626,5.33,0.2],
-[109786,22.23834,-21.0746,5.33,0.81],
-[41616,8.48465,-47.9289,5.33,-0.14],
-[98438,20.00092,17.5165,5.33,1.58],
-[41822,8.52659,18.0944,5.33,1.57],
-[52678,10.77127,-64.5146,5.33,-0.1],
-[116264,23.5578,22.4988,5.33,1.48],
-[40817,8.33027,-71.5149,5.33,-0.06],
-[93124,18.97076,17.3609,5.33,0.73],
-[39734,8.12168,-20.5543,5.33,0.1],
-[22834,4.91327,7.7791,5.33,1.21],
-[22730,4.88966,2.5082,5.33,1.63],
-[64823,13.28767,13.6758,5.33,1.3],
-[20161,4.3213,-44.2679,5.33,1.07],
-[23879,5.13136,8.4984,5.33,0.34],
-[90074,18.38141,-36.6696,5.33,-0.12],
-[59184,12.13742,-48.6925,5.34,-0.01],
-[29704,6.25698,16.1432,5.34,-0.1],
-[70469,14.41351,-24.8063,5.34,0.96],
-[40215,8.21355,68.4741,5.34,1.04],
-[17563,3.76123,6.05,5.34,-0.1],
-[33048,6.88474,59.4485,5.34,0.68],
-[110000,22.28001,-12.8314,5.34,1.13],
-[36896,7.58578,30.9609,5.34,1.01],
-[9440,2.02076,-30.0018,5.34,0.88],
-[58884,12.07748,-68.3289,5.34,-0.01],
-[113327,22.95125,48.6841,5.34,-0.1],
-[24817,5.31978,2.5958,5.34,0.41],
-[50888,10.39148,-38.0098,5.34,0.25],
-[46107,9.40268,-80.7869,5.34,0.45],
-[63117,12.93254,-56.8358,5.34,0.01],
-[25980,5.54482,-1.5918,5.34,-0.19],
-[31789,6.647,39.9026,5.34,-0.08],
-[43414,8.84298,-66.793,5.34,0.42],
-[30247,6.36281,53.4522,5.34,0.45],
-[76866,15.6965,12.8475,5.34,0.03],
-[96288,19.57813,42.4125,5.34,0.06],
-[32489,6.78042,57.1692,5.34,0.96],
-[103127,20.89449,-39.8099,5.34,1.32],
-[20186,4.32686,21.7735,5.34,-0.11],
-[26001,5.54987,-64.2275,5.34,1.04],
-[13490,2.89517,38.3375,5.34,0.42],
-[82587,16.8828,31.7017,5.34,0.32],
-[109654,22.21328,34.6046,5.34,1.13],
-[107788,21.83575,17.2859,5.34,0.39],
-[80782,16.49509,-46.2432,5.35,0.49],
-[75119,15.35055,0.7153,5.35,1.19],
-[3951,0.84544,64.2475,5.35,0.53],
-[36439,7.49887,49.6725,5.35,0.47],
-[66936,13.7177,3.5379,5.35,1.09],
-[35957,7.41218,-31.8089,5.35,1.07],
-[28946,6.10975,38.4826,5.35,0.25],
-[22157,4.76715,11.7056,5.35,0.2],
-[110273,22.33664,-7.8211,5.35,-0.05],
-[82802,16.92282,18.4332,5.35,1.41],
-[92953,18.93804,-42.7107,5.35,1],
-[29246,6.16639,58.9357,5.35,1.1],
-[42604,8.68363,45.834,5.35,0.99],
-[116709,23.65232,50.4717,5.35,-0.06],
-[115355,23.36526,31.8125,5.35,-0.1],
-[46811,9.53869,-40.6493,5.35,0.9],
-[4371,0.93375,-11.2665,5.35,1.5],
-[77907,15.91052,43.1386,5.35,1.64],
-[79050,16.13544,-26.3267,5.35,1.64],
-[94385,19.21131,-7.9395,5.35,0.09],
-[6706,1.43757,19.1723,5.35,0.4],
-[86182,17.61046,48.5856,5.35,1.14],
-[116889,23.69291,-18.0271,5.36,1.58],
-[29996,6.31405,-9.39,5.36,1.24],
-[89605,18.28543,-56.0234,5.36,-0.05],
-[110109,22.30429,-53.6271,5.36,0.61],
-[34987,7.23891,3.1114,5.36,1.19],
-[21730,4.66613,53.473,5.36,0.33],
-[52405,10.71127,-59.2158,5.36,0.21],
-[29490,6.21418,65.7184,5.36,1.34],
-[72131,14.7548,-62.8756,5.36,0.31],
-[26063,5.55874,-1.1561,5.36,-0.18],
-[11791,2.53595,-1.0349,5.36,1],
-[35083,7.25585,-30.6864,5.36,-0.16],
-[38846,7.94939,-43.5004,5.36,-0.17],
-[18993,4.06941,2.8269,5.36,0.5],
-[3632,0.77582,15.4755,5.36,1.56],
-[37853,7.75974,-34.1724,5.36,0.59],
-[40107,8.1925,-7.7725,5.36,0.89],
-[92989,18.94458,-37.3432,5.36,-0.15],
-[76628,15.64849,-19.3019,5.36,0.88],
-[5268,1.12184,-61.7753,5.36,0.88],
-[58510,11.99914,3.6552,5.36,0],
-[27658,5.85611,-7.518,5.36,-0.2],
-[102599,20.79265,80.5523,5.36,1.14],
-[52638,10.76442,30.6823,5.36,-0.05],
-[3138,0.66544,21.4385,5.36,1.16],
-[65301,13.38364,-17.7353,5.36,0.99],
-[45410,9.25385,14.9415,5.36,1.32],
-[47723,9.72886,14.0217,5.36,1.61],
-[84821,17.33607,25.5376,5.36,0.06],
-[75439,15.4125,-39.7103,5.36,-0.09],
-[11258,2.41499,-60.3119,5.36,0.4],
-[54746,11.20919,-49.101,5.37,0.18],
-[80337,16.40036,-39.193,5.37,0.62],
-[30565,6.42462,-69.6903,5.37,0.97],
-[8230,1.76646,-5.7333,5.37,1.52],
-[109592,22.20056,60.7591,5.37,1.18],
-[110298,22.34099,5.7895,5.37,-0.04],
-[90763,18.51801,-32.9891,5.37,0.18],
-[39117,8.00326,73.9179,5.37,1.42],
-[109404,22.16547,-34.015,5.37,0.24],
-[79804,16.2876,59.755,5.37,1.55],
-[35987,7.41616,11.6695,5.37,0.1],
-[92112,18.77285,75.434,5.37,0.05],
-[26248,5.59087,24.0396,5.37,-0.09],
-[28949,6.11076,-4.1938,5.37,-0.12],
-[92111,18.77239,-22.3922,5.37,1.59],
-[29730,6.26126,59.999,5.37,1.34],
-[88380,18.04753,-24.2825,5.37,0.5],
-[73223,14.96476,-76.6627,5.37,1.44],
-[63432,12.99866,66.5973,5.37,1.28],
-[49081,10.01686,31.9237,5.37,0.68],
-[35848,7.39139,-27.8343,5.37,1.54],
-[23482,5.04686,-49.1514,5.37,0.42],
-[60978,12.49927,58.4057,5.37,0.2],
-[113957,23.07767,-53.9649,5.37,1.45],
-[77858,15.89831,-24.5332,5.38,-0.01],
-[1645,0.3433,8.1903,5.38,1.34],
-[97650,19.84633,-10.7635,5.38,0.4],
-[38722,7.92775,19.884,5.38,-0.04],
-[62572,12.8205,83.4129,5.38,0.03],
-[90642,18.49472,-1.9853,5.38,0.96],
-[3330,0.70787,-65.468,5.38,0.52],
-[109521,22.18607,50.8234,5.38,0.15],
-[91217,18.60773,9.1225,5.38,0.39],
-[66849,13.70031,-58.7871,5.38,-0.03],
-[2568,0.54319,20.2943,5.38,1.07],
-[91013,18.56575,52.3535,5.38,1.09],
-[46404,9.46299,-6.0712,5.38,0.64],
-[24799,5.31667,33.7484,5.38,-0.17],
-[70931,14.50582,-49.519,5.38,0.06],
-[60781,12.45802,-58.9918,5.38,1.54],
-[105665,21.40266,-20.8519,5.38,1.18],
-[18859,4.04354,-0.2689,5.38,0.52],
-[92202,18.79137,-5.7051,5.38,1.28],
-[20264,4.34417,-20.6396,5.38,-0.03],
-[100965,20.47069,81.4227,5.38,1.01],
-[75178,15.3635,32.9337,5.38,-0.05],
-[12086,2.59634,34.6876,5.38,1.65],
-[1960,0.41319,61.8311,5.38,0.01],
-[103732,21.0197,46.1558,5.38,-0.21],
-[20430,4.37637,25.6293,5.38,-0.04],
-[45571,9.28815,-68.6896,5.38,0.42],
-[60379,12.3804,-57.6761,5.38,-0.1],
-[35589,7.34411,-52.0859,5.38,-0.07],
-[73095,14.93812,-52.8095,5.38,0.14],
-[99031,20.10606,35.9725,5.38,0.85],
-[94712,19.27271,-45.466,5.38,1.35],
-[84862,17.34432,32.4677,5.38,0.62],
-[21670,4.65171,7.871,5.38,0.26],
-[23221,4.99735,-10.2633,5.39,0.8],
-[105966,21.46113,27.6086,5.39,0.05],
-[78459,16.01741,33.3035,5.39,0.61],
-[89851,18.33578,-15.8317,5.39,1.47],
-[22044,4.74051,11.1461,5.39,0.25],
-[71618,14.64729,44.4045,5.39,0.03],
-[32677,6.81604,-15.1447,5.39,-0.1],
-[55650,11.40065,1.4078,5.39,0.94],
-[46735,9.52567,35.1033,5.39,1.54],
-[84979,17.3683,-70.1232,5.39,-0.04],
-[77227,15.76823,-1.8042,5.39,-0.04],
-[32494,6.7813,-51.2657,5.39,1.33],
-[19513,4.18052,26.481,5.39,0.35],
-[39538,8.07977,79.4796,5.39,-0.04],
-[71500,14.62227,-46.1334,5.39,0.93],
-[101483,20.56584,13.0273,5.39,0.09],
-[4890,1.047,-46.3973,5.39,0.9],
-[29850,6.28517,9.9424,5.39,0.11],
-[93299,19.0038,50.5335,5.39,-0.18],
-[96302,19.58081,29.463,5.39,0.58],
-[114389,23.16707,9.8221,5.39,-0.07],
-[13202,2.83172,-27.942,5.39,0.01],
-[56391,11.56034,-40.5866,5.39,0.12],
-[18396,3.93282,47.8714,5.39,-0.07],
-[97534,19.82369,-72.5034,5.39,0.23],
-[79195,16.16403,-3.4667,5.39,1.45],
-[82764,16.91532,20.9585,5.39,0.97],
-[43721,8.90409,30.5791,5.4,1.05],
-[46454,9.47428,9.0568,5.4,0.6],
-[80214,16.37478,33.7035,5.4,1.52],
-[70602,14.44094,19.2269,5.4,0.23],
-[98962,20.09244,61.9954,5.4,1.19],
-[80399,16.41105,-29.7047,5.4,0.62],
-[93526,19.04847,-3.699,5.4,0],
-[46471,9.47777,45.6015,5.4,0.99],
-[65728,13.4742,59.9458,5.4,-0.01],
-[76013,15.52523,-73.3896,5.4,-0.15],
-[54849,11.22932,-0.0695,5.4,-0.02],
-[17854,3.82048,70.871,5.4,0.1],
-[35795,7.38353,-31.9238,5.4,-0.16],
-[93713,19.08199,53.3967,5.4,-0.01],
-[93717,19.08269,-4.0314,5.4,1.12],
-[105143,21.29925,-17.9851,5.4,-0.12],
-[25499,5.4528,17.9622,5.4,-0.09],
-[20376,4.36323,60.7356,5.4,1.5],
-[31579,6.60912,38.4455,5.4,2.77],
-[91989,18.74921,-39.6862,5.4,0.85],
-[21036,4.51038,13.7244,5.4,0.26],
-[4914,1.0507,-4.8366,5.4,1.11],
-[12653,2.70926,-50.8003,5.4,0.56],
-[47080,9.59433,35.8101,5.4,0.77],
-[26536,5.64391,30.4924,5.4,0.45],
-[97646,19.84578,-59.1937,5.41,0.08],
-[7450,1.59971,-15.4002,5.41,1.23],
-[83838,17.13391,35.9352,5.41,0.31],
-[77060,15.73456,-15.6728,5.41,0.24],
-[77859,15.89885,-23.9781,5.41,-0.03],
-[69989,14.32119,13.0043,5.41,0.38],
-[102773,20.82173,-68.7765,5.41,1.12],
-[102177,20.70351,50.34,5.41,-0.11],
-[3544,0.75477,55.2214,5.41,0.02],
-[32912,6.8575,-70.9634,5.41,-0.11],
-[34301,7.11132,-11.294,5.41,0.03],
-[37450,7.68773,-38.5335,5.41,-0.13],
-[104750,21.22148,-27.6193,5.41,1.42],
-[91235,18.61037,33.469,5.41,-0.1],
-[96693,19.65736,42.8183,5.41,-0.06],
-[80693,16.47611,0.665,5.41,1.46],
-[89772,18.31932,7.2598,5.41,1.08],
-[35855,7.39219,-32.2021,5.41,-0.17],
-[930,0.19289,-27.7997,5.41,1.35],
-[90023,18.36908,23.2852,5.41,1.63],
-[36363,7.48492,-38.8121,5.41,-0.15],
-[85537,17.48046,0.3306,5.41,0.24],
-[67288,13.79039,-17.8598,5.41,1.62],
-[61621,12.62841,-27.1389,5.41,0.33],
-[3721,0.79612,74.8476,5.42,-0.07],
-[80390,16.40882,-37.566,5.42,-0.1],
-[6592,1.41133,-41.4925,5.42,1.03],
-[9589,2.05324,0.1285,5.42,0.15],
-[41817,8.52526,-19.5775,5.42,-0.06],
-[50333,10.27798,13.7283,5.42,1.65],
-[61309,12.56081,33.2476,5.42,1.01],
-[70794,14.47826,-6.9005,5.42,1.49],
-[57512,11.78865,-57.6965,5.42,1.66],
-[8814,1.88815,40.7298,5.42,1.31],
-[114273,23.1447,2.1279,5.42,0.91],
-[20776,4.45081,80.8242,5.42,1.18],
-[62223,12.75217,45.4403,5.42,2.99],
-[761,0.15585,-27.9879,5.42,0.41],
-[44818,9.13335,29.6542,5.42,0.89],
-[5951,1.27675,-2.5004,5.42,0.89],
-[101800,20.63031,11.3777,5.42,0.05],
-[11046,2.37011,-0.8849,5.42,0.34],
-[36778,7.56418,-36.3384,5.42,-0.08],
-[32311,6.74596,28.9709,5.42,1.44],
-[91494,18.65977,-43.1859,5.42,1.65],
-[2240,0.47403,-39.915,5.42,1.56],
-[105972,21.46282,66.8091,5.42,-0.1],
-[31299,6.56374,-36.232,5.42,1.42],
-[9372,2.00745,-8.5239,5.43,1.39],
-[108661,22.01395,-28.4537,5.43,-0.1],
-[54173,11.08172,-35.8047,5.43,0.02],
-[109472,22.17708,-11.5649,5.43,-0.12],
-[23983,5.15546,9.8296,5.43,0.25],
-[9326,1.99617,-20.8245,5.43,1.64],
-[54477,11.14556,-28.0807,5.43,0.07],
-[31121,6.53057,-8.1582,5.43,1.37],
-[51585,10.5366,14.1373,5.43,1.7],
-[113521,22.99096,0.9629,5.43,0.98],
-[43082,8.77515,-45.9125,5.43,0.24],
-[112731,22.82952,55.9028,5.43,1.17],
-[112832,22.8506,-39.1568,5.43,1.44],
-[78246,15.97635,-24.8315,5.43,-0.09],
-[25769,5.50284,63.0672,5.43,1.7],
-[92614,18.87123,21.4251,5.43,-0.07],
-[78012,15.92988,37.947,5.43,0.35],
-[83962,17.16332,-10.5233,5.43,0.46],
-[62423,12.79287,66.7903,5.43,1.57],
-[91237,18.61085,6.6718,5.43,0.39],
-[87728,17.91976,72.0051,5.43,0.34],
-[74941,15.31365,-60.4963,5.43,-0.09],
-[43908,8.94495,-85.6632,5.43,0.31],
-[47956,9.77235,-76.7761,5.43,0.9],
-[11029,2.36709,-10.7775,5.43,0.36],
-[12768,2.73477,44.297,5.43,0.9],
-[117447,23.81394,62.2145,5.43,0.67],
-[79387,16.20203,-8.5476,5.43,0.12],
-[76618,15.64708,-52.3727,5.43,0],
-[24254,5.20624,73.9467,5.44,-0.11],
-[115152,23.32494,48.6253,5.44,1.01],
-[79963,16.32157,-42.674,5.44,0.1],
-[87847,17.9466,-4.0818,5.44,1.16],
-[29736,6.26249,12.5511,5.44,0.02],
-[90414,18.44834,-48.1172,5.44,0.86],
-[24829,5.32281,-50.606,5.44,0.52],
-[34724,7.18989,-0.3019,5.44,0.31],
-[78893,16.10547,67.8101,5.44,-0.02],
-[64094,13.13532,-65.306,5.44,-0.03],
-[47204,9.62018,-53.6685,5.44,0.14],
-[33184,6.90685,-1.127,5.44,0.17],
-[38497,7.88431,-36.3638,5.44,1.16],
-[4510,0.96393,28.9922,5.44,1.08],
-[13782,2.9566,-23.8622,5.44,0.24],
-[101243,20.52189,49.2203,5.44,1.57],
-[99631,20.22052,-1.0093,5.44,1.43],
-[52737,10.78113,-17.2969,5.44,0.11],
-[43851,8.9321,11.626,5.44,1.46],
-[43932,8.94906,32.9104,5.44,0.18],
-[76397,15.60336,-44.3968,5.44,1.5],
-[26649,5.66384,-32.6292,5.44,0.91],
-[32439,6.77067,79.5648,5.44,0.52],
-[17776,3.80578,23.4212,5.44,-0.07],
-[58379,11.9709,-56.3173,5.44,-0.06],
-[19483,4.17292,-6.9239,5.44,0.94],
-[113996,23.08605,-7.6938,5.44,0.31],
-[15547,3.33878,77.7347,5.44,0.21],
-[46594,9.50142,-51.5172,5.45,-0.08],
-[111056,22.49805,78.8243,5.45,0.09],
-[113357,22.95777,20.7688,5.45,0.67],
-[74305,15.18777,-55.346,5.45,1.12],
-[2942,0.62256,35.3995,5.45,0.89],
-[4293,0.91675,-69.5271,5.45,1.1],
-[79754,16.27869,-53.8111,5.45,1.7],
-[3083,0.65275,49.3546,5.45,1.64],
-[109789,22.23854,-27.7669,5.45,-0.12],
-[42459,8.65663,-53.4398,5.45,-0.13],
-[14376,3.09075,25.2552,5.45,-0.03],
-[42286,8.6219,-62.8535,5.45,1.01],
-[17489,3.74673,24.2895,5.45,-0.03],
-[36616,7.53011,17.086,5.45,1.13],
-[33478,6.95942,-24.6308,5.45,0.39],
-[12332,2.64694,21.9614,5.45,0.17],
-[104382,21.14612,-88.9565,5.45,0.28],
-[73624,15.0498,-32.6433,5.45,-0.13],
-[19398,4.15495,-16.3859,5.45,-0.15],
-[33384,6.94291,-79.4202,5.45,0.04],
-[59394,12.1844,-23.6024,5.45,0.06],
-[77902,15.90962,20.311,5.45,1.59],
-[19805,4.24682,-62.1918,5.45,1.11],
-[21735,4.66762,12.1976,5.45,-0.12],
-[89507,18.26484,-44.2065,5.45,0.96],
-[63031,12.91622,-85.1234,5.45,0.99],
-[60855,12.47291,-39.0412,5.45,-0.07],
-[25993,5.54761,-38.5134,5.45,1.22],
-[96556,19.62981,-4.6476,5.45,0.43],
-[41323,8.43109,-42.1531,5.45,-0.14],
-[18975,4.06572,8.1973,5.45,0.37],
-[95503,19.42491,-23.9625,5.45,1.44],
-[108294,21.93966,-37.2537,5.45,0.08],
-[53273,10.89548,-2.1292,5.45,0.97],
-[44405,9.04563,24.4529,5.45,-0.04],
-[56700,11.62611,-47.7473,5.46,1.23],
-[75647,15.45504,-36.7676,5.46,-0.15],
-[4288,0.91614,23.6283,5.46,1.01],
-[25768,5.50263,-47.0777,5.46,0.62],
-[20156,4.32034,50.0487,5.46,0.24],
-[82676,16.90051,-41.8064,5.46,0.18],
-[67304,13.79405,-50.3207,5.46,1.35],
-[34624,7.17203,-27.4915,5.46,1],
-[92308,18.81402,-43.68,5.46,0.13],
-[46741,9.52675,-73.0809,5.46,1.56],
-[28943,6.10892,-23.1108,5.46,0.06],
-[27566,5.838,-79.3614,5.46,-0.08],
-[46358,9.45179,-71.6019,5.46,1.08],
-[79488,16.22095,5.0211,5.46,1.47],
-[25861,5.5207,3.2921,5.46,-0.18],
-[35180,7.27071,-15.5857,5.46,0.08],
-[98194,19.95385,40.3678,5.46,-0.09],
-[96536,19.62623,-14.3018,5.46,0.5],
-[19009,4.07269,24.106,5.46,0.81],
-[95073,19.34325,-0.8922,5.46,-0.04],
-[94827,19.29545,23.0255,5.46,0.02],
-[68940,14.1119,-9.3135,5.46,0.35],
-[42637,8.68877,-78.9634,5.46,-0.1],
-[95865,19.49783,-26.9856,5.46,1.12],
-[34912,7.22317,51.4287,5.46,1.64],
-[66634,13.65847,52.9212,5.46,0.11],
-[52595,10.75455,-80.4696,5.46,0.96],
-[24902,5.33741,41.0862,5.46,0.12],
-[21685,4.65548,-14.3592,5.46,1.05],
-[81305,16.60627,-42.8589,5.46,0.34],
-[75572,15.43817,34.336,5.46,1.41],
-[27196,5.76501,49.8263,5.46,0.03],
-[62131,12.73348,-28.324,5.46,1.35],
-[56290,11.5391,61.0825,5.46,0.52],
-[106787,21.62928,19.3186,5.46,0.32],
-[63066,12.92207,-42.9157,5.46,1.67],
-[92831,18.91449,41.6027,5.46,1.03],
-[22871,4.91976,-74.9369,5.47,1.52],
-[89290,18.22019,-41.3361,5.47,-0.16],
-[13965,2.99716,47.2207,5.47,0.87],
-[38639,7.91186,47.5646,5.47,1.46],
-[42080,8.57671,65.1452,5.47,0.21],
-[72582,14.84158,37.272,5.47,1.03],
-[87747,17.92366,26.05,5.47,0.34],
-[89042,18.17395,-62.0022,5.47,0.59],
-[22626,4.86811,63.5054,5.47,1.56],
-[65112,13.34384,-52.7478,5.47,-0.12],
-[60941,12.49084,24.1089,5.47,0.44],
-[90923,18.54721,30.5542,5.47,-0.08],
-[90913,18.54537,-14.8657,5.47,2],
-[21039,4.5108,15.6919,5.47,0.26],
-[61071,12.51682,24.5672,5.47,0.06],
-[53781,11.00408,45.5263,5.47,1.47],
-[25695,5.48792,25.1502,5.47,-0.04],
-[78400,16.00545,-16.5334,5.47,0.52],
-[84720,17.31765,-46.6362,5.47,0.76],
-[60044,12.3139,75.1606,5.47,0.05],
-[90133,18.39346,-75.0443,5.47,0.04],
-[44961,9.15988,-8.7876,5.47,1],
-[20982,4.50016,83.3404,5.47,0.86],
-[4104,0.87795,-24.0058,5.47,1.27],
-[103145,20.8983,33.4379,5.47,1.52],
-[110725,22.43355,70.7709,5.47,1.22],
-[27338,5.79061,17.7291,5.47,0.3],
-[102014,20.67217,-33.4318,5.47,1.12],
-[43325,8.82755,-40.3202,5.47,0.07],
-[110936,22.47756,-39.1318,5.47,0.96],
-[52004,10.62419,-58.7333,5.47,0.5],
-[34440,7.13946,15.9307,5.47,1.02],
-[16470,3.53572,48.0235,5.47,-0.1],
-[68581,14.03966,-27.4298,5.47,1.33],
-[106044,21.47912,-69.5054,5.47,1.55],
-[72664,14.85736,59.294,5.48,1.37],
-[82402,16.83872,7.2477,5.48,0.11],
-[24679,5.29451,-13.5198,5.48,0.93],
-[105668,21.40319,-12.8781,5.48,0.3],
-[11249,2.41363,10.6106,5.48,-0.1],
-[56802,11.64445,-13.2019,5.48,0.52],
-[80008,16.33199,39.7086,5.48,0.41],
-[38593,7.90306,-35.8773,5.48,-0.18],
-[61318,12.56299,-9.4521,5.48,-0.04],
-[76957,15.71411,52.3609,5.48,-0.04],
-[102497,20.77224,-39.1993,5.48,-0.08],
-[105767,21.42138,-3.5567,5.48,1.45],
-[13265,2.84456,-35.6758,5.48,1.26],
-[44613,9.09003,48.5303,5.48,0.48],
-[82135,16.77999,-39.377,5.48,0.98],
-[82960,16.9531,-33.2595,5.48,1.61],
-[18141,3.87824,-5.3613,5.48,-0.09],
-[79280,16.18042,75.8776,5.48,-0.09],
-[38048,7.79909,-12.1927,5.48,0.48],
-[73133,14.94614,-11.4097,5.48,1.49],
-[42712,8.7045,-48.0991,5.48,-0.17],
-[103094,20.88849,45.1817,5.48,1.09],
-[30214,6.35686,-11.7732,5.48,0],
-[45526,9.27816,-8.7448,5.49,-0.08],
-[22263,4.79341,-16.9345,5.49,0.63],
-[103401,20.94834,-9.6975,5.49,1.47],
-[61724,12.65203,21.0626,5.49,0.98],
-[8240,1.76832,-50.8163,5.49,1.62],
-[52689,10.77369,14.1946,5.49,0.91],
-[91004,18.56486,-24.0323,5.49,1.8],
-[116611,23.63244,18.4007,5.49,0.01],
-[89369,18.23775,-21.7132,5.49,1.53],
-[50303,10.27068,29.3105,5.49,0.02],
-[37901,7.76728,-6.7725,5.49,1.38],
-[46578,9.49847,-26.5896,5.49,1.34],
-[93667,19.07363,-31.0471,5.49,0.03],
-[79672,16.26035,-8.3694,5.49,0.65],
-[42715,8.70528,-53.1001,5.49,-0.13],
-[97063,19.72598,-15.4701,5.49,0.46],
-[3607,0.76993,-22.5221,5.49,0.98],
-[7213,1.5489,-36.8652,5.49,1.02],
-[110078,22.29741,-77.5116,5.49,0.31],
-[14417,3.1022,79.4185,5.49,1.57],
-[29150,6.14941,-22.4274,5.49,-0.01],
-[27517,5.82682,-14.4837,5.49,0.87],
-[15338,3.29648,44.025,5.49,-0.06],
-[61136,12.52787,-59.4239,5.49,0.62],
-[88836,18.13396,36.4013,5.49,1.16],
-[117375,23.79904,-2.7616,5.49,0.94],
-[18434,3.9413,35.0809,5.49,-0.06],
-[52686,10.77348,18.8915,5.5,1.13],
-[23900,5.13517,24.2652,5.5,0.03],
-[9570,2.04943,33.2841,5.5,0.03],
-[105913,21.45045,-42.5479,5.5,0.39],
-[89065,18.17786,3.3243,5.5,1.2],
-[49005,9.9977,56.8118,5.5,1.49],
-[24450,5.24557,5.1562,5.5,1.37],
-[81252,16.59578,-65.4954,5.5,0.95],
-[22958,4.94005,-5.1714,5.5,-0.12],
-[51821,10.5869,-39.5626,5.5,3.02],
-[15643,3.35667,-23.6351,5.5,0.88],
-[79199,16.16461,-33.5458,5.5,-0.08],
-[108543,21.98831,-38.3951,5.5,1],
-[100435,20.36762,24.4461,5.5,-0.09],
-[25950,5.53726,17.0581,5.5,0],
-[76106,15.54353,-19.6705,5.5,0.2],
-[76133,15.54943,-1.1864,5.5,1.09],
-[97077,19.72859,25.7719,5.5,0.94],
-[29064,6.13135,-42.154,5.5,0.01],
-[15861,3.40513,24.7241,5.5,1.19],
-[35564,7.33929,-52.3115,5.5,0.48],
-[1647,0.34418,-69.6249,5.5,-0.05],
-[67172,13.76564,-12.4265,5.5,0.9],
-[81141,16.57204,-70.9881,5.5,1.24],
-[34000,7.0542,-59.1781,5.5,-0.12],
-[66435,13.61973,71.2423,5.5,1.22],
-[115836,23.46766,-87.4822,5.5,1.28],
-[4852,1.04067,-31.552,5.5,0.08],
-[20171,4.32392,21.1423,5.5,-0.07],
-[4889,1.04697,31.8043,5.5,-0.04],
-[56497,11.58247,-49.1365,5.5,1.04],
-[6732,1.44491,19.2404,5.5,1.11],
-[3760,0.80484,7.2999,5.92,1.1],
-[33165,6.90362,-23.9283,6.65,-0.06],
-[96406,19.60046,-24.7191,5.64,0.19],
-[109352,22.15379,33.1723,5.58,0.99]
+[32349,6.75248,-16.7161,-1.44,0.01,-546.01,-1223.07],
+[30438,6.3992,-52.6957,-0.62,0.16,19.93,23.24],
+[69673,14.26103,19.1824,-0.05,1.24,-1093.39,-2000.06],
+[71683,14.66076,-60.834,-0.01,0.71,-3678.06,482.87],
+[91262,18.61564,38.7837,0.03,0,200.94,286.23],
+[24608,5.27815,45.998,0.08,0.8,75.25,-426.89],
+[24436,5.2423,-8.2016,0.18,-0.03,1.31,0.5],
+[37279,7.65503,5.225,0.4,0.43,-714.59,-1036.8],
+[7588,1.62856,-57.2368,0.45,-0.16,87,-38.24],
+[27989,5.91953,7.4071,0.45,1.5,27.54,11.3],
+[68702,14.06373,-60.373,0.61,-0.23,-33.27,-23.16],
+[97649,19.84639,8.8683,0.76,0.22,536.23,385.29],
+[60718,12.44331,-63.0991,0.77,-0.24,-35.83,-14.86],
+[21421,4.59868,16.5093,0.87,1.54,63.45,-188.94],
+[65474,13.41988,-11.1613,0.98,-0.24,-42.35,-30.67],
+[80763,16.49013,-26.432,1.06,1.86,-12.11,-23.3],
+[37826,7.75528,28.0262,1.16,0.99,-626.55,-45.8],
+[113368,22.96084,-29.6222,1.17,0.14,328.95,-164.67],
+[62434,12.79536,-59.6888,1.25,-0.24,-42.97,-16.18],
+[102098,20.69053,45.2803,1.25,0.09,2.01,1.85],
+[71681,14.66035,-60.8383,1.35,0.9,-3600.35,952.11],
+[49669,10.13953,11.9672,1.36,-0.09,-248.73,5.59],
+[33579,6.9771,-28.9721,1.5,-0.21,3.24,1.33],
+[36850,7.57663,31.8883,1.58,0.03,-191.45,-145.19],
+[61084,12.51943,-57.1132,1.59,1.6,28.23,-265.08],
+[85927,17.56014,-37.1038,1.62,-0.23,-8.53,-30.8],
+[25336,5.41885,6.3497,1.64,-0.22,-8.11,-12.88],
+[25428,5.4382,28.6074,1.65,-0.13,22.76,-173.58],
+[45238,9.22004,-69.7172,1.67,0.07,-156.47,108.95],
+[26311,5.60356,-1.2019,1.69,-0.18,1.44,-0.78],
+[109268,22.13721,-46.961,1.73,-0.07,126.69,-147.47],
+[26727,5.67931,-1.9426,1.74,-0.2,3.19,2.03],
+[39953,8.15888,-47.3366,1.75,-0.14,-6.07,10.43],
+[62956,12.90047,55.9598,1.76,-0.02,111.91,-8.24],
+[90185,18.40287,-34.3846,1.79,-0.03,-39.42,-124.2],
+[15863,3.40538,49.8612,1.79,0.48,23.75,-26.23],
+[54061,11.06216,61.751,1.81,1.06,-134.11,-34.7],
+[34444,7.13986,-26.3932,1.83,0.67,-3.12,3.31],
+[67301,13.79235,49.3133,1.85,-0.1,-121.17,-14.91],
+[86228,17.62198,-42.9978,1.86,0.41,5.54,-3.12],
+[41037,8.37524,-59.5095,1.86,1.2,-25.52,22.06],
+[28360,5.99215,44.9474,1.9,0.08,-56.44,-0.95],
+[82273,16.81108,-69.0277,1.91,1.45,17.99,-31.58],
+[31681,6.62853,16.3993,1.93,0,13.81,-54.96],
+[42913,8.74506,-54.7088,1.93,0.04,28.99,-103.35],
+[100751,20.42746,-56.7351,1.94,-0.12,6.9,-86.02],
+[11767,2.52975,89.2641,1.97,0.64,44.48,-11.85],
+[30324,6.37833,-17.9559,1.98,-0.24,-3.23,-0.78],
+[46390,9.45979,-8.6586,1.99,1.44,-15.23,34.37],
+[50583,10.33287,19.8415,2.01,1.13,294.9,-154],
+[9884,2.11956,23.4624,2.01,1.15,188.55,-148.08],
+[3419,0.72649,-17.9866,2.04,1.02,232.55,31.99],
+[92855,18.92109,-26.2967,2.05,-0.13,15.14,-53.43],
+[68933,14.1114,-36.37,2.06,1.01,-520.53,-518.06],
+[5447,1.16219,35.6206,2.07,1.58,175.9,-112.2],
+[677,0.13979,29.0904,2.07,-0.04,137.46,-163.44],
+[112122,22.71112,-46.8846,2.07,1.61,135.16,-4.38],
+[27366,5.79594,-9.6696,2.07,-0.17,1.46,-1.28],
+[72607,14.8451,74.1555,2.07,1.46,-32.61,11.42],
+[86032,17.58224,12.56,2.08,0.16,108.07,-221.57],
+[14576,3.13615,40.9556,2.09,0,2.99,-1.66],
+[9640,2.06498,42.3297,2.1,1.37,43.08,-50.85],
+[57632,11.81766,14.5721,2.14,0.09,-497.68,-114.67],
+[4427,0.94514,60.7167,2.15,-0.05,25.65,-3.82],
+[61932,12.69197,-48.9599,2.2,-0.02,-185.72,5.79],
+[45556,9.28484,-59.2752,2.21,0.19,-18.86,11.98],
+[39429,8.05974,-40.0031,2.21,-0.27,-29.71,16.68],
+[76267,15.57813,26.7147,2.22,0.03,120.27,-89.58],
+[65378,13.39875,54.9254,2.23,0.06,119.01,-25.97],
+[100453,20.37047,40.2567,2.23,0.67,2.39,-0.91],
+[44816,9.13327,-43.4326,2.23,1.66,-24.01,13.52],
+[3179,0.67512,56.5373,2.24,1.17,50.88,-32.13],
+[87833,17.94344,51.4889,2.24,1.52,-8.48,-22.79],
+[25930,5.53344,-0.2991,2.25,-0.18,0.64,-0.69],
+[746,0.15289,59.1498,2.28,0.38,523.5,-179.77],
+[82396,16.83608,-34.2932,2.29,1.14,-614.85,-255.98],
+[78401,16.00556,-22.6217,2.29,-0.12,-10.21,-35.41],
+[66657,13.6648,-53.4664,2.29,-0.17,-15.3,-11.72],
+[71860,14.69882,-47.3882,2.3,-0.15,-20.94,-23.67],
+[71352,14.59179,-42.1578,2.33,-0.16,-34.73,-32.72],
+[53910,11.03068,56.3824,2.34,0.03,81.43,33.49],
+[72105,14.74978,27.0742,2.35,0.97,-50.95,21.07],
+[107315,21.73643,9.875,2.38,1.52,26.92,0.44],
+[86670,17.70813,-39.03,2.39,-0.17,-6.05,-25.54],
+[2081,0.43806,-42.306,2.4,1.08,233.05,-356.3],
+[58001,11.89717,53.6948,2.41,0.04,107.68,11.01],
+[84012,17.17297,-15.7249,2.43,0.06,40.13,99.17],
+[113881,23.0629,28.0828,2.44,1.66,187.65,136.93],
+[105199,21.30963,62.5856,2.45,0.26,150.55,49.09],
+[35904,7.40158,-29.3031,2.45,-0.08,-4.14,5.81],
+[45941,9.36856,-55.0107,2.47,-0.14,-11.4,11.52],
+[102488,20.77018,33.9703,2.48,1.02,355.66,330.6],
+[113963,23.07935,15.2053,2.49,0,60.4,-41.3],
+[14135,3.03799,4.0897,2.54,1.63,-10.41,-76.85],
+[81377,16.61932,-10.5671,2.54,0.04,15.26,24.79],
+[68002,13.92567,-47.2884,2.55,-0.18,-57.37,-44.55],
+[78820,16.09062,-19.8055,2.56,-0.06,-5.2,-24.04],
+[54872,11.23514,20.5237,2.56,0.13,143.42,-129.88],
+[59196,12.13931,-50.7224,2.58,-0.13,-49.94,-7.19],
+[25985,5.5455,-17.8223,2.58,0.21,3.56,1.18],
+[59803,12.26344,-17.5419,2.58,-0.11,-158.61,21.86],
+[93506,19.04353,-29.8801,2.6,0.06,10.79,21.11],
+[74785,15.28345,-9.3829,2.61,-0.07,-98.1,-19.65],
+[77070,15.7378,6.4256,2.63,1.17,133.84,44.81],
+[8903,1.91067,20.808,2.64,0.16,98.74,-110.41],
+[28380,5.99535,37.2126,2.65,-0.08,43.63,-73.79],
+[61359,12.57312,-23.3968,2.65,0.89,1.11,-56.56],
+[26634,5.66082,-34.0741,2.65,-0.12,1.58,-24.82],
+[6686,1.43022,60.2353,2.66,0.16,296.57,-49.22],
+[67927,13.91141,18.3977,2.68,0.58,-60.95,-356.29],
+[73273,14.97554,-43.134,2.68,-0.18,-35.78,-39.83],
+[23015,4.94989,33.1661,2.69,1.49,6.79,-14.88],
+[61585,12.61974,-69.1356,2.69,-0.18,-40.2,-12.8],
+[52727,10.77949,-49.4203,2.69,0.9,63.22,-54.21],
+[85696,17.51273,-37.2958,2.7,-0.18,-2.37,-30.09],
+[35264,7.28571,-37.0975,2.71,1.62,-10.05,6.47],
+[97278,19.77099,10.6133,2.72,1.51,16.99,-2.98],
+[89931,18.3499,-29.8281,2.72,1.38,32.54,-25.57],
+[80331,16.39986,61.5142,2.73,0.91,-17.02,56.95],
+[79593,16.23909,-3.6943,2.73,1.58,-47.54,-142.73],
+[61941,12.69434,-1.4494,2.74,0.37,-614.76,61.34],
+[52419,10.71595,-64.3945,2.74,-0.22,-18.36,12.03],
+[26241,5.59055,-5.9099,2.75,-0.21,1.42,-0.46],
+[65109,13.3433,-36.7123,2.75,0.07,-341.11,-86.14],
+[72622,14.84798,-16.0418,2.75,0.15,-105.68,-68.4],
+[86742,17.72454,4.5673,2.76,1.17,-41.45,159.34],
+[23875,5.13083,-5.0864,2.78,0.16,-82.82,-75.39],
+[84345,17.24413,14.3903,2.78,1.16,-7.32,36.07],
+[80816,16.50367,21.4896,2.78,0.95,-99.15,-15.39],
+[59747,12.25243,-58.7489,2.79,-0.19,-35.81,-10.36],
+[85670,17.50721,52.3014,2.79,0.95,-15.89,12.28],
+[76297,15.58568,-41.1668,2.8,-0.22,-15.62,-25.43],
+[25606,5.47076,-20.7594,2.81,0.81,-5.02,-86.01],
+[81693,16.68811,31.6027,2.81,0.65,-461.52,342.28],
+[2021,0.42792,-77.2542,2.82,0.62,2219.54,324.09],
+[90496,18.46618,-25.4217,2.82,1.02,-44.76,-185.66],
+[81266,16.59804,-28.216,2.82,-0.21,-9.89,-22.83],
+[77952,15.91908,-63.4307,2.83,0.32,-188.66,-401.85],
+[1067,0.2206,15.1836,2.83,-0.19,1.98,-9.28],
+[39757,8.12574,-24.3043,2.83,0.46,-83.35,46.23],
+[85792,17.5307,-49.8761,2.84,-0.14,-33.27,-67.22],
+[18246,3.9022,31.8836,2.84,0.27,5.77,-9.92],
+[85258,17.42166,-55.5299,2.84,1.48,-8.51,-25.24],
+[17702,3.79141,24.1051,2.85,-0.09,19.34,-43.67],
+[107556,21.78401,-16.1273,2.85,0.18,261.7,-296.7],
+[63608,13.03628,10.9592,2.85,0.93,-273.8,19.96],
+[97165,19.74957,45.1308,2.86,0,44.07,48.66],
+[9236,1.97945,-61.5699,2.86,0.29,263.66,26.77],
+[110130,22.30837,-60.2596,2.87,1.39,-70.72,-39.44],
+[74946,15.31518,-68.6795,2.87,0.01,-66.58,-32.31],
+[30343,6.38267,22.5136,2.87,1.62,56.39,-110.03],
+[94141,19.16273,-21.0236,2.88,0.38,-1.36,-36.45],
+[13847,2.97102,-40.3047,2.88,0.13,-44.6,19],
+[78265,15.98086,-26.1141,2.89,-0.18,-11.42,-26.83],
+[36188,7.45251,8.2893,2.89,-0.1,-51.76,-38.29],
+[63125,12.93381,38.3184,2.89,-0.12,-235.08,53.54],
+[18532,3.96423,40.0102,2.9,-0.2,14.06,-23.78],
+[80112,16.35314,-25.5928,2.9,0.3,-10.6,-16.28],
+[106278,21.52598,-5.5712,2.9,0.83,18.77,-8.21],
+[14328,3.07994,53.5064,2.91,0.72,0.51,-5.92],
+[48002,9.78504,-65.072,2.92,0.27,-11.51,4.71],
+[112158,22.7167,30.2212,2.93,0.85,13.16,-25.67],
+[60965,12.49774,-16.5154,2.94,-0.01,-210.49,-138.74],
+[32768,6.83227,-50.6146,2.94,1.21,34.36,-69.11],
+[109074,22.0964,-0.3199,2.95,0.97,18.25,-9.39],
+[26451,5.62741,21.1425,2.97,-0.15,1.78,-20.07],
+[18543,3.96716,-13.5085,2.97,1.59,61.57,-113.11],
+[47908,9.76419,23.7743,2.97,0.81,-45.61,-9.21],
+[88635,18.0968,-30.4241,2.98,0.98,-53.92,-180.9],
+[64962,13.31536,-23.1715,2.99,0.92,68.99,-41.85],
+[87073,17.79308,-40.127,2.99,0.51,0.01,-6.24],
+[93747,19.09017,13.8635,2.99,0.01,-7.25,-95.56],
+[75097,15.34548,71.834,3,0.06,-17.73,17.9],
+[108085,21.89881,-37.3649,3,-0.08,98.07,-13.22],
+[10064,2.15906,34.9873,3,0.14,149.16,-39.1],
+[82514,16.86451,-38.0474,3,-0.2,-10.58,-22.06],
+[54539,11.16106,44.4985,3,1.14,-62.02,-27.41],
+[17358,3.71542,47.7876,3.01,-0.12,25.58,-43.06],
+[30122,6.33855,-30.0634,3.02,-0.16,7.32,4.03],
+[59316,12.16875,-22.6198,3.02,1.33,-71.74,10.25],
+[33977,7.05041,-23.8333,3.02,-0.08,-2.21,3.61],
+[23416,5.03282,43.8233,3.03,0.54,-0.86,-2.66],
+[62322,12.77135,-68.1081,3.04,-0.18,-41.97,-8.89],
+[71075,14.53464,38.3083,3.04,0.19,-115.71,151.16],
+[95947,19.51202,27.9597,3.05,1.09,-7.17,-6.15],
+[100345,20.35019,-14.7814,3.05,0.79,44.92,7.38],
+[50801,10.37215,41.4995,3.06,1.6,-81.47,35.34],
+[32246,6.7322,25.1311,3.06,1.38,-5.57,-12.36],
+[94376,19.20922,67.6615,3.07,0.99,95.74,91.92],
+[89642,18.29379,-36.7617,3.1,1.58,-129.56,-166.26],
+[56561,11.59636,-63.0198,3.11,-0.04,-33.41,-7.08],
+[52943,10.82708,-16.1936,3.11,1.23,93.35,198.88],
+[101772,20.62612,-47.2915,3.11,1,49.24,66.53],
+[43813,8.92323,5.9456,3.11,0.98,-100.06,15.46],
+[84379,17.25053,24.8392,3.12,0.08,-21.18,-156.48],
+[83081,16.97701,-55.9901,3.12,1.55,-17.8,-36.67],
+[27628,5.84933,-35.7683,3.12,1.15,54.77,404.2],
+[44127,8.98683,48.0418,3.12,0.22,-441.29,-215.32],
+[73334,14.98602,-42.1042,3.13,-0.21,-17.62,-22.51],
+[45860,9.35092,34.3926,3.14,1.55,-223.63,15.18],
+[46701,9.52037,-57.0344,3.16,1.54,0,0],
+[84380,17.25079,36.8092,3.16,1.44,-27.29,2.82],
+[31685,6.62935,-43.1959,3.17,-0.1,-0.44,-3.87],
+[92041,18.76094,-26.9908,3.17,-0.11,50.61,1.22],
+[46853,9.54772,51.6773,3.17,0.48,-947.46,-535.6],
+[83895,17.14645,65.7147,3.17,-0.12,-20.43,19.61],
+[71908,14.70849,-64.9751,3.18,0.26,-192.53,-233.51],
+[23767,5.10858,41.2345,3.18,-0.15,31.45,-67.87],
+[83000,16.96114,9.375,3.19,1.16,-292.13,-10.38],
+[23685,5.09102,-22.371,3.19,1.46,21.13,-73.11],
+[22449,4.83067,6.9613,3.19,0.48,464.06,11.21],
+[87261,17.83096,-37.0433,3.19,1.19,40.59,27.24],
+[116727,23.65582,77.6323,3.21,1.03,-47.96,126.59],
+[104732,21.21561,30.2269,3.21,0.99,6.51,-68.21],
+[75141,15.3562,-40.6475,3.22,-0.23,-19.49,-25.29],
+[79882,16.30536,-4.6925,3.23,0.97,83.4,40.58],
+[89962,18.35517,-2.8988,3.23,0.94,-547.75,-701.42],
+[106032,21.47766,70.5607,3.23,-0.2,12.54,8.39],
+[99473,20.18841,-0.8215,3.24,-0.07,35.26,5.71],
+[32607,6.80319,-61.9414,3.24,0.22,-66.07,242.97],
+[36377,7.48718,-43.3014,3.25,1.51,-59.55,188.31],
+[93194,18.9824,32.6896,3.25,-0.05,-3.09,1.11],
+[68895,14.10619,-26.6824,3.25,1.09,43.7,-141.18],
+[73714,15.06784,-25.282,3.25,1.67,-71.16,-43.34],
+[17678,3.7873,-74.239,3.26,1.59,50.85,114.74],
+[113136,22.91084,-15.8208,3.27,0.07,-42.6,-27.89],
+[84970,17.36683,-24.9995,3.27,-0.19,-7.37,-23.94],
+[3092,0.65546,30.861,3.27,1.27,114.45,-84.02],
+[75458,15.41549,58.9661,3.29,1.17,-8.36,17.08],
+[24305,5.21553,-16.2055,3.29,-0.11,47.09,-16.39],
+[50099,10.22896,-70.0379,3.29,-0.07,-36.01,7.09],
+[51576,10.53374,-61.6853,3.3,-0.09,0,0],
+[21281,4.5666,-55.045,3.3,-0.08,57.75,10.93],
+[29655,6.24796,22.5068,3.31,1.6,-62.46,-12.12],
+[85267,17.42324,-56.3777,3.31,-0.15,-0.44,-15.77],
+[84143,17.20255,-43.2392,3.32,0.44,24.47,-288.55],
+[93864,19.11567,-27.6704,3.32,1.17,-50.61,-249.8],
+[59774,12.25709,57.0326,3.32,0.08,104.11,7.3],
+[14354,3.08627,38.8403,3.32,1.53,129.22,-105.7],
+[5165,1.10141,-46.7184,3.32,0.88,-80.81,34.97],
+[88048,17.98378,-9.7736,3.32,0.99,-9.48,-116.69],
+[54879,11.23734,15.4296,3.33,0,-60.31,-79.1],
+[19780,4.2404,-62.4739,3.33,0.92,41.97,49.42],
+[38170,7.82157,-24.8598,3.34,1.22,-4.81,-0.89],
+[25281,5.40795,-2.3971,3.35,-0.24,0,0],
+[41704,8.50443,60.7182,3.35,0.86,-133.76,-107.45],
+[32362,6.75482,12.8956,3.35,0.44,-115.73,-190.55],
+[8886,1.90658,63.6701,3.35,-0.15,32.09,-18.94],
+[95501,19.42497,3.1148,3.36,0.32,254.54,82.51],
+[75264,15.37802,-44.6896,3.37,-0.19,-22.86,-18.87],
+[43109,8.77959,6.4188,3.38,0.68,-228.11,-43.82],
+[66249,13.57822,-0.5958,3.38,0.11,-280.48,49.05],
+[109492,22.18091,58.2013,3.39,1.56,13.52,5.24],
+[50371,10.28472,-61.3323,3.39,1.54,-24.73,7.2],
+[26207,5.58563,9.9342,3.39,-0.16,-0.34,-2.94],
+[63090,12.92672,3.3975,3.39,1.57,-469.99,-52.83],
+[20894,4.4777,15.8709,3.4,0.18,108.42,-26.74],
+[18724,4.01134,12.4903,3.41,-0.1,-8.02,-14.42],
+[102422,20.75481,61.8388,3.41,0.91,86.5,818.02],
+[112029,22.69103,10.8314,3.41,-0.09,77.22,-11.38],
+[67464,13.82508,-41.6877,3.41,-0.22,-26.77,-20.18],
+[6867,1.47276,-43.3182,3.41,1.54,-18.06,-208.63],
+[74395,15.20476,-52.0992,3.41,0.92,-112.92,-71.18],
+[102395,20.74931,-66.2032,3.42,0.16,-42.67,9.94],
+[86974,17.77432,27.7207,3.42,0.75,-291.66,-749.6],
+[8796,1.8847,29.5788,3.42,0.49,10.82,-234.24],
+[78384,16.00204,-38.3967,3.42,-0.21,-16.96,-27.83],
+[50335,10.27817,23.4173,3.43,0.31,18.39,-6.84],
+[45080,9.1828,-58.9669,3.43,-0.19,0,0],
+[93805,19.10415,-4.8826,3.43,-0.1,-18.69,-91.02],
+[50372,10.28495,42.9144,3.45,0.03,-180.65,-46.07],
+[74666,15.25838,33.3148,3.46,0.96,84.74,-111.58],
+[5364,1.14316,-10.1823,3.46,1.16,215.61,-139.02],
+[3821,0.81826,57.8152,3.46,0.59,1086.59,-559.43],
+[38827,7.94631,-52.9824,3.46,-0.18,-28.68,19.71],
+[12706,2.72168,3.2358,3.47,0.09,-146.1,-146.12],
+[67472,13.82694,-42.4737,3.47,-0.17,-24.25,-18.64],
+[81833,16.71493,38.9223,3.48,0.92,35.41,-85.3],
+[49583,10.12221,16.7627,3.48,-0.03,-2.8,-1.82],
+[90422,18.44956,-45.9685,3.49,-0.18,-16.95,-53.09],
+[33856,7.02865,-27.9348,3.49,1.73,-5.98,4.59],
+[55219,11.30798,33.0943,3.49,1.4,-26.84,28.69],
+[73555,15.03244,40.3906,3.49,0.96,-40.15,-28.86],
+[8102,1.73448,-15.9375,3.49,0.73,-1721.05,854.16],
+[112623,22.80924,-51.3169,3.49,0.08,108.43,-64.83],
+[35550,7.33538,21.9823,3.5,0.37,-15.13,-9.79],
+[32759,6.83068,-32.5085,3.5,-0.12,-8.84,3.73],
+[112724,22.82802,66.2004,3.5,1.05,-65.89,-125.17],
+[112748,22.83338,24.6016,3.51,0.93,144.7,-41.87],
+[98337,19.97928,19.4921,3.51,1.57,66.21,22.22],
+[47508,9.68584,9.8923,3.52,0.52,-143.2,-37.2],
+[109427,22.17,6.1979,3.52,0.09,282.18,30.46],
+[48774,9.94771,-54.5678,3.52,-0.07,-13.08,3.55],
+[17378,3.72081,-9.7634,3.52,0.92,-93.16,743.64],
+[93085,18.96217,-21.1067,3.52,1.15,31.72,-13.33],
+[92420,18.83466,33.3627,3.52,0,1.9,-3.53],
+[20889,4.47694,19.1804,3.53,1.01,106.19,-37.84],
+[40526,8.27526,9.1855,3.53,1.48,-46.82,-49.24],
+[86263,17.62644,-15.3986,3.54,0.26,-42.1,-59.94],
+[77516,15.827,-3.4302,3.54,-0.04,-100.28,-25.99],
+[56343,11.55004,-31.8576,3.54,0.95,-209.62,-40.84],
+[20042,4.29824,-33.7983,3.55,-0.11,62.52,-7.24],
+[27288,5.7826,-14.822,3.55,0.1,-14.54,-1.07],
+[89937,18.35074,72.7328,3.55,0.49,531.21,-349.71],
+[99240,20.14516,-66.1821,3.55,0.75,1211.03,-1130.05],
+[69996,14.3234,-46.0581,3.55,-0.18,0,0],
+[55282,11.32235,-14.7785,3.56,1.11,-124.67,207.59],
+[10602,2.27515,-51.5122,3.56,-0.12,91.03,-22.23],
+[1562,0.3238,-8.8239,3.56,1.21,-15.15,-37.11],
+[82545,16.87226,-38.0175,3.56,-0.21,-11.09,-23.32],
+[37740,7.74079,24.398,3.57,0.93,-23.39,-54.57],
+[75177,15.36344,-36.2614,3.57,1.53,-92.33,-85.67],
+[71053,14.5305,30.3714,3.57,1.3,-100.9,120.73],
+[44471,9.06043,47.1565,3.57,0.01,-36.19,-55.4],
+[35350,7.30155,16.5404,3.58,0.11,-44.43,-36.61],
+[100064,20.3009,-12.5449,3.58,0.88,62.63,2.66],
+[57757,11.84492,1.7647,3.59,0.52,740.23,-270.43],
+[27072,5.74106,-22.4484,3.59,0.48,-291.67,-368.97],
+[60260,12.35603,-60.4011,3.59,1.39,-170.93,91.67],
+[24674,5.29344,-6.8444,3.59,-0.12,-17.61,-9.24],
+[7607,1.6332,48.6282,3.59,1.27,61.95,-112.15],
+[46651,9.51167,-40.4668,3.6,0.37,-147.98,61.35],
+[76470,15.61707,-28.1351,3.6,1.36,-12.82,-4.15],
+[33018,6.87982,33.9613,3.6,0.1,-1.66,-47.31],
+[42536,8.67155,-52.9219,3.6,-0.17,-24.42,34.44],
+[85727,17.51832,-60.6838,3.6,-0.1,-54.01,-99.25],
+[6537,1.40039,-8.1833,3.6,1.06,-77.94,-206.53],
+[86929,17.76222,-64.7239,3.61,1.16,-11.96,-56.57],
+[63613,13.03776,-71.5489,3.61,1.19,264.17,-22.75],
+[49841,10.17647,-12.3541,3.61,1.01,-201.27,-99.63],
+[13209,2.83306,27.2605,3.61,-0.1,66.81,-116.52],
+[15900,3.41355,9.0289,3.61,0.89,-67.04,-78.04],
+[82729,16.90973,-42.3613,3.62,1.39,-127.72,-229.44],
+[113726,23.03202,42.326,3.62,-0.1,22.99,0.88],
+[7097,1.52472,15.3458,3.62,0.97,27.14,-2.64],
+[17847,3.81937,24.0534,3.62,-0.07,17.7,-44.18],
+[37819,7.75425,-37.9686,3.62,1.71,0,0],
+[57363,11.76014,-66.7288,3.63,0.16,-100.35,33.49],
+[101769,20.62582,14.5951,3.64,0.42,118.09,-48.06],
+[88714,18.11052,-50.0915,3.65,-0.1,-8.27,-8.7],
+[110960,22.48053,-0.02,3.65,0.41,0,0],
+[20205,4.32989,15.6276,3.65,0.98,115.46,-23.42],
+[77233,15.76979,15.4218,3.65,0.07,65.38,-38.61],
+[46733,9.52545,63.0619,3.65,0.36,107.99,27.15],
+[76600,15.64427,-29.7778,3.66,-0.18,-22.08,-24.46],
+[75695,15.46382,29.1057,3.66,0.32,-180.17,85.92],
+[68756,14.07316,64.3758,3.67,-0.05,-56.34,17.21],
+[103227,20.9135,-58.4542,3.67,1.25,20.79,-25.2],
+[42828,8.72654,-33.1864,3.68,-0.18,-14.27,10.43],
+[114341,23.15744,-21.1724,3.68,1.2,55.4,30.49],
+[22549,4.85343,5.6051,3.68,-0.16,-2.21,0.85],
+[97365,19.7898,18.5343,3.68,1.31,-4.31,12.35],
+[57399,11.76752,47.7794,3.69,1.18,-138.29,28.57],
+[9007,1.93256,-51.6089,3.69,0.84,680.92,283.46],
+[106985,21.66818,-16.6623,3.69,0.32,187.56,-22.45],
+[2920,0.61619,53.8969,3.69,-0.2,17.38,-9.86],
+[23453,5.0413,41.0758,3.69,1.15,9.45,-20.71],
+[47854,9.75412,-62.5079,3.69,1.01,0,0],
+[15474,3.32528,-21.7579,3.7,1.61,51.89,32.92],
+[114971,23.28609,3.2823,3.7,0.92,759.82,17.77],
+[87933,17.96274,29.2479,3.7,0.94,82.44,-18.73],
+[88771,18.1225,9.5638,3.71,0.16,0,0],
+[98036,19.92189,6.4068,3.71,0.86,45.27,-481.91],
+[77622,15.84694,4.4777,3.71,0.15,128.19,62.16],
+[28103,5.94008,-14.1677,3.71,0.34,-42.06,139.26],
+[22797,4.90419,2.4407,3.71,-0.18,0.55,0.61],
+[38414,7.87029,-40.5758,3.71,1.01,0,0],
+[17499,3.74793,24.1133,3.72,-0.1,20.84,-46.06],
+[28358,5.99211,54.2847,3.72,1.01,81.81,-132.98],
+[104060,21.08218,43.9279,3.72,1.61,7.97,0.06],
+[16537,3.54885,-9.4583,3.72,0.88,-975.17,19.49],
+[16083,3.45282,9.7327,3.73,-0.08,50.58,-39.54],
+[107089,21.69125,-77.39,3.73,1.01,66.41,-239.1],
+[72220,14.77081,1.8929,3.73,0,-114.03,-22.13],
+[112961,22.87691,-7.5796,3.73,1.63,17.02,33.03],
+[87585,17.89213,56.8726,3.73,1.18,93.82,78.5],
+[80170,16.36534,19.1531,3.74,0.3,-47.39,43.81],
+[8645,1.85768,-10.335,3.74,1.14,40.8,-37.25],
+[104887,21.24652,38.0453,3.74,0.39,0,0],
+[87108,17.79821,2.7073,3.75,0.04,-24.64,-74.42],
+[44511,9.06925,-47.0977,3.75,1.17,0,0],
+[93683,19.07805,-21.7415,3.76,1.01,76.35,-58.12],
+[95853,19.4951,51.7298,3.76,0.15,20.59,128.33],
+[111169,22.52152,50.2825,3.76,0.03,137.51,17.01],
+[30867,6.4803,-7.0331,3.76,-0.11,-6.86,-2.76],
+[27654,5.85536,-20.8791,3.76,0.98,229.49,-648.41],
+[26069,5.56042,-62.4898,3.76,0.64,0.79,12.74],
+[41312,8.42895,-66.1369,3.77,1.13,-35.74,-152.22],
+[13268,2.84494,55.8955,3.77,1.69,16.23,-13.54],
+[42570,8.6771,-46.6487,3.77,0.67,0,0],
+[82363,16.82976,-59.0414,3.77,1.56,39.73,-24.91],
+[26549,5.64577,-2.6001,3.77,-0.19,0,0],
+[101958,20.66064,15.9121,3.77,-0.06,53.82,8.47],
+[17529,3.75323,42.5785,3.77,0.42,-14.45,2.53],
+[20455,4.38225,17.5425,3.77,0.98,106.56,-29.18],
+[105881,21.44445,-22.4113,3.77,1,-2.23,18.1],
+[109176,22.11685,25.3451,3.77,0.44,296.53,27.29],
+[71795,14.68582,13.7283,3.78,0.04,51.95,-11.08],
+[36046,7.42878,27.7981,3.78,1.02,-122.66,-84.03],
+[53253,10.89156,-58.8532,3.78,0.94,0,0],
+[34481,7.14579,-70.4989,3.78,1.01,24.29,107.03],
+[48319,9.84987,59.0387,3.78,0.29,-295.2,-151.73],
+[102618,20.7946,-9.4958,3.78,0,33.98,-34.77],
+[53229,10.88853,34.2149,3.79,1.04,92.02,-285.82],
+[14668,3.15826,44.8575,3.79,0.98,172.99,-143.4],
+[99675,20.2272,46.7413,3.8,1.27,0,0],
+[14879,3.20125,-28.9876,3.8,0.54,370.87,611.33],
+[37229,7.64719,-26.8038,3.8,-0.16,-10.6,16.3],
+[76276,15.58004,10.5389,3.8,0.27,-71.48,3.64],
+[94779,19.28504,53.3685,3.8,0.95,60.07,122.83],
+[21393,4.59251,-30.5623,3.81,0.96,-49.27,-12.72],
+[116584,23.62606,46.4582,3.81,0.98,159.31,-422.38],
+[76952,15.71238,26.2956,3.81,0.02,-111.65,49.52],
+[51232,10.46465,-58.7394,3.81,0.32,0,0],
+[80883,16.51523,1.9839,3.82,0.02,-30.98,-73.42],
+[86414,17.65775,46.0063,3.82,-0.18,-7.48,4.53],
+[56211,11.52341,69.3311,3.82,1.61,-40.97,-19.19],
+[9487,2.03412,2.7638,3.82,0.02,32.45,0.04],
+[45688,9.31407,36.8026,3.82,0.07,-32.33,-125.64],
+[68245,13.97119,-42.1008,3.83,-0.22,-22.77,-20.13],
+[51069,10.43484,-16.8363,3.83,1.46,-129.17,-79.76],
+[72370,14.7977,-79.0448,3.83,1.43,-4.58,-15.88],
+[89341,18.22939,-21.0588,3.84,0.2,0.3,-0.48],
+[51624,10.54685,9.3066,3.84,-0.15,-5.93,-3.4],
+[88794,18.12571,28.7625,3.84,-0.02,-0.02,8.55],
+[61199,12.54113,-72.133,3.84,-0.16,-51.34,-5.4],
+[20885,4.47625,15.9622,3.84,0.95,104.97,-15.14],
+[97433,19.80285,70.2679,3.84,0.89,79.31,39.08],
+[43783,8.91746,-60.6446,3.84,-0.1,0,0],
+[51986,10.62172,-48.2256,3.84,0.3,-133.41,-1.82],
+[17440,3.73659,-64.8069,3.84,1.13,307.13,77.5],
+[17448,3.73865,32.2882,3.84,0.02,8.18,-10.43],
+[61622,12.62839,-48.5413,3.85,0.05,0,0],
+[50191,10.24561,-42.1219,3.85,0.05,-150.09,49.44],
+[91117,18.58678,-8.2441,3.85,1.32,-17,-313.52],
+[90139,18.39497,21.7698,3.85,1.17,0,0],
+[27321,5.78808,-51.0665,3.85,0.17,4.65,83.1],
+[19747,4.23336,-42.2944,3.85,1.08,42.02,-203.55],
+[78072,15.94088,15.6616,3.85,0.48,310.93,-1282.19],
+[61281,12.55806,69.7882,3.85,-0.12,-58.79,10.68],
+[30277,6.36856,-33.4364,3.85,0.86,-24.23,-51.4],
+[110395,22.36094,-1.3873,3.86,-0.06,129.53,7.77],
+[87808,17.93755,37.2505,3.86,1.35,2.67,6.47],
+[25859,5.52021,-35.4705,3.86,1.13,27.9,-34.72],
+[21594,4.63634,-14.304,3.86,1.08,-76.59,-176.78],
+[81065,16.55761,-78.8971,3.86,0.92,-125.51,-78.25],
+[79664,16.2573,-63.6857,3.86,1.1,2.73,-12.92],
+[4436,0.94588,38.4993,3.86,0.13,153.48,36.49],
+[97804,19.87455,1.0057,3.87,0.63,6.91,-8.21],
+[78104,15.94808,-29.2141,3.87,-0.2,-15.68,-24.88],
+[43023,8.76712,-46.0415,3.87,0.02,0,0],
+[71957,14.71767,-5.6582,3.87,0.38,103.28,-318.63],
+[68282,13.97799,-44.8036,3.87,-0.21,0,0],
+[17573,3.76378,24.3677,3.87,-0.06,20.95,-45.98],
+[74376,15.19892,-48.7378,3.88,-0.03,-96.5,-49.86],
+[8832,1.89217,19.2939,3.88,-0.05,79.2,-97.63],
+[114421,23.17264,-45.2467,3.88,1,132.5,-26.66],
+[765,0.15684,-45.7474,3.88,1.01,121.52,-179.83],
+[48455,9.8794,26.007,3.88,1.22,-217.31,-54.26],
+[13701,2.94046,-8.8981,3.89,1.09,77.36,-220.16],
+[60129,12.33177,-0.6668,3.89,0.03,-57.58,-25.19],
+[33152,6.90221,-24.1842,3.89,1.74,0,0],
+[98110,19.93844,35.0834,3.89,1.02,-33.61,-27.87],
+[45336,9.2394,2.3143,3.89,-0.06,114.64,-313.94],
+[47431,9.66427,-1.1428,3.9,1.31,46.96,-62.39],
+[65936,13.5174,-39.4073,3.9,1.19,-15.67,-10.49],
+[55425,11.35012,-54.491,3.9,-0.16,-35.85,-1.72],
+[60823,12.46733,-50.2306,3.91,-0.19,-32.36,-12.51],
+[76333,15.5921,-14.7895,3.91,1.01,65.34,7.45],
+[18907,4.05261,5.9893,3.91,0.03,4.72,-3.78],
+[73807,15.0853,-47.0512,3.91,-0.14,0,0],
+[41307,8.42768,-3.9064,3.91,-0.01,0,0],
+[79992,16.32901,46.3134,3.91,-0.15,-13.33,38.48],
+[104987,21.26373,5.2478,3.92,0.55,59.88,-94.09],
+[83207,17.00483,30.9264,3.92,-0.02,-47.69,26.9],
+[95168,19.36121,-17.8472,3.92,0.23,0,0],
+[7083,1.52085,-49.0727,3.93,0.97,138.38,153.89],
+[21444,4.60532,-3.3525,3.93,-0.21,1.53,-5.01],
+[54463,11.14316,-58.975,3.93,1.23,0,0],
+[78933,16.11345,-20.6692,3.93,-0.05,-8.98,-23.48],
+[37504,7.697,-72.6061,3.93,1.03,33.34,14.89],
+[13531,2.9043,52.7625,3.93,0.76,-1.26,-4.37],
+[88192,18.01075,2.9316,3.93,0.03,0,0],
+[2072,0.43672,-43.6798,3.93,0.18,0,0],
+[37677,7.73013,-28.9548,3.94,0.16,0,0],
+[5348,1.13974,-55.2458,3.94,-0.12,20.87,30.64],
+[103413,20.95289,41.1671,3.94,0.03,9.64,-22.75],
+[42911,8.74475,18.1543,3.94,1.08,-17.67,-229.26],
+[37447,7.68745,-9.5511,3.94,1.02,-74.61,-19.59],
+[31592,6.6114,-19.2559,3.95,1.04,0,0],
+[9598,2.05727,72.4213,3.95,0,0,0],
+[45101,9.18798,-62.317,3.96,-0.18,0,0],
+[99848,20.25787,47.7142,3.96,1.45,0,0],
+[44248,9.01068,41.7829,3.96,0.46,0,0],
+[95241,19.3773,-44.459,3.96,-0.08,13.67,-19.03],
+[28328,5.98578,-42.8151,3.96,1.15,18.39,-10.87],
+[115438,23.38284,-20.1006,3.96,1.08,-121.28,-97.59],
+[95347,19.3981,-40.6159,3.96,-0.1,30.49,-119.21],
+[19343,4.14436,47.7125,3.96,-0.02,0,0],
+[20535,4.40061,-34.0168,3.97,1.47,73.77,56.7],
+[112440,22.77552,23.5657,3.97,1.07,55.75,-10.15],
+[110997,22.48782,-43.4956,3.97,1.02,25.72,-3.32],
+[98495,20.00984,-72.9105,3.97,-0.03,81.78,-132.16],
+[59449,12.1942,-52.3685,3.97,-0.16,-34.92,-16.81],
+[77634,15.84932,-33.6272,3.97,-0.04,-5.1,-24.85],
+[27673,5.85817,39.1485,3.97,1.13,10.33,1.73],
+[42515,8.66837,-35.3084,3.97,0.94,9.84,-20.8],
+[35228,7.28051,-67.9572,3.97,0.76,-4.43,8.38],
+[106481,21.56635,45.5918,3.98,0.88,-23.79,-93.7],
+[18614,3.98275,35.791,3.98,0.02,3.62,1.74],
+[65477,13.42041,54.988,3.99,0.17,120.21,-16.04],
+[9347,2.00008,-21.0778,3.99,1.55,134.92,-24.59],
+[50954,10.40659,-74.0316,3.99,0.37,0,0],
+[114996,23.2905,-58.2357,3.99,0.41,-35.83,81.16],
+[29651,6.24759,-6.2748,3.99,1.32,-4.69,-19.3],
+[79374,16.19993,-19.4607,4,0.08,-7.65,-23.71],
+[44382,9.04078,-66.3961,4,0.14,-2,-95.51],
+[55642,11.39874,10.5295,4,0.42,141.45,-79.14],
+[91792,18.71726,-71.4281,4.01,1.13,0.81,-158.15],
+[35037,7.24685,-26.7727,4.01,-0.15,0,0],
+[101076,20.48993,30.3686,4.01,0.4,0,0],
+[78527,16.03153,58.5653,4.01,0.53,-319.51,334.97],
+[80000,16.33069,-50.1555,4.01,1.08,-159.71,-52.25],
+[34088,7.06848,20.5703,4.01,0.9,-7.29,-0.41],
+[71865,14.69933,-37.7935,4.01,-0.16,0,0],
+[8068,1.72768,50.6887,4.01,-0.1,24.59,-14.01],
+[22109,4.75838,-3.2547,4.01,-0.15,15.94,-14.52],
+[59199,12.14022,-24.7289,4.02,0.33,99.52,-39.19],
+[43409,8.8422,-27.7098,4.02,1.27,-134.31,87.89],
+[93244,18.99371,15.0683,4.02,1.08,-50.75,-72.36],
+[93429,19.02801,-5.7391,4.02,1.08,-24.41,-39.66],
+[23522,5.05697,60.4422,4.03,0.92,-6.5,-14.15],
+[10670,2.28857,33.8472,4.03,0.02,44.64,-52.57],
+[101421,20.55355,11.3033,4.03,-0.12,11.96,-28.97],
+[88601,18.09091,2.5001,4.03,0.86,0,0],
+[118268,23.98852,6.8633,4.03,0.42,150.35,-112.12],
+[43103,8.77828,28.7599,4.03,1.01,-21.58,-45.69],
+[63003,12.9099,-57.1779,4.03,-0.18,0,0],
+[70497,14.41997,51.8507,4.04,0.5,-235.4,-399.07],
+[111497,22.58927,-0.1175,4.04,-0.08,89.74,-55.81],
+[19587,4.19776,-6.8376,4.04,0.33,10.76,81.92],
+[57380,11.76432,6.5294,4.04,1.5,-18.96,-181.56],
+[70090,14.34262,-37.8853,4.05,-0.03,-63.69,-10.65],
+[40702,8.3087,-76.9197,4.05,0.41,111.12,107.49],
+[112716,22.82653,-13.5926,4.05,1.57,-13.71,-39.03],
+[42884,8.73999,-42.6493,4.05,0.87,-23.29,18.71],
+[55434,11.35228,6.0293,4.05,-0.06,-92.97,-11.48],
+[67459,13.82462,15.7979,4.05,1.52,0,0],
+[71536,14.63145,-49.4258,4.05,-0.15,0,0],
+[14632,3.151,49.6133,4.05,0.6,1262.41,-91.5],
+[55705,11.4147,-17.684,4.06,0.22,-97.42,3.65],
+[36962,7.59871,26.8957,4.06,1.54,-34.12,-106.96],
+[22957,4.93952,13.5145,4.06,1.16,0,0],
+[83153,16.99307,-53.1604,4.06,1.45,2.16,22.04],
+[72010,14.72762,-35.1737,4.06,1.36,0,0],
+[60009,12.3073,-64.0031,4.06,-0.17,0,0],
+[59929,12.29292,-67.9607,4.06,1.6,-231.04,-26.39],
+[69701,14.26691,-6.0005,4.07,0.51,-26.31,-419.38],
+[74117,15.14739,-45.2799,4.07,-0.16,0,0],
+[74824,15.29192,-58.8012,4.07,0.09,-97.74,-134.15],
+[110991,22.48618,58.4152,4.07,0.78,15.35,3.52],
+[3693,0.78898,24.2672,4.08,1.1,-101.17,-81.77],
+[53740,10.99624,-18.2988,4.08,1.08,-462.26,129.49],
+[105502,21.36811,19.8045,4.08,1.11,105.35,63.51],
+[12387,2.65804,0.3285,4.08,-0.21,12.85,-2.94],
+[11001,2.3625,-68.6594,4.08,0.03,-49.95,2.48],
+[104139,21.09912,-17.2329,4.08,-0.01,79.33,-62.01],
+[46974,9.57407,-59.2298,4.08,-0.01,0,0],
+[14146,3.03986,-23.6245,4.08,0.16,-147.25,-55.28],
+[33160,6.90317,-12.0386,4.08,1.42,-137.26,-15.37],
+[92862,18.92225,43.9461,4.08,1.4,0,0],
+[26366,5.61511,9.2907,4.09,0.95,0,0],
+[77450,15.81233,18.1416,4.09,1.62,-51.88,-88.1],
+[7513,1.6133,41.4055,4.1,0.54,-173.33,-381.8],
+[12777,2.73663,49.2284,4.1,0.51,334.66,-89.99],
+[94160,19.16715,-39.3408,4.1,1.16,4.37,-36.65],
+[90568,18.4805,-49.0706,4.1,1,139.1,-228.66],
+[38164,7.82064,-46.3732,4.1,-0.16,-4.37,8.66],
+[51839,10.59117,-78.6078,4.11,1.58,-37.61,11.08],
+[42312,8.6274,-42.9891,4.11,0.11,-10.75,9.66],
+[113638,23.01468,-52.7541,4.11,0.96,-63.96,-11.53],
+[48356,9.85797,-14.8466,4.11,0.92,18.88,-21.85],
+[12486,2.67778,-39.8554,4.11,1.01,135.92,-27.53],
+[94114,19.15787,-37.9045,4.11,0.04,84.87,-95.99],
+[57439,11.77523,-61.1784,4.11,0.9,0,0],
+[34045,7.06264,-15.6333,4.11,-0.11,-0.14,-11.36],
+[76440,15.612,-66.317,4.11,1.16,24.35,-54.47],
+[12394,2.6598,-68.2669,4.12,-0.06,87.424,0.09],
+[58948,12.08682,8.733,4.12,0.97,-218.69,57.76],
+[28614,6.03972,9.6473,4.12,0.17,10.43,-39.09],
+[19812,4.2483,48.4093,4.12,0.94,5.52,-17.37],
+[102978,20.86369,-26.9191,4.12,1.63,-8.36,-0.36],
+[98032,19.92103,-41.8683,4.12,1.06,22.61,51.4],
+[111043,22.49596,-43.7492,4.12,1.57,-14.08,2.57],
+[116771,23.66584,5.6263,4.13,0.51,377.15,-437.43],
+[30883,6.48272,20.2121,4.13,-0.12,-6.82,-13.1],
+[102485,20.76826,-25.2709,4.13,0.43,-51.96,-156.56],
+[77853,15.89709,-16.7293,4.13,1,0,0],
+[112405,22.76769,-81.3816,4.13,0.21,-54.49,1.16],
+[25247,5.39912,-7.8081,4.13,0.94,0,0],
+[76127,15.54883,31.3591,4.14,-0.13,-20.15,-9.39],
+[17608,3.7721,23.9484,4.14,-0.05,21.13,-43.65],
+[59072,12.11469,-64.6137,4.14,0.35,0,0],
+[109937,22.26616,37.7487,4.14,1.45,8.85,-0.72],
+[78159,15.95979,26.8779,4.14,1.23,-77.07,-60.61],
+[42313,8.6276,5.7038,4.14,0,-70.19,-7.9],
+[107354,21.74409,25.645,4.14,0.42,48.13,14.29],
+[16369,3.51455,12.9367,4.14,1.11,0,0],
+[116805,23.67347,44.3339,4.15,-0.07,80.73,-18.7],
+[85112,17.39471,37.1459,4.15,-0.01,-39.38,7.71],
+[34769,7.19774,-0.4928,4.15,0,0.79,4.52],
+[85340,17.4395,-24.1753,4.16,0.28,0.1,-118.18],
+[36366,7.4852,31.7846,4.16,0.32,159.09,193.29],
+[28734,6.06867,23.2633,4.16,0.84,0,0],
+[2599,0.55,62.9318,4.17,0.13,3.65,-2.07],
+[110003,22.28056,-7.7833,4.17,0.98,118.8,-22.18],
+[17874,3.82424,-36.2002,4.17,0.93,-49.18,-57.01],
+[81304,16.60624,-35.2553,4.18,1.54,0,0],
+[69732,14.27307,46.0883,4.18,0.09,-187.33,159.05],
+[69427,14.21493,-10.2737,4.18,1.32,7.25,139.88],
+[109857,22.25054,57.0436,4.18,0.28,481.53,46.04],
+[111954,22.67759,-27.0436,4.18,-0.1,23.22,-0.16],
+[67457,13.82409,-34.4508,4.19,1.52,0,0],
+[92043,18.76104,20.5463,4.19,0.48,0,0],
+[51233,10.46473,36.7072,4.2,0.91,-127.68,-110.31],
+[113246,22.93247,-32.5396,4.2,0.95,11.98,33.64],
+[81126,16.56838,42.437,4.2,-0.01,-7.54,59.42],
+[112447,22.77822,12.1729,4.2,0.5,234.18,-493.29],
+[25813,5.51307,5.9481,4.2,-0.14,0,0],
+[38835,7.94765,-22.8801,4.2,0.72,0,0],
+[16228,3.48448,59.9403,4.21,0.42,0,0],
+[20635,4.42282,22.2939,4.21,0.14,0,0],
+[82080,16.76616,82.0373,4.21,0.9,19.47,2.61],
+[101093,20.49302,62.9941,4.21,0.2,45.07,-12.59],
+[105858,21.4407,-65.3662,4.21,0.49,80.56,800.6],
+[38518,7.88838,-48.1029,4.22,-0.13,-5.6,5.76],
+[80569,16.4504,-18.4563,4.22,0.22,0,0],
+[105102,21.29026,39.3947,4.22,0.1,-0.13,-3.58],
+[13254,2.84306,38.3186,4.22,0.34,195.77,-109.98],
+[92175,18.78624,-4.7479,4.22,1.09,-8.44,-16.37],
+[78918,16.10987,-36.8023,4.22,-0.18,-15.33,-33.83],
+[92609,18.87029,-62.1876,4.22,-0.15,-1.86,-13.02],
+[102453,20.76104,30.7197,4.22,1.05,0,0],
+[92791,18.90841,36.8986,4.22,1.58,-7.36,4.06],
+[89908,18.34596,71.3378,4.22,-0.09,-5.03,37.86],
+[17651,3.7808,-23.2497,4.22,0.43,-158.84,-528.95],
+[114724,23.23871,-6.049,4.22,1.54,43.12,-194.45],
+[107533,21.77989,49.3096,4.23,-0.12,2.77,-2],
+[1599,0.33414,-64.8748,4.23,0.58,1707.42,1164.3],
+[64394,13.1979,27.8782,4.23,0.57,-801.44,882.04],
+[107259,21.72513,58.78,4.23,2.24,5.36,-3.51],
+[68520,14.02744,1.5445,4.23,0.12,17.49,-21.27],
+[81852,16.71813,-77.5174,4.23,1.06,-282.7,-354.81],
+[79101,16.14616,44.9349,4.23,-0.04,-26.63,36.76],
+[37629,7.72187,28.8835,4.23,1.12,62.66,-230.32],
+[67153,13.76147,-33.0437,4.23,0.39,0,0],
+[93825,19.10697,-37.0634,4.23,0.52,96.74,-281.71],
+[86565,17.69024,-12.8753,4.24,0.09,-72.9,-55.55],
+[80911,16.52304,-34.7044,4.24,-0.17,0,0],
+[114855,23.26486,-9.0877,4.24,1.11,368.78,-17.16],
+[11407,2.44976,-47.7038,4.24,-0.14,19.32,-5.54],
+[60000,12.30581,-79.3122,4.24,-0.12,-37.97,11.15],
+[5372,1.14561,86.2571,4.24,1.21,0,0],
+[61317,12.56241,41.3575,4.24,0.59,-704.75,292.74],
+[12770,2.73538,-13.8587,4.24,-0.12,-8.62,-9.07],
+[70692,14.45876,75.696,4.25,1.43,0,0],
+[21402,4.59424,10.1608,4.25,0.18,0,0],
+[5896,1.2627,-68.8759,4.25,0.48,0,0],
+[23972,5.15244,-8.7541,4.25,-0.19,0.25,-1.97],
+[21476,4.61151,41.2648,4.25,1.17,0,0],
+[19167,4.10973,50.3513,4.25,-0.01,-12.75,-35.6],
+[62896,12.89061,-40.1789,4.25,0.22,0,0],
+[41075,8.38059,43.1881,4.25,1.55,-25.16,-99.23],
+[107418,21.75748,61.1208,4.25,0.47,-3.578,-2.006],
+[15510,3.33194,-43.0698,4.26,0.71,3038.34,726.58],
+[86170,17.60912,-38.6353,4.26,1.08,0,0],
+[44066,8.97478,11.8577,4.26,0.14,43.23,-29.63],
+[88267,18.02511,21.5958,4.26,0.41,0,0],
+[8198,1.75656,9.1577,4.26,0.94,72.98,39.3],
+[22783,4.90084,66.3427,4.26,-0.01,-0.13,6.89],
+[19893,4.2671,-51.4866,4.26,0.31,100.79,183.32],
+[108917,22.06314,64.628,4.26,0.38,0,0],
+[16611,3.56313,-21.6329,4.26,-0.11,44.94,-28.16],
+[5434,1.15837,47.2418,4.26,0.01,0,0],
+[19860,4.25891,8.8924,4.27,-0.05,19.46,-22.11],
+[74911,15.3089,-47.8753,4.27,-0.09,0,0],
+[21589,4.63596,12.5108,4.27,0.12,0,0],
+[102532,20.77764,16.1243,4.27,1.04,-24.17,-199.96],
+[12828,2.74904,10.1141,4.27,0.31,282.7,-32.53],
+[4906,1.04906,7.8901,4.27,0.95,-80.17,25.59],
+[95294,19.38698,-44.7998,4.27,0.35,93.45,-54.09],
+[64004,13.11518,-49.9062,4.27,-0.18,-26.15,-12.03],
+[21881,4.70408,22.9569,4.27,-0.11,-2.89,-21.86],
+[115830,23.46614,6.379,4.27,1.06,-123.58,-43.23],
+[20711,4.43846,22.8136,4.28,0.26,0,0],
+[109410,22.16646,33.1782,4.28,0.47,-12.87,-18.95],
+[105515,21.37078,-16.8345,4.28,0.89,30,4.52],
+[47193,9.61815,81.3264,4.28,1.49,0,0],
+[51172,10.45253,-31.0678,4.28,1.43,-81.61,10.53],
+[114131,23.11465,-43.5204,4.28,0.42,-47.17,-13.49],
+[85423,17.45591,-29.867,4.28,0.4,17.08,-138.02],
+[99655,20.22329,56.5677,4.28,0.11,0,0],
+[52154,10.65511,-55.6033,4.29,1.02,0,0],
+[77055,15.7343,77.7945,4.29,0.04,19.91,-1.99],
+[16852,3.61455,0.4017,4.29,0.57,0,0],
+[111188,22.52509,-32.3461,4.29,0.01,59.12,-18.83],
+[24845,5.32626,-13.1768,4.29,-0.24,-3.3,-4.91],
+[116631,23.63561,43.2681,4.29,-0.08,27.64,-1.02],
+[109139,22.10729,-13.8697,4.29,-0.08,36.89,-58.99],
+[57936,11.88181,-33.9081,4.29,-0.1,-56.56,0.19],
+[80894,16.51899,-16.6127,4.29,0.92,0,0],
+[28404,5.99892,45.9367,4.3,1.7,0,0],
+[61174,12.53451,-16.196,4.3,0.39,-425.17,-57.23],
+[17531,3.75347,24.4673,4.3,-0.11,21.24,-40.56],
+[70069,14.33876,-56.3865,4.3,0.08,0,0],
+[57669,11.82808,-63.7885,4.3,-0.15,0,0],
+[20648,4.42483,17.9279,4.3,0.05,0,0],
+[53417,10.92689,24.7497,4.3,0.02,0,0],
+[4577,0.97677,-29.3574,4.3,-0.15,20.13,5.31],
+[100027,20.29413,-12.5082,4.3,0.93,22.98,1.28],
+[11484,2.46932,8.4601,4.3,-0.05,41.8,-13.55],
+[56647,11.61581,-0.8237,4.3,0.98,1.76,43.37],
+[42799,8.72041,3.3987,4.3,-0.19,-19.39,-1.08],
+[17797,3.80996,-37.6202,4.3,-0.04,74.44,-9.09],
+[75411,15.40818,37.3772,4.31,0.31,-146.73,79.85],
+[70638,14.4488,-83.6679,4.31,1.3,-96.12,-13.27],
+[42568,8.67695,-59.761,4.31,-0.12,0,0],
+[78990,16.12342,-20.8688,4.31,0.83,44.81,-45.42],
+[101847,20.63897,-1.1051,4.31,0.95,0,0],
+[58758,12.05045,-63.3129,4.32,0.28,0,0],
+[84880,17.34713,-12.8469,4.32,0.04,43.4,2.61],
+[21763,4.67403,-19.6715,4.32,1.6,0,0],
+[64241,13.16647,17.5294,4.32,0.46,-433.13,141.24],
+[25945,5.53688,18.5942,4.32,2.06,0,0],
+[72683,14.86064,-43.5754,4.32,-0.15,0,0],
+[67669,13.86378,-32.9941,4.32,-0.15,0,0],
+[46750,9.52868,22.968,4.32,1.54,-20.17,-39.47],
+[16826,3.60816,48.1926,4.32,-0.06,0,0],
+[43067,8.77293,-13.5477,4.32,0.9,0,0],
+[29696,6.2563,29.4981,4.32,1.02,-70.88,-261.42],
+[70576,14.43634,-45.3793,4.33,0.43,0,0],
+[62867,12.88526,-48.9433,4.33,1.34,0,0],
+[89826,18.33103,36.0645,4.33,1.16,-16.75,41.09],
+[36284,7.46939,8.9255,4.33,1.42,0,0],
+[84405,17.25584,-26.6028,4.33,0.86,0,0],
+[88866,18.143,-63.6686,4.33,0.23,0,0],
+[92161,18.78369,18.1815,4.34,0.15,0,0],
+[5542,1.18502,55.1499,4.34,0.17,0,0],
+[107348,21.74186,17.35,4.34,1.16,8.66,-11.33],
+[31125,6.53094,-23.4184,4.34,-0.24,0,0],
+[47175,9.61377,-49.355,4.34,0.17,0,0],
+[3031,0.6426,29.3118,4.34,0.87,-229.04,-253.11],
+[2912,0.61468,33.7193,4.34,-0.12,14.75,-3.51],
+[111022,22.49217,47.7069,4.34,1.68,-0.37,-3.33],
+[76552,15.63423,-42.5673,4.34,1.41,0,0],
+[68523,14.02875,-45.6034,4.34,0.6,0,0],
+[27100,5.74622,-65.7355,4.34,0.22,-28.91,5.17],
+[45496,9.27002,-57.5415,4.34,1.6,0,0],
+[85355,17.44191,4.1404,4.34,1.48,0.72,7.03],
+[91971,18.74621,37.6051,4.34,0.19,0,0],
+[40888,8.34412,-77.4845,4.34,1.16,-129.05,40.89],
+[85822,17.53692,86.5865,4.35,0.02,10.17,53.97],
+[22509,4.84353,8.9002,4.35,0.01,1.41,-29.91],
+[31407,6.58294,-52.9756,4.35,-0.02,0,0],
+[90098,18.38712,-61.4939,4.35,1.46,3.17,-2.21],
+[39794,8.13217,-68.6171,4.35,-0.11,-24.1,29.8],
+[43234,8.80721,5.8378,4.35,-0.04,0,0],
+[60742,12.44897,28.2684,4.35,1.13,-83.95,-81.13],
+[33449,6.95461,58.4228,4.35,0.85,6.08,-122.83],
+[107380,21.74911,-33.0258,4.35,-0.05,31.1,-94.56],
+[94713,19.2728,38.1337,4.35,1.26,-0.8,0.36],
+[74857,15.29718,-30.1487,4.35,1.1,0,0],
+[14838,3.19382,19.7267,4.35,1.03,153.33,-8.28],
+[2484,0.52572,-62.9582,4.36,-0.06,93.97,-46.32],
+[3405,0.72257,-57.4631,4.36,0.02,-5.07,16.51],
+[39863,8.14324,-2.9838,4.36,0.97,-18.81,-4.5],
+[33347,6.93562,-17.0542,4.36,-0.06,0,0],
+[16335,3.50958,47.9952,4.36,1.37,3.56,18.48],
+[28199,5.95895,-35.2833,4.36,-0.16,-3.24,10.21],
+[10324,2.21666,8.8467,4.36,0.88,-26.87,-17.23],
+[22701,4.88158,-5.4527,4.36,0.26,-17.86,25.57],
+[19038,4.07825,22.0819,4.36,1.06,0,0],
+[24327,5.22052,-12.9413,4.36,-0.09,0,0],
+[68862,14.10077,-41.1796,4.36,-0.2,0,0],
+[96468,19.61202,-1.2866,4.36,-0.08,-0.87,-20.39],
+[35415,7.3118,-24.9544,4.37,-0.13,0,0],
+[98412,19.99561,-35.2763,4.37,-0.15,5.6,-25.81],
+[154,0.03267,-6.0141,4.37,1.63,0,0],
+[88886,18.14597,20.8146,4.37,-0.16,0,0],
+[53773,11.00257,-42.2259,4.37,0.12,0,0],
+[29807,6.27587,-35.1405,4.37,0.98,-0.28,87.94],
+[115669,23.43411,-20.642,4.38,1.46,0,0],
+[64238,13.16583,-5.539,4.38,-0.01,-36.28,-31.22],
+[99255,20.14814,77.7114,4.38,-0.05,11.57,24.34],
+[116231,23.54951,-37.8183,4.38,-0.1,95.97,38.29],
+[39311,8.03776,2.3346,4.39,1.25,0,0],
+[17884,3.82536,65.526,4.39,1.87,0,0],
+[73620,15.04834,2.0913,4.39,1.03,0,0],
+[26176,5.58034,9.4896,4.39,-0.16,0.27,-2.26],
+[27913,5.90639,20.2762,4.39,0.59,0,0],
+[8837,1.8941,-46.3027,4.39,1.6,-93.16,-91.17],
+[49637,10.13174,9.9975,4.39,1.45,0,0],
+[105319,21.3311,-53.4494,4.39,0.19,107.9,-66.41],
+[96757,19.66828,18.0139,4.39,0.78,15.09,-19.65],
+[96837,19.68415,17.476,4.39,1.04,8.74,-33.41],
+[30419,6.39614,4.5929,4.39,0.22,-22.06,10.91],
+[82673,16.90013,10.1654,4.39,-0.09,-53.8,-34.04],
+[84893,17.3501,-21.1129,4.39,0.39,263.84,-205.85],
+[38070,7.80144,-25.9372,4.4,-0.07,0,0],
+[108431,21.96529,-54.9926,4.4,0.3,41.94,-3.93],
+[4463,0.95344,23.4176,4.4,0.94,0,0],
+[39906,8.15045,-19.245,4.4,-0.16,0,0],
+[93015,18.94918,-67.2335,4.4,0.53,0,0],
+[87998,17.97504,30.1893,4.41,0.38,0,0],
+[34693,7.18566,30.2452,4.41,1.26,-31.21,-48.92],
+[114222,23.13162,75.3875,4.41,0.8,0,0],
+[115033,23.29839,-9.1825,4.41,-0.14,0,0],
+[70300,14.38396,-39.5118,4.41,-0.18,0,0],
+[85693,17.51231,26.1106,4.41,1.43,18.81,16.62],
+[32761,6.83092,-53.6224,4.41,0.9,0,0],
+[105138,21.29863,34.8969,4.41,-0.1,10.03,6.49],
+[115102,23.31373,-32.532,4.41,1.11,20.13,-77.72],
+[77257,15.77406,7.3531,4.42,0.6,0,0],
+[72571,14.83815,-27.9604,4.42,1.37,0,0],
+[34981,7.23756,-26.3525,4.42,-0.17,0,0],
+[34922,7.22564,-44.6397,4.42,1.33,0,0],
+[31700,6.63151,-18.2375,4.42,1.14,0,0],
+[115623,23.42299,23.4041,4.42,0.62,192.19,36.12],
+[88290,18.02922,1.3051,4.42,0.05,0,0],
+[29038,6.1262,14.7685,4.42,-0.16,6.78,-20.23],
+[53954,11.03883,20.1798,4.42,0.05,0,0],
+[40326,8.23414,-40.3479,4.42,1.17,0,0],
+[110538,22.39268,52.229,4.42,1.01,-13.25,-186.77],
+[17593,3.76904,-12.1016,4.43,1.6,55.98,59.28],
+[94481,19.2293,39.146,4.43,-0.15,-0.6,-1.26],
+[19849,4.25454,-7.6529,4.43,0.82,-2240.12,-3420.27],
+[98688,20.0443,-27.7098,4.43,1.64,32.97,14],
+[102281,20.72432,15.0746,4.43,0.3,-20.44,-43.33],
+[100587,20.39767,32.1902,4.43,1.33,0,0],
+[102624,20.79562,-5.0277,4.43,1.64,1.68,-40.06],
+[23040,4.95478,53.7521,4.43,-0.02,-24.51,7.71],
+[30060,6.32705,59.011,4.44,0.03,-5.35,23.86],
+[21770,4.67604,-41.8638,4.44,0.34,-140.39,-74.82],
+[19921,4.27474,-59.3022,4.44,1.08,-47.53,-167.58],
+[40091,8.1893,-39.6185,4.44,1.59,0,0],
+[40706,8.30926,-36.6593,4.44,0.22,0,0],
+[71121,14.54363,-50.4572,4.44,-0.18,0,0],
+[95771,19.47843,24.6649,4.44,1.5,-126.13,-107.44],
+[1170,0.244,-18.9329,4.44,1.64,0,0],
+[3786,0.81137,7.5851,4.44,1.5,83.1,-49.58],
+[36795,7.56755,-22.2961,4.44,0.52,0,0],
+[44191,9.0015,-41.2536,4.45,0.65,0,0],
+[52633,10.76309,-80.5402,4.45,-0.19,-36.86,5.9],
+[29426,6.199,14.2088,4.45,-0.18,0.29,-20.12],
+[55084,11.2777,-3.6516,4.45,0.21,-110.37,-37.16],
+[94648,19.25923,73.3555,4.45,1.26,-115.29,103.23],
+[96229,19.56815,7.3789,4.45,1.18,213.73,-156.55],
+[13147,2.81817,-32.4059,4.45,0.98,86.01,158.81],
+[80975,16.53561,-21.4664,4.45,0.13,0,0],
+[51849,10.59314,-57.5576,4.45,1.6,0,0],
+[24244,5.20497,-11.8692,4.45,-0.1,0,0],
+[7884,1.69053,5.4876,4.45,1.35,-23.36,3.36],
+[42402,8.64596,3.3414,4.45,1.22,-19.48,-15.92],
+[44901,9.14786,51.6046,4.46,0.29,0,0],
+[18255,3.90486,-2.9547,4.46,0.67,0,0],
+[112948,22.87543,-32.8755,4.46,-0.04,-32.73,-21.21],
+[59173,12.13479,-50.6613,4.46,-0.16,0,0],
+[80582,16.45307,-47.5548,4.46,-0.07,-13.68,-19.89],
+[24331,5.22152,2.8613,4.46,1.17,0,0],
+[11569,2.48444,67.4025,4.46,0.15,0,0],
+[54682,11.1943,-22.8258,4.46,0.02,2.52,-100.22],
+[57803,11.85242,-45.1735,4.47,1.28,0,0],
+[44599,9.08578,-72.6027,4.47,0.61,0,0],
+[38957,7.97068,-49.2449,4.47,-0.18,0,0],
+[46146,9.41091,26.1823,4.47,1.22,-31.64,-48.2],
+[47006,9.58041,52.0515,4.47,0.03,-65.74,-37.32],
+[12843,2.75172,-18.5726,4.47,0.48,334.2,37.19],
+[104858,21.24134,10.007,4.47,0.53,42.39,-304.19],
+[23123,4.97581,1.714,4.47,1.37,-1.3,-7.67],
+[30788,6.4695,-32.5801,4.47,-0.17,0,0],
+[15549,3.33899,29.0485,4.47,1.56,0,0],
+[71284,14.578,29.7451,4.47,0.36,188.35,131.77],
+[73165,14.95306,-4.3465,4.47,0.32,0,0],
+[31216,6.5484,7.333,4.47,0.02,-0.2,-3.48],
+[109111,22.10191,-39.5434,4.47,1.35,-23.8,-124.58],
+[113889,23.06462,3.82,4.48,-0.12,11.76,-9.85],
+[75323,15.38962,-59.3208,4.48,0.17,0,0],
+[20713,4.43909,15.6183,4.48,0.26,0,0],
+[80343,16.40172,-20.0373,4.48,1,0,0],
+[32578,6.79768,2.4122,4.48,1.1,-12.41,-12.12],
+[114119,23.11134,-23.7431,4.48,0.89,0,0],
+[18744,4.01495,-62.1593,4.48,1.5,3.03,34.67],
+[49641,10.1323,-0.3716,4.48,-0.03,-25.83,-4.25],
+[3504,0.74542,48.2844,4.48,-0.07,18.84,-7.18],
+[38455,7.8774,-38.8628,4.49,-0.19,0,0],
+[118322,23.99859,-65.5771,4.49,-0.08,47.93,-22.95],
+[32249,6.73314,13.228,4.49,1.17,0,0],
+[49593,10.12382,35.2447,4.49,0.19,52.9,0.62],
+[96441,19.60737,50.2211,4.49,0.4,-8.87,262.45],
+[21248,4.55849,-29.7665,4.49,0.97,-114.78,-271.79],
+[104234,21.1188,-25.0059,4.49,1.6,-28.09,-44.14],
+[116971,23.71204,-14.5449,4.49,-0.03,99.28,-66.32],
+[116928,23.70078,1.78,4.49,0.2,-129.7,-154.8],
+[9480,2.03264,70.907,4.49,0.16,0,0],
+[71762,14.67877,16.4183,4.49,0,0,0],
+[107310,21.73571,28.7426,4.49,0.51,0,0],
+[34834,7.20935,-46.7593,4.49,0.32,0,0],
+[50676,10.34856,-56.0432,4.5,-0.1,0,0],
+[43105,8.77849,-56.7698,4.5,-0.17,0,0],
+[26594,5.6531,4.1215,4.5,-0.1,0,0],
+[109754,22.23131,39.7149,4.5,1.38,0,0],
+[57565,11.79976,20.2189,4.5,0.55,0,0],
+[67275,13.78771,17.4569,4.5,0.51,-479.53,53.49],
+[106039,21.47872,-21.8072,4.5,0.89,134.83,-5.73],
+[27530,5.83045,-56.1667,4.5,1.08,81.13,-71.12],
+[111944,22.67523,44.2763,4.5,1.32,0,0],
+[104459,21.1599,-11.3717,4.5,0.93,94.12,-14.62],
+[109285,22.13972,-32.9885,4.5,0.05,78.81,-29.1],
+[99874,20.26282,27.8142,4.5,1.26,0,0],
+[1473,0.30546,36.7852,4.51,0.05,-65.67,-42],
+[76852,15.69252,19.6704,4.51,0.06,0,0],
+[110838,22.45553,-64.9664,4.51,-0.03,0,0],
+[27483,5.81957,39.1811,4.51,0.95,0,0],
+[46515,9.48742,-35.9513,4.51,1.41,-24.69,5.04],
+[5586,1.19434,30.0896,4.51,1.09,73.88,-38.3],
+[106723,21.61801,-19.466,4.51,-0.18,12.79,0.28],
+[98702,20.04696,67.8736,4.51,1.31,0,0],
+[102333,20.73397,-51.921,4.51,0.28,155.8,-53.86],
+[47391,9.65584,-61.3281,4.51,-0.07,0,0],
+[117863,23.9064,57.4994,4.51,1.19,-4.48,-3.73],
+[65271,13.37721,-60.9884,4.52,-0.14,0,0],
+[95176,19.36212,-15.955,4.52,0.08,1.34,-6.25],
+[69974,14.3185,-13.3711,4.52,0.13,-15.91,28.92],
+[73745,15.0741,26.9476,4.52,1.24,-175.42,-4.06],
+[13061,2.79848,29.2471,4.52,1.11,149.47,-127.05],
+[102431,20.75588,57.5797,4.52,0.54,0,0],
+[65387,13.40013,-64.5357,4.52,0.82,0,0],
+[111104,22.50813,43.1234,4.52,-0.09,-1.98,-5.36],
+[106140,21.49914,23.6388,4.52,1.62,0,0],
+[89112,18.18716,-45.9544,4.52,1.01,-15.46,-37.16],
+[114570,23.20916,49.4062,4.53,0.3,0,0],
+[85365,17.44386,-5.0866,4.53,0.38,0,0],
+[28413,6.00093,-3.0743,4.53,1.2,0,0],
+[3881,0.83023,41.0789,4.53,-0.14,22.77,-18.35],
+[102589,20.79015,36.4907,4.53,-0.08,0,0],
+[37096,7.62281,-34.9685,4.53,-0.08,0,0],
+[2487,0.52595,-62.9656,4.53,0.15,93.97,-46.32],
+[69483,14.22472,51.79,4.53,0.23,61.03,-9.22],
+[87072,17.79267,-27.8308,4.53,0.6,0,0],
+[46776,9.53304,-1.1847,4.54,0.11,-12.6,-3.99],
+[24727,5.30294,33.3716,4.54,1.25,0,0],
+[98162,19.94912,-27.1699,4.54,1.46,10.46,-15.52],
+[72659,14.85649,19.1005,4.54,0.72,0,0],
+[31416,6.58427,-22.9648,4.54,-0.04,13.95,18.56],
+[46952,9.57038,36.3976,4.54,0.91,0,0],
+[46977,9.5747,69.8303,4.54,0.78,0,0],
+[114144,23.11674,9.4095,4.54,1.56,0,0],
+[75304,15.38593,-36.8585,4.54,-0.16,-18.24,-20.72],
+[74392,15.20369,-19.7917,4.54,-0.07,-35.4,-32.79],
+[115919,23.48592,12.7606,4.54,0.94,0,0],
+[110351,22.35043,46.5366,4.55,-0.1,22.35,1.45],
+[88839,18.13472,-28.4571,4.55,0.94,0,0],
+[33694,7.00108,76.9774,4.55,1.36,0,0],
+[110609,22.40861,49.4764,4.55,0.09,-5.55,-2.85],
+[107119,21.69865,71.3114,4.55,1.11,0,0],
+[301,0.06233,-17.336,4.55,-0.05,0,0],
+[76371,15.59813,-44.9584,4.55,-0.18,0,0],
+[23595,5.07344,-35.483,4.55,1.18,0,0],
+[36425,7.49661,12.0066,4.55,1.28,0,0],
+[80079,16.34394,-24.1693,4.55,0.76,0,0],
+[16281,3.49854,58.8788,4.55,0.49,0,0],
+[48402,9.86843,54.0643,4.55,0.04,-6,19.16],
+[70574,14.43562,-45.2214,4.56,-0.15,-13.09,-14.67],
+[27830,5.88879,27.6123,4.56,-0.01,0,0],
+[86092,17.59433,-46.5057,4.56,-0.02,0,0],
+[44700,9.10882,38.4522,4.56,1.04,0,0],
+[13328,2.85857,35.0597,4.56,1.55,0,0],
+[54951,11.2534,23.0955,4.56,1.66,0,0],
+[103004,20.8688,27.097,4.56,0.84,0,0],
+[18597,3.9791,-61.4002,4.56,1.59,9.8,-14.3],
+[104194,21.11003,47.6484,4.56,1.57,0,0],
+[16870,3.61824,-40.2745,4.57,1.02,0,0],
+[86614,17.69898,72.1488,4.57,0.43,25.32,-268.47],
+[80463,16.4236,14.0333,4.57,0,39.765,-59.974],
+[92818,18.91247,22.6451,4.57,0.78,0,0],
+[80473,16.42642,-23.4472,4.57,0.23,0,0],
+[94005,19.13916,-40.4967,4.57,1.07,46.49,-26.18],
+[97886,19.89103,24.0796,4.57,-0.05,0,0],
+[115250,23.34396,23.7403,4.58,0.18,29.45,-9.53],
+[79404,16.20506,-27.9264,4.58,-0.17,0,0],
+[67627,13.8572,64.7233,4.58,1.57,0,0],
+[64425,13.20489,-59.9206,4.58,-0.07,0,0],
+[86284,17.63075,-8.1188,4.58,0.13,0,0],
+[52468,10.72564,-60.5666,4.58,1.7,0,0],
+[48374,9.8613,-46.5476,4.58,1.17,0,0],
+[26237,5.58977,-4.8384,4.58,-0.18,0,0],
+[25473,5.44729,3.0957,4.59,-0.2,0,0],
+[54751,11.21,-60.3176,4.59,0.54,0,0],
+[77840,15.89353,-25.3271,4.59,-0.07,0,0],
+[96465,19.61179,-24.8836,4.59,-0.08,68.3,-21.51],
+[50555,10.32688,-55.0293,4.59,1.6,0,0],
+[91926,18.73966,39.6127,4.59,0.18,6.18,50.42],
+[17959,3.8393,71.3323,4.59,0.06,18.17,-42.85],
+[46509,9.4858,-2.769,4.59,0.41,99.01,-2.67],
+[77512,15.82657,26.0684,4.59,0.79,-78.83,-65.28],
+[42527,8.67024,64.3279,4.59,1.18,0,0],
+[117452,23.81543,-28.1303,4.59,0,100.8,-105.34],
+[17351,3.71391,-37.3135,4.59,1.19,0,0],
+[3245,0.68877,-46.085,4.59,0.95,-28.2,1.8],
+[75501,15.42228,-38.7336,4.6,0,0,0],
+[20070,4.30406,50.2955,4.6,0.04,0,0],
+[49402,10.08541,-13.0646,4.6,-0.09,-39.39,19.65],
+[95081,19.34447,65.7145,4.6,0.03,0,0],
+[77760,15.8779,42.4515,4.6,0.56,438.9,629.7],
+[53502,10.94529,-37.1378,4.6,1.01,76.14,-124.43],
+[72125,14.75402,16.9643,4.6,0.97,0,0],
+[14817,3.18816,39.6116,4.61,1.12,-26.26,5.4],
+[76219,15.56964,-10.0645,4.61,1,0,0],
+[36145,7.44524,49.2115,4.61,0,-10.22,-49.29],
+[1366,0.28486,38.6816,4.61,0.06,0,0],
+[8833,1.8926,3.1875,4.61,0.93,24.48,25.99],
+[39095,7.99779,-18.3992,4.61,0.09,0,0],
+[443,0.08893,-5.7076,4.61,1.03,0,0],
+[101474,20.56505,35.2509,4.61,1.59,0,0],
+[25923,5.53218,-7.3015,4.62,-0.26,-0.1,-4.87],
+[88175,18.00806,-3.6903,4.62,0.39,0,0],
+[18673,3.99874,-24.0162,4.62,-0.12,12.12,16.48],
+[62327,12.77298,-56.4888,4.62,-0.15,0,0],
+[54301,11.10902,-62.4241,4.62,0.99,0,0],
+[54182,11.08362,7.336,4.62,0.33,-344.28,-47.65],
+[4422,0.94443,59.1811,4.62,0.96,-92.65,-45.5],
+[56480,11.57936,-54.2641,4.62,-0.08,0,0],
+[90982,18.55838,-42.3125,4.62,0.99,33.27,-20.72],
+[23497,5.0516,21.59,4.62,0.16,68.88,-41.06],
+[44824,9.13413,-25.8585,4.62,1.59,0,0],
+[92946,18.937,4.2036,4.62,0.16,36.23,23.15],
+[63007,12.91089,-59.1467,4.62,-0.15,0,0],
+[80628,16.46338,-8.3717,4.62,0.18,0,0],
+[42835,8.72788,-7.2337,4.63,0.84,0,0],
+[61789,12.66459,-39.9873,4.63,-0.08,0,0],
+[118131,23.96265,25.1414,4.63,1.58,-35.24,-31.6],
+[90797,18.5229,-62.2783,4.63,-0.12,0,0],
+[13914,2.98687,21.3404,4.63,0.05,0,0],
+[73199,14.95974,65.9325,4.63,1.59,0,0],
+[45448,9.26252,-37.4131,4.63,0.47,0,0],
+[77635,15.84965,-25.7513,4.63,-0.07,0,0],
+[66738,13.67897,54.6816,4.63,1.63,0,0],
+[92512,18.85335,59.3884,4.63,1.18,77.47,25.37],
+[37648,7.72566,-28.4109,4.63,1.63,0,0],
+[38500,7.88434,-49.613,4.63,-0.23,0,0],
+[78662,16.05893,-57.7751,4.63,0.25,0,0],
+[88765,18.12177,8.7339,4.64,0.95,0,0],
+[76829,15.6865,-44.6612,4.64,0.41,0,0],
+[22845,4.91492,10.1508,4.64,0.08,41.49,-128.73],
+[101589,20.58848,14.6742,4.64,0.12,0,0],
+[76669,15.6563,36.6358,4.64,-0.1,0,0],
+[18216,3.8952,-24.6122,4.64,-0.14,31.28,-7.49],
+[67234,13.7776,-51.4328,4.64,0.96,0,0],
+[82369,16.83056,-10.783,4.64,0.48,0,0],
+[111674,22.6229,51.5451,4.64,0.25,0,0],
+[28716,6.06533,20.1385,4.64,0.24,1.88,-2.1],
+[95585,19.44197,0.3386,4.64,0.58,0,0],
+[84606,17.29452,37.2915,4.64,0.04,0,0],
+[113919,23.0697,50.0521,4.64,1.06,0,0],
+[36917,7.58969,-28.3693,4.65,-0.11,-65.93,-19.73],
+[23607,5.07615,15.4041,4.65,-0.06,0,0],
+[78639,16.05358,-49.2297,4.65,0.9,42.05,9.14],
+[58590,12.01455,6.6143,4.65,0.12,0.26,-30.1],
+[35363,7.30511,-36.734,4.65,-0.1,0,0],
+[36514,7.51183,-30.9623,4.65,0.9,0,0],
+[27890,5.90166,-63.0896,4.65,1.02,0,0],
+[12719,2.7242,27.7071,4.65,-0.12,0,0],
+[51192,10.4568,-57.6388,4.65,0.47,0,0],
+[21273,4.56414,14.8444,4.65,0.26,103.2,-26.48],
+[98543,20.01835,27.7536,4.66,0.18,0,0],
+[88567,18.08367,-29.5801,4.66,0.77,0,0],
+[42806,8.72143,21.4685,4.66,0.01,-103.51,-39.48],
+[33302,6.92706,-20.1365,4.66,0.37,0,0],
+[89678,18.30089,-27.0426,4.66,1.63,0,0],
+[5571,1.19089,21.0346,4.66,1.02,39.32,-10.48],
+[90135,18.39433,-8.9344,4.66,0.93,49.59,51.24],
+[35205,7.27639,-27.8812,4.66,1.59,0,0],
+[61740,12.6541,-7.9956,4.66,1.24,-77.13,-24.73],
+[62012,12.70986,-48.8131,4.66,1.08,0,0],
+[76705,15.66277,-34.4119,4.66,0.96,0,0],
+[31978,6.68296,9.8958,4.66,-0.23,0,0],
+[53295,10.89965,43.19,4.66,-0.04,0,0],
+[8497,1.82642,-10.6864,4.66,0.33,-148.11,-93.43],
+[44626,9.09399,-70.5385,4.66,-0.15,0,0],
+[19811,4.24814,40.4837,4.67,1.01,0,0],
+[88128,18.00095,16.7509,4.67,1.25,0,0],
+[90595,18.48663,-14.5658,4.67,0.08,3.22,-4.02],
+[45075,9.18194,63.5136,4.67,0.38,0,0],
+[16244,3.48946,49.5089,4.67,-0.1,0,0],
+[28910,6.10259,-14.9353,4.67,0.05,0,0],
+[5742,1.22915,24.5837,4.67,1.05,17.5,-22.04],
+[21683,4.65458,15.918,4.67,0.15,0,0],
+[40167,8.20354,17.6478,4.67,0.53,27.61,-151.73],
+[91919,18.73898,39.6701,4.67,0.17,0,0],
+[96100,19.53915,69.6612,4.67,0.79,597.482,-1738.313],
+[103738,21.02152,-32.2578,4.67,0.89,-1.73,0.41],
+[7294,1.56553,59.232,4.68,0.99,0,0],
+[52098,10.64534,31.9762,4.68,0.82,0,0],
+[43878,8.93869,-52.7235,4.68,-0.12,0,0],
+[96683,19.65628,30.1533,4.68,0.97,0,0],
+[49029,10.00356,8.0442,4.68,1.59,-31.41,-22.15],
+[13879,2.97935,39.6627,4.68,0.06,25.65,-41.62],
+[66006,13.53275,-6.2558,4.68,1.61,0,0],
+[66234,13.57425,49.016,4.68,0.13,0,0],
+[106786,21.6292,-7.8542,4.68,0.18,114.2,-25.03],
+[47310,9.64091,4.6493,4.68,1.31,0,0],
+[112211,22.72645,-18.8304,4.68,1.36,0,0],
+[9677,2.07484,-29.2968,4.68,-0.16,12.79,8.48],
+[80047,16.33912,-78.6957,4.68,1.68,-10.23,-37.43],
+[8928,1.91557,-67.6473,4.68,0.93,76.22,72.94],
+[116389,23.5846,-42.6151,4.69,0.08,42.31,10.67],
+[20732,4.44344,14.7138,4.69,0.98,0,0],
+[24813,5.319,40.0991,4.69,0.63,518.99,-665.06],
+[39211,8.02037,-1.3926,4.69,1.48,0,0],
+[52102,10.64583,-59.183,4.69,1.56,0,0],
+[108870,22.05549,-56.786,4.69,1.06,3960.93,-2539.23],
+[62268,12.76055,-60.9813,4.69,1.05,0,0],
+[107136,21.70157,51.1896,4.69,-0.12,5.29,-1.78],
+[37173,7.63835,-25.3648,4.69,-0.1,0,0],
+[38089,7.80561,-47.0777,4.69,1.04,0,0],
+[82671,16.89992,-42.362,4.7,0.44,0,0],
+[56922,11.67022,-34.7447,4.7,-0.07,-43.24,-1.61],
+[24927,5.34081,-21.2398,4.7,-0.05,0,0],
+[104521,21.17236,10.1316,4.7,0.26,48.74,-153.03],
+[91726,18.70456,-9.0525,4.7,0.36,9.21,0.82],
+[56633,11.61136,-9.8022,4.7,-0.07,-59.38,2.55],
+[113116,22.90679,84.3462,4.7,1.42,0,0],
+[116247,23.55462,-20.9145,4.7,0.02,0,0],
+[98066,19.93065,-26.2995,4.7,0.75,209.41,62.39],
+[45902,9.35822,-25.9654,4.71,1.63,-12.24,-9.29],
+[25737,5.49555,-1.0922,4.71,1.59,0,0],
+[63945,13.10464,-48.4633,4.71,-0.15,0,0],
+[97938,19.90413,8.4615,4.71,1.02,101.91,-81.2],
+[105140,21.29897,-32.1725,4.71,0.07,54.36,-23.29],
+[16245,3.48956,-62.9375,4.71,0.41,382.84,373.05],
+[114375,23.16525,-22.4576,4.71,0.67,0,0],
+[13954,2.99525,8.9074,4.71,-0.11,6.01,-17.7],
+[57283,11.74605,-18.3507,4.71,0.96,27.79,-24.86],
+[68191,13.96081,-63.6867,4.71,1.08,0,0],
+[25984,5.54546,32.192,4.71,0.28,-1.52,-4.33],
+[22667,4.87554,14.2506,4.71,1.77,-0.05,-54.81],
+[23693,5.09185,-57.4727,4.71,0.53,-30.97,117.22],
+[46026,9.38674,-28.8339,4.71,0.89,0,0],
+[40084,8.18786,-12.927,4.72,0.94,0,0],
+[25044,5.36271,-0.3825,4.72,-0.17,0,0],
+[46371,9.45511,-22.3438,4.72,1.15,0,0],
+[6692,1.43221,68.13,4.72,1.05,75.5,26.93],
+[107188,21.71097,-18.8663,4.72,0.87,0,0],
+[78592,16.04663,46.0367,4.72,-0.09,0,0],
+[84514,17.27686,-0.4453,4.72,1.12,0,0],
+[29276,6.17164,-54.9686,4.72,-0.23,-4.9,7.41],
+[27639,5.85068,37.3056,4.72,1.62,0,0],
+[51056,10.4319,33.7961,4.72,0.26,0,0],
+[51438,10.50558,-71.9928,4.72,0.04,0,0],
+[64844,13.29238,40.5726,4.72,0.31,0,0],
+[58867,12.07201,-63.1657,4.72,-0.08,0,0],
+[51658,10.55386,40.4256,4.72,0.22,0,0],
+[60202,12.34529,17.7929,4.72,1.01,0,0],
+[33202,6.91073,13.1778,4.73,0.32,0,0],
+[79119,16.14953,36.4909,4.73,1.01,-37.02,340.44],
+[53907,11.03046,-2.4846,4.73,1.59,0,0],
+[40096,8.19053,-42.9873,4.73,0.16,0,0],
+[103045,20.87756,-8.9833,4.73,0.32,45.75,-33.59],
+[11313,2.42706,50.2786,4.73,1.53,0,0],
+[78914,16.10818,-45.1732,4.73,0.23,16.19,38.45],
+[69191,14.16524,-53.4389,4.74,0.94,0,0],
+[16341,3.51029,-5.0751,4.74,-0.09,0,0],
+[103632,20.9971,47.521,4.74,-0.08,0,0],
+[11783,2.53479,-15.2447,4.74,0.45,-80.21,-146.29],
+[93542,19.05191,-42.0951,4.74,-0.03,56.41,-46.43],
+[39903,8.15021,-61.3024,4.74,0.44,0,0],
+[96052,19.52953,34.453,4.74,-0.15,0,0],
+[6193,1.32444,27.2641,4.74,0.03,22.98,-11.12],
+[77661,15.85442,20.9779,4.74,1.53,0,0],
+[64924,13.30676,-18.3112,4.74,0.71,0,0],
+[44390,9.04242,67.6296,4.74,1.54,-22.83,18.13],
+[2505,0.52954,54.5223,4.74,-0.1,0,0],
+[88116,17.99654,-23.8161,4.74,-0.03,0,0],
+[15520,3.33313,65.6523,4.74,-0.11,0,0],
+[108874,22.05523,-2.1554,4.74,-0.1,0,0],
+[12413,2.66333,-42.8917,4.74,0.06,0,0],
+[116602,23.63083,-45.4924,4.74,0.08,0,0],
+[42624,8.68698,-47.3171,4.74,0.14,0,0],
+[57581,11.80403,-66.8149,4.75,1.52,31.25,-15.25],
+[115088,23.3104,68.1114,4.75,0.84,0,0],
+[76880,15.69911,-19.6788,4.75,1.57,-32.06,-103.15],
+[69713,14.26944,51.3672,4.75,0.24,-149.39,88.72],
+[101612,20.593,-60.5817,4.75,0.29,0,0],
+[35020,7.24393,-48.2719,4.75,-0.09,0,0],
+[67786,13.88682,-31.9276,4.75,-0.11,0,0],
+[76945,15.7114,-34.7104,4.75,-0.15,0,0],
+[60485,12.40041,51.5623,4.76,0.88,0,0],
+[38901,7.96114,-30.3346,4.76,0.15,0,0],
+[63355,12.98207,17.4094,4.76,1.57,0,0],
+[27750,5.87401,1.8551,4.76,1.38,0,0],
+[70264,14.37697,-58.4591,4.76,0.8,0,0],
+[13288,2.85064,-21.004,4.76,0.91,-38.52,-16.05],
+[29997,6.3141,69.3198,4.76,0.02,0,0],
+[114155,23.11854,25.4683,4.76,1.28,0,0],
+[47522,9.68806,-23.5915,4.76,-0.12,0,0],
+[94703,19.27029,21.3904,4.76,-0.06,0,0],
+[2472,0.52359,-48.8035,4.76,0.02,140.49,19.25],
+[52370,10.70393,-64.4664,4.76,-0.14,0,0],
+[86486,17.67328,-49.4156,4.76,0.42,0,0],
+[106801,21.63201,62.0819,4.76,0.25,0,0],
+[67665,13.86319,34.4442,4.76,1.61,0,0],
+[55266,11.31886,38.1856,4.76,0.11,0,0],
+[13244,2.84126,-75.0669,4.76,1.34,0,0],
+[84969,17.36653,-67.7707,4.76,1.19,0,0],
+[65639,13.45755,-15.9736,4.76,1.1,0,0],
+[32533,6.78884,8.0373,4.77,1.4,0,0],
+[112519,22.79138,83.1538,4.77,1.26,0,0],
+[62985,12.90588,-9.539,4.77,1.59,-18.08,-19.52],
+[86201,17.61586,68.758,4.77,0.43,2.58,321.73],
+[88404,18.05137,-8.1803,4.77,0.41,0,0],
+[14382,3.09234,56.7057,4.77,1.02,0,0],
+[101027,20.481,-17.8137,4.77,0.39,-14.98,-7.29],
+[100044,20.29644,38.0329,4.77,0.38,0,0],
+[100310,20.34439,-12.7591,4.77,-0.05,14.74,-14.32],
+[90905,18.54292,57.0456,4.77,0.61,0,0],
+[26563,5.64808,-7.2128,4.77,0.14,0,0],
+[56127,11.50525,-3.0035,4.77,1.53,0,0],
+[3455,0.7365,-10.6096,4.77,1,-8.96,-113.82],
+[45751,9.32955,-11.9749,4.77,0.93,0,0],
+[98761,20.05929,-37.9407,4.77,1.42,0,0],
+[110882,22.46431,4.6957,4.78,1.04,0,0],
+[85755,17.5236,-23.9626,4.78,0.02,0,0],
+[110371,22.35537,28.3305,4.78,-0.01,0,0],
+[87294,17.83642,-40.0904,4.78,0.26,0,0],
+[70104,14.34516,-45.1871,4.78,0.31,0,0],
+[92024,18.75746,-64.8713,4.78,0.2,0,0],
+[60351,12.37509,25.8462,4.78,0.52,0,0],
+[122,0.02662,-77.0657,4.78,1.25,-57.3,-177.06],
+[64852,13.29341,5.4699,4.78,1.64,-6.06,9.14],
+[70306,14.38494,-27.754,4.78,1.3,0,0],
+[50564,10.32894,19.4709,4.78,0.45,0,0],
+[21029,4.50934,16.194,4.78,0.17,0,0],
+[17587,3.76731,63.345,4.78,0.75,0,0],
+[40274,8.22487,-35.8995,4.78,-0.11,0,0],
+[23231,4.99882,-12.5374,4.78,0.27,39.67,-87.04],
+[47758,9.73669,-27.7695,4.78,0.52,-53.23,37.24],
+[4147,0.88347,-1.1443,4.78,1.55,0,0],
+[39847,8.14096,51.5067,4.78,0.05,0,0],
+[9977,2.14145,37.8591,4.78,0.12,0,0],
+[26199,5.58408,-6.002,4.78,-0.25,0,0],
+[109908,22.26025,-41.3467,4.79,0.79,0,0],
+[80815,16.50347,-25.1152,4.79,-0.12,0,0],
+[1168,0.24338,20.2067,4.79,1.57,90.76,1.24],
+[87220,17.81958,-31.7032,4.79,-0.03,0,0],
+[41039,8.37547,-48.4904,4.79,-0.15,0,0],
+[64661,13.25416,-67.8946,4.79,-0.08,-36.46,-11.36],
+[99824,20.25442,25.592,4.79,-0.18,0,0],
+[9153,1.96548,23.5961,4.79,0.29,0,0],
+[88149,18.00439,4.3686,4.79,-0.1,0,0],
+[109400,22.16344,72.3412,4.79,0.92,0,0],
+[77655,15.85387,35.6574,4.79,1,-8.55,-348.44],
+[45856,9.34912,-62.4046,4.79,0.93,0,0],
+[22678,4.87722,36.7032,4.79,1.41,0,0],
+[69112,14.1475,77.5475,4.8,1.37,0,0],
+[45811,9.34139,-9.5557,4.8,0.91,0,0],
+[52502,10.73526,-63.9611,4.8,-0.13,0,0],
+[61394,12.58086,22.6293,4.8,0.01,0,0],
+[20354,4.35921,46.4989,4.8,-0.02,0,0],
+[112051,22.69595,29.3076,4.8,-0.01,0,0],
+[3300,0.70108,50.5125,4.8,-0.1,0,0],
+[105382,21.34601,-40.8095,4.8,0.03,71.92,20.38],
+[69879,14.29995,35.5095,4.8,1.06,0,0],
+[84573,17.28877,33.1001,4.8,-0.17,0,0],
+[45493,9.26981,54.0219,4.8,0.2,0,0],
+[4151,0.88451,61.124,4.8,0.54,0,0],
+[103089,20.88743,44.3873,4.8,-0.13,0,0],
+[110672,22.42128,1.3774,4.8,-0.17,17.83,2.41],
+[99639,20.22168,46.8157,4.8,0.1,0,0],
+[73568,15.03514,25.0081,4.8,1.51,0,0],
+[20542,4.4016,17.4441,4.8,0.15,0,0],
+[71995,14.72371,26.5278,4.8,1.67,0,0],
+[64022,13.11965,27.6247,4.8,1.48,0,0],
+[15197,3.2639,-8.8197,4.8,0.23,-0.35,46.1],
+[45038,9.1732,67.134,4.8,0.49,0,0],
+[79881,16.30497,-28.614,4.8,0.01,0,0],
+[31832,6.65551,42.4889,4.8,1.24,0,0],
+[23364,5.02398,-7.174,4.8,-0.16,0,0],
+[24372,5.22929,-67.1853,4.81,1.27,18.71,37.949],
+[24659,5.29141,-34.8952,4.81,0.99,92.67,-336.23],
+[90289,18.42251,-20.5417,4.81,1.31,0,0],
+[101867,20.64204,21.2012,4.81,-0.03,0,0],
+[55687,11.41016,-10.8593,4.81,1.56,-25.65,24.96],
+[70755,14.47004,-2.228,4.81,0.69,-139.53,-4.04],
+[28237,5.96657,25.9539,4.81,-0.09,0,0],
+[47029,9.5844,39.6215,4.81,0.99,0,0],
+[102724,20.81564,46.1141,4.81,0.57,0,0],
+[39138,8.00555,-63.5675,4.81,-0.17,0,0],
+[24010,5.16165,15.5972,4.81,0.31,0,0],
+[90344,18.43307,65.5635,4.82,1.18,0,0],
+[111123,22.51078,-10.6779,4.82,-0.05,0.3,-26.87],
+[60710,12.44216,-51.4506,4.82,-0.14,0,0],
+[9095,1.95279,-47.3853,4.82,0.86,0,0],
+[110386,22.35863,12.2052,4.82,-0.13,0,0],
+[24340,5.22381,38.4845,4.82,0.19,-19.18,-72.93],
+[66458,13.62434,36.2949,4.82,0.24,0,0],
+[92782,18.90661,71.2972,4.82,1.15,49.53,42.11],
+[69226,14.17332,25.0917,4.82,0.54,0,0],
+[80179,16.36788,1.029,4.82,0.34,-158.4,49.56],
+[83262,17.01767,-4.2226,4.82,1.48,0,0],
+[78554,16.03825,22.8045,4.82,0.07,0,0],
+[116901,23.69606,-17.8165,4.82,0.82,0,0],
+[50799,10.37211,-41.65,4.82,1.1,0,0],
+[82321,16.82062,45.9833,4.82,0.09,0,0],
+[115022,23.29573,49.0153,4.82,1.67,0,0],
+[36773,7.56332,-14.5239,4.82,1.36,0,0],
+[31827,6.65464,-14.1458,4.82,1.46,0,0],
+[104019,21.07342,-19.855,4.82,0.17,-37.62,-24.95],
+[51459,10.51046,55.9805,4.82,0.54,0,0],
+[33092,6.89247,-20.2243,4.82,-0.21,0,0],
+[74449,15.21378,-44.5004,4.83,-0.18,0,0],
+[42726,8.70705,-53.114,4.83,-0.17,0,0],
+[80704,16.47737,41.8817,4.83,1.29,0,0],
+[12390,2.6594,-11.8722,4.83,0.45,0,0],
+[35210,7.2769,-23.3156,4.83,1.6,0,0],
+[92088,18.76791,26.6621,4.83,1.2,0,0],
+[73695,15.06317,47.6541,4.83,0.65,0,0],
+[12876,2.75905,-67.6166,4.83,0.06,0,0],
+[6813,1.46092,45.4067,4.83,0.42,356.99,-109.4],
+[63724,13.05926,-49.5273,4.83,0.03,0,0],
+[34495,7.14752,-39.6557,4.83,-0.18,0,0],
+[40945,8.3564,-33.0544,4.83,1.42,0,0],
+[93174,18.97872,-37.1074,4.83,0.4,-132.4,-110.62],
+[4292,0.91672,58.9727,4.83,1.22,0,0],
+[93026,18.95102,-5.8463,4.83,1.06,0,0],
+[83574,17.08038,-34.1229,4.83,0.26,0,0],
+[112203,22.72499,-41.4143,4.84,1.03,0,0],
+[114104,23.11023,59.4198,4.84,-0.06,0,0],
+[112374,22.76052,-53.5001,4.84,1.18,0,0],
+[37297,7.6576,-38.308,4.84,-0.19,0,0],
+[10340,2.22037,44.2317,4.84,1.48,0,0],
+[19740,4.23233,9.2638,4.84,0.8,0,0],
+[10644,2.28419,34.2242,4.84,0.61,0,0],
+[53807,11.00935,3.6175,4.84,1.14,0,0],
+[15457,3.32269,3.3702,4.84,0.68,0,0],
+[42134,8.5888,-58.0092,4.84,0.98,0,0],
+[98353,19.98256,-26.1958,4.84,0.88,0,0],
+[81008,16.54342,11.488,4.84,1.5,0,0],
+[70027,14.32923,16.3069,4.84,1.23,0,0],
+[81660,16.68198,64.589,4.84,1.21,0,0],
+[7007,1.50309,6.1438,4.84,1.37,0,0],
+[57328,11.75473,8.2581,4.84,0.17,0,0],
+[82020,16.75495,56.7819,4.84,0.38,0,0],
+[26777,5.68826,16.5341,4.84,-0.12,0,0],
+[14862,3.19896,74.3937,4.85,0.04,0,0],
+[15416,3.31217,34.2227,4.85,1.49,0,0],
+[64408,13.2009,-37.803,4.85,0.69,0,0],
+[49712,10.14896,-51.8113,4.85,-0.12,0,0],
+[93148,18.97438,-52.9386,4.85,-0.05,12.18,-8.76],
+[87846,17.94651,-44.3422,4.85,1.18,0,0],
+[36431,7.49762,-23.0243,4.85,0.24,0,0],
+[89918,18.3478,3.3772,4.85,0.91,0,0],
+[74837,15.29414,-63.6105,4.85,1.26,0,0],
+[101773,20.62646,-61.5299,4.86,0.45,0,0],
+[81122,16.56806,-44.0453,4.86,0.04,0,0],
+[15382,3.30614,-22.5111,4.86,0.9,0,0],
+[86736,17.72383,-21.6832,4.86,0.47,0,0],
+[32438,6.7706,59.4417,4.86,0.08,0,0],
+[94643,19.25901,-25.2567,4.86,0.57,0,0],
+[51808,10.58488,75.7129,4.86,0.96,0,0],
+[85829,17.53777,55.173,4.86,0.28,142.65,62.43],
+[81497,16.64579,48.9283,4.86,1.56,0,0],
+[2210,0.46547,-33.0072,4.86,1.63,0,0],
+[70327,14.38964,8.4466,4.86,0.01,0,0],
+[42483,8.6618,-29.5611,4.86,0.9,0,0],
+[91918,18.73871,-35.642,4.86,-0.17,0,0],
+[80181,16.36829,30.892,4.86,0.97,0,0],
+[64820,13.28695,-66.7834,4.86,1.48,0,0],
+[109068,22.09465,5.0585,4.86,1.44,0,0],
+[92761,18.90283,-22.7448,4.86,1.41,2.59,-8.41],
+[71832,14.6941,8.1618,4.86,0.99,0,0],
+[12093,2.59791,5.5932,4.87,0.88,-26.51,-22.32],
+[43825,8.92543,-27.6819,4.87,0.14,0,0],
+[34899,7.22038,-45.1827,4.87,0,0,0],
+[97290,19.77271,-19.7611,4.87,1.06,0,0],
+[51979,10.62048,-27.4126,4.87,1.63,0,0],
+[6411,1.37234,45.5288,4.87,1.08,31.45,8.83],
+[19777,4.23991,-10.2563,4.87,1.16,0,0],
+[52736,10.7809,-64.3835,4.87,-0.15,0,0],
+[42662,8.69537,-15.9434,4.87,1.06,0,0],
+[15110,3.24836,21.0444,4.87,-0.01,-27.83,-74.59],
+[106551,21.5796,38.5341,4.87,1.08,0,0],
+[48559,9.90342,-25.9323,4.87,1.2,0,0],
+[87936,17.96328,-41.7163,4.88,1.62,0,0],
+[35412,7.31122,-24.5587,4.88,-0.16,0,0],
+[27810,5.88524,-33.8014,4.88,-0.15,-4.72,31.32],
+[63462,13.00458,30.785,4.88,1.16,0,0],
+[91845,18.72535,-8.2752,4.88,1.11,21.06,9.11],
+[94820,19.29391,-18.9529,4.88,1.01,0,0],
+[61960,12.69807,10.2356,4.88,0.08,82.67,-89.08],
+[11345,2.4325,-12.2905,4.88,-0.03,-11.28,-9.48],
+[96341,19.58694,-48.0992,4.88,1.1,-7.51,-37.19],
+[25539,5.46058,21.937,4.88,-0.14,0,0],
+[82860,16.93375,65.1348,4.88,0.48,0,0],
+[118209,23.97788,-3.556,4.88,0.93,0,0],
+[117301,23.78428,58.652,4.88,1.12,0,0],
+[58484,11.9938,-78.2218,4.88,-0.05,0,0],
+[118243,23.98348,55.7549,4.88,-0.07,0,0],
+[27468,5.81694,24.5675,4.88,1.02,0,0],
+[62886,12.88826,21.2449,4.89,0.9,0,0],
+[85819,17.53625,55.1842,4.89,0.25,147.39,54.31],
+[37265,7.65276,34.5843,4.89,0.41,-33.42,-118.17],
+[83613,17.08964,12.7408,4.89,0.12,0,0],
+[22453,4.83185,37.4883,4.89,1.45,0,0],
+[37908,7.76874,18.51,4.89,1.42,0,0],
+[25302,5.41245,1.8464,4.89,-0.2,0,0],
+[57851,11.86424,-65.2059,4.89,-0.12,0,0],
+[57443,11.77538,-40.5004,4.89,0.66,0,0],
+[27511,5.82581,12.6513,4.89,-0.07,0,0],
+[69896,14.30388,-81.0078,4.89,0.24,0,0],
+[97118,19.73794,37.3544,4.89,0.95,0,0],
+[52009,10.62591,-13.3845,4.89,2.8,0,0],
+[51523,10.52278,-53.7155,4.89,0.5,0,0],
+[910,0.18774,-15.468,4.89,0.49,0,0],
+[115990,23.50054,58.5489,4.89,-0.12,0,0],
+[111841,22.65436,39.0503,4.89,-0.21,0,0],
+[102831,20.8328,-33.7797,4.89,1,0.76,-21.07],
+[64583,13.23758,-59.1032,4.9,0.49,0,0],
+[26885,5.70795,1.4746,4.9,1.14,0,0],
+[6670,1.42701,-14.5988,4.9,1.23,0,0],
+[3801,0.81389,50.9682,4.9,-0.09,0,0],
+[102790,20.82471,-46.2268,4.9,1.49,0,0],
+[78655,16.05672,-38.6025,4.9,-0.15,0,0],
+[97679,19.85114,22.61,4.9,-0.15,23.02,-15.88],
+[33485,6.96031,45.0941,4.9,0.03,0,0],
+[78821,16.09071,-19.8019,4.9,-0.02,-5.07,-25.87],
+[80686,16.47442,-70.0844,4.9,0.56,200.222,110.64],
+[62683,12.84477,-33.9993,4.9,-0.03,0,0],
+[98055,19.92717,52.4389,4.91,0.12,0,0],
+[61966,12.69905,-59.6858,4.91,-0.04,0,0],
+[21139,4.5313,-0.044,4.91,1.32,0,0],
+[23362,5.02377,-20.0519,4.91,-0.05,0,0],
+[111310,22.55001,-61.9821,4.91,1.61,0,0],
+[34622,7.17047,-4.2371,4.91,1.02,0,0],
+[34752,7.19426,39.3205,4.91,1.45,0,0],
+[30093,6.33322,-2.9445,4.91,1.61,0,0],
+[74604,15.2437,-31.5191,4.91,0.37,0,0],
+[73473,15.01621,-8.5189,4.91,0,-63.46,-4.76],
+[81724,16.69288,-17.7422,4.91,1.1,0,0],
+[52085,10.64304,-16.8766,4.91,0.92,0,0],
+[23835,5.12416,18.6451,4.91,0.66,0,0],
+[66257,13.57994,37.1824,4.91,0.4,0,0],
+[83608,17.08893,54.47,4.91,0.47,-58.16,67.87],
+[113186,22.92046,8.8162,4.91,0,0,0],
+[101101,20.49417,-2.8855,4.91,1.16,0,0],
+[101692,20.61212,-2.55,4.91,1.61,0,0],
+[12623,2.70414,40.1939,4.91,0.58,0,0],
+[28574,6.03067,-10.5979,4.92,-0.13,0,0],
+[34059,7.0649,-49.5839,4.92,0.14,0,0],
+[28816,6.08309,-16.4844,4.92,0.2,0,0],
+[88726,18.11386,-43.4252,4.92,0.26,0,0],
+[72104,14.74978,-35.1918,4.92,0.01,0,0],
+[66200,13.56887,3.659,4.92,0.03,0,0],
+[36547,7.51791,82.4115,4.92,1.63,0,0],
+[60697,12.44002,27.2682,4.92,0.28,0,0],
+[45439,9.2602,-38.5699,4.92,1.08,0,0],
+[67480,13.82856,21.2641,4.92,1.43,0,0],
+[102388,20.74792,25.2706,4.92,1.18,0,0],
+[30520,6.41497,49.2879,4.92,1.9,-0.66,-1.82],
+[90830,18.52929,-45.9148,4.92,-0.1,0,0],
+[89861,18.33831,21.9613,4.92,1.59,0,0],
+[75379,15.4033,-10.3223,4.92,0.45,0,0],
+[9061,1.9445,-22.5268,4.92,1.43,0,0],
+[92689,18.8871,50.7082,4.92,0.9,0,0],
+[54204,11.08887,-27.2936,4.92,0.37,-190.41,-5.96],
+[39079,7.9956,-3.6796,4.93,1.2,0,0],
+[19990,4.28768,20.5786,4.93,0.26,0,0],
+[73996,15.12168,24.8692,4.93,0.43,0,0],
+[114939,23.28082,-7.7265,4.93,1.61,0,0],
+[56280,11.53789,-29.261,4.93,0.54,0,0],
+[43937,8.94956,-59.2293,4.93,-0.18,0,0],
+[62763,12.86164,27.5407,4.93,0.68,0,0],
+[99770,20.24223,36.8063,4.93,0.15,0,0],
+[36942,7.59436,-52.5338,4.93,1.37,0,0],
+[37609,7.71679,58.7104,4.93,0.1,0,0],
+[69269,14.18069,-16.302,4.93,1.68,0,0],
+[102571,20.78632,34.3741,4.93,1.29,0,0],
+[19515,4.18071,-41.9936,4.93,0.33,0,0],
+[79375,16.2,-10.0643,4.93,0.09,0,0],
+[47592,9.70401,-23.9156,4.93,0.53,0,0],
+[20252,4.34018,34.5667,4.93,0.95,0,0],
+[117073,23.73319,29.3615,4.93,0.94,0,0],
+[72631,14.8503,-2.2992,4.93,0.99,0,0],
+[23179,4.98761,37.8902,4.93,0.04,0,0],
+[63503,13.01212,56.3663,4.93,0.37,0,0],
+[56986,11.68157,-62.0901,4.93,1.11,0,0],
+[96483,19.61485,-7.0275,4.93,-0.05,1.63,-2.65],
+[59847,12.27237,23.9454,4.93,0.96,0,0],
+[99120,20.1231,-52.8808,4.93,1.59,-12.98,7.5],
+[99303,20.15712,36.8396,4.93,-0.14,0,0],
+[64540,13.2286,40.1529,4.94,1.06,0,0],
+[64166,13.15091,-23.1181,4.94,1.05,0,0],
+[109422,22.16909,-32.5484,4.94,0.49,0,0],
+[99742,20.23795,15.1976,4.94,0.07,55.03,58.14],
+[93279,19.00023,32.1455,4.94,1.46,0,0],
+[50933,10.40218,65.5664,4.94,-0.05,0,0],
+[101138,20.50098,48.9516,4.94,-0.09,10.63,7.22],
+[33357,6.93778,-48.7211,4.94,1.67,0,0],
+[13905,2.98436,35.1831,4.94,1.24,0,0],
+[80650,16.4664,68.7681,4.94,-0.05,0,0],
+[35727,7.37042,-19.0166,4.94,-0.04,0,0],
+[48615,9.9145,-19.0094,4.94,1.56,0,0],
+[39424,8.05863,27.7943,4.94,1.13,-25.52,-31.89],
+[10280,2.20619,30.3031,4.94,0.77,0,0],
+[43347,8.8299,-45.3079,4.94,0.04,0,0],
+[51495,10.51724,-73.2215,4.94,1.68,0,0],
+[61384,12.5789,70.0218,4.95,1.31,0,0],
+[78207,15.96982,-14.2794,4.95,-0.08,0,0],
+[29434,6.20091,16.1304,4.95,-0.15,0,0],
+[98068,19.93104,38.4867,4.95,-0.09,0,0],
+[98608,20.02909,-59.3759,4.95,1.36,0,0],
+[55945,11.46562,2.8563,4.95,1,16.89,-9.81],
+[117245,23.7732,3.4868,4.95,2.51,-33.68,-24.49],
+[26736,5.68075,-1.1288,4.95,-0.2,0,0],
+[115738,23.44888,1.2556,4.95,0.04,86.68,-94.29],
+[6242,1.3347,58.2316,4.95,0.68,0,0],
+[112917,22.86722,43.3124,4.95,1.56,0,0],
+[3414,0.72447,47.0245,4.95,0.17,0,0],
+[18505,3.95707,63.0723,4.95,-0.07,0,0],
+[79822,16.29179,75.7553,4.95,0.39,-90.3,257.66],
+[79509,16.22465,-54.6305,4.95,1.02,-5.14,-22.86],
+[78650,16.05573,-25.8652,4.96,1.23,0,0],
+[24822,5.32128,22.0965,4.96,0.94,0,0],
+[27949,5.91411,55.7069,4.96,0.05,-4.85,17.29],
+[67494,13.83119,-18.1342,4.96,1.06,0,0],
+[88657,18.10053,22.2189,4.96,1.66,0,0],
+[7818,1.67634,40.577,4.96,-0.07,0,0],
+[78180,15.9632,54.7498,4.96,0.27,0,0],
+[7918,1.69638,42.6134,4.96,0.62,0,0],
+[115590,23.41396,62.2828,4.96,1.68,0,0],
+[89172,18.19838,31.4054,4.96,1.64,0,0],
+[89153,18.19537,-23.7012,4.96,1.06,0,0],
+[15648,3.35738,43.3297,4.96,0.05,0,0],
+[11918,2.56408,-28.2323,4.96,-0.05,0,0],
+[20877,4.47399,16.3597,4.96,1.14,0,0],
+[9009,1.93334,68.6852,4.97,-0.08,0,0],
+[5862,1.25304,-45.5317,4.97,0.57,0,0],
+[70753,14.46956,-29.4916,4.97,-0.07,0,0],
+[117221,23.76723,46.4203,4.97,1.09,9.07,-7.83],
+[116758,23.66307,-14.2222,4.97,0.26,0,0],
+[38538,7.89162,26.7658,4.97,0.1,-34.69,-30.1],
+[17313,3.70629,33.965,4.97,-0.05,0,0],
+[79790,16.28359,-50.0681,4.97,0.79,0,0],
+[76742,15.67136,-23.8181,4.97,1.3,0,0],
+[20250,4.33923,27.3508,4.97,1.15,0,0],
+[83430,17.05219,14.0919,4.97,1.6,0,0],
+[65721,13.47384,13.7788,4.97,0.71,0,0],
+[18772,4.0217,-61.0788,4.97,1.39,66.79,94.8],
+[60172,12.33916,3.3126,4.97,1.17,0,0],
+[28010,5.92498,-37.1207,4.97,1.1,0,0],
+[50847,10.38282,-66.9015,4.97,-0.13,0,0],
+[116310,23.56588,31.3253,4.97,1.38,0,0],
+[92951,18.9374,4.2021,4.98,0.2,36.23,23.15],
+[78493,16.02405,29.8511,4.98,-0.05,-38.31,-6.56],
+[95066,19.34247,-5.4158,4.98,0.94,0,0],
+[37379,7.67311,-15.2639,4.98,1.54,0,0],
+[26235,5.5897,-5.4161,4.98,-0.1,0,0],
+[60746,12.4498,26.8257,4.98,0.09,0,0],
+[23783,5.11129,51.5977,4.98,0.34,0,0],
+[26220,5.58773,-5.3873,4.98,0.62,-4.13,6.82],
+[13884,2.97994,-64.0713,4.98,0.13,22.76,5.18],
+[10053,2.15704,25.9399,4.98,0.34,0,0],
+[90156,18.39851,58.8007,4.98,0.08,0,0],
+[7999,1.71209,-3.6902,4.98,1.38,0,0],
+[57696,11.8324,-70.2258,4.98,1.36,0,0],
+[76041,15.52972,40.8993,4.98,0.09,0,0],
+[42509,8.66708,-12.4754,4.98,1.42,0,0],
+[53824,11.01244,6.1014,4.98,0.17,0,0],
+[98073,19.93205,58.846,4.98,1.58,0,0],
+[9505,2.03836,54.4875,4.99,-0.07,0,0],
+[16147,3.46752,49.0629,4.99,-0.09,0,0],
+[55560,11.38044,43.4827,4.99,1,0,0],
+[75312,15.38675,30.2878,4.99,0.58,0,0],
+[45085,9.18456,-44.8679,4.99,0.22,0,0],
+[75206,15.36898,-47.9278,4.99,0.52,0,0],
+[21644,4.64821,-12.1231,4.99,0.07,0,0],
+[355,0.07503,-10.5095,4.99,1.62,0,0],
+[98842,20.07211,-32.0563,4.99,1.21,0,0],
+[59856,12.27504,33.0615,4.99,1.14,0,0],
+[18488,3.9523,61.1089,4.99,1.44,0,0],
+[69389,14.20439,2.4094,4.99,-0.12,0,0],
+[46771,9.53243,11.2998,4.99,1.05,-89.98,-81.85],
+[115115,23.31602,-9.6108,4.99,-0.02,43.33,-8.3],
+[95372,19.4021,29.6213,4.99,-0.12,0,0],
+[78323,15.99174,-41.7444,4.99,0.99,0,0],
+[25142,5.38056,3.5445,4.99,-0.1,0,0],
+[89348,18.23154,64.3973,4.99,0.44,0,0],
+[109289,22.14054,-34.0438,4.99,1.5,0,0],
+[33971,7.04855,-4.2392,4.99,-0.2,0,0],
+[17304,3.70414,-31.9384,4.99,-0.16,4.8,13.64],
+[113288,22.94056,49.7335,4.99,1.78,0,0],
+[32855,6.84788,-34.3673,4.99,1.38,0,0],
+[32844,6.8461,41.7812,4.99,1.26,0,0],
+[40259,8.22221,-15.7882,4.99,1.07,0,0],
+[44659,9.09955,5.0923,4.99,1.19,0,0],
+[66821,13.69578,-54.5594,4.99,-0.06,0,0],
+[36041,7.42747,9.2761,4.99,0.99,0,0],
+[25278,5.40707,17.3835,5,0.54,0,0],
+[19018,4.07421,59.1555,5,0.5,0,0],
+[76008,15.52362,77.3494,5,1.54,0,0],
+[96275,19.57636,19.7734,5,-0.09,0,0],
+[94490,19.23199,57.7051,5,1.16,0,0],
+[57175,11.72533,-62.4894,5,0.78,0,0],
+[35384,7.30888,49.4648,5,0.09,0,0],
+[55588,11.38686,-36.1648,5,1.46,0,0],
+[29034,6.12545,-37.2529,5,-0.1,0,0],
+[88060,17.9848,-30.253,5,1.65,0,0],
+[33345,6.93518,-14.0434,5,1.18,0,0],
+[88788,18.12465,43.4619,5,0.91,0,0],
+[92845,18.91865,-22.6713,5,1.35,0,0],
+[29735,6.26247,-13.7184,5,-0.08,0,0],
+[79043,16.13459,17.047,5,0.93,-35.55,-7.04],
+[47205,9.62018,6.8358,5,1.05,0,0],
+[118121,23.95973,-64.2982,5,0.06,0,0],
+[93408,19.02399,46.9348,5,0.19,0,0],
+[97295,19.77378,33.7276,5,0.48,0,0],
+[36429,7.49688,27.9161,5.01,1.12,0,0],
+[97496,19.81629,19.142,5.01,0.1,0,0],
+[52425,10.71779,69.0762,5.01,1.41,0,0],
+[2219,0.46748,17.8931,5.01,1.58,0,0],
+[42088,8.57878,-49.9442,5.01,1.3,0,0],
+[84833,17.33857,18.0571,5.01,1.65,0,0],
+[29919,6.29856,61.5153,5.01,1.84,0,0],
+[46950,9.56911,-51.2553,5.01,-0.18,0,0],
+[29353,6.1875,-65.5894,5.01,1.6,0,0],
+[38423,7.87102,-34.7054,5.01,0.47,0,0],
+[98258,19.96584,-15.4915,5.01,0.06,0,0],
+[60059,12.31661,-55.143,5.01,1.6,0,0],
+[24504,5.25678,32.6876,5.01,0.22,0,0],
+[841,0.17201,46.0723,5.01,0.4,0,0],
+[23430,5.03606,-26.275,5.01,1.06,0,0],
+[60646,12.43082,39.0186,5.01,0.96,0,0],
+[56862,11.65823,-65.3978,5.01,0.8,0,0],
+[7719,1.65584,44.3862,5.01,0.88,0,0],
+[60998,12.50187,69.2011,5.01,1.62,0,0],
+[91975,18.7472,2.06,5.02,-0.06,0,0],
+[74793,15.28497,71.8239,5.02,1.37,4.099,9.535],
+[72800,14.88086,-37.8032,5.02,-0.16,0,0],
+[46880,9.55346,-21.1157,5.02,1.02,0,0],
+[68103,13.94283,27.4921,5.02,1.44,0,0],
+[95477,19.42125,-24.5086,5.02,0.24,0,0],
+[93057,18.95569,-20.6563,5.02,0.14,0,0],
+[89981,18.35908,49.1216,5.02,1.62,0,0],
+[53426,10.929,33.5069,5.02,1.1,0,0],
+[87212,17.81786,50.7811,5.02,0.04,0,0],
+[87234,17.82416,76.9629,5.02,0.52,0,0],
+[107608,21.7956,-30.8983,5.02,0.04,-34.4,-0.08],
+[25292,5.41087,37.3853,5.02,1.44,0,0],
+[51635,10.54913,-47.0034,5.02,1.04,-24.38,6.4],
+[20901,4.4806,13.0476,5.02,0.22,0,0],
+[35226,7.28039,-36.5926,5.03,-0.16,0,0],
+[37891,7.7658,-14.5638,5.03,0.34,0,0],
+[9836,2.10942,22.6483,5.03,0.12,0,0],
+[82504,16.86257,24.6564,5.03,1.25,0,0],
+[69618,14.24921,-57.0861,5.03,-0.07,0,0],
+[95937,19.51107,-2.7889,5.03,1.77,0,0],
+[61418,12.58549,18.3771,5.03,1.15,0,0],
+[22479,4.83656,-16.2172,5.03,0.99,0,0],
+[103200,20.90934,28.0576,5.03,1.48,0,0],
+[53721,10.99112,40.4303,5.03,0.62,-317.01,54.64],
+[41639,8.49097,-44.7248,5.03,-0.17,0,0],
+[28675,6.05433,-26.2845,5.03,1.34,0,0],
+[97635,19.84381,52.988,5.03,1.29,0,0],
+[91755,18.71054,55.5395,5.03,-0.07,0,0],
+[95261,19.38089,-54.4239,5.03,0.02,0,0],
+[84671,17.31028,10.8645,5.03,1.54,0,0],
+[83336,17.03129,-32.1435,5.03,-0.1,0,0],
+[66803,13.69355,-8.703,5.03,1.62,0,0],
+[21861,4.70096,-37.1443,5.04,0.39,46.59,193.56],
+[5317,1.13356,43.9421,5.04,0.11,0,0],
+[35846,7.39125,25.0505,5.04,0.9,0,0],
+[29800,6.27406,12.2722,5.04,0.43,0,0],
+[77811,15.8889,-20.167,5.04,-0.01,-9.81,-26.85],
+[32173,6.71805,44.5244,5.04,1.48,0,0],
+[39690,8.11121,-45.266,5.04,1.49,0,0],
+[108535,21.98752,73.1799,5.04,0.44,0,0],
+[65468,13.41869,-74.8878,5.04,1.11,0,0],
+[28325,5.98453,-9.5582,5.04,0.19,0,0],
+[37300,7.65794,17.6745,5.04,1.62,0,0],
+[111710,22.62927,-4.2281,5.04,1.14,-69.23,-119.67],
+[75973,15.51549,40.833,5.04,1.59,11.28,-8.11],
+[15219,3.27006,50.9377,5.04,1.11,0,0],
+[64407,13.20098,-16.1986,5.04,0.46,0,0],
+[74975,15.32189,1.7654,5.04,0.54,0,0],
+[74778,15.28247,-60.9573,5.04,-0.08,0,0],
+[8241,1.76839,-53.522,5.04,0.03,0,0],
+[37606,7.71586,-45.1731,5.04,0.76,0,0],
+[58905,12.07962,-76.5191,5.04,1.49,0,0],
+[28991,6.1176,-62.1546,5.04,1.26,0,0],
+[65810,13.49035,-51.1651,5.04,0.06,0,0],
+[106711,21.61583,40.4135,5.04,0.2,0,0],
+[183,0.03887,-29.7204,5.04,-0.15,0,0],
+[105186,21.30755,43.9459,5.04,-0.06,0,0],
+[31765,6.64379,-48.2202,5.05,1,0,0],
+[23649,5.08278,-49.5778,5.05,1.48,68.96,-2.2],
+[117371,23.79854,67.8068,5.05,0.01,0,0],
+[37391,7.6753,87.0201,5.05,1.6,0,0],
+[109556,22.19183,59.4145,5.05,0.19,0,0],
+[88745,18.1171,30.5621,5.05,0.53,0,0],
+[115227,23.33905,5.3813,5.05,1.2,78.47,-60],
+[15444,3.31879,50.095,5.05,-0.07,0,0],
+[42430,8.6522,-22.6619,5.05,0.72,0,0],
+[24879,5.33359,33.9581,5.05,0.29,0,0],
+[114347,23.15874,8.6772,5.05,1.48,0,0],
+[17851,3.81978,24.1367,5.05,-0.08,18.07,-47.2],
+[96825,19.6806,45.5249,5.06,0.43,0,0],
+[36817,7.57184,-23.4737,5.06,0.47,0,0],
+[53838,11.01401,39.2121,5.06,0.26,0,0],
+[25045,5.36285,-24.773,5.06,0.66,0,0],
+[17296,3.70259,63.2168,5.06,1.65,0,0],
+[24505,5.25677,-26.9435,5.06,-0.07,0,0],
+[40680,8.30522,-65.6132,5.06,1.13,0,0],
+[84033,17.17842,-44.5577,5.06,0.87,0,0],
+[29134,6.14564,-68.8434,5.06,-0.07,-50.84,19.01],
+[102843,20.8347,44.0593,5.06,0.2,0,0],
+[29417,6.19773,-6.5503,5.06,-0.2,0,0],
+[49485,10.10312,-47.37,5.06,0.88,0,0],
+[98571,20.02266,50.1047,5.06,1.12,0,0],
+[104755,21.22235,-70.1263,5.06,1.58,41.28,-19.69],
+[96950,19.70865,-16.124,5.06,0.32,0,0],
+[30772,6.46599,-4.7622,5.06,-0.18,0,0],
+[70248,14.37311,-80.1089,5.06,-0.11,0,0],
+[101868,20.6422,24.116,5.06,-0.13,0,0],
+[102950,20.85835,-51.6082,5.06,1.12,0,0],
+[117718,23.8748,19.1203,5.06,1.59,-7.27,-35.4],
+[14954,3.2129,-1.1961,5.07,0.57,0,0],
+[3810,0.81631,16.9406,5.07,0.5,0,0],
+[51775,10.58,6.9537,5.07,0.92,0,0],
+[21060,4.51392,-44.9537,5.07,-0.19,1.64,-3.09],
+[48437,9.87512,-8.105,5.07,0.04,-57.28,-49.26],
+[109017,22.08578,62.2798,5.07,0.24,0,0],
+[21727,4.66519,53.0795,5.07,1.08,0,0],
+[33558,6.97364,-34.1117,5.07,-0.15,0,0],
+[90853,18.53387,-45.7574,5.07,-0.13,0,0],
+[46774,9.53266,9.7158,5.07,1.36,0,0],
+[34909,7.22285,16.159,5.07,1.65,0,0],
+[81292,16.60381,52.9244,5.07,-0.03,0,0],
+[85805,17.53274,68.135,5.07,1.08,0,0],
+[2578,0.54551,-63.0315,5.07,0.04,0,0],
+[101916,20.65216,10.0862,5.07,0.7,323.83,21.8],
+[38010,7.79028,-38.5111,5.07,-0.11,0,0],
+[47452,9.67177,-14.3323,5.07,-0.15,-23.41,-21.1],
+[36393,7.48901,28.1183,5.07,0.12,0,0],
+[46928,9.56486,-80.9413,5.07,-0.14,0,0],
+[69415,14.21278,-27.2612,5.07,1.13,0,0],
+[56243,11.52946,-59.4421,5.07,1.03,0,0],
+[83947,17.15924,40.777,5.07,1.27,0,0],
+[25282,5.40803,-0.8913,5.07,0.96,0,0],
+[93867,19.11628,11.0712,5.07,-0.06,0,0],
+[107763,21.83075,30.1742,5.07,0.01,0,0],
+[25541,5.4608,34.4759,5.08,1.4,0,0],
+[17771,3.80452,11.1433,5.08,-0.12,0,0],
+[25110,5.37604,79.2311,5.08,0.51,0,0],
+[21673,4.65256,15.7998,5.08,0.14,0,0],
+[111532,22.59608,73.6432,5.08,0.4,0,0],
+[41483,8.46017,-53.0885,5.08,0.26,0,0],
+[51718,10.56691,-23.7452,5.08,1.6,0,0],
+[51912,10.60571,-59.5644,5.08,1.17,0,0],
+[32558,6.79367,-8.9985,5.08,1.8,0,0],
+[51437,10.50486,-0.637,5.08,-0.14,-39.23,-22.83],
+[2854,0.60231,54.1684,5.08,-0.1,0,0],
+[48113,9.80981,46.021,5.08,0.62,0,0],
+[29271,6.17063,-74.753,5.08,0.71,121.8,-212.34],
+[100881,20.45534,-18.2117,5.08,-0.05,11.89,-11.35],
+[73129,14.94555,-62.781,5.08,-0.02,0,0],
+[55598,11.38942,-18.78,5.08,0.44,0,0],
+[99080,20.11484,23.6144,5.08,-0.16,0,0],
+[92814,18.91198,-15.603,5.08,0.14,0,0],
+[108036,21.88827,-13.5518,5.08,0.38,311.22,13.46],
+[38872,7.95512,-44.1099,5.08,-0.17,0,0],
+[22565,4.85624,18.8399,5.08,0.21,0,0],
+[52457,10.7236,23.1884,5.08,0.04,0,0],
+[63005,12.91025,-57.1687,5.08,-0.09,0,0],
+[79302,16.18391,-29.4162,5.09,1.13,0,0],
+[23265,5.00576,81.1941,5.09,1.3,0,0],
+[108022,21.88438,25.9251,5.09,-0.16,0,0],
+[3781,0.80978,-74.9234,5.09,1.34,132.89,-34.29],
+[110256,22.33375,-80.4397,5.09,1.28,56.81,-43.47],
+[9110,1.95585,17.8175,5.09,0.92,0,0],
+[113788,23.04344,42.7578,5.09,0.09,0,0],
+[77660,15.85433,-3.0905,5.09,0.14,0,0],
+[90037,18.37183,-38.6569,5.09,1.5,0,0],
+[48224,9.83254,-45.7327,5.09,-0.1,0,0],
+[31278,6.56053,-1.2202,5.09,-0.13,0,0],
+[16292,3.50006,55.4518,5.09,0.02,0,0],
+[87194,17.81365,25.6229,5.09,1.14,0,0],
+[106999,21.66975,43.2738,5.09,1.6,0,0],
+[117020,23.72288,10.3315,5.09,1.69,0,0],
+[98920,20.08597,19.9911,5.09,1.06,0,0],
+[109102,22.10054,45.0143,5.09,1.57,0,0],
+[115444,23.3846,12.3139,5.09,1.32,0,0],
+[43413,8.84263,-46.5292,5.09,-0.2,0,0],
+[59819,12.26672,14.8991,5.09,0.07,0,0],
+[55597,11.38928,-64.9547,5.09,-0.06,0,0],
+[46283,9.43832,-53.3789,5.09,-0.1,0,0],
+[40321,8.23286,-36.3223,5.09,-0.18,0,0],
+[36114,7.4394,-51.0185,5.09,1.04,0,0],
+[39023,7.98492,-23.3104,5.09,1.11,0,0],
+[47965,9.77546,57.1281,5.09,1.59,0,0],
+[35699,7.3658,20.4437,5.09,1.53,0,0],
+[20522,4.39773,9.461,5.1,0.07,0,0],
+[19461,4.16744,80.6987,5.1,0.59,0,0],
+[78481,16.02064,17.8184,5.1,0.99,0,0],
+[15737,3.37923,20.7421,5.1,1.23,0,0],
+[57613,11.81252,-26.7498,5.1,1.59,0,0],
+[64803,13.28142,-31.5062,5.1,0.96,0,0],
+[107382,21.75007,-9.0824,5.1,1.11,0,0],
+[85162,17.40364,-44.1626,5.1,-0.05,0,0],
+[27534,5.83154,-66.9012,5.1,-0.13,0,0],
+[117689,23.86852,-82.0188,5.1,0.93,-48.74,-21.16],
+[13775,2.9548,31.9342,5.1,-0.01,0,0],
+[106944,21.65924,2.2436,5.1,1.03,0,0],
+[70400,14.40315,5.8201,5.1,0.12,0,0],
+[82129,16.77778,-67.1097,5.1,-0.08,0,0],
+[94885,19.30903,1.0851,5.1,1.14,0,0],
+[88899,18.14802,20.0452,5.1,0.18,0,0],
+[113561,23.00142,56.9454,5.1,1.01,0,0],
+[23941,5.14547,-4.4562,5.11,0.46,0,0],
+[54461,11.14278,-61.9472,5.11,0.2,0,0],
+[90191,18.40383,39.5072,5.11,0.05,-21.14,-4.91],
+[102693,20.80808,-43.9885,5.11,0.36,172.34,-109.61],
+[91875,18.72971,-38.3234,5.11,0.08,0,0],
+[101983,20.66735,-60.5489,5.11,0.54,0,0],
+[65535,13.43548,-39.7551,5.11,1.18,0,0],
+[33104,6.89507,68.8883,5.11,-0.11,0,0],
+[111795,22.64386,56.7956,5.11,1.54,0,0],
+[94083,19.15272,76.5605,5.11,0.31,0,0],
+[112242,22.73486,41.8192,5.11,0.96,0,0],
+[35406,7.31061,-36.7427,5.11,-0.17,0,0],
+[48833,9.96141,41.0556,5.11,0.48,0,0],
+[18213,3.89415,-34.7323,5.11,-0.13,0,0],
+[77982,15.92489,-68.603,5.11,1.11,0,0],
+[108317,21.94421,63.6256,5.11,1.55,0,0],
+[6960,1.49337,-21.6293,5.11,0.03,0,0],
+[109973,22.27404,-41.6272,5.11,0.93,0,0],
+[96327,19.58535,-10.5604,5.12,1.12,0,0],
+[61468,12.59599,-41.0219,5.12,0.22,0,0],
+[91105,18.584,-10.9772,5.12,0.93,0,0],
+[62356,12.77743,16.5777,5.12,1.35,0,0],
+[101477,20.5653,-44.516,5.12,1,0,0],
+[14240,3.06024,-59.7378,5.12,0.35,-73.29,-64.06],
+[95951,19.51261,27.9653,5.12,-0.1,0,0],
+[45505,9.27307,-44.2657,5.12,1.64,0,0],
+[52353,10.69908,65.7163,5.12,1.21,0,0],
+[53261,10.89291,54.5851,5.12,1.36,0,0],
+[110391,22.35988,-21.5982,5.12,1.06,0,0],
+[35710,7.3674,36.7606,5.12,1.08,0,0],
+[34670,7.17986,-48.9321,5.12,1.25,0,0],
+[113860,23.05828,-34.7494,5.12,0.3,71.46,84.55],
+[46914,9.56237,-49.0051,5.12,-0.11,0,0],
+[37664,7.72831,-40.9337,5.12,1.1,0,0],
+[38373,7.86166,1.7669,5.12,-0.12,-14.43,-2.4],
+[23794,5.11268,-4.6552,5.12,-0.06,0,0],
+[89935,18.35028,28.87,5.12,0.21,0,0],
+[90806,18.52397,-18.4027,5.12,0.02,0,0],
+[56250,11.53022,-59.5156,5.12,0.43,0,0],
+[86796,17.73575,-51.8341,5.12,0.69,-16.85,-190.6],
+[97675,19.85046,10.4157,5.12,0.56,0,0],
+[8882,1.90612,-42.497,5.12,-0.06,-33.91,-28.17],
+[84887,17.34839,24.4994,5.13,0,0,0],
+[94302,19.1946,56.8592,5.13,1.01,0,0],
+[40843,8.33441,27.2177,5.13,0.49,-16.36,-376.65],
+[26221,5.58791,-5.3897,5.13,0.02,-4.13,6.82],
+[69038,14.13215,43.8545,5.13,1.49,0,0],
+[73826,15.08866,-41.0672,5.13,1.01,0,0],
+[56332,11.54837,-31.0872,5.13,1.58,0,0],
+[79653,16.25426,-47.372,5.13,-0.11,0,0],
+[76259,15.57703,-28.047,5.13,1.31,0,0],
+[11477,2.46714,-33.811,5.13,0.09,0,0],
+[6061,1.29665,3.6145,5.13,0.07,0,0],
+[1158,0.24101,-7.7805,5.13,1.6,0,0],
+[145,0.0304,-3.0275,5.13,-0.13,0,0],
+[15890,3.41127,64.586,5.13,2.04,0,0],
+[41325,8.43188,7.5645,5.13,0.93,0,0],
+[104043,21.07862,-77.0238,5.13,0.49,12.74,-369.24],
+[118234,23.98216,-52.7458,5.13,1.12,58.33,61.23],
+[64906,13.30403,49.6821,5.14,-0.05,0,0],
+[34033,7.06058,10.9518,5.14,1.39,0,0],
+[76307,15.58748,39.0101,5.14,1.65,0,0],
+[38917,7.96437,-45.5777,5.14,1.26,0,0],
+[38016,7.79176,33.4157,5.14,1.64,-19.59,-29.33],
+[37088,7.6213,-4.111,5.14,0.44,0,0],
+[2900,0.6129,44.4886,5.14,1.59,0,0],
+[5799,1.24001,-7.9228,5.14,0.45,0,0],
+[70012,14.32569,-2.2655,5.14,1.02,0,0],
+[28691,6.0576,19.6906,5.14,-0.1,0,0],
+[32765,6.83184,-46.6146,5.14,0.46,0,0],
+[52742,10.78263,-56.7572,5.14,-0.08,0,0],
+[25429,5.43869,-58.9125,5.14,0.99,0,0],
+[34105,7.07176,-56.7497,5.14,-0.03,0,0],
+[84626,17.30019,-24.2869,5.14,1.05,0,0],
+[32864,6.84919,67.5719,5.14,-0.15,0,0],
+[16322,3.5068,11.3364,5.14,-0.04,0,0],
+[94477,19.22853,2.2937,5.14,-0.07,0,0],
+[93163,18.97681,-60.2006,5.14,1.36,0,0],
+[100122,20.31085,34.9828,5.14,0.66,0,0],
+[40285,8.22671,-46.9916,5.14,-0.14,0,0],
+[97870,19.88816,57.5235,5.14,-0.12,0,0],
+[59504,12.20331,77.6162,5.14,0.36,0,0],
+[17886,3.82575,33.0914,5.14,0.06,0,0],
+[95498,19.42461,19.7984,5.14,1,0,0],
+[33779,7.0143,-51.4026,5.14,1.65,0,0],
+[60221,12.34881,-13.5657,5.14,1.05,0,0],
+[56656,11.61685,-61.2834,5.14,1.1,0,0],
+[102157,20.69919,-66.7607,5.14,-0.06,0,0],
+[78105,15.94819,-33.9661,5.14,0.13,0,0],
+[39567,8.08458,13.1182,5.14,0.02,0,0],
+[56000,11.47641,-42.6742,5.14,-0.03,0,0],
+[50083,10.22518,-66.3728,5.15,0.22,0,0],
+[60320,12.36871,-67.5221,5.15,0.2,0,0],
+[11784,2.53505,36.1473,5.15,1.47,0,0],
+[82073,16.76386,8.5826,5.15,1.54,0,0],
+[56754,11.63537,-61.8266,5.15,-0.04,0,0],
+[102531,20.77746,16.1241,5.15,0.5,0,0],
+[64078,13.13161,-10.7404,5.15,1.14,0,0],
+[43531,8.86579,43.7266,5.15,0.97,0,0],
+[47654,9.7159,72.2526,5.15,1.03,0,0],
+[37946,7.77758,37.5174,5.15,1.59,0,0],
+[44857,9.13987,66.8732,5.15,1.51,0,0],
+[67244,13.78232,-36.2519,5.15,-0.01,0,0],
+[54360,11.12131,-42.6387,5.15,0.03,0,0],
+[42834,8.72785,-49.8228,5.15,-0.2,0,0],
+[9459,2.02844,-44.7135,5.15,1.47,0,0],
+[98425,19.99866,37.0429,5.15,-0.13,0,0],
+[5544,1.18521,31.4247,5.15,0.26,0,0],
+[114520,23.19561,8.7201,5.15,0.14,0,0],
+[58803,12.06097,-42.4341,5.15,0.42,0,0],
+[101936,20.65691,0.4864,5.15,1.06,0,0],
+[101984,20.66748,-18.1387,5.15,1.65,-22.41,-21.67],
+[75761,15.47729,1.8421,5.15,0.24,0,0],
+[72603,14.84477,-15.9972,5.15,0.4,-136.27,-59.04],
+[29895,6.29492,-16.8159,5.15,1.29,0,0],
+[72197,14.76669,-25.4432,5.15,0.32,0,0],
+[74605,15.24393,67.3467,5.15,0.55,0,0],
+[74707,15.26778,-41.4912,5.15,0.56,0,0],
+[15404,3.31048,50.2222,5.16,-0.07,0,0],
+[90887,18.53926,-39.704,5.16,0.08,0,0],
+[112935,22.87335,9.8357,5.16,0.49,0,0],
+[51814,10.58602,57.0826,5.16,0.35,0,0],
+[75530,15.42983,15.428,5.16,1.65,-12.52,-7.41],
+[27621,5.84812,-52.1089,5.16,0.96,0,0],
+[40429,8.25443,-62.9156,5.16,0.09,0,0],
+[76243,15.57403,-9.1834,5.16,-0.09,0,0],
+[107095,21.69246,-14.0476,5.16,0.67,0,0],
+[105570,21.38156,6.8111,5.16,0.06,53.98,11.34],
+[13717,2.94373,-3.7123,5.16,0.08,0,0],
+[73776,15.08003,-64.0314,5.16,0.94,0,0],
+[44946,9.15598,22.0454,5.16,0.97,-1,-0.52],
+[31084,6.52307,-12.392,5.16,1.26,0,0],
+[1686,0.35202,37.9686,5.16,0.44,58.93,-38.56],
+[67929,13.91171,-1.5031,5.16,1.09,0,0],
+[11060,2.37262,55.8457,5.16,0.37,0,0],
+[38382,7.86286,-13.898,5.16,0.6,0,0],
+[95556,19.43587,36.3179,5.17,-0.12,0,0],
+[12832,2.74933,12.4458,5.17,0.23,0,0],
+[96459,19.61056,44.6949,5.17,0.93,0,0],
+[44143,8.99008,-59.0837,5.17,0.42,0,0],
+[87563,17.88834,40.008,5.17,1.17,0,0],
+[12273,2.63391,72.8183,5.17,0.9,0,0],
+[93815,19.10554,-52.3409,5.17,0.53,0,0],
+[104963,21.26053,-20.6517,5.17,1.16,0,0],
+[104085,21.08729,-54.727,5.17,1.2,0,0],
+[44093,8.98122,-47.2347,5.17,0.27,0,0],
+[20507,4.39468,-3.7455,5.17,0.07,-47.36,-54.91],
+[117629,23.85593,-18.9092,5.17,-0.12,0,0],
+[63210,12.95121,-51.1988,5.17,-0.07,0,0],
+[60514,12.40515,26.0986,5.17,0.08,0,0],
+[3909,0.83544,-10.6443,5.17,0.51,-226.91,-229.75],
+[38211,7.82811,-17.2284,5.17,1.28,0,0],
+[2381,0.50629,-23.7877,5.17,0.13,0,0],
+[58188,11.9336,-17.1508,5.17,-0.02,-49.74,-7.58],
+[59151,12.13056,-75.367,5.17,1.28,0,0],
+[5336,1.13748,54.9203,5.17,0.7,3422.23,-1598.93],
+[61910,12.68776,-13.0139,5.17,0.43,0,0],
+[95447,19.41616,11.9444,5.17,0.76,0,0],
+[40943,8.35585,-36.4842,5.18,-0.19,0,0],
+[35951,7.41116,-16.2015,5.18,-0.04,0,0],
+[22833,4.91303,11.426,5.18,0.12,0,0],
+[27204,5.76664,-32.3064,5.18,-0.27,0,0],
+[101260,20.52511,74.9546,5.18,0.1,0,0],
+[73036,14.92629,-60.1142,5.18,1.16,0,0],
+[19171,4.11011,27.5999,5.18,-0.12,0,0],
+[55779,11.42872,-63.9725,5.18,0.5,0,0],
+[33682,6.99738,-67.9164,5.18,1.4,0,0],
+[69373,14.20112,69.4325,5.18,1.6,0,0],
+[25918,5.53132,-76.341,5.18,1.13,142.5,286.85],
+[99853,20.2584,23.5089,5.18,1.02,0,0],
+[26640,5.66228,25.8971,5.18,-0.15,0,0],
+[41296,8.42537,-51.7274,5.18,-0.16,0,0],
+[42504,8.666,-53.0547,5.18,-0.15,0,0],
+[96665,19.65323,5.3978,5.18,0,0,0],
+[92646,18.87768,-52.1074,5.18,0.96,0,0],
+[8016,1.71549,70.6225,5.18,-0.02,0,0],
+[55137,11.28817,2.0106,5.18,1.51,0,0],
+[24197,5.19488,16.0457,5.18,1.52,0,0],
+[45333,9.23904,61.4233,5.18,0.6,0,0],
+[107230,21.71781,72.3201,5.18,1.06,0,0],
+[2225,0.47045,44.3945,5.18,0.04,0,0],
+[97630,19.84278,38.7224,5.18,1.66,0,0],
+[1708,0.35866,-28.9815,5.18,1.01,0,0],
+[117315,23.78778,-50.2265,5.18,-0.16,0,0],
+[52469,10.72582,46.2039,5.18,0.32,0,0],
+[11072,2.3757,-23.8163,5.19,0.61,196.61,-4.98],
+[51362,10.49131,-2.7391,5.19,-0.05,-48.86,-13.43],
+[56583,11.60074,69.323,5.19,0.97,0,0],
+[23840,5.12612,-63.3997,5.19,1.65,0,0],
+[39070,7.99376,-60.5871,5.19,1.76,0,0],
+[28744,6.07042,-6.7089,5.19,-0.07,0,0],
+[30717,6.45382,0.2992,5.19,1.19,0,0],
+[115404,23.37755,-15.0393,5.19,0.2,0,0],
+[77277,15.77777,62.5996,5.19,0.06,0,0],
+[99738,20.23737,28.6948,5.19,0.19,0,0],
+[111797,22.64418,63.5845,5.19,0.08,0,0],
+[42425,8.65143,-70.3867,5.19,0.01,0,0],
+[64792,13.27959,9.4242,5.19,0.58,0,0],
+[80874,16.51371,-61.6335,5.19,1.24,0,0],
+[103294,20.92686,13.7215,5.19,1.12,0,0],
+[105268,21.32284,64.8719,5.19,-0.04,0,0],
+[85312,17.43334,-50.6335,5.19,1.06,0,0],
+[11220,2.40692,50.0065,5.19,0.98,0,0],
+[43352,8.83097,-32.7805,5.19,0.88,0,0],
+[73945,15.11044,-16.2568,5.19,1.59,-35.9,-22.37],
+[90441,18.45348,0.1961,5.2,0.49,0,0],
+[35146,7.26527,59.6375,5.2,1.08,0,0],
+[2762,0.58747,-3.5928,5.2,0.57,0,0],
+[30932,6.49126,-56.8528,5.2,1.09,0,0],
+[2355,0.50204,29.7516,5.2,0.27,0,0],
+[104214,21.11479,38.7494,5.2,1.07,4168.31,3269.2],
+[33927,7.04022,24.2154,5.2,0.95,-6.74,-0.25],
+[60189,12.34268,-22.2159,5.2,-0.09,0,0],
+[93017,18.95044,32.9013,5.2,0.59,0,0],
+[115126,23.31852,-13.4586,5.2,0.79,0,0],
+[104174,21.10686,-32.3416,5.2,1.1,0,0],
+[32104,6.70676,17.6453,5.2,0.06,0,0],
+[68269,13.97532,-24.9722,5.2,-0.09,0,0],
+[27971,5.91606,59.8884,5.2,0.01,0,0],
+[39961,8.15998,-44.1228,5.2,-0.17,0,0],
+[42679,8.69914,-45.4107,5.2,0.17,0,0],
+[57047,11.69554,-32.4994,5.2,1.48,0,0],
+[93917,19.12377,32.5017,5.2,0.37,0,0],
+[34081,7.06744,-42.3373,5.2,0.2,0,0],
+[29650,6.24747,19.1564,5.2,0.43,-97.29,-183.23],
+[42540,8.672,-40.2639,5.2,-0.03,0,0],
+[63901,13.09568,35.7989,5.2,-0.06,0,0],
+[19949,4.27864,53.6118,5.2,0.05,0,0],
+[80197,16.37262,33.7991,5.2,1.63,0,0],
+[92226,18.79573,-40.4062,5.2,0.78,0,0],
+[36238,7.46232,21.4452,5.2,0.46,0,0],
+[21296,4.5699,-8.2314,5.2,1.71,0,0],
+[19205,4.1168,29.0013,5.21,0.36,0,0],
+[85079,17.3878,-47.4682,5.21,-0.1,0,0],
+[30457,6.40287,-11.5301,5.21,1.23,0,0],
+[12484,2.67767,-54.5499,5.21,0.41,32.86,4.96],
+[55756,11.42485,-36.0631,5.21,0.98,0,0],
+[66098,13.54946,-10.165,5.21,0.96,0,0],
+[5300,1.12996,-41.4869,5.21,0.16,32.604,15.128],
+[111449,22.57823,-20.7082,5.21,0.45,220.78,-146.76],
+[5737,1.22886,7.5754,5.21,0.32,145,-55.69],
+[28296,5.98044,0.553,5.21,0.01,0,0],
+[32064,6.699,-9.1675,5.21,1.52,0,0],
+[30679,6.44691,58.4174,5.21,1.54,0,0],
+[64725,13.26632,-19.9431,5.21,1.01,0,0],
+[77578,15.83821,2.1965,5.21,1.02,0,0],
+[25048,5.36345,41.8046,5.22,-0.13,0,0],
+[62267,12.76029,7.6733,5.22,0.32,0,0],
+[92390,18.82781,-20.3247,5.22,1.4,0,0],
+[92405,18.83137,32.5511,5.22,0.1,0,0],
+[33878,7.03233,-5.7221,5.22,1.69,0,0],
+[116076,23.52149,39.2362,5.22,1.03,286.72,-84.22],
+[3505,0.74567,-22.0061,5.22,0.35,0,0],
+[21547,4.6267,-2.4735,5.22,0.28,0,0],
+[55831,11.44317,-61.1152,5.22,-0.08,0,0],
+[32562,6.79433,48.7895,5.22,1.13,-4.32,7.19],
+[39061,7.99122,-39.2969,5.22,0.4,0,0],
+[72290,14.78369,-52.3835,5.22,0.98,0,0],
+[31119,6.53008,11.5444,5.22,0.18,0,0],
+[13874,2.97836,-2.7829,5.22,0.01,0,0],
+[19799,4.2434,10.0114,5.22,-0.08,0,0],
+[36265,7.46724,6.942,5.22,0.22,0,0],
+[95260,19.3808,26.2624,5.22,-0.12,0,0],
+[58684,12.03524,43.0456,5.22,0.28,0,0],
+[98583,20.02459,64.821,5.22,1.6,0,0],
+[82216,16.79623,5.2467,5.22,0,0,0],
+[70035,14.331,-61.273,5.22,0.28,0,0],
+[54767,11.21257,-64.1698,5.22,-0.08,0,0],
+[9763,2.0921,76.1151,5.22,0.95,0,0],
+[43970,8.95415,15.3228,5.22,0.15,0,0],
+[23734,5.10235,58.9724,5.22,-0.08,0,0],
+[106093,21.49082,46.5406,5.22,0.96,0,0],
+[38020,7.79208,-46.6085,5.22,-0.15,0,0],
+[72357,14.79578,-26.0875,5.23,0.94,0,0],
+[44337,9.02905,-52.1887,5.23,-0.12,0,0],
+[44798,9.12912,10.6682,5.23,-0.09,-21.24,-9.28],
+[10306,2.21336,21.211,5.23,0.46,0,0],
+[44154,8.9924,32.4186,5.23,0.91,-43.78,-35.03],
+[6315,1.35205,28.7382,5.23,1.4,0,0],
+[48926,9.98119,-35.891,5.23,0.3,0,0],
+[53252,10.89154,-20.1387,5.23,0.48,0,0],
+[52701,10.77489,-64.2632,5.23,-0.08,0,0],
+[43834,8.92769,27.9275,5.23,1,0,0],
+[94068,19.14998,6.0732,5.23,0.35,0,0],
+[79607,16.24469,33.8586,5.23,0.6,0,0],
+[63076,12.9246,65.4385,5.23,0.3,-4.8,-30.09],
+[39970,8.16199,-47.9372,5.23,-0.2,0,0],
+[14456,3.1093,-6.0886,5.23,1.58,0,0],
+[32292,6.74124,-31.0705,5.23,-0.13,0,0],
+[98636,20.03373,24.938,5.23,0.37,0,0],
+[76939,15.71064,-37.4249,5.23,0.99,0,0],
+[86036,17.58317,61.8746,5.23,0.6,0,0],
+[82730,16.90992,-6.154,5.23,1.1,0,0],
+[35907,7.40235,40.6724,5.23,1.25,0,0],
+[82493,16.85937,-41.2305,5.23,0.05,0,0],
+[73909,15.10464,54.5563,5.24,0.96,0,0],
+[117089,23.73669,-18.2769,5.24,-0.08,0,0],
+[3949,0.84477,-50.9868,5.24,0.36,0,0],
+[64348,13.18979,-43.3686,5.24,1.05,0,0],
+[80620,16.46207,-7.5979,5.24,1.72,0,0],
+[35393,7.30931,-39.2103,5.24,0.03,0,0],
+[80843,16.50932,20.4792,5.24,1.27,0,0],
+[42334,8.63115,-26.255,5.24,-0.03,0,0],
+[109572,22.19685,56.8394,5.24,0.53,0,0],
+[98174,19.95175,-58.9014,5.24,0.01,0,0],
+[16803,3.60484,-17.4671,5.24,-0.12,0,0],
+[79540,16.23081,-11.8377,5.24,1.39,0,0],
+[103571,20.98475,4.2946,5.24,0.46,0,0],
+[112529,22.79254,-19.6134,5.24,0.94,0,0],
+[950,0.19555,-35.1331,5.24,0.46,169.83,114.56],
+[21297,4.56994,-8.9703,5.24,1.46,0,0],
+[45527,9.27826,-6.3531,5.24,1.17,0,0],
+[26268,5.5943,-4.8561,5.24,0.27,0,0],
+[101923,20.65453,-14.9548,5.24,-0.13,0,0],
+[14043,3.0145,52.3517,5.24,-0.05,0,0],
+[90200,18.40507,-44.1103,5.24,-0.16,0,0],
+[15371,3.30331,-62.5064,5.24,0.6,0,0],
+[20384,4.3648,-63.3864,5.24,0.96,85.239,175.621],
+[32480,6.77898,43.5774,5.24,0.57,-1.07,164.25],
+[25197,5.39106,57.5444,5.24,-0.01,0,0],
+[7981,1.70827,20.2685,5.24,0.84,0,0],
+[56779,11.641,8.1343,5.24,1.5,0,0],
+[17457,3.74181,-1.1631,5.24,-0.09,0,0],
+[36641,7.53499,1.9145,5.24,0.23,0,0],
+[107128,21.70019,-23.2629,5.24,0.99,0,0],
+[17717,3.79435,-23.8747,5.24,0.08,0,0],
+[45344,9.24014,-43.2275,5.24,-0.14,0,0],
+[17954,3.83859,25.5794,5.24,0.23,0,0],
+[90067,18.38029,17.8266,5.25,1.25,0,0],
+[13141,2.81706,-62.8065,5.25,0.1,0,0],
+[31688,6.62989,-32.3397,5.25,1.18,0,0],
+[25202,5.39171,-13.9274,5.25,-0.22,0,0],
+[104738,21.21751,-39.4249,5.25,0.46,0,0],
+[92056,18.76299,74.0856,5.25,0.95,0,0],
+[50414,10.29383,-8.0689,5.25,0.34,-160.57,2.91],
+[76534,15.63044,40.3534,5.25,0.89,61.23,60.09],
+[31165,6.53927,-37.6967,5.25,0.98,0,0],
+[37921,7.77117,10.7683,5.25,0.02,0,0],
+[112031,22.69129,40.2254,5.25,-0.14,0,0],
+[7955,1.70239,-32.327,5.25,1.04,-71.07,-51.06],
+[51502,10.51805,82.5586,5.25,0.4,0,0],
+[93903,19.1217,36.1002,5.25,-0.11,-1.04,-4.29],
+[86305,17.63487,-54.5004,5.25,0.2,0,0],
+[88331,18.03974,20.8336,5.25,-0.1,0,0],
+[10559,2.26564,33.3589,5.25,0,0,0],
+[113864,23.05913,67.2092,5.25,1.25,0,0],
+[39487,8.07116,-32.6748,5.25,1.88,0,0],
+[20261,4.34342,15.0955,5.26,0.22,0,0],
+[67703,13.86802,-52.8115,5.26,-0.08,0,0],
+[76425,15.60822,10.0102,5.26,0.92,0,0],
+[80161,16.36354,69.1094,5.26,1.12,0,0],
+[48883,9.97038,12.4448,5.26,-0.04,0,0],
+[56975,11.67974,21.3527,5.26,0.98,0,0],
+[45328,9.23833,-55.5696,5.26,0.98,0,0],
+[49698,10.14522,-65.8154,5.26,0.97,0,0],
+[108924,22.06471,63.1199,5.26,1.56,0,0],
+[69068,14.13814,49.4582,5.26,1.64,0,0],
+[20266,4.34454,65.1404,5.26,0.82,0,0],
+[45631,9.30163,-51.0509,5.26,-0.06,0,0],
+[56573,11.59877,-47.6416,5.26,0.26,0,0],
+[53154,10.87524,-57.2404,5.26,0.13,0,0],
+[93256,18.99597,26.2304,5.26,1.23,0,0],
+[58082,11.91182,-25.7139,5.26,0.88,0,0],
+[13165,2.82154,17.4643,5.26,-0.07,0,0],
+[31434,6.58668,28.0223,5.26,-0.01,0,0],
+[27386,5.80006,6.4542,5.26,0.23,0,0],
+[75828,15.49008,-46.7327,5.26,1.73,0,0],
+[14293,3.07125,-7.6009,5.26,0.19,0,0],
+[62027,12.71396,-63.0586,5.27,0.2,0,0],
+[72929,14.90559,-24.6422,5.27,1.34,0,0],
+[20641,4.42361,22.2,5.27,0.25,0,0],
+[36760,7.56013,15.8267,5.27,0.06,0,0],
+[50070,10.22302,-51.233,5.27,0.26,0,0],
+[9727,2.08532,77.2813,5.27,0.34,0,0],
+[109005,22.08347,62.7857,5.27,1.41,0,0],
+[15627,3.35378,21.1471,5.27,-0.07,20.98,-21.8],
+[48682,9.92861,49.8198,5.27,0.09,0,0],
+[83431,17.05242,-53.237,5.27,0.5,0,0],
+[57477,11.78212,55.6282,5.27,1.28,0,0],
+[6999,1.5017,47.0073,5.27,1,0,0],
+[80057,16.3408,-78.6675,5.27,1.41,0,0],
+[83313,17.02677,33.5683,5.27,0.03,0,0],
+[10320,2.21513,-30.7238,5.27,-0.01,14.1,6.85],
+[11738,2.52503,2.2672,5.27,1.27,0,0],
+[93203,18.98493,13.6222,5.27,0.57,0,0],
+[30073,6.32856,-7.8229,5.27,-0.18,0,0],
+[65581,13.44532,-12.7077,5.27,1.48,0,0],
+[51313,10.48127,-64.1723,5.27,1.86,0,0],
+[32537,6.78928,-37.9297,5.27,-0.08,0,0],
+[99968,20.28202,40.3651,5.27,1.65,0,0],
+[42129,8.58766,-58.2247,5.27,-0.13,0,0],
+[107843,21.84841,-82.7189,5.27,0.76,0,0],
+[109693,22.2195,86.108,5.27,-0.03,0,0],
+[116957,23.70773,-15.448,5.27,1.34,0,0],
+[11757,2.52783,-79.1094,5.27,0.98,137.24,-54.22],
+[43142,8.7875,-1.897,5.28,0.06,0,0],
+[30953,6.49697,-50.2391,5.28,0.37,0,0],
+[32492,6.78086,-14.426,5.28,-0.02,0,0],
+[58587,12.01421,-19.659,5.28,-0.19,0,0],
+[98103,19.93729,11.4237,5.28,0.01,0,0],
+[60122,12.3302,48.9841,5.28,1.62,0,0],
+[45581,9.29033,-74.8943,5.28,0.02,0,0],
+[18788,4.02557,-1.5497,5.28,-0.13,0,0],
+[85389,17.44777,-45.843,5.28,-0.06,0,0],
+[100195,20.32322,-19.1185,5.28,1.39,0,0],
+[7650,1.64193,73.04,5.28,0.97,0,0],
+[57371,11.76222,-45.6901,5.28,-0.12,0,0],
+[94834,19.29694,11.5954,5.28,0.2,0.94,13.84],
+[96957,19.70945,11.8266,5.28,0.57,0,0],
+[74596,15.24144,29.1643,5.28,0.06,0,0],
+[41003,8.36792,-73.4,5.28,0.01,0,0],
+[80645,16.46592,-64.0579,5.28,0.38,0,0],
+[32921,6.85918,21.7611,5.28,-0.02,0,0],
+[91014,18.56605,-33.0166,5.28,-0.12,0,0],
+[81437,16.63346,56.0155,5.28,1.06,0,0],
+[23871,5.13011,20.4184,5.28,0.12,0,0],
+[45455,9.26383,56.7414,5.28,1.57,0,0],
+[22040,4.7392,-59.7327,5.28,0.21,0,0],
+[117218,23.76692,-18.6783,5.28,0.3,0,0],
+[110618,22.40976,-72.2554,5.28,0.66,0,0],
+[26460,5.62906,-28.6897,5.28,0.49,0,0],
+[18453,3.94347,50.6954,5.28,0.42,0,0],
+[27364,5.79525,13.8996,5.28,-0.16,0,0],
+[47300,9.63938,40.2398,5.28,0.22,0,0],
+[29048,6.12823,-19.1659,5.28,1.66,0,0],
+[69612,14.24746,10.1006,5.29,1.01,0,0],
+[814,0.16729,-82.224,5.29,1.05,0,0],
+[33316,6.9297,-22.9414,5.29,-0.16,0,0],
+[92824,18.91323,-87.6058,5.29,1.3,-36.88,-134.96],
+[11021,2.36573,0.3957,5.29,1.65,0,0],
+[60904,12.48186,25.9129,5.29,-0.06,0,0],
+[10793,2.31583,28.6427,5.29,0.04,0,0],
+[19719,4.22586,7.716,5.29,0.37,0,0],
+[105898,21.44767,48.8352,5.29,0.11,0,0],
+[106327,21.53496,-41.1793,5.29,1.11,0,0],
+[11486,2.46944,29.6693,5.29,0.31,0,0],
+[108991,22.07984,-0.9063,5.29,0.23,0,0],
+[89439,18.25358,-20.7283,5.29,0.01,0,0],
+[35427,7.31424,-26.5859,5.29,0.96,0,0],
+[22287,4.80007,56.7572,5.29,0.25,0,0],
+[27947,5.91392,-52.6355,5.29,0.3,0,0],
+[24873,5.33306,-12.3156,5.29,-0.1,0,0],
+[20704,4.43508,31.4389,5.29,0.99,0,0],
+[26868,5.70422,-34.6678,5.29,-0.03,0,0],
+[983,0.20277,-17.9383,5.29,1.48,0,0],
+[9312,1.99389,64.6216,5.29,0,0,0],
+[48390,9.86473,24.3954,5.29,0.23,0,0],
+[8209,1.76076,-25.0526,5.29,0.4,159.36,-73.17],
+[107472,21.76788,22.9489,5.29,1.38,0,0],
+[117730,23.87697,10.9473,5.3,0.19,0,0],
+[103511,20.97121,22.3259,5.3,1.42,0,0],
+[96808,19.67872,-16.2933,5.3,1.11,0,0],
+[39780,8.1294,21.5818,5.3,0.64,0,0],
+[12489,2.67808,27.0609,5.3,0.08,0,0],
+[45290,9.23006,43.2178,5.3,-0.13,0,0],
+[23467,5.04528,-71.3143,5.3,1,-4.24,10.22],
+[34802,7.20439,-40.4988,5.3,0.07,0,0],
+[98421,19.9976,-34.6978,5.3,0.17,108.23,-69.51],
+[3231,0.68533,39.4587,5.3,0.89,0,0],
+[32411,6.7665,-14.7961,5.3,0.08,0,0],
+[16499,3.54063,46.0569,5.3,0.4,0,0],
+[37704,7.73525,25.7842,5.3,1.54,0,0],
+[85084,17.38933,-28.1428,5.3,1.55,0,0],
+[105942,21.45594,37.1168,5.3,-0.14,0,0],
+[49809,10.1683,-12.8159,5.3,0.37,0,0],
+[114200,23.12758,46.3872,5.3,1.41,0,0],
+[21914,4.7129,-50.4813,5.3,0.98,0,0],
+[12225,2.62342,-52.5431,5.3,0.29,112.7,3.73],
+[116820,23.67727,-32.0731,5.3,0.96,-91.3,-53.29],
+[103569,20.98458,4.2935,5.3,0.46,0,0],
+[38962,7.9724,2.2248,5.3,0.93,0,0],
+[99951,20.27975,24.6711,5.3,0.95,0,0],
+[21928,4.71509,43.3651,5.3,0.03,0,0],
+[47479,9.67849,-57.9836,5.3,0.2,0,0],
+[56034,11.48448,39.337,5.3,0.02,0,0],
+[43305,8.8227,-3.443,5.3,-0.08,0,0],
+[104365,21.14267,-21.1937,5.3,0,0,0],
+[89773,18.31963,24.4461,5.3,1.51,0,0],
+[100541,20.3863,5.343,5.3,0.98,0,0],
+[107151,21.70429,5.6801,5.3,1.65,0,0],
+[94150,19.16464,-68.4244,5.31,0.9,0,0],
+[45544,9.28252,-39.4015,5.31,1.17,0,0],
+[110649,22.41564,-57.7974,5.31,0.66,0,0],
+[80945,16.52827,-41.8171,5.31,0.3,0,0],
+[55016,11.26442,13.3076,5.31,1.19,0,0],
+[64577,13.23636,-19.9309,5.31,0.86,0,0],
+[10366,2.22673,51.0658,5.31,0.93,0,0],
+[59654,12.23408,-45.7239,5.31,1.4,0,0],
+[104974,21.26246,-15.1715,5.31,1.64,0,0],
+[85667,17.50661,-1.0629,5.31,0.72,0,0],
+[56997,11.68417,34.2016,5.31,0.72,0,0],
+[57562,11.79858,8.2459,5.31,0.04,0,0],
+[43671,8.89739,-47.5208,5.31,0.28,0,0],
+[37701,7.7345,50.4338,5.31,0,0,0],
+[27243,5.77427,-46.5972,5.31,1.04,0,0],
+[10819,2.32134,47.38,5.31,0.01,0,0],
+[14168,3.04508,-7.6855,5.32,0.94,0,0],
+[103882,21.04943,-38.6314,5.32,0.42,-29.16,-108.85],
+[18957,4.06239,5.4356,5.32,-0.08,0,0],
+[65479,13.42057,-64.4851,5.32,0.41,0,0],
+[84177,17.20772,10.5852,5.32,1.59,0,0],
+[99461,20.18663,-36.1012,5.32,0.87,0,0],
+[52911,10.82095,10.5452,5.32,0.04,0,0],
+[72489,14.82196,-14.149,5.32,0.07,0,0],
+[5518,1.17758,68.7786,5.32,-0.01,0,0],
+[41260,8.41771,-24.0462,5.32,1.48,0,0],
+[57111,11.70789,66.7449,5.32,1.27,0,0],
+[112781,22.83966,-80.1238,5.32,-0.13,0,0],
+[21515,4.62046,0.9983,5.32,-0.11,0,0],
+[38146,7.81713,-24.9122,5.32,0.75,0,0],
+[60449,12.39317,-35.4127,5.32,-0.07,0,0],
+[26126,5.57133,3.7669,5.32,0.05,0,0],
+[73049,14.92908,-33.8558,5.32,0.05,0,0],
+[74649,15.25315,4.9394,5.32,1.09,0,0],
+[97749,19.86406,-39.8744,5.32,-0.04,0,0],
+[80208,16.37444,-49.5724,5.32,-0.05,0,0],
+[98624,20.03123,-66.944,5.32,1.22,0,0],
+[15770,3.387,49.2133,5.32,-0.08,0,0],
+[5131,1.09471,21.4732,5.33,0,0,0],
+[41909,8.54514,20.4412,5.33,1.25,-46.33,-44.31],
+[97421,19.80032,-56.3626,5.33,0.2,92.25,-136.72],
+[109786,22.23834,-21.0746,5.33,0.81,0,0],
+[41616,8.48465,-47.9289,5.33,-0.14,0,0],
+[98438,20.00092,17.5165,5.33,1.58,0,0],
+[41822,8.52659,18.0944,5.33,1.57,0,0],
+[52678,10.77127,-64.5146,5.33,-0.1,0,0],
+[116264,23.5578,22.4988,5.33,1.48,0,0],
+[40817,8.33027,-71.5149,5.33,-0.06,0,0],
+[93124,18.97076,17.3609,5.33,0.73,0,0],
+[39734,8.12168,-20.5543,5.33,0.1,0,0],
+[22834,4.91327,7.7791,5.33,1.21,0,0],
+[22730,4.88966,2.5082,5.33,1.63,0,0],
+[64823,13.28767,13.6758,5.33,1.3,0,0],
+[20161,4.3213,-44.2679,5.33,1.07,0,0],
+[23879,5.13136,8.4984,5.33,0.34,0,0],
+[90074,18.38141,-36.6696,5.33,-0.12,0,0],
+[59184,12.13742,-48.6925,5.34,-0.01,0,0],
+[29704,6.25698,16.1432,5.34,-0.1,0,0],
+[70469,14.41351,-24.8063,5.34,0.96,0,0],
+[40215,8.21355,68.4741,5.34,1.04,0,0],
+[17563,3.76123,6.05,5.34,-0.1,0,0],
+[33048,6.88474,59.4485,5.34,0.68,0,0],
+[110000,22.28001,-12.8314,5.34,1.13,0,0],
+[36896,7.58578,30.9609,5.34,1.01,0,0],
+[9440,2.02076,-30.0018,5.34,0.88,0,0],
+[58884,12.07748,-68.3289,5.34,-0.01,0,0],
+[113327,22.95125,48.6841,5.34,-0.1,0,0],
+[24817,5.31978,2.5958,5.34,0.41,0,0],
+[50888,10.39148,-38.0098,5.34,0.25,0,0],
+[46107,9.40268,-80.7869,5.34,0.45,0,0],
+[63117,12.93254,-56.8358,5.34,0.01,0,0],
+[25980,5.54482,-1.5918,5.34,-0.19,0,0],
+[31789,6.647,39.9026,5.34,-0.08,0,0],
+[43414,8.84298,-66.793,5.34,0.42,0,0],
+[30247,6.36281,53.4522,5.34,0.45,0,0],
+[76866,15.6965,12.8475,5.34,0.03,0,0],
+[96288,19.57813,42.4125,5.34,0.06,0,0],
+[32489,6.78042,57.1692,5.34,0.96,0,0],
+[103127,20.89449,-39.8099,5.34,1.32,0,0],
+[20186,4.32686,21.7735,5.34,-0.11,0,0],
+[26001,5.54987,-64.2275,5.34,1.04,0,0],
+[13490,2.89517,38.3375,5.34,0.42,0,0],
+[82587,16.8828,31.7017,5.34,0.32,0,0],
+[109654,22.21328,34.6046,5.34,1.13,0,0],
+[107788,21.83575,17.2859,5.34,0.39,0,0],
+[80782,16.49509,-46.2432,5.35,0.49,0,0],
+[75119,15.35055,0.7153,5.35,1.19,0,0],
+[3951,0.84544,64.2475,5.35,0.53,0,0],
+[36439,7.49887,49.6725,5.35,0.47,0,0],
+[66936,13.7177,3.5379,5.35,1.09,0,0],
+[35957,7.41218,-31.8089,5.35,1.07,0,0],
+[28946,6.10975,38.4826,5.35,0.25,0,0],
+[22157,4.76715,11.7056,5.35,0.2,0,0],
+[110273,22.33664,-7.8211,5.35,-0.05,0,0],
+[82802,16.92282,18.4332,5.35,1.41,0,0],
+[92953,18.93804,-42.7107,5.35,1,0,0],
+[29246,6.16639,58.9357,5.35,1.1,0,0],
+[42604,8.68363,45.834,5.35,0.99,0,0],
+[116709,23.65232,50.4717,5.35,-0.06,0,0],
+[115355,23.36526,31.8125,5.35,-0.1,0,0],
+[46811,9.53869,-40.6493,5.35,0.9,0,0],
+[4371,0.93375,-11.2665,5.35,1.5,0,0],
+[77907,15.91052,43.1386,5.35,1.64,0,0],
+[79050,16.13544,-26.3267,5.35,1.64,0,0],
+[94385,19.21131,-7.9395,5.35,0.09,0,0],
+[6706,1.43757,19.1723,5.35,0.4,0,0],
+[86182,17.61046,48.5856,5.35,1.14,0,0],
+[116889,23.69291,-18.0271,5.36,1.58,0,0],
+[29996,6.31405,-9.39,5.36,1.24,0,0],
+[89605,18.28543,-56.0234,5.36,-0.05,0,0],
+[110109,22.30429,-53.6271,5.36,0.61,0,0],
+[34987,7.23891,3.1114,5.36,1.19,0,0],
+[21730,4.66613,53.473,5.36,0.33,34.51,-84.7],
+[52405,10.71127,-59.2158,5.36,0.21,0,0],
+[29490,6.21418,65.7184,5.36,1.34,0,0],
+[72131,14.7548,-62.8756,5.36,0.31,0,0],
+[26063,5.55874,-1.1561,5.36,-0.18,0,0],
+[11791,2.53595,-1.0349,5.36,1,0,0],
+[35083,7.25585,-30.6864,5.36,-0.16,0,0],
+[38846,7.94939,-43.5004,5.36,-0.17,0,0],
+[18993,4.06941,2.8269,5.36,0.5,0,0],
+[3632,0.77582,15.4755,5.36,1.56,0,0],
+[37853,7.75974,-34.1724,5.36,0.59,0,0],
+[40107,8.1925,-7.7725,5.36,0.89,0,0],
+[92989,18.94458,-37.3432,5.36,-0.15,0,0],
+[76628,15.64849,-19.3019,5.36,0.88,0,0],
+[5268,1.12184,-61.7753,5.36,0.88,73.8,-11.55],
+[58510,11.99914,3.6552,5.36,0,0,0],
+[27658,5.85611,-7.518,5.36,-0.2,0,0],
+[102599,20.79265,80.5523,5.36,1.14,0,0],
+[52638,10.76442,30.6823,5.36,-0.05,0,0],
+[3138,0.66544,21.4385,5.36,1.16,0,0],
+[65301,13.38364,-17.7353,5.36,0.99,0,0],
+[45410,9.25385,14.9415,5.36,1.32,0,0],
+[47723,9.72886,14.0217,5.36,1.61,5.81,-4.8],
+[84821,17.33607,25.5376,5.36,0.06,0,0],
+[75439,15.4125,-39.7103,5.36,-0.09,0,0],
+[11258,2.41499,-60.3119,5.36,0.4,-71.69,-131.28],
+[54746,11.20919,-49.101,5.37,0.18,0,0],
+[80337,16.40036,-39.193,5.37,0.62,0,0],
+[30565,6.42462,-69.6903,5.37,0.97,0,0],
+[8230,1.76646,-5.7333,5.37,1.52,0,0],
+[109592,22.20056,60.7591,5.37,1.18,0,0],
+[110298,22.34099,5.7895,5.37,-0.04,0,0],
+[90763,18.51801,-32.9891,5.37,0.18,0,0],
+[39117,8.00326,73.9179,5.37,1.42,0,0],
+[109404,22.16547,-34.015,5.37,0.24,0,0],
+[79804,16.2876,59.755,5.37,1.55,0,0],
+[35987,7.41616,11.6695,5.37,0.1,0,0],
+[92112,18.77285,75.434,5.37,0.05,0,0],
+[26248,5.59087,24.0396,5.37,-0.09,0,0],
+[28949,6.11076,-4.1938,5.37,-0.12,0,0],
+[92111,18.77239,-22.3922,5.37,1.59,0,0],
+[29730,6.26126,59.999,5.37,1.34,0,0],
+[88380,18.04753,-24.2825,5.37,0.5,0,0],
+[73223,14.96476,-76.6627,5.37,1.44,0,0],
+[63432,12.99866,66.5973,5.37,1.28,0,0],
+[49081,10.01686,31.9237,5.37,0.68,0,0],
+[35848,7.39139,-27.8343,5.37,1.54,0,0],
+[23482,5.04686,-49.1514,5.37,0.42,0,0],
+[60978,12.49927,58.4057,5.37,0.2,0,0],
+[113957,23.07767,-53.9649,5.37,1.45,0,0],
+[77858,15.89831,-24.5332,5.38,-0.01,0,0],
+[1645,0.3433,8.1903,5.38,1.34,0,0],
+[97650,19.84633,-10.7635,5.38,0.4,0,0],
+[38722,7.92775,19.884,5.38,-0.04,0,0],
+[62572,12.8205,83.4129,5.38,0.03,0,0],
+[90642,18.49472,-1.9853,5.38,0.96,0,0],
+[3330,0.70787,-65.468,5.38,0.52,0,0],
+[109521,22.18607,50.8234,5.38,0.15,0,0],
+[91217,18.60773,9.1225,5.38,0.39,0,0],
+[66849,13.70031,-58.7871,5.38,-0.03,0,0],
+[2568,0.54319,20.2943,5.38,1.07,0,0],
+[91013,18.56575,52.3535,5.38,1.09,0,0],
+[46404,9.46299,-6.0712,5.38,0.64,0,0],
+[24799,5.31667,33.7484,5.38,-0.17,0,0],
+[70931,14.50582,-49.519,5.38,0.06,0,0],
+[60781,12.45802,-58.9918,5.38,1.54,0,0],
+[105665,21.40266,-20.8519,5.38,1.18,0,0],
+[18859,4.04354,-0.2689,5.38,0.52,0,0],
+[92202,18.79137,-5.7051,5.38,1.28,0,0],
+[20264,4.34417,-20.6396,5.38,-0.03,0,0],
+[100965,20.47069,81.4227,5.38,1.01,0,0],
+[75178,15.3635,32.9337,5.38,-0.05,0,0],
+[12086,2.59634,34.6876,5.38,1.65,0,0],
+[1960,0.41319,61.8311,5.38,0.01,0,0],
+[103732,21.0197,46.1558,5.38,-0.21,0,0],
+[20430,4.37637,25.6293,5.38,-0.04,0,0],
+[45571,9.28815,-68.6896,5.38,0.42,0,0],
+[60379,12.3804,-57.6761,5.38,-0.1,0,0],
+[35589,7.34411,-52.0859,5.38,-0.07,0,0],
+[73095,14.93812,-52.8095,5.38,0.14,0,0],
+[99031,20.10606,35.9725,5.38,0.85,0,0],
+[94712,19.27271,-45.466,5.38,1.35,0,0],
+[84862,17.34432,32.4677,5.38,0.62,0,0],
+[21670,4.65171,7.871,5.38,0.26,0,0],
+[23221,4.99735,-10.2633,5.39,0.8,0,0],
+[105966,21.46113,27.6086,5.39,0.05,0,0],
+[78459,16.01741,33.3035,5.39,0.61,0,0],
+[89851,18.33578,-15.8317,5.39,1.47,0,0],
+[22044,4.74051,11.1461,5.39,0.25,0,0],
+[71618,14.64729,44.4045,5.39,0.03,0,0],
+[32677,6.81604,-15.1447,5.39,-0.1,0,0],
+[55650,11.40065,1.4078,5.39,0.94,0,0],
+[46735,9.52567,35.1033,5.39,1.54,0,0],
+[84979,17.3683,-70.1232,5.39,-0.04,-1.94,-10.99],
+[77227,15.76823,-1.8042,5.39,-0.04,0,0],
+[32494,6.7813,-51.2657,5.39,1.33,0,0],
+[19513,4.18052,26.481,5.39,0.35,0,0],
+[39538,8.07977,79.4796,5.39,-0.04,0,0],
+[71500,14.62227,-46.1334,5.39,0.93,0,0],
+[101483,20.56584,13.0273,5.39,0.09,0,0],
+[4890,1.047,-46.3973,5.39,0.9,0,0],
+[29850,6.28517,9.9424,5.39,0.11,0,0],
+[93299,19.0038,50.5335,5.39,-0.18,0,0],
+[96302,19.58081,29.463,5.39,0.58,0,0],
+[114389,23.16707,9.8221,5.39,-0.07,0,0],
+[13202,2.83172,-27.942,5.39,0.01,0,0],
+[56391,11.56034,-40.5866,5.39,0.12,0,0],
+[18396,3.93282,47.8714,5.39,-0.07,0,0],
+[97534,19.82369,-72.5034,5.39,0.23,0,0],
+[79195,16.16403,-3.4667,5.39,1.45,0,0],
+[82764,16.91532,20.9585,5.39,0.97,0,0],
+[43721,8.90409,30.5791,5.4,1.05,0,0],
+[46454,9.47428,9.0568,5.4,0.6,0,0],
+[80214,16.37478,33.7035,5.4,1.52,0,0],
+[70602,14.44094,19.2269,5.4,0.23,0,0],
+[98962,20.09244,61.9954,5.4,1.19,0,0],
+[80399,16.41105,-29.7047,5.4,0.62,0,0],
+[93526,19.04847,-3.699,5.4,0,0,0],
+[46471,9.47777,45.6015,5.4,0.99,-7.5,-128.77],
+[65728,13.4742,59.9458,5.4,-0.01,0,0],
+[76013,15.52523,-73.3896,5.4,-0.15,0.56,-18.4],
+[54849,11.22932,-0.0695,5.4,-0.02,0,0],
+[17854,3.82048,70.871,5.4,0.1,0,0],
+[35795,7.38353,-31.9238,5.4,-0.16,0,0],
+[93713,19.08199,53.3967,5.4,-0.01,0,0],
+[93717,19.08269,-4.0314,5.4,1.12,0,0],
+[105143,21.29925,-17.9851,5.4,-0.12,0,0],
+[25499,5.4528,17.9622,5.4,-0.09,0,0],
+[20376,4.36323,60.7356,5.4,1.5,0,0],
+[31579,6.60912,38.4455,5.4,2.77,0,0],
+[91989,18.74921,-39.6862,5.4,0.85,0,0],
+[21036,4.51038,13.7244,5.4,0.26,0,0],
+[4914,1.0507,-4.8366,5.4,1.11,0,0],
+[12653,2.70926,-50.8003,5.4,0.56,333.81,219.5],
+[47080,9.59433,35.8101,5.4,0.77,0,0],
+[26536,5.64391,30.4924,5.4,0.45,0,0],
+[97646,19.84578,-59.1937,5.41,0.08,0,0],
+[7450,1.59971,-15.4002,5.41,1.23,0,0],
+[83838,17.13391,35.9352,5.41,0.31,0,0],
+[77060,15.73456,-15.6728,5.41,0.24,0,0],
+[77859,15.89885,-23.9781,5.41,-0.03,0,0],
+[69989,14.32119,13.0043,5.41,0.38,0,0],
+[102773,20.82173,-68.7765,5.41,1.12,0,0],
+[102177,20.70351,50.34,5.41,-0.11,0,0],
+[3544,0.75477,55.2214,5.41,0.02,0,0],
+[32912,6.8575,-70.9634,5.41,-0.11,3.64,26.08],
+[34301,7.11132,-11.294,5.41,0.03,0,0],
+[37450,7.68773,-38.5335,5.41,-0.13,0,0],
+[104750,21.22148,-27.6193,5.41,1.42,0,0],
+[91235,18.61037,33.469,5.41,-0.1,0,0],
+[96693,19.65736,42.8183,5.41,-0.06,0,0],
+[80693,16.47611,0.665,5.41,1.46,0,0],
+[89772,18.31932,7.2598,5.41,1.08,0,0],
+[35855,7.39219,-32.2021,5.41,-0.17,0,0],
+[930,0.19289,-27.7997,5.41,1.35,3.42,19.8],
+[90023,18.36908,23.2852,5.41,1.63,0,0],
+[36363,7.48492,-38.8121,5.41,-0.15,0,0],
+[85537,17.48046,0.3306,5.41,0.24,0,0],
+[67288,13.79039,-17.8598,5.41,1.62,0,0],
+[61621,12.62841,-27.1389,5.41,0.33,0,0],
+[3721,0.79612,74.8476,5.42,-0.07,0,0],
+[80390,16.40882,-37.566,5.42,-0.1,0,0],
+[6592,1.41133,-41.4925,5.42,1.03,0,0],
+[9589,2.05324,0.1285,5.42,0.15,0,0],
+[41817,8.52526,-19.5775,5.42,-0.06,0,0],
+[50333,10.27798,13.7283,5.42,1.65,0,0],
+[61309,12.56081,33.2476,5.42,1.01,0,0],
+[70794,14.47826,-6.9005,5.42,1.49,0,0],
+[57512,11.78865,-57.6965,5.42,1.66,0,0],
+[8814,1.88815,40.7298,5.42,1.31,0,0],
+[114273,23.1447,2.1279,5.42,0.91,0,0],
+[20776,4.45081,80.8242,5.42,1.18,0,0],
+[62223,12.75217,45.4403,5.42,2.99,0,0],
+[761,0.15585,-27.9879,5.42,0.41,0,0],
+[44818,9.13335,29.6542,5.42,0.89,0,0],
+[5951,1.27675,-2.5004,5.42,0.89,0,0],
+[101800,20.63031,11.3777,5.42,0.05,0,0],
+[11046,2.37011,-0.8849,5.42,0.34,0,0],
+[36778,7.56418,-36.3384,5.42,-0.08,0,0],
+[32311,6.74596,28.9709,5.42,1.44,0,0],
+[91494,18.65977,-43.1859,5.42,1.65,0,0],
+[2240,0.47403,-39.915,5.42,1.56,0,0],
+[105972,21.46282,66.8091,5.42,-0.1,0,0],
+[31299,6.56374,-36.232,5.42,1.42,0,0],
+[9372,2.00745,-8.5239,5.43,1.39,0,0],
+[108661,22.01395,-28.4537,5.43,-0.1,0,0],
+[54173,11.08172,-35.8047,5.43,0.02,0,0],
+[109472,22.17708,-11.5649,5.43,-0.12,0,0],
+[23983,5.15546,9.8296,5.43,0.25,0,0],
+[9326,1.99617,-20.8245,5.43,1.64,0,0],
+[54477,11.14556,-28.0807,5.43,0.07,0,0],
+[31121,6.53057,-8.1582,5.43,1.37,0,0],
+[51585,10.5366,14.1373,5.43,1.7,0,0],
+[113521,22.99096,0.9629,5.43,0.98,0,0],
+[43082,8.77515,-45.9125,5.43,0.24,0,0],
+[112731,22.82952,55.9028,5.43,1.17,0,0],
+[112832,22.8506,-39.1568,5.43,1.44,0,0],
+[78246,15.97635,-24.8315,5.43,-0.09,0,0],
+[25769,5.50284,63.0672,5.43,1.7,0,0],
+[92614,18.87123,21.4251,5.43,-0.07,0,0],
+[78012,15.92988,37.947,5.43,0.35,0,0],
+[83962,17.16332,-10.5233,5.43,0.46,0,0],
+[62423,12.79287,66.7903,5.43,1.57,5.089,-5.74],
+[91237,18.61085,6.6718,5.43,0.39,0,0],
+[87728,17.91976,72.0051,5.43,0.34,0,0],
+[74941,15.31365,-60.4963,5.43,-0.09,0,0],
+[43908,8.94495,-85.6632,5.43,0.31,-116.93,34.19],
+[47956,9.77235,-76.7761,5.43,0.9,0,0],
+[11029,2.36709,-10.7775,5.43,0.36,0,0],
+[12768,2.73477,44.297,5.43,0.9,0,0],
+[117447,23.81394,62.2145,5.43,0.67,0,0],
+[79387,16.20203,-8.5476,5.43,0.12,0,0],
+[76618,15.64708,-52.3727,5.43,0,0,0],
+[24254,5.20624,73.9467,5.44,-0.11,0,0],
+[115152,23.32494,48.6253,5.44,1.01,0,0],
+[79963,16.32157,-42.674,5.44,0.1,0,0],
+[87847,17.9466,-4.0818,5.44,1.16,0,0],
+[29736,6.26249,12.5511,5.44,0.02,0,0],
+[90414,18.44834,-48.1172,5.44,0.86,0,0],
+[24829,5.32281,-50.606,5.44,0.52,23.64,227.43],
+[34724,7.18989,-0.3019,5.44,0.31,0,0],
+[78893,16.10547,67.8101,5.44,-0.02,0,0],
+[64094,13.13532,-65.306,5.44,-0.03,0,0],
+[47204,9.62018,-53.6685,5.44,0.14,0,0],
+[33184,6.90685,-1.127,5.44,0.17,0,0],
+[38497,7.88431,-36.3638,5.44,1.16,0,0],
+[4510,0.96393,28.9922,5.44,1.08,0,0],
+[13782,2.9566,-23.8622,5.44,0.24,0,0],
+[101243,20.52189,49.2203,5.44,1.57,9.21,-31.88],
+[99631,20.22052,-1.0093,5.44,1.43,0,0],
+[52737,10.78113,-17.2969,5.44,0.11,0,0],
+[43851,8.9321,11.626,5.44,1.46,0,0],
+[43932,8.94906,32.9104,5.44,0.18,0,0],
+[76397,15.60336,-44.3968,5.44,1.5,0,0],
+[26649,5.66384,-32.6292,5.44,0.91,0,0],
+[32439,6.77067,79.5648,5.44,0.52,0,0],
+[17776,3.80578,23.4212,5.44,-0.07,0,0],
+[58379,11.9709,-56.3173,5.44,-0.06,0,0],
+[19483,4.17292,-6.9239,5.44,0.94,0,0],
+[113996,23.08605,-7.6938,5.44,0.31,0,0],
+[15547,3.33878,77.7347,5.44,0.21,0,0],
+[46594,9.50142,-51.5172,5.45,-0.08,0,0],
+[111056,22.49805,78.8243,5.45,0.09,3.417,-20.868],
+[113357,22.95777,20.7688,5.45,0.67,207.25,60.34],
+[74305,15.18777,-55.346,5.45,1.12,0,0],
+[2942,0.62256,35.3995,5.45,0.89,0,0],
+[4293,0.91675,-69.5271,5.45,1.1,7.37,-43.69],
+[79754,16.27869,-53.8111,5.45,1.7,0,0],
+[3083,0.65275,49.3546,5.45,1.64,0,0],
+[109789,22.23854,-27.7669,5.45,-0.12,23.6,2.04],
+[42459,8.65663,-53.4398,5.45,-0.13,0,0],
+[14376,3.09075,25.2552,5.45,-0.03,0,0],
+[42286,8.6219,-62.8535,5.45,1.01,0,0],
+[17489,3.74673,24.2895,5.45,-0.03,20.38,-44.81],
+[36616,7.53011,17.086,5.45,1.13,0,0],
+[33478,6.95942,-24.6308,5.45,0.39,0,0],
+[12332,2.64694,21.9614,5.45,0.17,-7.47,-15.9],
+[104382,21.14612,-88.9565,5.45,0.28,25.75,4.98],
+[73624,15.0498,-32.6433,5.45,-0.13,0,0],
+[19398,4.15495,-16.3859,5.45,-0.15,0,0],
+[33384,6.94291,-79.4202,5.45,0.04,0,0],
+[59394,12.1844,-23.6024,5.45,0.06,0,0],
+[77902,15.90962,20.311,5.45,1.59,0,0],
+[19805,4.24682,-62.1918,5.45,1.11,0,0],
+[21735,4.66762,12.1976,5.45,-0.12,0,0],
+[89507,18.26484,-44.2065,5.45,0.96,0,0],
+[63031,12.91622,-85.1234,5.45,0.99,67.2,24.76],
+[60855,12.47291,-39.0412,5.45,-0.07,0,0],
+[25993,5.54761,-38.5134,5.45,1.22,0,0],
+[96556,19.62981,-4.6476,5.45,0.43,0,0],
+[41323,8.43109,-42.1531,5.45,-0.14,0,0],
+[18975,4.06572,8.1973,5.45,0.37,0,0],
+[95503,19.42491,-23.9625,5.45,1.44,0,0],
+[108294,21.93966,-37.2537,5.45,0.08,0,0],
+[53273,10.89548,-2.1292,5.45,0.97,0,0],
+[44405,9.04563,24.4529,5.45,-0.04,0,0],
+[56700,11.62611,-47.7473,5.46,1.23,0,0],
+[75647,15.45504,-36.7676,5.46,-0.15,0,0],
+[4288,0.91614,23.6283,5.46,1.01,0,0],
+[25768,5.50263,-47.0777,5.46,0.62,0,0],
+[20156,4.32034,50.0487,5.46,0.24,0,0],
+[82676,16.90051,-41.8064,5.46,0.18,0,0],
+[67304,13.79405,-50.3207,5.46,1.35,0,0],
+[34624,7.17203,-27.4915,5.46,1,0,0],
+[92308,18.81402,-43.68,5.46,0.13,23.89,-19.32],
+[46741,9.52675,-73.0809,5.46,1.56,0,0],
+[28943,6.10892,-23.1108,5.46,0.06,0,0],
+[27566,5.838,-79.3614,5.46,-0.08,0,0],
+[46358,9.45179,-71.6019,5.46,1.08,0,0],
+[79488,16.22095,5.0211,5.46,1.47,0,0],
+[25861,5.5207,3.2921,5.46,-0.18,0,0],
+[35180,7.27071,-15.5857,5.46,0.08,0,0],
+[98194,19.95385,40.3678,5.46,-0.09,0,0],
+[96536,19.62623,-14.3018,5.46,0.5,0,0],
+[19009,4.07269,24.106,5.46,0.81,0,0],
+[95073,19.34325,-0.8922,5.46,-0.04,0,0],
+[94827,19.29545,23.0255,5.46,0.02,2.04,-2.78],
+[68940,14.1119,-9.3135,5.46,0.35,0,0],
+[42637,8.68877,-78.9634,5.46,-0.1,-28.89,27.21],
+[95865,19.49783,-26.9856,5.46,1.12,0,0],
+[34912,7.22317,51.4287,5.46,1.64,0,0],
+[66634,13.65847,52.9212,5.46,0.11,0,0],
+[52595,10.75455,-80.4696,5.46,0.96,0,0],
+[24902,5.33741,41.0862,5.46,0.12,0,0],
+[21685,4.65548,-14.3592,5.46,1.05,0,0],
+[81305,16.60627,-42.8589,5.46,0.34,0,0],
+[75572,15.43817,34.336,5.46,1.41,0,0],
+[27196,5.76501,49.8263,5.46,0.03,-6.97,-1.22],
+[62131,12.73348,-28.324,5.46,1.35,0,0],
+[56290,11.5391,61.0825,5.46,0.52,0,0],
+[106787,21.62928,19.3186,5.46,0.32,0,0],
+[63066,12.92207,-42.9157,5.46,1.67,0,0],
+[92831,18.91449,41.6027,5.46,1.03,0,0],
+[22871,4.91976,-74.9369,5.47,1.52,28.27,61.52],
+[89290,18.22019,-41.3361,5.47,-0.16,0,0],
+[13965,2.99716,47.2207,5.47,0.87,0,0],
+[38639,7.91186,47.5646,5.47,1.46,0,0],
+[42080,8.57671,65.1452,5.47,0.21,0,0],
+[72582,14.84158,37.272,5.47,1.03,0,0],
+[87747,17.92366,26.05,5.47,0.34,0,0],
+[89042,18.17395,-62.0022,5.47,0.59,0,0],
+[22626,4.86811,63.5054,5.47,1.56,0,0],
+[65112,13.34384,-52.7478,5.47,-0.12,0,0],
+[60941,12.49084,24.1089,5.47,0.44,0,0],
+[90923,18.54721,30.5542,5.47,-0.08,0,0],
+[90913,18.54537,-14.8657,5.47,2,0,0],
+[21039,4.5108,15.6919,5.47,0.26,0,0],
+[61071,12.51682,24.5672,5.47,0.06,0,0],
+[53781,11.00408,45.5263,5.47,1.47,0,0],
+[25695,5.48792,25.1502,5.47,-0.04,0,0],
+[78400,16.00545,-16.5334,5.47,0.52,0,0],
+[84720,17.31765,-46.6362,5.47,0.76,0,0],
+[60044,12.3139,75.1606,5.47,0.05,0,0],
+[90133,18.39346,-75.0443,5.47,0.04,0,0],
+[44961,9.15988,-8.7876,5.47,1,0,0],
+[20982,4.50016,83.3404,5.47,0.86,0,0],
+[4104,0.87795,-24.0058,5.47,1.27,0,0],
+[103145,20.8983,33.4379,5.47,1.52,0,0],
+[110725,22.43355,70.7709,5.47,1.22,0,0],
+[27338,5.79061,17.7291,5.47,0.3,0,0],
+[102014,20.67217,-33.4318,5.47,1.12,0,0],
+[43325,8.82755,-40.3202,5.47,0.07,0,0],
+[110936,22.47756,-39.1318,5.47,0.96,37.43,-160.51],
+[52004,10.62419,-58.7333,5.47,0.5,0,0],
+[34440,7.13946,15.9307,5.47,1.02,0,0],
+[16470,3.53572,48.0235,5.47,-0.1,0,0],
+[68581,14.03966,-27.4298,5.47,1.33,0,0],
+[106044,21.47912,-69.5054,5.47,1.55,0,0],
+[72664,14.85736,59.294,5.48,1.37,0,0],
+[82402,16.83872,7.2477,5.48,0.11,0,0],
+[24679,5.29451,-13.5198,5.48,0.93,0,0],
+[105668,21.40319,-12.8781,5.48,0.3,0,0],
+[11249,2.41363,10.6106,5.48,-0.1,0,0],
+[56802,11.64445,-13.2019,5.48,0.52,0,0],
+[80008,16.33199,39.7086,5.48,0.41,0,0],
+[38593,7.90306,-35.8773,5.48,-0.18,0,0],
+[61318,12.56299,-9.4521,5.48,-0.04,0,0],
+[76957,15.71411,52.3609,5.48,-0.04,0,0],
+[102497,20.77224,-39.1993,5.48,-0.08,0,0],
+[105767,21.42138,-3.5567,5.48,1.45,0,0],
+[13265,2.84456,-35.6758,5.48,1.26,0,0],
+[44613,9.09003,48.5303,5.48,0.48,0,0],
+[82135,16.77999,-39.377,5.48,0.98,0,0],
+[82960,16.9531,-33.2595,5.48,1.61,0,0],
+[18141,3.87824,-5.3613,5.48,-0.09,0,0],
+[79280,16.18042,75.8776,5.48,-0.09,0,0],
+[38048,7.79909,-12.1927,5.48,0.48,0,0],
+[73133,14.94614,-11.4097,5.48,1.49,8.63,9.35],
+[42712,8.7045,-48.0991,5.48,-0.17,0,0],
+[103094,20.88849,45.1817,5.48,1.09,0,0],
+[30214,6.35686,-11.7732,5.48,0,0,0],
+[45526,9.27816,-8.7448,5.49,-0.08,0,0],
+[22263,4.79341,-16.9345,5.49,0.63,0,0],
+[103401,20.94834,-9.6975,5.49,1.47,0,0],
+[61724,12.65203,21.0626,5.49,0.98,0,0],
+[8240,1.76832,-50.8163,5.49,1.62,0,0],
+[52689,10.77369,14.1946,5.49,0.91,0,0],
+[91004,18.56486,-24.0323,5.49,1.8,0,0],
+[116611,23.63244,18.4007,5.49,0.01,0,0],
+[89369,18.23775,-21.7132,5.49,1.53,0,0],
+[50303,10.27068,29.3105,5.49,0.02,0,0],
+[37901,7.76728,-6.7725,5.49,1.38,0,0],
+[46578,9.49847,-26.5896,5.49,1.34,0,0],
+[93667,19.07363,-31.0471,5.49,0.03,0,0],
+[79672,16.26035,-8.3694,5.49,0.65,0,0],
+[42715,8.70528,-53.1001,5.49,-0.13,0,0],
+[97063,19.72598,-15.4701,5.49,0.46,0,0],
+[3607,0.76993,-22.5221,5.49,0.98,0,0],
+[7213,1.5489,-36.8652,5.49,1.02,0,0],
+[110078,22.29741,-77.5116,5.49,0.31,0,0],
+[14417,3.1022,79.4185,5.49,1.57,0,0],
+[29150,6.14941,-22.4274,5.49,-0.01,0,0],
+[27517,5.82682,-14.4837,5.49,0.87,0,0],
+[15338,3.29648,44.025,5.49,-0.06,0,0],
+[61136,12.52787,-59.4239,5.49,0.62,0,0],
+[88836,18.13396,36.4013,5.49,1.16,0,0],
+[117375,23.79904,-2.7616,5.49,0.94,0,0],
+[18434,3.9413,35.0809,5.49,-0.06,0,0],
+[52686,10.77348,18.8915,5.5,1.13,0,0],
+[23900,5.13517,24.2652,5.5,0.03,0,0],
+[9570,2.04943,33.2841,5.5,0.03,0,0],
+[105913,21.45045,-42.5479,5.5,0.39,0,0],
+[89065,18.17786,3.3243,5.5,1.2,0,0],
+[49005,9.9977,56.8118,5.5,1.49,0,0],
+[24450,5.24557,5.1562,5.5,1.37,0,0],
+[81252,16.59578,-65.4954,5.5,0.95,0,0],
+[22958,4.94005,-5.1714,5.5,-0.12,0,0],
+[51821,10.5869,-39.5626,5.5,3.02,0,0],
+[15643,3.35667,-23.6351,5.5,0.88,0,0],
+[79199,16.16461,-33.5458,5.5,-0.08,0,0],
+[108543,21.98831,-38.3951,5.5,1,0,0],
+[100435,20.36762,24.4461,5.5,-0.09,0,0],
+[25950,5.53726,17.0581,5.5,0,0,0],
+[76106,15.54353,-19.6705,5.5,0.2,0,0],
+[76133,15.54943,-1.1864,5.5,1.09,0,0],
+[97077,19.72859,25.7719,5.5,0.94,0,0],
+[29064,6.13135,-42.154,5.5,0.01,0,0],
+[15861,3.40513,24.7241,5.5,1.19,0,0],
+[35564,7.33929,-52.3115,5.5,0.48,0,0],
+[1647,0.34418,-69.6249,5.5,-0.05,0,0],
+[67172,13.76564,-12.4265,5.5,0.9,0,0],
+[81141,16.57204,-70.9881,5.5,1.24,0,0],
+[34000,7.0542,-59.1781,5.5,-0.12,0,0],
+[66435,13.61973,71.2423,5.5,1.22,0,0],
+[115836,23.46766,-87.4822,5.5,1.28,16.83,11.56],
+[4852,1.04067,-31.552,5.5,0.08,80.5,14.64],
+[20171,4.32392,21.1423,5.5,-0.07,0,0],
+[4889,1.04697,31.8043,5.5,-0.04,0,0],
+[56497,11.58247,-49.1365,5.5,1.04,0,0],
+[6732,1.44491,19.2404,5.5,1.11,0,0],
+[3760,0.80484,7.2999,5.92,1.1,0,0],
+[33165,6.90362,-23.9283,6.65,-0.06,0,0],
+[96406,19.60046,-24.7191,5.64,0.19,0,0],
+[109352,22.15379,33.1723,5.58,0.99,-61.14,-66.84]
 ];
 
 // Bright named stars for labels (HIP ID -> name)
@@ -0,0 +1,60 @@
+// Star positions - J2000 catalog places carried to the simulated date
+// Proper motion moves a star along a great circle, then precession and nutation (frames.js) take it
+// to the true equator and equinox of date - the frame of the Swiss Ephemeris' apparent planet places
+// and of apparent sidereal time. Aberration (up to 20") is left out.
+
+import { J2000, applyMatrix, getPrecessionMatrix, getJ2000ToDateMatrix } from './frames.js';
+
+const MAS_PER_YEAR_TO_RAD_PER_DAY = Math.PI / 180 / 3600 / 1000 / 365.25;
+
+/**
+ * J2000 unit vector of a catalog star at a date, moved by its proper motion
+ * @param {number} raHours - J2000 right ascension in hours
+ * @param {number} decDeg - J2000 declination in degrees
+ * @param {number} pmRa - Proper motion in right ascension, mas/yr (including cos dec)
+ * @param {number} pmDec - Proper motion in declination, mas/yr
+ * @param {number} jd - Julian Day of the date
+ * @returns {number[]} Unit vector [x, y, z]
+ */
+export function getStarVectorJ2000(raHours, decDeg, pmRa, pmDec, jd) {
+    const ra = raHours * 15 * Math.PI / 180;
+    const dec = decDeg * Math.PI / 180;
+    const cosRa = Math.cos(ra), sinRa = Math.sin(ra);
+    const cosDec = Math.cos(dec), sinDec = Math.sin(dec);
+    const east = pmRa * MAS_PER_YEAR_TO_RAD_PER_DAY * (jd - J2000);
+    const north = pmDec * MAS_PER_YEAR_TO_RAD_PER_DAY * (jd - J2000);
+
+    // Step along the east and north directions at the star, then back onto the sphere
+    const v = [
+        cosDec * cosRa - east * sinRa - north * sinDec * cosRa,
+        cosDec * sinRa + east * cosRa - north * sinDec * sinRa,
+        sinDec + north * cosDec
+    ];
+    const length = Math.hypot(v[0], v[1], v[2]);
+    return v.map(c => c / length);
+}
+
+/**
+ * Unit vector of a catalog star on the mean equator and equinox of date
+ * @param {number} raHours - J2000 right ascension in hours
+ * @param {number} decDeg - J2000 declination in degrees
+ * @param {number} pmRa - Proper motion in right ascension, mas/yr (including cos dec)
+ * @param {number} pmDec - Proper motion in declination, mas/yr
+ * @param {number} jd - Julian Day of the date
+ * @returns {number[]} Unit vector [x, y, z]
+ */
+export function getMeanStarVector(raHours, decDeg, pmRa, pmDec, jd) {
+    return applyMatrix(getPrecessionMatrix(jd), getStarVectorJ2000(raHours, decDeg, pmRa, pmDec, jd));
+}
+
+/**
+ * Unit vectors of every catalog star on the true equator and equinox of date
+ * @param {object} swe - Initialized SwissEph instance
+ * @param {Array[]} catalog - Rows of [hip, raHours, decDeg, magnitude, bv, pmRa, pmDec]
+ * @param {number} jd - Julian Day (UT)
+ * @returns {number[][]} Unit vectors in catalog order
+ */
+export function getStarVectorsOfDate(swe, catalog, jd) {
+    const matrix = getJ2000ToDateMatrix(swe, jd);
+    return catalog.map(([, ra, dec, , , pmRa, pmDec]) => applyMatrix(matrix, getStarVectorJ2000(ra, dec, pmRa, pmDec, jd)));
+}
@@ -0,0 +1,102 @@
+// Reference-frame conversions checked against worked examples in Meeus, Astronomical Algorithms (2nd ed.)
+// Run with: node --test
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    J2000, getMeanObliquity, eclipticToEquatorial, equatorialToEcliptic, getJ2000ToDateMatrix,
+    applyMatrix, vectorToSpherical, equatorialToHorizontal
+} from '../frames.js';
+import { getStarVectorJ2000, getMeanStarVector } from '../star-positions.js';
+
+const ARCSEC = 1 / 3600;
+
+/**
+ * Degrees from hours, minutes and seconds of right ascension
+ */
+function hms(h, m, s) {
+    return (h + m / 60 + s / 3600) * 15;
+}
+
+/**
+ * Degrees from degrees, arcminutes and arcseconds (sign taken from the first non-zero part)
+ */
+function dms(d, m, s) {
+    const sign = d < 0 || Object.is(d, -0) ? -1 : 1;
+    return sign * (Math.abs(d) + m / 60 + s / 3600);
+}
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${message}: ${actual} differs from ${expected} by ${Math.abs(actual - expected) / ARCSEC}"`);
+}
+
+// θ Persei, Meeus examples 21.b and 23.a: J2000 place and proper motion (0.03425 s/yr, -0.0895"/yr)
+const THETA_PERSEI = {
+    ra: hms(2, 44, 11.986),
+    dec: dms(49, 13, 42.48),
+    pmRa: 34.25 * 15 * Math.cos(dms(49, 13, 42.48) * Math.PI / 180),  // mas/yr, including cos dec
+    pmDec: -89.5
+};
+const THETA_PERSEI_JD = 2462088.69;  // 2028 Nov 13.19 TD
+
+// Nutation of example 23.a in the shape of Swiss Ephemeris' SE_ECL_NUT result
+const MEEUS_23A_NUTATION = {
+    calc_ut(jd) {
+        const mean = getMeanObliquity(jd);
+        return [mean + 2.705 * ARCSEC, mean, 14.861 * ARCSEC, 2.705 * ARCSEC];
+    }
+};
+
+test('mean obliquity at J2000 is 23°26\'21.448"', () => {
+    assertClose(getMeanObliquity(J2000), 23.4392911, 0.0000001, 'obliquity');
+});
+
+test('ecliptic and equatorial conversions invert each other', () => {
+    const obliquity = getMeanObliquity(J2000);
+    for (const [lon, lat] of [[0, 0], [45, 10], [113.215630, 6.684170], [200, -60], [359.9, 89]]) {
+        const { ra, dec } = eclipticToEquatorial(lon, lat, obliquity);
+        const back = equatorialToEcliptic(ra, dec, obliquity);
+        assertClose(((back.lon - lon + 540) % 360) - 180, 0, 1e-9, 'longitude');
+        assertClose(back.lat, lat, 1e-9, 'latitude');
+    }
+});
+
+test('ecliptic to equatorial matches Meeus example 13.a (Pollux)', () => {
+    const { ra, dec } = eclipticToEquatorial(113.215630, 6.684170, 23.4392911);
+    assertClose(ra, 116.328942, 1e-6, 'right ascension');
+    assertClose(dec, 28.026183, 1e-6, 'declination');
+});
+
+test('proper motion leaves the catalog place at J2000', () => {
+    const { ra, dec, pmRa, pmDec } = THETA_PERSEI;
+    const { lon, lat } = vectorToSpherical(getStarVectorJ2000(ra / 15, dec, pmRa, pmDec, J2000));
+    assertClose(lon, ra, 1e-9, 'right ascension');
+    assertClose(lat, dec, 1e-9, 'declination');
+});
+
+test('J2000 to date matches Meeus example 23.a (θ Persei) less aberration', () => {
+    const { ra, dec, pmRa, pmDec } = THETA_PERSEI;
+    const j2000 = getStarVectorJ2000(ra / 15, dec, pmRa, pmDec, THETA_PERSEI_JD);
+
+    // Mean place of example 21.b: proper motion and precession
+    const mean = vectorToSpherical(applyMatrix(getJ2000ToDateMatrix(null, THETA_PERSEI_JD), j2000));
+    assertClose(mean.lon, hms(2, 46, 11.331), 0.05 * ARCSEC, 'mean right ascension');
+    assertClose(mean.lat, dms(49, 20, 54.54), 0.05 * ARCSEC, 'mean declination');
+    const meanStar = vectorToSpherical(getMeanStarVector(ra / 15, dec, pmRa, pmDec, THETA_PERSEI_JD));
+    assertClose(meanStar.lon, mean.lon, 1e-9, 'getMeanStarVector right ascension');
+    assertClose(meanStar.lat, mean.lat, 1e-9, 'getMeanStarVector declination');
+
+    // Nutation adds 15.843" in right ascension and 6.218" in declination
+    const trueOfDate = vectorToSpherical(applyMatrix(getJ2000ToDateMatrix(MEEUS_23A_NUTATION, THETA_PERSEI_JD), j2000));
+    assertClose(trueOfDate.lon, hms(2, 46, 11.331) + 15.843 * ARCSEC, 0.05 * ARCSEC, 'true right ascension');
+    assertClose(trueOfDate.lat, dms(49, 20, 54.54) + 6.218 * ARCSEC, 0.05 * ARCSEC, 'true declination');
+});
+
+test('equatorial to horizontal matches Meeus example 13.b (Venus from Washington)', () => {
+    // Hour angle 64.352133°: apparent sidereal time 8h34m56.853s less longitude 77°03'56" W and RA 23h09m16.641s
+    const hourAngle = hms(8, 34, 56.853) - dms(77, 3, 56) - hms(23, 9, 16.641) + 360;
+    const { altitude, azimuth } = equatorialToHorizontal(hourAngle, dms(-6, 43, 11.61), dms(38, 55, 17));
+    assertClose(altitude, 15.1249, 0.0002, 'altitude');  // Meeus rounds to 0.0001°
+    assertClose(azimuth, 68.0337 + 180, 0.0002, 'azimuth (Meeus counts from the south)');
+});
@@ -0,0 +1,159 @@
+// Rise/set solver checked against Meeus, Astronomical Algorithms (2nd ed.) and synthetic bodies
+// with known crossings. Run with: node --test
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { brentRoot, solveRiseSetDay, findNextRiseSet, RISE_SET_TOLERANCE_MINS } from '../rise-set.js';
+
+const MINUTE = 60 * 1000;
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${message}: ${actual} differs from ${expected} by ${Math.abs(actual - expected)}`);
+}
+
+/**
+ * Minutes from 0h UT of 1988 March 20 (the day of Meeus example 15.a)
+ */
+const MEEUS_DAY = Date.UTC(1988, 2, 20);
+function minutesOfDay(date) {
+    return (date.getTime() - MEEUS_DAY) / MINUTE;
+}
+
+// Venus at Boston, Meeus example 15.a: apparent places at 0h TD on March 19, 20 and 21,
+// apparent sidereal time at 0h UT on March 20, ΔT = 56 s and h0 = -0.5667°
+const VENUS_RA = [40.68021, 41.73129, 42.78204];
+const VENUS_DEC = [18.04761, 18.44092, 18.82742];
+const THETA0 = 177.74208;
+const DELTA_T_DAYS = 56 / 86400;
+const BOSTON = { lat: 42.3333, lon: -71.0833 };
+const VENUS_H0 = -0.5667;
+
+/**
+ * Three-point interpolation (Meeus eq. 3.3) at n days from the middle tabular value
+ */
+function interpolate3([y1, y2, y3], n) {
+    const a = y2 - y1;
+    const b = y3 - y2;
+    return y2 + n / 2 * (a + b + n * (b - a));
+}
+
+/**
+ * Sub-point of Venus {lat: dec, lon: RA - GAST} at a UT instant
+ */
+function getVenusPosition(date) {
+    const days = minutesOfDay(date) / 1440;
+    const theta = THETA0 + 360.985647 * days;
+    const n = days + DELTA_T_DAYS;
+    return { lat: interpolate3(VENUS_DEC, n), lon: interpolate3(VENUS_RA, n) - theta };
+}
+
+/**
+ * Body with a fixed declination turning westward at `degPerHour`, crossing the Greenwich
+ * meridian (sub-point longitude 0) at `epoch`
+ */
+function makeRotatingBody(dec, degPerHour, epoch) {
+    return (date) => ({ lat: dec, lon: -degPerHour * (date.getTime() - epoch.getTime()) / (60 * MINUTE) });
+}
+
+test('brentRoot converges on smooth roots within the tolerance in few evaluations', () => {
+    let calls = 0;
+    const cubic = (x) => { calls++; return x * x * x - 2 * x - 5; };
+    const root = brentRoot(cubic, 2, 3, cubic(2), cubic(3), 1e-10);
+    assertClose(root, 2.0945514815423265, 1e-10, 'x³ - 2x - 5');
+    assert.ok(calls <= 12, `cubic took ${calls} evaluations`);
+
+    calls = 0;
+    const kepler = (x) => { calls++; return Math.cos(x) - x; };
+    const root2 = brentRoot(kepler, 0, 1, kepler(0), kepler(1), 1e-12);
+    assertClose(root2, 0.7390851332151607, 1e-12, 'cos x - x');
+    assert.ok(calls <= 12, `cos x - x took ${calls} evaluations`);
+});
+
+test('brentRoot falls back to bisection and still brackets a discontinuous sign change', () => {
+    const step = (x) => (x < 0.3 ? -1 : 1);
+    const root = brentRoot(step, 0, 1, -1, 1, 1e-9);
+    assertClose(root, 0.3, 1e-9, 'step');
+});
+
+test('brentRoot returns an endpoint that is already a root', () => {
+    const f = (x) => x - 1;
+    assert.equal(brentRoot(f, 1, 2, 0, 1, 1e-6), 1);
+    assert.equal(brentRoot(f, 0, 1, -1, 0, 1e-6), 1);
+});
+
+test('solveRiseSetDay matches Meeus example 15.a (Venus at Boston, 1988 March 20)', () => {
+    // Window 0h-24h UT of March 20; Meeus gives rise 12h25m, transit 19h41m and set 2h55m UT
+    const noon = new Date(MEEUS_DAY + 720 * MINUTE);
+    const times = solveRiseSetDay(BOSTON.lat, BOSTON.lon, getVenusPosition, noon, VENUS_H0);
+
+    assert.equal(times.state, 'normal');
+    assertClose(minutesOfDay(times.rise.time), 12 * 60 + 25.4, 1, 'rise');
+    assertClose(minutesOfDay(times.transit.time), 19 * 60 + 40.5, 1, 'transit');
+    assertClose(minutesOfDay(times.set.time), 2 * 60 + 54.7, 1, 'set');
+    assert.deepEqual(times.events.map(e => e.type), ['set', 'lower-transit', 'rise', 'transit']);
+    assert.equal(times.upAtStart, true);
+
+    // Upper transit altitude 90° - |φ - δ|, with δ at the moment of transit
+    const transitDec = getVenusPosition(times.transit.time).lat;
+    assertClose(times.transit.altitude, 90 - (BOSTON.lat - transitDec), 1e-4, 'transit altitude');
+    times.events.forEach(e => {
+        assertClose(e.offset, (e.time.getTime() - noon.getTime()) / MINUTE, 1 / MINUTE, 'offset');
+    });
+});
+
+test('findNextRiseSet finds the same Venus set and rise as the day solver', () => {
+    const from = new Date(MEEUS_DAY);
+    const set = findNextRiseSet(BOSTON.lat, BOSTON.lon, getVenusPosition, from, VENUS_H0, 1);
+    assert.equal(set.type, 'set');
+    assertClose(minutesOfDay(set.time), 2 * 60 + 54.7, 1, 'set');
+    assertClose(set.msUntil, set.time.getTime() - from.getTime(), 1, 'msUntil');
+
+    const afterSet = new Date(set.time.getTime() + MINUTE);
+    const rise = findNextRiseSet(BOSTON.lat, BOSTON.lon, getVenusPosition, afterSet, VENUS_H0, 1);
+    assert.equal(rise.type, 'rise');
+    assertClose(minutesOfDay(rise.time), 12 * 60 + 25.4, 1, 'rise');
+});
+
+test('solveRiseSetDay reports both rises when a body rises twice in one local day', () => {
+    // A body on the equator turning 18°/h (a 20-hour day, as the Moon can show near the poles)
+    // seen from the equator rises at hour angle -90°: 9 hours before noon and again 11 hours after
+    const noon = new Date(Date.UTC(2024, 0, 1, 12));
+    const transitEpoch = new Date(noon.getTime() - 4 * 60 * MINUTE);
+    const times = solveRiseSetDay(0, 0, makeRotatingBody(0, 18, transitEpoch), noon, 0);
+
+    const rises = times.events.filter(e => e.type === 'rise');
+    const sets = times.events.filter(e => e.type === 'set');
+    assert.equal(rises.length, 2);
+    assert.equal(sets.length, 1);
+    assertClose(rises[0].offset, -540, RISE_SET_TOLERANCE_MINS, 'first rise');
+    assertClose(rises[1].offset, 660, RISE_SET_TOLERANCE_MINS, 'second rise');
+    assertClose(sets[0].offset, 60, RISE_SET_TOLERANCE_MINS, 'set');
+    assertClose(times.transit.offset, -240, RISE_SET_TOLERANCE_MINS, 'transit');
+    assertClose(times.lowerTransit.offset, 360, RISE_SET_TOLERANCE_MINS, 'lower transit');
+    assert.equal(times.rise, rises[0]);
+    assert.equal(times.upAtStart, false);
+    assert.equal(times.state, 'normal');
+});
+
+test('solveRiseSetDay reports always-up and never-rises at ±70° latitude', () => {
+    // Midsummer Sun (δ = +23.44°) turning at the sidereal rate, sunrise threshold -0.833°
+    const noon = new Date(Date.UTC(2024, 5, 21, 12));
+    const sun = makeRotatingBody(23.44, 15.041, noon);
+
+    const north = solveRiseSetDay(70, 0, sun, noon, -0.833);
+    assert.equal(north.state, 'always-up');
+    assert.equal(north.upAtStart, true);
+    assert.equal(north.rise, null);
+    assert.equal(north.set, null);
+    assertClose(north.transit.altitude, 90 - (70 - 23.44), 1e-6, 'midnight-sun upper transit');
+    assertClose(north.lowerTransit.altitude, 23.44 - 20, 1e-6, 'midnight-sun lower transit');
+
+    const south = solveRiseSetDay(-70, 0, sun, noon, -0.833);
+    assert.equal(south.state, 'never-rises');
+    assert.equal(south.upAtStart, false);
+    assert.equal(south.rise, null);
+    assert.equal(south.set, null);
+    assertClose(south.transit.altitude, 90 - (70 + 23.44), 1e-6, 'polar-night noon altitude');
+    assert.deepEqual(south.events.map(e => e.type).filter(type => type === 'transit'), ['transit']);
+});
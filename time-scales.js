@@ -0,0 +1,140 @@
+// Time scales - UT1, TT and TDB, and the Delta-T (TT - UT1) that links them
+// The simulated clock is UTC, taken as UT1 (they differ by under 0.9 s). Swiss Ephemeris' *_ut
+// functions take UT and add Delta-T themselves; createTimeScaledEphemeris hands them the Delta-T of
+// the selected model so every ephemeris call sees the same time scale as the readout.
+
+const SE_DELTAT_AUTOMATIC = -1e-10;  // swe_set_delta_t_userdef value that restores Swiss Ephemeris' own Delta-T
+
+const J2000 = 2451545.0;
+const SECONDS_PER_DAY = 86400;
+
+export const DEFAULT_DELTA_T_MODEL = 'swiss';
+
+// Selectable Delta-T models, in menu order
+export const DELTA_T_MODELS = {
+    swiss: { label: 'Stephenson et al. 2016 (Swiss Ephemeris)' },
+    'espenak-meeus': { label: 'Espenak & Meeus 2006 (NASA canon)' },
+    'morrison-stephenson': { label: 'Morrison & Stephenson 2004 parabola' }
+};
+
+// Swiss Ephemeris functions whose first argument is a UT Julian Day
+const UT_METHODS = new Set([
+    'calc_ut', 'pheno_ut', 'fixstar_ut', 'sidtime', 'azalt', 'azalt_rev', 'rise_trans', 'rise_trans_true_hor',
+    'sol_eclipse_when_glob', 'sol_eclipse_when_loc', 'sol_eclipse_where', 'sol_eclipse_how',
+    'lun_eclipse_when', 'lun_eclipse_when_loc', 'lun_eclipse_how',
+    'lun_occult_when_glob', 'lun_occult_when_loc', 'lun_occult_where'
+]);
+
+/**
+ * Decimal year of a Julian Day
+ */
+function julianDayToYear(jd) {
+    return 2000 + (jd - J2000 + 0.5) / 365.2425;
+}
+
+/**
+ * Long-term parabola fitted to ancient eclipse records (Morrison & Stephenson 2004)
+ * @returns {number} Delta-T in seconds
+ */
+function getDeltaTParabola(year) {
+    const u = (year - 1820) / 100;
+    return -20 + 32 * u * u;
+}
+
+/**
+ * Polynomial in t, coefficients from the constant term up
+ */
+function polynomial(t, coefficients) {
+    return coefficients.reduceRight((sum, c) => sum * t + c, 0);
+}
+
+/**
+ * Delta-T polynomials of the NASA Five Millennium Canon (Espenak & Meeus 2006)
+ * @returns {number} Delta-T in seconds
+ */
+function getDeltaTEspenakMeeus(y) {
+    if (y < -500) return getDeltaTParabola(y);
+    if (y < 500) return polynomial(y / 100, [10583.6, -1014.41, 33.78311, -5.952053, -0.1798452, 0.022174192, 0.0090316521]);
+    if (y < 1600) return polynomial((y - 1000) / 100, [1574.2, -556.01, 71.23472, 0.319781, -0.8503463, -0.005050998, 0.0083572073]);
+    if (y < 1700) return polynomial(y - 1600, [120, -0.9808, -0.01532, 1 / 7129]);
+    if (y < 1800) return polynomial(y - 1700, [8.83, 0.1603, -0.0059285, 0.00013336, -1 / 1174000]);
+    if (y < 1860) return polynomial(y - 1800, [13.72, -0.332447, 0.0068612, 0.0041116, -0.00037436, 0.0000121272, -0.0000001699, 0.000000000875]);
+    if (y < 1900) return polynomial(y - 1860, [7.62, 0.5737, -0.251754, 0.01680668, -0.0004473624, 1 / 233174]);
+    if (y < 1920) return polynomial(y - 1900, [-2.79, 1.494119, -0.0598939, 0.0061966, -0.000197]);
+    if (y < 1941) return polynomial(y - 1920, [21.20, 0.84493, -0.076100, 0.0020936]);
+    if (y < 1961) return polynomial(y - 1950, [29.07, 0.407, -1 / 233, 1 / 2547]);
+    if (y < 1986) return polynomial(y - 1975, [45.45, 1.067, -1 / 260, -1 / 718]);
+    if (y < 2005) return polynomial(y - 2000, [63.86, 0.3345, -0.060374, 0.0017275, 0.000651814, 0.00002373599]);
+    if (y < 2050) return polynomial(y - 2000, [62.92, 0.32217, 0.005589]);
+    if (y < 2150) return getDeltaTParabola(y) - 0.5628 * (2150 - y);
+    return getDeltaTParabola(y);
+}
+
+/**
+ * Delta-T (TT - UT1) at a date
+ * @param {object} swe - Initialized SwissEph instance (from createTimeScaledEphemeris for the Swiss model)
+ * @param {number} jdUt - Julian Day (UT)
+ * @param {string} model - Key of DELTA_T_MODELS
+ * @returns {number} Delta-T in seconds
+ */
+export function getDeltaT(swe, jdUt, model) {
+    switch (model) {
+        case 'espenak-meeus': return getDeltaTEspenakMeeus(julianDayToYear(jdUt));
+        case 'morrison-stephenson': return getDeltaTParabola(julianDayToYear(jdUt));
+        default: return swe.deltat(jdUt) * SECONDS_PER_DAY;
+    }
+}
+
+/**
+ * A date on every time scale
+ * @param {object} swe - Initialized SwissEph instance
+ * @param {number} jdUt - Julian Day (UT1)
+ * @param {string} model - Key of DELTA_T_MODELS
+ * @returns {{deltaT: number, ut1: number, tt: number, tdb: number}} Delta-T in seconds, the rest Julian Days
+ */
+export function getTimeScales(swe, jdUt, model) {
+    const deltaT = getDeltaT(swe, jdUt, model);
+    const tt = jdUt + deltaT / SECONDS_PER_DAY;
+    // TDB - TT is a periodic term of under 2 ms, set by Earth's orbital eccentricity (Explanatory Supplement 1992)
+    const g = (357.53 + 0.98560028 * (tt - J2000)) * Math.PI / 180;
+    const tdb = tt + (0.001657 * Math.sin(g) + 0.000014 * Math.sin(2 * g)) / SECONDS_PER_DAY;
+    return { deltaT, ut1: jdUt, tt, tdb };
+}
+
+/**
+ * Wrap a SwissEph instance so its UT functions use the selected Delta-T model
+ * Before each UT call the model's Delta-T for that date is set as Swiss Ephemeris' user-defined
+ * Delta-T (or its own restored for the Swiss model); deltat() reports the same value.
+ * @param {object} swe - SwissEph instance
+ * @param {function(): string} getModel - Current key of DELTA_T_MODELS
+ * @returns {object} Drop-in replacement for swe
+ */
+export function createTimeScaledEphemeris(swe, getModel) {
+    let appliedDays = null;  // User-defined Delta-T in effect, in days (null = Swiss Ephemeris' own)
+
+    const syncDeltaT = (jdUt) => {
+        const model = getModel();
+        const days = model === DEFAULT_DELTA_T_MODEL ? null : getDeltaT(swe, jdUt, model) / SECONDS_PER_DAY;
+        if (days === appliedDays) return;
+        swe.set_delta_t_userdef(days === null ? SE_DELTAT_AUTOMATIC : days);
+        appliedDays = days;
+    };
+
+    return new Proxy(swe, {
+        get(target, property) {
+            const value = target[property];
+            if (typeof value !== 'function') return value;
+            if (property === 'deltat') {
+                return (jdUt) => {
+                    syncDeltaT(jdUt);
+                    return target.deltat(jdUt);
+                };
+            }
+            if (!UT_METHODS.has(property)) return value.bind(target);
+            return (jdUt, ...args) => {
+                syncDeltaT(jdUt);
+                return value.call(target, jdUt, ...args);
+            };
+        }
+    });
+}